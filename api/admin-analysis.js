@@ -1,36 +1,11 @@
 // Vercel API Route: Admin Analytics Analysis with Claude AI
-// SECURITY: Restricted to admin (travis@tribos.studio) only
+// SECURITY: Requires an admin role with the analysis:run permission
 
 import Anthropic from '@anthropic-ai/sdk';
-import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { setupCors } from './utils/cors.js';
 import { rateLimitMiddleware } from './utils/rateLimit.js';
 import { enforceAiQuota } from './utils/aiQuota.js';
-
-const supabase = getSupabaseAdmin();
-
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'travis@tribos.studio';
-
-async function verifyAdminAccess(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return { user: null, error: 'No authorization token provided' };
-  }
-
-  const token = authHeader.substring(7);
-  const { data: { user }, error } = await supabase.auth.getUser(token);
-
-  if (error || !user) {
-    return { user: null, error: 'Invalid or expired token' };
-  }
-
-  if (!user.email || user.email.toLowerCase() !== ADMIN_EMAIL.toLowerCase()) {
-    console.warn(`SECURITY: Unauthorized admin-analysis access attempt by ${user.email}`);
-    return { user: null, error: 'Unauthorized - admin access denied' };
-  }
-
-  return { user, error: null };
-}
+import { logAdminAction, requireAdmin } from './utils/auth.js';
 
 const SYSTEM_PROMPT = `You are an analytics advisor for Tribos Studio, a cycling training platform (SaaS).
 Analyze the provided user analytics data and provide actionable insights.
@@ -63,10 +38,8 @@ export default async function handler(req, res) {
   const rateLimited = await rateLimitMiddleware(req, res, 'admin-analysis', 5, 5);
   if (rateLimited) return;
 
-  const { user, error: authError } = await verifyAdminAccess(req);
-  if (!user) {
-    return res.status(403).json({ error: authError });
-  }
+  const user = await requireAdmin(req, res, 'analysis:run');
+  if (!user) return;
 
   // Daily AI quota (per-user cap + global ceiling)
   const quotaExceeded = await enforceAiQuota(req, res, user.id);
@@ -83,6 +56,8 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'AI analysis service not configured' });
   }
 
+  await logAdminAction(user, 'run_analysis', null, { analysisType });
+
   try {
     const claude = new Anthropic({ apiKey });
 
@@ -0,0 +1,429 @@
+// Vercel API Route: forum moderator queue
+// (forum:moderate to review reports and revoke sanctions, forum:promote to
+// appoint board moderators)
+//
+// GET  ?view=reports — open reports grouped by the thread or reply they
+//        target, with the content, its author and the author's sanction
+//        history. Most-reported first.
+// GET  ?view=trusted — reputation leaders per board, whether each meets
+//        MODERATOR_ELIGIBILITY, and the board's current moderators.
+// POST { action: 'resolve', threadId | postId, resolution, note, banDays }
+//        resolution: hide | lock | warn | ban | dismiss. Closes every open
+//        report on that content. A ban also hides the content; dismissing
+//        un-hides content that was auto-hidden by reports.
+// POST { action: 'revoke_sanction', sanctionId }
+// POST { action: 'set_category_moderator', userId, categoryId, enabled }
+//        Only members who meet MODERATOR_ELIGIBILITY in that board can be
+//        appointed; global moderators (forum_moderators) are managed in SQL.
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { setupCors } from './utils/cors.js';
+import { hasAdminPermission, logAdminAction, requireAdmin } from './utils/auth.js';
+import {
+  MODERATION_ACTIONS,
+  activeBan,
+  banExpiry,
+  checkModeratorEligibility,
+  summarizeReports,
+} from './utils/forumModeration.js';
+
+const supabase = getSupabaseAdmin();
+
+const LEADERS_PER_BOARD = 10;
+const EXCERPT_LENGTH = 600;
+
+export default async function handler(req, res) {
+  if (setupCors(req, res, { allowedMethods: ['GET', 'POST', 'OPTIONS'] })) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Appointing moderators is separate from working the queue.
+  const permission = req.method === 'POST' && req.body?.action === 'set_category_moderator'
+    ? 'forum:promote'
+    : 'forum:moderate';
+  const user = await requireAdmin(req, res, permission);
+  if (!user) return;
+
+  try {
+    if (req.method === 'GET') {
+      return req.query.view === 'trusted'
+        ? await listTrusted(req, res, user)
+        : await listReports(req, res);
+    }
+
+    switch (req.body?.action) {
+      case 'resolve':
+        return await resolveReports(req, res, user);
+      case 'revoke_sanction':
+        return await revokeSanction(req, res, user);
+      case 'set_category_moderator':
+        return await setCategoryModerator(req, res, user);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (err) {
+    console.error('admin-forum error:', err);
+    return res.status(500).json({ error: 'Forum moderation request failed', message: err.message });
+  }
+}
+
+// ── Lookups ──────────────────────────────────────────────────
+
+async function loadUsers(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const [{ data: profiles }, authUsers] = await Promise.all([
+    supabase.from('user_profiles').select('id, display_name, community_display_name').in('id', ids),
+    Promise.all(ids.map((id) => supabase.auth.admin.getUserById(id).then(({ data }) => data?.user || null))),
+  ]);
+  const profileById = new Map((profiles || []).map((p) => [p.id, p]));
+
+  return new Map(ids.map((id, i) => {
+    const profile = profileById.get(id);
+    return [id, {
+      id,
+      name: profile?.community_display_name || profile?.display_name || 'Rider',
+      email: authUsers[i]?.email || null,
+      createdAt: authUsers[i]?.created_at || null,
+    }];
+  }));
+}
+
+async function loadSanctions(userIds) {
+  if (userIds.length === 0) return new Map();
+  const { data, error } = await supabase
+    .from('forum_sanctions')
+    .select('id, user_id, type, reason, expires_at, revoked_at, created_at')
+    .in('user_id', userIds)
+    .is('revoked_at', null)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+
+  const byUser = new Map();
+  for (const s of data || []) {
+    if (!byUser.has(s.user_id)) byUser.set(s.user_id, []);
+    byUser.get(s.user_id).push(s);
+  }
+  return byUser;
+}
+
+async function loadTarget(threadId, postId) {
+  if (postId) {
+    const { data } = await supabase
+      .from('forum_posts')
+      .select('id, thread_id, author_id, hidden_at, hidden_by')
+      .eq('id', postId)
+      .maybeSingle();
+    return data && { table: 'forum_posts', column: 'post_id', ...data };
+  }
+  const { data } = await supabase
+    .from('forum_threads')
+    .select('id, author_id, hidden_at, hidden_by')
+    .eq('id', threadId)
+    .maybeSingle();
+  return data && { table: 'forum_threads', column: 'thread_id', thread_id: data.id, ...data };
+}
+
+// ── Views ────────────────────────────────────────────────────
+
+async function listReports(req, res) {
+  const { data: reports, error } = await supabase
+    .from('forum_reports')
+    .select('id, thread_id, post_id, reason, details, created_at')
+    .eq('status', 'open')
+    .order('created_at', { ascending: true })
+    .limit(500);
+  if (error) throw error;
+
+  const groups = summarizeReports(reports);
+
+  const postIds = groups.map((g) => g.postId).filter(Boolean);
+  const { data: posts } = postIds.length
+    ? await supabase
+        .from('forum_posts')
+        .select('id, thread_id, author_id, body, hidden_at, hidden_by, created_at')
+        .in('id', postIds)
+    : { data: [] };
+  const postById = new Map((posts || []).map((p) => [p.id, p]));
+
+  const threadIds = [...new Set([
+    ...groups.map((g) => g.threadId),
+    ...(posts || []).map((p) => p.thread_id),
+  ].filter(Boolean))];
+  const [{ data: threads }, { data: categories }] = await Promise.all([
+    threadIds.length
+      ? supabase
+          .from('forum_threads')
+          .select('id, category_id, author_id, title, body, is_locked, hidden_at, hidden_by, created_at')
+          .in('id', threadIds)
+      : Promise.resolve({ data: [] }),
+    supabase.from('forum_categories').select('id, name'),
+  ]);
+  const threadById = new Map((threads || []).map((t) => [t.id, t]));
+  const categoryName = new Map((categories || []).map((c) => [c.id, c.name]));
+
+  const authorIds = groups.map((g) => (g.postId ? postById.get(g.postId) : threadById.get(g.threadId))?.author_id);
+  const [users, sanctions] = await Promise.all([
+    loadUsers(authorIds),
+    loadSanctions([...new Set(authorIds.filter(Boolean))]),
+  ]);
+
+  const items = groups.map((group) => {
+    const post = group.postId ? postById.get(group.postId) : null;
+    const thread = threadById.get(post ? post.thread_id : group.threadId);
+    const content = post || thread;
+    if (!content) return null; // deleted since it was reported
+
+    const authorSanctions = sanctions.get(content.author_id) || [];
+    return {
+      ...group,
+      content: {
+        type: post ? 'reply' : 'thread',
+        threadId: thread?.id || null,
+        threadTitle: thread?.title || null,
+        board: thread ? categoryName.get(thread.category_id) || null : null,
+        excerpt: content.body.slice(0, EXCERPT_LENGTH),
+        hidden: Boolean(content.hidden_at),
+        autoHidden: Boolean(content.hidden_at) && !content.hidden_by,
+        threadLocked: Boolean(thread?.is_locked),
+        createdAt: content.created_at,
+      },
+      author: {
+        ...users.get(content.author_id),
+        warnings: authorSanctions.filter((s) => s.type === 'warning').length,
+        activeBan: activeBan(authorSanctions),
+      },
+    };
+  }).filter(Boolean);
+
+  return res.status(200).json({ reports: items });
+}
+
+async function listTrusted(req, res, user) {
+  const now = new Date();
+
+  const [{ data: categories }, { data: reputation, error }, { data: moderators }] = await Promise.all([
+    supabase.from('forum_categories').select('id, name').order('sort_order', { ascending: true }),
+    supabase
+      .from('forum_reputation')
+      .select('user_id, category_id, score, accepted_answers, reactions_received')
+      .gt('score', 0)
+      .order('score', { ascending: false })
+      .limit(500),
+    supabase.from('forum_category_moderators').select('user_id, category_id, created_at'),
+  ]);
+  if (error) throw error;
+
+  const leadersByBoard = new Map();
+  for (const row of reputation || []) {
+    const list = leadersByBoard.get(row.category_id) || [];
+    if (list.length < LEADERS_PER_BOARD) list.push(row);
+    leadersByBoard.set(row.category_id, list);
+  }
+
+  const userIds = [
+    ...[...leadersByBoard.values()].flat().map((r) => r.user_id),
+    ...(moderators || []).map((m) => m.user_id),
+  ];
+  const [users, sanctions] = await Promise.all([
+    loadUsers(userIds),
+    loadSanctions([...new Set(userIds)]),
+  ]);
+
+  const boards = (categories || []).map((category) => {
+    const boardModerators = (moderators || []).filter((m) => m.category_id === category.id);
+    const moderatorIds = new Set(boardModerators.map((m) => m.user_id));
+
+    return {
+      id: category.id,
+      name: category.name,
+      moderators: boardModerators.map((m) => ({
+        userId: m.user_id,
+        name: users.get(m.user_id)?.name || 'Rider',
+        since: m.created_at,
+      })),
+      leaders: (leadersByBoard.get(category.id) || []).map((row) => {
+        const member = users.get(row.user_id);
+        const { eligible, unmet } = checkModeratorEligibility(row, {
+          accountCreatedAt: member?.createdAt,
+          sanctions: sanctions.get(row.user_id) || [],
+          now,
+        });
+        return {
+          userId: row.user_id,
+          name: member?.name || 'Rider',
+          email: member?.email || null,
+          score: row.score,
+          acceptedAnswers: row.accepted_answers,
+          reactionsReceived: row.reactions_received,
+          isModerator: moderatorIds.has(row.user_id),
+          eligible,
+          unmet,
+        };
+      }),
+    };
+  });
+
+  return res.status(200).json({
+    boards,
+    canPromote: hasAdminPermission(user.adminRole, 'forum:promote'),
+  });
+}
+
+// ── Actions ──────────────────────────────────────────────────
+
+async function resolveReports(req, res, user) {
+  const { threadId, postId, resolution } = req.body;
+  const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 1000) : '';
+
+  if (!threadId === !postId) {
+    return res.status(400).json({ error: 'threadId or postId required' });
+  }
+  if (!MODERATION_ACTIONS.includes(resolution)) {
+    return res.status(400).json({ error: `resolution must be one of: ${MODERATION_ACTIONS.join(', ')}` });
+  }
+
+  const target = await loadTarget(threadId, postId);
+  if (!target) {
+    return res.status(404).json({ error: 'Content not found' });
+  }
+
+  const now = new Date();
+  const { data: openReports, error: reportsError } = await supabase
+    .from('forum_reports')
+    .select('id')
+    .eq(target.column, target.id)
+    .eq('status', 'open')
+    .order('created_at', { ascending: true });
+  if (reportsError) throw reportsError;
+  const reportIds = (openReports || []).map((r) => r.id);
+
+  if ((resolution === 'hide' || resolution === 'ban') && !target.hidden_at) {
+    await supabase
+      .from(target.table)
+      .update({ hidden_at: now.toISOString(), hidden_by: user.id })
+      .eq('id', target.id);
+  }
+  if (resolution === 'lock') {
+    await supabase
+      .from('forum_threads')
+      .update({ is_locked: true })
+      .eq('id', target.thread_id);
+  }
+  if (resolution === 'dismiss' && target.hidden_at && !target.hidden_by) {
+    await supabase
+      .from(target.table)
+      .update({ hidden_at: null })
+      .eq('id', target.id);
+  }
+
+  let expiresAt = null;
+  if (resolution === 'warn' || resolution === 'ban') {
+    expiresAt = resolution === 'ban' ? banExpiry(req.body.banDays, now) : null;
+    const { error } = await supabase.from('forum_sanctions').insert({
+      user_id: target.author_id,
+      type: resolution === 'warn' ? 'warning' : 'ban',
+      reason: note || null,
+      report_id: reportIds[0] || null,
+      issued_by: user.id,
+      expires_at: expiresAt?.toISOString() ?? null,
+    });
+    if (error) throw error;
+  }
+
+  if (reportIds.length > 0) {
+    const { error } = await supabase
+      .from('forum_reports')
+      .update({
+        status: resolution === 'dismiss' ? 'dismissed' : 'actioned',
+        resolution,
+        resolution_note: note || null,
+        resolved_by: user.id,
+        resolved_at: now.toISOString(),
+      })
+      .in('id', reportIds);
+    if (error) throw error;
+  }
+
+  await logAdminAction(user, `forum_report_${resolution}`, target.author_id, {
+    threadId: target.thread_id,
+    postId: postId || null,
+    reports: reportIds.length,
+    expiresAt: expiresAt?.toISOString() ?? null,
+  });
+
+  return res.status(200).json({ resolved: reportIds.length });
+}
+
+async function revokeSanction(req, res, user) {
+  const { sanctionId } = req.body;
+  if (!sanctionId) {
+    return res.status(400).json({ error: 'sanctionId required' });
+  }
+
+  const { data: sanction, error } = await supabase
+    .from('forum_sanctions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sanctionId)
+    .is('revoked_at', null)
+    .select('user_id, type')
+    .maybeSingle();
+  if (error) throw error;
+  if (!sanction) {
+    return res.status(404).json({ error: 'Sanction not found or already revoked' });
+  }
+
+  await logAdminAction(user, `forum_${sanction.type}_revoked`, sanction.user_id, { sanctionId });
+  return res.status(200).json({ revoked: true });
+}
+
+async function setCategoryModerator(req, res, user) {
+  const { userId, categoryId, enabled } = req.body;
+  if (!userId || !categoryId) {
+    return res.status(400).json({ error: 'userId and categoryId required' });
+  }
+
+  if (!enabled) {
+    const { error } = await supabase
+      .from('forum_category_moderators')
+      .delete()
+      .eq('user_id', userId)
+      .eq('category_id', categoryId);
+    if (error) throw error;
+
+    await logAdminAction(user, 'forum_category_moderator_removed', userId, { categoryId });
+    return res.status(200).json({ success: true });
+  }
+
+  const [{ data: reputation }, users, sanctions] = await Promise.all([
+    supabase
+      .from('forum_reputation')
+      .select('score, accepted_answers')
+      .eq('user_id', userId)
+      .eq('category_id', categoryId)
+      .maybeSingle(),
+    loadUsers([userId]),
+    loadSanctions([userId]),
+  ]);
+  const { eligible, unmet } = checkModeratorEligibility(reputation, {
+    accountCreatedAt: users.get(userId)?.createdAt,
+    sanctions: sanctions.get(userId) || [],
+  });
+  if (!eligible) {
+    return res.status(400).json({ error: `Not eligible to moderate this board: ${unmet.join('; ')}` });
+  }
+
+  const { error } = await supabase
+    .from('forum_category_moderators')
+    .upsert(
+      { user_id: userId, category_id: categoryId, granted_by: user.id },
+      { onConflict: 'user_id,category_id', ignoreDuplicates: true }
+    );
+  if (error) throw error;
+
+  await logAdminAction(user, 'forum_category_moderator_added', userId, { categoryId });
+  return res.status(200).json({ success: true });
+}
@@ -1,4 +1,5 @@
-// Vercel API Route: Garmin webhook dead-letter queue admin (admin only)
+// Vercel API Route: Garmin webhook dead-letter queue admin
+// (garmin:health to view, garmin:redrive to redrive)
 //
 // GET  — list dead-lettered events (newest first) with reason and payload
 //        metadata, so every retry-exhausted activity event stays visible.
@@ -11,37 +12,25 @@
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { setupCors } from './utils/cors.js';
+import { logAdminAction, requireAdmin } from './utils/auth.js';
 import { redriveEvents } from './utils/garmin/retryPolicy.js';
 
 const supabase = getSupabaseAdmin();
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'travis@tribos.studio';
-
-async function verifyAdminAccess(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return { user: null, error: 'No authorization token provided' };
-  }
-  const token = authHeader.substring(7);
-  const { data: { user }, error } = await supabase.auth.getUser(token);
-  if (error || !user) return { user: null, error: 'Invalid or expired token' };
-  if (!user.email || user.email.toLowerCase() !== ADMIN_EMAIL.toLowerCase()) {
-    return { user: null, error: 'Unauthorized - admin access denied' };
-  }
-  return { user, error: null };
-}
 
 export default async function handler(req, res) {
   if (setupCors(req, res, { allowedMethods: ['GET', 'POST', 'OPTIONS'] })) return;
 
-  const { user, error: authError } = await verifyAdminAccess(req);
-  if (!user) return res.status(401).json({ error: authError });
+  // Viewing the queue is read-only; redriving needs garmin:redrive.
+  const user = await requireAdmin(req, res, req.method === 'POST' ? 'garmin:redrive' : 'garmin:health');
+  if (!user) return;
 
   try {
     if (req.method === 'GET') {
+      await logAdminAction(user, 'garmin_dlq_list', null, null);
       return await listDeadLettered(req, res);
     }
     if (req.method === 'POST') {
-      return await handleAction(req, res);
+      return await handleAction(req, res, user);
     }
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (err) {
@@ -72,7 +61,7 @@ async function listDeadLettered(req, res) {
   });
 }
 
-async function handleAction(req, res) {
+async function handleAction(req, res, user) {
   const { action, ids } = req.body || {};
 
   if (action !== 'redrive') {
@@ -82,6 +71,7 @@ async function handleAction(req, res) {
     return res.status(400).json({ error: 'ids must be a non-empty array of up to 200 event IDs' });
   }
 
+  await logAdminAction(user, 'garmin_dlq_redrive', null, { ids });
   const { redriven } = await redriveEvents(supabase, ids);
   console.log(`♻️ Redrove ${redriven}/${ids.length} dead-lettered Garmin events`);
 
@@ -1,4 +1,4 @@
-// Vercel API Route: Garmin pipeline health dashboard data (admin only)
+// Vercel API Route: Garmin pipeline health dashboard data (garmin:health)
 //
 // Single GET endpoint returning the pipeline's operational signals. All
 // metric computation lives in api/utils/garmin/healthMetrics.js — shared with
@@ -16,6 +16,7 @@
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { setupCors } from './utils/cors.js';
+import { logAdminAction, requireAdmin } from './utils/auth.js';
 import {
   computeHealthSnapshot,
   getFileDeliveryRate,
@@ -23,31 +24,17 @@ import {
 } from './utils/garmin/healthMetrics.js';
 
 const supabase = getSupabaseAdmin();
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'travis@tribos.studio';
-
-async function verifyAdminAccess(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return { user: null, error: 'No authorization token provided' };
-  }
-  const token = authHeader.substring(7);
-  const { data: { user }, error } = await supabase.auth.getUser(token);
-  if (error || !user) return { user: null, error: 'Invalid or expired token' };
-  if (!user.email || user.email.toLowerCase() !== ADMIN_EMAIL.toLowerCase()) {
-    return { user: null, error: 'Unauthorized - admin access denied' };
-  }
-  return { user, error: null };
-}
 
 export default async function handler(req, res) {
   if (setupCors(req, res, { allowedMethods: ['GET', 'OPTIONS'] })) return;
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
-  const { user, error: authError } = await verifyAdminAccess(req);
-  if (!user) return res.status(401).json({ error: authError });
+  const user = await requireAdmin(req, res, 'garmin:health');
+  if (!user) return;
 
   try {
     const windowDays = Math.max(1, Math.min(90, parseInt(req.query.windowDays, 10) || 30));
+    await logAdminAction(user, 'garmin_health_view', null, { windowDays });
     const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
 
     const [snapshot, windowDelivery, perUser, sloHistory] = await Promise.all([
@@ -0,0 +1,108 @@
+// Vercel API Route: unified webhook dead-letter queue admin
+// (webhooks:read to view, webhooks:redrive — garmin:redrive for Garmin — to redrive)
+//
+// GET  — dead-lettered events across Strava, Wahoo, COROS and Garmin (newest
+//        first), or one provider with ?provider=. Each row carries the last
+//        error, so every retry-exhausted event stays visible in one place.
+// POST — { action: 'redrive', provider, ids: [...] } resets the listed events
+//        back into that provider's queue with a fresh retry budget, once the
+//        underlying cause (provider outage, bad deploy, expired token, Strava
+//        app suspension) is fixed. Redrive inside the processors' pickup
+//        window (api/utils/webhookQueue.js PICKUP_WINDOW_DAYS; 14d for Garmin
+//        activity events) or the event won't be claimed again.
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { setupCors } from './utils/cors.js';
+import { logAdminAction, requireAdmin } from './utils/auth.js';
+import { WEBHOOK_QUEUES, listDeadLettered, redriveEvents } from './utils/webhookQueue.js';
+
+const supabase = getSupabaseAdmin();
+
+const PROVIDERS = Object.keys(WEBHOOK_QUEUES);
+
+function redrivePermission(provider) {
+  return provider === 'garmin' ? 'garmin:redrive' : 'webhooks:redrive';
+}
+
+export default async function handler(req, res) {
+  if (setupCors(req, res, { allowedMethods: ['GET', 'POST', 'OPTIONS'] })) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const provider = req.method === 'POST' ? req.body?.provider : req.query.provider;
+  if (provider && !PROVIDERS.includes(provider)) {
+    return res.status(400).json({ error: `Unknown provider: ${provider}. Supported: ${PROVIDERS.join(', ')}` });
+  }
+
+  // Viewing the queue is read-only; redriving needs the provider's redrive permission.
+  const user = await requireAdmin(req, res, req.method === 'POST' ? redrivePermission(provider) : 'webhooks:read');
+  if (!user) return;
+
+  try {
+    if (req.method === 'GET') {
+      await logAdminAction(user, 'webhook_dlq_list', null, { provider: provider || null });
+      return await listAll(req, res, provider);
+    }
+    return await handleAction(req, res, user);
+  } catch (err) {
+    console.error('webhook-dlq error:', err);
+    return res.status(500).json({ error: 'DLQ operation failed', message: err.message });
+  }
+}
+
+async function listAll(req, res, provider) {
+  const limit = Math.max(1, Math.min(200, parseInt(req.query.limit, 10) || 50));
+  const providers = provider ? [provider] : PROVIDERS;
+
+  const results = await Promise.all(providers.map((p) => listDeadLettered(supabase, p, { limit })));
+
+  const queues = {};
+  providers.forEach((p, i) => {
+    const { available, reason, events } = results[i];
+    queues[p] = available ? { available, count: events.length } : { available, reason };
+  });
+
+  const events = results
+    .flatMap((r) => r.events)
+    .sort((a, b) => (b.deadLetteredAt || '').localeCompare(a.deadLetteredAt || ''))
+    .slice(0, limit);
+
+  // Attach emails so the admin can see whose activities are stuck.
+  const userIds = new Set(events.map((e) => e.userId).filter(Boolean));
+  const emailById = {};
+  if (userIds.size > 0) {
+    const { data } = await supabase.auth.admin.listUsers();
+    for (const u of data?.users || []) {
+      if (userIds.has(u.id)) emailById[u.id] = u.email;
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    queues,
+    count: events.length,
+    events: events.map((e) => ({ ...e, userEmail: e.userId ? emailById[e.userId] || null : null })),
+  });
+}
+
+async function handleAction(req, res, user) {
+  const { action, provider, ids } = req.body || {};
+
+  if (action !== 'redrive') {
+    return res.status(400).json({ error: `Unknown action: ${action}. Supported: redrive` });
+  }
+  if (!provider) {
+    return res.status(400).json({ error: 'provider is required' });
+  }
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > 200) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of up to 200 event IDs' });
+  }
+
+  await logAdminAction(user, 'webhook_dlq_redrive', null, { provider, ids });
+  const { redriven } = await redriveEvents(supabase, provider, ids);
+  console.log(`♻️ Redrove ${redriven}/${ids.length} dead-lettered ${provider} events`);
+
+  return res.status(200).json({ success: true, provider, requested: ids.length, redriven });
+}
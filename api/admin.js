@@ -1,11 +1,20 @@
 // Vercel API Route: Secure Admin Operations
-// SECURITY: This endpoint is restricted to travis@tribos.studio ONLY
-// All actions are logged to admin_audit_log table
+// SECURITY: Each action requires an admin role holding its permission
+// (ACTION_PERMISSIONS below, roles in admin_roles — see utils/auth.js).
+// All actions are logged to admin_audit_log table with the role used
+// Campaigns are sent from api/email-tool.js, which applies opt-outs and
+// the bounce/complaint suppression list.
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { Resend } from 'resend';
 import { setupCors } from './utils/cors.js';
 import { rateLimitMiddleware } from './utils/rateLimit.js';
+import {
+  ADMIN_ROLES,
+  adminPermissionsFor,
+  logAdminAction,
+  requireAdmin,
+} from './utils/auth.js';
 
 // Lazy Resend init — constructing with an undefined key throws, so defer until
 // first use (handlers check RESEND_API_KEY before sending). Avoids a module-load
@@ -19,37 +28,6 @@ function getResend() {
 // Initialize Supabase with service key for admin operations
 const supabase = getSupabaseAdmin();
 
-// SECURITY: Admin email - this is the ONLY account with admin access
-// Set ADMIN_EMAIL env var in Vercel, or falls back to default
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'travis@tribos.studio';
-
-/**
- * Verify the user from JWT token and check admin authorization
- * Returns the user if authorized, null otherwise
- */
-async function verifyAdminAccess(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return { user: null, error: 'No authorization token provided' };
-  }
-
-  const token = authHeader.substring(7);
-  const { data: { user }, error } = await supabase.auth.getUser(token);
-
-  if (error || !user) {
-    console.error('Admin auth validation failed:', error?.message);
-    return { user: null, error: 'Invalid or expired token' };
-  }
-
-  // SECURITY: Strict email check - must match exactly
-  if (!user.email || user.email.toLowerCase() !== ADMIN_EMAIL.toLowerCase()) {
-    console.warn(`SECURITY: Unauthorized admin access attempt by ${user.email} (ID: ${user.id})`);
-    return { user: null, error: 'Unauthorized - admin access denied' };
-  }
-
-  return { user, error: null };
-}
-
 /**
  * Fetch all rows from a Supabase table, paginating past the 1000-row default limit
  */
@@ -74,25 +52,28 @@ async function fetchAllRows(table, selectColumns) {
 }
 
 /**
- * Log admin action to audit table
+ * Permission each action requires (see ADMIN_PERMISSIONS in utils/auth.js).
+ * Actions missing here are rejected before any role check passes them.
  */
-async function logAdminAction(adminUserId, action, targetUserId, details) {
-  try {
-    await supabase
-      .from('admin_audit_log')
-      .insert({
-        admin_user_id: adminUserId,
-        action,
-        target_user_id: targetUserId,
-        details,
-        ip_address: null, // Could be extracted from req if needed
-        created_at: new Date().toISOString()
-      });
-  } catch (error) {
-    console.error('Failed to log admin action:', error);
-    // Don't fail the request if logging fails, but log the error
-  }
-}
+const ACTION_PERMISSIONS = {
+  get_access: null,
+  list_users: 'users:read',
+  get_user_details: 'users:read',
+  clean_user_data: 'users:clean',
+  list_feedback: 'feedback:read',
+  list_webhooks: 'webhooks:read',
+  get_stats: 'stats:read',
+  list_campaigns: 'campaigns:read',
+  get_campaign: 'campaigns:read',
+  create_campaign: 'campaigns:write',
+  update_campaign: 'campaigns:write',
+  delete_campaign: 'campaigns:write',
+  preview_recipients: 'campaigns:read',
+  send_test_email: 'campaigns:write',
+  get_user_insights: 'insights:read',
+  list_admins: 'roles:manage',
+  set_admin_role: 'roles:manage',
+};
 
 export default async function handler(req, res) {
   // Handle CORS
@@ -111,12 +92,19 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Server configuration error' });
   }
 
-  // SECURITY: Verify admin access
-  const { user: adminUser, error: authError } = await verifyAdminAccess(req);
-  if (!adminUser) {
-    return res.status(403).json({ error: authError || 'Unauthorized' });
+  const { action, targetUserId } = req.body || {};
+
+  if (!action) {
+    return res.status(400).json({ error: 'Action is required' });
+  }
+  if (!(action in ACTION_PERMISSIONS)) {
+    return res.status(400).json({ error: 'Invalid action' });
   }
 
+  // SECURITY: Verify the caller's admin role allows this action
+  const adminUser = await requireAdmin(req, res, ACTION_PERMISSIONS[action]);
+  if (!adminUser) return;
+
   // Rate limiting: 30 requests per minute for admin operations
   const rateLimitResult = await rateLimitMiddleware(req, res, 'ADMIN', 30, 1);
   if (rateLimitResult !== null) {
@@ -124,13 +112,15 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { action, targetUserId } = req.body;
-
-    if (!action) {
-      return res.status(400).json({ error: 'Action is required' });
-    }
-
     switch (action) {
+      case 'get_access':
+        await logAdminAction(adminUser, 'get_access', null, null);
+        return res.status(200).json({
+          success: true,
+          role: adminUser.adminRole,
+          permissions: adminPermissionsFor(adminUser.adminRole),
+        });
+
       case 'list_users':
         return await listUsers(req, res, adminUser);
 
@@ -177,12 +167,19 @@ export default async function handler(req, res) {
       case 'send_test_email':
         return await sendTestEmail(req, res, adminUser);
 
-      case 'send_campaign':
-        return await sendCampaign(req, res, adminUser);
-
       case 'get_user_insights':
         return await getUserInsights(req, res, adminUser);
 
+      // Admin roles
+      case 'list_admins':
+        return await listAdmins(req, res, adminUser);
+
+      case 'set_admin_role':
+        if (!targetUserId) {
+          return res.status(400).json({ error: 'targetUserId is required' });
+        }
+        return await setAdminRole(req, res, adminUser, targetUserId);
+
       default:
         return res.status(400).json({ error: 'Invalid action' });
     }
@@ -197,7 +194,7 @@ export default async function handler(req, res) {
  * List all users with basic stats
  */
 async function listUsers(req, res, adminUser) {
-  await logAdminAction(adminUser.id, 'list_users', null, null);
+  await logAdminAction(adminUser, 'list_users', null, null);
 
   // Get ALL users from auth.users via admin API (paginate to avoid 50-per-page default)
   let allUsers = [];
@@ -268,7 +265,7 @@ async function listUsers(req, res, adminUser) {
  * Get detailed info for a specific user
  */
 async function getUserDetails(req, res, adminUser, targetUserId) {
-  await logAdminAction(adminUser.id, 'get_user_details', targetUserId, null);
+  await logAdminAction(adminUser, 'get_user_details', targetUserId, null);
 
   // Get auth user info
   const { data: { user: targetUser }, error: userError } = await supabase.auth.admin.getUserById(targetUserId);
@@ -318,7 +315,7 @@ async function getUserDetails(req, res, adminUser, targetUserId) {
  */
 async function cleanUserData(req, res, adminUser, targetUserId) {
   // Extra security: log with details before action
-  await logAdminAction(adminUser.id, 'clean_user_data_started', targetUserId, {
+  await logAdminAction(adminUser, 'clean_user_data_started', targetUserId, {
     warning: 'Data deletion initiated'
   });
 
@@ -395,7 +392,7 @@ async function cleanUserData(req, res, adminUser, targetUserId) {
   }
 
   // Log completion
-  await logAdminAction(adminUser.id, 'clean_user_data_completed', targetUserId, {
+  await logAdminAction(adminUser, 'clean_user_data_completed', targetUserId, {
     deletionResults,
     errorCount: errors.length
   });
@@ -415,7 +412,7 @@ async function cleanUserData(req, res, adminUser, targetUserId) {
  * List beta feedback submissions
  */
 async function listFeedback(req, res, adminUser) {
-  await logAdminAction(adminUser.id, 'list_feedback', null, null);
+  await logAdminAction(adminUser, 'list_feedback', null, null);
 
   const { data: feedback, error } = await supabase
     .from('beta_feedback')
@@ -442,7 +439,7 @@ async function listFeedback(req, res, adminUser) {
 async function listWebhooks(req, res, adminUser) {
   const { filterUserId } = req.body;
 
-  await logAdminAction(adminUser.id, 'list_webhooks', filterUserId || null, { filterUserId });
+  await logAdminAction(adminUser, 'list_webhooks', filterUserId || null, { filterUserId });
 
   // Build query
   let query = supabase
@@ -519,7 +516,7 @@ async function listWebhooks(req, res, adminUser) {
  * Get overall system stats
  */
 async function getStats(req, res, adminUser) {
-  await logAdminAction(adminUser.id, 'get_stats', null, null);
+  await logAdminAction(adminUser, 'get_stats', null, null);
 
   // Fetch all users by paginating (avoids default 50-per-page limit)
   let allStatsUsers = [];
@@ -560,7 +557,7 @@ async function getStats(req, res, adminUser) {
  * Get user insights: activation funnel, feature adoption, retention, stale users
  */
 async function getUserInsights(req, res, adminUser) {
-  await logAdminAction(adminUser.id, 'get_user_insights', null, null);
+  await logAdminAction(adminUser, 'get_user_insights', null, null);
 
   // Fetch all auth users
   let allUsers = [];
@@ -881,6 +878,80 @@ async function getUserInsights(req, res, adminUser) {
   });
 }
 
+// ============================================================================
+// ADMIN ROLE FUNCTIONS
+// ============================================================================
+
+/**
+ * List everyone holding an admin role
+ */
+async function listAdmins(req, res, adminUser) {
+  await logAdminAction(adminUser, 'list_admins', null, null);
+
+  const { data: roles, error } = await supabase
+    .from('admin_roles')
+    .select('user_id, role, granted_by, created_at, updated_at')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error listing admin roles:', error);
+    return res.status(500).json({ error: 'Failed to list admins' });
+  }
+
+  const admins = await Promise.all((roles || []).map(async (row) => {
+    const { data } = await supabase.auth.admin.getUserById(row.user_id);
+    return { ...row, email: data?.user?.email || null };
+  }));
+
+  return res.status(200).json({ success: true, admins, roles: ADMIN_ROLES });
+}
+
+/**
+ * Grant, change or revoke (role: null) a user's admin role
+ */
+async function setAdminRole(req, res, adminUser, targetUserId) {
+  const { role = null } = req.body;
+
+  if (role !== null && !ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${ADMIN_ROLES.join(', ')}, or null to revoke` });
+  }
+  // Owners can't demote themselves — that is how the last owner gets locked out.
+  if (targetUserId === adminUser.id && role !== 'owner') {
+    return res.status(400).json({ error: 'You cannot remove your own owner role' });
+  }
+
+  const { data: { user: targetUser }, error: userError } = await supabase.auth.admin.getUserById(targetUserId);
+  if (userError || !targetUser) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  await logAdminAction(adminUser, role ? 'set_admin_role' : 'revoke_admin_role', targetUserId, {
+    role,
+    email: targetUser.email,
+  });
+
+  const { error } = role
+    ? await supabase
+      .from('admin_roles')
+      .upsert({
+        user_id: targetUserId,
+        role,
+        granted_by: adminUser.id,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'user_id' })
+    : await supabase
+      .from('admin_roles')
+      .delete()
+      .eq('user_id', targetUserId);
+
+  if (error) {
+    console.error('Error updating admin role:', error);
+    return res.status(500).json({ error: 'Failed to update admin role' });
+  }
+
+  return res.status(200).json({ success: true, userId: targetUserId, email: targetUser.email, role });
+}
+
 // ============================================================================
 // EMAIL CAMPAIGN FUNCTIONS
 // ============================================================================
@@ -889,7 +960,7 @@ async function getUserInsights(req, res, adminUser) {
  * List all email campaigns
  */
 async function listCampaigns(req, res, adminUser) {
-  await logAdminAction(adminUser.id, 'list_campaigns', null, null);
+  await logAdminAction(adminUser, 'list_campaigns', null, null);
 
   const { data: campaigns, error } = await supabase
     .from('email_campaigns')
@@ -917,7 +988,7 @@ async function getCampaign(req, res, adminUser) {
     return res.status(400).json({ error: 'campaignId is required' });
   }
 
-  await logAdminAction(adminUser.id, 'get_campaign', null, { campaignId });
+  await logAdminAction(adminUser, 'get_campaign', null, { campaignId });
 
   // Get campaign
   const { data: campaign, error: campaignError } = await supabase
@@ -954,7 +1025,7 @@ async function createCampaign(req, res, adminUser) {
     return res.status(400).json({ error: 'name, subject, and htmlContent are required' });
   }
 
-  await logAdminAction(adminUser.id, 'create_campaign', null, { name, subject });
+  await logAdminAction(adminUser, 'create_campaign', null, { name, subject });
 
   const { data: campaign, error } = await supabase
     .from('email_campaigns')
@@ -1010,7 +1081,7 @@ async function updateCampaign(req, res, adminUser) {
     return res.status(400).json({ error: 'Can only update draft campaigns' });
   }
 
-  await logAdminAction(adminUser.id, 'update_campaign', null, { campaignId });
+  await logAdminAction(adminUser, 'update_campaign', null, { campaignId });
 
   const updates = {};
   if (name !== undefined) updates.name = name;
@@ -1067,7 +1138,7 @@ async function deleteCampaign(req, res, adminUser) {
     return res.status(400).json({ error: 'Can only delete draft campaigns' });
   }
 
-  await logAdminAction(adminUser.id, 'delete_campaign', null, { campaignId });
+  await logAdminAction(adminUser, 'delete_campaign', null, { campaignId });
 
   const { error } = await supabase
     .from('email_campaigns')
@@ -1091,7 +1162,7 @@ async function deleteCampaign(req, res, adminUser) {
 async function previewRecipients(req, res, adminUser) {
   const { audienceType, filterCriteria } = req.body;
 
-  await logAdminAction(adminUser.id, 'preview_recipients', null, { audienceType, filterCriteria });
+  await logAdminAction(adminUser, 'preview_recipients', null, { audienceType, filterCriteria });
 
   try {
     const recipients = await getFilteredRecipients(audienceType || 'users', filterCriteria || {});
@@ -1117,7 +1188,7 @@ async function sendTestEmail(req, res, adminUser) {
     return res.status(400).json({ error: 'subject and htmlContent are required' });
   }
 
-  await logAdminAction(adminUser.id, 'send_test_email', null, { subject });
+  await logAdminAction(adminUser, 'send_test_email', null, { subject });
 
   try {
     const { data, error } = await getResend().emails.send({
@@ -1143,190 +1214,6 @@ async function sendTestEmail(req, res, adminUser) {
   }
 }
 
-/**
- * Send a campaign to all recipients
- */
-async function sendCampaign(req, res, adminUser) {
-  const { campaignId } = req.body;
-
-  if (!campaignId) {
-    return res.status(400).json({ error: 'campaignId is required' });
-  }
-
-  // Get campaign
-  const { data: campaign, error: campaignError } = await supabase
-    .from('email_campaigns')
-    .select('*')
-    .eq('id', campaignId)
-    .single();
-
-  if (campaignError || !campaign) {
-    return res.status(404).json({ error: 'Campaign not found' });
-  }
-
-  if (campaign.status !== 'draft') {
-    return res.status(400).json({ error: 'Campaign has already been sent or is in progress' });
-  }
-
-  await logAdminAction(adminUser.id, 'send_campaign', null, { campaignId, campaignName: campaign.name });
-
-  try {
-    // Get recipients based on filter
-    const recipients = await getFilteredRecipients(campaign.audience_type, campaign.filter_criteria);
-
-    if (recipients.length === 0) {
-      return res.status(400).json({ error: 'No recipients match the filter criteria' });
-    }
-
-    // Update campaign status to sending
-    await supabase
-      .from('email_campaigns')
-      .update({
-        status: 'sending',
-        started_at: new Date().toISOString(),
-        total_recipients: recipients.length
-      })
-      .eq('id', campaignId);
-
-    // Insert all recipients into email_recipients table
-    const recipientRecords = recipients.map(r => ({
-      campaign_id: campaignId,
-      user_id: r.user_id || null,
-      email: r.email,
-      recipient_name: r.name || null,
-      source: r.source || 'users',
-      status: 'pending'
-    }));
-
-    await supabase
-      .from('email_recipients')
-      .insert(recipientRecords);
-
-    // Send emails in batches of 100 (Resend limit)
-    const BATCH_SIZE = 100;
-    const batches = [];
-    for (let i = 0; i < recipients.length; i += BATCH_SIZE) {
-      batches.push(recipients.slice(i, i + BATCH_SIZE));
-    }
-
-    let sentCount = 0;
-    let failedCount = 0;
-
-    for (let batchNum = 0; batchNum < batches.length; batchNum++) {
-      const batch = batches[batchNum];
-
-      try {
-        // Prepare batch emails (use camelCase for Resend SDK)
-        const emailBatch = batch.map(r => {
-          const email = {
-            from: `${campaign.from_name} <${campaign.from_email}>`,
-            to: [r.email],
-            subject: campaign.subject,
-            html: campaign.html_content
-          };
-          // Only add optional fields if they have values
-          if (campaign.text_content) email.text = campaign.text_content;
-          if (campaign.reply_to) email.replyTo = campaign.reply_to;
-          return email;
-        });
-
-        console.log(`Sending batch ${batchNum + 1} with ${emailBatch.length} emails`);
-
-        // Send batch
-        const { data: batchResult, error: batchError } = await getResend().batch.send(emailBatch);
-
-        if (batchError) {
-          const errorMsg = batchError.message || JSON.stringify(batchError) || 'Batch send failed';
-          console.error(`Batch ${batchNum + 1} error:`, errorMsg, batchError);
-          // Mark batch as failed
-          for (const recipient of batch) {
-            await supabase
-              .from('email_recipients')
-              .update({
-                status: 'failed',
-                error_message: errorMsg
-              })
-              .eq('campaign_id', campaignId)
-              .eq('email', recipient.email);
-          }
-          failedCount += batch.length;
-        } else {
-          // Update recipients with Resend IDs
-          for (let i = 0; i < batchResult.data.length; i++) {
-            const resendId = batchResult.data[i].id;
-            const recipient = batch[i];
-
-            await supabase
-              .from('email_recipients')
-              .update({
-                resend_email_id: resendId,
-                status: 'sent',
-                sent_at: new Date().toISOString(),
-                batch_number: batchNum + 1
-              })
-              .eq('campaign_id', campaignId)
-              .eq('email', recipient.email);
-          }
-          sentCount += batch.length;
-        }
-
-        // Small delay between batches to stay under rate limit
-        if (batchNum < batches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      } catch (err) {
-        const errorMsg = err.message || JSON.stringify(err) || 'Unknown error';
-        console.error(`Batch ${batchNum + 1} exception:`, errorMsg, err);
-        // Mark batch as failed with error message
-        for (const recipient of batch) {
-          await supabase
-            .from('email_recipients')
-            .update({
-              status: 'failed',
-              error_message: errorMsg
-            })
-            .eq('campaign_id', campaignId)
-            .eq('email', recipient.email);
-        }
-        failedCount += batch.length;
-      }
-    }
-
-    // Update campaign status to completed
-    await supabase
-      .from('email_campaigns')
-      .update({
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        sent_count: sentCount,
-        failed_count: failedCount
-      })
-      .eq('id', campaignId);
-
-    return res.status(200).json({
-      success: true,
-      message: `Campaign sent to ${sentCount} recipients`,
-      stats: {
-        total: recipients.length,
-        sent: sentCount,
-        failed: failedCount
-      }
-    });
-  } catch (error) {
-    console.error('Error sending campaign:', error);
-
-    // Update campaign status to show error
-    await supabase
-      .from('email_campaigns')
-      .update({
-        status: 'draft' // Reset to draft so it can be retried
-      })
-      .eq('id', campaignId);
-
-    return res.status(500).json({ error: 'Failed to send campaign' });
-  }
-}
-
 /**
  * Get filtered recipients based on audience type and filter criteria
  */
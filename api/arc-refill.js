@@ -21,6 +21,7 @@ import { computeArcRefill, computeDailyStatsFromActivities } from './utils/arcRe
 import { coefficientsForMode } from './utils/sequencerBlockOps.js';
 import { deriveCurrentWeek, derivePhaseFromBlocks } from './utils/contextHelpers.js';
 import { buildRaceDemand } from './utils/raceDemand.js';
+import { buildSubjectiveSignals, loadHealthHistory } from './utils/readiness.js';
 
 const supabase = getSupabaseAdmin();
 
@@ -188,9 +189,16 @@ export default async function handler(req, res) {
         .order('race_date', { ascending: true }),
     ]);
 
+    // Readiness (HRV baseline, sleep, resting HR, check-in) arms the HRV and
+    // wellness gates. Non-load-bearing: no health data just leaves them inert.
+    const healthHistory = await loadHealthHistory(supabase, userId, windowStart).catch((err) => {
+      console.warn('[arc-refill] health history unavailable:', err.message);
+      return [];
+    });
+
     const gatingCtx = {
       daily_stats: computeDailyStatsFromActivities(activities || [], profile?.ftp, windowStart, serverHistory || []),
-      subjective: [], // HRV/wellness rules deferred — kept inert
+      subjective: buildSubjectiveSignals(healthHistory),
       coefficients: coefficientsForMode(profile?.recovery_mode || 'standard'),
     };
 
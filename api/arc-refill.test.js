@@ -135,6 +135,31 @@ describe('api/arc-refill', () => {
     expect(updateCalls.some((u) => u.table === 'training_plans' && u.payload.last_refill_at)).toBe(true);
   });
 
+  it('eases today from a poor readiness check-in', async () => {
+    handlers = {
+      training_plans: {
+        single: { id: 'plan-1', start_date: TODAY, target_event_date: RACE, tier: 'A', blocks: arc.blocks, last_refill_at: null },
+      },
+      activities: { rows: [] },
+      user_profiles: { single: { recovery_mode: 'standard', ftp: 250 } },
+      user_day_availability: { rows: [] },
+      user_training_preferences: { single: null },
+      planned_workouts: { rows: windowRows },
+      health_metrics: {
+        rows: [{ metric_date: WINDOW_START, sleep_hours: 4, sleep_quality: 1, energy_level: 1, muscle_soreness: 5, stress_level: 5 }],
+      },
+    };
+
+    const res = makeRes();
+    await handler(makeReq({ userLocalDate: WINDOW_START }), res);
+
+    expect(res.statusCode).toBe(200);
+    const eased = res.body.changes.find((c) => c.scheduled_date === WINDOW_START);
+    expect(eased?.reason).toMatch(/Wellness/);
+    // Readiness is per-day: later sessions are left as planned.
+    expect(res.body.changes.every((c) => c.scheduled_date === WINDOW_START)).toBe(true);
+  });
+
   it('honours the recent-refill guard unless forced', async () => {
     handlers = {
       training_plans: {
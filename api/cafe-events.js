@@ -0,0 +1,392 @@
+// Vercel API Route: Café group ride events
+// Dated group rides with a meeting point, an attached shared route, pace
+// groups and RSVPs.
+//
+// POST { action, cafeId, ... }   (member auth)
+//   list_events   upcoming events (and the last week's) with RSVP counts
+//   get_event     one event with attendees and the masked route geometry
+//   create_event  any member
+//   update_event  creator or café admin
+//   cancel_event  creator or café admin
+//   rsvp          { eventId, status: going|maybe|not_going, paceGroup }
+// POST { action: 'my_events', from, to }
+//   Events in every café the caller belongs to, by local date, for the
+//   training calendar.
+//
+// Attached routes must belong to the organiser and be shared; members get
+// routes.shared_geometry (migration 119), never the raw track.
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { setupCors } from './utils/cors.js';
+import { requireAuth } from './utils/auth.js';
+import { loadMaskZones, toSharedRoutePayload } from './utils/privacyZones.js';
+import { RSVP_STATUSES, buildEventRow, toEventPayload } from './utils/cafeEvents.js';
+
+const supabase = getSupabaseAdmin();
+
+const DAY_MS = 86400000;
+const PAST_WINDOW_DAYS = 7;
+const MAX_RANGE_DAYS = 120;
+
+const EVENT_FIELDS =
+  'id, cafe_id, created_by, title, description, starts_at, timezone, estimated_duration_minutes, meeting_point_name, meeting_lat, meeting_lng, route_id, pace_groups, status';
+const ROUTE_SUMMARY_FIELDS =
+  'id, user_id, name, distance_km, elevation_gain_m, estimated_duration_minutes, is_private, visibility';
+
+export default async function handler(req, res) {
+  if (setupCors(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const authUser = await requireAuth(req, res);
+    if (!authUser) return;
+
+    const { action, cafeId } = req.body;
+    if (action === 'my_events') {
+      return await myEvents(req, res, authUser.id);
+    }
+
+    if (!cafeId) {
+      return res.status(400).json({ error: 'cafeId required' });
+    }
+    const membership = await getMembership(cafeId, authUser.id);
+    if (!membership) {
+      return res.status(403).json({ error: 'Not a member of this cafe' });
+    }
+    const isCafeAdmin = membership.role === 'admin';
+
+    switch (action) {
+      case 'list_events':
+        return await listEvents(req, res, authUser.id, cafeId, isCafeAdmin);
+      case 'get_event':
+        return await getEvent(req, res, authUser.id, cafeId, isCafeAdmin);
+      case 'create_event':
+        return await createEvent(req, res, authUser.id, cafeId, isCafeAdmin);
+      case 'update_event':
+        return await updateEvent(req, res, authUser.id, cafeId, isCafeAdmin);
+      case 'cancel_event':
+        return await cancelEvent(req, res, authUser.id, cafeId, isCafeAdmin);
+      case 'rsvp':
+        return await rsvp(req, res, authUser.id, cafeId);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Cafe events API error:', error);
+    return res.status(500).json({
+      error: 'Failed to process request',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+// ── Membership ───────────────────────────────────────────────
+
+async function getMembership(cafeId, userId) {
+  const { data } = await supabase
+    .from('cafe_memberships')
+    .select('role')
+    .eq('cafe_id', cafeId)
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .maybeSingle();
+  return data;
+}
+
+// ── Loading ──────────────────────────────────────────────────
+
+/** RSVPs and route summaries for a batch of events, then client payloads. */
+async function hydrateEvents(events, userId, { adminCafeIds = new Set(), cafeNames = new Map() } = {}) {
+  if (events.length === 0) return [];
+
+  const eventIds = events.map((e) => e.id);
+  const routeIds = [...new Set(events.map((e) => e.route_id).filter(Boolean))];
+
+  const [rsvpResult, routeResult] = await Promise.all([
+    supabase.from('cafe_event_rsvps').select('event_id, user_id, status, pace_group').in('event_id', eventIds),
+    routeIds.length
+      ? supabase.from('routes').select(ROUTE_SUMMARY_FIELDS).in('id', routeIds)
+      : Promise.resolve({ data: [], error: null }),
+  ]);
+  if (rsvpResult.error) throw rsvpResult.error;
+  if (routeResult.error) throw routeResult.error;
+
+  const rsvpsByEvent = new Map();
+  for (const r of rsvpResult.data || []) {
+    const list = rsvpsByEvent.get(r.event_id) ?? [];
+    list.push(r);
+    rsvpsByEvent.set(r.event_id, list);
+  }
+  const routeById = new Map((routeResult.data || []).map((r) => [r.id, r]));
+
+  return events.map((event) => toEventPayload(event, {
+    rsvps: rsvpsByEvent.get(event.id) ?? [],
+    route: event.route_id ? routeById.get(event.route_id) ?? null : null,
+    userId,
+    isCafeAdmin: adminCafeIds.has(event.cafe_id),
+    cafeName: cafeNames.get(event.cafe_id) ?? null,
+  }));
+}
+
+async function loadEvent(cafeId, eventId) {
+  const { data, error } = await supabase
+    .from('cafe_events')
+    .select(EVENT_FIELDS)
+    .eq('id', eventId)
+    .eq('cafe_id', cafeId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * A route can be attached only by its owner, and only once it's shared —
+ * members read it through shared_geometry, which exists only for shared
+ * routes.
+ */
+async function validateRoute(routeId, userId) {
+  if (!routeId) return null;
+  const { data: route } = await supabase
+    .from('routes')
+    .select('id, user_id, is_private, visibility')
+    .eq('id', routeId)
+    .maybeSingle();
+  if (!route || route.user_id !== userId) return 'Route not found';
+  if (!(route.visibility === 'public' || route.is_private === false)) {
+    return 'Share the route before attaching it to an event';
+  }
+  return null;
+}
+
+// ── Actions ──────────────────────────────────────────────────
+
+async function listEvents(req, res, userId, cafeId, isCafeAdmin) {
+  const since = new Date(Date.now() - PAST_WINDOW_DAYS * DAY_MS).toISOString();
+  const { data, error } = await supabase
+    .from('cafe_events')
+    .select(EVENT_FIELDS)
+    .eq('cafe_id', cafeId)
+    .gte('starts_at', since)
+    .order('starts_at', { ascending: true })
+    .limit(50);
+  if (error) return res.status(500).json({ error: error.message });
+
+  const events = await hydrateEvents(data || [], userId, {
+    adminCafeIds: isCafeAdmin ? new Set([cafeId]) : new Set(),
+  });
+  return res.status(200).json({ events });
+}
+
+async function getEvent(req, res, userId, cafeId, isCafeAdmin) {
+  const { eventId } = req.body;
+  if (!eventId) return res.status(400).json({ error: 'eventId required' });
+
+  const event = await loadEvent(cafeId, eventId);
+  if (!event) return res.status(404).json({ error: 'Event not found' });
+
+  const [payload] = await hydrateEvents([event], userId, {
+    adminCafeIds: isCafeAdmin ? new Set([cafeId]) : new Set(),
+  });
+
+  const { data: rsvps } = await supabase
+    .from('cafe_event_rsvps')
+    .select('user_id, status, pace_group')
+    .eq('event_id', eventId)
+    .in('status', ['going', 'maybe']);
+  const { data: profiles } = rsvps?.length
+    ? await supabase
+      .from('user_profiles')
+      .select('id, display_name, community_display_name')
+      .in('id', rsvps.map((r) => r.user_id))
+    : { data: [] };
+  const profileById = new Map((profiles || []).map((p) => [p.id, p]));
+  const attendees = (rsvps || []).map((r) => {
+    const profile = profileById.get(r.user_id);
+    return {
+      user_id: r.user_id,
+      name: profile?.community_display_name || profile?.display_name || 'Rider',
+      status: r.status,
+      pace_group: r.pace_group,
+    };
+  });
+
+  let route = null;
+  if (payload.route) {
+    const { data: full } = await supabase
+      .from('routes')
+      .select(`
+        id, user_id, name, description,
+        distance_km, elevation_gain_m, elevation_loss_m, estimated_duration_minutes,
+        shared_geometry, waypoints, route_type, surface_type,
+        is_private, visibility
+      `)
+      .eq('id', payload.route.id)
+      .maybeSingle();
+    if (full) {
+      const { user_id: ownerId, ...rest } = full;
+      route = toSharedRoutePayload(rest, await loadMaskZones(supabase, ownerId));
+    }
+  }
+
+  return res.status(200).json({ event: { ...payload, attendees, route_detail: route } });
+}
+
+async function createEvent(req, res, userId, cafeId, isCafeAdmin) {
+  const { row, error } = buildEventRow(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const routeError = await validateRoute(row.route_id, userId);
+  if (routeError) return res.status(400).json({ error: routeError });
+
+  const { data: event, error: insertError } = await supabase
+    .from('cafe_events')
+    .insert({ ...row, cafe_id: cafeId, created_by: userId })
+    .select(EVENT_FIELDS)
+    .single();
+  if (insertError) return res.status(500).json({ error: insertError.message });
+
+  // The organiser is going.
+  await supabase
+    .from('cafe_event_rsvps')
+    .insert({ event_id: event.id, user_id: userId, status: 'going' });
+
+  const [payload] = await hydrateEvents([event], userId, {
+    adminCafeIds: isCafeAdmin ? new Set([cafeId]) : new Set(),
+  });
+  return res.status(200).json({ event: payload });
+}
+
+async function updateEvent(req, res, userId, cafeId, isCafeAdmin) {
+  const { eventId } = req.body;
+  if (!eventId) return res.status(400).json({ error: 'eventId required' });
+
+  const existing = await loadEvent(cafeId, eventId);
+  if (!existing) return res.status(404).json({ error: 'Event not found' });
+  if (existing.created_by !== userId && !isCafeAdmin) {
+    return res.status(403).json({ error: 'Only the organiser or a cafe admin can edit this event' });
+  }
+
+  const { row, error } = buildEventRow(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  if (row.route_id && row.route_id !== existing.route_id) {
+    const routeError = await validateRoute(row.route_id, userId);
+    if (routeError) return res.status(400).json({ error: routeError });
+  }
+
+  // Pace groups that were removed can't hold RSVPs.
+  if (row.pace_groups) {
+    const ids = row.pace_groups.map((g) => g.id);
+    let clear = supabase
+      .from('cafe_event_rsvps')
+      .update({ pace_group: null, updated_at: new Date().toISOString() })
+      .eq('event_id', eventId)
+      .not('pace_group', 'is', null);
+    if (ids.length) clear = clear.not('pace_group', 'in', `(${ids.join(',')})`);
+    await clear;
+  }
+
+  const { data: event, error: updateError } = await supabase
+    .from('cafe_events')
+    .update({ ...row, updated_at: new Date().toISOString() })
+    .eq('id', eventId)
+    .select(EVENT_FIELDS)
+    .single();
+  if (updateError) return res.status(500).json({ error: updateError.message });
+
+  const [payload] = await hydrateEvents([event], userId, {
+    adminCafeIds: isCafeAdmin ? new Set([cafeId]) : new Set(),
+  });
+  return res.status(200).json({ event: payload });
+}
+
+async function cancelEvent(req, res, userId, cafeId, isCafeAdmin) {
+  const { eventId } = req.body;
+  if (!eventId) return res.status(400).json({ error: 'eventId required' });
+
+  const existing = await loadEvent(cafeId, eventId);
+  if (!existing) return res.status(404).json({ error: 'Event not found' });
+  if (existing.created_by !== userId && !isCafeAdmin) {
+    return res.status(403).json({ error: 'Only the organiser or a cafe admin can cancel this event' });
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('cafe_events')
+    .update({ status: 'cancelled', cancelled_at: now, updated_at: now })
+    .eq('id', eventId);
+  if (error) return res.status(500).json({ error: error.message });
+  return res.status(200).json({ success: true });
+}
+
+async function rsvp(req, res, userId, cafeId) {
+  const { eventId, status, paceGroup } = req.body;
+  if (!eventId) return res.status(400).json({ error: 'eventId required' });
+  if (!RSVP_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${RSVP_STATUSES.join(', ')}` });
+  }
+
+  const event = await loadEvent(cafeId, eventId);
+  if (!event) return res.status(404).json({ error: 'Event not found' });
+  if (event.status === 'cancelled') return res.status(400).json({ error: 'This event was cancelled' });
+
+  const groupIds = (event.pace_groups || []).map((g) => g.id);
+  if (paceGroup && !groupIds.includes(paceGroup)) {
+    return res.status(400).json({ error: 'Unknown pace group' });
+  }
+
+  const { error } = await supabase
+    .from('cafe_event_rsvps')
+    .upsert({
+      event_id: eventId,
+      user_id: userId,
+      status,
+      pace_group: status === 'not_going' ? null : paceGroup || null,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'event_id,user_id' });
+  if (error) return res.status(500).json({ error: error.message });
+
+  return res.status(200).json({ success: true, status, paceGroup: paceGroup || null });
+}
+
+async function myEvents(req, res, userId) {
+  const { from, to } = req.body;
+  const fromDate = new Date(`${from}T00:00:00Z`);
+  const toDate = new Date(`${to}T23:59:59Z`);
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime()) || toDate < fromDate) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+  }
+  if (toDate - fromDate > MAX_RANGE_DAYS * DAY_MS) {
+    return res.status(400).json({ error: `Range is limited to ${MAX_RANGE_DAYS} days` });
+  }
+
+  const { data: memberships, error: membershipError } = await supabase
+    .from('cafe_memberships')
+    .select('cafe_id, role, cafes(name)')
+    .eq('user_id', userId)
+    .eq('status', 'active');
+  if (membershipError) return res.status(500).json({ error: membershipError.message });
+  if (!memberships?.length) return res.status(200).json({ events: [] });
+
+  // Widen by a day each side: local dates can differ from UTC dates.
+  const { data, error } = await supabase
+    .from('cafe_events')
+    .select(EVENT_FIELDS)
+    .in('cafe_id', memberships.map((m) => m.cafe_id))
+    .eq('status', 'scheduled')
+    .gte('starts_at', new Date(fromDate.getTime() - DAY_MS).toISOString())
+    .lte('starts_at', new Date(toDate.getTime() + DAY_MS).toISOString())
+    .order('starts_at', { ascending: true });
+  if (error) return res.status(500).json({ error: error.message });
+
+  const events = await hydrateEvents(data || [], userId, {
+    adminCafeIds: new Set(memberships.filter((m) => m.role === 'admin').map((m) => m.cafe_id)),
+    cafeNames: new Map(memberships.map((m) => [m.cafe_id, m.cafes?.name ?? null])),
+  });
+  return res.status(200).json({
+    events: events.filter((e) => e.local_date >= from && e.local_date <= to),
+  });
+}
@@ -0,0 +1,435 @@
+// Vercel API Route: Café segment leaderboards
+// Opt-in group leaderboards on shared training segments, and the weekly
+// "segment of the week" challenge posted to each café.
+//
+// POST { action: 'get_leaderboard' | 'opt_in' | 'opt_out', cafeId }   (member auth)
+// GET  ?action=post-weekly   (cron, Mondays 05:00 UTC)
+//   Closes last week's challenge with final standings, then picks and posts
+//   this week's for every café with at least two opted-in members.
+//
+// Segment matching, home filtering and ranking live in
+// api/utils/segmentLeaderboard.js. Efforts from hidden or duplicate
+// activities never count.
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { setupCors } from './utils/cors.js';
+import { requireAuth } from './utils/auth.js';
+import { verifyCronAuth } from './utils/verifyCronAuth.js';
+import { decodePolyline } from './utils/polylineDecode.js';
+import {
+  BIKE_TYPES,
+  buildLeaderboard,
+  estimateHomeLocations,
+  isSameSegment,
+  pickSegmentOfTheWeek,
+  weekStartOf,
+} from './utils/segmentLeaderboard.js';
+
+const supabase = getSupabaseAdmin();
+
+const DAY_MS = 86400000;
+const MIN_MEMBERS = 2;
+const HOME_LOOKBACK_RIDES = 100;
+const RECENT_CHALLENGE_WEEKS = 6;
+// ~110 m of latitude — prefilter for member segments near a challenge start.
+const START_BOX_DEG = 0.001;
+
+const SEGMENT_FIELDS =
+  'id, user_id, display_name, start_lat, start_lng, end_lat, end_lng, distance_meters, avg_gradient, geojson, ride_count';
+
+export default async function handler(req, res) {
+  if (setupCors(req, res)) return;
+
+  if (req.method === 'GET' && req.query.action === 'post-weekly') {
+    const { authorized } = verifyCronAuth(req);
+    if (!authorized) return res.status(401).json({ error: 'Unauthorized' });
+    return handlePostWeekly(req, res);
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const authUser = await requireAuth(req, res);
+    if (!authUser) return;
+
+    const { action, cafeId } = req.body;
+    if (!cafeId) {
+      return res.status(400).json({ error: 'cafeId required' });
+    }
+    if (!(await isActiveMember(cafeId, authUser.id))) {
+      return res.status(403).json({ error: 'Not a member of this cafe' });
+    }
+
+    switch (action) {
+      case 'get_leaderboard':
+        return await getLeaderboard(req, res, authUser.id, cafeId);
+      case 'opt_in':
+        return await optIn(req, res, authUser.id, cafeId);
+      case 'opt_out':
+        return await optOut(req, res, authUser.id, cafeId);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Cafe segments API error:', error);
+    return res.status(500).json({
+      error: 'Failed to process request',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+// ── Membership ───────────────────────────────────────────────
+
+async function isActiveMember(cafeId, userId) {
+  const { data } = await supabase
+    .from('cafe_memberships')
+    .select('id')
+    .eq('cafe_id', cafeId)
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .maybeSingle();
+  return Boolean(data);
+}
+
+/**
+ * Opted-in members who are still active in the café, keyed by user id, with
+ * what the leaderboard needs from their profile.
+ */
+async function loadLeaderboardMembers(cafeId) {
+  const [optInResult, membershipResult] = await Promise.all([
+    supabase.from('cafe_leaderboard_members').select('user_id, bike_type').eq('cafe_id', cafeId),
+    supabase.from('cafe_memberships').select('user_id').eq('cafe_id', cafeId).eq('status', 'active'),
+  ]);
+  if (optInResult.error) throw optInResult.error;
+
+  const active = new Set((membershipResult.data || []).map((m) => m.user_id));
+  const optIns = (optInResult.data || []).filter((o) => active.has(o.user_id));
+  if (optIns.length === 0) return new Map();
+
+  const { data: profiles } = await supabase
+    .from('user_profiles')
+    .select('id, display_name, community_display_name, weight_kg, date_of_birth')
+    .in('id', optIns.map((o) => o.user_id));
+  const profileById = new Map((profiles || []).map((p) => [p.id, p]));
+
+  return new Map(
+    optIns.map((o) => {
+      const profile = profileById.get(o.user_id) || {};
+      return [
+        o.user_id,
+        {
+          name: profile.community_display_name || profile.display_name || null,
+          weight_kg: profile.weight_kg ?? null,
+          date_of_birth: profile.date_of_birth ?? null,
+          bike_type: o.bike_type,
+        },
+      ];
+    }),
+  );
+}
+
+// ── Leaderboard ──────────────────────────────────────────────
+
+/**
+ * Standings for a challenge: every opted-in member's efforts that week on
+ * their own copy of the segment.
+ */
+async function computeStandings(challenge, members) {
+  const userIds = [...members.keys()];
+  if (userIds.length === 0) return [];
+
+  const startLat = Number(challenge.start_lat);
+  const startLng = Number(challenge.start_lng);
+  const { data: nearby, error: segError } = await supabase
+    .from('training_segments')
+    .select(SEGMENT_FIELDS)
+    .in('user_id', userIds)
+    .is('retired_at', null)
+    .gte('start_lat', startLat - START_BOX_DEG)
+    .lte('start_lat', startLat + START_BOX_DEG)
+    .gte('start_lng', startLng - START_BOX_DEG * 1.5)
+    .lte('start_lng', startLng + START_BOX_DEG * 1.5);
+  if (segError) throw segError;
+
+  const segmentIds = (nearby || []).filter((s) => isSameSegment(s, challenge)).map((s) => s.id);
+  if (segmentIds.length === 0) return [];
+
+  const weekStartMs = Date.parse(`${challenge.week_start}T00:00:00Z`);
+  const { data: rides, error: ridesError } = await supabase
+    .from('training_segment_rides')
+    .select('user_id, activity_id, ridden_at, duration_seconds, avg_power')
+    .in('segment_id', segmentIds)
+    // Familiarity-only traversals carry no timing.
+    .not('duration_seconds', 'is', null)
+    .gte('ridden_at', new Date(weekStartMs).toISOString())
+    .lt('ridden_at', new Date(weekStartMs + 7 * DAY_MS).toISOString());
+  if (ridesError) throw ridesError;
+  if (!rides?.length) return [];
+
+  const { data: visible } = await supabase
+    .from('activities')
+    .select('id')
+    .in('id', [...new Set(rides.map((r) => r.activity_id))])
+    .is('duplicate_of', null)
+    .or('is_hidden.is.null,is_hidden.eq.false');
+  const visibleIds = new Set((visible || []).map((a) => a.id));
+
+  return buildLeaderboard(
+    rides.filter((r) => visibleIds.has(r.activity_id)),
+    members,
+  );
+}
+
+function challengeForClient(challenge, leaderboard) {
+  return {
+    id: challenge.id,
+    week_start: challenge.week_start,
+    name: challenge.name,
+    distance_meters: Number(challenge.distance_meters),
+    avg_gradient: challenge.avg_gradient === null ? null : Number(challenge.avg_gradient),
+    geojson: challenge.geojson,
+    discussion_id: challenge.discussion_id,
+    finalized: Boolean(challenge.finalized_at),
+    leaderboard,
+  };
+}
+
+async function getLeaderboard(req, res, userId, cafeId) {
+  const { data: challenges, error } = await supabase
+    .from('cafe_segment_challenges')
+    .select('*')
+    .eq('cafe_id', cafeId)
+    .order('week_start', { ascending: false })
+    .limit(2);
+  if (error) return res.status(500).json({ error: error.message });
+
+  const members = await loadLeaderboardMembers(cafeId);
+  const thisWeek = weekStartOf();
+  const current = (challenges || []).find((c) => c.week_start === thisWeek) || null;
+  const previous = (challenges || []).find((c) => c.week_start < thisWeek) || null;
+
+  const standingsFor = async (challenge) =>
+    challenge.finalized_at ? challenge.results || [] : computeStandings(challenge, members);
+
+  return res.status(200).json({
+    optedIn: members.has(userId),
+    bikeType: members.get(userId)?.bike_type ?? null,
+    optedInCount: members.size,
+    challenge: current ? challengeForClient(current, await standingsFor(current)) : null,
+    previous: previous ? challengeForClient(previous, await standingsFor(previous)) : null,
+  });
+}
+
+async function optIn(req, res, userId, cafeId) {
+  const bikeType = req.body.bikeType || 'road';
+  if (!BIKE_TYPES.includes(bikeType)) {
+    return res.status(400).json({ error: `bikeType must be one of: ${BIKE_TYPES.join(', ')}` });
+  }
+
+  const { error } = await supabase
+    .from('cafe_leaderboard_members')
+    .upsert({ cafe_id: cafeId, user_id: userId, bike_type: bikeType }, { onConflict: 'cafe_id,user_id' });
+  if (error) return res.status(500).json({ error: error.message });
+  return res.status(200).json({ success: true, optedIn: true, bikeType });
+}
+
+async function optOut(req, res, userId, cafeId) {
+  const { error } = await supabase
+    .from('cafe_leaderboard_members')
+    .delete()
+    .eq('cafe_id', cafeId)
+    .eq('user_id', userId);
+  if (error) return res.status(500).json({ error: error.message });
+  return res.status(200).json({ success: true, optedIn: false });
+}
+
+// ── Weekly job ───────────────────────────────────────────────
+
+/** Estimated home/work locations for each member, from their recent ride ends. */
+async function loadMemberHomes(userIds) {
+  const homes = [];
+  for (const userId of userIds) {
+    const { data } = await supabase
+      .from('activities')
+      .select('map_summary_polyline')
+      .eq('user_id', userId)
+      .is('duplicate_of', null)
+      .not('map_summary_polyline', 'is', null)
+      .order('start_date', { ascending: false })
+      .limit(HOME_LOOKBACK_RIDES);
+
+    const points = [];
+    for (const row of data || []) {
+      const track = decodePolyline(row.map_summary_polyline);
+      if (track.length === 0) continue;
+      points.push(track[0], track[track.length - 1]);
+    }
+    homes.push(...estimateHomeLocations(points));
+  }
+  return homes;
+}
+
+async function finalizeChallenge(challenge, members) {
+  const results = await computeStandings(challenge, members);
+  const { error } = await supabase
+    .from('cafe_segment_challenges')
+    .update({ results, finalized_at: new Date().toISOString() })
+    .eq('id', challenge.id);
+  if (error) throw error;
+  return results.length;
+}
+
+function formatChallengePost(segment, riders) {
+  const km = Number(segment.distance_meters) / 1000;
+  const length = `${km.toFixed(1)} km (${(km * 0.621371).toFixed(1)} mi)`;
+  const gradient = Number(segment.avg_gradient);
+  const grade = Number.isFinite(gradient) && Math.abs(gradient) >= 1 ? `, ${gradient.toFixed(1)}% average` : '';
+  return (
+    `This week's café segment is ${segment.display_name || 'a shared segment'} — ${length}${grade}. ` +
+    `${riders} members have ridden it before.\n\n` +
+    'Ride it any time before Sunday night. Fastest efforts from members who opted in to leaderboards ' +
+    'show on the Segments tab, ranked by time, by W/kg, and within age band and bike type.'
+  );
+}
+
+async function postChallenge(cafe, weekStart, members) {
+  const userIds = [...members.keys()];
+  const since = new Date(Date.parse(`${weekStart}T00:00:00Z`) - RECENT_CHALLENGE_WEEKS * 7 * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+  const [segmentsResult, recentResult, zonesResult, homes] = await Promise.all([
+    supabase
+      .from('training_segments')
+      .select(SEGMENT_FIELDS)
+      .in('user_id', userIds)
+      .is('retired_at', null)
+      .is('merged_into_id', null)
+      .gte('ride_count', 2)
+      .order('ride_count', { ascending: false })
+      .limit(500),
+    supabase
+      .from('cafe_segment_challenges')
+      .select('start_lat, start_lng, end_lat, end_lng, distance_meters')
+      .eq('cafe_id', cafe.id)
+      .gte('week_start', since),
+    // Real centres (service role): a zone hides the place, so no challenge
+    // may start or end inside one.
+    supabase
+      .from('privacy_zones')
+      .select('center_lat, center_lng, radius_m')
+      .in('user_id', userIds),
+    loadMemberHomes(userIds),
+  ]);
+  if (segmentsResult.error) throw segmentsResult.error;
+  if (zonesResult.error) throw zonesResult.error;
+
+  const pick = pickSegmentOfTheWeek(segmentsResult.data || [], {
+    homes,
+    zones: zonesResult.data || [],
+    recent: recentResult.data || [],
+    minRiders: MIN_MEMBERS,
+  });
+  if (!pick) return null;
+
+  const { segment, riders } = pick;
+  const { data: challenge, error } = await supabase
+    .from('cafe_segment_challenges')
+    .insert({
+      cafe_id: cafe.id,
+      week_start: weekStart,
+      source_segment_id: segment.id,
+      name: segment.display_name || 'Café segment',
+      start_lat: segment.start_lat,
+      start_lng: segment.start_lng,
+      end_lat: segment.end_lat,
+      end_lng: segment.end_lng,
+      distance_meters: segment.distance_meters,
+      avg_gradient: segment.avg_gradient,
+      geojson: segment.geojson,
+    })
+    .select('id')
+    .single();
+  if (error) throw error;
+
+  const { data: discussion, error: postError } = await supabase
+    .from('cafe_discussions')
+    .insert({
+      cafe_id: cafe.id,
+      author_id: cafe.created_by,
+      title: `Segment of the week: ${(segment.display_name || 'Café segment').slice(0, 120)}`,
+      body: formatChallengePost(segment, riders),
+      category: 'training',
+    })
+    .select('id')
+    .single();
+  if (postError) {
+    // The challenge still stands; it just isn't announced in the group chat.
+    console.warn(`Segment of the week post failed for cafe ${cafe.id}:`, postError.message);
+  } else {
+    await supabase.from('cafe_segment_challenges').update({ discussion_id: discussion.id }).eq('id', challenge.id);
+  }
+  return challenge.id;
+}
+
+async function handlePostWeekly(req, res) {
+  const weekStart = weekStartOf();
+  const summary = { cafes: 0, posted: 0, finalized: 0, skipped: [] };
+
+  try {
+    const { data: optIns, error } = await supabase.from('cafe_leaderboard_members').select('cafe_id');
+    if (error) throw error;
+    const cafeIds = [...new Set((optIns || []).map((o) => o.cafe_id))];
+
+    for (const cafeId of cafeIds) {
+      summary.cafes += 1;
+      try {
+        const members = await loadLeaderboardMembers(cafeId);
+
+        const { data: open } = await supabase
+          .from('cafe_segment_challenges')
+          .select('*')
+          .eq('cafe_id', cafeId)
+          .is('finalized_at', null)
+          .lt('week_start', weekStart);
+        for (const challenge of open || []) {
+          await finalizeChallenge(challenge, members);
+          summary.finalized += 1;
+        }
+
+        if (members.size < MIN_MEMBERS) {
+          summary.skipped.push({ cafeId, reason: 'too_few_members' });
+          continue;
+        }
+
+        const { data: existing } = await supabase
+          .from('cafe_segment_challenges')
+          .select('id')
+          .eq('cafe_id', cafeId)
+          .eq('week_start', weekStart)
+          .maybeSingle();
+        if (existing) continue;
+
+        const { data: cafe } = await supabase.from('cafes').select('id, created_by').eq('id', cafeId).single();
+        const posted = await postChallenge(cafe, weekStart, members);
+        if (posted) {
+          summary.posted += 1;
+        } else {
+          summary.skipped.push({ cafeId, reason: 'no_shared_segment' });
+        }
+      } catch (err) {
+        console.error(`Segment of the week failed for cafe ${cafeId}:`, err);
+        summary.skipped.push({ cafeId, reason: 'error' });
+      }
+    }
+
+    console.log('☕ Segment of the week:', summary);
+    return res.status(200).json({ success: true, weekStart, ...summary });
+  } catch (error) {
+    console.error('Segment of the week job error:', error);
+    return res.status(500).json({ error: 'Failed to post segments of the week' });
+  }
+}
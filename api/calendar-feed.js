@@ -0,0 +1,216 @@
+// Vercel API Route: Calendar Feed
+// iCal subscription feed of a user's planned workouts, for Google / Apple /
+// Outlook calendars, Intervals.icu and TrainingPeaks.
+//
+// GET  ?token=…            — the feed itself. The token is the only
+//                            credential; calendar clients can't send headers.
+// POST { action, userId }  — manage the token from Settings:
+//                            get | create (also rotates) | revoke
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { setupCors } from './utils/cors.js';
+import { requireAuth } from './utils/auth.js';
+import { buildCalendarFeed, generateFeedToken } from './utils/calendarFeed.js';
+
+const supabase = getSupabaseAdmin();
+
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+const MAX_FEED_WORKOUTS = 2000;
+
+function getAppUrl() {
+  return process.env.VITE_APP_URL || 'https://www.tribos.studio';
+}
+
+export default async function handler(req, res) {
+  if (setupCors(req, res)) return;
+
+  try {
+    if (req.method === 'GET') {
+      return await serveFeed(req, res);
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId required' });
+    }
+
+    const authUser = await requireAuth(req, res);
+    if (!authUser) return;
+    if (authUser.id !== userId) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    switch (action) {
+      case 'get':
+        return await getFeed(res, userId);
+      case 'create':
+        return await createFeed(res, userId);
+      case 'revoke':
+        return await revokeFeed(res, userId);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Calendar feed API error:', error);
+    return res.status(500).json({
+      error: 'Failed to process request',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+// ── Token management ─────────────────────────────────────────
+
+function feedResponse(row) {
+  if (!row) return { feed: null };
+  const url = `${getAppUrl()}/api/calendar-feed?token=${encodeURIComponent(row.token)}`;
+  return {
+    feed: {
+      url,
+      webcalUrl: url.replace(/^https?:\/\//, 'webcal://'),
+      created_at: row.created_at,
+      last_accessed_at: row.last_accessed_at,
+    },
+  };
+}
+
+async function getFeed(res, userId) {
+  const { data, error } = await supabase
+    .from('calendar_feed_tokens')
+    .select('token, created_at, last_accessed_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return res.status(200).json(feedResponse(data));
+}
+
+async function createFeed(res, userId) {
+  // Upsert on user_id: creating again rotates the secret, so any previously
+  // shared URL stops working immediately.
+  const { data, error } = await supabase
+    .from('calendar_feed_tokens')
+    .upsert(
+      {
+        user_id: userId,
+        token: generateFeedToken(),
+        created_at: new Date().toISOString(),
+        last_accessed_at: null,
+      },
+      { onConflict: 'user_id' }
+    )
+    .select('token, created_at, last_accessed_at')
+    .single();
+
+  if (error) throw error;
+  return res.status(200).json(feedResponse(data));
+}
+
+async function revokeFeed(res, userId) {
+  const { error } = await supabase
+    .from('calendar_feed_tokens')
+    .delete()
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return res.status(200).json({ feed: null });
+}
+
+// ── The feed ─────────────────────────────────────────────────
+
+function isoDateOffset(days) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+async function serveFeed(req, res) {
+  const token = typeof req.query?.token === 'string' ? req.query.token : '';
+  if (token.length < 32) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+
+  const { data: feedRow, error: tokenError } = await supabase
+    .from('calendar_feed_tokens')
+    .select('user_id')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (tokenError) throw tokenError;
+  if (!feedRow) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+
+  const userId = feedRow.user_id;
+  const from = isoDateOffset(-FEED_PAST_DAYS);
+  const to = isoDateOffset(FEED_FUTURE_DAYS);
+
+  const [workoutsResult, plansResult, tombstonesResult] = await Promise.all([
+    supabase
+      .from('planned_workouts')
+      .select('id, plan_id, scheduled_date, workout_type, workout_id, name, duration_minutes, target_tss, target_rss, target_duration, target_distance_km, completed, actual_tss, actual_rss, notes, skipped_reason, ical_sequence, updated_at')
+      .eq('user_id', userId)
+      .gte('scheduled_date', from)
+      .lte('scheduled_date', to)
+      .order('scheduled_date', { ascending: true })
+      .limit(MAX_FEED_WORKOUTS),
+    supabase
+      .from('training_plans')
+      .select('id, name, status')
+      .eq('user_id', userId),
+    supabase
+      .from('planned_workout_tombstones')
+      .select('id, scheduled_date, name, ical_sequence, deleted_at')
+      .eq('user_id', userId)
+      .gte('scheduled_date', from),
+  ]);
+
+  if (workoutsResult.error) throw workoutsResult.error;
+  if (plansResult.error) throw plansResult.error;
+  if (tombstonesResult.error) throw tombstonesResult.error;
+
+  const workouts = workoutsResult.data || [];
+  const plans = Object.fromEntries((plansResult.data || []).map((p) => [p.id, p]));
+
+  // Custom workouts carry their own description and interval structure. Not
+  // filtered by owner: a coach may have scheduled one of theirs.
+  const customIds = [...new Set(
+    workouts.map((w) => w.workout_id).filter((id) => typeof id === 'string' && id.startsWith('custom_'))
+  )];
+  let customWorkouts = {};
+  if (customIds.length > 0) {
+    const { data: customRows, error: customError } = await supabase
+      .from('custom_workouts')
+      .select('id, description, structure, coach_notes')
+      .in('id', customIds);
+    if (customError) throw customError;
+    customWorkouts = Object.fromEntries((customRows || []).map((c) => [c.id, c]));
+  }
+
+  const body = buildCalendarFeed({
+    calendarName: 'Tribos Training',
+    workouts,
+    plans,
+    tombstones: tombstonesResult.data || [],
+    customWorkouts,
+    appUrl: getAppUrl(),
+  });
+
+  // Best effort — a failed touch must not break the subscription.
+  const { error: touchError } = await supabase
+    .from('calendar_feed_tokens')
+    .update({ last_accessed_at: new Date().toISOString() })
+    .eq('user_id', userId);
+  if (touchError) console.warn('Calendar feed last_accessed_at update failed:', touchError.message);
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="tribos-training.ics"');
+  res.setHeader('Cache-Control', 'private, max-age=900');
+  return res.status(200).send(body);
+}
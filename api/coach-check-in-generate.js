@@ -13,6 +13,7 @@ import { setupCors } from './utils/cors.js';
 import { assembleCheckInContext } from './utils/checkInContext.js';
 import { PERSONA_DATA } from './utils/personaData.js';
 import { buildCoachVoiceRules } from './utils/coachVoiceRules.js';
+import { dispatchNotification } from './utils/notificationDispatcher.js';
 
 const supabaseAdmin = getSupabaseAdmin();
 
@@ -229,6 +230,17 @@ async function generateCheckIn(checkIn) {
       .eq('id', checkIn.id);
 
     console.log(`✅ Check-in generated for activity ${checkIn.activity_id}`);
+
+    // Let the rider know their coach has weighed in (fire-and-forget)
+    const summary = parsed.recommendation || parsed.narrative || '';
+    dispatchNotification(checkIn.user_id, {
+      type: 'coach_check_in',
+      title: `${(PERSONA_DATA[personaId] || PERSONA_DATA.pragmatist).name} checked in`,
+      body: summary.length > 140 ? `${summary.slice(0, 137)}...` : summary,
+      url: '/train?tab=coach',
+      referenceId: checkIn.id,
+    }).catch((e) => console.error('⚠️ Check-in notification failed (non-fatal):', e.message));
+
     return true;
   } catch (error) {
     // Mark as failed with error message
@@ -0,0 +1,330 @@
+// Vercel API Route: Coach Workspace
+// Coach ↔ athlete relationships (invite, accept, revoke), the coach's roster
+// summary and the audit log of coach edits to an athlete's calendar.
+//
+// Relationship rows are written here only (service role); the client reads
+// athlete data directly through the coach RLS policies in migration 114.
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { setupCors } from './utils/cors.js';
+import { requireAuth } from './utils/auth.js';
+import { normalizeInviteEmail, summarizeAthlete, sortRoster } from './utils/coachRoster.js';
+
+const supabase = getSupabaseAdmin();
+
+const ROSTER_LOAD_DAYS = 14;
+const MAX_AUDIT_ROWS = 200;
+
+export default async function handler(req, res) {
+  if (setupCors(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { action, userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId required' });
+    }
+
+    const authUser = await requireAuth(req, res);
+    if (!authUser) return;
+    if (authUser.id !== userId) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    switch (action) {
+      case 'invite_athlete':
+        return await inviteAthlete(req, res, authUser);
+      case 'list_invitations':
+        return await listInvitations(req, res, authUser);
+      case 'respond_invitation':
+        return await respondInvitation(req, res, authUser);
+      case 'list_roster':
+        return await listRoster(req, res, userId);
+      case 'update_athlete':
+        return await updateAthlete(req, res, userId);
+      case 'remove_athlete':
+        return await removeAthlete(req, res, userId);
+      case 'get_audit_log':
+        return await getAuditLog(req, res, userId);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Coach workspace API error:', error);
+    return res.status(500).json({
+      error: 'Failed to process request',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+// ── Invite an athlete by email ───────────────────────────────
+
+async function inviteAthlete(req, res, authUser) {
+  const { email, canEditPlan = true } = req.body;
+  const inviteEmail = normalizeInviteEmail(email);
+  if (!inviteEmail) return res.status(400).json({ error: 'Valid email required' });
+  if (inviteEmail === normalizeInviteEmail(authUser.email)) {
+    return res.status(400).json({ error: 'You cannot coach yourself' });
+  }
+
+  const { data: existing } = await supabase
+    .from('coach_athletes')
+    .select('id, status')
+    .eq('coach_id', authUser.id)
+    .eq('invite_email', inviteEmail)
+    .in('status', ['pending', 'active'])
+    .maybeSingle();
+
+  if (existing) {
+    return res.status(409).json({
+      error: existing.status === 'active' ? 'Athlete is already on your roster' : 'Invitation already pending',
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('coach_athletes')
+    .insert({
+      coach_id: authUser.id,
+      invite_email: inviteEmail,
+      can_edit_plan: canEditPlan !== false,
+    })
+    .select('*')
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+  return res.status(200).json({ invitation: data });
+}
+
+// ── Athlete side: pending invitations + current coaches ─────
+
+async function listInvitations(req, res, authUser) {
+  const email = normalizeInviteEmail(authUser.email);
+
+  const [pendingResult, activeResult] = await Promise.all([
+    email
+      ? supabase
+          .from('coach_athletes')
+          .select('id, coach_id, can_edit_plan, invited_at')
+          .eq('invite_email', email)
+          .eq('status', 'pending')
+          .order('invited_at', { ascending: false })
+      : Promise.resolve({ data: [] }),
+    supabase
+      .from('coach_athletes')
+      .select('id, coach_id, can_edit_plan, responded_at')
+      .eq('athlete_id', authUser.id)
+      .eq('status', 'active'),
+  ]);
+
+  if (pendingResult.error) return res.status(500).json({ error: pendingResult.error.message });
+  if (activeResult.error) return res.status(500).json({ error: activeResult.error.message });
+
+  const pending = pendingResult.data || [];
+  const active = activeResult.data || [];
+  const coachNames = await fetchDisplayNames([...pending, ...active].map((r) => r.coach_id));
+  const withName = (row) => ({ ...row, coach_name: coachNames[row.coach_id] || 'Coach' });
+
+  return res.status(200).json({
+    invitations: pending.map(withName),
+    coaches: active.map(withName),
+  });
+}
+
+async function respondInvitation(req, res, authUser) {
+  const { relationshipId, accept } = req.body;
+  if (!relationshipId) return res.status(400).json({ error: 'relationshipId required' });
+
+  const { data: invitation, error: fetchError } = await supabase
+    .from('coach_athletes')
+    .select('*')
+    .eq('id', relationshipId)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  if (fetchError) return res.status(500).json({ error: fetchError.message });
+  // Invitations are addressed to an email; only the account holding it may answer.
+  if (!invitation || invitation.invite_email !== normalizeInviteEmail(authUser.email)) {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+  if (invitation.coach_id === authUser.id) {
+    return res.status(400).json({ error: 'You cannot coach yourself' });
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('coach_athletes')
+    .update({
+      athlete_id: authUser.id,
+      status: accept ? 'active' : 'declined',
+      responded_at: now,
+      updated_at: now,
+    })
+    .eq('id', relationshipId)
+    .select('*')
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+  return res.status(200).json({ relationship: data });
+}
+
+// ── Coach side: roster ──────────────────────────────────────
+
+async function listRoster(req, res, userId) {
+  const { data: relationships, error } = await supabase
+    .from('coach_athletes')
+    .select('*')
+    .eq('coach_id', userId)
+    .in('status', ['pending', 'active'])
+    .order('invited_at', { ascending: true });
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  const active = (relationships || []).filter((r) => r.status === 'active' && r.athlete_id);
+  const pending = (relationships || []).filter((r) => r.status === 'pending');
+  if (active.length === 0) {
+    return res.status(200).json({ athletes: [], pending });
+  }
+
+  const athleteIds = active.map((r) => r.athlete_id);
+  const today = new Date().toISOString().split('T')[0];
+  const loadSince = new Date(Date.now() - ROSTER_LOAD_DAYS * 86400000).toISOString().split('T')[0];
+  const efiSince = new Date(Date.now() - 28 * 86400000).toISOString();
+  const evidenceSince = new Date(Date.now() - 21 * 86400000).toISOString().split('T')[0];
+
+  // fitness_evidence_weekly is server-only; this is the coach's sole reader.
+  const [profilesResult, loadResult, efiResult, evidenceResult] = await Promise.all([
+    supabase.from('user_profiles').select('id, display_name, ftp').in('id', athleteIds),
+    supabase
+      .from('training_load_daily')
+      .select('user_id, date, tfi, afi, form_score')
+      .in('user_id', athleteIds)
+      .gte('date', loadSince),
+    supabase
+      .from('activity_efi')
+      .select('user_id, efi, efi_28d, computed_at')
+      .in('user_id', athleteIds)
+      .gte('computed_at', efiSince),
+    supabase
+      .from('fitness_evidence_weekly')
+      .select('user_id, week, verdict, confidence, model_divergence, narrative_facts')
+      .in('user_id', athleteIds)
+      .gte('week', evidenceSince),
+  ]);
+
+  // Load drives every roster line; the other sources only add columns/flags
+  if (loadResult.error) return res.status(500).json({ error: loadResult.error.message });
+  for (const [source, result] of [['activity_efi', efiResult], ['fitness_evidence_weekly', evidenceResult], ['user_profiles', profilesResult]]) {
+    if (result.error) console.error(`Roster ${source} query failed:`, result.error.message);
+  }
+
+  const byUser = (rows) => {
+    const map = {};
+    for (const row of rows || []) (map[row.user_id] ||= []).push(row);
+    return map;
+  };
+  const profiles = Object.fromEntries((profilesResult.data || []).map((p) => [p.id, p]));
+  const load = byUser(loadResult.data);
+  const efi = byUser(efiResult.data);
+  const evidence = byUser(evidenceResult.data);
+
+  const athletes = sortRoster(active.map((relationship) => summarizeAthlete({
+    relationship,
+    profile: profiles[relationship.athlete_id] || null,
+    loadRows: load[relationship.athlete_id] || [],
+    efiRows: efi[relationship.athlete_id] || [],
+    evidenceRows: evidence[relationship.athlete_id] || [],
+    today,
+  })));
+
+  return res.status(200).json({ athletes, pending });
+}
+
+async function updateAthlete(req, res, userId) {
+  const { relationshipId, canEditPlan } = req.body;
+  if (!relationshipId) return res.status(400).json({ error: 'relationshipId required' });
+  if (typeof canEditPlan !== 'boolean') return res.status(400).json({ error: 'canEditPlan required' });
+
+  const { data, error } = await supabase
+    .from('coach_athletes')
+    .update({ can_edit_plan: canEditPlan, updated_at: new Date().toISOString() })
+    .eq('id', relationshipId)
+    .eq('coach_id', userId)
+    .select('*')
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: 'Athlete not found' });
+  return res.status(200).json({ relationship: data });
+}
+
+// Either side may end a relationship; a coach can also withdraw a pending invite.
+async function removeAthlete(req, res, userId) {
+  const { relationshipId } = req.body;
+  if (!relationshipId) return res.status(400).json({ error: 'relationshipId required' });
+
+  const { data, error } = await supabase
+    .from('coach_athletes')
+    .update({ status: 'revoked', updated_at: new Date().toISOString() })
+    .eq('id', relationshipId)
+    .or(`coach_id.eq.${userId},athlete_id.eq.${userId}`)
+    .in('status', ['pending', 'active'])
+    .select('id, status')
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: 'Relationship not found' });
+  return res.status(200).json({ relationship: data });
+}
+
+// ── Audit log ───────────────────────────────────────────────
+
+async function getAuditLog(req, res, userId) {
+  const { athleteId = userId, limit = 50 } = req.body;
+
+  if (athleteId !== userId) {
+    const { data: relationship } = await supabase
+      .from('coach_athletes')
+      .select('id')
+      .eq('coach_id', userId)
+      .eq('athlete_id', athleteId)
+      .eq('status', 'active')
+      .maybeSingle();
+    if (!relationship) return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const { data, error } = await supabase
+    .from('coach_plan_audit')
+    .select('id, coach_id, athlete_id, record_id, action, before, after, created_at')
+    .eq('athlete_id', athleteId)
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), MAX_AUDIT_ROWS));
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  const coachNames = await fetchDisplayNames((data || []).map((r) => r.coach_id));
+  const entries = (data || []).map((row) => ({
+    ...row,
+    coach_name: coachNames[row.coach_id] || 'Coach',
+  }));
+
+  return res.status(200).json({ entries });
+}
+
+// ── Helpers ─────────────────────────────────────────────────
+
+async function fetchDisplayNames(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const { data } = await supabase
+    .from('user_profiles')
+    .select('id, display_name')
+    .in('id', ids);
+
+  return Object.fromEntries((data || []).map((p) => [p.id, p.display_name]));
+}
@@ -1175,6 +1175,7 @@ IMPORTANT: Use the query_fitness_history tool ONLY for historical comparisons (p
 When discussing individual rides, you can reference these advanced metrics stored in each activity's ride_analytics field:
 - **Pacing analysis**: strategy (even/negative/positive split), power fade %, quarter-by-quarter power
 - **Match burning**: surges above FTP/CP — count, total work above threshold, peak match watts
+- **W′ balance**: anaerobic reserve replayed against the athlete's fitted CP/W′ — lowest W′bal (% of W′), time below 25%, full depletions (how deep they dug in a race)
 - **Fatigue resistance**: index (1.0 = no fade), power decile breakdown, cardiac drift
 - **HR zone distribution**: time in each HR zone (% breakdown)
 - **Cadence analysis**: avg/peak cadence, distribution buckets, coasting %, cadence-power correlation
@@ -1226,6 +1227,8 @@ Note: This is per-activity classification. A mixed-surface ride tagged as "Ride"
 
 **Tip**: For percentage questions, use sum_distance_km grouped by type, then calculate percentages from the results.
 
+**Intensity distribution**: For "am I training polarized/pyramidal?", "too much tempo?", or "is my riding matching the block?", call query_training_data with aggregation 'intensity_distribution'. It returns the three-zone split (low below LT1, mid LT1–LT2, high above LT2) per week and for the active block, the block's target split, and drift flags. Lead with the drift flags when there are any.
+
 **IMPORTANT**: This tool queries individual activities, NOT fitness metrics (TFI/AFI/FS). Use query_fitness_history for fitness trend questions and query_training_data for activity-level questions.
 
 **FUELING GUIDANCE:**
@@ -1,20 +1,22 @@
 // Vercel API Route: COROS Webhook Event Processor (Cron)
 // Processes unprocessed events stored by the webhook handler.
-// Runs every 2 minutes via Vercel cron.
+// Runs every 5 minutes via Vercel cron.
 //
-// Retry strategy: exponential backoff (1m, 2m, 4m, 8m, 16m, 32m)
-// Max retries: 6 (gives up after ~1 hour of failures)
+// Retry budget, backoff and dead-lettering are shared with the Strava and
+// Wahoo queues: api/utils/webhookQueue.js
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { checkForDuplicate, mergeActivityData } from './utils/activityDedup.js';
 import { completeActivationStep, enqueueProactiveInsight } from './utils/activation.js';
-import { sendPushToUser, buildPostRideMessage } from './utils/pushNotification.js';
+import { buildPostRideMessage } from './utils/pushNotification.js';
+import { dispatchNotification } from './utils/notificationDispatcher.js';
 import { buildCorosActivityData } from './utils/coros/activityBuilder.js';
 import { updateSnapshotForActivity } from './utils/fitnessSnapshots.js';
+import { fetchReadyEvents, scheduleRetry } from './utils/webhookQueue.js';
+import { captureServerError } from './utils/serverSentry.js';
 
 const supabase = getSupabaseAdmin();
 
-const MAX_RETRIES = 6;
 const BATCH_SIZE = 20;
 
 export default async function handler(req, res) {
@@ -26,29 +28,19 @@ export default async function handler(req, res) {
 
   console.log('=== COROS Webhook Processor Started ===');
 
-  const results = { processed: 0, failed: 0, skipped: 0, retried: 0 };
+  const results = { processed: 0, skipped: 0, retried: 0, deadLettered: 0 };
 
   try {
     // Fetch unprocessed events that are ready for processing
-    const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-    const now = new Date().toISOString();
-
-    const { data: events, error: queryError } = await supabase
-      .from('coros_webhook_events')
-      .select('*')
-      .eq('processed', false)
-      .lt('retry_count', MAX_RETRIES)
-      .gte('created_at', cutoff)
-      .or(`next_retry_at.is.null,next_retry_at.lte.${now}`)
-      .order('created_at', { ascending: true })
-      .limit(BATCH_SIZE);
-
-    if (queryError) {
+    let events;
+    try {
+      events = await fetchReadyEvents(supabase, 'coros', { limit: BATCH_SIZE });
+    } catch (queryError) {
       console.error('Failed to query COROS events:', queryError);
       return res.status(500).json({ error: 'Query failed', details: queryError.message });
     }
 
-    if (!events || events.length === 0) {
+    if (events.length === 0) {
       console.log('No COROS events to process');
       return res.status(200).json({ success: true, message: 'No events to process', ...results });
     }
@@ -63,8 +55,23 @@ export default async function handler(req, res) {
         await processWorkoutEvent(event, results, integrationCache);
       } catch (error) {
         console.error(`Error processing COROS event ${event.id}:`, error.message);
-        await scheduleRetry(event, error.message);
-        results.failed++;
+        const { deadLettered, retryCount, nextRetryAt } = await scheduleRetry(supabase, 'coros', event, error.message);
+        if (deadLettered) {
+          results.deadLettered++;
+          console.error(`🚨 COROS event ${event.id} (workout_id=${event.workout_id}) dead-lettered: ${error.message}`);
+          captureServerError(error, {
+            tag: 'coros.activity_lost',
+            extra: {
+              event_id: event.id,
+              workout_id: event.workout_id,
+              coros_user_id: event.coros_user_id,
+              user_id: event.user_id,
+            },
+          });
+        } else {
+          results.retried++;
+          console.log(`🔄 COROS event ${event.id} scheduled for retry ${retryCount} at ${nextRetryAt}`);
+        }
       }
     }
 
@@ -191,7 +198,7 @@ async function processWorkoutEvent(event, results, integrationCache) {
     // Non-blocking
   }
 
-  // Send post-ride push notification (fire-and-forget)
+  // Send post-ride notification (fire-and-forget)
   try {
     const { data: latestLoad } = await supabase
       .from('training_load_daily')
@@ -202,14 +209,14 @@ async function processWorkoutEvent(event, results, integrationCache) {
       .maybeSingle();
 
     const message = buildPostRideMessage(latestLoad);
-    sendPushToUser(userId, {
+    dispatchNotification(userId, {
       ...message,
       url: '/dashboard',
-      notificationType: 'post_ride_insight',
+      type: 'post_ride_insight',
       referenceId: inserted.id,
-    }).catch((e) => console.error('⚠️ Push notification failed (non-fatal):', e.message));
+    }).catch((e) => console.error('⚠️ Post-ride notification failed (non-fatal):', e.message));
   } catch (pushError) {
-    console.error('⚠️ Push notification failed (non-fatal):', pushError.message);
+    console.error('⚠️ Post-ride notification failed (non-fatal):', pushError.message);
   }
 }
 
@@ -228,40 +235,3 @@ async function markEventProcessed(eventId, activityImportedId, error = null) {
     })
     .eq('id', eventId);
 }
-
-/**
- * Schedule a retry with exponential backoff
- */
-async function scheduleRetry(event, errorMessage) {
-  const retryCount = (event.retry_count || 0) + 1;
-  const backoffMinutes = Math.pow(2, retryCount - 1); // 1, 2, 4, 8, 16, 32
-  const nextRetryAt = new Date(Date.now() + backoffMinutes * 60 * 1000).toISOString();
-
-  if (retryCount >= MAX_RETRIES) {
-    // Give up after max retries
-    await supabase
-      .from('coros_webhook_events')
-      .update({
-        retry_count: retryCount,
-        process_error: `Max retries exceeded. Last error: ${errorMessage}`,
-        processed: true,
-        processed_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', event.id);
-
-    console.log(`❌ COROS event ${event.id} exceeded max retries`);
-  } else {
-    await supabase
-      .from('coros_webhook_events')
-      .update({
-        retry_count: retryCount,
-        next_retry_at: nextRetryAt,
-        process_error: errorMessage,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', event.id);
-
-    console.log(`🔄 COROS event ${event.id} scheduled for retry ${retryCount} at ${nextRetryAt}`);
-  }
-}
@@ -4,7 +4,7 @@
 //
 // ARCHITECTURE: Store-and-respond pattern (same as Garmin)
 // 1. This handler ONLY stores events and returns 200 (fast response)
-// 2. Processing happens via api/coros-webhook-process.js (cron, every minute)
+// 2. Processing happens via api/coros-webhook-process.js (cron, every 5 minutes)
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { setupCors } from './utils/cors.js';
@@ -0,0 +1,249 @@
+/**
+ * Cron: Behavioral Email Journeys
+ * Schedule: hourly at :15
+ *
+ * Enrolls users whose training or activation events match a journey trigger,
+ * then sends every due step. Before each step the journey's exit condition
+ * is checked (e.g. the ride synced, a new plan started), suppressed and
+ * opted-out addresses are exited, and steps that land in the user's quiet
+ * hours or over the per-user frequency cap are deferred. Journey definitions: api/utils/emailJourneys.js.
+ */
+
+import { Resend } from 'resend';
+import { getSupabaseAdmin } from '../utils/supabaseAdmin.js';
+import {
+  JOURNEYS,
+  checkFrequencyCap,
+  renderJourneyEmail,
+} from '../utils/emailJourneys.js';
+import { loadNotificationSettings, planDelivery } from '../utils/notificationDispatcher.js';
+
+const supabase = getSupabaseAdmin();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+export default async function handler(req, res) {
+  const { verifyCronAuth } = await import('../utils/verifyCronAuth.js');
+  if (!verifyCronAuth(req).authorized) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const resendKey = process.env.RESEND_API_KEY;
+  if (!resendKey) {
+    return res.status(200).json({ skipped: true, reason: 'RESEND_API_KEY not configured' });
+  }
+
+  try {
+    const now = new Date();
+    const enrolled = await enrollCandidates(now);
+    const results = await processDueEnrollments(new Resend(resendKey), now);
+
+    console.log(`📧 Email journeys: enrolled ${JSON.stringify(enrolled)}, ${JSON.stringify(results)}`);
+    return res.status(200).json({ enrolled, ...results });
+  } catch (error) {
+    console.error('Email journeys cron error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+async function enrollCandidates(now) {
+  const enrolled = {};
+
+  for (const [journeyKey, journey] of Object.entries(JOURNEYS)) {
+    enrolled[journeyKey] = 0;
+    let candidates;
+    try {
+      candidates = await journey.findCandidates(supabase, now);
+    } catch (err) {
+      // One broken trigger query shouldn't stop the other journeys.
+      console.error(`Journey ${journeyKey} trigger failed:`, err.message);
+      continue;
+    }
+    if (candidates.length === 0) continue;
+
+    // The (user, journey, trigger) unique key makes re-running idempotent:
+    // users already enrolled for this trigger are left alone.
+    const { data, error } = await supabase
+      .from('email_journey_enrollments')
+      .upsert(
+        candidates.map((c) => ({
+          user_id: c.userId,
+          journey_key: journeyKey,
+          trigger_key: c.triggerKey,
+          context: c.context,
+          next_step_at: new Date(now.getTime() + journey.steps[0].delayDays * DAY_MS).toISOString(),
+        })),
+        { onConflict: 'user_id,journey_key,trigger_key', ignoreDuplicates: true }
+      )
+      .select('id');
+
+    if (error) {
+      console.error(`Journey ${journeyKey} enrollment failed:`, error.message);
+      continue;
+    }
+    enrolled[journeyKey] = data?.length || 0;
+  }
+
+  return enrolled;
+}
+
+async function processDueEnrollments(resend, now) {
+  const results = { sent: 0, completed: 0, exited: 0, deferred: 0, failed: 0 };
+
+  const { data: due, error } = await supabase
+    .from('email_journey_enrollments')
+    .select('*')
+    .eq('status', 'active')
+    .lte('next_step_at', now.toISOString())
+    .order('next_step_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw new Error(`Failed to load due enrollments: ${error.message}`);
+
+  for (const enrollment of due || []) {
+    const journey = JOURNEYS[enrollment.journey_key];
+    const step = journey?.steps[enrollment.current_step];
+    if (!step) {
+      await finishEnrollment(enrollment.id, 'exited', now, journey ? 'no_more_steps' : 'unknown_journey');
+      results.exited++;
+      continue;
+    }
+
+    try {
+      const exitReason = await journey.checkExit(supabase, enrollment, now);
+      if (exitReason) {
+        await finishEnrollment(enrollment.id, 'exited', now, exitReason);
+        results.exited++;
+        continue;
+      }
+
+      const { data: { user: authUser } } = await supabase.auth.admin.getUserById(enrollment.user_id);
+      if (!authUser?.email) {
+        await finishEnrollment(enrollment.id, 'exited', now, 'no_email');
+        results.exited++;
+        continue;
+      }
+      const email = authUser.email.toLowerCase();
+
+      const { data: suppressed } = await supabase
+        .from('email_suppressions')
+        .select('reason')
+        .eq('email', email)
+        .maybeSingle();
+      if (suppressed) {
+        await finishEnrollment(enrollment.id, 'exited', now, `suppressed_${suppressed.reason}`);
+        results.exited++;
+        continue;
+      }
+
+      // Journeys count as campaign email in the notification preference
+      // center: opted-out users exit, quiet hours push the step back.
+      const { prefs, timezone, displayName } = await loadNotificationSettings(enrollment.user_id);
+      const { email: plan } = planDelivery(prefs, 'campaign', { now, timezone, channels: ['email'] });
+      if (plan.action === 'skip') {
+        await finishEnrollment(enrollment.id, 'exited', now, plan.reason);
+        results.exited++;
+        continue;
+      }
+      if (plan.action === 'defer') {
+        await deferEnrollment(enrollment.id, plan.deliverAfter, now);
+        results.deferred++;
+        continue;
+      }
+
+      const { data: recent } = await supabase
+        .from('email_journey_sends')
+        .select('sent_at')
+        .eq('user_id', enrollment.user_id)
+        .neq('status', 'failed')
+        .gte('sent_at', new Date(now.getTime() - 7 * DAY_MS).toISOString());
+      const cap = checkFrequencyCap((recent || []).map((r) => r.sent_at), now);
+      if (!cap.allowed) {
+        await deferEnrollment(enrollment.id, cap.retryAt, now);
+        results.deferred++;
+        continue;
+      }
+
+      const name = displayName || email.split('@')[0];
+
+      const sendResult = await sendStep(resend, enrollment, step, { email, name });
+      if (sendResult.sent) results.sent++;
+      else results.failed++;
+
+      await advanceEnrollment(enrollment, journey, now);
+      if (enrollment.current_step + 1 >= journey.steps.length) results.completed++;
+    } catch (err) {
+      console.error(`Journey step failed for enrollment ${enrollment.id}:`, err.message);
+      results.failed++;
+    }
+  }
+
+  return results;
+}
+
+async function sendStep(resend, enrollment, step, { email, name }) {
+  const content = step.content(enrollment.context || {});
+  const row = {
+    enrollment_id: enrollment.id,
+    user_id: enrollment.user_id,
+    journey_key: enrollment.journey_key,
+    step_index: enrollment.current_step,
+    email,
+  };
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: 'Tribos Studio <onboarding@tribos.studio>',
+      to: [email],
+      subject: step.subject,
+      html: renderJourneyEmail({ name, ...content }),
+    });
+    if (error) throw new Error(error.message);
+
+    await supabase.from('email_journey_sends').insert({ ...row, resend_email_id: data?.id || null });
+    return { sent: true };
+  } catch (err) {
+    // Recorded as failed and the journey moves on — retrying a marketing
+    // email risks sending it twice.
+    console.error(`Journey email failed for ${enrollment.user_id}:`, err.message);
+    await supabase.from('email_journey_sends').insert({ ...row, status: 'failed', error_message: err.message });
+    return { sent: false };
+  }
+}
+
+async function deferEnrollment(enrollmentId, until, now) {
+  await supabase
+    .from('email_journey_enrollments')
+    .update({ next_step_at: until.toISOString(), updated_at: now.toISOString() })
+    .eq('id', enrollmentId);
+}
+
+async function advanceEnrollment(enrollment, journey, now) {
+  const nextStep = enrollment.current_step + 1;
+  if (nextStep >= journey.steps.length) {
+    return finishEnrollment(enrollment.id, 'completed', now, null, nextStep);
+  }
+
+  await supabase
+    .from('email_journey_enrollments')
+    .update({
+      current_step: nextStep,
+      next_step_at: new Date(now.getTime() + journey.steps[nextStep].delayDays * DAY_MS).toISOString(),
+      updated_at: now.toISOString(),
+    })
+    .eq('id', enrollment.id);
+}
+
+async function finishEnrollment(id, status, now, exitReason, currentStep) {
+  const update = {
+    status,
+    exit_reason: exitReason,
+    next_step_at: null,
+    finished_at: now.toISOString(),
+    updated_at: now.toISOString(),
+  };
+  if (currentStep !== undefined) update.current_step = currentStep;
+
+  await supabase.from('email_journey_enrollments').update(update).eq('id', id);
+}
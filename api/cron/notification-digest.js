@@ -0,0 +1,241 @@
+/**
+ * Cron: Notification Delivery & Daily Digest
+ * Schedule: hourly at :05
+ *
+ * 1. Fans new forum replies, quotes and mentions (forum_notifications rows,
+ *    created by database triggers) out to push/email through the
+ *    notification dispatcher.
+ * 2. Dispatches new gear maintenance alerts for riders whose gear mileage
+ *    changed recently — sent right away, held for quiet hours, or queued
+ *    for the digest like any other low-priority notification.
+ * 3. Releases push/email that quiet hours held in notification_queue once
+ *    the user's window has ended.
+ * 4. Sends the daily digest to users whose local time is their digest hour:
+ *    the queued low-priority items, in one email.
+ */
+
+import { getSupabaseAdmin } from '../utils/supabaseAdmin.js';
+import {
+  deliverNow,
+  dispatchNotification,
+  getOptedOutUserIds,
+  isDigestDue,
+  loadNotificationSettings,
+  renderDigestEmail,
+  sendUserEmail,
+} from '../utils/notificationDispatcher.js';
+import { computeGearAlerts } from '../utils/gearAlerts.js';
+
+const supabase = getSupabaseAdmin();
+
+const FORUM_LOOKBACK_HOURS = 2;
+const GEAR_LOOKBACK_HOURS = 2;
+const BATCH_SIZE = 200;
+
+export default async function handler(req, res) {
+  const { verifyCronAuth } = await import('../utils/verifyCronAuth.js');
+  if (!verifyCronAuth(req).authorized) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const now = new Date();
+    const forum = await fanOutForumNotifications(now);
+    const gear = await dispatchGearAlerts(now);
+    const released = await releaseHeldNotifications(now);
+    const digests = await sendDigests(now);
+
+    console.log(`🔔 Notifications: forum ${JSON.stringify(forum)}, gear ${JSON.stringify(gear)}, released ${released}, digests ${JSON.stringify(digests)}`);
+    return res.status(200).json({ forum, gear, released, digests });
+  } catch (error) {
+    console.error('Notification digest cron error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+async function fanOutForumNotifications(now) {
+  const results = { dispatched: 0, skipped: 0 };
+
+  // Overlapping lookback so a late or missed run doesn't drop anything;
+  // the reference_id check below keeps each row to one dispatch.
+  const { data: rows, error } = await supabase
+    .from('forum_notifications')
+    .select(`
+      id, user_id, thread_id, type,
+      actor:user_profiles!forum_notifications_actor_id_profile_fkey(display_name, community_display_name),
+      thread:forum_threads!forum_notifications_thread_id_fkey(title)
+    `)
+    .is('read_at', null)
+    .gte('created_at', new Date(now.getTime() - FORUM_LOOKBACK_HOURS * 60 * 60 * 1000).toISOString())
+    .limit(BATCH_SIZE);
+
+  if (error) throw new Error(`Failed to load forum notifications: ${error.message}`);
+
+  for (const row of rows || []) {
+    const [{ count: logged }, { count: queued }] = await Promise.all([
+      supabase.from('notification_log').select('id', { count: 'exact', head: true })
+        .eq('notification_type', 'forum_reply').eq('reference_id', row.id),
+      supabase.from('notification_queue').select('id', { count: 'exact', head: true })
+        .eq('notification_type', 'forum_reply').eq('reference_id', row.id),
+    ]);
+    if (logged > 0 || queued > 0) {
+      results.skipped++;
+      continue;
+    }
+
+    const actor = row.actor?.community_display_name || row.actor?.display_name || 'Someone';
+    const verb = row.type === 'quote' ? 'quoted you' : row.type === 'mention' ? 'mentioned you' : 'replied';
+    await dispatchNotification(row.user_id, {
+      type: 'forum_reply',
+      title: `${actor} ${verb} in "${row.thread?.title || 'a thread'}"`,
+      body: null,
+      url: `/community?thread=${row.thread_id}`,
+      referenceId: row.id,
+    }, { now });
+    results.dispatched++;
+  }
+
+  return results;
+}
+
+async function dispatchGearAlerts(now) {
+  const results = { dispatched: 0, skipped: 0 };
+
+  // Gear distance only grows when an activity is logged against it
+  // (increment_gear_distance bumps updated_at), so recently updated gear is where
+  // new alerts can appear. The window overlaps like the forum lookback.
+  const { data: updated, error } = await supabase
+    .from('gear_items')
+    .select('user_id')
+    .eq('status', 'active')
+    .gte('updated_at', new Date(now.getTime() - GEAR_LOOKBACK_HOURS * 60 * 60 * 1000).toISOString())
+    .limit(BATCH_SIZE);
+
+  if (error) throw new Error(`Failed to load updated gear: ${error.message}`);
+
+  const userIds = [...new Set((updated || []).map((g) => g.user_id))];
+  const optedOut = await getOptedOutUserIds(userIds, 'gear_alert', 'email');
+
+  for (const userId of userIds.filter((id) => !optedOut.has(id))) {
+    try {
+      for (const alert of await computeGearAlerts(supabase, userId)) {
+        const key = `${alert.gearItemId}:${alert.componentId || 'item'}:${alert.type}`;
+        const [{ count: logged }, { count: queued }] = await Promise.all([
+          supabase.from('notification_log').select('id', { count: 'exact', head: true })
+            .eq('user_id', userId).eq('notification_type', 'gear_alert').eq('reference_id', key),
+          supabase.from('notification_queue').select('id', { count: 'exact', head: true })
+            .eq('user_id', userId).eq('notification_type', 'gear_alert').eq('reference_id', key),
+        ]);
+        if (logged > 0 || queued > 0) {
+          results.skipped++;
+          continue;
+        }
+
+        await dispatchNotification(userId, {
+          type: 'gear_alert',
+          title: `${alert.gearName}${alert.componentType ? ` — ${alert.componentType}` : ''}`,
+          body: alert.type === 'replace' ? 'Needs replacement' : 'Maintenance due',
+          url: '/gear',
+          referenceId: key,
+        }, { now });
+        results.dispatched++;
+      }
+    } catch (err) {
+      console.error(`Gear alerts failed for ${userId}:`, err.message);
+    }
+  }
+
+  return results;
+}
+
+async function releaseHeldNotifications(now) {
+  const { data: held, error } = await supabase
+    .from('notification_queue')
+    .select('*')
+    .in('channel', ['push', 'email'])
+    .is('delivered_at', null)
+    .lte('deliver_after', now.toISOString())
+    .order('deliver_after', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw new Error(`Failed to load held notifications: ${error.message}`);
+
+  let released = 0;
+  for (const item of held || []) {
+    try {
+      await deliverNow(item.channel, item.user_id, {
+        type: item.notification_type,
+        title: item.title,
+        body: item.body,
+        url: item.url,
+        referenceId: item.reference_id,
+      });
+      released++;
+    } catch (err) {
+      console.error(`Held ${item.channel} notification ${item.id} failed:`, err.message);
+    }
+    // Marked either way — a held notification gets one delivery attempt,
+    // like a real-time one.
+    await supabase
+      .from('notification_queue')
+      .update({ delivered_at: now.toISOString() })
+      .eq('id', item.id);
+  }
+  return released;
+}
+
+async function sendDigests(now) {
+  const results = { sent: 0, empty: 0 };
+
+  // Every digest subscriber; isDigestDue picks those whose local digest hour is now.
+  const { data: subscribers, error } = await supabase
+    .from('notification_preferences')
+    .select('user_id')
+    .eq('digest_enabled', true);
+
+  if (error) throw new Error(`Failed to load digest subscribers: ${error.message}`);
+
+  for (const { user_id: userId } of subscribers || []) {
+    try {
+      const { prefs, timezone, displayName } = await loadNotificationSettings(userId);
+      if (!isDigestDue(prefs, now, timezone)) continue;
+
+      const { data: queued } = await supabase
+        .from('notification_queue')
+        .select('id, title, body, url')
+        .eq('user_id', userId)
+        .eq('channel', 'digest')
+        .is('delivered_at', null)
+        .order('created_at', { ascending: true });
+
+      const items = (queued || []).map(({ title, body, url }) => ({ title, body, url }));
+
+      if (items.length === 0) {
+        results.empty++;
+        continue;
+      }
+
+      const result = await sendUserEmail(userId, {
+        type: 'digest',
+        subject: `Your tribos.studio digest — ${items.length} update${items.length === 1 ? '' : 's'}`,
+        render: (email) => renderDigestEmail({ name: displayName || email.split('@')[0], items }),
+      });
+      if (!result.sent) continue;
+
+      const sentAt = now.toISOString();
+      await supabase
+        .from('notification_queue')
+        .update({ delivered_at: sentAt })
+        .in('id', queued.map((q) => q.id));
+      await supabase
+        .from('notification_preferences')
+        .update({ last_digest_sent_at: sentAt })
+        .eq('user_id', userId);
+      results.sent++;
+    } catch (err) {
+      console.error(`Digest failed for ${userId}:`, err.message);
+    }
+  }
+
+  return results;
+}
@@ -1,6 +1,7 @@
 // Vercel API Route: Database Cleanup (Daily Cron)
 // Runs daily at 3 AM UTC to clean up old processed webhook events,
-// stale proactive insights, and expired weather cache entries.
+// stale proactive insights, expired weather cache entries and calendar feed
+// tombstones.
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 
@@ -19,6 +20,7 @@ export default async function handler(req, res) {
     webhookEvents: null,
     insights: null,
     weatherCache: null,
+    calendarTombstones: null,
     errors: [],
   };
 
@@ -72,6 +74,24 @@ export default async function handler(req, res) {
     results.errors.push(`weatherCache: ${err.message}`);
   }
 
+  // 4. Prune calendar feed tombstones (60-day retention) — long enough for
+  // every subscribed calendar to have picked up the cancellation.
+  try {
+    const cutoff = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString();
+    const { count, error } = await supabase
+      .from('planned_workout_tombstones')
+      .delete({ count: 'exact' })
+      .lt('deleted_at', cutoff);
+
+    if (error) throw error;
+
+    results.calendarTombstones = { deleted: count || 0 };
+    console.log('Calendar tombstones cleaned:', results.calendarTombstones);
+  } catch (err) {
+    console.error('Calendar tombstone cleanup failed:', err.message);
+    results.errors.push(`calendarTombstones: ${err.message}`);
+  }
+
   console.log('=== Database Cleanup Complete ===');
 
   const hasErrors = results.errors.length > 0;
@@ -2,13 +2,17 @@
 // Dedicated lightweight endpoint for email campaign management
 // Extracted from api/admin.js to avoid cold-start timeout issues
 //
-// SECURITY: This endpoint is restricted to travis@tribos.studio ONLY
-// All actions are logged to admin_audit_log table
+// SECURITY: Each action requires an admin role holding its permission
+// (ACTION_PERMISSIONS below). All actions are logged to admin_audit_log
+// table with the role used
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { Resend } from 'resend';
 import { setupCors } from './utils/cors.js';
 import { rateLimitMiddleware } from './utils/rateLimit.js';
+import { logAdminAction, requireAdmin } from './utils/auth.js';
+import { summarizeJourneyConversion } from './utils/emailJourneys.js';
+import { getOptedOutUserIds } from './utils/notificationDispatcher.js';
 
 // Lazy Resend init — constructing with an undefined key throws, so defer until
 // first use (handler checks RESEND_API_KEY before sending). Avoids a module-load
@@ -21,51 +25,18 @@ function getResend() {
 
 const supabase = getSupabaseAdmin();
 
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'travis@tribos.studio';
-
-/**
- * Verify the user from JWT token and check admin authorization
- */
-async function verifyAdminAccess(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return { user: null, error: 'No authorization token provided' };
-  }
-
-  const token = authHeader.substring(7);
-  const { data: { user }, error } = await supabase.auth.getUser(token);
-
-  if (error || !user) {
-    console.error('Admin auth validation failed:', error?.message);
-    return { user: null, error: 'Invalid or expired token' };
-  }
-
-  if (!user.email || user.email.toLowerCase() !== ADMIN_EMAIL.toLowerCase()) {
-    console.warn(`SECURITY: Unauthorized email-tool access attempt by ${user.email} (ID: ${user.id})`);
-    return { user: null, error: 'Unauthorized - admin access denied' };
-  }
-
-  return { user, error: null };
-}
-
-/**
- * Log admin action to audit table
- */
-async function logAdminAction(adminUserId, action, targetUserId, details) {
-  try {
-    await supabase
-      .from('admin_audit_log')
-      .insert({
-        admin_user_id: adminUserId,
-        action,
-        target_user_id: targetUserId,
-        details,
-        created_at: new Date().toISOString()
-      });
-  } catch (error) {
-    console.error('Failed to log admin action:', error);
-  }
-}
+// Permission each action requires (see ADMIN_PERMISSIONS in utils/auth.js)
+const ACTION_PERMISSIONS = {
+  list_campaigns: 'campaigns:read',
+  get_campaign: 'campaigns:read',
+  create_campaign: 'campaigns:write',
+  update_campaign: 'campaigns:write',
+  delete_campaign: 'campaigns:write',
+  preview_recipients: 'campaigns:read',
+  send_test_email: 'campaigns:write',
+  send_campaign: 'campaigns:send',
+  list_journeys: 'campaigns:read',
+};
 
 export default async function handler(req, res) {
   if (setupCors(req, res)) {
@@ -81,10 +52,17 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Server configuration error' });
   }
 
-  const { user: adminUser, error: authError } = await verifyAdminAccess(req);
-  if (!adminUser) {
-    return res.status(403).json({ error: authError || 'Unauthorized' });
+  const { action } = req.body || {};
+
+  if (!action) {
+    return res.status(400).json({ error: 'Action is required' });
   }
+  if (!(action in ACTION_PERMISSIONS)) {
+    return res.status(400).json({ error: 'Invalid action' });
+  }
+
+  const adminUser = await requireAdmin(req, res, ACTION_PERMISSIONS[action]);
+  if (!adminUser) return;
 
   const rateLimitResult = await rateLimitMiddleware(req, res, 'EMAIL_TOOL', 30, 1);
   if (rateLimitResult !== null) {
@@ -92,12 +70,6 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { action } = req.body;
-
-    if (!action) {
-      return res.status(400).json({ error: 'Action is required' });
-    }
-
     switch (action) {
       case 'list_campaigns':
         return await listCampaigns(req, res, adminUser);
@@ -115,6 +87,8 @@ export default async function handler(req, res) {
         return await sendTestEmail(req, res, adminUser);
       case 'send_campaign':
         return await sendCampaign(req, res, adminUser);
+      case 'list_journeys':
+        return await listJourneys(req, res, adminUser);
       default:
         return res.status(400).json({ error: 'Invalid action' });
     }
@@ -129,7 +103,7 @@ export default async function handler(req, res) {
 // ============================================================================
 
 async function listCampaigns(req, res, adminUser) {
-  await logAdminAction(adminUser.id, 'list_campaigns', null, null);
+  await logAdminAction(adminUser, 'list_campaigns', null, null);
 
   const { data: campaigns, error } = await supabase
     .from('email_campaigns')
@@ -147,6 +121,33 @@ async function listCampaigns(req, res, adminUser) {
   });
 }
 
+async function listJourneys(req, res, adminUser) {
+  await logAdminAction(adminUser, 'list_journeys', null, null);
+
+  const [enrollmentsResult, sendsResult, suppressionsResult] = await Promise.all([
+    supabase.from('email_journey_enrollments').select('journey_key, status'),
+    supabase
+      .from('email_journey_sends')
+      .select('journey_key, step_index, status, delivered_at, first_opened_at, first_clicked_at'),
+    supabase.from('email_suppressions').select('reason'),
+  ]);
+
+  const error = enrollmentsResult.error || sendsResult.error || suppressionsResult.error;
+  if (error) {
+    console.error('Error listing journeys:', error);
+    return res.status(500).json({ error: 'Failed to list journeys' });
+  }
+
+  const suppressions = { bounce: 0, complaint: 0 };
+  for (const row of suppressionsResult.data || []) suppressions[row.reason]++;
+
+  return res.status(200).json({
+    success: true,
+    journeys: summarizeJourneyConversion(enrollmentsResult.data, sendsResult.data),
+    suppressions,
+  });
+}
+
 async function getCampaign(req, res, adminUser) {
   const { campaignId } = req.body;
 
@@ -154,7 +155,7 @@ async function getCampaign(req, res, adminUser) {
     return res.status(400).json({ error: 'campaignId is required' });
   }
 
-  await logAdminAction(adminUser.id, 'get_campaign', null, { campaignId });
+  await logAdminAction(adminUser, 'get_campaign', null, { campaignId });
 
   const { data: campaign, error: campaignError } = await supabase
     .from('email_campaigns')
@@ -186,7 +187,7 @@ async function createCampaign(req, res, adminUser) {
     return res.status(400).json({ error: 'name, subject, and htmlContent are required' });
   }
 
-  await logAdminAction(adminUser.id, 'create_campaign', null, { name, subject });
+  await logAdminAction(adminUser, 'create_campaign', null, { name, subject });
 
   const { data: campaign, error } = await supabase
     .from('email_campaigns')
@@ -238,7 +239,7 @@ async function updateCampaign(req, res, adminUser) {
     return res.status(400).json({ error: 'Can only update draft campaigns' });
   }
 
-  await logAdminAction(adminUser.id, 'update_campaign', null, { campaignId });
+  await logAdminAction(adminUser, 'update_campaign', null, { campaignId });
 
   const updates = {};
   if (name !== undefined) updates.name = name;
@@ -291,7 +292,7 @@ async function deleteCampaign(req, res, adminUser) {
     return res.status(400).json({ error: 'Can only delete draft campaigns' });
   }
 
-  await logAdminAction(adminUser.id, 'delete_campaign', null, { campaignId });
+  await logAdminAction(adminUser, 'delete_campaign', null, { campaignId });
 
   const { error } = await supabase
     .from('email_campaigns')
@@ -316,10 +317,12 @@ async function deleteCampaign(req, res, adminUser) {
 async function previewRecipients(req, res, adminUser) {
   const { audienceType, filterCriteria } = req.body;
 
-  await logAdminAction(adminUser.id, 'preview_recipients', null, { audienceType, filterCriteria });
+  await logAdminAction(adminUser, 'preview_recipients', null, { audienceType, filterCriteria });
 
   try {
-    const recipients = await getFilteredRecipients(audienceType || 'users', filterCriteria || {});
+    const recipients = await excludeUnsubscribed(
+      await getFilteredRecipients(audienceType || 'users', filterCriteria || {})
+    );
 
     return res.status(200).json({
       success: true,
@@ -339,7 +342,7 @@ async function sendTestEmail(req, res, adminUser) {
     return res.status(400).json({ error: 'subject and htmlContent are required' });
   }
 
-  await logAdminAction(adminUser.id, 'send_test_email', null, { subject });
+  await logAdminAction(adminUser, 'send_test_email', null, { subject });
 
   try {
     const { data, error } = await getResend().emails.send({
@@ -386,10 +389,12 @@ async function sendCampaign(req, res, adminUser) {
     return res.status(400).json({ error: 'Campaign has already been sent or is in progress' });
   }
 
-  await logAdminAction(adminUser.id, 'send_campaign', null, { campaignId, campaignName: campaign.name });
+  await logAdminAction(adminUser, 'send_campaign', null, { campaignId, campaignName: campaign.name });
 
   try {
-    const recipients = await getFilteredRecipients(campaign.audience_type, campaign.filter_criteria);
+    const recipients = await excludeUnsubscribed(
+      await getFilteredRecipients(campaign.audience_type, campaign.filter_criteria)
+    );
 
     if (recipients.length === 0) {
       return res.status(400).json({ error: 'No recipients match the filter criteria' });
@@ -541,6 +546,33 @@ async function sendCampaign(req, res, adminUser) {
 // Recipient Filtering (optimized)
 // ============================================================================
 
+/**
+ * Drop users who turned off campaign email in their notification
+ * preferences, and any address on the bounce/complaint suppression list.
+ *
+ * Quiet hours are deliberately not applied here: a campaign is one
+ * admin-triggered batch at a send time the admin picks, and beta-signup
+ * recipients have no preferences row or timezone to evaluate. Per-user
+ * campaign email (journeys, the activation nudge) goes through planDelivery
+ * and is held for quiet hours.
+ */
+async function excludeUnsubscribed(recipients) {
+  const userIds = recipients.map(r => r.user_id).filter(Boolean);
+  const optedOut = await getOptedOutUserIds(userIds, 'campaign', 'email');
+
+  const suppressed = new Set();
+  const emails = recipients.map(r => r.email.toLowerCase());
+  for (let i = 0; i < emails.length; i += 200) {
+    const { data } = await supabase
+      .from('email_suppressions')
+      .select('email')
+      .in('email', emails.slice(i, i + 200));
+    for (const row of data || []) suppressed.add(row.email);
+  }
+
+  return recipients.filter(r => !optedOut.has(r.user_id) && !suppressed.has(r.email.toLowerCase()));
+}
+
 /**
  * Get filtered recipients based on audience type and filter criteria.
  * Optimized to scope queries to relevant user IDs instead of fetching entire tables.
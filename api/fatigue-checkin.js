@@ -4,7 +4,11 @@
  * Records a morning readiness survey (leg feel, energy, motivation).
  *
  * POST /api/fatigue-checkin
- * Body: { leg_feel, energy, motivation, hrv_status?, notes? }
+ * Body: { leg_feel, energy, motivation, hrv_status?, notes?, date? }
+ *
+ * `date` (YYYY-MM-DD) is the rider's local day. Check-ins made offline are
+ * replayed later, so it may lag today by a few days; anything else falls back
+ * to today (UTC).
  * Auth: Bearer <JWT>
  */
 
@@ -13,6 +17,18 @@ import { setupCors } from './utils/cors.js';
 
 const supabase = getSupabaseAdmin();
 
+const MAX_REPLAY_DAYS = 7;
+
+/** The client's local date when plausible (≤1 day ahead, ≤7 days back), else today UTC. */
+export function resolveCheckinDate(date, now = new Date()) {
+  const today = now.toISOString().split('T')[0];
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return today;
+  const parsed = Date.parse(`${date}T00:00:00Z`);
+  if (Number.isNaN(parsed)) return today;
+  const diffDays = (parsed - Date.parse(`${today}T00:00:00Z`)) / 86400000;
+  return diffDays <= 1 && diffDays >= -MAX_REPLAY_DAYS ? date : today;
+}
+
 export default async function handler(req, res) {
   if (setupCors(req, res)) return;
 
@@ -32,7 +48,7 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: 'unauthorized' });
   }
 
-  const { leg_feel, energy, motivation, hrv_status, notes } = req.body;
+  const { leg_feel, energy, motivation, hrv_status, notes, date } = req.body;
 
   // Validate required fields
   if (!leg_feel || !energy || !motivation) {
@@ -45,13 +61,13 @@ export default async function handler(req, res) {
   }
 
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const checkinDate = resolveCheckinDate(date);
 
     const { data, error } = await supabase
       .from('fatigue_checkins')
       .upsert({
         user_id: user.id,
-        date: today,
+        date: checkinDate,
         leg_feel,
         energy,
         motivation,
@@ -38,6 +38,7 @@ import { fetchAthleteProfile } from './utils/athleteProfile.js';
 import { sanitizeStressScore } from './utils/stressScoreSanitizer.js';
 import { triggerTrainingLoadRefresh } from './utils/trainingLoadRefresh.js';
 import { analyzeSegmentsForNewActivity } from './utils/segmentAnalysisPipeline.js';
+import { refreshStreamDerivedMetrics } from './utils/metricsComputation.js';
 
 const supabase = getSupabaseAdmin();
 
@@ -140,7 +141,7 @@ function decodeBase64ToBuffer(fileBase64, compressed) {
 async function findExistingByGarminId(userId, garminActivityId) {
   const { data, error } = await supabase
     .from('activities')
-    .select('id, name, gear_id, provider, provider_activity_id')
+    .select('id, name, gear_id, provider, provider_activity_id, ride_analytics')
     .eq('user_id', userId)
     .eq('provider', 'garmin')
     .eq('provider_activity_id', garminActivityId)
@@ -169,7 +170,7 @@ async function findExistingActivity(userId, startTimeIso, distanceMeters) {
 
   let query = supabase
     .from('activities')
-    .select('id, name, gear_id, provider, provider_activity_id')
+    .select('id, name, gear_id, provider, provider_activity_id, ride_analytics')
     .eq('user_id', userId)
     .gte('start_date', lo)
     .lte('start_date', hi);
@@ -418,6 +419,11 @@ export default async function handler(req, res) {
       if (existingGearId) {
         delete updateRow.gear_id;
       }
+      // Overlay the upload's analytics on what's there (w_prime_balance and
+      // other derived fields are recomputed below).
+      if (updateRow.ride_analytics) {
+        updateRow.ride_analytics = { ...(existing.ride_analytics || {}), ...updateRow.ride_analytics };
+      }
       updateRow.updated_at = new Date().toISOString();
       // Invalidate any cached deep coach narrative so it regenerates with
       // the new time series.
@@ -452,6 +458,11 @@ export default async function handler(req, res) {
         return res.status(500).json({ error: 'update_failed', message: updateError.message });
       }
 
+      // W′bal + thermal factor from the uploaded streams and device
+      // temperature, before the load refresh reads the factor
+      await refreshStreamDerivedMetrics(supabase, existingId)
+        .catch((err) => console.warn('fit-upload: stream metrics failed:', err.message));
+
       // Refresh training_load_daily through today (fire-and-forget)
       triggerTrainingLoadRefresh(userId).catch(() => {});
 
@@ -484,6 +495,9 @@ export default async function handler(req, res) {
       return res.status(500).json({ error: 'insert_failed', message: insertError.message });
     }
 
+    await refreshStreamDerivedMetrics(supabase, inserted.id)
+      .catch((err) => console.warn('fit-upload: stream metrics failed:', err.message));
+
     // Refresh training_load_daily through today (fire-and-forget)
     triggerTrainingLoadRefresh(userId).catch(() => {});
 
@@ -0,0 +1,263 @@
+// Vercel API Route: community forum writes
+// New threads, replies and reports go through here rather than straight to
+// Supabase so bans and rate limits apply — new accounts get tighter limits
+// (api/utils/forumModeration.js, RATE_LIMITS in api/utils/rateLimit.js).
+// Migration 126 removed the client INSERT policies. Reads, edits, reactions
+// and moderator pin/lock/hide stay on RLS (src/hooks/useForum.ts).
+//
+// POST { action, ... }   (auth)
+//   create_thread  { categoryId, title, body }
+//   create_post    { threadId, body, parentPostId }
+//   report         { threadId | postId, reason, details }
+//
+// Errors the client branches on carry a `code`: banned, rate_limited, locked.
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { setupCors } from './utils/cors.js';
+import { requireAuth } from './utils/auth.js';
+import { checkRateLimit } from './utils/rateLimit.js';
+import {
+  AUTO_HIDE_REPORT_THRESHOLD,
+  REPORT_REASONS,
+  activeBan,
+  forumRateLimit,
+  rateLimitMessage,
+} from './utils/forumModeration.js';
+
+const supabase = getSupabaseAdmin();
+
+const AUTHOR_SELECT = 'display_name, community_display_name';
+const THREAD_SELECT = `*, author:user_profiles!forum_threads_author_id_profile_fkey(${AUTHOR_SELECT})`;
+const POST_SELECT = `*, author:user_profiles!forum_posts_author_id_profile_fkey(${AUTHOR_SELECT})`;
+
+export default async function handler(req, res) {
+  if (setupCors(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const authUser = await requireAuth(req, res);
+  if (!authUser) return;
+
+  try {
+    switch (req.body?.action) {
+      case 'create_thread':
+        return await createThread(req, res, authUser);
+      case 'create_post':
+        return await createPost(req, res, authUser);
+      case 'report':
+        return await reportContent(req, res, authUser);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Forum API error:', error);
+    return res.status(500).json({
+      error: 'Failed to process request',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+// ── Guards ───────────────────────────────────────────────────
+
+/** Sends a 403 and returns true when the user is banned from the forum. */
+async function rejectIfBanned(res, userId) {
+  const { data: sanctions, error } = await supabase
+    .from('forum_sanctions')
+    .select('type, expires_at, revoked_at')
+    .eq('user_id', userId)
+    .eq('type', 'ban')
+    .is('revoked_at', null);
+  if (error) throw error;
+
+  const ban = activeBan(sanctions);
+  if (!ban) return false;
+
+  res.status(403).json({
+    error: ban.expires_at
+      ? `You're banned from posting in the forum until ${new Date(ban.expires_at).toUTCString()}.`
+      : 'You\'re banned from posting in the forum.',
+    code: 'banned',
+    expiresAt: ban.expires_at,
+  });
+  return true;
+}
+
+/** Sends a 429 and returns true when the user is over their limit for this write. */
+async function rejectIfRateLimited(res, authUser, kind) {
+  const now = new Date();
+  const config = forumRateLimit(kind, authUser.created_at, now);
+  const result = await checkRateLimit(`${config.name}:user:${authUser.id}`, config.limit, config.windowMinutes);
+  if (result.allowed) return false;
+
+  res.setHeader('Retry-After', Math.ceil((result.resetAt.getTime() - now.getTime()) / 1000).toString());
+  res.status(429).json({
+    error: rateLimitMessage(kind, config, result.resetAt, now),
+    code: 'rate_limited',
+    resetAt: result.resetAt.toISOString(),
+  });
+  return true;
+}
+
+async function moderatesCategory(userId, categoryId) {
+  const { data, error } = await supabase.rpc('user_moderates_forum_category', {
+    check_user_id: userId,
+    check_category_id: categoryId,
+  });
+  if (error) throw error;
+  return data === true;
+}
+
+// ── Threads + replies ────────────────────────────────────────
+
+async function createThread(req, res, authUser) {
+  const { categoryId } = req.body;
+  const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+  if (title.length < 3 || title.length > 200) {
+    return res.status(400).json({ error: 'Title must be 3–200 characters' });
+  }
+  if (body.length < 10 || body.length > 20000) {
+    return res.status(400).json({ error: 'Body must be 10–20,000 characters' });
+  }
+
+  const { data: category } = await supabase
+    .from('forum_categories')
+    .select('id')
+    .eq('id', categoryId)
+    .maybeSingle();
+  if (!category) {
+    return res.status(400).json({ error: 'Unknown board' });
+  }
+
+  if (await rejectIfBanned(res, authUser.id)) return;
+  if (await rejectIfRateLimited(res, authUser, 'thread')) return;
+
+  const { data: thread, error } = await supabase
+    .from('forum_threads')
+    .insert({ category_id: categoryId, author_id: authUser.id, title, body })
+    .select(THREAD_SELECT)
+    .single();
+  if (error) throw error;
+
+  return res.status(200).json({ thread });
+}
+
+async function createPost(req, res, authUser) {
+  const { threadId, parentPostId } = req.body;
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+  if (!threadId) {
+    return res.status(400).json({ error: 'threadId required' });
+  }
+  if (body.length < 1 || body.length > 20000) {
+    return res.status(400).json({ error: 'Reply must be 1–20,000 characters' });
+  }
+
+  const { data: thread } = await supabase
+    .from('forum_threads')
+    .select('id, category_id, is_locked, hidden_at')
+    .eq('id', threadId)
+    .maybeSingle();
+  if (!thread) {
+    return res.status(404).json({ error: 'Thread not found' });
+  }
+
+  const isModerator = await moderatesCategory(authUser.id, thread.category_id);
+  if (thread.hidden_at && !isModerator) {
+    return res.status(404).json({ error: 'Thread not found' });
+  }
+  if (thread.is_locked && !isModerator) {
+    return res.status(403).json({ error: 'This thread is locked', code: 'locked' });
+  }
+
+  if (parentPostId) {
+    const { data: parent } = await supabase
+      .from('forum_posts')
+      .select('id')
+      .eq('id', parentPostId)
+      .eq('thread_id', threadId)
+      .maybeSingle();
+    if (!parent) {
+      return res.status(400).json({ error: 'Quoted reply is not in this thread' });
+    }
+  }
+
+  if (await rejectIfBanned(res, authUser.id)) return;
+  if (await rejectIfRateLimited(res, authUser, 'post')) return;
+
+  const { data: post, error } = await supabase
+    .from('forum_posts')
+    .insert({
+      thread_id: threadId,
+      author_id: authUser.id,
+      body,
+      parent_post_id: parentPostId || null,
+    })
+    .select(POST_SELECT)
+    .single();
+  if (error) throw error;
+
+  return res.status(200).json({ post });
+}
+
+// ── Reports ──────────────────────────────────────────────────
+
+async function reportContent(req, res, authUser) {
+  const { threadId, postId, reason } = req.body;
+  const details = typeof req.body.details === 'string' ? req.body.details.trim().slice(0, 1000) : '';
+
+  if (!threadId === !postId) {
+    return res.status(400).json({ error: 'Report a thread or a reply' });
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+  }
+
+  const table = postId ? 'forum_posts' : 'forum_threads';
+  const targetId = postId || threadId;
+  const { data: target } = await supabase
+    .from(table)
+    .select('id, author_id, hidden_at')
+    .eq('id', targetId)
+    .maybeSingle();
+  if (!target) {
+    return res.status(404).json({ error: 'Content not found' });
+  }
+  if (target.author_id === authUser.id) {
+    return res.status(400).json({ error: 'You can\'t report your own post' });
+  }
+
+  if (await rejectIfRateLimited(res, authUser, 'report')) return;
+
+  const { error } = await supabase.from('forum_reports').insert({
+    reporter_id: authUser.id,
+    thread_id: threadId || null,
+    post_id: postId || null,
+    reason,
+    details: details || null,
+  });
+  // Reporting the same thing twice is a no-op
+  if (error && error.code !== '23505') throw error;
+
+  // Enough independent reports hide the content until a moderator reviews it.
+  // hidden_by stays NULL to mark it auto-hidden; dismissing the reports unhides it.
+  if (!target.hidden_at) {
+    const { count } = await supabase
+      .from('forum_reports')
+      .select('id', { count: 'exact', head: true })
+      .eq(postId ? 'post_id' : 'thread_id', targetId)
+      .eq('status', 'open');
+    if (count >= AUTO_HIDE_REPORT_THRESHOLD) {
+      await supabase
+        .from(table)
+        .update({ hidden_at: new Date().toISOString(), hidden_by: null })
+        .eq('id', targetId);
+    }
+  }
+
+  return res.status(200).json({ reported: true });
+}
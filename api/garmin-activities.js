@@ -7,6 +7,7 @@ import { setupCors } from './utils/cors.js';
 import { downloadAndParseFitFile } from './utils/fitParser.js';
 import { fetchAthleteProfile } from './utils/athleteProfile.js';
 import { sanitizeStressScore } from './utils/stressScoreSanitizer.js';
+import { refreshStreamDerivedMetrics } from './utils/metricsComputation.js';
 import {
   executeBackfillForUser,
   getBackfillProgress,
@@ -835,7 +836,7 @@ async function backfillGpsData(req, res, userId) {
     // Find Garmin activities without GPS polyline
     const { data: activitiesWithoutGps, error: queryError } = await supabase
       .from('activities')
-      .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, trainer')
+      .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, trainer, ride_analytics')
       .eq('user_id', userId)
       .eq('provider', 'garmin')
       .is('map_summary_polyline', null)
@@ -992,7 +993,7 @@ async function backfillGpsData(req, res, userId) {
           gpsUpdate.activity_streams = fitResult.activityStreams;
         }
         if (fitResult.rideAnalytics) {
-          gpsUpdate.ride_analytics = fitResult.rideAnalytics;
+          gpsUpdate.ride_analytics = { ...(activity.ride_analytics || {}), ...fitResult.rideAnalytics };
         }
         const fitCoachCtxGps = fitResult.fitCoachContext ?? null;
         if (fitResult.powerMetrics) {
@@ -1040,13 +1041,13 @@ async function backfillGpsData(req, res, userId) {
 
         console.log(`✅ GPS saved for: ${activity.name} (${fitResult.simplifiedCount} points)`);
         if (fitCoachCtxGps) {
-          supabase.from('activities')
+          const { error: ctxErr } = await supabase
+            .from('activities')
             .update({ fit_coach_context: fitCoachCtxGps })
-            .eq('id', activity.id)
-            .then(({ error }) => {
-              if (error) console.warn(`⚠️ fit_coach_context write failed (non-critical):`, error.message);
-            });
+            .eq('id', activity.id);
+          if (ctxErr) console.warn(`⚠️ fit_coach_context write failed (non-critical):`, ctxErr.message);
         }
+        await refreshStreamMetrics(activity.id);
         success++;
         results.push({
           id: activity.id,
@@ -1196,6 +1197,18 @@ async function backfillGpsData(req, res, userId) {
   }
 }
 
+/**
+ * Re-derive W′bal and the thermal factor once FIT streams, analytics and
+ * coach context have been written. Non-critical for the backfill.
+ */
+async function refreshStreamMetrics(activityId) {
+  try {
+    await refreshStreamDerivedMetrics(supabase, activityId);
+  } catch (err) {
+    console.warn(`⚠️ Stream-derived metrics refresh failed for ${activityId}:`, err.message);
+  }
+}
+
 /**
  * Backfill power data for Garmin activities
  *
@@ -1232,7 +1245,7 @@ async function backfillPowerData(req, res, userId) {
       // Force reprocess ALL cycling activities (for fixing corrupted sentinel values etc.)
       const { data, error } = await supabase
         .from('activities')
-        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary')
+        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary, ride_analytics')
         .eq('user_id', userId)
         .eq('provider', 'garmin')
         .in('type', rideTypes)
@@ -1244,7 +1257,7 @@ async function backfillPowerData(req, res, userId) {
       // Only activities with no power at all
       const { data, error } = await supabase
         .from('activities')
-        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary')
+        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary, ride_analytics')
         .eq('user_id', userId)
         .eq('provider', 'garmin')
         .is('average_watts', null)
@@ -1257,7 +1270,7 @@ async function backfillPowerData(req, res, userId) {
       // Only activities that have average_watts but missing power_curve_summary
       const { data, error } = await supabase
         .from('activities')
-        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary')
+        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary, ride_analytics')
         .eq('user_id', userId)
         .eq('provider', 'garmin')
         .not('average_watts', 'is', null)
@@ -1272,7 +1285,7 @@ async function backfillPowerData(req, res, userId) {
       // First get activities without average_watts
       const { data: noPower, error: e1 } = await supabase
         .from('activities')
-        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary')
+        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary, ride_analytics')
         .eq('user_id', userId)
         .eq('provider', 'garmin')
         .is('average_watts', null)
@@ -1284,7 +1297,7 @@ async function backfillPowerData(req, res, userId) {
       // Then get activities with power but missing MMP curve
       const { data: noMmp, error: e2 } = await supabase
         .from('activities')
-        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary')
+        .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, power_curve_summary, ride_analytics')
         .eq('user_id', userId)
         .eq('provider', 'garmin')
         .not('average_watts', 'is', null)
@@ -1465,7 +1478,7 @@ async function backfillPowerData(req, res, userId) {
         if (pm.powerCurveSummary) updateData.power_curve_summary = pm.powerCurveSummary;
         if (pm.workKj) updateData.kilojoules = pm.workKj;
         if (fitResult.activityStreams) updateData.activity_streams = fitResult.activityStreams;
-        if (fitResult.rideAnalytics) updateData.ride_analytics = fitResult.rideAnalytics;
+        if (fitResult.rideAnalytics) updateData.ride_analytics = { ...(activity.ride_analytics || {}), ...fitResult.rideAnalytics };
         const fitCoachCtxPow = fitResult.fitCoachContext ?? null;
 
         // Update activity with power data
@@ -1489,13 +1502,13 @@ async function backfillPowerData(req, res, userId) {
 
         console.log(`✅ Power saved for: ${activity.name} (Avg: ${pm.avgPower}W, NP: ${pm.normalizedPower || 'N/A'}W)`);
         if (fitCoachCtxPow) {
-          supabase.from('activities')
+          const { error: ctxErr } = await supabase
+            .from('activities')
             .update({ fit_coach_context: fitCoachCtxPow })
-            .eq('id', activity.id)
-            .then(({ error }) => {
-              if (error) console.warn(`⚠️ fit_coach_context write failed (non-critical):`, error.message);
-            });
+            .eq('id', activity.id);
+          if (ctxErr) console.warn(`⚠️ fit_coach_context write failed (non-critical):`, ctxErr.message);
         }
+        await refreshStreamMetrics(activity.id);
         success++;
         results.push({
           id: activity.id,
@@ -1667,7 +1680,7 @@ async function backfillStreamsData(req, res, userId) {
     // Find activities with GPS but missing streams or analytics
     const { data: activitiesNeedingStreams, error: queryError } = await supabase
       .from('activities')
-      .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts')
+      .select('id, provider_activity_id, name, type, start_date, distance, moving_time, raw_data, average_watts, ride_analytics')
       .eq('user_id', userId)
       .eq('provider', 'garmin')
       .not('map_summary_polyline', 'is', null)
@@ -1812,7 +1825,7 @@ async function backfillStreamsData(req, res, userId) {
           updates.push('streams');
         }
         if (fitResult.rideAnalytics) {
-          updateData.ride_analytics = fitResult.rideAnalytics;
+          updateData.ride_analytics = { ...(activity.ride_analytics || {}), ...fitResult.rideAnalytics };
           updates.push('analytics');
         }
         const fitCoachCtxStr = fitResult.fitCoachContext ?? null;
@@ -1862,13 +1875,13 @@ async function backfillStreamsData(req, res, userId) {
 
         console.log(`✅ Streams saved for: ${activity.name} (${updates.join(', ')})`);
         if (fitCoachCtxStr) {
-          supabase.from('activities')
+          const { error: ctxErr } = await supabase
+            .from('activities')
             .update({ fit_coach_context: fitCoachCtxStr })
-            .eq('id', activity.id)
-            .then(({ error }) => {
-              if (error) console.warn(`⚠️ fit_coach_context write failed (non-critical):`, error.message);
-            });
+            .eq('id', activity.id);
+          if (ctxErr) console.warn(`⚠️ fit_coach_context write failed (non-critical):`, ctxErr.message);
         }
+        await refreshStreamMetrics(activity.id);
         success++;
         results.push({
           id: activity.id,
@@ -15,7 +15,8 @@ import { checkForDuplicate, takeoverActivity, mergeActivityData } from './utils/
 import { completeActivationStep, enqueueProactiveInsight, enqueueCheckIn } from './utils/activation.js';
 import { enqueueDeviationAnalysis } from './utils/deviationProcessor.js';
 import { triggerTrainingLoadRefresh } from './utils/trainingLoadRefresh.js';
-import { sendPushToUser, buildPostRideMessage } from './utils/pushNotification.js';
+import { buildPostRideMessage } from './utils/pushNotification.js';
+import { dispatchNotification } from './utils/notificationDispatcher.js';
 import { updateBackfillChunkIfApplicable } from './utils/garminBackfill.js';
 import { extractAndStoreActivitySegments } from './utils/roadSegmentExtractor.js';
 
@@ -600,7 +601,7 @@ async function handleExistingActivity(event, existing, integration, detailResult
 
   // Store advanced ride analytics (pacing, match burning, fatigue resistance, etc.)
   if (fitResult.rideAnalytics) {
-    activityUpdate.ride_analytics = fitResult.rideAnalytics;
+    activityUpdate.ride_analytics = { ...(existing.ride_analytics || {}), ...fitResult.rideAnalytics };
     updates.push('Advanced analytics');
   }
 
@@ -631,6 +632,8 @@ async function handleExistingActivity(event, existing, integration, detailResult
         .eq('id', existing.id);
       if (ctxErr) console.warn(`⚠️ fit_coach_context write failed (non-critical):`, ctxErr.message);
     }
+
+    await refreshStreamMetrics(existing.id);
   } else {
     // FIT download succeeded but extracted nothing usable — the callbackURL
     // sometimes points at a "summary FIT" without per-second records. Request
@@ -888,7 +891,7 @@ async function finalizeImportedActivity(event, activity, integration, activityIn
     console.error('⚠️ Activation tracking failed (non-critical):', activationError.message);
   }
 
-  // Send post-ride push notification (fire-and-forget)
+  // Send post-ride notification (fire-and-forget)
   try {
     const { data: latestLoad } = await supabase
       .from('training_load_daily')
@@ -899,14 +902,14 @@ async function finalizeImportedActivity(event, activity, integration, activityIn
       .maybeSingle();
 
     const message = buildPostRideMessage(latestLoad);
-    sendPushToUser(integration.user_id, {
+    dispatchNotification(integration.user_id, {
       ...message,
       url: '/dashboard',
-      notificationType: 'post_ride_insight',
+      type: 'post_ride_insight',
       referenceId: activity.id,
-    }).catch((e) => console.error('⚠️ Push notification failed (non-fatal):', e.message));
+    }).catch((e) => console.error('⚠️ Post-ride notification failed (non-fatal):', e.message));
   } catch (pushError) {
-    console.error('⚠️ Push notification failed (non-fatal):', pushError.message);
+    console.error('⚠️ Post-ride notification failed (non-fatal):', pushError.message);
   }
 
   await supabase
@@ -956,7 +959,15 @@ async function applyParsedResultToActivity(activityId, result, userId = null) {
     activityUpdate.device_watts = true;
   }
 
-  if (result.rideAnalytics) activityUpdate.ride_analytics = result.rideAnalytics;
+  if (result.rideAnalytics) {
+    // Merge so fields derived after the first sync (w_prime_balance) survive
+    const { data: current } = await supabase
+      .from('activities')
+      .select('ride_analytics')
+      .eq('id', activityId)
+      .maybeSingle();
+    activityUpdate.ride_analytics = { ...(current?.ride_analytics || {}), ...result.rideAnalytics };
+  }
   const fitCoachCtx = result.fitCoachContext ?? null;
 
   // Nothing beyond updated_at → nothing to persist.
@@ -990,14 +1001,16 @@ async function applyParsedResultToActivity(activityId, result, userId = null) {
   }
 
   if (fitCoachCtx) {
-    supabase.from('activities')
+    const { error: ctxErr } = await supabase
+      .from('activities')
       .update({ fit_coach_context: fitCoachCtx })
-      .eq('id', activityId)
-      .then(({ error }) => {
-        if (error) console.warn(`⚠️ fit_coach_context write failed (non-critical):`, error.message);
-      });
+      .eq('id', activityId);
+    if (ctxErr) console.warn(`⚠️ fit_coach_context write failed (non-critical):`, ctxErr.message);
   }
 
+  // W′bal reads fit_coach_context, so this runs after that write lands
+  await refreshStreamMetrics(activityId);
+
   return { updated: updates };
 }
 
@@ -1065,6 +1078,7 @@ async function handleDuplicateActivity(event, integration, activityData, activit
             refreshCompleteness(supabase, dupCheck.existingActivity.id).catch(err =>
               console.warn(`⚠️ completeness refresh failed for ${dupCheck.existingActivity.id}:`, err.message)
             );
+            await refreshStreamMetrics(dupCheck.existingActivity.id);
           }
         } catch (fitError) {
           console.warn('⚠️ Could not add FIT data to taken-over activity:', fitError.message);
@@ -1211,6 +1225,20 @@ async function processFitFile(activityId, fitFileUrl, accessToken, userId = null
   }
 }
 
+/**
+ * W′bal and the thermal factor depend on the FIT power series and device
+ * temperature, which on summary-first imports land after the initial
+ * metrics run — re-derive them whenever streams or FIT data are written.
+ */
+async function refreshStreamMetrics(activityId) {
+  try {
+    const { refreshStreamDerivedMetrics } = await import('./utils/metricsComputation.js');
+    await refreshStreamDerivedMetrics(supabase, activityId);
+  } catch (err) {
+    console.warn(`⚠️ Stream-derived metrics refresh failed for ${activityId}:`, err.message);
+  }
+}
+
 async function markEventProcessed(eventId, error = null, activityId = null) {
   await supabase
     .from('garmin_webhook_events')
@@ -6,6 +6,8 @@ import { setupCors } from './utils/cors.js';
 import { getDefaultThresholds } from './utils/gearDefaults.js';
 import { recalculateGearMileage, reassignActivityGear } from './utils/gearAssignment.js';
 import { computeGearAlerts } from './utils/gearAlerts.js';
+import { loadPowerDrift } from './utils/powerMeterDrift.js';
+import { recomputeTrainingLoadForUser } from './utils/trainingLoadRecompute.js';
 
 const supabase = getSupabaseAdmin();
 
@@ -70,6 +72,10 @@ export default async function handler(req, res) {
         return await dismissAlert(req, res, userId);
       case 'recalculate_mileage':
         return await recalcMileage(req, res, userId);
+      case 'detect_power_drift':
+        return await detectPowerDrift(req, res, userId);
+      case 'set_power_correction':
+        return await setPowerCorrection(req, res, userId);
       default:
         return res.status(400).json({ error: 'Invalid action' });
     }
@@ -571,3 +577,53 @@ async function recalcMileage(req, res, userId) {
     return res.status(500).json({ error: err.message });
   }
 }
+
+// ── Detect power meter drift across bikes ────────────────────
+
+async function detectPowerDrift(req, res, userId) {
+  const { referenceGearId } = req.body;
+
+  try {
+    const result = await loadPowerDrift(supabase, userId, { referenceGearId: referenceGearId || null });
+    return res.status(200).json(result);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// ── Set a bike's power correction factor ─────────────────────
+
+async function setPowerCorrection(req, res, userId) {
+  const { gearId, factor } = req.body;
+  if (!gearId) return res.status(400).json({ error: 'gearId required' });
+
+  const value = Number(factor);
+  if (!Number.isFinite(value) || value < 0.8 || value > 1.25) {
+    return res.status(400).json({ error: 'factor must be between 0.8 and 1.25' });
+  }
+
+  // Triggers from migration 120 rescale the bike's stored activities.
+  const { data, error } = await supabase
+    .from('gear_items')
+    .update({
+      power_correction_factor: Math.round(value * 10000) / 10000,
+      power_correction_updated_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', gearId)
+    .eq('user_id', userId)
+    .eq('gear_type', 'bike')
+    .select()
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  // RSS on the corrected rides changed; bring TFI/AFI/FS along.
+  try {
+    await recomputeTrainingLoadForUser(supabase, userId, { includeToday: true });
+  } catch (err) {
+    console.error('Training load recompute after power correction failed:', err);
+  }
+
+  return res.status(200).json({ gear: data });
+}
@@ -150,6 +150,7 @@ export default async function handler(req, res) {
       hr_max: activity.max_heartrate || undefined,
       total_elevation_m: activity.total_elevation_gain || 0,
       distance_m: activity.distance || undefined,
+      thermal_factor: activity.thermal_factor ?? undefined,
     };
 
     // Actual load via the shared server tier estimator (sanitized device RSS,
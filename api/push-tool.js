@@ -1,55 +1,31 @@
 // Vercel API Route: Push Notification Admin Operations
 // Admin-only endpoint for managing and sending push notifications.
 // Supports: test sends, broadcast to all/select users, subscription stats.
+// Sends to users go through the notification dispatcher, so opt-outs apply
+// and quiet hours hold the push in notification_queue.
 //
-// SECURITY: This endpoint is restricted to travis@tribos.studio ONLY
-// All actions are logged to admin_audit_log table
+// SECURITY: Each action requires an admin role holding its permission
+// (ACTION_PERMISSIONS below). All actions are logged to admin_audit_log
+// table with the role used
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { setupCors } from './utils/cors.js';
 import { rateLimitMiddleware } from './utils/rateLimit.js';
+import { logAdminAction, requireAdmin } from './utils/auth.js';
 import { sendPushToUser } from './utils/pushNotification.js';
+import { dispatchNotification } from './utils/notificationDispatcher.js';
 
 const supabase = getSupabaseAdmin();
 
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'travis@tribos.studio';
-
-async function verifyAdminAccess(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return { user: null, error: 'No authorization token provided' };
-  }
-
-  const token = authHeader.substring(7);
-  const { data: { user }, error } = await supabase.auth.getUser(token);
-
-  if (error || !user) {
-    return { user: null, error: 'Invalid or expired token' };
-  }
-
-  if (!user.email || user.email.toLowerCase() !== ADMIN_EMAIL.toLowerCase()) {
-    console.warn(`SECURITY: Unauthorized push-tool access attempt by ${user.email} (ID: ${user.id})`);
-    return { user: null, error: 'Unauthorized - admin access denied' };
-  }
-
-  return { user, error: null };
-}
-
-async function logAdminAction(adminUserId, action, targetUserId, details) {
-  try {
-    await supabase
-      .from('admin_audit_log')
-      .insert({
-        admin_user_id: adminUserId,
-        action,
-        target_user_id: targetUserId,
-        details,
-        created_at: new Date().toISOString()
-      });
-  } catch (error) {
-    console.error('Failed to log admin action:', error);
-  }
-}
+// Permission each action requires (see ADMIN_PERMISSIONS in utils/auth.js)
+const ACTION_PERMISSIONS = {
+  get_stats: 'push:read',
+  send_test: 'push:send',
+  send_to_users: 'push:send',
+  send_broadcast: 'push:send',
+  list_subscriptions: 'push:read',
+  list_recent_notifications: 'push:read',
+};
 
 export default async function handler(req, res) {
   if (setupCors(req, res)) {
@@ -60,23 +36,24 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { user: adminUser, error: authError } = await verifyAdminAccess(req);
-  if (!adminUser) {
-    return res.status(403).json({ error: authError || 'Unauthorized' });
+  const { action } = req.body || {};
+
+  if (!action) {
+    return res.status(400).json({ error: 'Action is required' });
+  }
+  if (!(action in ACTION_PERMISSIONS)) {
+    return res.status(400).json({ error: 'Invalid action' });
   }
 
+  const adminUser = await requireAdmin(req, res, ACTION_PERMISSIONS[action]);
+  if (!adminUser) return;
+
   const rateLimitResult = await rateLimitMiddleware(req, res, 'PUSH_TOOL', 30, 1);
   if (rateLimitResult !== null) {
     return;
   }
 
   try {
-    const { action } = req.body;
-
-    if (!action) {
-      return res.status(400).json({ error: 'Action is required' });
-    }
-
     switch (action) {
       case 'get_stats':
         return await getStats(req, res, adminUser);
@@ -104,7 +81,7 @@ export default async function handler(req, res) {
 // ============================================================================
 
 async function getStats(req, res, adminUser) {
-  await logAdminAction(adminUser.id, 'push_get_stats', null, null);
+  await logAdminAction(adminUser, 'push_get_stats', null, null);
 
   const [
     { count: totalSubscriptions },
@@ -149,10 +126,10 @@ async function sendTest(req, res, adminUser) {
     return res.status(400).json({ error: 'title and body are required' });
   }
 
-  // Default to admin emails, or use provided list
-  const emails = targetEmails || ['travis@tribos.studio', 'travisdiegowhite@gmail.com'];
+  // Default to the caller's own devices, or use provided list
+  const emails = targetEmails || [adminUser.email];
 
-  await logAdminAction(adminUser.id, 'push_send_test', null, { title, emails });
+  await logAdminAction(adminUser, 'push_send_test', null, { title, emails });
 
   // Load user email map once
   const emailToUser = await buildEmailMap();
@@ -232,24 +209,25 @@ async function sendToUsers(req, res, adminUser) {
 
   const uniqueUserIds = [...new Set(resolvedUserIds)];
 
-  await logAdminAction(adminUser.id, 'push_send_to_users', null, {
+  await logAdminAction(adminUser, 'push_send_to_users', null, {
     title,
     notificationType: notificationType || 'feature_broadcast',
     userCount: uniqueUserIds.length,
   });
 
   const results = [];
+  const referenceId = `admin-${Date.now()}`;
 
   for (const userId of uniqueUserIds) {
     try {
-      const result = await sendPushToUser(userId, {
+      const { push: result } = await dispatchNotification(userId, {
+        type: notificationType || 'feature_broadcast',
         title,
         body,
         url: url || '/dashboard',
-        notificationType: notificationType || 'feature_broadcast',
-        referenceId: `admin-${Date.now()}`,
-      });
-      results.push({ userId, status: 'sent', ...result });
+        referenceId,
+      }, { channels: ['push'] });
+      results.push({ userId, status: result.sent ? 'sent' : result.queued ? 'queued' : 'skipped', ...result });
     } catch (error) {
       results.push({ userId, status: 'error', error: error.message });
     }
@@ -258,6 +236,7 @@ async function sendToUsers(req, res, adminUser) {
   return res.status(200).json({
     success: true,
     sent: results.filter(r => r.sent).length,
+    queued: results.filter(r => r.queued).length,
     skipped: results.filter(r => r.skipped).length,
     errors: results.filter(r => r.status === 'error').length,
     results,
@@ -288,23 +267,24 @@ async function sendBroadcast(req, res, adminUser) {
   // Deduplicate user IDs
   const uniqueUserIds = [...new Set(subscriptions.map(s => s.user_id))];
 
-  await logAdminAction(adminUser.id, 'push_send_broadcast', null, {
+  await logAdminAction(adminUser, 'push_send_broadcast', null, {
     title,
     notificationType: notificationType || 'feature_broadcast',
     userCount: uniqueUserIds.length,
   });
 
   const results = [];
+  const referenceId = `broadcast-${Date.now()}`;
 
   for (const userId of uniqueUserIds) {
     try {
-      const result = await sendPushToUser(userId, {
+      const { push: result } = await dispatchNotification(userId, {
+        type: notificationType || 'feature_broadcast',
         title,
         body,
         url: url || '/dashboard',
-        notificationType: notificationType || 'feature_broadcast',
-        referenceId: `broadcast-${Date.now()}`,
-      });
+        referenceId,
+      }, { channels: ['push'] });
       results.push({ userId, ...result });
     } catch (error) {
       results.push({ userId, status: 'error', error: error.message });
@@ -315,6 +295,7 @@ async function sendBroadcast(req, res, adminUser) {
     success: true,
     totalUsers: uniqueUserIds.length,
     sent: results.filter(r => r.sent).length,
+    queued: results.filter(r => r.queued).length,
     skipped: results.filter(r => r.skipped).length,
     errors: results.filter(r => r.status === 'error').length,
   });
@@ -325,7 +306,7 @@ async function sendBroadcast(req, res, adminUser) {
 // ============================================================================
 
 async function listSubscriptions(req, res, adminUser) {
-  await logAdminAction(adminUser.id, 'push_list_subscriptions', null, null);
+  await logAdminAction(adminUser, 'push_list_subscriptions', null, null);
 
   const { data: subscriptions, error } = await supabase
     .from('push_subscriptions')
@@ -357,7 +338,7 @@ async function listSubscriptions(req, res, adminUser) {
 // ============================================================================
 
 async function listRecentNotifications(req, res, adminUser) {
-  await logAdminAction(adminUser.id, 'push_list_notifications', null, null);
+  await logAdminAction(adminUser, 'push_list_notifications', null, null);
 
   const { data: notifications, error } = await supabase
     .from('notification_log')
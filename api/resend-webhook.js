@@ -1,5 +1,7 @@
 // Vercel API Route: Resend Webhook Handler
 // Receives delivery/open/click events from Resend for email tracking
+// (campaign recipients and journey sends), and adds hard-bounced or
+// complaining addresses to email_suppressions for every email we send
 // Setup: Configure webhook URL in Resend dashboard: https://yourdomain.com/api/resend-webhook
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
@@ -17,6 +19,74 @@ export const config = {
 // Initialize Supabase with service key for database operations
 const supabase = getSupabaseAdmin();
 
+// Status progression: pending -> sent -> delivered -> opened -> clicked
+// Don't downgrade status (e.g., don't go from 'opened' back to 'delivered')
+const STATUS_ORDER = ['pending', 'failed', 'sent', 'delivered', 'bounced', 'complained', 'opened', 'clicked'];
+
+/**
+ * Suppress recipients that hard-bounced or complained so journeys never
+ * email them again. Transient (soft) bounces aren't suppressed.
+ */
+async function suppressRecipients(eventType, data) {
+  if (eventType === 'email.bounced' && data.bounce?.type === 'Transient') return;
+
+  const recipients = (Array.isArray(data.to) ? data.to : [data.to]).filter(Boolean);
+  if (recipients.length === 0) return;
+
+  const { error } = await supabase.from('email_suppressions').upsert(
+    recipients.map((email) => ({
+      email: String(email).toLowerCase(),
+      reason: eventType === 'email.bounced' ? 'bounce' : 'complaint',
+      detail: eventType === 'email.bounced' ? data.bounce?.message || null : 'Marked as spam by recipient',
+      resend_email_id: data.email_id,
+    })),
+    { onConflict: 'email', ignoreDuplicates: true }
+  );
+
+  if (error) {
+    console.error(`Failed to suppress ${recipients.join(', ')}:`, error);
+  }
+}
+
+/**
+ * Apply an event to a journey send (api/cron/email-journeys.js), which the
+ * admin Email Journeys tab turns into per-step conversion.
+ */
+async function updateJourneySend(emailId, eventType, eventInfo) {
+  const { data: send, error: findError } = await supabase
+    .from('email_journey_sends')
+    .select('id, status, delivered_at, first_opened_at, first_clicked_at, open_count, click_count')
+    .eq('resend_email_id', emailId)
+    .maybeSingle();
+
+  if (findError || !send) return false;
+
+  const now = new Date().toISOString();
+  const updates = { updated_at: now };
+
+  if (STATUS_ORDER.indexOf(eventInfo.status) > STATUS_ORDER.indexOf(send.status)) {
+    updates.status = eventInfo.status;
+  }
+  if (eventInfo.timestampField === 'delivered_at' && !send.delivered_at) updates.delivered_at = now;
+  if (eventInfo.timestampField === 'first_opened_at' && !send.first_opened_at) updates.first_opened_at = now;
+  if (eventInfo.timestampField === 'first_clicked_at' && !send.first_clicked_at) updates.first_clicked_at = now;
+  if (eventInfo.counter) updates[eventInfo.counter] = (send[eventInfo.counter] || 0) + 1;
+  if (eventType === 'email.bounced') updates.error_message = 'Email bounced';
+  if (eventType === 'email.complained') updates.error_message = 'Marked as spam by recipient';
+
+  const { error: updateError } = await supabase
+    .from('email_journey_sends')
+    .update(updates)
+    .eq('id', send.id);
+
+  if (updateError) {
+    console.error(`Failed to update journey send ${send.id}:`, updateError);
+  } else {
+    console.log(`Updated journey send ${send.id} with event ${eventType}`);
+  }
+  return true;
+}
+
 /**
  * Read the raw request body from the stream.
  * Required for accurate webhook signature verification.
@@ -150,6 +220,10 @@ export default async function handler(req, res) {
       return res.status(200).json({ received: true });
     }
 
+    if (eventType === 'email.bounced' || eventType === 'email.complained') {
+      await suppressRecipients(eventType, data);
+    }
+
     // Find the recipient by Resend email ID
     const { data: recipient, error: findError } = await supabase
       .from('email_recipients')
@@ -158,8 +232,12 @@ export default async function handler(req, res) {
       .single();
 
     if (findError || !recipient) {
-      // Email not found in our system - might be from a different source
-      console.log(`Email ID ${emailId} not found in email_recipients`);
+      // Not a campaign email — try journey sends, otherwise it's from a
+      // different source (welcome email, nudge, ...)
+      const isJourneySend = await updateJourneySend(emailId, eventType, eventInfo);
+      if (!isJourneySend) {
+        console.log(`Email ID ${emailId} not found in email_recipients or email_journey_sends`);
+      }
       return res.status(200).json({ received: true });
     }
 
@@ -168,11 +246,8 @@ export default async function handler(req, res) {
       updated_at: new Date().toISOString()
     };
 
-    // Status progression: pending -> sent -> delivered -> opened -> clicked
-    // Don't downgrade status (e.g., don't go from 'opened' back to 'delivered')
-    const statusOrder = ['pending', 'failed', 'sent', 'delivered', 'bounced', 'complained', 'opened', 'clicked'];
-    const currentStatusIndex = statusOrder.indexOf(recipient.status);
-    const newStatusIndex = statusOrder.indexOf(eventInfo.status);
+    const currentStatusIndex = STATUS_ORDER.indexOf(recipient.status);
+    const newStatusIndex = STATUS_ORDER.indexOf(eventInfo.status);
 
     if (newStatusIndex > currentStatusIndex) {
       updates.status = eventInfo.status;
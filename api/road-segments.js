@@ -13,6 +13,7 @@ import {
   extractSegmentsFromPoints,
   decodePolyline,
 } from './utils/roadSegmentExtractor.js';
+import { compileRoutingCostProfile } from './utils/routingCostProfile.js';
 
 // Initialize Supabase (server-side with service key for full access)
 const supabase = getSupabaseAdmin();
@@ -83,6 +84,9 @@ export default async function handler(req, res) {
       case 'visualize_segments':
         return await visualizeSegments(req, res, authUser);
 
+      case 'get_cost_profile':
+        return await getCostProfile(req, res, authUser);
+
       default:
         return res.status(400).json({
           error: 'Invalid action',
@@ -96,7 +100,8 @@ export default async function handler(req, res) {
             'update_preferences',
             'get_familiar_segments',
             'get_loop_waypoints',
-            'visualize_segments'
+            'visualize_segments',
+            'get_cost_profile'
           ]
         });
     }
@@ -474,6 +479,50 @@ async function updatePreferences(req, res, authUser) {
   });
 }
 
+// Segments read per page / in total when compiling a cost profile. The
+// heaviest riders have a few tens of thousands; the most-ridden slice is
+// what shapes the profile anyway.
+const COST_PROFILE_PAGE_SIZE = 1000;
+const COST_PROFILE_MAX_SEGMENTS = 20000;
+
+/**
+ * Compile the rider's road history into a routing cost profile
+ * (see utils/routingCostProfile.js).
+ */
+async function getCostProfile(req, res, authUser) {
+  const [{ data: prefs, error: prefsError }, segments] = await Promise.all([
+    supabase
+      .from('user_road_preferences')
+      .select('*')
+      .eq('user_id', authUser.id)
+      .maybeSingle(),
+    (async () => {
+      const rows = [];
+      for (let start = 0; start < COST_PROFILE_MAX_SEGMENTS; start += COST_PROFILE_PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from('user_road_segments')
+          .select('segment_length_m, ride_count, last_ridden_at, road_name, road_type, surface_type')
+          .eq('user_id', authUser.id)
+          .order('ride_count', { ascending: false })
+          .range(start, start + COST_PROFILE_PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < COST_PROFILE_PAGE_SIZE) break;
+      }
+      return rows;
+    })()
+  ]);
+
+  if (prefsError) {
+    console.error('Error fetching preferences for cost profile:', prefsError);
+  }
+
+  return res.json({
+    success: true,
+    profile: compileRoutingCostProfile(segments, prefs || null)
+  });
+}
+
 /**
  * Get familiar segments in a bounding box (for map visualization)
  */
@@ -6,6 +6,7 @@ import { setupCors } from './utils/cors.js';
 import { completeActivationStep } from './utils/activation.js';
 import { rateLimitMiddleware } from './utils/rateLimit.js';
 import { encodeThumbPolyline } from './utils/polylineEncode.js';
+import { loadMaskZones, toSharedRoutePayload } from './utils/privacyZones.js';
 
 // Initialize Supabase (server-side with service role)
 const supabase = getSupabaseAdmin();
@@ -126,6 +127,25 @@ export default async function handler(req, res) {
   }
 }
 
+const MAX_STAGE_STOPS = 29;
+
+/**
+ * Overnight stops for a multi-day route: [{km, name}] sorted by km, or null.
+ * Drops malformed entries rather than rejecting the save.
+ */
+export function sanitizeStageStops(stops) {
+  if (!Array.isArray(stops)) return null;
+  const clean = stops
+    .filter((s) => s && Number.isFinite(Number(s.km)) && Number(s.km) > 0)
+    .map((s) => ({
+      km: Math.round(Number(s.km) * 10) / 10,
+      name: typeof s.name === 'string' && s.name.trim() ? s.name.trim().slice(0, 80) : null,
+    }))
+    .sort((a, b) => a.km - b.km)
+    .slice(0, MAX_STAGE_STOPS);
+  return clean.length > 0 ? clean : null;
+}
+
 /**
  * Save a new route or update existing
  */
@@ -154,6 +174,7 @@ async function saveRoute(req, res, userId, routeData) {
       estimated_duration_minutes: routeData.estimated_duration_minutes || null,
       geometry: routeData.geometry,
       waypoints: routeData.waypoints || null,
+      cues: Array.isArray(routeData.cues) && routeData.cues.length > 0 ? routeData.cues : null,
       start_latitude: startCoord ? startCoord[1] : null,
       start_longitude: startCoord ? startCoord[0] : null,
       end_latitude: endCoord ? endCoord[1] : null,
@@ -172,6 +193,12 @@ async function saveRoute(req, res, userId, routeData) {
       updated_at: new Date().toISOString()
     };
 
+    // Only clients that plan stages send the field; older ones must not
+    // wipe a trip's overnight stops when they re-save the route.
+    if ('stage_stops' in routeData) {
+      routeRecord.stage_stops = sanitizeStageStops(routeData.stage_stops);
+    }
+
     let result;
 
     if (routeData.id) {
@@ -262,6 +289,7 @@ async function listRoutes(req, res, userId) {
  * Owners can always read their routes; other authenticated users can read
  * a route only when it has been shared (visibility 'public' / not private).
  * Non-shared routes return 404 rather than 403 so route ids can't be probed.
+ * Non-owners get the privacy-zone-masked geometry (migration 119).
  */
 async function getRoute(req, res, userId, routeId) {
   if (!routeId) {
@@ -274,7 +302,7 @@ async function getRoute(req, res, userId, routeId) {
       .select(`
         id, user_id, name, description,
         distance_km, elevation_gain_m, elevation_loss_m, estimated_duration_minutes,
-        geometry, waypoints,
+        geometry, shared_geometry, waypoints, cues, stage_stops,
         start_latitude, start_longitude, end_latitude, end_longitude,
         route_type, difficulty_rating, training_goal, surface_type,
         generated_by, is_private, visibility,
@@ -296,7 +324,14 @@ async function getRoute(req, res, userId, routeId) {
       return res.status(404).json({ error: 'Route not found' });
     }
 
-    const { user_id: _ownerId, ...routePayload } = route;
+    const { user_id: ownerId, ...fullRoute } = route;
+    let routePayload;
+    if (isOwner) {
+      const { shared_geometry: _sharedGeometry, ...ownerView } = fullRoute;
+      routePayload = ownerView;
+    } else {
+      routePayload = toSharedRoutePayload(fullRoute, await loadMaskZones(supabase, ownerId));
+    }
 
     return res.status(200).json({
       success: true,
@@ -312,7 +347,8 @@ async function getRoute(req, res, userId, routeId) {
 /**
  * Unauthenticated read of a shared route. Only routes explicitly marked
  * public are returned; anything else is a 404 so route ids can't be probed.
- * The owner's user_id is never included in the payload.
+ * The owner's user_id is never included in the payload, and the geometry is
+ * the privacy-zone-masked copy (migration 119).
  */
 async function getPublicRoute(req, res, routeId) {
   if (!routeId) {
@@ -325,8 +361,7 @@ async function getPublicRoute(req, res, routeId) {
       .select(`
         id, name, description,
         distance_km, elevation_gain_m, elevation_loss_m, estimated_duration_minutes,
-        geometry,
-        start_latitude, start_longitude, end_latitude, end_longitude,
+        shared_geometry,
         route_type, difficulty_rating, training_goal, surface_type,
         is_private, visibility, created_at, updated_at
       `)
@@ -345,7 +380,7 @@ async function getPublicRoute(req, res, routeId) {
       return res.status(404).json({ error: 'Route not found' });
     }
 
-    return res.status(200).json({ success: true, route });
+    return res.status(200).json({ success: true, route: toSharedRoutePayload(route) });
 
   } catch (error) {
     console.error('Get public route error:', error);
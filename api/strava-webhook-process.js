@@ -0,0 +1,75 @@
+// Vercel API Route: Strava Webhook Retry Processor (Cron)
+// Retries Strava webhook events whose inline attempt in api/strava-webhook.js
+// failed transiently (Strava 429/5xx, network, token refresh, DB errors), or
+// whose webhook request died before finishing.
+// Runs every 5 minutes via Vercel cron.
+//
+// Retry budget, backoff and dead-lettering: api/utils/webhookQueue.js
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { fetchReadyEvents, scheduleRetry } from './utils/webhookQueue.js';
+import { captureServerError } from './utils/serverSentry.js';
+import { processWebhookEvent } from './strava-webhook.js';
+
+const supabase = getSupabaseAdmin();
+
+const BATCH_SIZE = 20;
+
+export default async function handler(req, res) {
+  // Verify cron authorization (timing-safe)
+  const { verifyCronAuth } = await import('./utils/verifyCronAuth.js');
+  if (!verifyCronAuth(req).authorized) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  console.log('=== Strava Webhook Processor Started ===');
+
+  const results = { processed: 0, retried: 0, deadLettered: 0 };
+
+  try {
+    const events = await fetchReadyEvents(supabase, 'strava', { limit: BATCH_SIZE });
+
+    if (events.length === 0) {
+      console.log('No Strava events to process');
+      return res.status(200).json({ success: true, message: 'No events to process', ...results });
+    }
+
+    console.log(`Found ${events.length} Strava events to process`);
+
+    for (const event of events) {
+      try {
+        await processWebhookEvent(event.id, event.payload);
+        results.processed++;
+      } catch (error) {
+        console.error(`Error processing Strava event ${event.id}:`, error.message);
+        const { deadLettered } = await scheduleRetry(supabase, 'strava', event, error.message);
+        if (deadLettered) {
+          results.deadLettered++;
+          console.error(`🚨 Strava event ${event.id} (${event.aspect_type}, object_id=${event.object_id}) dead-lettered: ${error.message}`);
+          captureServerError(error, {
+            tag: 'strava.activity_lost',
+            extra: {
+              event_id: event.id,
+              aspect_type: event.aspect_type,
+              object_id: event.object_id,
+              user_id: event.user_id,
+            },
+          });
+        } else {
+          results.retried++;
+        }
+      }
+    }
+
+    console.log('=== Strava Webhook Processor Complete ===', results);
+
+    return res.status(200).json({ success: true, ...results });
+
+  } catch (error) {
+    console.error('Strava processor error:', error);
+    return res.status(500).json({
+      error: 'Processing failed',
+      details: error.message
+    });
+  }
+}
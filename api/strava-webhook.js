@@ -4,7 +4,10 @@
 // Documentation: https://developers.strava.com/docs/webhooks/
 //
 // IMPORTANT: This handler processes synchronously before responding
-// to ensure activities are saved (Vercel terminates after response)
+// to ensure activities are saved (Vercel terminates after response).
+// Transient failures (Strava 429/5xx, network, token refresh, DB errors) are
+// left on the webhook queue and retried by api/strava-webhook-process.js —
+// see api/utils/webhookQueue.js.
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { setupCors } from './utils/cors.js';
@@ -13,8 +16,10 @@ import { updateSnapshotForActivity } from './utils/fitnessSnapshots.js';
 import { completeActivationStep, enqueueProactiveInsight, enqueueCheckIn } from './utils/activation.js';
 import { enqueueDeviationAnalysis } from './utils/deviationProcessor.js';
 import { triggerTrainingLoadRefresh } from './utils/trainingLoadRefresh.js';
-import { sendPushToUser, buildPostRideMessage } from './utils/pushNotification.js';
+import { buildPostRideMessage } from './utils/pushNotification.js';
+import { dispatchNotification } from './utils/notificationDispatcher.js';
 import { reportStravaApiFailure, STRAVA_APP_INACTIVE_PROCESS_ERROR, STRAVA_FETCH_FAILED_PREFIX } from './utils/stravaAppStatus.js';
+import { deadLetterEvent, INLINE_ATTEMPT_GRACE_MINUTES, scheduleRetry } from './utils/webhookQueue.js';
 
 // Initialize Supabase (server-side with service key for webhook processing)
 const supabase = getSupabaseAdmin();
@@ -216,7 +221,9 @@ async function handleWebhook(req, res) {
         updates: webhookData.updates || null,
         event_time: webhookData.event_time,
         payload: webhookData,
-        processed: false
+        processed: false,
+        // Hold off the processor cron while this request makes the first attempt
+        next_retry_at: new Date(Date.now() + INLINE_ATTEMPT_GRACE_MINUTES * 60 * 1000).toISOString()
       })
       .select()
       .single();
@@ -235,9 +242,10 @@ async function handleWebhook(req, res) {
       console.log('✅ Webhook processed successfully');
     } catch (err) {
       console.error('❌ Webhook processing error:', err);
-      // Update event with error
+      // Leave the event on the queue for the processor cron to retry
       if (event?.id) {
-        await markEventProcessed(event.id, err.message);
+        const { deadLettered, nextRetryAt } = await scheduleRetry(supabase, 'strava', event, err.message);
+        console.log(deadLettered ? '🪦 Event dead-lettered' : `🔄 Retry scheduled for ${nextRetryAt}`);
       }
     }
 
@@ -260,9 +268,11 @@ async function handleWebhook(req, res) {
 }
 
 /**
- * Process webhook event
+ * Process webhook event. Permanent outcomes (imported, skipped, unknown
+ * athlete, 404) mark the event processed; transient failures throw so the
+ * caller can schedule a retry. Shared with api/strava-webhook-process.js.
  */
-async function processWebhookEvent(eventId, webhookData) {
+export async function processWebhookEvent(eventId, webhookData) {
   console.log('🔄 Processing webhook event:', eventId);
 
   // Find user by Strava athlete ID (owner_id) in bike_computer_integrations
@@ -274,7 +284,7 @@ async function processWebhookEvent(eventId, webhookData) {
     .maybeSingle();
 
   if (integrationError) {
-    console.error('❌ Error finding integration:', integrationError);
+    throw new Error(`Integration lookup failed: ${integrationError.message}`);
   }
 
   if (!integration) {
@@ -340,10 +350,10 @@ async function handleActivityCreate(eventId, webhookData, integration) {
     const accessToken = await getValidAccessToken(integration);
 
     // Fetch activity details from Strava
-    const { activity, failureReason } = await fetchStravaActivity(webhookData.object_id, accessToken, integration.user_id);
+    const { activity, ...fetchFailure } = await fetchStravaActivity(webhookData.object_id, accessToken, integration.user_id);
 
     if (!activity) {
-      await markEventProcessed(eventId, failureReason);
+      await handleFetchFailure(eventId, fetchFailure);
       return;
     }
 
@@ -437,8 +447,7 @@ async function handleActivityCreate(eventId, webhookData, integration) {
 
     if (insertError) {
       console.error('❌ Error saving activity:', insertError);
-      await markEventProcessed(eventId, insertError.message);
-      return;
+      throw new Error(`Failed to save activity: ${insertError.message}`);
     }
 
     console.log('✅ Activity imported:', {
@@ -516,7 +525,7 @@ async function handleActivityCreate(eventId, webhookData, integration) {
       console.error('⚠️ Activation tracking failed (non-critical):', activationError.message);
     }
 
-    // Send post-ride push notification (fire-and-forget)
+    // Send post-ride notification (fire-and-forget)
     try {
       const { data: latestLoad } = await supabase
         .from('training_load_daily')
@@ -527,14 +536,14 @@ async function handleActivityCreate(eventId, webhookData, integration) {
         .maybeSingle();
 
       const message = buildPostRideMessage(latestLoad);
-      sendPushToUser(integration.user_id, {
+      dispatchNotification(integration.user_id, {
         ...message,
         url: '/dashboard',
-        notificationType: 'post_ride_insight',
+        type: 'post_ride_insight',
         referenceId: savedActivity.id,
-      }).catch((e) => console.error('⚠️ Push notification failed (non-fatal):', e.message));
+      }).catch((e) => console.error('⚠️ Post-ride notification failed (non-fatal):', e.message));
     } catch (pushError) {
-      console.error('⚠️ Push notification failed (non-fatal):', pushError.message);
+      console.error('⚠️ Post-ride notification failed (non-fatal):', pushError.message);
     }
 
     // Update webhook event
@@ -543,6 +552,7 @@ async function handleActivityCreate(eventId, webhookData, integration) {
       .update({
         processed: true,
         processed_at: new Date().toISOString(),
+        process_error: null,
         activity_id: savedActivity.id
       })
       .eq('id', eventId);
@@ -558,7 +568,8 @@ async function handleActivityCreate(eventId, webhookData, integration) {
 
   } catch (error) {
     console.error('❌ Error processing activity create:', error);
-    await markEventProcessed(eventId, error.message);
+    // Rethrow so the event stays queued for a retry
+    throw error;
   }
 }
 
@@ -586,10 +597,10 @@ async function handleActivityUpdate(eventId, webhookData, integration) {
 
     // Fetch updated activity from Strava
     const accessToken = await getValidAccessToken(integration);
-    const { activity, failureReason } = await fetchStravaActivity(webhookData.object_id, accessToken, integration.user_id);
+    const { activity, ...fetchFailure } = await fetchStravaActivity(webhookData.object_id, accessToken, integration.user_id);
 
     if (!activity) {
-      await markEventProcessed(eventId, failureReason);
+      await handleFetchFailure(eventId, fetchFailure);
       return;
     }
 
@@ -625,7 +636,8 @@ async function handleActivityUpdate(eventId, webhookData, integration) {
 
   } catch (error) {
     console.error('❌ Error processing activity update:', error);
-    await markEventProcessed(eventId, error.message);
+    // Rethrow so the event stays queued for a retry
+    throw error;
   }
 }
 
@@ -660,7 +672,8 @@ async function handleActivityDelete(eventId, webhookData, integration) {
 
   } catch (error) {
     console.error('❌ Error processing activity delete:', error);
-    await markEventProcessed(eventId, error.message);
+    // Rethrow so the event stays queued for a retry
+    throw error;
   }
 }
 
@@ -728,14 +741,33 @@ async function fetchStravaActivity(activityId, accessToken, userId) {
         failureReason: appInactive
           ? STRAVA_APP_INACTIVE_PROCESS_ERROR
           : `${STRAVA_FETCH_FAILED_PREFIX} (HTTP ${response.status})`,
+        appInactive,
+        retryable: !appInactive && (response.status === 429 || response.status >= 500),
       };
     }
 
     return { activity: await response.json(), failureReason: null };
   } catch (error) {
     console.error('❌ Error fetching activity:', error);
-    return { activity: null, failureReason: `${STRAVA_FETCH_FAILED_PREFIX} (${error.message})` };
+    return { activity: null, failureReason: `${STRAVA_FETCH_FAILED_PREFIX} (${error.message})`, retryable: true };
+  }
+}
+
+/**
+ * Route a failed activity fetch. Rate limits, Strava 5xx and network errors
+ * throw so the event is retried; an inactive app goes straight to the
+ * dead-letter queue (retrying can't help, but a redrive once the app is
+ * reinstated can); anything else (404, revoked access) is final.
+ */
+async function handleFetchFailure(eventId, { failureReason, appInactive, retryable }) {
+  if (retryable) {
+    throw new Error(failureReason);
+  }
+  if (appInactive && eventId) {
+    await deadLetterEvent(supabase, 'strava', { id: eventId }, failureReason);
+    return;
   }
+  await markEventProcessed(eventId, failureReason);
 }
 
 /**
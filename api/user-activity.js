@@ -3,11 +3,17 @@
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { setupCors } from './utils/cors.js';
+import { getAdminRole, hasAdminPermission, logAdminAction } from './utils/auth.js';
 
 const supabaseAdmin = getSupabaseAdmin();
 
-// SECURITY: Hardcoded admin email
-const ADMIN_EMAIL = 'travis@tribos.studio';
+// Actions that read other users' activity — require the activity:read admin permission
+const ADMIN_ACTIONS = new Set([
+  'get_user_activity',
+  'get_activity_summary',
+  'get_recent_activity',
+  'get_activity_stats',
+]);
 
 /**
  * Fetch all rows from a Supabase table, paginating in batches to avoid the 1000-row default limit.
@@ -87,13 +93,6 @@ async function getUser(req) {
   return user;
 }
 
-/**
- * Check if user is admin
- */
-function isAdmin(user) {
-  return user?.email?.toLowerCase() === ADMIN_EMAIL.toLowerCase();
-}
-
 export default async function handler(req, res) {
   // Handle CORS
   if (setupCors(req, res)) {
@@ -113,6 +112,14 @@ export default async function handler(req, res) {
   try {
     const { action } = req.body;
 
+    if (ADMIN_ACTIONS.has(action)) {
+      const role = await getAdminRole(supabaseAdmin, user);
+      if (!hasAdminPermission(role, 'activity:read')) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      await logAdminAction({ ...user, adminRole: role }, action, req.body.targetUserId || null, null);
+    }
+
     switch (action) {
       case 'log_event':
         return await logEvent(req, res, user);
@@ -122,27 +129,15 @@ export default async function handler(req, res) {
 
       // Admin-only actions
       case 'get_user_activity':
-        if (!isAdmin(user)) {
-          return res.status(403).json({ error: 'Admin access required' });
-        }
         return await getUserActivity(req, res);
 
       case 'get_activity_summary':
-        if (!isAdmin(user)) {
-          return res.status(403).json({ error: 'Admin access required' });
-        }
         return await getActivitySummary(req, res);
 
       case 'get_recent_activity':
-        if (!isAdmin(user)) {
-          return res.status(403).json({ error: 'Admin access required' });
-        }
         return await getRecentActivity(req, res);
 
       case 'get_activity_stats':
-        if (!isAdmin(user)) {
-          return res.status(403).json({ error: 'Admin access required' });
-        }
         return await getActivityStats(req, res);
 
       default:
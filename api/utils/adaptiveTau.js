@@ -16,16 +16,22 @@
  */
 
 import { calculateCTL, estimateTSS } from './fitnessSnapshots.js';
+import { hrvBaselineSd, loadHealthHistory } from './readiness.js';
 
 export const DEFAULT_TFI_TAU = 42;
 export const DEFAULT_AFI_TAU = 7;
+const HRV_DEAD_ZONE_SD = 0.5;
 
 /**
- * Placeholder HRV modulation — identity function today.
- * @todo Implement once `latest_hrv_rmssd` lands on user_profiles.
+ * HRV modulation of a time constant — mirror of src/lib/training/adaptive-tau.ts.
+ * Suppressed HRV (in SDs from the rolling baseline) lengthens tau up to +15%,
+ * elevated HRV shortens it down to −10%; within ±0.5 SD it's unchanged.
  */
-export function applyHRVModulation(tau, _hrvRmssd) {
-  return tau;
+export function applyHRVModulation(tau, hrvBaselineSd) {
+  if (hrvBaselineSd == null || !Number.isFinite(hrvBaselineSd)) return tau;
+  if (Math.abs(hrvBaselineSd) <= HRV_DEAD_ZONE_SD) return tau;
+  const factor = Math.min(1.15, Math.max(0.9, 1 - 0.1 * hrvBaselineSd));
+  return +(tau * factor).toFixed(1);
 }
 
 // ────────────────────────────────────────────────────────────────────────
@@ -97,6 +103,8 @@ function variance(values) {
  * - Pulls a 180-day daily-TSS series: TFI-series variance feeds §3.4;
  *   a forward-walked EWA at the freshly-computed tau supplies current
  *   TFI for §3.5.
+ * - AFI tau is then modulated by the latest overnight HRV against the
+ *   athlete's rolling baseline (applyHRVModulation).
  * - Uses the shared supabase admin client provided by the caller — never
  *   creates its own (see CLAUDE.md connection hygiene rules).
  *
@@ -104,7 +112,7 @@ function variance(values) {
  * @param {string} userId
  * @returns {Promise<{ userId: string, skipped?: true, reason?: string,
  *                     tfiTau?: number, afiTau?: number,
- *                     metricsAge?: number }>}
+ *                     metricsAge?: number, hrvBaselineSd?: number|null }>}
  */
 export async function recomputeUserTauConstants(supabase, userId) {
   const { data: profile, error: profileErr } = await supabase
@@ -178,7 +186,8 @@ export async function recomputeUserTauConstants(supabase, userId) {
 
   // §3.5: current TFI from forward-walked EWA at the fresh tau.
   const currentTFI = calculateCTL(dailyTssArray, tfiTau);
-  const afiTau = calculateAFITimeConstant(metricsAge, currentTFI);
+  const hrvSd = await latestHrvBaselineSd(supabase, userId, windowEnd);
+  const afiTau = applyHRVModulation(calculateAFITimeConstant(metricsAge, currentTFI), hrvSd);
 
   const { error: upsertErr } = await supabase
     .from('user_profiles')
@@ -187,5 +196,23 @@ export async function recomputeUserTauConstants(supabase, userId) {
 
   if (upsertErr) throw upsertErr;
 
-  return { userId, metricsAge, tfiTau, afiTau };
+  return { userId, metricsAge, tfiTau, afiTau, hrvBaselineSd: hrvSd };
+}
+
+/**
+ * HRV in SDs from baseline for the newest reading in the last two days
+ * (overnight HRV lands under the local wake date, which can trail UTC).
+ * Null when there's no recent reading or baseline; failures are swallowed —
+ * HRV only fine-tunes tau.
+ */
+async function latestHrvBaselineSd(supabase, userId, now) {
+  try {
+    const today = now.toISOString().slice(0, 10);
+    const history = await loadHealthHistory(supabase, userId, today, 2);
+    const latest = [...history].reverse().find((d) => d.hrv_ms > 0);
+    return latest ? hrvBaselineSd(history, latest.date) : null;
+  } catch (err) {
+    console.warn(`[adaptiveTau] HRV history unavailable for ${userId}:`, err.message);
+    return null;
+  }
 }
@@ -514,15 +514,21 @@ export function estimateDynamicFTP(recentActivities, currentFTP) {
   };
 }
 
+const MMP_PROGRESSION_DURATIONS = ['5s', '60s', '300s', '1200s', '3600s'];
+
 /**
  * Track MMP (Mean Maximal Power) progression over time.
  * Returns best power at key durations for each rolling time window.
  *
+ * The final point is always anchored on the most recent activity, so the
+ * last window reflects current form (the CP model fits from it).
+ *
  * @param {Object[]} activities - Activities sorted by date, with power_curve_summary
  * @param {number} [windowDays=90] - Rolling window size in days
+ * @param {string[]} [durations] - power_curve_summary keys to track
  * @returns {Object[]} MMP progression data points
  */
-export function trackMMPProgression(activities, windowDays = 90) {
+export function trackMMPProgression(activities, windowDays = 90, durations = MMP_PROGRESSION_DURATIONS) {
   if (!activities || activities.length === 0) return [];
 
   const withCurves = activities
@@ -531,17 +537,20 @@ export function trackMMPProgression(activities, windowDays = 90) {
 
   if (withCurves.length < 3) return [];
 
-  const durations = ['5s', '60s', '300s', '1200s', '3600s'];
   const progression = [];
   const windowMs = windowDays * 24 * 60 * 60 * 1000;
 
-  // Sample at monthly intervals
+  // Sample at monthly intervals, plus a final sample on the last ride date
   const firstDate = new Date(withCurves[0].start_date);
   const lastDate = new Date(withCurves[withCurves.length - 1].start_date);
+  const sampleDates = [];
+  for (let d = new Date(firstDate); d < lastDate; d.setDate(d.getDate() + 30)) {
+    sampleDates.push(new Date(d));
+  }
+  sampleDates.push(lastDate);
 
-  for (let d = new Date(firstDate); d <= lastDate; d.setDate(d.getDate() + 30)) {
-    const windowEnd = new Date(d);
-    const windowStart = new Date(d.getTime() - windowMs);
+  for (const windowEnd of sampleDates) {
+    const windowStart = new Date(windowEnd.getTime() - windowMs);
 
     const windowActivities = withCurves.filter(a => {
       const date = new Date(a.start_date);
@@ -344,6 +344,20 @@ describe('trackMMPProgression', () => {
       expect(result.trends['300s'].change).toBeGreaterThan(0);
     }
   });
+
+  it('anchors the last point on the latest ride and tracks custom durations', () => {
+    const activities = [0, 20, 45].map(day => ({
+      start_date: new Date(Date.UTC(2025, 0, 1 + day)).toISOString(),
+      power_curve_summary: { '120s': 400 + day, '600s': 300 },
+    }));
+
+    const result = trackMMPProgression(activities, 90, ['120s', '600s']);
+    const last = result.progression[result.progression.length - 1];
+    expect(last.date).toBe('2025-02-15');
+    expect(last.best_120s).toBe(445);
+    expect(last.best_600s).toBe(300);
+    expect(result.durations).toEqual(['120s', '600s']);
+  });
 });
 
 // ─── Training Monotony & Strain ───────────────────────────────────────────
@@ -8,11 +8,12 @@
  * the canonical sessions and re-gates against fresh stats, so easing
  * auto-REVERTS when Form Score recovers — there is no stored "is-eased" latch.
  *
- * Only the two gating rules that run on data we already have fire here:
+ * The gating rules that fire here:
  *   - Form Score <= -15  -> swap quality session to Z2
  *   - AFI 4-day growth > ceiling -> trim quality target 25%
- * The HRV / wellness rules stay inert (we pass subjective: []); upward
- * progression is deferred. See docs plan Part XVII.
+ *   - HRV > 0.5 SD below baseline / wellness <= 4 -> ease today's session,
+ *     when the caller supplies readiness signals (utils/readiness.js)
+ * Upward progression is deferred. See docs plan Part XVII.
  *
  * No I/O, no LLM — unit-testable.
  */
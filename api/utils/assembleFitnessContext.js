@@ -93,7 +93,14 @@ export async function assembleFitnessContext(userId, supabase, clientMetrics, op
     // 1. Last 28 days of activities for trend calculation
     supabase
       .from('activities')
-      .select('start_date, rss, moving_time, average_watts, effective_power')
+      .select(
+        'start_date, name, rss, moving_time, average_watts, effective_power, ' +
+        'wbal_cp:ride_analytics->w_prime_balance->cp_watts, ' +
+        'wbal_w_prime:ride_analytics->w_prime_balance->w_prime_j, ' +
+        'wbal_min_pct:ride_analytics->w_prime_balance->min_wbal_pct, ' +
+        'wbal_below_25_sec:ride_analytics->w_prime_balance->time_below_25pct_sec, ' +
+        'wbal_depletions:ride_analytics->w_prime_balance->full_depletions'
+      )
       .eq('user_id', userId)
       .is('duplicate_of', null)
       .gte('start_date', twentyEightDaysAgo.toISOString())
@@ -243,6 +250,9 @@ export async function assembleFitnessContext(userId, supabase, clientMetrics, op
   const ftp = profile.ftp || 200;
   const weightKg = profile.weight_kg || 75;
 
+  // --- Deep W′ efforts (races / hard group rides) ---
+  const deepEfforts = summarizeDeepEfforts(activities, timezone);
+
   // --- Proprietary metrics (EFI, TWL, TCAS) ---
   const proprietaryMetrics = await fetchProprietaryMetrics(supabase, userId);
 
@@ -280,6 +290,7 @@ export async function assembleFitnessContext(userId, supabase, clientMetrics, op
       experience_level: profile.experience_level || 'intermediate',
     },
     proprietary_metrics: proprietaryMetrics,
+    deep_efforts: deepEfforts,
     plan: primaryPlan ? {
       name: primaryPlan.name,
       methodology: primaryPlan.methodology,
@@ -297,6 +308,42 @@ export async function assembleFitnessContext(userId, supabase, clientMetrics, op
   };
 }
 
+// A ride counts as a deep effort once W′bal drops below this share of W′.
+const DEEP_EFFORT_MAX_MIN_PCT = 25;
+
+/**
+ * Summarize the last 28 days of W′ balance (ride_analytics.w_prime_balance)
+ * so the coach can tell how deep the athlete dug in races and hard rides.
+ *
+ * @param {Array<object>} activities - 28-day activities with wbal_* columns
+ * @param {string} [timezone]
+ * @returns {{cp_watts: number, w_prime_kj: number, rides: Array<object>}|null}
+ *   null when no ride in the window has a W′ balance
+ */
+export function summarizeDeepEfforts(activities, timezone = 'America/New_York') {
+  const withWbal = (activities || []).filter(a => Number.isFinite(a.wbal_min_pct));
+  if (withWbal.length === 0) return null;
+
+  const latest = withWbal[withWbal.length - 1];
+  const rides = withWbal
+    .filter(a => a.wbal_min_pct <= DEEP_EFFORT_MAX_MIN_PCT || a.wbal_depletions > 0)
+    .sort((a, b) => a.wbal_min_pct - b.wbal_min_pct)
+    .slice(0, 5)
+    .map(a => ({
+      date: formatDateInTz(new Date(a.start_date), timezone),
+      name: a.name || null,
+      min_w_prime_pct: a.wbal_min_pct,
+      minutes_below_25pct: Math.round((a.wbal_below_25_sec || 0) / 60),
+      full_depletions: a.wbal_depletions || 0,
+    }));
+
+  return {
+    cp_watts: latest.wbal_cp ?? null,
+    w_prime_kj: Number.isFinite(latest.wbal_w_prime) ? Math.round(latest.wbal_w_prime / 100) / 10 : null,
+    rides,
+  };
+}
+
 /**
  * Estimate the 28-day CTL trend.
  *
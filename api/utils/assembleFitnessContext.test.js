@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { buildCacheKey, formatDateInTz } from './assembleFitnessContext.js';
+import { buildCacheKey, formatDateInTz, summarizeDeepEfforts } from './assembleFitnessContext.js';
 
 function makeContext(overrides = {}) {
   return {
@@ -53,3 +53,27 @@ describe('formatDateInTz', () => {
     expect(formatDateInTz(d, 'Not/AZone')).toBe('2026-07-23');
   });
 });
+
+describe('summarizeDeepEfforts', () => {
+  const ride = (start_date, wbal) => ({ start_date, name: `Ride ${start_date}`, ...wbal });
+
+  it('lists the deepest rides first with the latest CP/W′ model', () => {
+    const summary = summarizeDeepEfforts([
+      ride('2026-07-10T15:00:00Z', { wbal_cp: 260, wbal_w_prime: 21000, wbal_min_pct: 18, wbal_below_25_sec: 240, wbal_depletions: 0 }),
+      ride('2026-07-12T15:00:00Z', { rss: 40 }),
+      ride('2026-07-18T15:00:00Z', { wbal_cp: 265, wbal_w_prime: 20500, wbal_min_pct: -3, wbal_below_25_sec: 610, wbal_depletions: 2 }),
+      ride('2026-07-20T15:00:00Z', { wbal_cp: 265, wbal_w_prime: 20500, wbal_min_pct: 70, wbal_below_25_sec: 0, wbal_depletions: 0 }),
+    ], 'UTC');
+
+    expect(summary.cp_watts).toBe(265);
+    expect(summary.w_prime_kj).toBe(20.5);
+    expect(summary.rides).toEqual([
+      { date: '2026-07-18', name: 'Ride 2026-07-18T15:00:00Z', min_w_prime_pct: -3, minutes_below_25pct: 10, full_depletions: 2 },
+      { date: '2026-07-10', name: 'Ride 2026-07-10T15:00:00Z', min_w_prime_pct: 18, minutes_below_25pct: 4, full_depletions: 0 },
+    ]);
+  });
+
+  it('returns null when no ride has a W′ balance', () => {
+    expect(summarizeDeepEfforts([ride('2026-07-12T15:00:00Z', { rss: 40 })])).toBeNull();
+  });
+});
@@ -32,3 +32,154 @@ export async function requireAuth(req, res) {
 
   return data.user;
 }
+
+// ---------------------------------------------------------------------------
+// Admin roles
+//
+// Admin access is a role stored in admin_roles (migration 122), not a single
+// hard-coded email. Each admin endpoint asks for the permission its action
+// needs; a role grants a fixed set of permissions. Add a permission here,
+// give it to the roles that should have it, and check it in the endpoint.
+// ---------------------------------------------------------------------------
+
+export const ADMIN_ROLES = ['owner', 'support', 'analyst', 'coach_ops'];
+
+/** Permission → roles (besides owner, who holds every permission) that have it. */
+export const ADMIN_PERMISSIONS = {
+  'users:read': ['support', 'analyst', 'coach_ops'],
+  'users:clean': [],
+  'feedback:read': ['support', 'coach_ops'],
+  'webhooks:read': ['support'],
+  'webhooks:redrive': ['support'],
+  'stats:read': ['support', 'analyst', 'coach_ops'],
+  'activity:read': ['support', 'analyst'],
+  'insights:read': ['analyst'],
+  'analysis:run': ['analyst'],
+  'campaigns:read': ['analyst'],
+  'campaigns:write': [],
+  'campaigns:send': [],
+  'push:read': ['support'],
+  'push:send': [],
+  'garmin:health': ['support', 'analyst'],
+  'garmin:redrive': ['support'],
+  'templates:manage': ['coach_ops'],
+  'forum:moderate': ['support'],
+  'forum:promote': [],
+  'roles:manage': [],
+};
+
+/**
+ * Whether a role grants a permission. Unknown permissions are denied, so a
+ * typo in an endpoint fails closed.
+ */
+export function hasAdminPermission(role, permission) {
+  if (!ADMIN_ROLES.includes(role)) return false;
+  if (!(permission in ADMIN_PERMISSIONS)) return false;
+  return role === 'owner' || ADMIN_PERMISSIONS[permission].includes(role);
+}
+
+/** Every permission a role holds, for the admin UI to decide which tabs to show. */
+export function adminPermissionsFor(role) {
+  return Object.keys(ADMIN_PERMISSIONS).filter((permission) => hasAdminPermission(role, permission));
+}
+
+/**
+ * Look up a user's admin role, or null when they have none.
+ *
+ * Until migration 122 is applied the table doesn't exist; in that case the
+ * ADMIN_EMAIL env var (if set) is treated as owner so the admin panel stays
+ * reachable through the deploy. Once it exists and has no owner yet, the
+ * ADMIN_EMAIL account is seeded as the first owner (seedFirstOwner).
+ */
+export async function getAdminRole(supabase, user) {
+  const { data, error } = await supabase
+    .from('admin_roles')
+    .select('role')
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (error) {
+    const bootstrapEmail = process.env.ADMIN_EMAIL;
+    if (bootstrapEmail && user.email?.toLowerCase() === bootstrapEmail.toLowerCase()) {
+      console.warn('admin_roles unavailable, falling back to ADMIN_EMAIL owner:', error.message);
+      return 'owner';
+    }
+    return null;
+  }
+
+  if (ADMIN_ROLES.includes(data?.role)) return data.role;
+  return seedFirstOwner(supabase, user);
+}
+
+/**
+ * Make the ADMIN_EMAIL account owner when admin_roles has no owner at all.
+ * Once any owner exists ADMIN_EMAIL grants nothing.
+ */
+async function seedFirstOwner(supabase, user) {
+  const bootstrapEmail = process.env.ADMIN_EMAIL;
+  if (!bootstrapEmail || user.email?.toLowerCase() !== bootstrapEmail.toLowerCase()) return null;
+
+  const { count, error: countError } = await supabase
+    .from('admin_roles')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('role', 'owner');
+  if (countError || count > 0) return null;
+
+  const { error } = await supabase.from('admin_roles').insert({ user_id: user.id, role: 'owner' });
+  if (error) {
+    console.error('Failed to seed the first admin owner:', error.message);
+    return null;
+  }
+  console.warn(`Seeded ${user.email} (ADMIN_EMAIL) as the first admin owner`);
+  return 'owner';
+}
+
+/**
+ * Authenticate the caller and require an admin role holding `permission`
+ * (any admin role when omitted).
+ *
+ * Like requireAuth(), this sends the 401/403 itself and returns null on
+ * failure. On success it returns the user with `adminRole` attached, which
+ * logAdminAction() records alongside each action.
+ */
+export async function requireAdmin(req, res, permission = null) {
+  const user = await requireAuth(req, res);
+  if (!user) return null;
+
+  const role = await getAdminRole(getSupabaseAdmin(), user);
+  if (!role) {
+    console.warn(`SECURITY: Unauthorized admin access attempt by ${user.email} (ID: ${user.id})`);
+    res.status(403).json({ error: 'Unauthorized - admin access denied' });
+    return null;
+  }
+
+  if (permission && !hasAdminPermission(role, permission)) {
+    console.warn(`SECURITY: ${user.email} (${role}) denied ${permission}`);
+    res.status(403).json({ error: `Your admin role (${role}) does not allow this action` });
+    return null;
+  }
+
+  return { ...user, adminRole: role };
+}
+
+/**
+ * Write an admin action to admin_audit_log with the role it was performed
+ * under. Never throws — a failed audit write is logged, not surfaced.
+ */
+export async function logAdminAction(adminUser, action, targetUserId = null, details = null) {
+  try {
+    const { error } = await getSupabaseAdmin()
+      .from('admin_audit_log')
+      .insert({
+        admin_user_id: adminUser.id,
+        role: adminUser.adminRole ?? null,
+        action,
+        target_user_id: targetUserId,
+        details,
+        created_at: new Date().toISOString(),
+      });
+    if (error) console.error('Failed to log admin action:', error.message);
+  } catch (error) {
+    console.error('Failed to log admin action:', error);
+  }
+}
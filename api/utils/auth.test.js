@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const state = { user: null, role: null, roleError: null, ownerCount: 1, inserts: [], roleInserts: [] };
+
+vi.mock('./supabaseAdmin.js', () => ({
+  getSupabaseAdmin: () => ({
+    auth: {
+      getUser: vi.fn(async () => (state.user
+        ? { data: { user: state.user }, error: null }
+        : { data: { user: null }, error: { message: 'bad token' } })),
+    },
+    from: (table) => {
+      if (table === 'admin_audit_log') {
+        return { insert: vi.fn(async (row) => { state.inserts.push(row); return { error: null }; }) };
+      }
+      const chain = {
+        select: () => chain,
+        eq: () => chain,
+        maybeSingle: async () => ({
+          data: state.role ? { role: state.role } : null,
+          error: state.roleError,
+        }),
+        // Owner count query (select with head: true)
+        then: (resolve) => resolve({ count: state.ownerCount, error: null }),
+        insert: vi.fn(async (row) => { state.roleInserts.push(row); return { error: null }; }),
+      };
+      return chain;
+    },
+  }),
+}));
+
+const {
+  adminPermissionsFor,
+  hasAdminPermission,
+  logAdminAction,
+  requireAdmin,
+} = await import('./auth.js');
+
+function makeRes() {
+  return {
+    status: vi.fn().mockReturnThis(),
+    json: vi.fn().mockReturnThis(),
+  };
+}
+
+const req = { headers: { authorization: 'Bearer token' } };
+
+describe('hasAdminPermission', () => {
+  it('gives owners every permission and other roles only theirs', () => {
+    expect(hasAdminPermission('owner', 'campaigns:send')).toBe(true);
+    expect(hasAdminPermission('support', 'garmin:redrive')).toBe(true);
+    expect(hasAdminPermission('support', 'campaigns:send')).toBe(false);
+    expect(hasAdminPermission('analyst', 'users:clean')).toBe(false);
+  });
+
+  it('fails closed on unknown roles and permissions', () => {
+    expect(hasAdminPermission(null, 'users:read')).toBe(false);
+    expect(hasAdminPermission('superuser', 'users:read')).toBe(false);
+    expect(hasAdminPermission('owner', 'users:raed')).toBe(false);
+  });
+
+  it('lists the permissions a role holds', () => {
+    expect(adminPermissionsFor('coach_ops')).toEqual(
+      expect.arrayContaining(['templates:manage', 'users:read', 'feedback:read'])
+    );
+    expect(adminPermissionsFor('coach_ops')).not.toContain('roles:manage');
+  });
+});
+
+describe('requireAdmin', () => {
+  beforeEach(() => {
+    state.user = { id: 'u1', email: 'helper@example.com' };
+    state.role = null;
+    state.roleError = null;
+    state.ownerCount = 1;
+    state.inserts = [];
+    state.roleInserts = [];
+    delete process.env.ADMIN_EMAIL;
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('returns the user with their role when the permission is granted', async () => {
+    state.role = 'support';
+    const res = makeRes();
+    const admin = await requireAdmin(req, res, 'garmin:redrive');
+    expect(admin).toMatchObject({ id: 'u1', adminRole: 'support' });
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('sends 403 when the role lacks the permission or there is no role', async () => {
+    state.role = 'support';
+    let res = makeRes();
+    expect(await requireAdmin(req, res, 'campaigns:send')).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(403);
+
+    state.role = null;
+    res = makeRes();
+    expect(await requireAdmin(req, res)).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('sends 401 for a bad token', async () => {
+    state.user = null;
+    const res = makeRes();
+    expect(await requireAdmin(req, res)).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('treats ADMIN_EMAIL as owner only while admin_roles is unavailable', async () => {
+    process.env.ADMIN_EMAIL = 'Helper@example.com';
+    state.role = null;
+    expect(await requireAdmin(req, makeRes())).toBeNull();
+
+    state.roleError = { message: 'relation "admin_roles" does not exist' };
+    expect(await requireAdmin(req, makeRes(), 'roles:manage')).toMatchObject({ adminRole: 'owner' });
+  });
+
+  it('seeds ADMIN_EMAIL as the first owner only while admin_roles has no owner', async () => {
+    state.ownerCount = 0;
+    expect(await requireAdmin(req, makeRes())).toBeNull();
+    expect(state.roleInserts).toEqual([]);
+
+    process.env.ADMIN_EMAIL = 'helper@example.com';
+    expect(await requireAdmin(req, makeRes(), 'roles:manage')).toMatchObject({ adminRole: 'owner' });
+    expect(state.roleInserts).toEqual([{ user_id: 'u1', role: 'owner' }]);
+  });
+});
+
+describe('logAdminAction', () => {
+  it('records the role the action was performed under', async () => {
+    state.inserts = [];
+    await logAdminAction({ id: 'u1', adminRole: 'analyst' }, 'get_user_insights', null, { a: 1 });
+    expect(state.inserts[0]).toMatchObject({
+      admin_user_id: 'u1',
+      role: 'analyst',
+      action: 'get_user_insights',
+      target_user_id: null,
+      details: { a: 1 },
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Café group ride events — validation and shaping shared by
+ * api/cafe-events.js. Persistence lives in the route; everything here is
+ * pure so it can be tested without a database.
+ */
+
+export const RSVP_STATUSES = ['going', 'maybe', 'not_going'];
+
+const MAX_PACE_GROUPS = 6;
+const DEFAULT_DURATION_MINUTES = 120;
+
+/** Default cruising speed for a ride with no pace group, km/h. */
+export const DEFAULT_GROUP_SPEED_KMH = 27;
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** YYYY-MM-DD of an instant in an IANA zone (falls back to UTC). */
+export function localDateOf(startsAt, timezone = 'UTC') {
+  const zone = timezone && isValidTimeZone(timezone) ? timezone : 'UTC';
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: zone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(startsAt));
+}
+
+function slug(name, index) {
+  const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return base || `group_${index + 1}`;
+}
+
+/**
+ * Normalise pace groups from the client. Ids are derived from names so an
+ * RSVP's pace_group survives edits that only change speeds.
+ *
+ * @returns {{ paceGroups?: Array<{id, name, avg_speed_kmh, no_drop}>, error?: string }}
+ */
+export function normalizePaceGroups(input) {
+  if (input == null) return { paceGroups: [] };
+  if (!Array.isArray(input)) return { error: 'paceGroups must be an array' };
+  if (input.length > MAX_PACE_GROUPS) return { error: `At most ${MAX_PACE_GROUPS} pace groups` };
+
+  const seen = new Set();
+  const paceGroups = [];
+  for (const [i, g] of input.entries()) {
+    const name = String(g?.name ?? '').trim();
+    if (name.length < 1 || name.length > 40) return { error: 'Each pace group needs a name (up to 40 characters)' };
+    const speed = g.avg_speed_kmh == null || g.avg_speed_kmh === '' ? null : Number(g.avg_speed_kmh);
+    if (speed !== null && !(speed >= 10 && speed <= 50)) {
+      return { error: `Pace group "${name}" speed must be between 10 and 50 km/h` };
+    }
+    let id = slug(name, i);
+    while (seen.has(id)) id = `${id}_${i + 1}`;
+    seen.add(id);
+    paceGroups.push({ id, name, avg_speed_kmh: speed, no_drop: Boolean(g.no_drop) });
+  }
+  return { paceGroups };
+}
+
+/**
+ * Validate a create/update payload and map it to cafe_events columns.
+ * `partial` skips required-field checks for updates.
+ *
+ * @returns {{ row?: Object, error?: string }}
+ */
+export function buildEventRow(body, { partial = false, now = new Date() } = {}) {
+  const row = {};
+
+  if (!partial || body.title !== undefined) {
+    const title = String(body.title ?? '').trim();
+    if (title.length < 3 || title.length > 120) return { error: 'Title must be 3–120 characters' };
+    row.title = title;
+  }
+  if (body.description !== undefined) {
+    const description = body.description ? String(body.description).trim() : null;
+    if (description && description.length > 2000) return { error: 'Description is too long' };
+    row.description = description;
+  }
+  if (!partial || body.startsAt !== undefined) {
+    const startsAt = new Date(body.startsAt);
+    if (Number.isNaN(startsAt.getTime())) return { error: 'startsAt must be a valid date-time' };
+    if (!partial && startsAt.getTime() < now.getTime()) return { error: 'Events must start in the future' };
+    row.starts_at = startsAt.toISOString();
+  }
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) return { error: 'Unknown timezone' };
+    row.timezone = body.timezone;
+  }
+  if (body.estimatedDurationMinutes !== undefined) {
+    const minutes = body.estimatedDurationMinutes == null ? null : Math.round(Number(body.estimatedDurationMinutes));
+    if (minutes !== null && !(minutes >= 15 && minutes <= 720)) return { error: 'Duration must be 15–720 minutes' };
+    row.estimated_duration_minutes = minutes;
+  }
+  if (!partial || body.meetingPointName !== undefined) {
+    const name = String(body.meetingPointName ?? '').trim();
+    if (name.length < 2 || name.length > 200) return { error: 'A meeting point is required' };
+    row.meeting_point_name = name;
+  }
+  if (body.meetingLat !== undefined || body.meetingLng !== undefined) {
+    const lat = body.meetingLat == null ? null : Number(body.meetingLat);
+    const lng = body.meetingLng == null ? null : Number(body.meetingLng);
+    if ((lat === null) !== (lng === null)) return { error: 'Meeting point needs both latitude and longitude' };
+    if (lat !== null && !(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) return { error: 'Invalid meeting point coordinates' };
+    row.meeting_lat = lat;
+    row.meeting_lng = lng;
+  }
+  if (body.routeId !== undefined) {
+    row.route_id = body.routeId || null;
+  }
+  if (!partial || body.paceGroups !== undefined) {
+    const { paceGroups, error } = normalizePaceGroups(body.paceGroups);
+    if (error) return { error };
+    row.pace_groups = paceGroups;
+  }
+
+  return { row };
+}
+
+/**
+ * Expected ride duration: the organiser's estimate, else the route's
+ * distance at the slowest pace group's speed, else two hours.
+ */
+export function expectedDurationMinutes(event, route = null) {
+  if (event.estimated_duration_minutes) return event.estimated_duration_minutes;
+  const distance = Number(route?.distance_km);
+  if (distance > 0) {
+    const speeds = (event.pace_groups || []).map((g) => Number(g.avg_speed_kmh)).filter((s) => s > 0);
+    const speed = speeds.length ? Math.min(...speeds) : DEFAULT_GROUP_SPEED_KMH;
+    return Math.round((distance / speed) * 60);
+  }
+  if (route?.estimated_duration_minutes) return route.estimated_duration_minutes;
+  return DEFAULT_DURATION_MINUTES;
+}
+
+/** RSVP counts overall and per pace group. */
+export function summarizeRsvps(rsvps) {
+  const summary = { going: 0, maybe: 0, not_going: 0, byPaceGroup: {} };
+  for (const r of rsvps) {
+    if (!RSVP_STATUSES.includes(r.status)) continue;
+    summary[r.status] += 1;
+    if (r.status === 'going' && r.pace_group) {
+      summary.byPaceGroup[r.pace_group] = (summary.byPaceGroup[r.pace_group] ?? 0) + 1;
+    }
+  }
+  return summary;
+}
+
+/** Route fields members may see in event listings. */
+export function routeSummary(route) {
+  if (!route) return null;
+  if (!(route.visibility === 'public' || route.is_private === false)) return null;
+  return {
+    id: route.id,
+    name: route.name,
+    distance_km: route.distance_km,
+    elevation_gain_m: route.elevation_gain_m,
+    estimated_duration_minutes: route.estimated_duration_minutes,
+  };
+}
+
+/**
+ * Shape an event row for the client.
+ *
+ * @param {Object} event - cafe_events row
+ * @param {Object} ctx
+ * @param {Array} ctx.rsvps - the event's cafe_event_rsvps rows
+ * @param {Object|null} ctx.route - routes row (id, name, distance, visibility…)
+ * @param {string} ctx.userId - caller
+ * @param {boolean} ctx.isCafeAdmin
+ */
+export function toEventPayload(event, { rsvps = [], route = null, userId, isCafeAdmin = false, cafeName = null }) {
+  const mine = rsvps.find((r) => r.user_id === userId) ?? null;
+  const summary = routeSummary(route);
+  return {
+    id: event.id,
+    cafe_id: event.cafe_id,
+    cafe_name: cafeName,
+    title: event.title,
+    description: event.description,
+    starts_at: event.starts_at,
+    timezone: event.timezone,
+    local_date: localDateOf(event.starts_at, event.timezone),
+    expected_duration_minutes: expectedDurationMinutes(event, summary),
+    estimated_duration_minutes: event.estimated_duration_minutes,
+    meeting_point_name: event.meeting_point_name,
+    meeting_lat: event.meeting_lat != null ? Number(event.meeting_lat) : null,
+    meeting_lng: event.meeting_lng != null ? Number(event.meeting_lng) : null,
+    route: summary,
+    pace_groups: event.pace_groups || [],
+    status: event.status,
+    rsvp_summary: summarizeRsvps(rsvps),
+    my_rsvp: mine ? { status: mine.status, pace_group: mine.pace_group } : null,
+    can_edit: event.created_by === userId || isCafeAdmin,
+  };
+}
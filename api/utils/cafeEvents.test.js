@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildEventRow,
+  expectedDurationMinutes,
+  localDateOf,
+  normalizePaceGroups,
+  summarizeRsvps,
+  toEventPayload,
+} from './cafeEvents.js';
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+describe('localDateOf', () => {
+  it('places an instant on the local day of the event timezone', () => {
+    // 05:30 UTC Saturday is still Friday evening in Los Angeles.
+    expect(localDateOf('2026-06-06T05:30:00Z', 'America/Los_Angeles')).toBe('2026-06-05');
+    expect(localDateOf('2026-06-06T05:30:00Z', 'Europe/London')).toBe('2026-06-06');
+    expect(localDateOf('2026-06-06T05:30:00Z', 'Not/AZone')).toBe('2026-06-06');
+  });
+});
+
+describe('normalizePaceGroups', () => {
+  it('derives stable ids from names and validates speeds', () => {
+    const { paceGroups } = normalizePaceGroups([
+      { name: 'A group', avg_speed_kmh: 32 },
+      { name: 'Social (no-drop)', avg_speed_kmh: '24', no_drop: true },
+    ]);
+    expect(paceGroups).toEqual([
+      { id: 'a_group', name: 'A group', avg_speed_kmh: 32, no_drop: false },
+      { id: 'social_no_drop', name: 'Social (no-drop)', avg_speed_kmh: 24, no_drop: true },
+    ]);
+    expect(normalizePaceGroups([{ name: 'Rocket', avg_speed_kmh: 70 }]).error).toMatch(/between 10 and 50/);
+    expect(normalizePaceGroups([{ name: '' }]).error).toMatch(/needs a name/);
+  });
+
+  it('keeps duplicate names distinct', () => {
+    const { paceGroups } = normalizePaceGroups([{ name: 'B' }, { name: 'B' }]);
+    expect(paceGroups.map((g) => g.id)).toEqual(['b', 'b_2']);
+  });
+});
+
+describe('buildEventRow', () => {
+  const valid = {
+    title: 'Saturday café loop',
+    startsAt: '2026-06-06T08:00:00Z',
+    timezone: 'Europe/London',
+    meetingPointName: 'Bean There, High St',
+    meetingLat: 51.5,
+    meetingLng: -0.12,
+    routeId: 'route-1',
+    paceGroups: [{ name: 'A', avg_speed_kmh: 30 }],
+  };
+
+  it('maps a create payload to columns', () => {
+    const { row, error } = buildEventRow(valid, { now: NOW });
+    expect(error).toBeUndefined();
+    expect(row).toMatchObject({
+      title: 'Saturday café loop',
+      starts_at: '2026-06-06T08:00:00.000Z',
+      timezone: 'Europe/London',
+      meeting_point_name: 'Bean There, High St',
+      meeting_lat: 51.5,
+      meeting_lng: -0.12,
+      route_id: 'route-1',
+    });
+    expect(row.pace_groups).toHaveLength(1);
+  });
+
+  it('rejects events in the past and missing meeting points on create', () => {
+    expect(buildEventRow({ ...valid, startsAt: '2026-05-01T08:00:00Z' }, { now: NOW }).error).toMatch(/future/);
+    expect(buildEventRow({ ...valid, meetingPointName: '' }, { now: NOW }).error).toMatch(/meeting point/);
+  });
+
+  it('only touches supplied fields on update', () => {
+    const { row } = buildEventRow({ title: 'Renamed ride' }, { partial: true, now: NOW });
+    expect(row).toEqual({ title: 'Renamed ride' });
+  });
+});
+
+describe('expectedDurationMinutes', () => {
+  const event = { estimated_duration_minutes: null, pace_groups: [{ avg_speed_kmh: 30 }, { avg_speed_kmh: 24 }] };
+
+  it('prefers the organiser estimate, then route distance at the slowest pace', () => {
+    expect(expectedDurationMinutes({ ...event, estimated_duration_minutes: 150 }, { distance_km: 60 })).toBe(150);
+    expect(expectedDurationMinutes(event, { distance_km: 60 })).toBe(150);
+    expect(expectedDurationMinutes(event, null)).toBe(120);
+  });
+});
+
+describe('summarizeRsvps / toEventPayload', () => {
+  const event = {
+    id: 'e1',
+    cafe_id: 'c1',
+    created_by: 'organiser',
+    title: 'Hill reps',
+    description: null,
+    starts_at: '2026-06-06T08:00:00Z',
+    timezone: 'UTC',
+    estimated_duration_minutes: 90,
+    meeting_point_name: 'Café',
+    meeting_lat: '51.5000000',
+    meeting_lng: '-0.1200000',
+    route_id: 'r1',
+    pace_groups: [{ id: 'a', name: 'A' }],
+    status: 'scheduled',
+  };
+  const rsvps = [
+    { user_id: 'organiser', status: 'going', pace_group: 'a' },
+    { user_id: 'me', status: 'maybe', pace_group: null },
+    { user_id: 'x', status: 'not_going', pace_group: null },
+  ];
+
+  it('counts RSVPs and going riders per pace group', () => {
+    expect(summarizeRsvps(rsvps)).toEqual({ going: 1, maybe: 1, not_going: 1, byPaceGroup: { a: 1 } });
+  });
+
+  it("includes the caller's RSVP and hides routes that are no longer shared", () => {
+    const shared = { id: 'r1', name: 'Loop', distance_km: 40, visibility: 'public', is_private: false };
+    const payload = toEventPayload(event, { rsvps, route: shared, userId: 'me' });
+    expect(payload.my_rsvp).toEqual({ status: 'maybe', pace_group: null });
+    expect(payload.route).toMatchObject({ id: 'r1', name: 'Loop' });
+    expect(payload.local_date).toBe('2026-06-06');
+    expect(payload.meeting_lat).toBe(51.5);
+    expect(payload.can_edit).toBe(false);
+
+    const unshared = toEventPayload(event, { rsvps, route: { ...shared, visibility: 'private', is_private: true }, userId: 'organiser' });
+    expect(unshared.route).toBeNull();
+    expect(unshared.can_edit).toBe(true);
+  });
+});
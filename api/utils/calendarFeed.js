@@ -0,0 +1,291 @@
+/**
+ * Calendar feed — iCal (RFC 5545) subscription body for a user's planned
+ * workouts, served by api/calendar-feed.
+ *
+ * Unlike the one-off download in src/utils/trainingPlanExport.ts
+ * (generateICal), this feed is polled by calendar clients, so every event
+ * keeps a stable UID (the same `<planned_workout_id>@tribos.studio` the
+ * download uses, so a previously imported file is updated in place) and
+ * carries the row's SEQUENCE. Reschedules and edits bump SEQUENCE in the
+ * database (migration 116); deletions come through tombstones and cancelled
+ * plans as STATUS:CANCELLED under the original UID.
+ */
+
+import crypto from 'crypto';
+import { WORKOUT_LIBRARY_FOR_AI } from './workoutLibrary.js';
+
+const PRODID = '-//Tribos Studio//Training Calendar Feed//EN';
+const UID_DOMAIN = 'tribos.studio';
+// Calendar clients mostly ignore this, but Apple and Outlook honour it.
+const REFRESH_INTERVAL = 'PT1H';
+const MAX_LINE_OCTETS = 75;
+
+/** New URL-safe feed secret (32 chars). */
+export function generateFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+export function escapeICalText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1). Continuation lines start
+ * with a single space. Never splits a UTF-8 sequence.
+ */
+export function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch, 'utf8');
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toICalDate(isoDate) {
+  return String(isoDate).slice(0, 10).replace(/-/g, '');
+}
+
+function nextICalDate(isoDate) {
+  const d = new Date(`${String(isoDate).slice(0, 10)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function toICalTimestamp(value) {
+  const d = value ? new Date(value) : new Date();
+  const safe = Number.isNaN(d.getTime()) ? new Date() : d;
+  return safe.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDuration(minutes) {
+  if (!minutes) return '';
+  const hrs = Math.floor(minutes / 60);
+  const mins = Math.round(minutes % 60);
+  if (hrs > 0) return `${hrs}h ${mins}m`;
+  return `${mins}m`;
+}
+
+// ── Library blurbs ───────────────────────────────────────────
+
+let libraryBlurbs = null;
+
+/**
+ * One-line description for a library workout id, parsed from the AI library
+ * listing ("- two_by_twenty_ftp: 70min, 90 RSS - Classic 2x20min at FTP").
+ * The full structures live in src/data/workoutLibrary.ts, out of reach here.
+ */
+export function libraryBlurb(workoutId) {
+  if (!workoutId) return null;
+  if (!libraryBlurbs) {
+    libraryBlurbs = new Map();
+    const re = /^- ([a-z0-9_]+): [^-\n]* - (.+)$/gm;
+    let m;
+    while ((m = re.exec(WORKOUT_LIBRARY_FOR_AI)) !== null) {
+      libraryBlurbs.set(m[1], m[2].trim());
+    }
+  }
+  return libraryBlurbs.get(workoutId) ?? null;
+}
+
+// ── Route link ───────────────────────────────────────────────
+
+/**
+ * "Create a route for this workout" link. Mirrors buildWorkoutRouteHref in
+ * src/utils/workoutRouteHref.ts — keep the query contract in lockstep.
+ */
+export function workoutRouteUrl(workout, appUrl) {
+  const params = new URLSearchParams({
+    from: 'calendar',
+    goal: workout.workout_type || 'endurance',
+    duration: String(workout.target_duration || 60),
+    scheduledDate: String(workout.scheduled_date).slice(0, 10),
+  });
+  if (workout.workout_id) params.set('workoutId', workout.workout_id);
+  if (workout.target_distance_km) params.set('distance', String(workout.target_distance_km));
+  if (workout.name) params.set('workoutName', workout.name);
+  return `${appUrl}/ride/new?${params.toString()}`;
+}
+
+// ── Structure ────────────────────────────────────────────────
+
+function segmentLabel(seg) {
+  const target = seg.powerPctFTP ? `${seg.powerPctFTP}% FTP` : seg.zone ? `Z${seg.zone}` : 'easy';
+  return `${seg.duration}min @ ${target}`;
+}
+
+function describeMain(items, indent, out) {
+  for (const item of items) {
+    if (item && item.type === 'repeat') {
+      const work = Array.isArray(item.work) ? item.work : [item.work];
+      out.push(`${indent}${item.sets}x:`);
+      describeMain(work, `${indent}  `, out);
+      if (item.rest?.duration) out.push(`${indent}  rest ${segmentLabel(item.rest)}`);
+    } else if (item) {
+      out.push(`${indent}${item.description ? `${item.description}: ` : ''}${segmentLabel(item)}`);
+    }
+  }
+}
+
+/** Human-readable interval breakdown for a WorkoutStructure, or []. */
+export function describeStructure(structure) {
+  if (!structure || typeof structure !== 'object') return [];
+  const out = [];
+  if (structure.warmup) out.push(`Warmup: ${segmentLabel(structure.warmup)}`);
+  if (Array.isArray(structure.main) && structure.main.length > 0) {
+    out.push('Main:');
+    describeMain(structure.main, '  ', out);
+  }
+  if (structure.cooldown) out.push(`Cooldown: ${segmentLabel(structure.cooldown)}`);
+  return out;
+}
+
+// ── Events ───────────────────────────────────────────────────
+
+/**
+ * Plain-text event description: targets, what the session is, its interval
+ * structure (custom workouts), notes and the route link.
+ */
+export function buildWorkoutDescription(workout, { customWorkout = null, appUrl } = {}) {
+  const parts = [];
+  const rss = workout.target_rss ?? workout.target_tss;
+  if (workout.workout_type) parts.push(`Type: ${workout.workout_type}`);
+  if (rss) parts.push(`Target RSS: ${rss}`);
+  const duration = workout.target_duration || workout.duration_minutes;
+  if (duration) parts.push(`Duration: ${formatDuration(duration)}`);
+  if (workout.target_distance_km) parts.push(`Distance: ${workout.target_distance_km} km`);
+
+  const blurb = customWorkout?.description || libraryBlurb(workout.workout_id);
+  if (blurb) parts.push('', blurb);
+
+  const structure = describeStructure(customWorkout?.structure);
+  if (structure.length > 0) parts.push('', 'Structure:', ...structure);
+
+  if (customWorkout?.coach_notes) parts.push('', `Coach Notes: ${customWorkout.coach_notes}`);
+  if (workout.notes) parts.push('', `Notes: ${workout.notes}`);
+
+  if (workout.completed) {
+    const actual = workout.actual_rss ?? workout.actual_tss;
+    parts.push('', actual ? `Completed — ${actual} RSS` : 'Completed');
+  } else if (workout.skipped_reason) {
+    parts.push('', `Skipped: ${workout.skipped_reason}`);
+  }
+
+  if (appUrl && workout.workout_type !== 'rest') {
+    parts.push('', `Plan a route: ${workoutRouteUrl(workout, appUrl)}`);
+  }
+  return parts.join('\n');
+}
+
+function eventSummary(workout) {
+  const name = workout.name && workout.name !== 'Workout' ? workout.name : workout.workout_type || 'Workout';
+  const rss = workout.target_rss ?? workout.target_tss;
+  const prefix = workout.completed ? '✓ ' : '';
+  return `${prefix}${name}${rss ? ` (${rss} RSS)` : ''}`;
+}
+
+function pushEvent(lines, fields) {
+  lines.push('BEGIN:VEVENT');
+  for (const f of fields) if (f) lines.push(f);
+  lines.push('END:VEVENT');
+}
+
+/**
+ * Build the feed body.
+ *
+ * @param {object} input
+ * @param {string} input.calendarName
+ * @param {Array<object>} input.workouts - planned_workouts rows (with ical_sequence)
+ * @param {Record<string, {name?: string, status?: string}>} [input.plans] - training_plans by id
+ * @param {Array<object>} [input.tombstones] - planned_workout_tombstones rows
+ * @param {Record<string, object>} [input.customWorkouts] - custom_workouts by id
+ * @param {string} [input.appUrl] - Origin for route links
+ * @param {Date} [input.now]
+ * @returns {string} CRLF-delimited VCALENDAR
+ */
+export function buildCalendarFeed({
+  calendarName,
+  workouts,
+  plans = {},
+  tombstones = [],
+  customWorkouts = {},
+  appUrl,
+  now = new Date(),
+}) {
+  const dtstamp = toICalTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(calendarName)}`,
+    'X-WR-TIMEZONE:UTC',
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+  ];
+
+  const sorted = [...workouts]
+    .filter((w) => w.scheduled_date && w.workout_type !== 'rest')
+    .sort((a, b) => String(a.scheduled_date).localeCompare(String(b.scheduled_date)));
+
+  for (const w of sorted) {
+    const plan = w.plan_id ? plans[w.plan_id] : null;
+    // A cancelled plan's unfinished sessions leave the calendar; the extra
+    // SEQUENCE step makes clients accept the cancellation over their copy.
+    const cancelled = plan?.status === 'cancelled' && !w.completed;
+    const sequence = (w.ical_sequence ?? 0) + (cancelled ? 1 : 0);
+    const description = buildWorkoutDescription(w, {
+      customWorkout: w.workout_id ? customWorkouts[w.workout_id] ?? null : null,
+      appUrl,
+    });
+
+    pushEvent(lines, [
+      `UID:${w.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${dtstamp}`,
+      `LAST-MODIFIED:${toICalTimestamp(w.updated_at)}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTART;VALUE=DATE:${toICalDate(w.scheduled_date)}`,
+      `DTEND;VALUE=DATE:${nextICalDate(w.scheduled_date)}`,
+      `SUMMARY:${escapeICalText(eventSummary(w))}`,
+      description ? `DESCRIPTION:${escapeICalText(description)}` : null,
+      appUrl && w.workout_type ? `URL:${workoutRouteUrl(w, appUrl)}` : null,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'TRANSP:TRANSPARENT',
+      `CATEGORIES:Training${plan?.name ? `,${escapeICalText(plan.name)}` : ''}`,
+    ]);
+  }
+
+  for (const t of tombstones) {
+    if (!t.scheduled_date) continue;
+    pushEvent(lines, [
+      `UID:${t.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${dtstamp}`,
+      `LAST-MODIFIED:${toICalTimestamp(t.deleted_at)}`,
+      `SEQUENCE:${t.ical_sequence ?? 1}`,
+      `DTSTART;VALUE=DATE:${toICalDate(t.scheduled_date)}`,
+      `DTEND;VALUE=DATE:${nextICalDate(t.scheduled_date)}`,
+      `SUMMARY:${escapeICalText(t.name || 'Workout')}`,
+      'STATUS:CANCELLED',
+      'TRANSP:TRANSPARENT',
+    ]);
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildCalendarFeed,
+  buildWorkoutDescription,
+  describeStructure,
+  foldLine,
+  generateFeedToken,
+  libraryBlurb,
+  workoutRouteUrl,
+} from './calendarFeed.js';
+import { buildWorkoutRouteHref } from '../../src/utils/workoutRouteHref';
+
+const APP = 'https://www.tribos.studio';
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+const workout = {
+  id: 'pw-1',
+  plan_id: 'plan-1',
+  scheduled_date: '2026-10-20',
+  workout_type: 'threshold',
+  workout_id: 'two_by_twenty_ftp',
+  name: '2x20 FTP',
+  target_tss: 80,
+  target_rss: 90,
+  target_duration: 70,
+  target_distance_km: null,
+  completed: false,
+  notes: null,
+  ical_sequence: 2,
+  updated_at: '2026-10-17T08:30:00Z',
+};
+
+/** Unfold and split a feed body into content lines. */
+function contentLines(body) {
+  return body.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+function events(body) {
+  const lines = contentLines(body);
+  const out = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') current = {};
+    else if (line === 'END:VEVENT') { out.push(current); current = null; }
+    else if (current) {
+      const idx = line.indexOf(':');
+      current[line.slice(0, idx)] = line.slice(idx + 1);
+    }
+  }
+  return out;
+}
+
+describe('generateFeedToken', () => {
+  it('returns distinct URL-safe 32-char secrets', () => {
+    const a = generateFeedToken();
+    const b = generateFeedToken();
+    expect(a).toMatch(/^[A-Za-z0-9_-]{32}$/);
+    expect(a).not.toBe(b);
+  });
+});
+
+describe('workoutRouteUrl', () => {
+  it('matches buildWorkoutRouteHref', () => {
+    const withDistance = { ...workout, target_distance_km: 42.5 };
+    expect(workoutRouteUrl(withDistance, APP)).toBe(
+      APP + buildWorkoutRouteHref(withDistance, '2026-10-20'),
+    );
+  });
+});
+
+describe('foldLine', () => {
+  it('folds at 75 octets without splitting multi-byte characters', () => {
+    const line = `DESCRIPTION:${'é'.repeat(100)}`;
+    const folded = foldLine(line);
+    const parts = folded.split('\r\n');
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75);
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+  });
+
+  it('leaves short lines alone', () => {
+    expect(foldLine('SUMMARY:Ride')).toBe('SUMMARY:Ride');
+  });
+});
+
+describe('buildWorkoutDescription', () => {
+  it('prefers canonical RSS and includes the library blurb and route link', () => {
+    const text = buildWorkoutDescription(workout, { appUrl: APP });
+    expect(text).toContain('Target RSS: 90');
+    expect(text).toContain('Duration: 1h 10m');
+    expect(text).toContain(libraryBlurb('two_by_twenty_ftp'));
+    expect(text).toContain(`Plan a route: ${APP}/ride/new?`);
+  });
+
+  it('spells out a custom workout structure', () => {
+    const custom = {
+      description: 'Over-unders',
+      structure: {
+        warmup: { duration: 10, zone: 2, powerPctFTP: 60 },
+        main: [{ type: 'repeat', sets: 3, work: [{ duration: 8, zone: 4, powerPctFTP: 100 }], rest: { duration: 4, zone: 1 } }],
+        cooldown: { duration: 10, zone: 1 },
+      },
+    };
+    expect(describeStructure(custom.structure)).toEqual([
+      'Warmup: 10min @ 60% FTP',
+      'Main:',
+      '  3x:',
+      '    8min @ 100% FTP',
+      '    rest 4min @ Z1',
+      'Cooldown: 10min @ Z1',
+    ]);
+    const text = buildWorkoutDescription({ ...workout, workout_id: 'custom_abc' }, { customWorkout: custom });
+    expect(text).toContain('Over-unders');
+    expect(text).toContain('Structure:');
+  });
+});
+
+describe('buildCalendarFeed', () => {
+  it('publishes planned workouts under stable UIDs with their SEQUENCE', () => {
+    const body = buildCalendarFeed({
+      calendarName: 'Tribos Training',
+      workouts: [workout, { ...workout, id: 'pw-rest', workout_type: 'rest' }],
+      plans: { 'plan-1': { name: 'Base, Block 1', status: 'active' } },
+      appUrl: APP,
+      now: NOW,
+    });
+
+    expect(body.endsWith('\r\n')).toBe(true);
+    expect(contentLines(body)).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    const [event, ...rest] = events(body);
+    expect(rest).toHaveLength(0); // rest day skipped
+    expect(event).toMatchObject({
+      UID: 'pw-1@tribos.studio',
+      SEQUENCE: '2',
+      'DTSTART;VALUE=DATE': '20261020',
+      'DTEND;VALUE=DATE': '20261021',
+      SUMMARY: '2x20 FTP (90 RSS)',
+      STATUS: 'CONFIRMED',
+      DTSTAMP: '20261018T120000Z',
+      'LAST-MODIFIED': '20261017T083000Z',
+      CATEGORIES: 'Training,Base\\, Block 1',
+    });
+    expect(event.URL).toContain('/ride/new?from=calendar');
+  });
+
+  it('keeps the UID when a workout is rescheduled', () => {
+    const before = events(buildCalendarFeed({ calendarName: 'T', workouts: [workout], now: NOW }))[0];
+    const after = events(buildCalendarFeed({
+      calendarName: 'T',
+      workouts: [{ ...workout, scheduled_date: '2026-10-22', ical_sequence: 3 }],
+      now: NOW,
+    }))[0];
+    expect(after.UID).toBe(before.UID);
+    expect(Number(after.SEQUENCE)).toBeGreaterThan(Number(before.SEQUENCE));
+    expect(after['DTSTART;VALUE=DATE']).toBe('20261022');
+  });
+
+  it('cancels deleted workouts and unfinished sessions of cancelled plans', () => {
+    const body = buildCalendarFeed({
+      calendarName: 'T',
+      workouts: [workout, { ...workout, id: 'pw-done', completed: true }],
+      plans: { 'plan-1': { name: 'Old plan', status: 'cancelled' } },
+      tombstones: [{ id: 'pw-gone', scheduled_date: '2026-10-19', name: 'Sweet spot', ical_sequence: 5, deleted_at: '2026-10-18T09:00:00Z' }],
+      now: NOW,
+    });
+    const byUid = Object.fromEntries(events(body).map((e) => [e.UID, e]));
+    expect(byUid['pw-1@tribos.studio']).toMatchObject({ STATUS: 'CANCELLED', SEQUENCE: '3' });
+    expect(byUid['pw-done@tribos.studio']).toMatchObject({ STATUS: 'CONFIRMED', SEQUENCE: '2' });
+    expect(byUid['pw-gone@tribos.studio']).toMatchObject({ STATUS: 'CANCELLED', SEQUENCE: '5', SUMMARY: 'Sweet spot' });
+  });
+});
@@ -0,0 +1,146 @@
+// Coach workspace roster summaries.
+//
+// Pure helpers used by api/coach-workspace.js to turn each athlete's raw rows
+// (training_load_daily, activity_efi, fitness_evidence_weekly) into one roster
+// line: current TFI / AFI / form, compliance (EFI 28d) and the flags a coach
+// should look at first. Load rows carry only the canonical tfi / afi /
+// form_score columns (legacy ctl / atl / tsb were dropped in migration 071).
+
+// Form below this is deep fatigue (same cut as planConflictResolver's TSB_DEEP_FATIGUE)
+export const DEEP_FATIGUE_FORM = -30;
+// EFI 28d below this means the athlete is materially off-plan
+export const LOW_COMPLIANCE_EFI = 60;
+// No load row for this many days → the athlete has gone quiet
+export const STALE_LOAD_DAYS = 7;
+// Evidence verdicts below this confidence are not surfaced as flags
+export const MIN_EVIDENCE_CONFIDENCE = 0.5;
+
+// Flag order doubles as severity (lower index = more urgent)
+export const ROSTER_FLAGS = [
+  'deep_fatigue',
+  'evidence_behind',
+  'model_disagrees',
+  'low_compliance',
+  'inactive',
+];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Lower-case and trim an invite email; null when it is not an address.
+ *
+ * @param {unknown} email
+ * @returns {string|null}
+ */
+export function normalizeInviteEmail(email) {
+  if (typeof email !== 'string') return null;
+  const normalized = email.trim().toLowerCase();
+  return EMAIL_RE.test(normalized) ? normalized : null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round1(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+function daysBetween(fromDate, toDate) {
+  const from = Date.parse(`${String(fromDate).slice(0, 10)}T00:00:00Z`);
+  const to = Date.parse(`${String(toDate).slice(0, 10)}T00:00:00Z`);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+  return Math.round((to - from) / 86400000);
+}
+
+/**
+ * Build one roster line for an athlete.
+ *
+ * @param {object} input
+ * @param {object} input.relationship - coach_athletes row
+ * @param {object|null} [input.profile] - user_profiles row (display_name, ftp)
+ * @param {Array} [input.loadRows] - training_load_daily rows, any order
+ * @param {Array} [input.efiRows] - activity_efi rows, any order
+ * @param {Array} [input.evidenceRows] - fitness_evidence_weekly rows, any order
+ * @param {string} input.today - YYYY-MM-DD
+ * @returns {object} Roster line
+ */
+export function summarizeAthlete({ relationship, profile = null, loadRows = [], efiRows = [], evidenceRows = [], today }) {
+  const load = [...loadRows].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+  const latestLoad = load[0] || null;
+  const weekAgoLoad = latestLoad
+    ? load.find((row) => daysBetween(row.date, latestLoad.date) >= 7) || null
+    : null;
+
+  const tfi = latestLoad ? toNumber(latestLoad.tfi) : null;
+  const afi = latestLoad ? toNumber(latestLoad.afi) : null;
+  const form = latestLoad ? toNumber(latestLoad.form_score) : null;
+  const weekAgoTfi = weekAgoLoad ? toNumber(weekAgoLoad.tfi) : null;
+
+  const latestEfi = [...efiRows]
+    .sort((a, b) => String(b.computed_at).localeCompare(String(a.computed_at)))[0] || null;
+  const efi28d = latestEfi ? toNumber(latestEfi.efi_28d ?? latestEfi.efi) : null;
+
+  const latestEvidence = [...evidenceRows]
+    .sort((a, b) => String(b.week).localeCompare(String(a.week)))[0] || null;
+  const evidenceConfidence = latestEvidence ? toNumber(latestEvidence.confidence) : null;
+
+  const daysSinceLoad = latestLoad ? daysBetween(latestLoad.date, today) : null;
+
+  const flags = [];
+  if (form !== null && form < DEEP_FATIGUE_FORM) flags.push('deep_fatigue');
+  if (
+    latestEvidence?.verdict === 'behind' &&
+    evidenceConfidence !== null &&
+    evidenceConfidence >= MIN_EVIDENCE_CONFIDENCE
+  ) {
+    flags.push('evidence_behind');
+  }
+  if (latestEvidence?.model_divergence?.disagrees) flags.push('model_disagrees');
+  if (efi28d !== null && efi28d < LOW_COMPLIANCE_EFI) flags.push('low_compliance');
+  if (daysSinceLoad === null || daysSinceLoad > STALE_LOAD_DAYS) flags.push('inactive');
+
+  return {
+    relationshipId: relationship.id,
+    athleteId: relationship.athlete_id,
+    email: relationship.invite_email,
+    name: profile?.display_name || relationship.invite_email,
+    canEditPlan: relationship.can_edit_plan !== false,
+    tfi: round1(tfi),
+    afi: round1(afi),
+    form: round1(form),
+    tfiChange7d: tfi !== null && weekAgoTfi !== null ? round1(tfi - weekAgoTfi) : null,
+    loadDate: latestLoad?.date ?? null,
+    efi28d: round1(efi28d),
+    evidence: latestEvidence
+      ? {
+          week: latestEvidence.week,
+          verdict: latestEvidence.verdict,
+          confidence: evidenceConfidence,
+          facts: Array.isArray(latestEvidence.narrative_facts) ? latestEvidence.narrative_facts : [],
+        }
+      : null,
+    flags,
+  };
+}
+
+/**
+ * Order roster lines so the athletes needing attention come first: most
+ * urgent flag, then number of flags, then name.
+ *
+ * @param {Array} rows - summarizeAthlete() results
+ * @returns {Array} New sorted array
+ */
+export function sortRoster(rows) {
+  const urgency = (row) => {
+    const ranks = row.flags.map((flag) => ROSTER_FLAGS.indexOf(flag)).filter((i) => i >= 0);
+    return ranks.length > 0 ? Math.min(...ranks) : ROSTER_FLAGS.length;
+  };
+  return [...rows].sort((a, b) =>
+    urgency(a) - urgency(b) ||
+    b.flags.length - a.flags.length ||
+    String(a.name).localeCompare(String(b.name))
+  );
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeInviteEmail, summarizeAthlete, sortRoster } from './coachRoster.js';
+
+const relationship = {
+  id: 'rel-1',
+  athlete_id: 'athlete-1',
+  invite_email: 'rider@example.com',
+  can_edit_plan: true,
+};
+
+describe('normalizeInviteEmail', () => {
+  it('trims and lower-cases valid addresses', () => {
+    expect(normalizeInviteEmail('  Rider@Example.COM ')).toBe('rider@example.com');
+  });
+
+  it('rejects non-addresses', () => {
+    expect(normalizeInviteEmail('rider')).toBeNull();
+    expect(normalizeInviteEmail('a b@example.com')).toBeNull();
+    expect(normalizeInviteEmail(undefined)).toBeNull();
+  });
+});
+
+describe('summarizeAthlete', () => {
+  it('reads the latest load row, preferring canonical columns', () => {
+    const row = summarizeAthlete({
+      relationship,
+      profile: { display_name: 'Rider One' },
+      loadRows: [
+        { date: '2026-10-10', tfi: 60, afi: 70, form_score: -10 },
+        { date: '2026-10-17', tfi: 64.26, afi: 80, form_score: -16 },
+      ],
+      efiRows: [
+        { computed_at: '2026-10-01T08:00:00Z', efi_28d: 90 },
+        { computed_at: '2026-10-16T08:00:00Z', efi_28d: 82.44 },
+      ],
+      today: '2026-10-18',
+    });
+
+    expect(row).toMatchObject({
+      athleteId: 'athlete-1',
+      name: 'Rider One',
+      tfi: 64.3,
+      afi: 80,
+      form: -16,
+      tfiChange7d: 4.3,
+      efi28d: 82.4,
+      flags: [],
+    });
+  });
+
+  it('flags fatigue, low compliance and a confident behind verdict', () => {
+    const row = summarizeAthlete({
+      relationship,
+      loadRows: [{ date: '2026-10-18', tfi: 70, afi: 105, form_score: -35 }],
+      efiRows: [{ computed_at: '2026-10-17T08:00:00Z', efi_28d: 48 }],
+      evidenceRows: [
+        { week: '2026-10-12', verdict: 'behind', confidence: 0.7, model_divergence: { disagrees: true }, narrative_facts: ['20-min power down 4%'] },
+      ],
+      today: '2026-10-18',
+    });
+    expect(row.flags).toEqual(['deep_fatigue', 'evidence_behind', 'model_disagrees', 'low_compliance']);
+    expect(row.evidence).toMatchObject({ verdict: 'behind', facts: ['20-min power down 4%'] });
+  });
+
+  it('ignores low-confidence verdicts', () => {
+    const row = summarizeAthlete({
+      relationship,
+      loadRows: [{ date: '2026-10-18', tfi: 70, afi: 70, form_score: 0 }],
+      evidenceRows: [{ week: '2026-10-12', verdict: 'behind', confidence: 0.3 }],
+      today: '2026-10-18',
+    });
+    expect(row.flags).toEqual([]);
+  });
+
+  it('marks athletes with no recent load as inactive', () => {
+    expect(summarizeAthlete({ relationship, today: '2026-10-18' }).flags).toEqual(['inactive']);
+    expect(summarizeAthlete({
+      relationship,
+      loadRows: [{ date: '2026-10-01', tfi: 40, afi: 20, form_score: 20 }],
+      today: '2026-10-18',
+    }).flags).toEqual(['inactive']);
+  });
+});
+
+describe('sortRoster', () => {
+  it('puts the most urgent athletes first, then by name', () => {
+    const rows = [
+      { name: 'Cleo', flags: [] },
+      { name: 'Abe', flags: ['inactive'] },
+      { name: 'Bea', flags: ['low_compliance', 'inactive'] },
+      { name: 'Dan', flags: ['deep_fatigue'] },
+      { name: 'Al', flags: [] },
+    ];
+    expect(sortRoster(rows).map((r) => r.name)).toEqual(['Dan', 'Bea', 'Abe', 'Al', 'Cleo']);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Critical Power / W′ Balance Model
+ *
+ * Server-side counterpart to the browser-only CriticalPowerModel.jsx. Fits
+ * the two-parameter CP model from the athlete's rolling MMP (via
+ * trackMMPProgression) and replays a ride's power through the Skiba
+ * differential W′bal model to show how deep the athlete dug.
+ *
+ * Unlike analyzeMatchBurning (fixed threshold, no memory), W′bal carries
+ * fatigue between efforts: a surge 30 s after the last one starts from a
+ * partially drained tank.
+ *
+ * Pure functions except computeRideWPrimeBalance, which reads the athlete's
+ * recent power curves. Stored on activities.ride_analytics.w_prime_balance.
+ */
+
+import { trackMMPProgression } from './advancedRideAnalytics.js';
+
+// ─── Model Fitting ──────────────────────────────────────────────────────────
+
+/** MMP durations used for the fit — the 2–20 min range where the model holds. */
+export const CP_FIT_DURATIONS = ['120s', '300s', '600s', '1200s'];
+
+// Physiologically plausible W′ range (J). Fits outside it mean the MMP points
+// aren't maximal efforts (e.g. no hard 2-min effort in the window).
+const MIN_W_PRIME_J = 5000;
+const MAX_W_PRIME_J = 45000;
+
+/**
+ * Fit CP and W′ from one MMP progression point by linear regression of
+ * work against time (Work = CP·t + W′).
+ *
+ * @param {Object} point - trackMMPProgression point with best_<dur> fields
+ * @param {string[]} [durations=CP_FIT_DURATIONS]
+ * @returns {{cp_watts: number, w_prime_j: number, r_squared: number, durations: string[]}|null}
+ */
+export function fitCriticalPower(point, durations = CP_FIT_DURATIONS) {
+  if (!point) return null;
+
+  const samples = durations
+    .map(dur => ({ t: parseInt(dur, 10), p: point[`best_${dur}`] }))
+    .filter(s => Number.isFinite(s.t) && s.t > 0 && s.p > 0);
+  if (samples.length < 3) return null;
+
+  const n = samples.length;
+  const xs = samples.map(s => s.t);
+  const ys = samples.map(s => s.p * s.t); // work (J)
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+
+  const cp = sxy / sxx;
+  const wPrime = meanY - cp * meanX;
+  if (!(cp > 0) || wPrime < MIN_W_PRIME_J || wPrime > MAX_W_PRIME_J) return null;
+
+  return {
+    cp_watts: Math.round(cp),
+    w_prime_j: Math.round(wPrime),
+    r_squared: Math.round(((sxy * sxy) / (sxx * syy)) * 1000) / 1000,
+    durations: samples.map(s => `${s.t}s`),
+  };
+}
+
+/**
+ * Fit CP/W′ from the latest rolling window of an athlete's power curves.
+ *
+ * @param {Object[]} activities - Activities with start_date + power_curve_summary
+ * @param {number} [windowDays=90]
+ * @returns {{cp_watts: number, w_prime_j: number, r_squared: number, durations: string[], window_end: string}|null}
+ */
+export function fitCriticalPowerFromHistory(activities, windowDays = 90) {
+  const mmp = trackMMPProgression(activities, windowDays, CP_FIT_DURATIONS);
+  const latest = mmp?.progression?.[mmp.progression.length - 1];
+  const fit = fitCriticalPower(latest);
+  return fit ? { ...fit, window_end: latest.date } : null;
+}
+
+// ─── W′ Balance ─────────────────────────────────────────────────────────────
+
+/**
+ * Per-second W′ balance (Skiba 2015 differential model):
+ *   P > CP: W′bal -= (P − CP)
+ *   P ≤ CP: W′bal += (CP − P) · (W′ − W′bal) / W′
+ *
+ * Not clamped at zero — a negative balance means the fitted CP/W′ is too
+ * low for this athlete, which is worth seeing rather than hiding.
+ *
+ * @param {number[]} powerStream - Per-second power (null/NaN treated as 0)
+ * @param {number} cp - Critical Power (W)
+ * @param {number} wPrime - W′ (J)
+ * @returns {number[]} W′bal in joules, one value per second
+ */
+export function computeWPrimeBalance(powerStream, cp, wPrime) {
+  if (!Array.isArray(powerStream) || !(cp > 0) || !(wPrime > 0)) return [];
+
+  const balance = new Array(powerStream.length);
+  let wbal = wPrime;
+  for (let i = 0; i < powerStream.length; i++) {
+    const p = Number.isFinite(powerStream[i]) ? powerStream[i] : 0;
+    if (p > cp) {
+      wbal -= p - cp;
+    } else {
+      wbal += (cp - p) * (wPrime - wbal) / wPrime;
+    }
+    balance[i] = wbal;
+  }
+  return balance;
+}
+
+// A "full depletion" is reaching ≤5% of W′. Another one only counts once the
+// athlete has recovered above 30%, so hovering near empty is a single match.
+const DEPLETED_FRACTION = 0.05;
+const REARM_FRACTION = 0.30;
+const LOW_FRACTION = 0.25;
+const MAX_STREAM_POINTS = 600;
+
+/**
+ * Summarize a W′bal stream into the values stored on ride_analytics.
+ *
+ * @param {number[]} balance - Output of computeWPrimeBalance
+ * @param {number} wPrime - W′ (J)
+ * @returns {Object|null}
+ */
+export function summarizeWPrimeBalance(balance, wPrime) {
+  if (!Array.isArray(balance) || balance.length === 0 || !(wPrime > 0)) return null;
+
+  let minJ = Infinity;
+  let minAt = 0;
+  let belowLow = 0;
+  let depletions = 0;
+  let armed = true;
+
+  for (let i = 0; i < balance.length; i++) {
+    const frac = balance[i] / wPrime;
+    if (balance[i] < minJ) {
+      minJ = balance[i];
+      minAt = i;
+    }
+    if (frac < LOW_FRACTION) belowLow++;
+    if (armed && frac <= DEPLETED_FRACTION) {
+      depletions++;
+      armed = false;
+    } else if (!armed && frac > REARM_FRACTION) {
+      armed = true;
+    }
+  }
+
+  return {
+    min_wbal_j: Math.round(minJ),
+    min_wbal_pct: Math.round((minJ / wPrime) * 1000) / 10,
+    min_wbal_at_sec: minAt,
+    time_below_25pct_sec: belowLow,
+    full_depletions: depletions,
+    stream: downsampleBalance(balance, wPrime),
+  };
+}
+
+/**
+ * Downsample to ≤600 points of %W′ for charting. Each bucket keeps its
+ * minimum so short, deep dips survive the downsampling.
+ */
+function downsampleBalance(balance, wPrime) {
+  const intervalSec = Math.max(1, Math.ceil(balance.length / MAX_STREAM_POINTS));
+  const pct = [];
+  for (let i = 0; i < balance.length; i += intervalSec) {
+    let min = Infinity;
+    for (let j = i; j < Math.min(i + intervalSec, balance.length); j++) {
+      if (balance[j] < min) min = balance[j];
+    }
+    pct.push(Math.round((min / wPrime) * 1000) / 10);
+  }
+  return { interval_sec: intervalSec, pct };
+}
+
+/**
+ * Expand a fit_coach_context time series (uniform 5–60 s buckets) back to
+ * 1 Hz by holding each bucket's mean power. Gaps between buckets (paused
+ * recording) become zeros, i.e. recovery.
+ *
+ * @param {{interval_seconds: number, time_series: Array<{t:number, power:number}>}} fitCoachContext
+ * @returns {number[]}
+ */
+export function expandCoachTimeSeries(fitCoachContext) {
+  const interval = fitCoachContext?.interval_seconds;
+  const series = fitCoachContext?.time_series;
+  if (!(interval > 0) || !Array.isArray(series) || series.length === 0) return [];
+
+  const last = series[series.length - 1];
+  const power = new Array(last.t + interval).fill(0);
+  for (const s of series) {
+    const p = Number.isFinite(s.power) ? s.power : 0;
+    for (let k = 0; k < interval; k++) power[s.t + k] = p;
+  }
+  return power;
+}
+
+// ─── Per-Ride Entry Point ───────────────────────────────────────────────────
+
+/**
+ * Compute the W′ balance summary for a stored activity. Needs a power series
+ * (fit_coach_context, FIT-sourced rides only) and at least three rides with
+ * power curves in the 90 days up to and including this one.
+ *
+ * @param {object} supabase - Supabase admin client
+ * @param {string} userId
+ * @param {object} activity - activities row (needs id, start_date, fit_coach_context)
+ * @returns {Promise<Object|null>} ride_analytics.w_prime_balance payload
+ */
+export async function computeRideWPrimeBalance(supabase, userId, activity) {
+  const powerStream = expandCoachTimeSeries(activity?.fit_coach_context);
+  if (powerStream.length < 120 || !powerStream.some(p => p > 0)) return null;
+
+  const windowEnd = new Date(activity.start_date);
+  const windowStart = new Date(windowEnd.getTime() - 90 * 24 * 60 * 60 * 1000);
+  const { data: history, error } = await supabase
+    .from('activities')
+    .select('start_date, power_curve_summary')
+    .eq('user_id', userId)
+    .is('duplicate_of', null)
+    .not('power_curve_summary', 'is', null)
+    .gte('start_date', windowStart.toISOString())
+    .lte('start_date', windowEnd.toISOString())
+    .order('start_date', { ascending: true });
+
+  if (error) {
+    console.error('[wbal] Power curve history fetch failed:', error.message);
+    return null;
+  }
+
+  const model = fitCriticalPowerFromHistory(history || []);
+  if (!model) return null;
+
+  const summary = summarizeWPrimeBalance(
+    computeWPrimeBalance(powerStream, model.cp_watts, model.w_prime_j),
+    model.w_prime_j
+  );
+  if (!summary) return null;
+
+  return {
+    cp_watts: model.cp_watts,
+    w_prime_j: model.w_prime_j,
+    model_r_squared: model.r_squared,
+    model_window_end: model.window_end,
+    source_interval_sec: activity.fit_coach_context.interval_seconds,
+    ...summary,
+  };
+}
@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fitCriticalPower,
+  fitCriticalPowerFromHistory,
+  computeWPrimeBalance,
+  summarizeWPrimeBalance,
+  expandCoachTimeSeries,
+  computeRideWPrimeBalance,
+} from './criticalPowerModel.js';
+
+// MMP that follows P = CP + W′/t exactly for CP 250 W, W′ 20 kJ.
+const CP = 250;
+const W_PRIME = 20000;
+const exactCurve = () => ({
+  '120s': CP + W_PRIME / 120,
+  '300s': CP + W_PRIME / 300,
+  '600s': CP + W_PRIME / 600,
+  '1200s': CP + W_PRIME / 1200,
+});
+
+function pointFrom(curve) {
+  return Object.fromEntries(Object.entries(curve).map(([k, v]) => [`best_${k}`, v]));
+}
+
+describe('fitCriticalPower', () => {
+  it('recovers CP and W′ from an ideal power-duration curve', () => {
+    const fit = fitCriticalPower(pointFrom(exactCurve()));
+    expect(fit.cp_watts).toBe(CP);
+    expect(fit.w_prime_j).toBe(W_PRIME);
+    expect(fit.r_squared).toBe(1);
+  });
+
+  it('needs at least three durations', () => {
+    expect(fitCriticalPower({ best_300s: 330, best_1200s: 270 })).toBeNull();
+    expect(fitCriticalPower(null)).toBeNull();
+  });
+
+  it('rejects fits with an implausible W′ (non-maximal short efforts)', () => {
+    // Flat curve → W′ ≈ 0
+    expect(fitCriticalPower(pointFrom({ '120s': 250, '300s': 250, '600s': 250, '1200s': 249 }))).toBeNull();
+  });
+});
+
+describe('fitCriticalPowerFromHistory', () => {
+  it('fits from the latest 90-day window', () => {
+    const activities = [0, 10, 20].map(day => ({
+      start_date: new Date(Date.UTC(2026, 5, 1 + day)).toISOString(),
+      power_curve_summary: exactCurve(),
+    }));
+    const fit = fitCriticalPowerFromHistory(activities);
+    expect(fit.cp_watts).toBe(CP);
+    expect(fit.window_end).toBe('2026-06-21');
+  });
+
+  it('returns null with too little history', () => {
+    expect(fitCriticalPowerFromHistory([])).toBeNull();
+  });
+});
+
+describe('computeWPrimeBalance', () => {
+  it('depletes above CP and recovers exponentially below it', () => {
+    const stream = [...new Array(60).fill(CP + 100), ...new Array(600).fill(CP - 100)];
+    const balance = computeWPrimeBalance(stream, CP, W_PRIME);
+    expect(balance).toHaveLength(660);
+    expect(balance[59]).toBe(W_PRIME - 6000);
+    // Recovery is proportional to the deficit: fast at first, then slowing
+    expect(balance[60] - balance[59]).toBeCloseTo(100 * 6000 / W_PRIME, 6);
+    // 600 s is 3 time constants (τ = W′ / (CP − P) = 200 s) → ~95% recovered
+    expect(balance[659]).toBeCloseTo(W_PRIME - 6000 * Math.exp(-3), -1);
+    expect(balance[659]).toBeLessThanOrEqual(W_PRIME);
+  });
+
+  it('treats missing power as zero (recovery)', () => {
+    const balance = computeWPrimeBalance([CP + 1000, null, NaN], CP, W_PRIME);
+    expect(balance[1]).toBeGreaterThan(balance[0]);
+  });
+
+  it('returns empty for a missing model', () => {
+    expect(computeWPrimeBalance([300], 0, W_PRIME)).toEqual([]);
+  });
+});
+
+describe('summarizeWPrimeBalance', () => {
+  it('reports min, time below 25% and counts each full depletion once', () => {
+    // Two surges that each empty W′, separated by full recovery; hovering
+    // near empty inside a surge must not count twice.
+    const surge = new Array(40).fill(CP + 500); // 20 kJ in 40 s
+    const hover = [CP, CP + 10, CP, CP + 10];
+    const easy = new Array(900).fill(100);
+    const stream = [...easy, ...surge, ...hover, ...easy, ...surge, ...easy];
+    const summary = summarizeWPrimeBalance(computeWPrimeBalance(stream, CP, W_PRIME), W_PRIME);
+
+    expect(summary.full_depletions).toBe(2);
+    expect(summary.min_wbal_pct).toBeLessThanOrEqual(0);
+    expect(summary.min_wbal_at_sec).toBeGreaterThan(900);
+    expect(summary.time_below_25pct_sec).toBeGreaterThan(0);
+    expect(summary.stream.pct.length).toBeLessThanOrEqual(600);
+  });
+
+  it('keeps short dips when downsampling', () => {
+    const balance = new Array(3000).fill(W_PRIME);
+    balance[1501] = 0;
+    const summary = summarizeWPrimeBalance(balance, W_PRIME);
+    expect(summary.stream.interval_sec).toBe(5);
+    expect(Math.min(...summary.stream.pct)).toBe(0);
+  });
+});
+
+describe('expandCoachTimeSeries', () => {
+  it('holds each bucket mean for its interval and zero-fills gaps', () => {
+    const power = expandCoachTimeSeries({
+      interval_seconds: 5,
+      time_series: [{ t: 0, power: 200 }, { t: 15, power: 300 }],
+    });
+    expect(power).toHaveLength(20);
+    expect(power.slice(0, 5)).toEqual([200, 200, 200, 200, 200]);
+    expect(power.slice(5, 15).every(p => p === 0)).toBe(true);
+    expect(power[19]).toBe(300);
+  });
+
+  it('returns empty without a series', () => {
+    expect(expandCoachTimeSeries(null)).toEqual([]);
+  });
+});
+
+describe('computeRideWPrimeBalance', () => {
+  function makeSupabase(history) {
+    const calls = [];
+    const chain = {};
+    for (const m of ['select', 'eq', 'is', 'not', 'gte', 'lte', 'order']) {
+      chain[m] = (...args) => {
+        calls.push([m, ...args]);
+        return chain;
+      };
+    }
+    chain.then = (resolve, reject) => Promise.resolve({ data: history, error: null }).then(resolve, reject);
+    return { calls, from: () => chain };
+  }
+
+  const history = [0, 10, 20].map(day => ({
+    start_date: new Date(Date.UTC(2026, 5, 1 + day)).toISOString(),
+    power_curve_summary: exactCurve(),
+  }));
+
+  const activity = {
+    id: 'a1',
+    start_date: '2026-06-21T09:00:00Z',
+    fit_coach_context: {
+      interval_seconds: 5,
+      time_series: Array.from({ length: 120 }, (_, i) => ({ t: i * 5, power: i >= 40 && i < 52 ? 600 : 150 })),
+    },
+  };
+
+  it('fits CP from the 90 days up to the ride and summarizes W′bal', async () => {
+    const supabase = makeSupabase(history);
+    const result = await computeRideWPrimeBalance(supabase, 'u1', activity);
+    expect(result.cp_watts).toBe(CP);
+    expect(result.w_prime_j).toBe(W_PRIME);
+    expect(result.source_interval_sec).toBe(5);
+    // 60 s at 350 W over CP = 21 kJ > W′ → one full depletion
+    expect(result.full_depletions).toBe(1);
+    expect(supabase.calls).toContainEqual(['lte', 'start_date', '2026-06-21T09:00:00.000Z']);
+  });
+
+  it('skips rides without a power series or a fittable model', async () => {
+    expect(await computeRideWPrimeBalance(makeSupabase(history), 'u1', { ...activity, fit_coach_context: null })).toBeNull();
+    expect(await computeRideWPrimeBalance(makeSupabase([]), 'u1', activity)).toBeNull();
+  });
+});
@@ -0,0 +1,399 @@
+// Behavioral email journeys: multi-step sequences triggered by training and
+// activation events.
+//
+// Each journey defines how to find users who just hit its trigger, an exit
+// condition checked before every step, and the steps themselves (delay since
+// the previous step + copy). api/cron/email-journeys.js does the enrolling
+// and sending; api/email-tool.js (list_journeys) reports per-step
+// conversion from email_journey_sends, which api/resend-webhook.js keeps
+// up to date. Tables: migration 124.
+
+import { escapeHtml, renderButton, renderEmailLayout, renderParagraph } from './emailLayout.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const APP_URL = 'https://www.tribos.studio';
+
+// Per-user frequency caps across all journeys. A capped step is deferred,
+// not skipped, so the sequence still completes — just more slowly.
+export const MIN_HOURS_BETWEEN_SENDS = 48;
+export const MAX_SENDS_PER_WEEK = 3;
+
+// Mirrors the key-workout test in api/utils/assembleFitnessContext.js.
+const KEY_WORKOUT_TYPES = ['threshold', 'vo2max', 'race'];
+export const MISSED_KEY_WORKOUTS_THRESHOLD = 3;
+const MISSED_LOOKBACK_DAYS = 14;
+
+export function isKeyWorkout(workout) {
+  return (workout.target_tss || 0) >= 100 || KEY_WORKOUT_TYPES.includes(workout.workout_type);
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Group missed (past, uncompleted) key workouts by user and plan, keeping
+ * users who missed at least `threshold` in one plan.
+ *
+ * @param {Array<{user_id, plan_id, scheduled_date, workout_type, target_tss}>} rows
+ * @returns {Array<{userId: string, planId: string, missed: number}>}
+ */
+export function groupMissedKeyWorkouts(rows, threshold = MISSED_KEY_WORKOUTS_THRESHOLD) {
+  const counts = new Map();
+  for (const row of rows || []) {
+    if (!isKeyWorkout(row)) continue;
+    const key = `${row.user_id}:${row.plan_id}`;
+    const entry = counts.get(key) || { userId: row.user_id, planId: row.plan_id, missed: 0 };
+    entry.missed++;
+    counts.set(key, entry);
+  }
+  return [...counts.values()].filter((entry) => entry.missed >= threshold);
+}
+
+/**
+ * Whether another journey email may go to a user now, given the send times
+ * of their recent journey emails. When capped, `retryAt` is the earliest
+ * time the caps allow.
+ *
+ * @param {string[]} recentSentAts - ISO timestamps of sends in the last 7 days
+ * @returns {{allowed: boolean, retryAt: Date|null}}
+ */
+export function checkFrequencyCap(recentSentAts, now = new Date()) {
+  const times = (recentSentAts || [])
+    .map((t) => new Date(t).getTime())
+    .filter((t) => now.getTime() - t < 7 * DAY_MS)
+    .sort((a, b) => b - a);
+
+  const gapMs = MIN_HOURS_BETWEEN_SENDS * 60 * 60 * 1000;
+  let retryAt = null;
+  if (times.length > 0 && now.getTime() - times[0] < gapMs) {
+    retryAt = times[0] + gapMs;
+  }
+  if (times.length >= MAX_SENDS_PER_WEEK) {
+    // The week frees up when the oldest send inside the cap ages out.
+    const weekFreesAt = times[MAX_SENDS_PER_WEEK - 1] + 7 * DAY_MS;
+    retryAt = Math.max(retryAt || 0, weekFreesAt);
+  }
+  return retryAt ? { allowed: false, retryAt: new Date(retryAt) } : { allowed: true, retryAt: null };
+}
+
+/**
+ * Render a journey step in the shared email layout.
+ */
+export function renderJourneyEmail({ name, heading, paragraphs, cta, url }) {
+  const contentHtml = [
+    `<h3 style="color: #fff; margin: 0 0 16px; font-size: 18px;">${escapeHtml(heading)}</h3>`,
+    ...paragraphs.map(renderParagraph),
+    renderButton(cta, url),
+  ].join('\n              ');
+  return renderEmailLayout({
+    name,
+    contentHtml,
+    footer: 'You\'re receiving this because of recent activity on your tribos.studio account',
+  });
+}
+
+// ============================================================================
+// Journey definitions
+// ============================================================================
+//
+// findCandidates(supabase, now) → [{ userId, triggerKey, context }]
+// checkExit(supabase, enrollment, now) → exit reason string, or null to continue
+// steps[i].delayDays — wait after enrollment (step 0) or after the previous step
+
+export const JOURNEYS = {
+  garmin_no_ride: {
+    name: 'Garmin connected, no ride',
+    description: 'Connected Garmin 7–14 days ago and nothing has synced since',
+    async findCandidates(supabase, now) {
+      const { data: integrations, error } = await supabase
+        .from('bike_computer_integrations')
+        .select('user_id, created_at')
+        .eq('provider', 'garmin')
+        .lte('created_at', new Date(now.getTime() - 7 * DAY_MS).toISOString())
+        .gte('created_at', new Date(now.getTime() - 14 * DAY_MS).toISOString());
+      if (error) throw new Error(`garmin_no_ride trigger: ${error.message}`);
+
+      const candidates = [];
+      for (const integration of integrations || []) {
+        const { count } = await supabase
+          .from('activities')
+          .select('id', { count: 'exact', head: true })
+          .eq('user_id', integration.user_id)
+          .gte('created_at', integration.created_at);
+        if (count === 0) {
+          candidates.push({
+            userId: integration.user_id,
+            triggerKey: `garmin:${toDateString(new Date(integration.created_at))}`,
+            context: { connectedAt: integration.created_at },
+          });
+        }
+      }
+      return candidates;
+    },
+    async checkExit(supabase, enrollment) {
+      const { count } = await supabase
+        .from('activities')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', enrollment.user_id)
+        .gte('created_at', enrollment.context.connectedAt);
+      return count > 0 ? 'ride_synced' : null;
+    },
+    steps: [
+      {
+        delayDays: 0,
+        subject: 'Your Garmin is connected — where is your first ride?',
+        content: () => ({
+          heading: 'Nothing has synced from Garmin yet',
+          paragraphs: [
+            'Your Garmin account is linked, but we haven’t received a ride from it in the past week.',
+            'Rides sync automatically after you save them on your device. If you’ve been riding, check that Garmin Connect has finished uploading — or reconnect from Settings.',
+          ],
+          cta: 'Check my connection',
+          url: `${APP_URL}/settings`,
+        }),
+      },
+      {
+        delayDays: 4,
+        subject: 'Still no rides from Garmin — we can help',
+        content: () => ({
+          heading: 'Let’s get your rides flowing',
+          paragraphs: [
+            'Still nothing from Garmin. The most common fix is reconnecting, which takes under a minute.',
+            'Reply to this email if it still doesn’t work and we’ll look into it with you.',
+          ],
+          cta: 'Reconnect Garmin',
+          url: `${APP_URL}/settings`,
+        }),
+      },
+    ],
+  },
+
+  plan_completed: {
+    name: 'Plan completed',
+    description: 'Finished a training plan in the last 3 days',
+    async findCandidates(supabase, now) {
+      const { data: plans, error } = await supabase
+        .from('training_plans')
+        .select('id, user_id, name, ended_at')
+        .eq('status', 'completed')
+        .gte('ended_at', new Date(now.getTime() - 3 * DAY_MS).toISOString());
+      if (error) throw new Error(`plan_completed trigger: ${error.message}`);
+
+      return (plans || []).map((plan) => ({
+        userId: plan.user_id,
+        triggerKey: plan.id,
+        context: { planName: plan.name, endedAt: plan.ended_at },
+      }));
+    },
+    async checkExit(supabase, enrollment) {
+      // Already on to the next plan — the "what's next" nudge is moot.
+      const { count } = await supabase
+        .from('training_plans')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', enrollment.user_id)
+        .eq('status', 'active');
+      return count > 0 ? 'new_plan_started' : null;
+    },
+    steps: [
+      {
+        delayDays: 0,
+        subject: 'You finished your plan 🎉',
+        content: ({ planName }) => ({
+          heading: `${planName || 'Your plan'} is complete`,
+          paragraphs: [
+            'That’s weeks of consistent work. Take a few easy days — your fitness is banked.',
+            'When you’re ready, your Progress page shows what the block did for you.',
+          ],
+          cta: 'See my progress',
+          url: `${APP_URL}/progress`,
+        }),
+      },
+      {
+        delayDays: 5,
+        subject: 'What’s your next goal?',
+        content: () => ({
+          heading: 'Pick your next block',
+          paragraphs: [
+            'Fitness fades without structure. Starting your next plan within a couple of weeks keeps what you built.',
+          ],
+          cta: 'Browse training plans',
+          url: `${APP_URL}/train/planner?tab=browse`,
+        }),
+      },
+    ],
+  },
+
+  missed_key_workouts: {
+    name: 'Missed key workouts',
+    description: `Missed ${MISSED_KEY_WORKOUTS_THRESHOLD}+ key workouts in an active plan over the last ${MISSED_LOOKBACK_DAYS} days`,
+    async findCandidates(supabase, now) {
+      const { data: activePlans, error: planError } = await supabase
+        .from('training_plans')
+        .select('id')
+        .eq('status', 'active');
+      if (planError) throw new Error(`missed_key_workouts trigger: ${planError.message}`);
+      const planIds = (activePlans || []).map((p) => p.id);
+      if (planIds.length === 0) return [];
+
+      const today = toDateString(now);
+      const { data: rows, error } = await supabase
+        .from('planned_workouts')
+        .select('user_id, plan_id, scheduled_date, workout_type, target_tss')
+        .in('plan_id', planIds)
+        .eq('completed', false)
+        .lt('scheduled_date', today)
+        .gte('scheduled_date', toDateString(new Date(now.getTime() - MISSED_LOOKBACK_DAYS * DAY_MS)));
+      if (error) throw new Error(`missed_key_workouts trigger: ${error.message}`);
+
+      // One enrollment per plan, so a rough patch doesn't mean weekly emails.
+      return groupMissedKeyWorkouts(rows).map(({ userId, planId, missed }) => ({
+        userId,
+        triggerKey: planId,
+        context: { planId, missed },
+      }));
+    },
+    async checkExit(supabase, enrollment) {
+      const { data: plan } = await supabase
+        .from('training_plans')
+        .select('status')
+        .eq('id', enrollment.context.planId)
+        .maybeSingle();
+      if (plan?.status !== 'active') return 'plan_not_active';
+
+      const { data: completed } = await supabase
+        .from('planned_workouts')
+        .select('workout_type, target_tss')
+        .eq('plan_id', enrollment.context.planId)
+        .eq('completed', true)
+        .gte('completed_at', enrollment.enrolled_at);
+      return (completed || []).some(isKeyWorkout) ? 'key_workout_completed' : null;
+    },
+    steps: [
+      {
+        delayDays: 0,
+        subject: 'Your plan can bend around your week',
+        content: ({ missed }) => ({
+          heading: `${missed} key sessions slipped — that’s fixable`,
+          paragraphs: [
+            'Life happens. Rather than trying to make up missed intervals, let the plan adapt: move sessions to days that work, or ask your coach to rebalance the week.',
+          ],
+          cta: 'Adjust my week',
+          url: `${APP_URL}/train`,
+        }),
+      },
+      {
+        delayDays: 7,
+        subject: 'A lighter plan might fit better',
+        content: () => ({
+          heading: 'Right-size your training',
+          paragraphs: [
+            'If the current plan keeps colliding with your schedule, a plan with fewer weekly hours will get you further than one you can’t complete.',
+          ],
+          cta: 'Compare plans',
+          url: `${APP_URL}/train/planner?tab=browse`,
+        }),
+      },
+    ],
+  },
+
+  race_in_14_days: {
+    name: 'Race in 14 days',
+    description: 'An upcoming race goal is two weeks out',
+    async findCandidates(supabase, now) {
+      const { data: races, error } = await supabase
+        .from('race_goals')
+        .select('id, user_id, name, race_date, priority')
+        .eq('status', 'upcoming')
+        .gte('race_date', toDateString(new Date(now.getTime() + 13 * DAY_MS)))
+        .lte('race_date', toDateString(new Date(now.getTime() + 14 * DAY_MS)));
+      if (error) throw new Error(`race_in_14_days trigger: ${error.message}`);
+
+      return (races || []).map((race) => ({
+        userId: race.user_id,
+        triggerKey: race.id,
+        context: { raceId: race.id, raceName: race.name, raceDate: race.race_date },
+      }));
+    },
+    async checkExit(supabase, enrollment, now) {
+      const { data: race } = await supabase
+        .from('race_goals')
+        .select('status, race_date')
+        .eq('id', enrollment.context.raceId)
+        .maybeSingle();
+      if (!race || race.status !== 'upcoming') return 'race_not_upcoming';
+      if (race.race_date < toDateString(now)) return 'race_passed';
+      return null;
+    },
+    steps: [
+      {
+        delayDays: 0,
+        subject: 'Two weeks to race day',
+        content: ({ raceName }) => ({
+          heading: `${raceName} is two weeks out`,
+          paragraphs: [
+            'This is where fitness gets sharpened, not built. Keep the intensity, trim the volume, and protect your sleep.',
+          ],
+          cta: 'See my taper',
+          url: `${APP_URL}/train`,
+        }),
+      },
+      {
+        delayDays: 7,
+        subject: 'Race week checklist',
+        content: ({ raceName }) => ({
+          heading: `It’s race week for ${raceName}`,
+          paragraphs: [
+            'Short openers, plenty of rest, and no new equipment. Check the course and plan your fueling now so race morning is calm.',
+          ],
+          cta: 'Review the course',
+          url: `${APP_URL}/train`,
+        }),
+      },
+    ],
+  },
+};
+
+/**
+ * Per-journey, per-step conversion for the admin UI.
+ *
+ * @param {Array<{journey_key, status}>} enrollments
+ * @param {Array<{journey_key, step_index, status, delivered_at, first_opened_at, first_clicked_at}>} sends
+ */
+export function summarizeJourneyConversion(enrollments, sends) {
+  const rate = (n, d) => (d > 0 ? +(n / d).toFixed(3) : null);
+
+  return Object.entries(JOURNEYS).map(([key, journey]) => {
+    const journeyEnrollments = (enrollments || []).filter((e) => e.journey_key === key);
+    const byStatus = { active: 0, completed: 0, exited: 0 };
+    for (const e of journeyEnrollments) byStatus[e.status] = (byStatus[e.status] || 0) + 1;
+
+    const steps = journey.steps.map((step, index) => {
+      const stepSends = (sends || []).filter((s) => s.journey_key === key && s.step_index === index && s.status !== 'failed');
+      const delivered = stepSends.filter((s) => s.delivered_at || ['delivered', 'opened', 'clicked'].includes(s.status)).length;
+      const opened = stepSends.filter((s) => s.first_opened_at).length;
+      const clicked = stepSends.filter((s) => s.first_clicked_at).length;
+      return {
+        stepIndex: index,
+        subject: step.subject,
+        delayDays: step.delayDays,
+        sent: stepSends.length,
+        delivered,
+        opened,
+        clicked,
+        bounced: stepSends.filter((s) => s.status === 'bounced').length,
+        complained: stepSends.filter((s) => s.status === 'complained').length,
+        openRate: rate(opened, stepSends.length),
+        clickRate: rate(clicked, stepSends.length),
+      };
+    });
+
+    return {
+      key,
+      name: journey.name,
+      description: journey.description,
+      enrollments: { total: journeyEnrollments.length, ...byStatus },
+      steps,
+    };
+  });
+}
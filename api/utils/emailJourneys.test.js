@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import {
+  JOURNEYS,
+  MAX_SENDS_PER_WEEK,
+  MIN_HOURS_BETWEEN_SENDS,
+  checkFrequencyCap,
+  groupMissedKeyWorkouts,
+  isKeyWorkout,
+  renderJourneyEmail,
+  summarizeJourneyConversion,
+} from './emailJourneys.js';
+
+const NOW = new Date('2026-05-20T12:00:00Z');
+const hoursAgo = (h) => new Date(NOW.getTime() - h * 60 * 60 * 1000).toISOString();
+
+describe('isKeyWorkout', () => {
+  it('treats high-TSS and intensity sessions as key', () => {
+    expect(isKeyWorkout({ workout_type: 'endurance', target_tss: 120 })).toBe(true);
+    expect(isKeyWorkout({ workout_type: 'threshold', target_tss: 60 })).toBe(true);
+    expect(isKeyWorkout({ workout_type: 'vo2max' })).toBe(true);
+  });
+
+  it('ignores easy sessions', () => {
+    expect(isKeyWorkout({ workout_type: 'recovery', target_tss: 30 })).toBe(false);
+    expect(isKeyWorkout({ workout_type: 'endurance', target_tss: null })).toBe(false);
+  });
+});
+
+describe('groupMissedKeyWorkouts', () => {
+  it('keeps users with three or more missed key workouts in one plan', () => {
+    const rows = [
+      { user_id: 'u1', plan_id: 'p1', workout_type: 'threshold' },
+      { user_id: 'u1', plan_id: 'p1', workout_type: 'vo2max' },
+      { user_id: 'u1', plan_id: 'p1', workout_type: 'endurance', target_tss: 110 },
+      { user_id: 'u2', plan_id: 'p2', workout_type: 'threshold' },
+      { user_id: 'u2', plan_id: 'p2', workout_type: 'threshold' },
+      { user_id: 'u2', plan_id: 'p2', workout_type: 'recovery', target_tss: 20 },
+    ];
+    expect(groupMissedKeyWorkouts(rows)).toEqual([{ userId: 'u1', planId: 'p1', missed: 3 }]);
+  });
+
+  it('handles no rows', () => {
+    expect(groupMissedKeyWorkouts(null)).toEqual([]);
+  });
+});
+
+describe('checkFrequencyCap', () => {
+  it('allows a send with no recent history', () => {
+    expect(checkFrequencyCap([], NOW)).toEqual({ allowed: true, retryAt: null });
+  });
+
+  it('defers until the minimum gap after the last send', () => {
+    const result = checkFrequencyCap([hoursAgo(10)], NOW);
+    expect(result.allowed).toBe(false);
+    expect(result.retryAt.toISOString()).toBe(hoursAgo(10 - MIN_HOURS_BETWEEN_SENDS));
+  });
+
+  it('allows once the gap has passed', () => {
+    expect(checkFrequencyCap([hoursAgo(MIN_HOURS_BETWEEN_SENDS + 1)], NOW).allowed).toBe(true);
+  });
+
+  it('defers until the oldest send in the weekly cap ages out', () => {
+    const sends = [hoursAgo(60), hoursAgo(110), hoursAgo(160)];
+    expect(sends).toHaveLength(MAX_SENDS_PER_WEEK);
+    const result = checkFrequencyCap(sends, NOW);
+    expect(result.allowed).toBe(false);
+    expect(result.retryAt.toISOString()).toBe(hoursAgo(160 - 7 * 24));
+  });
+
+  it('ignores sends older than a week', () => {
+    expect(checkFrequencyCap([hoursAgo(200), hoursAgo(300), hoursAgo(400)], NOW).allowed).toBe(true);
+  });
+});
+
+describe('renderJourneyEmail', () => {
+  it('escapes user-provided content', () => {
+    const html = renderJourneyEmail({
+      name: '<b>Eve</b>',
+      heading: 'Race "<script>"',
+      paragraphs: ['One & two'],
+      cta: 'Go',
+      url: 'https://www.tribos.studio/train',
+    });
+    expect(html).toContain('Hey &lt;b&gt;Eve&lt;/b&gt;,');
+    expect(html).toContain('Race &quot;&lt;script&gt;&quot;');
+    expect(html).toContain('One &amp; two');
+    expect(html).not.toContain('<script>');
+  });
+
+  it('falls back to Rider without a name', () => {
+    expect(renderJourneyEmail({ heading: 'h', paragraphs: [], cta: 'c', url: 'u' })).toContain('Hey Rider,');
+  });
+});
+
+describe('JOURNEYS', () => {
+  it('covers the four trigger events', () => {
+    expect(Object.keys(JOURNEYS)).toEqual(['garmin_no_ride', 'plan_completed', 'missed_key_workouts', 'race_in_14_days']);
+  });
+
+  it('defines renderable steps that start on enrollment', () => {
+    const context = { planName: 'Base', missed: 3, raceName: 'Gran Fondo' };
+    for (const journey of Object.values(JOURNEYS)) {
+      expect(journey.steps[0].delayDays).toBe(0);
+      for (const step of journey.steps) {
+        const content = step.content(context);
+        expect(step.subject).toBeTruthy();
+        expect(content.paragraphs.length).toBeGreaterThan(0);
+        expect(content.url).toMatch(/^https:\/\/www\.tribos\.studio\//);
+      }
+    }
+  });
+});
+
+describe('summarizeJourneyConversion', () => {
+  it('counts enrollments and per-step conversion', () => {
+    const enrollments = [
+      { journey_key: 'plan_completed', status: 'active' },
+      { journey_key: 'plan_completed', status: 'exited' },
+      { journey_key: 'plan_completed', status: 'completed' },
+    ];
+    const sends = [
+      { journey_key: 'plan_completed', step_index: 0, status: 'clicked', delivered_at: 'x', first_opened_at: 'x', first_clicked_at: 'x' },
+      { journey_key: 'plan_completed', step_index: 0, status: 'opened', delivered_at: 'x', first_opened_at: 'x' },
+      { journey_key: 'plan_completed', step_index: 0, status: 'delivered', delivered_at: 'x' },
+      { journey_key: 'plan_completed', step_index: 0, status: 'bounced' },
+      { journey_key: 'plan_completed', step_index: 0, status: 'failed' },
+      { journey_key: 'plan_completed', step_index: 1, status: 'sent' },
+    ];
+
+    const plan = summarizeJourneyConversion(enrollments, sends).find((j) => j.key === 'plan_completed');
+    expect(plan.enrollments).toEqual({ total: 3, active: 1, completed: 1, exited: 1 });
+    expect(plan.steps[0]).toMatchObject({
+      sent: 4,
+      delivered: 3,
+      opened: 2,
+      clicked: 1,
+      bounced: 1,
+      complained: 0,
+      openRate: 0.5,
+      clickRate: 0.25,
+    });
+    expect(plan.steps[1]).toMatchObject({ sent: 1, opened: 0, openRate: 0 });
+  });
+
+  it('reports null rates for steps with no sends', () => {
+    const [first] = summarizeJourneyConversion([], []);
+    expect(first.steps[0].openRate).toBeNull();
+    expect(first.enrollments.total).toBe(0);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Shared HTML shell for transactional emails (journeys, notifications,
+ * digests) — the same dark layout as the activation nudge.
+ */
+
+export function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export function renderParagraph(text) {
+  return `<p style="color: #a0a0b0; line-height: 1.6; margin: 0 0 20px; font-size: 16px;">${escapeHtml(text)}</p>`;
+}
+
+export function renderButton(label, url) {
+  return `<a href="${escapeHtml(url)}" style="display: inline-block; margin-top: 10px; background: #10b981; color: #fff; text-decoration: none; padding: 14px 28px; font-weight: 600; letter-spacing: 1px; text-transform: uppercase; font-size: 14px;">
+                ${escapeHtml(label)}
+              </a>`;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.name] - Greeting name (escaped; defaults to "Rider")
+ * @param {string} options.contentHtml - Pre-escaped body HTML
+ * @param {string} options.footer - Footer line (escaped)
+ */
+export function renderEmailLayout({ name, contentHtml, footer }) {
+  const safeName = name ? escapeHtml(name) : 'Rider';
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #1a1a2e; color: #e0e0e0;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #1a1a2e; padding: 40px 0;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #252540;">
+          <tr>
+            <td style="padding: 30px 40px; border-bottom: 2px solid #10b981;">
+              <p style="color: #10b981; margin: 0; font-size: 12px; letter-spacing: 2px; text-transform: uppercase; font-weight: 700;">tribos.studio</p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 40px;">
+              <h2 style="color: #fff; margin: 0 0 16px; font-size: 22px;">Hey ${safeName},</h2>
+              ${contentHtml}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 20px 40px; border-top: 1px solid #333; text-align: center;">
+              <p style="color: #666; font-size: 12px; margin: 0;">${escapeHtml(footer)}</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
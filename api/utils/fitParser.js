@@ -9,6 +9,7 @@
 // Garmin's own SDK supports every device they make by definition.
 
 import { computePerRideAnalytics } from './advancedRideAnalytics.js';
+import { summarizeRideTemperature } from './thermalStrain.js';
 import { buildFitCoachContext } from './fitCoachContext.js';
 
 // @garmin/fitsdk is ESM-only ("type": "module" in its package.json).
@@ -224,6 +225,15 @@ export async function parseFitFile(fitBuffer) {
             console.warn('⚠️ Advanced ride analytics failed (non-fatal):', analyticsError.message);
           }
 
+          // Ride-time temperature from the device sensor — the preferred
+          // input to the thermal-strain load factor (thermalStrain.js)
+          const temperature = summarizeRideTemperature(
+            (data.records || []).map(r => r.temperature)
+          );
+          if (temperature) {
+            rideAnalytics = { ...(rideAnalytics || {}), temperature };
+          }
+
           // Diagnostic: a FIT file that decoded successfully but produced
           // zero record messages is unusual. Could be a manual-entry FIT,
           // a summary-only device file, or a corrupted upload. Log the
@@ -247,6 +247,35 @@ export function applyActivityTypeMultiplier(rss, activity) {
   return isMountainBike(activity) ? rss * 1.3 : rss;
 }
 
+const MAX_THERMAL_FACTOR = 1.4;
+
+/**
+ * Heat/altitude multiplier stored on the activity by metricsComputation
+ * (activities.thermal_factor, see thermalStrain.js). NULL/missing reads as
+ * 1 — rides without temperature or altitude data are logged unadjusted.
+ *
+ * @param {{ thermal_factor?: number|string|null }} activity
+ * @returns {number}
+ */
+export function thermalFactorFor(activity) {
+  const factor = Number(activity?.thermal_factor);
+  if (!Number.isFinite(factor) || factor <= 1) return 1;
+  return Math.min(factor, MAX_THERMAL_FACTOR);
+}
+
+/**
+ * Apply the thermal factor to an RSS value. Not used by the HR tier: heart
+ * rate already rises with heat, so scaling HR-derived load would
+ * double-count.
+ *
+ * @param {number} rss
+ * @param {{ thermal_factor?: number|string|null }} activity
+ * @returns {number}
+ */
+export function applyThermalFactor(rss, activity) {
+  return rss * thermalFactorFor(activity);
+}
+
 /**
  * EP zero-power filter — spec §3.2. When computing Effective Power from
  * a power stream, filter points where power === 0 AND GPS speed > 5 km/h
@@ -301,6 +330,10 @@ export function filterZeroPowerPoints(powerStream, speedStreamKmh) {
  * would double-count. terrain_class is returned on every tier so
  * downstream writers can persist it uniformly.
  *
+ * The thermal factor (heat + altitude) is applied to every tier except
+ * 'hr', for the same double-counting reason: power and work don't see
+ * heat strain, heart rate does.
+ *
  * @returns {{ tss: number, source: string, confidence: number,
  *             terrain_class: 'flat'|'rolling'|'hilly'|'mountainous' }}
  */
@@ -322,7 +355,7 @@ export function estimateTSSWithSource(activity, ftp) {
   // instead of being trusted at device confidence.
   const storedRSS = sanitizeStressScore(activity.rss ?? activity.tss);
   if (storedRSS && storedRSS > 0) {
-    const rss = applyActivityTypeMultiplier(storedRSS, activity);
+    const rss = applyThermalFactor(applyActivityTypeMultiplier(storedRSS, activity), activity);
     return { tss: rss, source: 'device', confidence: 0.95, terrain_class };
   }
 
@@ -347,7 +380,7 @@ export function estimateTSSWithSource(activity, ftp) {
     const intensityFactor = tier3Power / ftp;
     const base = hours * intensityFactor * intensityFactor * 100;
     return {
-      tss: Math.round(applyActivityTypeMultiplier(base, activity)),
+      tss: Math.round(applyThermalFactor(applyActivityTypeMultiplier(base, activity), activity)),
       source: 'power',
       confidence: 0.95,
       terrain_class,
@@ -365,7 +398,7 @@ export function estimateTSSWithSource(activity, ftp) {
         const intensityFactor = avgPower / ftp;
         const base = hours * intensityFactor * intensityFactor * 100 * mult;
         return {
-          tss: Math.round(applyActivityTypeMultiplier(base, activity)),
+          tss: Math.round(applyThermalFactor(applyActivityTypeMultiplier(base, activity), activity)),
           source: 'kilojoules',
           confidence: 0.75,
           terrain_class,
@@ -375,7 +408,7 @@ export function estimateTSSWithSource(activity, ftp) {
       const intensityFactor = avgPower / 200;
       const base = hours * intensityFactor * intensityFactor * 100 * mult;
       return {
-        tss: Math.round(applyActivityTypeMultiplier(base, activity)),
+        tss: Math.round(applyThermalFactor(applyActivityTypeMultiplier(base, activity), activity)),
         source: 'kilojoules',
         confidence: 0.50,
         terrain_class,
@@ -399,7 +432,7 @@ export function estimateTSSWithSource(activity, ftp) {
   const terrainMult = terrainMultiplier(activity);
   const base = (baseTSS + elevationFactor) * intensityMultiplier * terrainMult;
   return {
-    tss: Math.round(applyActivityTypeMultiplier(base, activity)),
+    tss: Math.round(applyThermalFactor(applyActivityTypeMultiplier(base, activity), activity)),
     source: 'inferred',
     confidence: 0.40,
     terrain_class,
@@ -681,7 +714,7 @@ export async function computeWeeklySnapshot(supabase, userId, weekStart) {
       distance, total_elevation_gain, average_watts,
       kilojoules, average_heartrate, trainer, is_hidden, duplicate_of,
       effective_power, rss, ride_intensity, power_curve_summary,
-      ride_analytics, execution_score
+      ride_analytics, execution_score, thermal_factor
     `)
     .eq('user_id', userId)
     .or('is_hidden.eq.false,is_hidden.is.null')
@@ -3,6 +3,7 @@ import {
   computeTFIComposition,
   buildTFICompositionForUser,
   estimateTSSWithSource,
+  thermalFactorFor,
 } from './fitnessSnapshots.js';
 
 // ─── Helpers ───────────────────────────────────────────────────────────────
@@ -346,3 +347,39 @@ describe('estimateTSSWithSource tier fallbacks', () => {
     expect(r.tss).toBeLessThan(500);
   });
 });
+
+describe('estimateTSSWithSource thermal factor', () => {
+  const flatRide = {
+    moving_time: 3600,
+    distance: 30000,
+    total_elevation_gain: 0,
+    type: 'Ride',
+  };
+
+  it('scales the power tier by thermal_factor', () => {
+    const r = estimateTSSWithSource({ ...flatRide, effective_power: 250, thermal_factor: 1.1 }, 250);
+    expect(r.source).toBe('power');
+    expect(r.tss).toBe(110);
+  });
+
+  it('scales stored device RSS', () => {
+    const r = estimateTSSWithSource({ ...flatRide, rss: 80, thermal_factor: 1.05 }, 250);
+    expect(r.tss).toBeCloseTo(84, 5);
+  });
+
+  it('leaves the HR tier unscaled (heat already shows in heart rate)', () => {
+    const run = { moving_time: 3600, distance: 10000, type: 'Run', average_heartrate: 150 };
+    const base = estimateTSSWithSource(run, 250);
+    const hot = estimateTSSWithSource({ ...run, thermal_factor: 1.15 }, 250);
+    expect(hot.source).toBe('hr');
+    expect(hot.tss).toBe(base.tss);
+  });
+
+  it('reads NULL, sub-1 and junk factors as 1 and caps outliers', () => {
+    expect(thermalFactorFor({ thermal_factor: null })).toBe(1);
+    expect(thermalFactorFor({ thermal_factor: 0.8 })).toBe(1);
+    expect(thermalFactorFor({ thermal_factor: 'abc' })).toBe(1);
+    expect(thermalFactorFor({ thermal_factor: '1.120' })).toBe(1.12);
+    expect(thermalFactorFor({ thermal_factor: 3 })).toBe(1.4);
+  });
+});
@@ -0,0 +1,182 @@
+// Forum moderation and reputation rules, shared by api/forum.js (member
+// writes and reports) and api/admin-forum.js (moderator queue). Database
+// side: migration 126 (forum_reports, forum_sanctions, forum_reputation).
+
+import { RATE_LIMITS } from './rateLimit.js';
+
+export const REPORT_REASONS = ['spam', 'harassment', 'off_topic', 'misinformation', 'other'];
+
+export const MODERATION_ACTIONS = ['hide', 'lock', 'warn', 'ban', 'dismiss'];
+
+/** Accounts younger than this get the *_NEW_ACCOUNT forum rate limits. */
+export const NEW_ACCOUNT_DAYS = 7;
+
+/** Distinct open reports after which content is hidden until a moderator reviews it. */
+export const AUTO_HIDE_REPORT_THRESHOLD = 3;
+
+/** SQL twin: forum_reputation.score (migration 126) — keep in sync. */
+export const REPUTATION_POINTS = {
+  acceptedAnswer: 15,
+  reaction: 1,
+};
+
+/** What a member needs in one board before they can be made its moderator. */
+export const MODERATOR_ELIGIBILITY = {
+  minScore: 150,
+  minAcceptedAnswers: 5,
+  minAccountDays: 90,
+  // No warnings or bans in this window
+  cleanRecordDays: 180,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RATE_LIMIT_KEYS = {
+  thread: 'FORUM_THREAD',
+  post: 'FORUM_POST',
+  report: 'FORUM_REPORT',
+};
+
+const WRITE_NOUNS = {
+  thread: 'new threads',
+  post: 'replies',
+  report: 'reports',
+};
+
+export function isNewAccount(accountCreatedAt, now = new Date()) {
+  if (!accountCreatedAt) return true;
+  return now.getTime() - new Date(accountCreatedAt).getTime() < NEW_ACCOUNT_DAYS * DAY_MS;
+}
+
+/**
+ * Rate limit for a forum write. New accounts get the *_NEW_ACCOUNT entry
+ * from RATE_LIMITS when there is one.
+ *
+ * @param {'thread'|'post'|'report'} kind
+ * @returns {{limit: number, windowMinutes: number, name: string, newAccount: boolean}}
+ */
+export function forumRateLimit(kind, accountCreatedAt, now = new Date()) {
+  const key = RATE_LIMIT_KEYS[kind];
+  if (!key) throw new Error(`Unknown forum write: ${kind}`);
+
+  const newAccount = isNewAccount(accountCreatedAt, now);
+  const config = (newAccount && RATE_LIMITS[`${key}_NEW_ACCOUNT`]) || RATE_LIMITS[key];
+  return { ...config, newAccount };
+}
+
+function formatWindow(minutes) {
+  if (minutes === 1440) return 'day';
+  if (minutes === 60) return 'hour';
+  return `${minutes} minutes`;
+}
+
+/**
+ * The message shown when a forum write is rate limited.
+ */
+export function rateLimitMessage(kind, config, resetAt, now = new Date()) {
+  const minutes = Math.max(1, Math.ceil((new Date(resetAt).getTime() - now.getTime()) / 60000));
+  const wait = minutes >= 90 ? `${Math.round(minutes / 60)} hours` : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const allowance = `${config.limit} ${WRITE_NOUNS[kind]} per ${formatWindow(config.windowMinutes)}`;
+
+  return config.newAccount
+    ? `New accounts can post ${allowance} for their first ${NEW_ACCOUNT_DAYS} days. Try again in ${wait}.`
+    : `You've reached the limit of ${allowance}. Try again in ${wait}.`;
+}
+
+/**
+ * The ban currently in force among a user's sanctions, or null. A permanent
+ * ban (no expires_at) outranks any timed one.
+ */
+export function activeBan(sanctions, now = new Date()) {
+  const bans = (sanctions || []).filter((s) =>
+    s.type === 'ban' &&
+    !s.revoked_at &&
+    (!s.expires_at || new Date(s.expires_at) > now)
+  );
+  if (bans.length === 0) return null;
+
+  return bans.reduce((longest, ban) => {
+    if (!longest.expires_at) return longest;
+    if (!ban.expires_at) return ban;
+    return new Date(ban.expires_at) > new Date(longest.expires_at) ? ban : longest;
+  });
+}
+
+/**
+ * When a ban of `days` days issued now ends; null for a permanent ban.
+ */
+export function banExpiry(days, now = new Date()) {
+  const n = Number(days);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return new Date(now.getTime() + n * DAY_MS);
+}
+
+/**
+ * Whether a member can be promoted to moderate a board, from their
+ * reputation row in that board.
+ *
+ * @param {{score: number, accepted_answers: number}} reputation
+ * @param {Object} options
+ * @param {string} options.accountCreatedAt
+ * @param {Array<{type: string, created_at: string}>} [options.sanctions]
+ * @returns {{eligible: boolean, unmet: string[]}}
+ */
+export function checkModeratorEligibility(reputation, { accountCreatedAt, sanctions = [], now = new Date() }) {
+  const rules = MODERATOR_ELIGIBILITY;
+  const unmet = [];
+
+  if ((reputation?.score || 0) < rules.minScore) {
+    unmet.push(`Reputation ${reputation?.score || 0}/${rules.minScore}`);
+  }
+  if ((reputation?.accepted_answers || 0) < rules.minAcceptedAnswers) {
+    unmet.push(`Accepted answers ${reputation?.accepted_answers || 0}/${rules.minAcceptedAnswers}`);
+  }
+  const accountDays = accountCreatedAt
+    ? Math.floor((now.getTime() - new Date(accountCreatedAt).getTime()) / DAY_MS)
+    : 0;
+  if (accountDays < rules.minAccountDays) {
+    unmet.push(`Account age ${accountDays}/${rules.minAccountDays} days`);
+  }
+  const cleanSince = now.getTime() - rules.cleanRecordDays * DAY_MS;
+  if (sanctions.some((s) => new Date(s.created_at).getTime() >= cleanSince)) {
+    unmet.push(`Warned or banned in the last ${rules.cleanRecordDays} days`);
+  }
+
+  return { eligible: unmet.length === 0, unmet };
+}
+
+/**
+ * Group open reports by the thread or reply they target, most-reported
+ * first (oldest first among equals), for the moderator queue.
+ */
+export function summarizeReports(reports) {
+  const groups = new Map();
+
+  for (const report of reports || []) {
+    const key = report.post_id ? `post:${report.post_id}` : `thread:${report.thread_id}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        threadId: report.thread_id || null,
+        postId: report.post_id || null,
+        reportIds: [],
+        reportCount: 0,
+        reasons: {},
+        details: [],
+        firstReportedAt: report.created_at,
+        lastReportedAt: report.created_at,
+      });
+    }
+    const group = groups.get(key);
+    group.reportIds.push(report.id);
+    group.reportCount++;
+    group.reasons[report.reason] = (group.reasons[report.reason] || 0) + 1;
+    if (report.details?.trim()) group.details.push(report.details.trim());
+    if (report.created_at < group.firstReportedAt) group.firstReportedAt = report.created_at;
+    if (report.created_at > group.lastReportedAt) group.lastReportedAt = report.created_at;
+  }
+
+  return [...groups.values()].sort((a, b) =>
+    b.reportCount - a.reportCount || a.firstReportedAt.localeCompare(b.firstReportedAt)
+  );
+}
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MODERATOR_ELIGIBILITY,
+  activeBan,
+  banExpiry,
+  checkModeratorEligibility,
+  forumRateLimit,
+  isNewAccount,
+  rateLimitMessage,
+  summarizeReports,
+} from './forumModeration.js';
+import { RATE_LIMITS } from './rateLimit.js';
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const daysAgo = (d) => new Date(NOW.getTime() - d * 24 * 60 * 60 * 1000).toISOString();
+
+describe('forumRateLimit', () => {
+  it('gives accounts in their first week the tighter limits', () => {
+    expect(isNewAccount(daysAgo(2), NOW)).toBe(true);
+    expect(forumRateLimit('thread', daysAgo(2), NOW)).toEqual({ ...RATE_LIMITS.FORUM_THREAD_NEW_ACCOUNT, newAccount: true });
+    expect(forumRateLimit('post', daysAgo(2), NOW)).toEqual({ ...RATE_LIMITS.FORUM_POST_NEW_ACCOUNT, newAccount: true });
+  });
+
+  it('uses the standard limits for established accounts', () => {
+    expect(forumRateLimit('thread', daysAgo(30), NOW)).toEqual({ ...RATE_LIMITS.FORUM_THREAD, newAccount: false });
+  });
+
+  it('falls back to the standard limit when there is no new-account variant', () => {
+    expect(forumRateLimit('report', daysAgo(1), NOW)).toEqual({ ...RATE_LIMITS.FORUM_REPORT, newAccount: true });
+  });
+
+  it('treats an unknown signup date as new and rejects unknown writes', () => {
+    expect(isNewAccount(null, NOW)).toBe(true);
+    expect(() => forumRateLimit('reaction', daysAgo(30), NOW)).toThrow(/Unknown forum write/);
+  });
+});
+
+describe('rateLimitMessage', () => {
+  it('explains the new-account allowance', () => {
+    const config = forumRateLimit('thread', daysAgo(1), NOW);
+    const resetAt = new Date(NOW.getTime() + 5 * 60 * 60 * 1000);
+    expect(rateLimitMessage('thread', config, resetAt, NOW))
+      .toBe('New accounts can post 3 new threads per day for their first 7 days. Try again in 5 hours.');
+  });
+
+  it('reports minutes for short waits', () => {
+    const config = forumRateLimit('post', daysAgo(30), NOW);
+    const resetAt = new Date(NOW.getTime() + 12 * 60 * 1000);
+    expect(rateLimitMessage('post', config, resetAt, NOW))
+      .toBe("You've reached the limit of 60 replies per hour. Try again in 12 minutes.");
+  });
+});
+
+describe('activeBan', () => {
+  it('ignores warnings, revoked and expired bans', () => {
+    expect(activeBan([
+      { type: 'warning', created_at: daysAgo(1) },
+      { type: 'ban', revoked_at: daysAgo(1), expires_at: null },
+      { type: 'ban', expires_at: daysAgo(1) },
+    ], NOW)).toBeNull();
+  });
+
+  it('prefers a permanent ban over a timed one', () => {
+    const timed = { type: 'ban', expires_at: '2026-06-10T00:00:00Z' };
+    const permanent = { type: 'ban', expires_at: null };
+    expect(activeBan([timed, permanent], NOW)).toBe(permanent);
+    expect(activeBan([timed, { type: 'ban', expires_at: '2026-06-05T00:00:00Z' }], NOW)).toBe(timed);
+  });
+});
+
+describe('banExpiry', () => {
+  it('is permanent without a positive number of days', () => {
+    expect(banExpiry(null, NOW)).toBeNull();
+    expect(banExpiry(0, NOW)).toBeNull();
+    expect(banExpiry(7, NOW)).toEqual(new Date('2026-06-08T12:00:00Z'));
+  });
+});
+
+describe('checkModeratorEligibility', () => {
+  const strong = { score: 200, accepted_answers: 8 };
+
+  it('accepts an established member with a clean record', () => {
+    expect(checkModeratorEligibility(strong, { accountCreatedAt: daysAgo(365), now: NOW }))
+      .toEqual({ eligible: true, unmet: [] });
+  });
+
+  it('lists every unmet requirement', () => {
+    const { eligible, unmet } = checkModeratorEligibility(
+      { score: 40, accepted_answers: 1 },
+      { accountCreatedAt: daysAgo(10), sanctions: [{ type: 'warning', created_at: daysAgo(20) }], now: NOW }
+    );
+    expect(eligible).toBe(false);
+    expect(unmet).toEqual([
+      `Reputation 40/${MODERATOR_ELIGIBILITY.minScore}`,
+      `Accepted answers 1/${MODERATOR_ELIGIBILITY.minAcceptedAnswers}`,
+      `Account age 10/${MODERATOR_ELIGIBILITY.minAccountDays} days`,
+      `Warned or banned in the last ${MODERATOR_ELIGIBILITY.cleanRecordDays} days`,
+    ]);
+  });
+
+  it('forgives sanctions older than the clean-record window', () => {
+    const { eligible } = checkModeratorEligibility(strong, {
+      accountCreatedAt: daysAgo(800),
+      sanctions: [{ type: 'ban', created_at: daysAgo(400) }],
+      now: NOW,
+    });
+    expect(eligible).toBe(true);
+  });
+});
+
+describe('summarizeReports', () => {
+  it('groups by target and orders by report count, then age', () => {
+    const groups = summarizeReports([
+      { id: 'r1', thread_id: 't1', post_id: null, reason: 'spam', details: '', created_at: daysAgo(3) },
+      { id: 'r2', thread_id: null, post_id: 'p1', reason: 'harassment', details: 'Rude', created_at: daysAgo(2) },
+      { id: 'r3', thread_id: null, post_id: 'p1', reason: 'harassment', details: null, created_at: daysAgo(1) },
+      { id: 'r4', thread_id: null, post_id: 'p1', reason: 'spam', details: ' ', created_at: daysAgo(4) },
+      { id: 'r5', thread_id: 't2', post_id: null, reason: 'other', created_at: daysAgo(5) },
+    ]);
+
+    expect(groups.map((g) => g.key)).toEqual(['post:p1', 'thread:t2', 'thread:t1']);
+    expect(groups[0]).toMatchObject({
+      postId: 'p1',
+      threadId: null,
+      reportIds: ['r2', 'r3', 'r4'],
+      reportCount: 3,
+      reasons: { harassment: 2, spam: 1 },
+      details: ['Rude'],
+      firstReportedAt: daysAgo(4),
+      lastReportedAt: daysAgo(1),
+    });
+  });
+});
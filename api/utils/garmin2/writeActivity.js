@@ -43,7 +43,8 @@ import { assignGearToActivity } from '../gearAssignment.js';
 import { computeAndStoreMetrics } from '../metricsComputation.js';
 import { completeActivationStep, enqueueProactiveInsight, enqueueCheckIn } from '../activation.js';
 import { enqueueDeviationAnalysis } from '../deviationProcessor.js';
-import { sendPushToUser, buildPostRideMessage } from '../pushNotification.js';
+import { buildPostRideMessage } from '../pushNotification.js';
+import { dispatchNotification } from '../notificationDispatcher.js';
 import { captureServerError } from '../serverSentry.js';
 import { deriveTss } from './deriveTss.js';
 
@@ -360,7 +361,7 @@ async function runPostImportSideEffects({ supabase, integration, activity, activ
     console.error('⚠️ [PULL] Activation tracking failed (non-critical):', err.message);
   }
 
-  // 6. Post-ride push notification (fire-and-forget).
+  // 6. Post-ride notification (fire-and-forget).
   try {
     const { data: latestLoad } = await supabase
       .from('training_load_daily')
@@ -370,10 +371,10 @@ async function runPostImportSideEffects({ supabase, integration, activity, activ
       .limit(1)
       .maybeSingle();
     const message = deps.buildPostRideMessage(latestLoad);
-    deps.sendPushToUser(integration.user_id, {
+    deps.dispatchNotification(integration.user_id, {
       ...message,
       url: '/dashboard',
-      notificationType: 'post_ride_insight',
+      type: 'post_ride_insight',
       referenceId: activity.id,
     }).catch((e) => console.error('⚠️ [PULL] Push failed (non-fatal):', e.message));
   } catch (err) {
@@ -407,7 +408,7 @@ function withDeps(overrides) {
     enqueueProactiveInsight,
     enqueueCheckIn,
     enqueueDeviationAnalysis,
-    sendPushToUser,
+    dispatchNotification,
     buildPostRideMessage,
     captureServerError,
     ...overrides,
@@ -80,7 +80,7 @@ function makeDeps(overrides = {}) {
     enqueueProactiveInsight: noopFn,
     enqueueCheckIn: vi.fn().mockResolvedValue(null),
     enqueueDeviationAnalysis: vi.fn().mockResolvedValue(),
-    sendPushToUser: vi.fn().mockResolvedValue(),
+    dispatchNotification: vi.fn().mockResolvedValue(),
     buildPostRideMessage: vi.fn().mockReturnValue({ title: 'Nice ride', body: 'TFI up' }),
     captureServerError: vi.fn(),
     ...overrides,
@@ -0,0 +1,279 @@
+/**
+ * Training intensity distribution (TID) — server-side mirror of
+ * src/lib/training/intensity-distribution.ts.
+ *
+ * The api/ directory can't import TypeScript source from src/, so the model
+ * is duplicated here (same pattern as readiness.js). See the TS module for
+ * the three-zone mapping and classification rules; keep the two in lockstep.
+ * Block targets come from the persisted session_prescriptions, falling back
+ * to generateSessionsForBlock (the JS block library).
+ *
+ * Used by the coach's query_training_data tool (aggregation
+ * 'intensity_distribution').
+ */
+
+import { coefficientsForMode, generateSessionsForBlock } from './sequencerBlockOps.js';
+
+const EMPTY = { low: 0, mid: 0, high: 0 };
+
+const POLARIZED_PI = 2;
+const MID_DRIFT = 0.1;
+const LOW_DRIFT = -0.1;
+const HIGH_DRIFT = 0.05;
+const MIN_CLASSIFY_SECONDS = 60 * 60;
+
+const SESSION_ZONE = {
+  rest: null,
+  z1: 'low',
+  z2: 'low',
+  tempo: 'mid',
+  threshold: 'mid',
+  vo2: 'high',
+  race_sim: 'high',
+  opener: 'low',
+};
+
+function addZones(a, b) {
+  return { low: a.low + b.low, mid: a.mid + b.mid, high: a.high + b.high };
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+export function isoWeekStart(date) {
+  const d = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  const dow = d.getUTCDay();
+  d.setUTCDate(d.getUTCDate() - (dow === 0 ? 6 : dow - 1));
+  return d.toISOString().slice(0, 10);
+}
+
+/** Three-zone seconds for one activity (power, then HR), or null. */
+export function activityZoneSeconds(activity) {
+  const ctx = activity.fit_coach_context;
+  const pzd = ctx?.power_zone_distribution;
+  const duration = num(ctx?.duration_seconds);
+  if (pzd && duration > 0) {
+    const sec = (...keys) => keys.reduce((s, k) => s + (num(pzd[k]) / 100) * duration, 0);
+    const zones = { low: sec('z1', 'z2'), mid: sec('z3', 'z4'), high: sec('z5', 'z6', 'z7') };
+    if (zones.low + zones.mid + zones.high > 0) return { ...zones, source: 'power' };
+  }
+
+  const hr = activity.ride_analytics?.hr_zones?.zones;
+  if (Array.isArray(hr) && hr.length >= 5) {
+    const sec = (...idx) => idx.reduce((s, i) => s + num(hr[i]?.seconds), 0);
+    const zones = { low: sec(0, 1, 2), mid: sec(3), high: sec(4) };
+    if (zones.low + zones.mid + zones.high > 0) return { ...zones, source: 'hr' };
+  }
+  return null;
+}
+
+function polarizationIndex({ low, mid, high }) {
+  if (mid <= 0 || high <= 0) return null;
+  return Math.round(Math.log10((low / mid) * high * 100) * 100) / 100;
+}
+
+export function classifyTID(fractions) {
+  const { low, mid, high } = fractions;
+  if (low + mid + high <= 0) return null;
+  if (mid >= low) return 'threshold';
+  if (high > mid) {
+    const pi = polarizationIndex(fractions);
+    return pi !== null && pi > POLARIZED_PI ? 'polarized' : 'pyramidal';
+  }
+  return 'pyramidal';
+}
+
+export function summarizeTID(seconds) {
+  const total = seconds.low + seconds.mid + seconds.high;
+  const fractions = total > 0
+    ? { low: round3(seconds.low / total), mid: round3(seconds.mid / total), high: round3(seconds.high / total) }
+    : { ...EMPTY };
+  return {
+    seconds: { low: Math.round(seconds.low), mid: Math.round(seconds.mid), high: Math.round(seconds.high) },
+    fractions,
+    polarizationIndex: polarizationIndex(fractions),
+    classification: total >= MIN_CLASSIFY_SECONDS ? classifyTID(fractions) : null,
+  };
+}
+
+export function prescriptionZoneSeconds(p) {
+  const total = num(p.target_duration_min) * 60;
+  if (total === 0) return { ...EMPTY };
+
+  const intervals = p.prescribed_intervals ?? [];
+  if (intervals.length === 0) {
+    const zone = SESSION_ZONE[p.session_type];
+    return zone ? { ...EMPTY, [zone]: total } : { ...EMPTY };
+  }
+
+  const zones = { ...EMPTY };
+  let used = 0;
+  for (const iv of intervals) {
+    const repeats = Math.max(1, num(iv.repeats));
+    const work = num(iv.duration_min) * 60 * repeats;
+    const pct = (num(iv.target_pct_ftp_min) + num(iv.target_pct_ftp_max)) / 2;
+    const zone = pct > 105 ? 'high' : pct >= 76 ? 'mid' : 'low';
+    zones[zone] += work;
+    zones.low += num(iv.recovery_min) * 60 * repeats;
+    used += work + num(iv.recovery_min) * 60 * repeats;
+  }
+  zones.low += Math.max(0, total - used);
+  return zones;
+}
+
+export function targetTID(prescriptions) {
+  return summarizeTID(prescriptions.reduce((acc, p) => addZones(acc, prescriptionZoneSeconds(p)), { ...EMPTY }));
+}
+
+/** Stock prescriptions for a block from the JS block library. */
+export function blockPrescriptions(block) {
+  const ctx = {
+    today: block.start_date,
+    coefficients: block.coefficients_snapshot ?? coefficientsForMode('standard'),
+    daily_stats: [],
+    subjective: [],
+    upcoming_events: [],
+    race_demand: null,
+  };
+  try {
+    return generateSessionsForBlock(block.block_type, block.start_date, block.end_date, ctx);
+  } catch {
+    return [];
+  }
+}
+
+export function compareTID(actual, target) {
+  const drift = {
+    low: round3(actual.fractions.low - target.fractions.low),
+    mid: round3(actual.fractions.mid - target.fractions.mid),
+    high: round3(actual.fractions.high - target.fractions.high),
+  };
+  const pts = (n) => `${Math.round(Math.abs(n) * 100)} pts`;
+
+  const flags = [];
+  if (drift.mid > MID_DRIFT) {
+    flags.push({ code: 'too_much_mid', message: `Tempo/threshold time is ${pts(drift.mid)} above plan — easy days are drifting up.` });
+  }
+  if (drift.low < LOW_DRIFT && drift.mid <= MID_DRIFT) {
+    flags.push({ code: 'not_enough_low', message: `Easy riding is ${pts(drift.low)} below plan.` });
+  }
+  if (target.fractions.high >= 0.05 && drift.high < -HIGH_DRIFT) {
+    flags.push({ code: 'missing_intensity', message: `High-intensity time is ${pts(drift.high)} short of the block's target.` });
+  }
+  if (drift.high > HIGH_DRIFT * 2) {
+    flags.push({ code: 'too_much_intensity', message: `High-intensity time is ${pts(drift.high)} over plan.` });
+  }
+  if (actual.classification && target.classification && actual.classification !== target.classification) {
+    flags.push({
+      code: 'shape_mismatch',
+      message: `Riding has been ${actual.classification}; the block is ${target.classification}.`,
+    });
+  }
+  return { target, drift, flags };
+}
+
+/** Weekly TIDs plus the block-to-date TID against the block's prescription. */
+export function analyzeTID(activities, block = null, prescriptions = []) {
+  const byWeek = new Map();
+  let blockSeconds = { ...EMPTY };
+
+  for (const a of activities) {
+    const zones = activityZoneSeconds(a);
+    if (!zones) continue;
+    const day = String(a.start_date).slice(0, 10);
+    const week = isoWeekStart(day);
+    const entry = byWeek.get(week) ?? { seconds: { ...EMPTY }, rides: 0 };
+    entry.seconds = addZones(entry.seconds, zones);
+    entry.rides += 1;
+    byWeek.set(week, entry);
+    if (block && day >= block.start_date && day <= block.end_date) blockSeconds = addZones(blockSeconds, zones);
+  }
+
+  const plan = block ? (prescriptions.length ? prescriptions : blockPrescriptions(block)) : prescriptions;
+  const planByWeek = new Map();
+  for (const p of plan) {
+    const week = isoWeekStart(p.date);
+    planByWeek.set(week, [...(planByWeek.get(week) ?? []), p]);
+  }
+
+  const weeks = [...byWeek.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([weekStart, { seconds, rides }]) => {
+      const summary = summarizeTID(seconds);
+      const weekPlan = planByWeek.get(weekStart);
+      return {
+        weekStart,
+        rides,
+        ...summary,
+        comparison: weekPlan?.length ? compareTID(summary, targetTID(weekPlan)) : null,
+      };
+    });
+
+  let blockResult = null;
+  if (block) {
+    const summary = summarizeTID(blockSeconds);
+    const total = blockSeconds.low + blockSeconds.mid + blockSeconds.high;
+    blockResult = {
+      blockType: block.block_type,
+      ...summary,
+      comparison: plan.length && total > 0 ? compareTID(summary, targetTID(plan)) : null,
+    };
+  }
+
+  return { weeks, block: blockResult };
+}
+
+/**
+ * Load and analyze the athlete's TID between two dates (YYYY-MM-DD),
+ * against the block active on `dateTo`, if any.
+ *
+ * @param {Object} supabase - Supabase admin client (service role).
+ */
+export async function loadIntensityDistribution(supabase, userId, dateFrom, dateTo) {
+  const [activitiesRes, blockRes] = await Promise.all([
+    supabase
+      .from('activities')
+      .select('start_date, fit_coach_context, hr_zones:ride_analytics->hr_zones')
+      .eq('user_id', userId)
+      .or('is_hidden.eq.false,is_hidden.is.null')
+      .is('duplicate_of', null)
+      .gte('start_date', `${dateFrom}T00:00:00Z`)
+      .lte('start_date', `${dateTo}T23:59:59Z`)
+      .order('start_date', { ascending: true }),
+    supabase
+      .from('block_instances')
+      .select('id, block_type, start_date, end_date, coefficients_snapshot')
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .lte('start_date', dateTo)
+      .order('start_date', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+  ]);
+  if (activitiesRes.error) throw activitiesRes.error;
+  if (blockRes.error) throw blockRes.error;
+
+  const block = blockRes.data ?? null;
+  let prescriptions = [];
+  if (block) {
+    const { data, error } = await supabase
+      .from('session_prescriptions')
+      .select('date, session_type, target_duration_min, prescribed_intervals')
+      .eq('block_id', block.id)
+      .order('date', { ascending: true });
+    if (error) throw error;
+    prescriptions = data || [];
+  }
+
+  const activities = (activitiesRes.data || []).map(({ hr_zones, ...rest }) => ({
+    ...rest,
+    ride_analytics: hr_zones ? { hr_zones } : null,
+  }));
+  return analyzeTID(activities, block, prescriptions);
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  analyzeTID,
+  blockPrescriptions,
+  classifyTID,
+  loadIntensityDistribution,
+  targetTID,
+} from './intensityDistribution.js';
+
+/** Queue-based chainable supabase stub: each .from() consumes the next response. */
+function makeSupabase(responses) {
+  const calls = [];
+  let idx = 0;
+  return {
+    calls,
+    from(table) {
+      const call = { table, filters: [], select: null };
+      calls.push(call);
+      const resp = responses[idx++] ?? { data: null, error: null };
+      const chain = {
+        select(sel) { call.select = sel; return chain; },
+        eq(col, val) { call.filters.push(['eq', col, val]); return chain; },
+        or() { return chain; },
+        is() { return chain; },
+        gte(col, val) { call.filters.push(['gte', col, val]); return chain; },
+        lte(col, val) { call.filters.push(['lte', col, val]); return chain; },
+        order() { return chain; },
+        limit() { return chain; },
+        maybeSingle() { return Promise.resolve(resp); },
+        then(resolve, reject) { return Promise.resolve(resp).then(resolve, reject); },
+      };
+      return chain;
+    },
+  };
+}
+
+function powerRide(date, hours, pzd) {
+  return { start_date: `${date}T08:00:00Z`, fit_coach_context: { power_zone_distribution: pzd, duration_seconds: hours * 3600 } };
+}
+
+const GREY = { z1: 10, z2: 30, z3: 35, z4: 20, z5: 5 };
+
+describe('intensityDistribution (server mirror)', () => {
+  it('classifies the same way as the TS model', () => {
+    expect(classifyTID({ low: 0.8, mid: 0.05, high: 0.15 })).toBe('polarized');
+    expect(classifyTID({ low: 0.75, mid: 0.18, high: 0.07 })).toBe('pyramidal');
+    expect(classifyTID({ low: 0.45, mid: 0.45, high: 0.1 })).toBe('threshold');
+  });
+
+  it('targets come from the JS block library', () => {
+    const block = { block_type: 'aerobic_build', start_date: '2026-10-05', end_date: '2026-10-25' };
+    const target = targetTID(blockPrescriptions(block));
+    expect(target.classification).toBe('pyramidal');
+    expect(blockPrescriptions({ ...block, block_type: 'nope' })).toEqual([]);
+  });
+
+  it('flags a grey-zone block against its prescriptions', () => {
+    const analysis = analyzeTID(
+      [powerRide('2026-10-13', 2, GREY), powerRide('2026-10-15', 2, GREY)],
+      { block_type: 'aerobic_build', start_date: '2026-10-05', end_date: '2026-10-25' },
+    );
+    expect(analysis.block.classification).toBe('threshold');
+    expect(analysis.block.comparison.flags.map((f) => f.code)).toContain('too_much_mid');
+  });
+
+  it('loads rides, the active block and its persisted prescriptions', async () => {
+    const supabase = makeSupabase([
+      { data: [{ start_date: '2026-10-13T08:00:00Z', fit_coach_context: null, hr_zones: { zones: [
+        { seconds: 1800 }, { seconds: 1800 }, { seconds: 1200 }, { seconds: 300 }, { seconds: 100 },
+      ] } }] },
+      { data: { id: 'b1', block_type: 'threshold', start_date: '2026-10-12', end_date: '2026-11-01' } },
+      { data: [{ date: '2026-10-13', session_type: 'z2', target_duration_min: 90, prescribed_intervals: null }] },
+    ]);
+    const analysis = await loadIntensityDistribution(supabase, 'u1', '2026-09-21', '2026-10-18');
+    expect(supabase.calls.map((c) => c.table)).toEqual(['activities', 'block_instances', 'session_prescriptions']);
+    expect(supabase.calls[2].filters).toContainEqual(['eq', 'block_id', 'b1']);
+    expect(analysis.weeks).toHaveLength(1);
+    expect(analysis.weeks[0].seconds).toEqual({ low: 4800, mid: 300, high: 100 });
+    // Persisted prescriptions win over the generator: one easy ride → all low.
+    expect(analysis.block.comparison.target.fractions).toEqual({ low: 1, mid: 0, high: 0 });
+  });
+});
@@ -2,10 +2,20 @@
  * Proprietary Metrics — Compute and Store Utility
  *
  * Called from webhook handlers after activity sync.
- * Computes TWL (always) and EFI (if planned workout matched).
+ * Computes TWL (always), W′ balance (rides with power), thermal strain
+ * (heat/altitude load factor) and EFI (if planned workout matched).
+ * refreshStreamDerivedMetrics re-runs W′ balance and thermal strain when
+ * streams or FIT data arrive after the initial sync, refreshing daily
+ * training load when the thermal factor moves.
  * Non-blocking — metric failures never fail the webhook.
  */
 
+import { computeRideWPrimeBalance } from './criticalPowerModel.js';
+import { resolveActivityThermalStrain } from './thermalStrain.js';
+import { fetchHistoricalWeatherAt } from './routeWeatherContext.js';
+import { decodePolyline } from './polylineDecode.js';
+import { triggerTrainingLoadRefresh } from './trainingLoadRefresh.js';
+
 // Inline computation to avoid TS import issues in serverless
 // These mirror the formulas in src/lib/metrics/*.ts exactly
 
@@ -205,6 +215,9 @@ export async function computeAndStoreMetrics(supabase, userId, activityId) {
     }
   }
 
+  // --- W′ balance + thermal strain ---
+  await applyStreamDerivedMetrics(supabase, userId, activity);
+
   // --- EFI (only if activity matched a planned workout) ---
   let workoutId = activity.matched_planned_workout_id;
 
@@ -249,6 +262,84 @@ export async function computeAndStoreMetrics(supabase, userId, activityId) {
   }
 }
 
+/**
+ * Re-derive the metrics that depend on a ride's streams — W′ balance (from
+ * the FIT power series) and the thermal strain factor (device temperature,
+ * else a weather lookup) — and merge them onto the activity. Every ingest
+ * path calls this once streams or FIT data land, since on summary-first
+ * imports that happens after computeAndStoreMetrics has already run.
+ *
+ * @param {object} supabase - Supabase admin client (service role)
+ * @param {string} activityId - Activity ID
+ * @returns {Promise<object|null>} The fields written, or null
+ */
+export async function refreshStreamDerivedMetrics(supabase, activityId) {
+  const { data: activity, error } = await supabase
+    .from('activities')
+    .select('*')
+    .eq('id', activityId)
+    .single();
+
+  if (error || !activity) {
+    console.error('[metrics] Failed to fetch activity for stream metrics:', error?.message);
+    return null;
+  }
+
+  const update = await applyStreamDerivedMetrics(supabase, activity.user_id, activity);
+
+  // The daily load rows already counted this ride at its old factor
+  if (update?.thermal_factor != null && update.thermal_factor !== activity.thermal_factor) {
+    triggerTrainingLoadRefresh(activity.user_id).catch(() => {});
+  }
+  return update;
+}
+
+async function applyStreamDerivedMetrics(supabase, userId, activity) {
+  const update = {};
+
+  // W′ balance (rides with a FIT power series and a fittable CP model).
+  // Merged so the rest of ride_analytics survives.
+  try {
+    const wPrimeBalance = await computeRideWPrimeBalance(supabase, userId, activity);
+    if (wPrimeBalance) {
+      update.ride_analytics = { ...(activity.ride_analytics || {}), w_prime_balance: wPrimeBalance };
+    }
+  } catch (wbalErr) {
+    console.error('[metrics] W′bal computation failed:', wbalErr.message);
+  }
+
+  // Thermal strain (heat + altitude factor read by the load estimators)
+  try {
+    const streamElevation = activity.activity_streams?.elevation;
+    const thermal = await resolveActivityThermalStrain(activity, {
+      meanElevationM: Array.isArray(streamElevation) && streamElevation.length > 0
+        ? extractMeanElevation(activity)
+        : null,
+      fetchWeather: fetchHistoricalWeatherAt,
+      decodePolyline,
+    });
+    if (thermal) {
+      update.thermal_factor = thermal.factor;
+      update.thermal_strain = thermal;
+    }
+  } catch (thermalErr) {
+    console.error('[metrics] Thermal strain computation failed:', thermalErr.message);
+  }
+
+  if (Object.keys(update).length === 0) return null;
+
+  const { error } = await supabase
+    .from('activities')
+    .update(update)
+    .eq('id', activity.id);
+
+  if (error) {
+    console.error('[metrics] Stream-derived metrics update failed:', error.message);
+    return null;
+  }
+  return update;
+}
+
 async function computeAndStoreEFI(supabase, userId, activityId, activity, workoutId) {
   // Fetch the planned workout
   const { data: workout, error: wErr } = await supabase
@@ -1,5 +1,15 @@
-import { describe, it, expect } from 'vitest';
-import { tryAutoMatchWorkout } from './metricsComputation.js';
+import { describe, it, expect, vi } from 'vitest';
+import { tryAutoMatchWorkout, refreshStreamDerivedMetrics } from './metricsComputation.js';
+import { triggerTrainingLoadRefresh } from './trainingLoadRefresh.js';
+
+vi.mock('./trainingLoadRefresh.js', () => ({
+  triggerTrainingLoadRefresh: vi.fn(async () => {}),
+}));
+
+vi.mock('./criticalPowerModel.js', () => ({
+  computeRideWPrimeBalance: vi.fn(async (_supabase, _userId, activity) =>
+    activity.fit_coach_context ? { cp_watts: 260, w_prime_j: 20000, min_balance_j: 4000 } : null),
+}));
 
 /** Queue-based chainable supabase stub recording filters per .from() call. */
 function makeSupabase(responses) {
@@ -12,13 +22,14 @@ function makeSupabase(responses) {
       calls.push(call);
       const resp = responses[idx++] ?? { data: null, error: null };
       const chain = {};
-      for (const m of ['select', 'eq', 'neq', 'in', 'gte', 'lte', 'is', 'order', 'limit']) {
+      for (const m of ['select', 'update', 'eq', 'neq', 'in', 'gte', 'lte', 'is', 'order', 'limit']) {
         chain[m] = (...args) => {
           call.filters.push([m, ...args]);
           return chain;
         };
       }
       chain.maybeSingle = () => Promise.resolve(resp);
+      chain.single = () => Promise.resolve(resp);
       chain.then = (resolve, reject) => Promise.resolve(resp).then(resolve, reject);
       return chain;
     },
@@ -80,3 +91,48 @@ describe('tryAutoMatchWorkout — local-date basis', () => {
     expect(await tryAutoMatchWorkout(noCandidates, 'u1', { start_date_local: '2026-07-23T10:00:00Z', rss: 80 })).toBeNull();
   });
 });
+
+describe('refreshStreamDerivedMetrics', () => {
+  const ride = {
+    id: 'a1',
+    user_id: 'u1',
+    start_date: '2026-07-23T08:00:00Z',
+    trainer: true,
+    fit_coach_context: { interval_seconds: 5 },
+    ride_analytics: { pacing: { score: 82 } },
+  };
+  const updateOf = (supabase) => supabase.calls[1].filters.find(([m]) => m === 'update')?.[1];
+
+  it('merges W′bal into the stored ride_analytics instead of replacing it', async () => {
+    const supabase = makeSupabase([{ data: ride }]);
+    await refreshStreamDerivedMetrics(supabase, 'a1');
+    expect(supabase.calls[1].table).toBe('activities');
+    expect(updateOf(supabase).ride_analytics).toEqual({
+      pacing: { score: 82 },
+      w_prime_balance: { cp_watts: 260, w_prime_j: 20000, min_balance_j: 4000 },
+    });
+  });
+
+  it('applies device temperature to the thermal factor and refreshes daily load', async () => {
+    vi.mocked(triggerTrainingLoadRefresh).mockClear();
+    const hot = { ...ride, ride_analytics: { temperature: { mean_c: 34 } }, thermal_factor: null };
+    const supabase = makeSupabase([{ data: hot }]);
+    await refreshStreamDerivedMetrics(supabase, 'a1');
+    const update = updateOf(supabase);
+    expect(update.thermal_factor).toBeGreaterThan(1);
+    expect(update.thermal_strain.source).toBe('device');
+    expect(triggerTrainingLoadRefresh).toHaveBeenCalledWith('u1');
+
+    // Same factor on a redelivery: the load rows are already current
+    vi.mocked(triggerTrainingLoadRefresh).mockClear();
+    const again = makeSupabase([{ data: { ...hot, thermal_factor: update.thermal_factor } }]);
+    await refreshStreamDerivedMetrics(again, 'a1');
+    expect(triggerTrainingLoadRefresh).not.toHaveBeenCalled();
+  });
+
+  it('writes nothing for a summary-only activity', async () => {
+    const supabase = makeSupabase([{ data: { ...ride, fit_coach_context: null, ride_analytics: null } }]);
+    expect(await refreshStreamDerivedMetrics(supabase, 'a1')).toBeNull();
+    expect(supabase.calls).toHaveLength(1);
+  });
+});
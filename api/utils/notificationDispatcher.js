@@ -0,0 +1,379 @@
+/**
+ * Notification Dispatcher
+ *
+ * Single entry point for every server-side notification. Resolves the
+ * user's preference center settings (migration 125) — channel × type
+ * toggles, quiet hours in their timezone, and the daily digest — then
+ * delivers push via sendPushToUser and email via Resend, or holds the item
+ * in notification_queue for api/cron/notification-digest.js.
+ *
+ * In-app surfaces read the same preferences client-side
+ * (src/utils/notificationPreferences.ts — keep NOTIFICATION_TYPES in sync).
+ */
+
+import { Resend } from 'resend';
+import { getSupabaseAdmin } from './supabaseAdmin.js';
+import { sendPushToUser } from './pushNotification.js';
+import { renderButton, renderEmailLayout, renderParagraph, escapeHtml } from './emailLayout.js';
+
+const APP_URL = 'https://www.tribos.studio';
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+export const CHANNELS = ['push', 'email', 'in_app'];
+
+// priority: 'low' items go to the daily digest instead of a real-time email
+// when the user has the digest on. deferrable: false drops the item during
+// quiet hours instead of holding it (a 7pm "Tomorrow: ..." is stale by morning).
+export const NOTIFICATION_TYPES = {
+  workout_preview: {
+    channels: ['push', 'email'],
+    defaults: { push: true, email: false },
+    priority: 'high',
+    deferrable: false,
+  },
+  post_ride_insight: {
+    channels: ['push', 'email', 'in_app'],
+    defaults: { push: true, email: false, in_app: true },
+    priority: 'normal',
+    deferrable: true,
+  },
+  coach_check_in: {
+    channels: ['push', 'email'],
+    defaults: { push: true, email: false },
+    priority: 'normal',
+    deferrable: true,
+  },
+  gear_alert: {
+    channels: ['email', 'in_app'],
+    defaults: { email: true, in_app: true },
+    priority: 'low',
+    deferrable: true,
+  },
+  forum_reply: {
+    channels: ['push', 'email', 'in_app'],
+    defaults: { push: false, email: true, in_app: true },
+    priority: 'low',
+    deferrable: true,
+  },
+  // Journeys and the activation nudge. Admin broadcasts from email-tool
+  // apply the opt-out only (see excludeUnsubscribed there).
+  campaign: {
+    channels: ['email'],
+    defaults: { email: true },
+    priority: 'normal',
+    deferrable: true,
+  },
+};
+
+/**
+ * Whether a channel is on for a notification type. A missing preferences
+ * row or matrix entry means the type's default.
+ */
+export function isChannelEnabled(prefs, type, channel) {
+  const config = NOTIFICATION_TYPES[type];
+  if (!config || !config.channels.includes(channel)) return false;
+  const value = prefs?.channels?.[type]?.[channel];
+  return typeof value === 'boolean' ? value : config.defaults[channel];
+}
+
+function parseTimeOfDay(value) {
+  const [hours, minutes] = String(value || '').split(':').map((n) => parseInt(n, 10));
+  return Number.isFinite(hours) ? hours * 60 + (minutes || 0) : null;
+}
+
+/**
+ * Minutes since local midnight in an IANA timezone (UTC if invalid).
+ */
+export function localMinutes(now, timezone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' }).formatToParts(now);
+  } catch {
+    parts = new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', hour: 'numeric', minute: 'numeric', hourCycle: 'h23' }).formatToParts(now);
+  }
+  const get = (type) => parseInt(parts.find((p) => p.type === type)?.value || '0', 10);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * When quiet hours are on and `now` falls inside them, the instant they
+ * end; otherwise null. Windows may wrap midnight (22:00–07:00).
+ */
+export function quietHoursEnd(prefs, now, timezone) {
+  if (!prefs?.quiet_hours_enabled) return null;
+  const start = parseTimeOfDay(prefs.quiet_hours_start);
+  const end = parseTimeOfDay(prefs.quiet_hours_end);
+  if (start === null || end === null || start === end) return null;
+
+  const current = localMinutes(now, timezone);
+  const inside = start < end ? current >= start && current < end : current >= start || current < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - current + 1440) % 1440;
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+}
+
+// Types the admin push tool sends that have no preference-center row
+// (feature_broadcast, recovery_flag, ...): always on, held through quiet hours.
+const UNLISTED_PUSH_TYPE = {
+  channels: ['push'],
+  defaults: { push: true },
+  priority: 'normal',
+  deferrable: true,
+};
+
+/**
+ * Decide what happens on each real-time channel (push, email) for one
+ * notification. In-app is rendered client-side and not planned here.
+ * Passing `channels` limits the plan to those channels; a push-only plan
+ * also accepts types outside NOTIFICATION_TYPES.
+ *
+ * @returns {Object<string, {action: 'send'|'defer'|'digest'|'skip', reason?: string, deliverAfter?: Date}>}
+ */
+export function planDelivery(prefs, type, { now = new Date(), timezone = DEFAULT_TIMEZONE, channels } = {}) {
+  const listed = Boolean(NOTIFICATION_TYPES[type]);
+  const pushOnly = channels?.length === 1 && channels[0] === 'push';
+  const config = NOTIFICATION_TYPES[type] || (pushOnly ? UNLISTED_PUSH_TYPE : null);
+  if (!config) throw new Error(`Unknown notification type: ${type}`);
+
+  const quietUntil = quietHoursEnd(prefs, now, timezone);
+  const plan = {};
+
+  for (const channel of config.channels.filter((c) => c !== 'in_app' && (!channels || channels.includes(c)))) {
+    if (listed && !isChannelEnabled(prefs, type, channel)) {
+      plan[channel] = { action: 'skip', reason: 'opted_out' };
+    } else if (channel === 'email' && config.priority === 'low' && prefs?.digest_enabled) {
+      plan[channel] = { action: 'digest' };
+    } else if (quietUntil) {
+      plan[channel] = config.deferrable
+        ? { action: 'defer', deliverAfter: quietUntil }
+        : { action: 'skip', reason: 'quiet_hours' };
+    } else {
+      plan[channel] = { action: 'send' };
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Load a user's preferences row and timezone.
+ */
+export async function loadNotificationSettings(userId) {
+  const supabase = getSupabaseAdmin();
+  const [{ data: prefs }, { data: profile }] = await Promise.all([
+    supabase.from('notification_preferences').select('*').eq('user_id', userId).maybeSingle(),
+    supabase.from('user_profiles').select('timezone, display_name').eq('id', userId).maybeSingle(),
+  ]);
+  return {
+    prefs: prefs || null,
+    timezone: profile?.timezone || DEFAULT_TIMEZONE,
+    displayName: profile?.display_name || null,
+  };
+}
+
+/**
+ * Send a notification to a user on every channel their preferences allow.
+ *
+ * @param {string} userId
+ * @param {Object} notification
+ * @param {string} notification.type - Key of NOTIFICATION_TYPES
+ * @param {string} notification.title
+ * @param {string} notification.body
+ * @param {string} [notification.url] - App path, e.g. /dashboard
+ * @param {string} [notification.referenceId] - Deduplication key (activity id, date, ...)
+ * @param {Object} [options]
+ * @param {string[]} [options.channels] - Only these channels (see planDelivery)
+ * @returns {Promise<Object<string, Object>>} Result per channel
+ */
+export async function dispatchNotification(userId, { type, title, body, url, referenceId }, { now = new Date(), channels } = {}) {
+  const supabase = getSupabaseAdmin();
+  const { prefs, timezone, displayName } = await loadNotificationSettings(userId);
+  const plan = planDelivery(prefs, type, { now, timezone, channels });
+  const results = {};
+
+  for (const [channel, decision] of Object.entries(plan)) {
+    if (decision.action === 'skip') {
+      results[channel] = { skipped: decision.reason };
+    } else if (decision.action === 'send') {
+      results[channel] = await deliverNow(channel, userId, { type, title, body, url, referenceId, displayName });
+    } else {
+      const { error } = await supabase.from('notification_queue').insert({
+        user_id: userId,
+        notification_type: type,
+        channel: decision.action === 'digest' ? 'digest' : channel,
+        title,
+        body: body || null,
+        url: url || null,
+        reference_id: referenceId || null,
+        deliver_after: (decision.deliverAfter || now).toISOString(),
+      });
+      if (error) console.error(`Failed to queue ${type} ${channel} for ${userId}:`, error.message);
+      results[channel] = { queued: decision.action === 'digest' ? 'digest' : 'quiet_hours' };
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Deliver on one channel immediately, skipping preference checks. Used by
+ * dispatchNotification and when the digest cron releases held items.
+ */
+export async function deliverNow(channel, userId, { type, title, body, url, referenceId, displayName }) {
+  if (channel === 'push') {
+    return sendPushToUser(userId, { title, body, url, notificationType: type, referenceId });
+  }
+  return sendNotificationEmail(userId, { type, title, body, url, referenceId, displayName });
+}
+
+async function sendNotificationEmail(userId, { type, title, body, url, referenceId, displayName }) {
+  if (referenceId) {
+    const { data: existing } = await getSupabaseAdmin()
+      .from('notification_log')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('notification_type', type)
+      .eq('channel', 'email')
+      .eq('reference_id', referenceId)
+      .maybeSingle();
+    if (existing) return { skipped: 'already_sent' };
+  }
+
+  const contentHtml = [
+    `<h3 style="color: #fff; margin: 0 0 16px; font-size: 18px;">${escapeHtml(title)}</h3>`,
+    body ? renderParagraph(body) : '',
+    renderButton('Open tribos.studio', `${APP_URL}${url || '/dashboard'}`),
+  ].join('\n              ');
+
+  return sendUserEmail(userId, {
+    type,
+    referenceId,
+    subject: title,
+    render: (email) => renderEmailLayout({
+      name: displayName || email.split('@')[0],
+      contentHtml,
+      footer: 'Change which emails you get in Settings → Notifications',
+    }),
+  });
+}
+
+/**
+ * Email a user at their auth address unless it's on the suppression list,
+ * and log the attempt to notification_log.
+ *
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.type - notification_log type
+ * @param {string} options.subject
+ * @param {(email: string) => string} options.render - Builds the HTML for the resolved address
+ * @param {string} [options.referenceId]
+ */
+export async function sendUserEmail(userId, { type, subject, render, referenceId }) {
+  const resendKey = process.env.RESEND_API_KEY;
+  if (!resendKey) return { skipped: 'email_not_configured' };
+
+  const supabase = getSupabaseAdmin();
+
+  const { data: { user: authUser } } = await supabase.auth.admin.getUserById(userId);
+  if (!authUser?.email) return { skipped: 'no_email' };
+  const email = authUser.email.toLowerCase();
+
+  const { data: suppressed } = await supabase
+    .from('email_suppressions')
+    .select('reason')
+    .eq('email', email)
+    .maybeSingle();
+  if (suppressed) return { skipped: 'suppressed' };
+
+  let deliveryError = null;
+  try {
+    const { error } = await new Resend(resendKey).emails.send({
+      from: 'Tribos Studio <onboarding@tribos.studio>',
+      to: [email],
+      subject,
+      html: render(email),
+    });
+    if (error) deliveryError = error.message;
+  } catch (err) {
+    deliveryError = err.message;
+  }
+
+  await supabase.from('notification_log').insert({
+    user_id: userId,
+    notification_type: type,
+    channel: 'email',
+    reference_id: referenceId || null,
+    delivered: !deliveryError,
+    delivery_error: deliveryError,
+  });
+
+  return deliveryError ? { error: deliveryError } : { sent: 1 };
+}
+
+/**
+ * Whether a user's daily digest should go out now: digest on, their local
+ * hour is digest_hour, and none was sent in the last 20 hours.
+ */
+export function isDigestDue(prefs, now, timezone) {
+  if (!prefs?.digest_enabled) return false;
+  if (Math.floor(localMinutes(now, timezone) / 60) !== (prefs.digest_hour ?? 8)) return false;
+  if (!prefs.last_digest_sent_at) return true;
+  return now.getTime() - new Date(prefs.last_digest_sent_at).getTime() >= 20 * 60 * 60 * 1000;
+}
+
+/**
+ * Render the daily digest: one line per item, linked into the app.
+ *
+ * @param {Object} options
+ * @param {string} [options.name]
+ * @param {Array<{title: string, body?: string, url?: string}>} options.items
+ */
+export function renderDigestEmail({ name, items }) {
+  const list = items
+    .map((item) => `<li style="margin: 0 0 14px;">
+                  <a href="${escapeHtml(`${APP_URL}${item.url || '/dashboard'}`)}" style="color: #fff; font-weight: 600; text-decoration: none;">${escapeHtml(item.title)}</a>
+                  ${item.body ? `<div style="color: #a0a0b0; font-size: 14px; margin-top: 2px;">${escapeHtml(item.body)}</div>` : ''}
+                </li>`)
+    .join('\n                ');
+
+  return renderEmailLayout({
+    name,
+    contentHtml: [
+      renderParagraph(`Here's what happened since your last digest (${items.length} update${items.length === 1 ? '' : 's'}):`),
+      `<ul style="color: #a0a0b0; padding-left: 20px; margin: 0 0 20px; line-height: 1.5;">
+                ${list}
+              </ul>`,
+      renderButton('Open tribos.studio', `${APP_URL}/today`),
+    ].join('\n              '),
+    footer: 'Your daily digest — change or turn it off in Settings → Notifications',
+  });
+}
+
+/**
+ * Of the given users, those who have switched off a channel for a type —
+ * for bulk senders (campaigns, journeys) that filter a list up
+ * front. Types outside NOTIFICATION_TYPES (e.g. feature_broadcast) have no
+ * preference, so nobody is opted out of them.
+ *
+ * @returns {Promise<Set<string>>}
+ */
+export async function getOptedOutUserIds(userIds, type, channel) {
+  if (!userIds.length || !NOTIFICATION_TYPES[type]) return new Set();
+  const supabase = getSupabaseAdmin();
+  const optedOut = new Set();
+
+  // Chunk to keep the IN list within URL limits
+  for (let i = 0; i < userIds.length; i += 200) {
+    const { data } = await supabase
+      .from('notification_preferences')
+      .select('user_id, channels')
+      .in('user_id', userIds.slice(i, i + 200));
+    for (const row of data || []) {
+      if (!isChannelEnabled(row, type, channel)) optedOut.add(row.user_id);
+    }
+  }
+  return optedOut;
+}
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isChannelEnabled,
+  isDigestDue,
+  planDelivery,
+  quietHoursEnd,
+  renderDigestEmail,
+} from './notificationDispatcher.js';
+
+const UTC = 'UTC';
+const at = (iso) => new Date(iso);
+
+describe('isChannelEnabled', () => {
+  it('falls back to type defaults without a preferences row', () => {
+    expect(isChannelEnabled(null, 'workout_preview', 'push')).toBe(true);
+    expect(isChannelEnabled(null, 'forum_reply', 'push')).toBe(false);
+    expect(isChannelEnabled(null, 'forum_reply', 'email')).toBe(true);
+  });
+
+  it('uses the channel matrix when set', () => {
+    const prefs = { channels: { workout_preview: { push: false } } };
+    expect(isChannelEnabled(prefs, 'workout_preview', 'push')).toBe(false);
+  });
+
+  it('is off for channels and types a type does not support', () => {
+    expect(isChannelEnabled({ channels: { campaign: { push: true } } }, 'campaign', 'push')).toBe(false);
+    expect(isChannelEnabled(null, 'feature_broadcast', 'push')).toBe(false);
+  });
+});
+
+describe('quietHoursEnd', () => {
+  const prefs = { quiet_hours_enabled: true, quiet_hours_start: '22:00:00', quiet_hours_end: '07:00:00' };
+
+  it('returns the end of a window that wraps midnight', () => {
+    expect(quietHoursEnd(prefs, at('2026-05-20T23:30:00Z'), UTC)).toEqual(at('2026-05-21T07:00:00Z'));
+    expect(quietHoursEnd(prefs, at('2026-05-21T03:15:00Z'), UTC)).toEqual(at('2026-05-21T07:00:00Z'));
+  });
+
+  it('returns null outside the window or when quiet hours are off', () => {
+    expect(quietHoursEnd(prefs, at('2026-05-20T12:00:00Z'), UTC)).toBeNull();
+    expect(quietHoursEnd(prefs, at('2026-05-21T07:00:00Z'), UTC)).toBeNull();
+    expect(quietHoursEnd({ ...prefs, quiet_hours_enabled: false }, at('2026-05-20T23:30:00Z'), UTC)).toBeNull();
+  });
+
+  it('evaluates the window in the user timezone', () => {
+    // 23:30 in New York (EDT) is 03:30 UTC
+    expect(quietHoursEnd(prefs, at('2026-05-21T03:30:00Z'), 'America/New_York')).toEqual(at('2026-05-21T11:00:00Z'));
+  });
+});
+
+describe('planDelivery', () => {
+  const quiet = { quiet_hours_enabled: true, quiet_hours_start: '22:00', quiet_hours_end: '07:00' };
+
+  it('sends on enabled channels and skips opted-out ones', () => {
+    const plan = planDelivery({ channels: { post_ride_insight: { email: false } } }, 'post_ride_insight', {
+      now: at('2026-05-20T12:00:00Z'),
+      timezone: UTC,
+    });
+    expect(plan).toEqual({ push: { action: 'send' }, email: { action: 'skip', reason: 'opted_out' } });
+  });
+
+  it('routes low-priority email to the digest when it is on', () => {
+    const plan = planDelivery({ digest_enabled: true }, 'forum_reply', { now: at('2026-05-20T12:00:00Z'), timezone: UTC });
+    expect(plan.email).toEqual({ action: 'digest' });
+  });
+
+  it('emails gear alerts right away by default, holding them through quiet hours', () => {
+    expect(planDelivery(null, 'gear_alert', { now: at('2026-05-20T12:00:00Z'), timezone: UTC }))
+      .toEqual({ email: { action: 'send' } });
+    expect(planDelivery(quiet, 'gear_alert', { now: at('2026-05-20T23:00:00Z'), timezone: UTC }))
+      .toEqual({ email: { action: 'defer', deliverAfter: at('2026-05-21T07:00:00Z') } });
+  });
+
+  it('defers deferrable types until quiet hours end', () => {
+    const plan = planDelivery(quiet, 'post_ride_insight', { now: at('2026-05-20T23:00:00Z'), timezone: UTC });
+    expect(plan.push).toEqual({ action: 'defer', deliverAfter: at('2026-05-21T07:00:00Z') });
+  });
+
+  it('skips workout previews during quiet hours rather than holding them', () => {
+    const plan = planDelivery(quiet, 'workout_preview', { now: at('2026-05-20T23:00:00Z'), timezone: UTC });
+    expect(plan.push).toEqual({ action: 'skip', reason: 'quiet_hours' });
+  });
+
+  it('plans only the requested channels, holding unlisted push types through quiet hours', () => {
+    expect(planDelivery(null, 'post_ride_insight', { now: at('2026-05-20T12:00:00Z'), timezone: UTC, channels: ['push'] }))
+      .toEqual({ push: { action: 'send' } });
+    expect(planDelivery(quiet, 'feature_broadcast', { now: at('2026-05-20T23:00:00Z'), timezone: UTC, channels: ['push'] }))
+      .toEqual({ push: { action: 'defer', deliverAfter: at('2026-05-21T07:00:00Z') } });
+    expect(planDelivery({ channels: { coach_check_in: { push: false } } }, 'coach_check_in', { channels: ['push'] }).push)
+      .toEqual({ action: 'skip', reason: 'opted_out' });
+  });
+
+  it('throws for unknown types', () => {
+    expect(() => planDelivery(null, 'nope')).toThrow(/Unknown notification type/);
+  });
+});
+
+describe('isDigestDue', () => {
+  const prefs = { digest_enabled: true, digest_hour: 8 };
+
+  it('is due during the local digest hour', () => {
+    expect(isDigestDue(prefs, at('2026-05-20T08:05:00Z'), UTC)).toBe(true);
+    expect(isDigestDue(prefs, at('2026-05-20T09:05:00Z'), UTC)).toBe(false);
+    expect(isDigestDue({ ...prefs, digest_enabled: false }, at('2026-05-20T08:05:00Z'), UTC)).toBe(false);
+  });
+
+  it('does not send twice in one day', () => {
+    const sent = { ...prefs, last_digest_sent_at: '2026-05-20T08:05:00Z' };
+    expect(isDigestDue(sent, at('2026-05-20T08:55:00Z'), UTC)).toBe(false);
+    expect(isDigestDue(sent, at('2026-05-21T08:05:00Z'), UTC)).toBe(true);
+  });
+});
+
+describe('renderDigestEmail', () => {
+  it('lists each item and escapes user content', () => {
+    const html = renderDigestEmail({
+      name: 'Sam',
+      items: [
+        { title: 'Alex replied in "<b>Tubeless</b>"', url: '/community?thread=1' },
+        { title: 'Chain', body: 'Needs replacement', url: '/gear' },
+      ],
+    });
+    expect(html).toContain('2 updates');
+    expect(html).toContain('&lt;b&gt;Tubeless&lt;/b&gt;');
+    expect(html).not.toContain('<b>Tubeless</b>');
+    expect(html).toContain('https://www.tribos.studio/gear');
+    expect(html).toContain('Needs replacement');
+  });
+});
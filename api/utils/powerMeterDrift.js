@@ -0,0 +1,279 @@
+/**
+ * Power meter drift detection across bikes.
+ *
+ * Riders with several bikes often have power meters that disagree, which
+ * quietly skews FTP, TFI and estimateDynamicFTP. This compares each bike
+ * against a reference bike over matched efforts on the same
+ * training_segments, two ways:
+ *
+ *   - Physics: on climbs (≥ 3% average) gravity dominates the power
+ *     balance, so measured / predicted power (rider + bike mass, speed,
+ *     gradient, air density from temperature) should be the same on every
+ *     bike. Flat segments are skipped: CdA and rolling resistance differ too
+ *     much between a road and a gravel bike.
+ *   - HR-to-power: at a similar heart rate on the same segment, within a
+ *     few months, watts per beat should match.
+ *
+ * A pair is one ride on the bike matched with the nearest-in-time reference
+ * ride on the same segment in similar conditions: temperature within 8 °C
+ * and wind under 20 km/h, when recorded. The bike's offset is the median
+ * ratio across pairs, blending physics and HR when both exist. An offset of
+ * 0.94 reads "~6% low", with a suggested correction factor of 1.064.
+ *
+ * Readings must be raw. training_segment_rides.avg_power is computed from
+ * streams and never corrected (see migration 120), so detection still works
+ * after a factor has been applied.
+ */
+
+const GRAVITY = 9.80665;
+const BIKE_MASS_KG = 9;
+const DEFAULT_RIDER_MASS_KG = 75;
+const CRR = 0.005;
+const CDA = 0.32;
+const DRIVETRAIN_EFFICIENCY = 0.976;
+
+const MIN_CLIMB_GRADIENT_PCT = 3;
+const MIN_EFFORT_SECONDS = 120;
+const MAX_PAIR_DAYS = 120;
+const MAX_TEMP_DIFF_C = 8;
+const MAX_WIND_KMH = 20;
+const MAX_HR_DIFF_BPM = 8;
+const PHYSICS_WEIGHT = 0.6;
+
+const MIN_PAIRS = 4;
+/** Offsets smaller than this are within meter tolerance (±2% spec plus noise). */
+export const DRIFT_THRESHOLD = 0.03;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function airDensity(temperatureC) {
+  if (!Number.isFinite(temperatureC)) return 1.225;
+  return 101325 / (287.05 * (temperatureC + 273.15));
+}
+
+/**
+ * Steady-state power to hold `speedKmh` up `gradientPct`, in still air.
+ *
+ * @returns {number} watts at the cranks
+ */
+export function predictedPower({ speedKmh, gradientPct, massKg, temperatureC = null }) {
+  const v = speedKmh / 3.6;
+  const theta = Math.atan((gradientPct || 0) / 100);
+  const gravity = massKg * GRAVITY * Math.sin(theta);
+  const rolling = massKg * GRAVITY * Math.cos(theta) * CRR;
+  const aero = 0.5 * airDensity(temperatureC) * CDA * v * v;
+  return ((gravity + rolling + aero) * v) / DRIVETRAIN_EFFICIENCY;
+}
+
+function usable(ride) {
+  return ride.avg_power > 0 && ride.duration_seconds >= MIN_EFFORT_SECONDS;
+}
+
+function similarConditions(a, b) {
+  if (Number.isFinite(a.temperature) && Number.isFinite(b.temperature)
+    && Math.abs(a.temperature - b.temperature) > MAX_TEMP_DIFF_C) return false;
+  if ((a.wind_speed ?? 0) > MAX_WIND_KMH || (b.wind_speed ?? 0) > MAX_WIND_KMH) return false;
+  return true;
+}
+
+function daysApart(a, b) {
+  return Math.abs(new Date(a.ridden_at).getTime() - new Date(b.ridden_at).getTime()) / DAY_MS;
+}
+
+/** Nearest-in-time reference ride that satisfies `accept`, or null. */
+function nearest(ride, candidates, accept) {
+  let best = null;
+  let bestDays = Infinity;
+  for (const c of candidates) {
+    const d = daysApart(ride, c);
+    if (d > MAX_PAIR_DAYS || d >= bestDays || !similarConditions(ride, c) || !accept(c)) continue;
+    best = c;
+    bestDays = d;
+  }
+  return best;
+}
+
+function pickReference(rideCountByGear, gear, referenceGearId) {
+  if (referenceGearId && rideCountByGear.has(referenceGearId)) return referenceGearId;
+  const fallback = gear.find((g) => g.is_default && rideCountByGear.has(g.id));
+  if (fallback) return fallback.id;
+  let best = null;
+  for (const [id, count] of rideCountByGear) {
+    if (!best || count > rideCountByGear.get(best)) best = id;
+  }
+  return best;
+}
+
+/**
+ * Compare every bike against a reference bike.
+ *
+ * @param {Object} input
+ * @param {Array<{segment_id, gear_item_id, ridden_at, avg_power, avg_hr, avg_speed, duration_seconds, stop_count, temperature, wind_speed}>} input.rides
+ *   Segment efforts with the bike they were ridden on (avg_speed in km/h).
+ * @param {Object<string, {avg_gradient: number}>} input.segments - training_segments by id
+ * @param {Array<{id, name, is_default, power_correction_factor}>} input.gear - the rider's bikes
+ * @param {number|null} [input.riderMassKg]
+ * @param {string|null} [input.referenceGearId]
+ * @returns {{ referenceGearId: string|null, bikes: Array<Object> }}
+ */
+export function detectPowerDrift({ rides, segments, gear, riderMassKg = null, referenceGearId = null }) {
+  const massKg = (riderMassKg > 0 ? riderMassKg : DEFAULT_RIDER_MASS_KG) + BIKE_MASS_KG;
+  const efforts = rides.filter((r) => r.gear_item_id && usable(r));
+
+  const rideCountByGear = new Map();
+  for (const r of efforts) rideCountByGear.set(r.gear_item_id, (rideCountByGear.get(r.gear_item_id) ?? 0) + 1);
+  const reference = pickReference(rideCountByGear, gear, referenceGearId);
+  if (!reference) return { referenceGearId: null, bikes: [] };
+
+  const bySegment = new Map();
+  for (const r of efforts) {
+    const list = bySegment.get(r.segment_id) ?? [];
+    list.push(r);
+    bySegment.set(r.segment_id, list);
+  }
+
+  const physicsRatio = (r) => {
+    const gradient = Number(segments[r.segment_id]?.avg_gradient);
+    if (!(gradient >= MIN_CLIMB_GRADIENT_PCT) || (r.stop_count ?? 0) > 0 || !(r.avg_speed > 0)) return null;
+    const predicted = predictedPower({ speedKmh: r.avg_speed, gradientPct: gradient, massKg, temperatureC: r.temperature });
+    return predicted > 0 ? r.avg_power / predicted : null;
+  };
+
+  const names = new Map(gear.map((g) => [g.id, g.name]));
+  const referenceName = names.get(reference) ?? 'your reference bike';
+  const bikes = [];
+
+  for (const gearId of rideCountByGear.keys()) {
+    if (gearId === reference) continue;
+    const physics = [];
+    const hr = [];
+
+    for (const list of bySegment.values()) {
+      const refRides = list.filter((r) => r.gear_item_id === reference);
+      if (refRides.length === 0) continue;
+      for (const ride of list.filter((r) => r.gear_item_id === gearId)) {
+        const own = physicsRatio(ride);
+        if (own !== null) {
+          const match = nearest(ride, refRides, (c) => physicsRatio(c) !== null);
+          if (match) physics.push(own / physicsRatio(match));
+        }
+        if (ride.avg_hr > 0) {
+          const match = nearest(ride, refRides, (c) => c.avg_hr > 0 && Math.abs(c.avg_hr - ride.avg_hr) <= MAX_HR_DIFF_BPM);
+          if (match) hr.push((ride.avg_power / ride.avg_hr) / (match.avg_power / match.avg_hr));
+        }
+      }
+    }
+
+    const pairs = physics.length + hr.length;
+    const bike = {
+      gearItemId: gearId,
+      name: names.get(gearId) ?? null,
+      pairs: { physics: physics.length, hr: hr.length },
+      offset: null,
+      suggestedFactor: null,
+      confidence: 'insufficient',
+      flagged: false,
+      message: null,
+    };
+    if (pairs < MIN_PAIRS) {
+      bikes.push(bike);
+      continue;
+    }
+
+    let offset;
+    if (physics.length >= 2 && hr.length >= 2) {
+      offset = median(physics) * PHYSICS_WEIGHT + median(hr) * (1 - PHYSICS_WEIGHT);
+    } else {
+      offset = median(physics.length >= hr.length ? physics : hr);
+    }
+    const all = [...physics, ...hr];
+    const spread = median(all.map((r) => Math.abs(r - median(all))));
+
+    bike.offset = Math.round(offset * 1000) / 1000;
+    bike.suggestedFactor = Math.round((1 / offset) * 1000) / 1000;
+    bike.confidence = pairs >= 12 && spread <= 0.03 ? 'high' : pairs >= 6 && spread <= 0.06 ? 'moderate' : 'low';
+    bike.flagged = Math.abs(offset - 1) >= DRIFT_THRESHOLD && bike.confidence !== 'low';
+    const pct = Math.round(Math.abs(offset - 1) * 100);
+    bike.message = Math.abs(offset - 1) < DRIFT_THRESHOLD
+      ? `${bike.name ?? 'This bike'} reads in line with ${referenceName}.`
+      : `${bike.name ?? 'This bike'} reads ~${pct}% ${offset < 1 ? 'low' : 'high'} compared with ${referenceName}.`;
+    bikes.push(bike);
+  }
+
+  return { referenceGearId: reference, bikes };
+}
+
+/**
+ * Load a rider's segment efforts from the last year and run the detector.
+ *
+ * Only efforts from rides with a real power meter (device_watts) count, and
+ * only rides linked to a bike in activity_gear.
+ *
+ * @param {Object} supabase - Supabase admin client (service role).
+ */
+export async function loadPowerDrift(supabase, userId, { referenceGearId = null, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - 365 * DAY_MS).toISOString();
+
+  const [ridesRes, linksRes, poweredRes, segmentsRes, gearRes, profileRes] = await Promise.all([
+    supabase
+      .from('training_segment_rides')
+      .select('segment_id, activity_id, ridden_at, avg_power, avg_hr, avg_speed, duration_seconds, stop_count, temperature, wind_speed')
+      .eq('user_id', userId)
+      .gte('ridden_at', since)
+      .not('avg_power', 'is', null),
+    supabase
+      .from('activity_gear')
+      .select('activity_id, gear_item_id')
+      .eq('user_id', userId),
+    supabase
+      .from('activities')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('device_watts', true)
+      .gte('start_date', since),
+    supabase
+      .from('training_segments')
+      .select('id, avg_gradient')
+      .eq('user_id', userId),
+    supabase
+      .from('gear_items')
+      .select('id, name, is_default, power_correction_factor')
+      .eq('user_id', userId)
+      .eq('gear_type', 'bike'),
+    supabase
+      .from('user_profiles')
+      .select('weight_kg')
+      .eq('id', userId)
+      .maybeSingle(),
+  ]);
+  for (const r of [ridesRes, linksRes, poweredRes, segmentsRes, gearRes]) {
+    if (r.error) throw r.error;
+  }
+
+  const gearByActivity = new Map((linksRes.data || []).map((l) => [l.activity_id, l.gear_item_id]));
+  const powered = new Set((poweredRes.data || []).map((a) => a.id));
+  const segments = Object.fromEntries((segmentsRes.data || []).map((s) => [s.id, s]));
+  const rides = (ridesRes.data || [])
+    .filter((r) => powered.has(r.activity_id))
+    .map((r) => ({ ...r, gear_item_id: gearByActivity.get(r.activity_id) ?? null }));
+
+  const gear = gearRes.data || [];
+  const result = detectPowerDrift({
+    rides,
+    segments,
+    gear,
+    riderMassKg: Number(profileRes.data?.weight_kg) || null,
+    referenceGearId,
+  });
+  const factors = new Map(gear.map((g) => [g.id, Number(g.power_correction_factor) || 1]));
+  return {
+    ...result,
+    bikes: result.bikes.map((b) => ({ ...b, currentFactor: factors.get(b.gearItemId) ?? 1 })),
+  };
+}
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { detectPowerDrift, loadPowerDrift, predictedPower } from './powerMeterDrift.js';
+
+/** Queue-based chainable supabase stub: each .from() consumes the next response. */
+function makeSupabase(responses) {
+  const calls = [];
+  let idx = 0;
+  return {
+    calls,
+    from(table) {
+      const call = { table, filters: [] };
+      calls.push(call);
+      const resp = responses[idx++] ?? { data: null, error: null };
+      const chain = {
+        select() { return chain; },
+        eq(col, val) { call.filters.push(['eq', col, val]); return chain; },
+        gte(col, val) { call.filters.push(['gte', col, val]); return chain; },
+        not() { return chain; },
+        maybeSingle() { return Promise.resolve(resp); },
+        then(resolve, reject) { return Promise.resolve(resp).then(resolve, reject); },
+      };
+      return chain;
+    },
+  };
+}
+
+const MASS = 70 + 9;
+const SEGMENTS = {
+  climb: { id: 'climb', avg_gradient: 6 },
+  flat: { id: 'flat', avg_gradient: 0.5 },
+};
+const GEAR = [
+  { id: 'road', name: 'Road bike', is_default: true },
+  { id: 'gravel', name: 'Gravel bike', is_default: false },
+];
+
+/** An effort whose power is the physics prediction scaled by `meter`. */
+function climb(gear, day, speed, meter = 1, extra = {}) {
+  const truth = predictedPower({ speedKmh: speed, gradientPct: 6, massKg: MASS, temperatureC: 18 });
+  return {
+    segment_id: 'climb',
+    gear_item_id: gear,
+    ridden_at: `2026-05-${String(day).padStart(2, '0')}T08:00:00Z`,
+    avg_power: truth * meter,
+    avg_hr: null,
+    avg_speed: speed,
+    duration_seconds: 600,
+    stop_count: 0,
+    temperature: 18,
+    wind_speed: 5,
+    ...extra,
+  };
+}
+
+describe('predictedPower', () => {
+  it('is dominated by gravity on a climb', () => {
+    const watts = predictedPower({ speedKmh: 15, gradientPct: 6, massKg: 80 });
+    // 80 kg × g × sin(atan 0.06) × 4.17 m/s ≈ 196 W gravity alone
+    expect(watts).toBeGreaterThan(220);
+    expect(watts).toBeLessThan(260);
+  });
+});
+
+describe('detectPowerDrift', () => {
+  it('flags a bike that reads ~6% low against the default bike', () => {
+    const rides = [];
+    for (let i = 0; i < 6; i++) {
+      rides.push(climb('road', 1 + i * 2, 14 + i * 0.5));
+      rides.push(climb('gravel', 2 + i * 2, 14.2 + i * 0.5, 0.94));
+    }
+    const { referenceGearId, bikes } = detectPowerDrift({ rides, segments: SEGMENTS, gear: GEAR, riderMassKg: 70 });
+
+    expect(referenceGearId).toBe('road');
+    expect(bikes).toHaveLength(1);
+    const [gravel] = bikes;
+    expect(gravel.offset).toBeCloseTo(0.94, 2);
+    expect(gravel.suggestedFactor).toBeCloseTo(1.064, 2);
+    expect(gravel.flagged).toBe(true);
+    expect(gravel.message).toBe('Gravel bike reads ~6% low compared with Road bike.');
+  });
+
+  it('does not flag a bike within meter tolerance', () => {
+    const rides = [];
+    for (let i = 0; i < 6; i++) {
+      rides.push(climb('road', 1 + i * 2, 14 + i * 0.5));
+      rides.push(climb('gravel', 2 + i * 2, 14.2 + i * 0.5, 1.01));
+    }
+    const [gravel] = detectPowerDrift({ rides, segments: SEGMENTS, gear: GEAR, riderMassKg: 70 }).bikes;
+    expect(gravel.flagged).toBe(false);
+    expect(gravel.message).toMatch(/in line with Road bike/);
+  });
+
+  it('skips pairs in mismatched weather and flat physics pairs', () => {
+    const rides = [];
+    for (let i = 0; i < 6; i++) {
+      rides.push(climb('road', 1 + i * 2, 14, 1, { temperature: 30 }));
+      rides.push(climb('gravel', 2 + i * 2, 14, 0.94, { temperature: 10 }));
+      rides.push({ ...climb('gravel', 2 + i * 2, 30, 0.94), segment_id: 'flat' });
+      rides.push({ ...climb('road', 1 + i * 2, 30), segment_id: 'flat' });
+    }
+    const [gravel] = detectPowerDrift({ rides, segments: SEGMENTS, gear: GEAR, riderMassKg: 70 }).bikes;
+    expect(gravel.pairs.physics).toBe(0);
+    expect(gravel.confidence).toBe('insufficient');
+    expect(gravel.offset).toBeNull();
+  });
+
+  it('uses HR-to-power pairs on any segment', () => {
+    const rides = [];
+    for (let i = 0; i < 5; i++) {
+      rides.push({ ...climb('road', 1 + i * 2, 30), segment_id: 'flat', avg_power: 220, avg_hr: 150 });
+      rides.push({ ...climb('gravel', 2 + i * 2, 29, 1), segment_id: 'flat', avg_power: 231, avg_hr: 150 });
+    }
+    const [gravel] = detectPowerDrift({ rides, segments: SEGMENTS, gear: GEAR, riderMassKg: 70 }).bikes;
+    expect(gravel.pairs).toEqual({ physics: 0, hr: 5 });
+    expect(gravel.offset).toBeCloseTo(1.05, 3);
+    expect(gravel.message).toMatch(/~5% high/);
+  });
+});
+
+describe('loadPowerDrift', () => {
+  it('keeps only power-meter rides linked to a bike and reports current factors', async () => {
+    const rides = [];
+    for (let i = 0; i < 6; i++) {
+      rides.push({ ...climb(null, 1 + i * 2, 14 + i * 0.5), activity_id: `r${i}` });
+      rides.push({ ...climb(null, 2 + i * 2, 14.2 + i * 0.5, 0.94), activity_id: `g${i}` });
+    }
+    rides.push({ ...climb(null, 3, 14, 0.5), activity_id: 'virtual' });
+    const links = rides.map((r) => ({
+      activity_id: r.activity_id,
+      gear_item_id: r.activity_id.startsWith('g') || r.activity_id === 'virtual' ? 'gravel' : 'road',
+    }));
+    const powered = rides.filter((r) => r.activity_id !== 'virtual').map((r) => ({ id: r.activity_id }));
+
+    const supabase = makeSupabase([
+      { data: rides, error: null },
+      { data: links, error: null },
+      { data: powered, error: null },
+      { data: Object.values(SEGMENTS), error: null },
+      { data: GEAR.map((g) => ({ ...g, power_correction_factor: '1.0000' })), error: null },
+      { data: { weight_kg: 70 }, error: null },
+    ]);
+
+    const result = await loadPowerDrift(supabase, 'user-1', { now: new Date('2026-06-01T00:00:00Z') });
+    const [gravel] = result.bikes;
+    expect(gravel.pairs.physics).toBe(6);
+    expect(gravel.offset).toBeCloseTo(0.94, 2);
+    expect(gravel.currentFactor).toBe(1);
+    expect(supabase.calls.map((c) => c.table)).toEqual([
+      'training_segment_rides', 'activity_gear', 'activities', 'training_segments', 'gear_items', 'user_profiles',
+    ]);
+  });
+});
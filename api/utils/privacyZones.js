@@ -0,0 +1,75 @@
+/**
+ * Privacy zones (migration 119) on the API side.
+ *
+ * Track masking itself happens in the database: routes.shared_geometry is
+ * the owner's geometry with their zones cut out, kept current by trigger.
+ * This module shapes what a non-owner gets around it — the masked line, start
+ * and end taken from that line, and waypoints / cues that fall inside a zone
+ * dropped.
+ */
+
+import { haversineDistance } from './polylineDecode.js';
+
+/**
+ * A rider's zones as masked (offset centre + radius). The real centres never
+ * leave the database.
+ */
+export async function loadMaskZones(supabase, userId) {
+  const { data, error } = await supabase
+    .from('privacy_zones')
+    .select('mask_lat, mask_lng, radius_m')
+    .eq('user_id', userId);
+  if (error) throw error;
+  return (data || []).filter((z) => Number.isFinite(z.mask_lat) && Number.isFinite(z.mask_lng));
+}
+
+/** True when [lat, lng] falls inside any zone. */
+export function isInsideZones(lat, lng, zones) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+  return zones.some((z) => haversineDistance(lat, lng, z.mask_lat, z.mask_lng) * 1000 <= z.radius_m);
+}
+
+function lineEnds(geometry) {
+  if (!geometry) return null;
+  const lines = geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+  const points = (lines || []).flat().filter((c) => Array.isArray(c) && c.length >= 2);
+  if (points.length < 2) return null;
+  return { first: points[0], last: points[points.length - 1] };
+}
+
+/**
+ * The route as anyone but its owner sees it. `route` must carry
+ * shared_geometry; it is served as `geometry` and the raw line is dropped.
+ * A shared route with no usable masked line (whole route inside a zone, or
+ * not yet masked) comes back with geometry null rather than the raw line.
+ */
+export function toSharedRoutePayload(route, zones = []) {
+  const { shared_geometry: sharedGeometry, geometry: _raw, ...rest } = route;
+  const geometry = lineEnds(sharedGeometry) ? sharedGeometry : null;
+  const ends = lineEnds(geometry);
+
+  const payload = {
+    ...rest,
+    geometry,
+    start_latitude: ends ? ends.first[1] : null,
+    start_longitude: ends ? ends.first[0] : null,
+    end_latitude: ends ? ends.last[1] : null,
+    end_longitude: ends ? ends.last[0] : null,
+  };
+
+  if ('waypoints' in route) {
+    payload.waypoints = Array.isArray(route.waypoints)
+      ? route.waypoints.filter((wp) => !isInsideZones(Number(wp?.lat), Number(wp?.lng), zones))
+      : route.waypoints;
+  }
+  if ('cues' in route) {
+    payload.cues = Array.isArray(route.cues)
+      ? route.cues.filter((cue) => {
+        const [lng, lat] = Array.isArray(cue?.coordinate) ? cue.coordinate : [];
+        return !isInsideZones(Number(lat), Number(lng), zones);
+      })
+      : route.cues;
+  }
+
+  return payload;
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { isInsideZones, toSharedRoutePayload } from './privacyZones.js';
+
+// ~0.0009° latitude ≈ 100 m.
+const zones = [{ mask_lat: 40.0, mask_lng: -105.2, radius_m: 400 }];
+
+describe('isInsideZones', () => {
+  it('checks distance to the masked centre against the radius', () => {
+    expect(isInsideZones(40.003, -105.2, zones)).toBe(true); // ~330 m
+    expect(isInsideZones(40.005, -105.2, zones)).toBe(false); // ~560 m
+    expect(isInsideZones(NaN, -105.2, zones)).toBe(false);
+    expect(isInsideZones(40.0, -105.2, [])).toBe(false);
+  });
+});
+
+describe('toSharedRoutePayload', () => {
+  const raw = { type: 'LineString', coordinates: [[-105.2, 40.0], [-105.2, 40.01], [-105.2, 40.02]] };
+  const masked = { type: 'LineString', coordinates: [[-105.2, 40.01], [-105.2, 40.02]] };
+
+  it('serves the masked line and takes start and end from it', () => {
+    const payload = toSharedRoutePayload({
+      id: 'r1',
+      geometry: raw,
+      shared_geometry: masked,
+      start_latitude: 40.0,
+      start_longitude: -105.2,
+    });
+    expect(payload.geometry).toBe(masked);
+    expect(payload).not.toHaveProperty('shared_geometry');
+    expect(payload).toMatchObject({ start_latitude: 40.01, end_latitude: 40.02, end_longitude: -105.2 });
+  });
+
+  it('never falls back to the raw line', () => {
+    const payload = toSharedRoutePayload({
+      geometry: raw,
+      shared_geometry: { type: 'LineString', coordinates: [] },
+      start_latitude: 40.0,
+    });
+    expect(payload.geometry).toBeNull();
+    expect(payload.start_latitude).toBeNull();
+    expect(toSharedRoutePayload({ geometry: raw, shared_geometry: null }).geometry).toBeNull();
+  });
+
+  it('drops waypoints and cues inside a zone', () => {
+    const payload = toSharedRoutePayload(
+      {
+        geometry: raw,
+        shared_geometry: masked,
+        waypoints: [{ lat: 40.0, lng: -105.2, type: 'start' }, { lat: 40.02, lng: -105.2, type: 'end' }],
+        cues: [
+          { instruction: 'Depart', coordinate: [-105.2, 40.001] },
+          { instruction: 'Turn left', coordinate: [-105.2, 40.015] },
+        ],
+      },
+      zones,
+    );
+    expect(payload.waypoints).toEqual([{ lat: 40.02, lng: -105.2, type: 'end' }]);
+    expect(payload.cues.map((c) => c.instruction)).toEqual(['Turn left']);
+  });
+});
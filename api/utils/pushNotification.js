@@ -4,8 +4,10 @@
  * Shared utility for sending web push notifications to users.
  * Uses the supabaseAdmin singleton — NEVER creates new Supabase clients.
  *
- * Handles: preference checks, deduplication, multi-device delivery,
- * stale subscription cleanup (410), and notification logging.
+ * Handles: deduplication, multi-device delivery, stale subscription
+ * cleanup (410), and notification logging. User preferences (channel
+ * toggles, quiet hours) are enforced by dispatchNotification in
+ * notificationDispatcher.js — send user-facing notifications through it.
  */
 
 import webpush from 'web-push';
@@ -35,24 +37,14 @@ if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
 export async function sendPushToUser(userId, { title, body, url, notificationType, referenceId }) {
   const supabase = getSupabaseAdmin();
 
-  // 1. Check user preferences (missing row = all defaults = all true)
-  const { data: prefs } = await supabase
-    .from('notification_preferences')
-    .select(notificationType)
-    .eq('user_id', userId)
-    .maybeSingle();
-
-  if (prefs && prefs[notificationType] === false) {
-    return { skipped: 'opted_out' };
-  }
-
-  // 2. Deduplication check
+  // 1. Deduplication check
   if (referenceId) {
     const { data: existing } = await supabase
       .from('notification_log')
       .select('id')
       .eq('user_id', userId)
       .eq('notification_type', notificationType)
+      .eq('channel', 'push')
       .eq('reference_id', referenceId)
       .maybeSingle();
 
@@ -61,7 +53,7 @@ export async function sendPushToUser(userId, { title, body, url, notificationTyp
     }
   }
 
-  // 3. Fetch active subscriptions
+  // 2. Fetch active subscriptions
   const { data: subs } = await supabase
     .from('push_subscriptions')
     .select('endpoint, p256dh, auth')
@@ -72,7 +64,7 @@ export async function sendPushToUser(userId, { title, body, url, notificationTyp
     return { skipped: 'no_subscriptions' };
   }
 
-  // 4. Send to all devices
+  // 3. Send to all devices
   const payload = JSON.stringify({
     title,
     body,
@@ -91,7 +83,7 @@ export async function sendPushToUser(userId, { title, body, url, notificationTyp
     )
   );
 
-  // 5. Clean stale subscriptions (410 = subscription expired/unsubscribed)
+  // 4. Clean stale subscriptions (410 = subscription expired/unsubscribed)
   for (let i = 0; i < results.length; i++) {
     if (results[i].status === 'rejected' && results[i].reason?.statusCode === 410) {
       await supabase
@@ -101,7 +93,7 @@ export async function sendPushToUser(userId, { title, body, url, notificationTyp
     }
   }
 
-  // 6. Log the send
+  // 5. Log the send
   const succeeded = results.filter((r) => r.status === 'fulfilled').length;
   const firstError = results.find((r) => r.status === 'rejected');
 
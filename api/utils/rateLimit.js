@@ -238,5 +238,32 @@ export const RATE_LIMITS = {
     limit: 100,
     windowMinutes: 1,
     name: 'coros-webhook'
+  },
+  // Forum writes (api/forum.js). Accounts younger than NEW_ACCOUNT_DAYS in
+  // api/utils/forumModeration.js get the tighter *_NEW_ACCOUNT limits.
+  FORUM_THREAD: {
+    limit: 10,
+    windowMinutes: 60,
+    name: 'forum-thread'
+  },
+  FORUM_THREAD_NEW_ACCOUNT: {
+    limit: 3,
+    windowMinutes: 1440,
+    name: 'forum-thread-new'
+  },
+  FORUM_POST: {
+    limit: 60,
+    windowMinutes: 60,
+    name: 'forum-post'
+  },
+  FORUM_POST_NEW_ACCOUNT: {
+    limit: 10,
+    windowMinutes: 60,
+    name: 'forum-post-new'
+  },
+  FORUM_REPORT: {
+    limit: 20,
+    windowMinutes: 1440,
+    name: 'forum-report'
   }
 };
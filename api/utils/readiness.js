@@ -0,0 +1,182 @@
+/**
+ * Readiness — server-side mirror of src/lib/training/readiness.ts.
+ *
+ * The api/ directory can't import TypeScript source from src/, so the model
+ * is duplicated here (same pattern as adaptiveTau.js). See the TS module for
+ * the rationale behind each signal; keep the two in lockstep.
+ *
+ * Used to populate SequencerContext.subjective for the gating rules
+ * (arc-refill) and the HRV modulation of AFI tau (adaptiveTau.js).
+ */
+
+export const HRV_BASELINE_DAYS = 7;
+export const HRV_SPREAD_DAYS = 28;
+const MIN_BASELINE_READINGS = 3;
+const MIN_SPREAD_READINGS = 5;
+const MIN_LN_SD = 0.04;
+
+const WEIGHTS = { hrv: 0.35, sleep: 0.25, restingHr: 0.15, subjective: 0.25 };
+const HIGH_BAND = 67;
+const MODERATE_BAND = 45;
+
+/** health_metrics columns the model reads. */
+export const HEALTH_COLUMNS =
+  'metric_date, hrv_ms, resting_hr, sleep_hours, sleep_quality, energy_level, muscle_soreness, stress_level';
+
+function clamp(n, lo, hi) {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+function positive(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n > 0;
+}
+
+function onScale(n) {
+  return typeof n === 'number' && n >= 1 && n <= 5;
+}
+
+function mean(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function sd(values) {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+function daysBefore(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+function priorDays(history, date, windowDays) {
+  const from = daysBefore(date, windowDays);
+  return history
+    .filter((d) => d.date < date && d.date >= from)
+    .sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+/** Map health_metrics rows (metric_date) to the model's day shape (date). */
+export function toHealthDays(rows) {
+  return (rows || []).map(({ metric_date, ...rest }) => ({ date: metric_date, ...rest }));
+}
+
+export function hrvBaselineSd(history, date) {
+  const today = history.find((d) => d.date === date);
+  if (!positive(today?.hrv_ms)) return null;
+
+  const prior = priorDays(history, date, HRV_SPREAD_DAYS)
+    .filter((d) => positive(d.hrv_ms))
+    .map((d) => Math.log(d.hrv_ms));
+  const baseline = prior.slice(0, HRV_BASELINE_DAYS);
+  if (baseline.length < MIN_BASELINE_READINGS || prior.length < MIN_SPREAD_READINGS) return null;
+
+  const spread = Math.max(sd(prior), MIN_LN_SD);
+  return Math.round(((Math.log(today.hrv_ms) - mean(baseline)) / spread) * 100) / 100;
+}
+
+function restingHrDelta(history, date) {
+  const today = history.find((d) => d.date === date);
+  if (!positive(today?.resting_hr)) return null;
+  const prior = priorDays(history, date, HRV_BASELINE_DAYS)
+    .filter((d) => positive(d.resting_hr))
+    .map((d) => d.resting_hr);
+  if (prior.length < MIN_BASELINE_READINGS) return null;
+  return Math.round((today.resting_hr - mean(prior)) * 10) / 10;
+}
+
+function sleepScore(day) {
+  const parts = [];
+  if (positive(day.sleep_hours)) {
+    const h = day.sleep_hours;
+    parts.push(h >= 7 && h <= 9 ? 100 : h < 7 ? clamp(((h - 4) / 3) * 100, 0, 100) : clamp(100 - (h - 9) * 15, 60, 100));
+  }
+  if (onScale(day.sleep_quality)) parts.push(((day.sleep_quality - 1) / 4) * 100);
+  return parts.length ? mean(parts) : null;
+}
+
+function subjectiveScore(day) {
+  const parts = [];
+  if (onScale(day.energy_level)) parts.push(((day.energy_level - 1) / 4) * 100);
+  if (onScale(day.muscle_soreness)) parts.push(((5 - day.muscle_soreness) / 4) * 100);
+  if (onScale(day.stress_level)) parts.push(((5 - day.stress_level) / 4) * 100);
+  if (onScale(day.mood)) parts.push(((day.mood - 1) / 4) * 100);
+  return parts.length ? mean(parts) : null;
+}
+
+/**
+ * Readiness for `date`: { date, score, band, hrvBaselineSd, restingHrDelta,
+ * muscleSoreness }, or null when the day carries none of the signals.
+ */
+export function computeReadiness(history, date) {
+  const day = history.find((d) => d.date === date);
+  if (!day) return null;
+
+  const hrvSd = hrvBaselineSd(history, date);
+  const rhrDelta = restingHrDelta(history, date);
+  const components = {
+    hrv: hrvSd === null ? null : clamp(70 + hrvSd * 25, 0, 100),
+    sleep: sleepScore(day),
+    restingHr: rhrDelta === null ? null : clamp(100 - Math.max(0, rhrDelta) * 12, 0, 100),
+    subjective: subjectiveScore(day),
+  };
+
+  let weighted = 0;
+  let weightSum = 0;
+  for (const [key, weight] of Object.entries(WEIGHTS)) {
+    if (components[key] === null) continue;
+    weighted += components[key] * weight;
+    weightSum += weight;
+  }
+  if (weightSum === 0) return null;
+
+  const score = Math.round(weighted / weightSum);
+  return {
+    date,
+    score,
+    band: score >= HIGH_BAND ? 'high' : score >= MODERATE_BAND ? 'moderate' : 'low',
+    hrvBaselineSd: hrvSd,
+    restingHrDelta: rhrDelta,
+    muscleSoreness: onScale(day.muscle_soreness) && day.muscle_soreness >= 4,
+  };
+}
+
+export function toSubjectiveSignals(readiness) {
+  const signals = {
+    date: readiness.date,
+    wellness_score: clamp(Math.round(readiness.score / 10), 1, 10),
+    muscle_soreness_flag: readiness.muscleSoreness,
+  };
+  if (readiness.hrvBaselineSd !== null) signals.hrv_baseline_sd = readiness.hrvBaselineSd;
+  return signals;
+}
+
+/** SequencerContext.subjective, most recent first. */
+export function buildSubjectiveSignals(history) {
+  const dates = [...new Set(history.map((d) => d.date))].sort().reverse();
+  const out = [];
+  for (const date of dates) {
+    const readiness = computeReadiness(history, date);
+    if (readiness) out.push(toSubjectiveSignals(readiness));
+  }
+  return out;
+}
+
+/**
+ * The athlete's health_metrics history covering `days` days up to and
+ * including `today`, plus the HRV baseline window before it.
+ *
+ * @param {Object} supabase - Supabase admin client (service role).
+ */
+export async function loadHealthHistory(supabase, userId, today, days = 7) {
+  const { data, error } = await supabase
+    .from('health_metrics')
+    .select(HEALTH_COLUMNS)
+    .eq('user_id', userId)
+    .gte('metric_date', daysBefore(today, days + HRV_SPREAD_DAYS))
+    .lte('metric_date', today)
+    .order('metric_date', { ascending: true });
+  if (error) throw error;
+  return toHealthDays(data);
+}
@@ -547,6 +547,37 @@ function renderWeatherBlock(weather) {
   return lines.join('\n');
 }
 
+/**
+ * Render the PERSONAL DIFFICULTY block from the client's comparison of the
+ * route against the rider's own history (src/utils/personalDifficulty.ts).
+ * The client sends numbers plus short highlight lines; both are re-validated
+ * here since they land in the prompt. Empty string when absent or malformed.
+ */
+export function renderPersonalDifficultyBlock(personalDifficulty) {
+  if (!personalDifficulty || typeof personalDifficulty !== 'object') return '';
+  const lines = [];
+
+  const pct = Number(personalDifficulty.percentile);
+  const rides = Number(personalDifficulty.rideCount);
+  if (personalDifficulty.percentile != null && Number.isFinite(pct) && pct >= 0 && pct <= 100) {
+    const sample = Number.isFinite(rides) && rides > 0 ? ` of their last ${Math.round(rides)} rides` : ' of their rides';
+    lines.push(
+      pct >= 50
+        ? `- Predicted load is harder than ${Math.round(pct)}%${sample}`
+        : `- Predicted load is easier than ${100 - Math.round(pct)}%${sample}`
+    );
+  }
+
+  const highlights = Array.isArray(personalDifficulty.highlights) ? personalDifficulty.highlights : [];
+  for (const h of highlights.slice(0, 4)) {
+    if (typeof h !== 'string') continue;
+    const clean = h.replace(/\s+/g, ' ').trim().slice(0, 120);
+    if (clean) lines.push(`- ${clean.charAt(0).toUpperCase()}${clean.slice(1)}`);
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Assemble the route-coach system prompt. Sectioned-string shape, mirrors
  * api/coach.js. Route-builder-specific sections plus the Units 1–3 context.
@@ -613,6 +644,16 @@ The rider has generated a route with these characteristics:
 - Start location: ${JSON.stringify(routeSnapshot?.startLocation ?? null)}
 - Number of geometry points: ${routeSnapshot?.geometry?.coordinates?.length ?? 0}`);
 
+  const personalBlock = renderPersonalDifficultyBlock(routeSnapshot?.personalDifficulty);
+  if (personalBlock) {
+    sections.push(`=== COMPARED WITH THIS RIDER'S HISTORY ===
+${personalBlock}
+
+Highlight lines are written to the rider ("you"). Use them when the rider asks
+how hard the route is or when a change makes it a big step up — never as a
+reason to resist what they asked for.`);
+  }
+
   const prescriptionBlock = planAware ? renderPrescriptionBlock(prescription) : '';
   if (prescriptionBlock) {
     sections.push(`=== PRESCRIBED WORKOUT (context, not a constraint) ===
@@ -732,5 +773,6 @@ export default {
   getTodaysPrescription,
   getFamiliarRoads,
   collectRouteCoachContext,
+  renderPersonalDifficultyBlock,
   buildRouteCoachSystemPrompt,
 };
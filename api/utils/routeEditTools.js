@@ -12,6 +12,19 @@
 // `editIntent` mirrors the relevant fields of `classifyEditIntent`'s
 // output in src/utils/aiRouteEditService.js — keep them in sync.
 
+// Mirrors routeFeatureResolver's feature types and routePOIService's
+// POI_CATEGORIES keys on the client.
+const FEATURE_TYPES = ['road', 'area', 'place', 'poi'];
+const POI_CATEGORIES = ['water', 'food', 'bike_shop', 'viewpoint', 'restroom'];
+
+const POI_SUMMARY_NOUN = {
+  water: 'water stop',
+  food: 'café / food stop',
+  bike_shop: 'bike shop',
+  viewpoint: 'viewpoint',
+  restroom: 'restroom',
+};
+
 export const ROUTE_EDIT_TOOLS = [
   {
     name: 'apply_route_edit',
@@ -59,8 +72,12 @@ export const ROUTE_EDIT_TOOLS = [
             "set road_preference to 'quiet'.\n" +
             '- shorter / longer: change total distance (set ' +
             'target_distance_km).\n' +
-            '- avoid / detour: route around or through a named place ' +
-            '(set avoid_location).\n' +
+            '- avoid / detour: route around or through a named road, ' +
+            'area or place (set avoid_location, and feature_type when you ' +
+            'know it). The client resolves it to the actual map feature and ' +
+            'excludes it as a hard constraint; it reports back if an avoid ' +
+            'could not be fully honoured. A detour may instead target the ' +
+            'nearest stop of a kind (set poi_category, e.g. a café stop).\n' +
             '- add_waypoint: route through an exact coordinate.\n' +
             '- reverse: ride the same route the other way around.\n' +
             '- restore_previous: undo — go back one version from this ' +
@@ -85,7 +102,26 @@ export const ROUTE_EDIT_TOOLS = [
           type: 'string',
           description:
             'For avoid/detour: free-text location to route around or ' +
-            'through.',
+            'through — use the name as it appears on a map ("Highway 7", ' +
+            '"Central Park", "Main Street").',
+        },
+        feature_type: {
+          type: 'string',
+          enum: FEATURE_TYPES,
+          description:
+            "For avoid/detour: what avoid_location names — 'road' (a " +
+            "street or numbered highway), 'area' (park, forest, " +
+            "downtown), 'place' (a town or village) or 'poi' (a stop " +
+            'such as a café).',
+        },
+        poi_category: {
+          type: 'string',
+          enum: POI_CATEGORIES,
+          description:
+            'For detour to a kind of stop rather than a named place: ' +
+            "the nearest water, food (café, bakery), bike_shop, " +
+            'viewpoint or restroom along the route. avoid_location may ' +
+            'then be omitted.',
         },
         direction: {
           type: 'string',
@@ -346,7 +382,11 @@ export function normalizeRouteEdit(input, routeSnapshot) {
         typeof input.avoid_location === 'string'
           ? input.avoid_location.trim()
           : '';
-      if (!location) {
+      const poiCategory =
+        intent === 'detour' && POI_CATEGORIES.includes(input.poi_category)
+          ? input.poi_category
+          : null;
+      if (!location && !poiCategory) {
         return {
           ok: false,
           reason:
@@ -354,16 +394,21 @@ export function normalizeRouteEdit(input, routeSnapshot) {
             `to ${intent === 'avoid' ? 'avoid' : 'route through'}`,
         };
       }
-      return {
-        ok: true,
-        intent,
-        editIntent: { intent, location },
-        reasoning,
-        summary:
-          intent === 'avoid'
-            ? `Route around "${location}"`
-            : `Detour through "${location}"`,
-      };
+      const editIntent = { intent };
+      if (location) editIntent.location = location;
+      if (FEATURE_TYPES.includes(input.feature_type)) {
+        editIntent.featureType = input.feature_type;
+      }
+      if (poiCategory) {
+        editIntent.featureType = 'poi';
+        editIntent.poiCategory = poiCategory;
+      }
+
+      let summary;
+      if (intent === 'avoid') summary = `Route around "${location}"`;
+      else if (location) summary = `Detour through "${location}"`;
+      else summary = `Detour via the nearest ${POI_SUMMARY_NOUN[poiCategory]}`;
+      return { ok: true, intent, editIntent, reasoning, summary };
     }
 
     default:
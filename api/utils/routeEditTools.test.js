@@ -148,6 +148,34 @@ describe('normalizeRouteEdit — location intents', () => {
     expect(r.editIntent).toEqual({ intent: 'avoid', location: 'Highway 7' });
   });
 
+  it('forwards a valid feature_type and drops unknown ones', () => {
+    const r = normalizeRouteEdit(
+      { intent: 'avoid', avoid_location: 'Central Park', feature_type: 'area', reasoning: 'x' },
+      SNAPSHOT,
+    );
+    expect(r.editIntent).toEqual({ intent: 'avoid', location: 'Central Park', featureType: 'area' });
+    const bogus = normalizeRouteEdit(
+      { intent: 'avoid', avoid_location: 'Central Park', feature_type: 'lake', reasoning: 'x' },
+      SNAPSHOT,
+    );
+    expect(bogus.editIntent.featureType).toBeUndefined();
+  });
+
+  it('accepts a detour to the nearest stop of a POI category', () => {
+    const r = normalizeRouteEdit(
+      { intent: 'detour', poi_category: 'food', reasoning: 'x' },
+      SNAPSHOT,
+    );
+    expect(r.ok).toBe(true);
+    expect(r.editIntent).toEqual({ intent: 'detour', featureType: 'poi', poiCategory: 'food' });
+    expect(r.summary).toBe('Detour via the nearest café / food stop');
+  });
+
+  it('still needs a location to avoid, even with a poi_category', () => {
+    const r = normalizeRouteEdit({ intent: 'avoid', poi_category: 'food', reasoning: 'x' }, SNAPSHOT);
+    expect(r.ok).toBe(false);
+  });
+
   it('rejects avoid/detour without a location so Claude asks', () => {
     for (const intent of ['avoid', 'detour']) {
       const r = normalizeRouteEdit({ intent, reasoning: 'x' }, SNAPSHOT);
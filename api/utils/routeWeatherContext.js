@@ -206,6 +206,42 @@ export async function fetchWeatherAt(lat, lon) {
   }
 }
 
+/**
+ * Fetch the conditions at a point at a past moment (One Call 3.0 "time
+ * machine"). Used to recover ride-time temperature for activities whose
+ * device recorded none. Same no-mock policy as fetchWeatherAt: a missing key
+ * or failed call returns null and the ride simply gets no heat adjustment.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} unixSeconds
+ * @returns {Promise<{temperatureC: number, humidity: number|null}|null>}
+ */
+export async function fetchHistoricalWeatherAt(lat, lon, unixSeconds) {
+  const apiKey = process.env.OPENWEATHER_API_KEY;
+  if (!apiKey) return null;
+  if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lon))) return null;
+  if (!Number.isFinite(Number(unixSeconds))) return null;
+
+  try {
+    const url =
+      `https://api.openweathermap.org/data/3.0/onecall/timemachine` +
+      `?lat=${lat}&lon=${lon}&dt=${Math.round(unixSeconds)}&appid=${apiKey}&units=metric`;
+    const res = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!res.ok) return null;
+    const data = await res.json();
+    const point = data?.data?.[0];
+    if (!point || !Number.isFinite(Number(point.temp))) return null;
+
+    return {
+      temperatureC: Math.round(Number(point.temp) * 10) / 10,
+      humidity: Number.isFinite(Number(point.humidity)) ? Number(point.humidity) : null,
+    };
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Assemble the route-weather descriptor for the coach prompt: current
  * conditions at the start point plus the head/tail/cross-wind breakdown
@@ -234,4 +270,4 @@ export async function getRouteWeather(startLocation, coordinates) {
   }
 }
 
-export default { getRouteWeather, fetchWeatherAt, analyzeRouteWind };
+export default { getRouteWeather, fetchWeatherAt, fetchHistoricalWeatherAt, analyzeRouteWind };
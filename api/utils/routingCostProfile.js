@@ -0,0 +1,197 @@
+/**
+ * Routing cost profile — compiles a rider's road history into costing hints.
+ *
+ * Input is the rider's `user_road_segments` rows (road_type / surface_type
+ * come from the Mapbox Tilequery enrichment in roadSegmentExtractor.js, so
+ * they use mapbox-streets-v8 road classes) plus their
+ * `user_road_preferences` row. Output is a small JSON profile the client
+ * turns into router costing (src/utils/routeCostProfile.js) and scores
+ * generated routes against:
+ *
+ *   - roadClassWeights: how much the rider rides each road group relative to
+ *     a typical cyclist (< 1 = avoids, > 1 = seeks out)
+ *   - favouriteRoads: the named roads they ride most
+ *   - trafficStress: 0 (paths and quiet streets only) … 1 (arterials)
+ *   - gravelWeight: share of their riding on unpaved surfaces
+ *
+ * Pure — no I/O. The `get_cost_profile` action in api/road-segments.js loads
+ * the rows and calls compileRoutingCostProfile.
+ */
+
+export const COST_PROFILE_VERSION = 1;
+
+/**
+ * Road groups, each a set of road classes (mapbox-streets-v8 plus the OSM
+ * highway values we may see from older enrichment).
+ */
+export const ROAD_GROUPS = {
+  busy: ['motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link', 'major_link'],
+  connector: ['secondary', 'secondary_link', 'tertiary', 'tertiary_link', 'minor_link'],
+  local: ['street', 'street_limited', 'residential', 'living_street', 'unclassified', 'service'],
+  path: ['path', 'cycleway', 'pedestrian', 'footway', 'bridleway'],
+  track: ['track'],
+};
+
+// Share of riding a typical road cyclist does on each group. A rider's own
+// share divided by this is the group weight.
+const BASELINE_GROUP_SHARE = {
+  busy: 0.1,
+  connector: 0.3,
+  local: 0.35,
+  path: 0.15,
+  track: 0.1,
+};
+
+// Traffic stress of each group, 0 (car-free) … 1 (arterial).
+const GROUP_STRESS = {
+  busy: 1,
+  connector: 0.6,
+  local: 0.25,
+  path: 0,
+  track: 0.1,
+};
+
+const MIN_WEIGHT = 0.25;
+const MAX_WEIGHT = 1.5;
+const AVOIDED_AT_OR_BELOW = 0.4;
+const FAVOURITE_ROAD_LIMIT = 8;
+// Ride count beyond which extra rides stop adding weight — a daily commute
+// shouldn't drown out everything else.
+const RIDE_COUNT_CAP = 10;
+// Classified km below which the profile is too thin to steer routing.
+const MIN_CLASSIFIED_KM = 20;
+
+const GROUP_OF_CLASS = new Map(
+  Object.entries(ROAD_GROUPS).flatMap(([group, classes]) => classes.map((c) => [c, group])),
+);
+
+/** Road group for a road class, or null when unknown. */
+export function roadGroupOf(roadType) {
+  if (!roadType) return null;
+  return GROUP_OF_CLASS.get(String(roadType).toLowerCase()) ?? null;
+}
+
+function isUnpaved(segment) {
+  const surface = String(segment.surface_type ?? '').toLowerCase();
+  if (surface === 'unpaved' || /gravel|dirt|ground|compacted|grass|sand/.test(surface)) return true;
+  return roadGroupOf(segment.road_type) === 'track' && surface !== 'paved';
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function clamp(n, lo, hi) {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+/**
+ * Weight of one segment: length × ride count (capped), halved once it hasn't
+ * been ridden within the rider's familiarity decay window.
+ */
+function segmentWeight(segment, decayDays, now) {
+  const km = (Number(segment.segment_length_m) || 0) / 1000;
+  const rides = Math.min(Number(segment.ride_count) || 1, RIDE_COUNT_CAP);
+  let weight = km * rides;
+  if (decayDays > 0 && segment.last_ridden_at) {
+    const ageDays = (now - new Date(segment.last_ridden_at).getTime()) / 86_400_000;
+    if (ageDays > decayDays) weight *= 0.5;
+  }
+  return weight;
+}
+
+function confidenceFor(classifiedKm) {
+  if (classifiedKm < MIN_CLASSIFIED_KM) return 'none';
+  if (classifiedKm < 100) return 'low';
+  if (classifiedKm < 500) return 'medium';
+  return 'high';
+}
+
+/**
+ * Compile a cost profile from a rider's segments and preference row.
+ *
+ * @param {Array<Object>} segments - user_road_segments rows (segment_length_m,
+ *   ride_count, last_ridden_at, road_name, road_type, surface_type)
+ * @param {Object|null} preferences - user_road_preferences row
+ * @param {{ now?: number }} [opts]
+ * @returns {Object} profile; `confidence: 'none'` means too little classified
+ *   history to steer routing (callers should leave costing alone)
+ */
+export function compileRoutingCostProfile(segments, preferences = null, { now = Date.now() } = {}) {
+  const decayDays = Number(preferences?.familiarity_decay_days ?? 180);
+  const minRides = Number(preferences?.min_rides_for_familiar ?? 2);
+
+  const groupWeight = Object.fromEntries(Object.keys(ROAD_GROUPS).map((g) => [g, 0]));
+  let classifiedWeight = 0;
+  let classifiedKm = 0;
+  let totalKm = 0;
+  let surfaceWeight = 0;
+  let unpavedWeight = 0;
+  const roads = new Map(); // name → { km, rideCount }
+
+  for (const segment of segments ?? []) {
+    const km = (Number(segment.segment_length_m) || 0) / 1000;
+    if (km <= 0) continue;
+    totalKm += km;
+    const weight = segmentWeight(segment, decayDays, now);
+
+    const group = roadGroupOf(segment.road_type);
+    if (group) {
+      groupWeight[group] += weight;
+      classifiedWeight += weight;
+      classifiedKm += km;
+    }
+    if (segment.surface_type || group === 'track') {
+      surfaceWeight += weight;
+      if (isUnpaved(segment)) unpavedWeight += weight;
+    }
+
+    const rides = Number(segment.ride_count) || 0;
+    if (segment.road_name && rides >= minRides) {
+      const road = roads.get(segment.road_name) ?? { km: 0, rideCount: 0, weight: 0 };
+      road.km += km;
+      road.rideCount = Math.max(road.rideCount, rides);
+      road.weight += weight;
+      roads.set(segment.road_name, road);
+    }
+  }
+
+  const roadClassWeights = {};
+  const avoidedRoadGroups = [];
+  const preferredRoadGroups = [];
+  let trafficStress = null;
+  if (classifiedWeight > 0) {
+    let stress = 0;
+    for (const group of Object.keys(ROAD_GROUPS)) {
+      const share = groupWeight[group] / classifiedWeight;
+      const weight = round2(clamp(share / BASELINE_GROUP_SHARE[group], MIN_WEIGHT, MAX_WEIGHT));
+      roadClassWeights[group] = weight;
+      if (weight <= AVOIDED_AT_OR_BELOW) avoidedRoadGroups.push(group);
+      if (weight >= 1.3) preferredRoadGroups.push(group);
+      stress += share * GROUP_STRESS[group];
+    }
+    trafficStress = round2(stress);
+  }
+
+  const favouriteRoads = [...roads.entries()]
+    .sort((a, b) => b[1].weight - a[1].weight)
+    .slice(0, FAVOURITE_ROAD_LIMIT)
+    .map(([name, road]) => ({ name, km: round2(road.km), rideCount: road.rideCount }));
+
+  return {
+    version: COST_PROFILE_VERSION,
+    confidence: confidenceFor(classifiedKm),
+    totalKm: round2(totalKm),
+    classifiedKm: round2(classifiedKm),
+    roadClassWeights,
+    avoidedRoadGroups,
+    preferredRoadGroups,
+    favouriteRoads,
+    trafficStress,
+    trafficTolerance:
+      trafficStress === null ? null : trafficStress < 0.25 ? 'low' : trafficStress < 0.45 ? 'medium' : 'high',
+    gravelWeight: surfaceWeight > 0 ? round2(unpavedWeight / surfaceWeight) : null,
+    familiarityStrength: clamp(Number(preferences?.familiarity_strength ?? 50), 0, 100) / 100,
+    exploreMode: Boolean(preferences?.explore_mode),
+  };
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { compileRoutingCostProfile, roadGroupOf } from './routingCostProfile.js';
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+const RECENT = '2026-05-20T00:00:00Z';
+
+function seg(road_type, km, extra = {}) {
+  return {
+    segment_length_m: km * 1000,
+    ride_count: 1,
+    last_ridden_at: RECENT,
+    road_name: null,
+    road_type,
+    surface_type: 'paved',
+    ...extra,
+  };
+}
+
+describe('roadGroupOf', () => {
+  it('maps mapbox-streets and OSM classes to road groups', () => {
+    expect(roadGroupOf('primary')).toBe('busy');
+    expect(roadGroupOf('street')).toBe('local');
+    expect(roadGroupOf('Cycleway')).toBe('path');
+    expect(roadGroupOf('ferry')).toBeNull();
+    expect(roadGroupOf(null)).toBeNull();
+  });
+});
+
+describe('compileRoutingCostProfile', () => {
+  it('weights road groups against a typical rider and flags avoided ones', () => {
+    // 70% local, 30% path, no busy roads at all.
+    const profile = compileRoutingCostProfile(
+      [seg('street', 70), seg('cycleway', 30)],
+      null,
+      { now: NOW },
+    );
+    expect(profile.confidence).toBe('medium');
+    expect(profile.roadClassWeights.busy).toBe(0.25);
+    expect(profile.roadClassWeights.local).toBe(1.5);
+    expect(profile.avoidedRoadGroups).toEqual(['busy', 'connector', 'track']);
+    expect(profile.preferredRoadGroups).toEqual(['local', 'path']);
+    // 0.7 × 0.25 + 0.3 × 0
+    expect(profile.trafficStress).toBe(0.18);
+    expect(profile.trafficTolerance).toBe('low');
+    expect(profile.gravelWeight).toBe(0);
+  });
+
+  it('counts repeat rides (capped) and halves stale segments', () => {
+    const profile = compileRoutingCostProfile(
+      [
+        seg('primary', 10, { ride_count: 50 }), // capped at 10 → 100
+        seg('street', 100, { last_ridden_at: '2024-01-01T00:00:00Z' }), // stale → 50
+        seg('track', 50, { surface_type: 'unpaved' }),
+      ],
+      { familiarity_decay_days: 180 },
+      { now: NOW },
+    );
+    // Weights: busy 100, local 50, track 50 of 200.
+    expect(profile.roadClassWeights.busy).toBe(1.5);
+    expect(profile.trafficTolerance).toBe('high');
+    expect(profile.gravelWeight).toBe(0.25);
+  });
+
+  it('lists favourite named roads ridden at least the familiar minimum', () => {
+    const profile = compileRoutingCostProfile(
+      [
+        seg('street', 5, { road_name: 'Lee Hill Drive', ride_count: 12 }),
+        seg('street', 3, { road_name: 'Lee Hill Drive', ride_count: 8 }),
+        seg('secondary', 10, { road_name: 'Nelson Road', ride_count: 3 }),
+        seg('street', 20, { road_name: 'Once Lane', ride_count: 1 }),
+      ],
+      { min_rides_for_familiar: 2 },
+      { now: NOW },
+    );
+    expect(profile.favouriteRoads).toEqual([
+      { name: 'Lee Hill Drive', km: 8, rideCount: 12 },
+      { name: 'Nelson Road', km: 10, rideCount: 3 },
+    ]);
+  });
+
+  it('reports no confidence without enough classified history', () => {
+    const profile = compileRoutingCostProfile([seg(null, 200), seg('street', 5)], null, { now: NOW });
+    expect(profile.confidence).toBe('none');
+    expect(profile.totalKm).toBe(205);
+    expect(profile.classifiedKm).toBe(5);
+    expect(compileRoutingCostProfile([], null).trafficStress).toBeNull();
+  });
+
+  it('carries the familiarity slider and explore mode through', () => {
+    const profile = compileRoutingCostProfile([], { familiarity_strength: 80, explore_mode: true });
+    expect(profile.familiarityStrength).toBe(0.8);
+    expect(profile.exploreMode).toBe(true);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Café segment leaderboards — picking the segment of the week and ranking
+ * efforts on it.
+ *
+ * Training segments belong to one rider, so "the same segment" across a café
+ * is decided by geometry: same direction, both endpoints within
+ * SHARED_ENDPOINT_TOLERANCE_M and lengths within SHARED_DISTANCE_TOLERANCE.
+ *
+ * Privacy: a segment that starts or ends within HOME_RADIUS_M of any
+ * opted-in member's home is never picked — posting it would point the whole
+ * café at someone's front door. Homes are estimated from where rides
+ * repeatedly start and finish (estimateHomeLocations).
+ *
+ * Pure — no I/O. api/cafe-segments.js loads the rows.
+ */
+
+import { haversineDistance } from './polylineDecode.js';
+
+export const SHARED_ENDPOINT_TOLERANCE_M = 75;
+export const SHARED_DISTANCE_TOLERANCE = 0.1;
+export const HOME_RADIUS_M = 500;
+
+export const BIKE_TYPES = ['road', 'gravel', 'mtb', 'tt', 'ebike'];
+
+export const AGE_BANDS = [
+  { id: 'u30', label: 'Under 30', max: 29 },
+  { id: '30_39', label: '30–39', max: 39 },
+  { id: '40_49', label: '40–49', max: 49 },
+  { id: '50_59', label: '50–59', max: 59 },
+  { id: '60_plus', label: '60+', max: Infinity },
+];
+
+// Segments outside this length range make poor weekly challenges: too short
+// is a sprint to a lamp post, too long is a ride rather than a segment.
+const MIN_CHALLENGE_M = 500;
+const MAX_CHALLENGE_M = 20000;
+const IDEAL_CHALLENGE_M = 4000;
+
+function metersBetween(lat1, lng1, lat2, lng2) {
+  return haversineDistance(Number(lat1), Number(lng1), Number(lat2), Number(lng2)) * 1000;
+}
+
+/** Monday (UTC) of the week containing `date`, as YYYY-MM-DD. */
+export function weekStartOf(date = new Date()) {
+  const d = new Date(date);
+  const back = (d.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - back))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Age band for a date of birth, or null when unknown.
+ *
+ * @param {string|null} dateOfBirth - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {string|null} one of AGE_BANDS[].id
+ */
+export function ageBandOf(dateOfBirth, now = new Date()) {
+  if (!dateOfBirth) return null;
+  const dob = new Date(`${String(dateOfBirth).slice(0, 10)}T00:00:00Z`);
+  if (Number.isNaN(dob.getTime())) return null;
+  let age = now.getUTCFullYear() - dob.getUTCFullYear();
+  const beforeBirthday =
+    now.getUTCMonth() < dob.getUTCMonth() ||
+    (now.getUTCMonth() === dob.getUTCMonth() && now.getUTCDate() < dob.getUTCDate());
+  if (beforeBirthday) age -= 1;
+  if (age < 0) return null;
+  return AGE_BANDS.find((band) => age <= band.max).id;
+}
+
+/**
+ * Places a rider repeatedly starts or finishes rides — home, work.
+ *
+ * Greedy clustering: each point joins the first cluster centre within
+ * `radiusM`, otherwise starts a new one.
+ *
+ * @param {Array<[number, number]>} points - [lat, lng] ride starts and ends
+ * @param {{ radiusM?: number, minVisits?: number, limit?: number }} [opts]
+ * @returns {Array<{ lat: number, lng: number, visits: number }>} most visited first
+ */
+export function estimateHomeLocations(points, { radiusM = 300, minVisits = 3, limit = 3 } = {}) {
+  const clusters = [];
+  for (const [lat, lng] of points ?? []) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    const cluster = clusters.find((c) => metersBetween(c.lat, c.lng, lat, lng) <= radiusM);
+    if (cluster) {
+      cluster.visits += 1;
+    } else {
+      clusters.push({ lat, lng, visits: 1 });
+    }
+  }
+  return clusters
+    .filter((c) => c.visits >= minVisits)
+    .sort((a, b) => b.visits - a.visits)
+    .slice(0, limit);
+}
+
+/**
+ * True when the segment starts or ends within `radiusM` of any of `places`.
+ * A place may carry its own larger `radiusM` (a privacy zone).
+ */
+export function segmentTouchesPlaces(segment, places, radiusM = HOME_RADIUS_M) {
+  return (places ?? []).some((p) => {
+    const r = Math.max(radiusM, Number(p.radiusM) || 0);
+    return (
+      metersBetween(segment.start_lat, segment.start_lng, p.lat, p.lng) <= r ||
+      metersBetween(segment.end_lat, segment.end_lng, p.lat, p.lng) <= r
+    );
+  });
+}
+
+/** True when two segments are the same stretch of road in the same direction. */
+export function isSameSegment(a, b) {
+  const da = Number(a.distance_meters);
+  const db = Number(b.distance_meters);
+  if (!(da > 0) || !(db > 0)) return false;
+  if (Math.abs(da - db) / Math.max(da, db) > SHARED_DISTANCE_TOLERANCE) return false;
+  return (
+    metersBetween(a.start_lat, a.start_lng, b.start_lat, b.start_lng) <= SHARED_ENDPOINT_TOLERANCE_M &&
+    metersBetween(a.end_lat, a.end_lng, b.end_lat, b.end_lng) <= SHARED_ENDPOINT_TOLERANCE_M
+  );
+}
+
+/**
+ * Pick the segment of the week from opted-in members' training segments.
+ *
+ * Candidates are every member's segment; each is scored by how many members
+ * have ridden the same segment. Segments near any member's home or inside
+ * any member's privacy zone, and ones used by a recent challenge, are
+ * skipped.
+ *
+ * @param {Array<Object>} segments - training_segments rows (id, user_id,
+ *   start/end lat/lng, distance_meters, ride_count, display_name)
+ * @param {Object} [opts]
+ * @param {Array<{lat, lng}>} [opts.homes] - every member's estimated homes
+ * @param {Array<Object>} [opts.zones] - every member's privacy_zones rows
+ *   (center_lat, center_lng, radius_m)
+ * @param {Array<Object>} [opts.recent] - recent challenges (same endpoint fields)
+ * @param {number} [opts.minRiders] - members who must share the segment
+ * @returns {{ segment: Object, riders: number }|null}
+ */
+export function pickSegmentOfTheWeek(segments, { homes = [], zones = [], recent = [], minRiders = 2 } = {}) {
+  const places = [
+    ...homes,
+    ...zones.map((z) => ({ lat: Number(z.center_lat), lng: Number(z.center_lng), radiusM: Number(z.radius_m) })),
+  ];
+  const eligible = (segments ?? []).filter((s) => {
+    const d = Number(s.distance_meters);
+    return (
+      d >= MIN_CHALLENGE_M &&
+      d <= MAX_CHALLENGE_M &&
+      !segmentTouchesPlaces(s, places) &&
+      !recent.some((r) => isSameSegment(s, r))
+    );
+  });
+
+  let best = null;
+  for (const candidate of eligible) {
+    const riders = new Set();
+    let rides = 0;
+    for (const other of eligible) {
+      if (other === candidate || isSameSegment(candidate, other)) {
+        riders.add(other.user_id);
+        rides += Number(other.ride_count) || 0;
+      }
+    }
+    if (riders.size < minRiders) continue;
+    const score = [riders.size, rides, -Math.abs(Number(candidate.distance_meters) - IDEAL_CHALLENGE_M)];
+    if (!best || compareScores(score, best.score) > 0) {
+      best = { segment: candidate, riders: riders.size, score };
+    }
+  }
+  return best ? { segment: best.segment, riders: best.riders } : null;
+}
+
+function compareScores(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Rank a week's efforts on a challenge segment.
+ *
+ * Each member's best (fastest) effort counts. Entries carry three ranks:
+ * overall by time, by W/kg (members with power and weight only), and within
+ * their age band + bike type category. Weight and date of birth never leave
+ * this function — only the derived W/kg and band do.
+ *
+ * @param {Array<Object>} efforts - { user_id, duration_seconds, avg_power, ridden_at }
+ * @param {Map<string, Object>} members - user_id → { name, weight_kg, date_of_birth, bike_type }
+ * @param {{ now?: Date }} [opts]
+ * @returns {Array<Object>} entries sorted fastest first
+ */
+export function buildLeaderboard(efforts, members, { now = new Date() } = {}) {
+  const best = new Map();
+  for (const effort of efforts ?? []) {
+    const duration = Number(effort.duration_seconds);
+    if (!(duration > 0) || !members.has(effort.user_id)) continue;
+    const current = best.get(effort.user_id);
+    if (!current || duration < current.duration_seconds) {
+      best.set(effort.user_id, { ...effort, duration_seconds: duration });
+    }
+  }
+
+  const entries = [...best.values()].map((effort) => {
+    const member = members.get(effort.user_id);
+    const power = Number(effort.avg_power) || null;
+    const weight = Number(member.weight_kg) || null;
+    return {
+      user_id: effort.user_id,
+      name: member.name || 'Rider',
+      duration_seconds: effort.duration_seconds,
+      ridden_at: effort.ridden_at,
+      avg_power: power ? Math.round(power) : null,
+      wkg: power && weight ? Math.round((power / weight) * 100) / 100 : null,
+      age_band: ageBandOf(member.date_of_birth, now),
+      bike_type: member.bike_type || 'road',
+    };
+  });
+
+  entries.sort((a, b) => a.duration_seconds - b.duration_seconds);
+  entries.forEach((entry, i) => {
+    entry.rank = i + 1;
+  });
+
+  const byWkg = entries.filter((e) => e.wkg !== null).sort((a, b) => b.wkg - a.wkg);
+  for (const entry of entries) entry.wkg_rank = null;
+  byWkg.forEach((entry, i) => {
+    entry.wkg_rank = i + 1;
+  });
+
+  const categoryCounts = new Map();
+  for (const entry of entries) {
+    const key = `${entry.age_band ?? 'unknown'}|${entry.bike_type}`;
+    const next = (categoryCounts.get(key) ?? 0) + 1;
+    categoryCounts.set(key, next);
+    entry.category_rank = next;
+  }
+
+  return entries;
+}
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ageBandOf,
+  buildLeaderboard,
+  estimateHomeLocations,
+  isSameSegment,
+  pickSegmentOfTheWeek,
+  segmentTouchesPlaces,
+  weekStartOf,
+} from './segmentLeaderboard.js';
+
+// ~0.0009° latitude ≈ 100 m.
+function segment(id, user_id, { lat = 40.0, lng = -105.2, dLat = 0.03, distance = 3400, rides = 3 } = {}) {
+  return {
+    id,
+    user_id,
+    display_name: `Seg ${id}`,
+    start_lat: lat,
+    start_lng: lng,
+    end_lat: lat + dLat,
+    end_lng: lng,
+    distance_meters: distance,
+    ride_count: rides,
+  };
+}
+
+describe('weekStartOf', () => {
+  it('returns the UTC Monday', () => {
+    expect(weekStartOf(new Date('2026-10-18T12:00:00Z'))).toBe('2026-10-12'); // Sunday
+    expect(weekStartOf(new Date('2026-10-12T00:00:00Z'))).toBe('2026-10-12');
+  });
+});
+
+describe('ageBandOf', () => {
+  const now = new Date('2026-06-15T00:00:00Z');
+  it('bands by age on the day', () => {
+    expect(ageBandOf('1997-06-16', now)).toBe('u30'); // 28, birthday tomorrow
+    expect(ageBandOf('1986-06-15', now)).toBe('40_49');
+    expect(ageBandOf('1950-01-01', now)).toBe('60_plus');
+    expect(ageBandOf(null, now)).toBeNull();
+  });
+});
+
+describe('estimateHomeLocations', () => {
+  it('keeps places visited repeatedly', () => {
+    const home = [40.0, -105.2];
+    const points = [home, [40.0004, -105.2002], [39.9997, -105.1999], [40.2, -105.5], [40.2, -105.5]];
+    const homes = estimateHomeLocations(points);
+    expect(homes).toHaveLength(1);
+    expect(homes[0]).toMatchObject({ lat: 40.0, lng: -105.2, visits: 3 });
+  });
+});
+
+describe('isSameSegment / segmentTouchesPlaces', () => {
+  it('matches nearby endpoints in the same direction only', () => {
+    const a = segment('a', 'u1');
+    expect(isSameSegment(a, segment('b', 'u2', { lat: 40.0003, distance: 3300 }))).toBe(true);
+    expect(isSameSegment(a, segment('c', 'u2', { distance: 4500 }))).toBe(false);
+    const reversed = { ...a, start_lat: a.end_lat, end_lat: a.start_lat };
+    expect(isSameSegment(a, reversed)).toBe(false);
+  });
+
+  it('flags segments that start or end near a place', () => {
+    const s = segment('a', 'u1');
+    expect(segmentTouchesPlaces(s, [{ lat: 40.03, lng: -105.2 }])).toBe(true);
+    expect(segmentTouchesPlaces(s, [{ lat: 40.015, lng: -105.2 }])).toBe(false);
+    // A place's own larger radius (privacy zone) wins over the default
+    expect(segmentTouchesPlaces(s, [{ lat: 40.015, lng: -105.2, radiusM: 1800 }])).toBe(true);
+  });
+});
+
+describe('pickSegmentOfTheWeek', () => {
+  const shared = [segment('a', 'u1'), segment('b', 'u2', { lat: 40.0002 }), segment('c', 'u3', { lat: 39.9998 })];
+  const other = [segment('d', 'u1', { lat: 40.5 }), segment('e', 'u2', { lat: 40.5 })];
+
+  it('prefers the segment most members share', () => {
+    const pick = pickSegmentOfTheWeek([...other, ...shared]);
+    expect(['a', 'b', 'c']).toContain(pick.segment.id);
+    expect(pick.riders).toBe(3);
+  });
+
+  it('never picks a segment that starts or ends near a member home', () => {
+    const pick = pickSegmentOfTheWeek([...other, ...shared], { homes: [{ lat: 40.0, lng: -105.2 }] });
+    expect(pick.segment.id).toMatch(/[de]/);
+  });
+
+  it('skips segments that start or end inside a member privacy zone', () => {
+    const zones = [{ center_lat: 40.036, center_lng: -105.2, radius_m: 1000 }];
+    const pick = pickSegmentOfTheWeek([...other, ...shared], { zones });
+    expect(pick.segment.id).toMatch(/[de]/);
+  });
+
+  it('skips recent challenges and needs enough riders', () => {
+    const pick = pickSegmentOfTheWeek([...other, ...shared], { recent: [shared[0]] });
+    expect(pick.riders).toBe(2);
+    expect(pickSegmentOfTheWeek([segment('x', 'u1')])).toBeNull();
+  });
+});
+
+describe('buildLeaderboard', () => {
+  const now = new Date('2026-06-15T00:00:00Z');
+  const members = new Map([
+    ['u1', { name: 'Ana', weight_kg: 60, date_of_birth: '1990-01-01', bike_type: 'road' }],
+    ['u2', { name: 'Ben', weight_kg: 80, date_of_birth: '1992-01-01', bike_type: 'road' }],
+    ['u3', { name: 'Cy', weight_kg: null, date_of_birth: null, bike_type: 'gravel' }],
+  ]);
+
+  it('ranks best efforts by time, W/kg and category', () => {
+    const board = buildLeaderboard(
+      [
+        { user_id: 'u1', duration_seconds: 620, avg_power: 240 },
+        { user_id: 'u1', duration_seconds: 600, avg_power: 250 },
+        { user_id: 'u2', duration_seconds: 580, avg_power: 300 },
+        { user_id: 'u3', duration_seconds: 700, avg_power: 200 },
+        { user_id: 'stranger', duration_seconds: 100, avg_power: 500 },
+      ],
+      members,
+      { now },
+    );
+
+    expect(board.map((e) => e.name)).toEqual(['Ben', 'Ana', 'Cy']);
+    expect(board[1]).toMatchObject({ rank: 2, duration_seconds: 600, wkg: 4.17, wkg_rank: 1, age_band: '30_39' });
+    expect(board[0]).toMatchObject({ wkg: 3.75, wkg_rank: 2, category_rank: 1 });
+    expect(board[1].category_rank).toBe(2);
+    expect(board[2]).toMatchObject({ wkg: null, wkg_rank: null, category_rank: 1, bike_type: 'gravel' });
+    expect(board[0]).not.toHaveProperty('weight_kg');
+  });
+});
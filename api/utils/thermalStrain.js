@@ -0,0 +1,176 @@
+/**
+ * Thermal strain — heat and altitude load factor for a ride.
+ *
+ * Mirrors src/lib/metrics/thermal.ts exactly (inline to avoid TS imports in
+ * serverless, same as metricsComputation.js). The factor is stored on the
+ * activity (activities.thermal_factor) and applied by estimateTSSWithSource,
+ * so training_load_daily, deviation analysis and fitness snapshots all see
+ * a hot-day ride as the harder session it was.
+ */
+
+const HEAT_ONSET_C = 21;
+const HEAT_FULL_C = 35;
+const HEAT_MAX = 0.15;
+const DRIFT_REFERENCE_PCT = 5;
+const DRIFT_WEIGHT_MIN = 0.5;
+const DRIFT_WEIGHT_MAX = 1.5;
+const GAMMA = 0.05;
+const ALTITUDE_MAX = 0.15;
+const HEAT_INDEX_MIN_F = 80;
+
+// FIT temperature sensors report whole degrees; ignore obviously bad samples.
+const MIN_VALID_TEMP_C = -40;
+const MAX_VALID_TEMP_C = 60;
+const MIN_TEMP_SAMPLES = 60;
+
+const INDOOR_TYPES = new Set(['VirtualRide', 'IndoorCycling']);
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
+
+/** Apparent temperature (NWS heat index when humidity is known and warm). */
+export function apparentTemperatureC(temperatureC, humidityPct) {
+  if (humidityPct == null || !Number.isFinite(humidityPct)) return temperatureC;
+  const t = temperatureC * 9 / 5 + 32;
+  if (t < HEAT_INDEX_MIN_F) return temperatureC;
+  const rh = clamp(humidityPct, 0, 100);
+  const hiF = -42.379
+    + 2.04901523 * t
+    + 10.14333127 * rh
+    - 0.22475541 * t * rh
+    - 0.00683783 * t * t
+    - 0.05481717 * rh * rh
+    + 0.00122874 * t * t * rh
+    + 0.00085282 * t * rh * rh
+    - 0.00000199 * t * t * rh * rh;
+  return Math.round(((hiF - 32) * 5 / 9) * 10) / 10;
+}
+
+export function thermalCategory(apparentC) {
+  if (apparentC == null || apparentC < HEAT_ONSET_C) return 'neutral';
+  if (apparentC < 27) return 'warm';
+  if (apparentC < 32) return 'hot';
+  return 'extreme';
+}
+
+/**
+ * @param {{ temperatureC: number|null, humidityPct?: number|null,
+ *           hrDriftPct?: number|null, meanElevationM?: number|null }} inputs
+ */
+export function computeThermalStrain({ temperatureC, humidityPct, hrDriftPct, meanElevationM }) {
+  const apparent = temperatureC != null && Number.isFinite(temperatureC)
+    ? apparentTemperatureC(temperatureC, humidityPct)
+    : null;
+
+  const driftWeight = hrDriftPct != null && Number.isFinite(hrDriftPct)
+    ? clamp(hrDriftPct / DRIFT_REFERENCE_PCT, DRIFT_WEIGHT_MIN, DRIFT_WEIGHT_MAX)
+    : 1;
+
+  const heatFraction = apparent != null
+    ? clamp((apparent - HEAT_ONSET_C) / (HEAT_FULL_C - HEAT_ONSET_C), 0, 1)
+    : 0;
+  const heatComponent = round3(HEAT_MAX * heatFraction * driftWeight);
+
+  const altTerm = Math.max(0, ((meanElevationM ?? 0) - 1000) / 1000);
+  const altitudeComponent = round3(Math.min(ALTITUDE_MAX, GAMMA * altTerm));
+
+  const factor = round3(1 + heatComponent + altitudeComponent);
+
+  return {
+    factor,
+    apparentTemperatureC: apparent,
+    heatComponent,
+    altitudeComponent,
+    driftWeight: round3(driftWeight),
+    category: thermalCategory(apparent),
+    overagePercent: Math.round((factor - 1) * 100),
+  };
+}
+
+/**
+ * Summarize a FIT temperature series into the block stored at
+ * ride_analytics.temperature. Returns null for short or sensorless rides.
+ *
+ * @param {Array<number|null>} temperatures - Per-record °C
+ * @returns {{ mean_c: number, max_c: number, min_c: number, samples: number }|null}
+ */
+export function summarizeRideTemperature(temperatures) {
+  if (!Array.isArray(temperatures)) return null;
+  const valid = temperatures.filter(
+    (t) => typeof t === 'number' && t > MIN_VALID_TEMP_C && t < MAX_VALID_TEMP_C,
+  );
+  if (valid.length < MIN_TEMP_SAMPLES) return null;
+  const mean = valid.reduce((a, b) => a + b, 0) / valid.length;
+  return {
+    mean_c: Math.round(mean * 10) / 10,
+    max_c: Math.max(...valid),
+    min_c: Math.min(...valid),
+    samples: valid.length,
+  };
+}
+
+/**
+ * Resolve the ride-time conditions for an activity row and compute its
+ * thermal strain. Prefers the device's own temperature record; falls back
+ * to a historical weather lookup at the ride's start point and midpoint
+ * time for outdoor rides. Returns null when neither heat nor altitude data
+ * is available (the factor then stays NULL and reads as 1).
+ *
+ * @param {object} activity - activities row
+ * @param {object} opts
+ * @param {number|null} [opts.meanElevationM] - From the elevation stream, if any
+ * @param {(lat: number, lon: number, unixSeconds: number) => Promise<{temperatureC: number, humidity: number|null}|null>} [opts.fetchWeather]
+ * @param {(encoded: string) => Array<[number, number]>} [opts.decodePolyline]
+ * @returns {Promise<object|null>} thermal_strain JSON (with `source`)
+ */
+export async function resolveActivityThermalStrain(activity, opts = {}) {
+  const { meanElevationM = null, fetchWeather, decodePolyline } = opts;
+
+  let temperatureC = null;
+  let humidityPct = null;
+  let source = null;
+
+  const deviceTemp = activity.ride_analytics?.temperature?.mean_c;
+  if (Number.isFinite(deviceTemp)) {
+    temperatureC = deviceTemp;
+    source = 'device';
+  } else if (
+    fetchWeather &&
+    decodePolyline &&
+    !activity.trainer &&
+    !INDOOR_TYPES.has(activity.sport_type) &&
+    !INDOOR_TYPES.has(activity.type) &&
+    activity.map_summary_polyline &&
+    activity.start_date
+  ) {
+    const [start] = decodePolyline(activity.map_summary_polyline);
+    if (start) {
+      const midpoint = Date.parse(activity.start_date) / 1000 + (activity.moving_time || 0) / 2;
+      const weather = await fetchWeather(start[0], start[1], Math.round(midpoint));
+      if (weather && Number.isFinite(weather.temperatureC)) {
+        temperatureC = weather.temperatureC;
+        humidityPct = weather.humidity ?? null;
+        source = 'weather';
+      }
+    }
+  }
+
+  if (temperatureC == null && !(meanElevationM > 1000)) return null;
+
+  const hrDriftPct = activity.ride_analytics?.fatigue_resistance?.cardiac_drift?.drift_percent ?? null;
+  const strain = computeThermalStrain({ temperatureC, humidityPct, hrDriftPct, meanElevationM });
+
+  return {
+    factor: strain.factor,
+    temperature_c: temperatureC,
+    humidity_pct: humidityPct,
+    apparent_temperature_c: strain.apparentTemperatureC,
+    hr_drift_pct: hrDriftPct,
+    mean_elevation_m: meanElevationM != null ? Math.round(meanElevationM) : null,
+    heat_component: strain.heatComponent,
+    altitude_component: strain.altitudeComponent,
+    drift_weight: strain.driftWeight,
+    category: strain.category,
+    source: source ?? 'elevation',
+  };
+}
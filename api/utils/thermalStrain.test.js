@@ -0,0 +1,95 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  computeThermalStrain,
+  summarizeRideTemperature,
+  resolveActivityThermalStrain,
+} from './thermalStrain.js';
+
+describe('computeThermalStrain (mirror of src/lib/metrics/thermal.ts)', () => {
+  it('matches the TS reference values', () => {
+    expect(computeThermalStrain({ temperatureC: 15, meanElevationM: 200 }).factor).toBe(1);
+    expect(computeThermalStrain({ temperatureC: 28 }).factor).toBeCloseTo(1.075, 3);
+    expect(computeThermalStrain({ temperatureC: 28, meanElevationM: 2000 }).factor).toBeCloseTo(1.125, 3);
+    expect(computeThermalStrain({ temperatureC: 28, hrDriftPct: 10 }).driftWeight).toBe(1.5);
+  });
+});
+
+describe('summarizeRideTemperature', () => {
+  it('returns null for short or sensorless series', () => {
+    expect(summarizeRideTemperature(null)).toBeNull();
+    expect(summarizeRideTemperature(new Array(30).fill(25))).toBeNull();
+    expect(summarizeRideTemperature(new Array(200).fill(null))).toBeNull();
+  });
+
+  it('summarizes valid samples and drops sentinels', () => {
+    const temps = [...new Array(100).fill(24), ...new Array(100).fill(30), 127, null];
+    expect(summarizeRideTemperature(temps)).toEqual({ mean_c: 27, max_c: 30, min_c: 24, samples: 200 });
+  });
+});
+
+describe('resolveActivityThermalStrain', () => {
+  const outdoorRide = {
+    type: 'Ride',
+    sport_type: 'Ride',
+    trainer: false,
+    start_date: '2026-07-08T14:00:00Z',
+    moving_time: 7200,
+    map_summary_polyline: 'encoded',
+  };
+  const decodePolyline = () => [[39.7, -105.2], [39.8, -105.3]];
+
+  it('prefers the device temperature and never calls the weather lookup', async () => {
+    const fetchWeather = vi.fn();
+    const result = await resolveActivityThermalStrain(
+      {
+        ...outdoorRide,
+        ride_analytics: {
+          temperature: { mean_c: 30 },
+          fatigue_resistance: { cardiac_drift: { drift_percent: 8 } },
+        },
+      },
+      { fetchWeather, decodePolyline },
+    );
+    expect(fetchWeather).not.toHaveBeenCalled();
+    expect(result.source).toBe('device');
+    expect(result.hr_drift_pct).toBe(8);
+    expect(result.drift_weight).toBe(1.5);
+    expect(result.factor).toBeGreaterThan(1.1);
+  });
+
+  it('falls back to historical weather at the start point and ride midpoint', async () => {
+    const fetchWeather = vi.fn().mockResolvedValue({ temperatureC: 33, humidity: 50 });
+    const result = await resolveActivityThermalStrain(outdoorRide, { fetchWeather, decodePolyline });
+    const midpoint = Date.parse(outdoorRide.start_date) / 1000 + 3600;
+    expect(fetchWeather).toHaveBeenCalledWith(39.7, -105.2, midpoint);
+    expect(result.source).toBe('weather');
+    expect(result.humidity_pct).toBe(50);
+    expect(result.apparent_temperature_c).toBeGreaterThan(33);
+    expect(result.category).toBe('extreme');
+  });
+
+  it('does not look up outdoor weather for indoor rides', async () => {
+    const fetchWeather = vi.fn();
+    const result = await resolveActivityThermalStrain(
+      { ...outdoorRide, trainer: true },
+      { fetchWeather, decodePolyline },
+    );
+    expect(fetchWeather).not.toHaveBeenCalled();
+    expect(result).toBeNull();
+  });
+
+  it('still reports altitude strain without any temperature', async () => {
+    const result = await resolveActivityThermalStrain(
+      { ...outdoorRide, map_summary_polyline: null },
+      { meanElevationM: 2500, fetchWeather: vi.fn(), decodePolyline },
+    );
+    expect(result.source).toBe('elevation');
+    expect(result.altitude_component).toBeCloseTo(0.075, 3);
+    expect(result.factor).toBeCloseTo(1.075, 3);
+  });
+
+  it('returns null when the lookup fails and the ride is low', async () => {
+    const fetchWeather = vi.fn().mockResolvedValue(null);
+    expect(await resolveActivityThermalStrain(outdoorRide, { fetchWeather, decodePolyline })).toBeNull();
+  });
+});
@@ -12,6 +12,7 @@
 
 import { getSupabaseAdmin } from './supabaseAdmin.js';
 import { routePassesNear } from './polylineDecode.js';
+import { loadIntensityDistribution } from './intensityDistribution.js';
 
 const MAPBOX_ACCESS_TOKEN = process.env.MAPBOX_ACCESS_TOKEN || process.env.VITE_MAPBOX_ACCESS_TOKEN;
 
@@ -130,6 +131,10 @@ export async function handleTrainingDataQuery(userId, params) {
     const dateFrom = resolveDate(filters.date_from);
     const dateTo = resolveDate(filters.date_to);
 
+    if (aggregation === 'intensity_distribution') {
+      return await handleIntensityDistribution(supabase, userId, dateFrom, dateTo);
+    }
+
     // Geocode location if needed
     let geoLocation = null;
     if (filters.near_location?.place_name) {
@@ -285,6 +290,72 @@ export async function handleTrainingDataQuery(userId, params) {
   }
 }
 
+/**
+ * Three-zone intensity distribution per week and for the active block, with
+ * drift against the block's prescriptions. Defaults to the last 8 weeks.
+ */
+async function handleIntensityDistribution(supabase, userId, dateFrom, dateTo) {
+  const to = dateTo || new Date().toISOString().split('T')[0];
+  let from = dateFrom;
+  if (!from) {
+    const d = new Date(`${to}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - 55);
+    from = d.toISOString().split('T')[0];
+  }
+
+  const analysis = await loadIntensityDistribution(supabase, userId, from, to);
+  const pct = (f) => `${Math.round(f * 100)}%`;
+  const split = (s) => `${pct(s.fractions.low)} low / ${pct(s.fractions.mid)} mid / ${pct(s.fractions.high)} high`;
+
+  const weeks = analysis.weeks.map((w) => ({
+    week: w.weekStart,
+    rides: w.rides,
+    low_pct: Math.round(w.fractions.low * 100),
+    mid_pct: Math.round(w.fractions.mid * 100),
+    high_pct: Math.round(w.fractions.high * 100),
+    hours: round2((w.seconds.low + w.seconds.mid + w.seconds.high) / 3600),
+    polarization_index: w.polarizationIndex,
+    classification: w.classification,
+    drift_flags: w.comparison?.flags.map((f) => f.message) ?? [],
+  }));
+
+  let block = null;
+  if (analysis.block) {
+    const b = analysis.block;
+    block = {
+      block_type: b.blockType,
+      actual: split(b),
+      classification: b.classification,
+      target: b.comparison ? split(b.comparison.target) : null,
+      target_classification: b.comparison?.target.classification ?? null,
+      drift_pts: b.comparison
+        ? {
+            low: Math.round(b.comparison.drift.low * 100),
+            mid: Math.round(b.comparison.drift.mid * 100),
+            high: Math.round(b.comparison.drift.high * 100),
+          }
+        : null,
+      drift_flags: b.comparison?.flags.map((f) => f.message) ?? [],
+    };
+  }
+
+  const summaryParts = [`${weeks.length} week(s) with zone data from ${from} to ${to}.`];
+  if (block) {
+    summaryParts.push(
+      `Active ${block.block_type} block: ${block.actual} (${block.classification ?? 'too little data'})` +
+        (block.target ? ` vs target ${block.target} (${block.target_classification}).` : '.'),
+    );
+    if (block.drift_flags.length) summaryParts.push(block.drift_flags.join(' '));
+  }
+
+  return {
+    success: true,
+    result: { zone_model: 'three-zone (low < LT1 ≤ mid < LT2 ≤ high)', weeks, block },
+    total_activities_matched: weeks.reduce((n, w) => n + w.rides, 0),
+    summary: summaryParts.join(' '),
+  };
+}
+
 /**
  * Apply aggregation and optional grouping to activities.
  */
@@ -23,8 +23,10 @@
  *  - Dates are the user's LOCAL calendar dates (user_profiles.timezone,
  *    same convention as api/process-deviation.js).
  *  - Per-activity RSS via estimateTSSWithSource (6-tier, terrain + MTB
- *    multipliers per spec §3.1 amendments D1/D2/D4), capped at 500 per
- *    activity to match every reader-side series.
+ *    multipliers per spec §3.1 amendments D1/D2/D4, plus the per-ride
+ *    heat/altitude thermal_factor), capped at 500 per activity to match
+ *    every reader-side series. thermal_rss records how much of the day's
+ *    RSS came from that thermal adjustment.
  *  - TFI/AFI EWA with the athlete's adaptive tau (user_profiles.tfi_tau /
  *    afi_tau, default 42/7). The walk is SEEDED from the stored
  *    training_load_daily row immediately before the window (decayed across
@@ -51,6 +53,7 @@
 import {
   estimateTSSWithSource,
   calculateFormScoreConfidence,
+  thermalFactorFor,
 } from './fitnessSnapshots.js';
 
 const DEFAULT_WINDOW_DAYS = 180;
@@ -155,7 +158,7 @@ export async function computeTrainingLoadRows(supabase, userId, opts = {}) {
       .select(
         'start_date, type, sport_type, moving_time, distance, ' +
           'total_elevation_gain, average_watts, average_heartrate, ' +
-          'kilojoules, rss, tss, effective_power, normalized_power',
+          'kilojoules, rss, tss, effective_power, normalized_power, thermal_factor',
       )
       .eq('user_id', userId)
       .or('is_hidden.eq.false,is_hidden.is.null')
@@ -179,14 +182,18 @@ export async function computeTrainingLoadRows(supabase, userId, opts = {}) {
     if (day < startKey || day > endKey) continue;
     const est = estimateTSSWithSource(a, ftp);
     const rss = Math.min(est.tss || 0, PER_ACTIVITY_RSS_CAP);
+    // The HR tier is never thermally scaled (see estimateTSSWithSource).
+    const thermalFactor = est.source === 'hr' ? 1 : thermalFactorFor(a);
     const bucket = byDay.get(day) ?? {
       rss: 0,
+      thermalRss: 0,
       weightedConfidence: 0,
       topRss: -1,
       source: null,
       terrain: null,
     };
     bucket.rss += rss;
+    bucket.thermalRss += rss - rss / thermalFactor;
     bucket.weightedConfidence += rss * (est.confidence ?? 0);
     if (rss > bucket.topRss) {
       bucket.topRss = rss;
@@ -236,6 +243,7 @@ export async function computeTrainingLoadRows(supabase, userId, opts = {}) {
       user_id: userId,
       date: key,
       rss: round1(rss),
+      thermal_rss: round1(bucket?.thermalRss ?? 0),
       tfi: round2(tfi),
       afi: round2(afi),
       form_score: formScore,
@@ -138,6 +138,19 @@ describe('computeTrainingLoadRows', () => {
     expect(rows[2].rss_source).toBe('device'); // dominant activity's tier
   });
 
+  it('applies the per-ride thermal factor and records the added RSS', async () => {
+    const supabase = mockSupabase({
+      activities: [
+        ride('2026-07-08T14:00:00Z', 100, { thermal_factor: 1.1 }),
+        ride('2026-07-08T20:00:00Z', 50),
+      ],
+    });
+    const { rows } = await computeTrainingLoadRows(supabase, 'u1', { days: 4, now: NOW });
+    expect(rows[2].rss).toBe(160);
+    expect(rows[2].thermal_rss).toBe(10);
+    expect(rows[1].thermal_rss).toBe(0);
+  });
+
   it('rest days carry confidence 1.0 so fs_confidence is not penalized', async () => {
     const supabase = mockSupabase({ activities: [ride('2026-07-08T16:00:00Z', 84)] });
     const { rows } = await computeTrainingLoadRows(supabase, 'u1', { days: 10, now: NOW });
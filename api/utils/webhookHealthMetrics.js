@@ -0,0 +1,148 @@
+// SLI computations for the Strava / Wahoo / COROS webhook queues.
+//
+// Modelled on api/utils/garmin/healthMetrics.js and used by
+// api/webhook-health-monitor.js (hourly cron: snapshots + Sentry alerts).
+// Every getter takes the shared supabase admin client and a provider key from
+// api/utils/webhookQueue.js, and returns { available: false, reason } instead
+// of throwing when a migration hasn't been applied yet.
+
+import { MAX_RETRIES, PICKUP_WINDOW_DAYS, getWebhookQueue } from './webhookQueue.js';
+
+// Alert thresholds for the breach evaluation in computeWebhookHealthSnapshot().
+export const THRESHOLDS = {
+  DEAD_LETTERED_24H: 0,          // breach when >
+  QUEUE_LAG_SECONDS: 1800,       // breach when >
+  RETRYING: 25,                  // breach when > (many events backing off at once = provider or DB outage)
+};
+
+/** Events received in the window — the denominator for everything else. */
+export async function getEventVolume(supabase, provider, since) {
+  const { table, receivedColumn } = getWebhookQueue(provider);
+  const { count, error } = await supabase
+    .from(table)
+    .select('*', { count: 'exact', head: true })
+    .gte(receivedColumn, since);
+  if (error) return { available: false, reason: error.message };
+  return { available: true, count: count || 0 };
+}
+
+/** Dead-letter queue counts (migration 123). */
+export async function getDeadLetterStats(supabase, provider) {
+  const { table } = getWebhookQueue(provider);
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const [openRes, recentRes] = await Promise.all([
+    supabase
+      .from(table)
+      .select('*', { count: 'exact', head: true })
+      .eq('dead_lettered', true),
+    supabase
+      .from(table)
+      .select('*', { count: 'exact', head: true })
+      .eq('dead_lettered', true)
+      .gte('dead_lettered_at', dayAgo),
+  ]);
+  if (openRes.error) return { available: false, reason: openRes.error.message };
+  return {
+    available: true,
+    open: openRes.count || 0,
+    last24h: recentRes.error ? null : (recentRes.count || 0),
+  };
+}
+
+/** Events that failed at least once and are waiting on a backoff retry. */
+export async function getRetryingCount(supabase, provider) {
+  const { table } = getWebhookQueue(provider);
+  const { count, error } = await supabase
+    .from(table)
+    .select('*', { count: 'exact', head: true })
+    .eq('processed', false)
+    .eq('dead_lettered', false)
+    .gt('retry_count', 0);
+  if (error) return { available: false, reason: error.message };
+  return { available: true, count: count || 0 };
+}
+
+/**
+ * Age of the oldest unprocessed event the processor can still claim (inside
+ * the pickup window, retry budget left, not dead-lettered). A growing lag
+ * means the processor cron is down, wedged, or starved.
+ */
+export async function getQueueLag(supabase, provider) {
+  const { table, receivedColumn } = getWebhookQueue(provider);
+  const windowStart = new Date(Date.now() - PICKUP_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from(table)
+    .select(receivedColumn)
+    .eq('processed', false)
+    .eq('dead_lettered', false)
+    .gte(receivedColumn, windowStart)
+    .lt('retry_count', MAX_RETRIES)
+    .order(receivedColumn, { ascending: true })
+    .limit(1);
+  if (error) return { available: false, reason: error.message };
+  if (!data?.length) return { available: true, oldestSeconds: 0, oldestReceivedAt: null };
+
+  const oldestReceivedAt = data[0][receivedColumn];
+  return {
+    available: true,
+    oldestSeconds: Math.max(0, Math.round((Date.now() - new Date(oldestReceivedAt).getTime()) / 1000)),
+    oldestReceivedAt,
+  };
+}
+
+/**
+ * Pure threshold evaluation. Unavailable metrics never breach — they show up
+ * as nulls in the snapshot instead.
+ *
+ * @returns {Array<{sli: string, value: number, threshold: number}>}
+ */
+export function evaluateBreaches({ dlq, queueLag, retrying }) {
+  const breaches = [];
+  const breach = (sli, value, threshold) => breaches.push({ sli, value, threshold });
+
+  if (dlq?.available && dlq.last24h > THRESHOLDS.DEAD_LETTERED_24H) {
+    breach('dead_lettered_24h', dlq.last24h, THRESHOLDS.DEAD_LETTERED_24H);
+  }
+  if (queueLag?.available && queueLag.oldestSeconds > THRESHOLDS.QUEUE_LAG_SECONDS) {
+    breach('queue_lag_seconds', queueLag.oldestSeconds, THRESHOLDS.QUEUE_LAG_SECONDS);
+  }
+  if (retrying?.available && retrying.count > THRESHOLDS.RETRYING) {
+    breach('retrying', retrying.count, THRESHOLDS.RETRYING);
+  }
+
+  return breaches;
+}
+
+/**
+ * Assemble one provider's snapshot and evaluate alert thresholds.
+ * Returns { provider, sli: {...}, breaches: [{sli, value, threshold}], detail: {...} }.
+ */
+export async function computeWebhookHealthSnapshot(supabase, provider) {
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+  const [volume, dlq, queueLag, retrying] = await Promise.all([
+    getEventVolume(supabase, provider, dayAgo),
+    getDeadLetterStats(supabase, provider),
+    getQueueLag(supabase, provider),
+    getRetryingCount(supabase, provider),
+  ]);
+
+  return {
+    provider,
+    sli: {
+      events_24h: volume.available ? volume.count : null,
+      queue_lag_seconds: queueLag.available ? queueLag.oldestSeconds : null,
+      retrying: retrying.available ? retrying.count : null,
+      dead_lettered_24h: dlq.available ? dlq.last24h : null,
+      dead_lettered_open: dlq.available ? dlq.open : null,
+    },
+    breaches: evaluateBreaches({ dlq, queueLag, retrying }),
+    detail: {
+      eventVolume: volume,
+      deadLetter: dlq,
+      queueLag,
+      retrying,
+    },
+  };
+}
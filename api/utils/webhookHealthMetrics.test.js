@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { computeWebhookHealthSnapshot, evaluateBreaches, THRESHOLDS } from './webhookHealthMetrics.js';
+
+// Every chain method returns the builder; head-count queries resolve with the
+// configured count and row queries with the configured rows. `error` makes
+// every query fail, as when migration 123 hasn't been applied.
+function fakeSupabase({ count = 0, rows = [], error = null } = {}) {
+  const tables = [];
+  function builder() {
+    let head = false;
+    const b = {
+      select(_cols, opts) { head = Boolean(opts?.head); return b; },
+      eq() { return b; },
+      gt() { return b; },
+      gte() { return b; },
+      lt() { return b; },
+      order() { return b; },
+      limit() { return b; },
+      then(resolve, reject) {
+        const result = error
+          ? { data: null, count: null, error }
+          : head ? { data: null, count, error: null } : { data: rows, error: null };
+        return Promise.resolve(result).then(resolve, reject);
+      },
+    };
+    return b;
+  }
+  return {
+    from: (table) => { tables.push(table); return builder(); },
+    _tables: tables,
+  };
+}
+
+describe('evaluateBreaches', () => {
+  const healthy = {
+    dlq: { available: true, last24h: 0, open: 0 },
+    queueLag: { available: true, oldestSeconds: 60 },
+    retrying: { available: true, count: 2 },
+  };
+
+  it('returns no breaches when everything is healthy', () => {
+    expect(evaluateBreaches(healthy)).toEqual([]);
+  });
+
+  it('flags every degraded SLI', () => {
+    const breaches = evaluateBreaches({
+      dlq: { available: true, last24h: 1, open: 4 },
+      queueLag: { available: true, oldestSeconds: THRESHOLDS.QUEUE_LAG_SECONDS + 1 },
+      retrying: { available: true, count: THRESHOLDS.RETRYING + 1 },
+    });
+    expect(breaches.map((b) => b.sli).sort()).toEqual(['dead_lettered_24h', 'queue_lag_seconds', 'retrying']);
+  });
+
+  it('never breaches on unavailable metrics', () => {
+    const unavailable = { available: false, reason: 'relation does not exist' };
+    expect(evaluateBreaches({ dlq: unavailable, queueLag: unavailable, retrying: unavailable })).toEqual([]);
+  });
+});
+
+describe('computeWebhookHealthSnapshot', () => {
+  it('reads the provider table and reports queue lag from the oldest live event', async () => {
+    const receivedAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    const sb = fakeSupabase({ count: 3, rows: [{ received_at: receivedAt }] });
+    const snapshot = await computeWebhookHealthSnapshot(sb, 'wahoo');
+
+    expect(new Set(sb._tables)).toEqual(new Set(['wahoo_webhook_events']));
+    expect(snapshot.provider).toBe('wahoo');
+    expect(snapshot.sli).toMatchObject({ events_24h: 3, retrying: 3, dead_lettered_24h: 3, dead_lettered_open: 3 });
+    expect(snapshot.sli.queue_lag_seconds).toBeGreaterThanOrEqual(7199);
+    expect(snapshot.breaches.map((b) => b.sli)).toEqual(['dead_lettered_24h', 'queue_lag_seconds']);
+  });
+
+  it('reports nulls instead of throwing when the queue columns are missing', async () => {
+    const sb = fakeSupabase({ error: { message: 'column "dead_lettered" does not exist' } });
+    const snapshot = await computeWebhookHealthSnapshot(sb, 'strava');
+
+    expect(snapshot.sli).toEqual({
+      events_24h: null,
+      queue_lag_seconds: null,
+      retrying: null,
+      dead_lettered_24h: null,
+      dead_lettered_open: null,
+    });
+    expect(snapshot.breaches).toEqual([]);
+  });
+});
@@ -0,0 +1,231 @@
+// Provider-agnostic webhook retry queue + dead-letter transitions.
+//
+// Strava, Wahoo and COROS webhook events are stored first and processed from
+// their *_webhook_events table. A failed attempt is rescheduled with the same
+// budget and backoff as the Garmin queue (api/utils/garmin/retryPolicy.js);
+// once the budget is spent the event is parked in the dead-letter queue,
+// where it stays processed=false and can be redriven from the admin
+// Webhooks tab (api/admin-webhook-dlq.js).
+//
+// Used by the per-provider processor crons (strava-, wahoo-,
+// coros-webhook-process.js), the inline first attempt in strava-webhook.js /
+// wahoo-webhook.js, the health monitor and the admin DLQ endpoint.
+
+import { MAX_RETRIES, computeBackoffMinutes } from './garmin/retryPolicy.js';
+
+export { MAX_RETRIES };
+
+// How far back the processors look for retry-eligible events. The full retry
+// budget spans ~8.5h, so this leaves days of room to redrive dead-lettered
+// events after an outage before they fall out of the pickup window.
+export const PICKUP_WINDOW_DAYS = 7;
+
+// Inline first attempts (Strava, Wahoo) store the event with next_retry_at
+// this far out so the processor cron doesn't claim it while the webhook
+// request is still working on it.
+export const INLINE_ATTEMPT_GRACE_MINUTES = 5;
+
+/**
+ * Per-provider table layout. `receivedColumn` is the arrival timestamp,
+ * `externalIdColumn` the provider's own activity/workout id and
+ * `activityColumn` the imported activities.id. Garmin is listed for the
+ * unified DLQ view and redrive only — its processor keeps its own claim
+ * logic in api/garmin-webhook-process.js.
+ */
+export const WEBHOOK_QUEUES = {
+  strava: {
+    table: 'strava_webhook_events',
+    receivedColumn: 'received_at',
+    eventTypeColumn: 'aspect_type',
+    externalIdColumn: 'object_id',
+    activityColumn: 'activity_id',
+  },
+  wahoo: {
+    table: 'wahoo_webhook_events',
+    receivedColumn: 'received_at',
+    eventTypeColumn: 'event_type',
+    externalIdColumn: 'workout_id',
+    activityColumn: 'activity_id',
+  },
+  coros: {
+    table: 'coros_webhook_events',
+    receivedColumn: 'created_at',
+    eventTypeColumn: 'event_type',
+    externalIdColumn: 'workout_id',
+    activityColumn: 'activity_imported_id',
+  },
+  garmin: {
+    table: 'garmin_webhook_events',
+    receivedColumn: 'created_at',
+    eventTypeColumn: 'event_type',
+    externalIdColumn: 'activity_id',
+    activityColumn: 'activity_imported_id',
+  },
+};
+
+// Providers whose processing runs through fetchReadyEvents/scheduleRetry.
+export const QUEUED_PROVIDERS = ['strava', 'wahoo', 'coros'];
+
+export function getWebhookQueue(provider) {
+  const queue = WEBHOOK_QUEUES[provider];
+  if (!queue) throw new Error(`Unknown webhook provider: ${provider}`);
+  return queue;
+}
+
+/**
+ * Events the processor may claim now: unprocessed, not dead-lettered, with
+ * retry budget left, inside the pickup window and past their backoff.
+ *
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchReadyEvents(supabase, provider, { limit = 20 } = {}) {
+  const { table, receivedColumn } = getWebhookQueue(provider);
+  const now = new Date().toISOString();
+  const windowStart = new Date(Date.now() - PICKUP_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq('processed', false)
+    .eq('dead_lettered', false)
+    .lt('retry_count', MAX_RETRIES)
+    .gte(receivedColumn, windowStart)
+    .or(`next_retry_at.is.null,next_retry_at.lte.${now}`)
+    .order(receivedColumn, { ascending: true })
+    .limit(limit);
+
+  if (error) throw new Error(`Failed to query ${table}: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Record a failed attempt. Schedules the next one with jittered exponential
+ * backoff, or dead-letters the event once the retry budget is spent.
+ *
+ * @returns {Promise<{deadLettered: boolean, retryCount: number, nextRetryAt: string|null}>}
+ */
+export async function scheduleRetry(supabase, provider, event, errorMessage) {
+  const { table } = getWebhookQueue(provider);
+  const retryCount = (event.retry_count || 0) + 1;
+
+  if (retryCount >= MAX_RETRIES) {
+    await deadLetterEvent(supabase, provider, event, errorMessage);
+    return { deadLettered: true, retryCount: MAX_RETRIES, nextRetryAt: null };
+  }
+
+  const nextRetryAt = new Date(Date.now() + computeBackoffMinutes(retryCount) * 60 * 1000).toISOString();
+  const { error } = await supabase
+    .from(table)
+    .update({
+      retry_count: retryCount,
+      next_retry_at: nextRetryAt,
+      process_error: errorMessage,
+    })
+    .eq('id', event.id);
+
+  if (error) {
+    console.warn(`⚠️ Could not schedule retry for ${provider} event ${event.id}: ${error.message}`);
+  }
+  return { deadLettered: false, retryCount, nextRetryAt };
+}
+
+/**
+ * Park an event in the dead-letter queue. Also used directly for failures
+ * that retrying can't fix but a later redrive can (e.g. the Strava app being
+ * inactive). The row keeps processed=false so it stays visible as
+ * unfinished work.
+ *
+ * Falls back to marking the event processed with the error when the
+ * migration-123 columns don't exist yet, so a processor never wedges on a
+ * deploy that precedes the migration.
+ *
+ * @returns {Promise<{deadLettered: boolean}>}
+ */
+export async function deadLetterEvent(supabase, provider, event, errorMessage) {
+  const { table } = getWebhookQueue(provider);
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from(table)
+    .update({
+      dead_lettered: true,
+      dead_lettered_at: now,
+      dead_letter_reason: errorMessage,
+      retry_count: MAX_RETRIES,
+      process_error: errorMessage,
+    })
+    .eq('id', event.id);
+
+  if (!error) return { deadLettered: true };
+
+  console.warn(`⚠️ Dead-letter write failed for ${provider} (migration 123 applied?): ${error.message} — falling back to processed-with-error`);
+  await supabase
+    .from(table)
+    .update({
+      processed: true,
+      processed_at: now,
+      process_error: `Max retries (${MAX_RETRIES}) exceeded. Last error: ${errorMessage}`,
+    })
+    .eq('id', event.id);
+  return { deadLettered: false };
+}
+
+/**
+ * Reset dead-lettered events back into the queue for another full retry
+ * budget. Ids that aren't dead-lettered are ignored.
+ *
+ * @param {string[]} eventIds
+ * @returns {Promise<{redriven: number}>}
+ */
+export async function redriveEvents(supabase, provider, eventIds) {
+  const { table } = getWebhookQueue(provider);
+  const { data, error } = await supabase
+    .from(table)
+    .update({
+      dead_lettered: false,
+      dead_lettered_at: null,
+      retry_count: 0,
+      next_retry_at: null,
+      process_error: null,
+    })
+    .in('id', eventIds)
+    .eq('dead_lettered', true)
+    .select('id');
+
+  if (error) throw new Error(`Redrive failed: ${error.message}`);
+  return { redriven: data?.length || 0 };
+}
+
+/**
+ * Dead-lettered events for one provider, newest first, normalized to a
+ * common shape for the unified admin view.
+ *
+ * @returns {Promise<{available: boolean, reason?: string, events: Object[]}>}
+ */
+export async function listDeadLettered(supabase, provider, { limit = 50 } = {}) {
+  const { table, receivedColumn, eventTypeColumn, externalIdColumn } = getWebhookQueue(provider);
+  const { data, error } = await supabase
+    .from(table)
+    .select(`id, user_id, retry_count, dead_lettered_at, dead_letter_reason, ${receivedColumn}, ${eventTypeColumn}, ${externalIdColumn}`)
+    .eq('dead_lettered', true)
+    .order('dead_lettered_at', { ascending: false })
+    .limit(limit);
+
+  // Tolerate the migration (098 / 123) not being applied yet.
+  if (error) return { available: false, reason: error.message, events: [] };
+
+  return {
+    available: true,
+    events: (data || []).map((row) => ({
+      provider,
+      id: row.id,
+      userId: row.user_id,
+      eventType: row[eventTypeColumn] || null,
+      externalId: row[externalIdColumn] != null ? String(row[externalIdColumn]) : null,
+      retryCount: row.retry_count,
+      receivedAt: row[receivedColumn],
+      deadLetteredAt: row.dead_lettered_at,
+      reason: row.dead_letter_reason,
+    })),
+  };
+}
@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_RETRIES,
+  WEBHOOK_QUEUES,
+  deadLetterEvent,
+  fetchReadyEvents,
+  getWebhookQueue,
+  listDeadLettered,
+  redriveEvents,
+  scheduleRetry,
+} from './webhookQueue.js';
+
+// Supabase chain fake in the style of garmin/retryPolicy.test.js: records the
+// table, filters and update payload of every awaited chain and resolves with
+// configurable rows / a configurable first-update error.
+function fakeSupabase({ rows = [], firstUpdateError = null } = {}) {
+  const calls = [];
+  let updateCount = 0;
+
+  return {
+    from(table) {
+      const call = { table, payload: null, filters: [], selected: null };
+      const b = {
+        select(cols) {
+          call.selected = cols;
+          if (call.payload) {
+            // redriveEvents terminal: .select('id') after the update filters
+            calls.push(call);
+            const ids = call.filters.find((f) => f[0] === 'in')?.[2] || [];
+            return Promise.resolve({ data: ids.map((id) => ({ id })), error: null });
+          }
+          return b;
+        },
+        update(patch) { call.payload = patch; return b; },
+        eq(col, val) { call.filters.push(['eq', col, val]); return b; },
+        in(col, vals) { call.filters.push(['in', col, vals]); return b; },
+        lt(col, val) { call.filters.push(['lt', col, val]); return b; },
+        gte(col, val) { call.filters.push(['gte', col, val]); return b; },
+        or(expr) { call.filters.push(['or', expr]); return b; },
+        order(col) { call.filters.push(['order', col]); return b; },
+        limit(n) { call.filters.push(['limit', n]); return b; },
+        then(resolve, reject) {
+          calls.push(call);
+          let error = null;
+          if (call.payload) {
+            updateCount += 1;
+            if (updateCount === 1) error = firstUpdateError;
+          }
+          return Promise.resolve({ data: call.payload ? null : rows, error }).then(resolve, reject);
+        },
+      };
+      return b;
+    },
+    _calls: calls,
+  };
+}
+
+describe('getWebhookQueue', () => {
+  it('resolves every provider to its own table and rejects unknown ones', () => {
+    expect(getWebhookQueue('strava').table).toBe('strava_webhook_events');
+    expect(getWebhookQueue('wahoo').table).toBe('wahoo_webhook_events');
+    expect(getWebhookQueue('coros').receivedColumn).toBe('created_at');
+    expect(Object.keys(WEBHOOK_QUEUES)).toContain('garmin');
+    expect(() => getWebhookQueue('polar')).toThrow('Unknown webhook provider');
+  });
+});
+
+describe('fetchReadyEvents', () => {
+  it('claims only unprocessed, live, budgeted events past their backoff', async () => {
+    const sb = fakeSupabase({ rows: [{ id: 'e1' }] });
+    const events = await fetchReadyEvents(sb, 'strava', { limit: 5 });
+
+    expect(events).toEqual([{ id: 'e1' }]);
+    const [{ table, filters }] = sb._calls;
+    expect(table).toBe('strava_webhook_events');
+    expect(filters).toContainEqual(['eq', 'processed', false]);
+    expect(filters).toContainEqual(['eq', 'dead_lettered', false]);
+    expect(filters).toContainEqual(['lt', 'retry_count', MAX_RETRIES]);
+    expect(filters).toContainEqual(['order', 'received_at']);
+    expect(filters).toContainEqual(['limit', 5]);
+    expect(filters.find((f) => f[0] === 'or')[1]).toMatch(/^next_retry_at\.is\.null,next_retry_at\.lte\./);
+  });
+});
+
+describe('scheduleRetry', () => {
+  it('schedules the next attempt while budget remains', async () => {
+    const sb = fakeSupabase();
+    const before = Date.now();
+    const result = await scheduleRetry(sb, 'wahoo', { id: 'w1', retry_count: 2 }, 'Wahoo token refresh failed');
+
+    expect(result.deadLettered).toBe(false);
+    expect(result.retryCount).toBe(3);
+    // Attempt 3 waits 4 minutes ±20%.
+    const waitMs = new Date(result.nextRetryAt).getTime() - before;
+    expect(waitMs).toBeGreaterThanOrEqual(3.2 * 60 * 1000 - 1000);
+    expect(waitMs).toBeLessThanOrEqual(4.8 * 60 * 1000 + 1000);
+
+    const [{ table, payload }] = sb._calls;
+    expect(table).toBe('wahoo_webhook_events');
+    expect(payload).toMatchObject({ retry_count: 3, process_error: 'Wahoo token refresh failed' });
+    expect(payload.processed).toBeUndefined();
+  });
+
+  it('dead-letters once the retry budget is spent', async () => {
+    const sb = fakeSupabase();
+    const result = await scheduleRetry(sb, 'coros', { id: 'c1', retry_count: MAX_RETRIES - 1 }, 'boom');
+
+    expect(result).toEqual({ deadLettered: true, retryCount: MAX_RETRIES, nextRetryAt: null });
+    expect(sb._calls[0].payload).toMatchObject({ dead_lettered: true, dead_letter_reason: 'boom' });
+  });
+});
+
+describe('deadLetterEvent', () => {
+  it('parks the event with dead_lettered=true and keeps processed untouched', async () => {
+    const sb = fakeSupabase();
+    const result = await deadLetterEvent(sb, 'strava', { id: 's1' }, 'app inactive');
+
+    expect(result.deadLettered).toBe(true);
+    expect(sb._calls).toHaveLength(1);
+    const { payload, filters } = sb._calls[0];
+    expect(payload.retry_count).toBe(MAX_RETRIES);
+    expect(payload.processed).toBeUndefined();
+    expect(filters).toContainEqual(['eq', 'id', 's1']);
+  });
+
+  it('falls back to processed-with-error when the DLQ columns are missing', async () => {
+    const sb = fakeSupabase({ firstUpdateError: { message: 'column "dead_lettered" does not exist' } });
+    const result = await deadLetterEvent(sb, 'strava', { id: 's1' }, 'boom');
+
+    expect(result.deadLettered).toBe(false);
+    expect(sb._calls).toHaveLength(2);
+    expect(sb._calls[1].payload.processed).toBe(true);
+    expect(sb._calls[1].payload.process_error).toContain('boom');
+  });
+});
+
+describe('redriveEvents', () => {
+  it('resets retry state only for rows still flagged dead_lettered', async () => {
+    const sb = fakeSupabase();
+    const result = await redriveEvents(sb, 'coros', ['a', 'b']);
+
+    expect(result.redriven).toBe(2);
+    const { table, payload, filters } = sb._calls[0];
+    expect(table).toBe('coros_webhook_events');
+    expect(payload).toMatchObject({ dead_lettered: false, retry_count: 0, next_retry_at: null });
+    expect(filters).toContainEqual(['in', 'id', ['a', 'b']]);
+    expect(filters).toContainEqual(['eq', 'dead_lettered', true]);
+  });
+});
+
+describe('listDeadLettered', () => {
+  it('normalizes provider-specific columns to one shape', async () => {
+    const sb = fakeSupabase({
+      rows: [{
+        id: 's1',
+        user_id: 'u1',
+        aspect_type: 'create',
+        object_id: 123456789,
+        retry_count: MAX_RETRIES,
+        received_at: '2026-10-01T10:00:00Z',
+        dead_lettered_at: '2026-10-01T18:30:00Z',
+        dead_letter_reason: 'Strava API 503',
+      }],
+    });
+    const result = await listDeadLettered(sb, 'strava');
+
+    expect(result.available).toBe(true);
+    expect(result.events[0]).toEqual({
+      provider: 'strava',
+      id: 's1',
+      userId: 'u1',
+      eventType: 'create',
+      externalId: '123456789',
+      retryCount: MAX_RETRIES,
+      receivedAt: '2026-10-01T10:00:00Z',
+      deadLetteredAt: '2026-10-01T18:30:00Z',
+      reason: 'Strava API 503',
+    });
+  });
+});
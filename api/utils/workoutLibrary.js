@@ -287,6 +287,7 @@ export const TRAINING_DATA_TOOL = {
 - Geographic/location queries ("How many times did I ride across the Golden Gate Bridge?")
 - Filtered queries ("How many rides over 50 miles in the last 6 months?")
 - Activity lookups ("What was my longest ride this year?")
+- Intensity distribution ("Am I training polarized?", "Is my riding matching the block?") — use aggregation 'intensity_distribution'
 
 This tool queries individual activities, NOT fitness metrics. For fitness (TFI) / fatigue (AFI) / Form Score trends, use query_fitness_history instead.
 
@@ -359,9 +360,10 @@ IMPORTANT: For geographic queries, provide the place name (e.g., "Golden Gate Br
           "avg_duration_hours",
           "avg_speed_kph",
           "avg_power_watts",
-          "list_activities"
+          "list_activities",
+          "intensity_distribution"
         ],
-        description: "How to aggregate results. 'count' counts activities, 'sum_*' totals a metric, 'avg_*' averages a metric, 'list_activities' returns individual activities."
+        description: "How to aggregate results. 'count' counts activities, 'sum_*' totals a metric, 'avg_*' averages a metric, 'list_activities' returns individual activities. 'intensity_distribution' returns the three-zone split (low/mid/high) per week and for the active training block, classified as polarized, pyramidal or threshold, with drift against the block's prescribed distribution — only date_from/date_to apply, default last 8 weeks."
       },
       group_by: {
         type: "string",
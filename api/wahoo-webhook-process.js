@@ -0,0 +1,75 @@
+// Vercel API Route: Wahoo Webhook Retry Processor (Cron)
+// Retries Wahoo webhook events whose inline attempt in api/wahoo-webhook.js
+// failed transiently (token refresh, DB errors), or whose webhook request
+// died before finishing.
+// Runs every 5 minutes via Vercel cron.
+//
+// Retry budget, backoff and dead-lettering: api/utils/webhookQueue.js
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { fetchReadyEvents, scheduleRetry } from './utils/webhookQueue.js';
+import { captureServerError } from './utils/serverSentry.js';
+import { processWahooEvent } from './wahoo-webhook.js';
+
+const supabase = getSupabaseAdmin();
+
+const BATCH_SIZE = 20;
+
+export default async function handler(req, res) {
+  // Verify cron authorization (timing-safe)
+  const { verifyCronAuth } = await import('./utils/verifyCronAuth.js');
+  if (!verifyCronAuth(req).authorized) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  console.log('=== Wahoo Webhook Processor Started ===');
+
+  const results = { processed: 0, retried: 0, deadLettered: 0 };
+
+  try {
+    const events = await fetchReadyEvents(supabase, 'wahoo', { limit: BATCH_SIZE });
+
+    if (events.length === 0) {
+      console.log('No Wahoo events to process');
+      return res.status(200).json({ success: true, message: 'No events to process', ...results });
+    }
+
+    console.log(`Found ${events.length} Wahoo events to process`);
+
+    for (const event of events) {
+      try {
+        await processWahooEvent(event.id, event.payload);
+        results.processed++;
+      } catch (error) {
+        console.error(`Error processing Wahoo event ${event.id}:`, error.message);
+        const { deadLettered } = await scheduleRetry(supabase, 'wahoo', event, error.message);
+        if (deadLettered) {
+          results.deadLettered++;
+          console.error(`🚨 Wahoo event ${event.id} (${event.event_type}, workout_id=${event.workout_id}) dead-lettered: ${error.message}`);
+          captureServerError(error, {
+            tag: 'wahoo.activity_lost',
+            extra: {
+              event_id: event.id,
+              event_type: event.event_type,
+              workout_id: event.workout_id,
+              user_id: event.user_id,
+            },
+          });
+        } else {
+          results.retried++;
+        }
+      }
+    }
+
+    console.log('=== Wahoo Webhook Processor Complete ===', results);
+
+    return res.status(200).json({ success: true, ...results });
+
+  } catch (error) {
+    console.error('Wahoo processor error:', error);
+    return res.status(500).json({
+      error: 'Processing failed',
+      details: error.message
+    });
+  }
+}
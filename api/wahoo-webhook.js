@@ -1,6 +1,9 @@
 // Vercel API Route: Wahoo Fitness Webhook Handler
 // Receives push notifications when users sync Wahoo devices
 // Documentation: https://developers.wahooligan.com/
+//
+// Events are stored in wahoo_webhook_events and processed inline; transient
+// failures are retried by api/wahoo-webhook-process.js (api/utils/webhookQueue.js).
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import crypto from 'crypto';
@@ -11,6 +14,8 @@ import { checkForDuplicate, mergeActivityData } from './utils/activityDedup.js';
 import { completeActivationStep, enqueueProactiveInsight, enqueueCheckIn } from './utils/activation.js';
 import { enqueueDeviationAnalysis } from './utils/deviationProcessor.js';
 import { triggerTrainingLoadRefresh } from './utils/trainingLoadRefresh.js';
+import { refreshStreamDerivedMetrics } from './utils/metricsComputation.js';
+import { INLINE_ATTEMPT_GRACE_MINUTES, scheduleRetry } from './utils/webhookQueue.js';
 
 // Initialize Supabase (server-side)
 const supabase = getSupabaseAdmin();
@@ -112,8 +117,6 @@ export default async function handler(req, res) {
     const eventType = webhookData.event_type;
     const wahooUser = webhookData.user;
     const workout = webhookData.workout;
-    // Wahoo sends workout metrics in a separate workout_summary object
-    const webhookSummary = webhookData.workout_summary;
 
     // Validate required fields
     if (!eventType || typeof eventType !== 'string') {
@@ -133,61 +136,49 @@ export default async function handler(req, res) {
       return res.status(200).json({ success: true, message: 'Event ignored' });
     }
 
-    // Find user by Wahoo user ID
-    const { data: integration } = await supabase
-      .from('bike_computer_integrations')
-      .select('id, user_id, access_token, refresh_token, token_expires_at')
-      .eq('provider', 'wahoo')
-      .eq('provider_user_id', wahooUser.id.toString())
+    // Store the event first so a failed attempt can be retried from the queue
+    const { data: event, error: eventError } = await supabase
+      .from('wahoo_webhook_events')
+      .insert({
+        event_type: eventType,
+        wahoo_user_id: wahooUser.id.toString(),
+        workout_id: workout?.id != null ? workout.id.toString() : null,
+        payload: webhookData,
+        processed: false,
+        // Hold off the processor cron while this request makes the first attempt
+        next_retry_at: new Date(Date.now() + INLINE_ATTEMPT_GRACE_MINUTES * 60 * 1000).toISOString()
+      })
+      .select()
       .single();
 
-    if (!integration) {
-      console.log('No integration found for Wahoo user:', wahooUser.id);
-      return res.status(200).json({ success: true, message: 'User not linked' });
-    }
-
-    // Check for existing activity from same workout
-    let existingActivity = null;
-    if (workout?.id) {
-      const { data: existing } = await supabase
-        .from('activities')
-        .select('id, distance, moving_time, average_watts')
-        .eq('provider_activity_id', workout.id.toString())
-        .eq('user_id', integration.user_id)
-        .eq('provider', 'wahoo')
-        .maybeSingle();
-
-      existingActivity = existing;
-
-      // If activity exists and this is a workout_summary or workout.updated event,
-      // update it with the new summary data instead of skipping
-      if (existing && (eventType === 'workout_summary' || eventType === 'workout.updated')) {
-        console.log('📊 Updating existing activity with summary data:', workout.id);
-      } else if (existing) {
-        console.log('Workout already imported:', workout.id);
-        return res.status(200).json({ success: true, message: 'Already imported' });
-      }
+    if (eventError) {
+      console.error('❌ Error storing Wahoo webhook event:', eventError.message);
+      // Continue processing even if storage fails
     }
 
     // Process SYNCHRONOUSLY before responding
     // IMPORTANT: Vercel terminates the function after response is sent,
     // so async processing after response will NOT complete!
     try {
-      const result = await processWahooWorkout(integration, workout, webhookData, webhookSummary, existingActivity);
+      const result = await processWahooEvent(event?.id, webhookData);
       console.log('✅ Wahoo webhook processed successfully');
       return res.status(200).json({
         success: true,
-        message: existingActivity ? 'Workout updated' : 'Workout imported',
-        activityId: result?.activityId
+        message: result.message,
+        activityId: result.activityId
       });
     } catch (processingError) {
       console.error('❌ Wahoo processing error:', {
         error: processingError.message,
         ...(process.env.NODE_ENV !== 'production' && { stack: processingError.stack }),
-        userId: integration.user_id,
+        wahooUserId: wahooUser.id,
         workoutId: workout?.id,
         timestamp: new Date().toISOString()
       });
+      // Leave the event on the queue for api/wahoo-webhook-process.js
+      if (event?.id) {
+        await scheduleRetry(supabase, 'wahoo', event, processingError.message);
+      }
       // Still return 200 to prevent Wahoo from disabling webhook
       return res.status(200).json({
         success: false,
@@ -205,6 +196,94 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Process a stored Wahoo webhook event: resolve the integration, import or
+ * update the workout, and mark the event processed. Transient failures
+ * (token refresh, DB errors) throw so the caller can schedule a retry.
+ * Shared with api/wahoo-webhook-process.js.
+ *
+ * @param {string|null} eventId - wahoo_webhook_events.id (null if storing it failed)
+ * @param {Object} webhookData - Raw webhook payload
+ * @returns {Promise<{message: string, activityId: string|null}>}
+ */
+export async function processWahooEvent(eventId, webhookData) {
+  // Wahoo sends workout metrics in a separate workout_summary object
+  const { event_type: eventType, user: wahooUser, workout, workout_summary: webhookSummary } = webhookData;
+
+  // Find user by Wahoo user ID
+  const { data: integration, error: integrationError } = await supabase
+    .from('bike_computer_integrations')
+    .select('id, user_id, access_token, refresh_token, token_expires_at')
+    .eq('provider', 'wahoo')
+    .eq('provider_user_id', wahooUser.id.toString())
+    .maybeSingle();
+
+  if (integrationError) {
+    throw new Error(`Integration lookup failed: ${integrationError.message}`);
+  }
+
+  if (!integration) {
+    console.log('No integration found for Wahoo user:', wahooUser.id);
+    await markEventProcessed(eventId, `No integration found for Wahoo user: ${wahooUser.id}`);
+    return { message: 'User not linked', activityId: null };
+  }
+
+  if (eventId) {
+    await supabase
+      .from('wahoo_webhook_events')
+      .update({ user_id: integration.user_id })
+      .eq('id', eventId);
+  }
+
+  // Check for existing activity from same workout
+  let existingActivity = null;
+  if (workout?.id) {
+    const { data: existing } = await supabase
+      .from('activities')
+      .select('id, distance, moving_time, average_watts, ride_analytics')
+      .eq('provider_activity_id', workout.id.toString())
+      .eq('user_id', integration.user_id)
+      .eq('provider', 'wahoo')
+      .maybeSingle();
+
+    existingActivity = existing;
+
+    // If activity exists and this is a workout_summary or workout.updated event,
+    // update it with the new summary data instead of skipping
+    if (existing && (eventType === 'workout_summary' || eventType === 'workout.updated')) {
+      console.log('📊 Updating existing activity with summary data:', workout.id);
+    } else if (existing) {
+      console.log('Workout already imported:', workout.id);
+      await markEventProcessed(eventId, 'Already imported', existing.id);
+      return { message: 'Already imported', activityId: existing.id };
+    }
+  }
+
+  const result = await processWahooWorkout(integration, workout, webhookData, webhookSummary, existingActivity);
+  await markEventProcessed(eventId, result.skipped ? result.reason : null, result.activityId);
+  return {
+    message: existingActivity ? 'Workout updated' : 'Workout imported',
+    activityId: result.activityId
+  };
+}
+
+/**
+ * Mark a Wahoo webhook event as processed
+ */
+async function markEventProcessed(eventId, error = null, activityId = null) {
+  if (!eventId) return;
+
+  await supabase
+    .from('wahoo_webhook_events')
+    .update({
+      processed: true,
+      processed_at: new Date().toISOString(),
+      process_error: error,
+      activity_id: activityId
+    })
+    .eq('id', eventId);
+}
+
 async function processWahooWorkout(integration, workout, webhookData, webhookSummary, existingActivity) {
   if (!workout) {
     console.log('No workout data in webhook');
@@ -307,6 +386,9 @@ async function processWahooWorkout(integration, workout, webhookData, webhookSum
   // If this is an update to an existing activity (workout_summary or workout.updated event),
   // update it with the new data instead of inserting
   if (existingActivity) {
+    if (activityData.ride_analytics) {
+      activityData.ride_analytics = { ...(existingActivity.ride_analytics || {}), ...activityData.ride_analytics };
+    }
     return await updateExistingActivity(existingActivity.id, activityData, integration);
   }
 
@@ -374,6 +456,10 @@ async function processWahooWorkout(integration, workout, webhookData, webhookSum
     hasGPS: !!mapPolyline
   });
 
+  // W′bal + thermal factor from the FIT streams, before the load refresh below
+  await refreshStreamDerivedMetrics(supabase, activity.id)
+    .catch((err) => console.warn('⚠️ Stream metrics failed (non-critical):', err.message));
+
   // Auto-assign gear to activity
   try {
     const { assignGearToActivity } = await import('./utils/gearAssignment.js');
@@ -473,6 +559,11 @@ async function updateExistingActivity(activityId, activityData, integration) {
     throw updateError;
   }
 
+  if (updates.activity_streams || updates.fit_coach_context) {
+    await refreshStreamDerivedMetrics(supabase, activityId)
+      .catch((err) => console.warn('⚠️ Stream metrics failed (non-critical):', err.message));
+  }
+
   console.log('✅ Wahoo activity updated with summary data:', {
     id: activityId,
     updatedFields: Object.keys(updates).filter(k => k !== 'raw_data' && k !== 'updated_at'),
@@ -0,0 +1,90 @@
+// Vercel API Route: Strava / Wahoo / COROS webhook queue health monitor
+// (cron, hourly)
+//
+// Computes each provider's queue SLIs via api/utils/webhookHealthMetrics.js,
+// persists one row per provider to webhook_health_snapshots, and emits a
+// structured Sentry-tagged error for every threshold breach. Garmin has its
+// own, richer monitor (api/garmin-health-monitor.js).
+//
+// Tags emitted (configure Sentry alert rules on these; extra.provider says
+// which queue):
+//   webhooks.dead_letter — events exhausted their retry budget
+//   webhooks.queue_lag   — processor cron stalled / starved
+//   webhooks.retrying    — many events backing off at once (provider or DB outage)
+
+import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
+import { QUEUED_PROVIDERS } from './utils/webhookQueue.js';
+import { computeWebhookHealthSnapshot } from './utils/webhookHealthMetrics.js';
+import { captureServerError, flushServerSentry } from './utils/serverSentry.js';
+
+const supabase = getSupabaseAdmin();
+
+const BREACH_TAGS = {
+  dead_lettered_24h: 'webhooks.dead_letter',
+  queue_lag_seconds: 'webhooks.queue_lag',
+  retrying: 'webhooks.retrying',
+};
+
+export default async function handler(req, res) {
+  const { verifyCronAuth } = await import('./utils/verifyCronAuth.js');
+  if (!verifyCronAuth(req).authorized) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  console.log('=== Webhook Health Monitor Started ===');
+
+  try {
+    const snapshots = await Promise.all(
+      QUEUED_PROVIDERS.map((provider) => computeWebhookHealthSnapshot(supabase, provider))
+    );
+
+    // Fire one structured error per breach so Sentry alert rules can route them.
+    for (const snapshot of snapshots) {
+      for (const b of snapshot.breaches) {
+        captureServerError(`${snapshot.provider} webhook SLI breach: ${b.sli} = ${b.value} (threshold ${b.threshold})`, {
+          tag: BREACH_TAGS[b.sli] || 'webhooks.health_breach',
+          extra: { provider: snapshot.provider, sli: b.sli, value: b.value, threshold: b.threshold },
+        });
+      }
+    }
+
+    // Persist the snapshots. Tolerate the table not existing yet (migration 123).
+    const { error: insertError } = await supabase.from('webhook_health_snapshots').insert(
+      snapshots.map((snapshot) => ({
+        provider: snapshot.provider,
+        events_24h: snapshot.sli.events_24h,
+        queue_lag_seconds: snapshot.sli.queue_lag_seconds,
+        retrying: snapshot.sli.retrying,
+        dead_lettered_24h: snapshot.sli.dead_lettered_24h,
+        dead_lettered_open: snapshot.sli.dead_lettered_open,
+        breaches: snapshot.breaches,
+        detail: snapshot.detail,
+      }))
+    );
+    if (insertError) {
+      console.warn('⚠️ Could not persist webhook health snapshots (migration 123 applied?):', insertError.message);
+    }
+
+    const sli = Object.fromEntries(snapshots.map((s) => [s.provider, s.sli]));
+    const breaches = snapshots.flatMap((s) => s.breaches.map((b) => ({ provider: s.provider, ...b })));
+
+    console.log('=== Webhook Health Monitor Complete ===');
+    console.log(`SLIs: ${JSON.stringify(sli)}; breaches: ${breaches.length}`);
+
+    // Alerting is this cron's whole job — guarantee delivery before the
+    // serverless freeze can drop buffered Sentry events.
+    await flushServerSentry();
+
+    return res.status(200).json({
+      success: true,
+      sli,
+      breaches,
+      persisted: !insertError,
+    });
+  } catch (error) {
+    console.error('Webhook health monitor error:', error);
+    captureServerError(error, { tag: 'webhooks.health_monitor_failed' });
+    await flushServerSentry();
+    return res.status(500).json({ error: 'Webhook health monitor failed', details: error.message });
+  }
+}
@@ -1,7 +1,7 @@
 /**
  * Workout Preview Cron Job
  *
- * Runs hourly. Sends a "Tomorrow's workout" push notification to users
+ * Runs hourly. Sends a "Tomorrow's workout" notification to users
  * for whom it is currently 7pm local time and who have a workout scheduled
  * for tomorrow.
  *
@@ -11,7 +11,8 @@
 
 import { getSupabaseAdmin } from './utils/supabaseAdmin.js';
 import { verifyCronAuth } from './utils/verifyCronAuth.js';
-import { sendPushToUser, buildWorkoutPreviewMessage } from './utils/pushNotification.js';
+import { buildWorkoutPreviewMessage } from './utils/pushNotification.js';
+import { dispatchNotification } from './utils/notificationDispatcher.js';
 
 // All IANA timezones we support (from src/utils/timezoneUtils.js)
 const SUPPORTED_TIMEZONES = [
@@ -120,14 +121,14 @@ export default async function handler(req, res) {
       }
 
       const message = buildWorkoutPreviewMessage(workout);
-      const result = await sendPushToUser(user.id, {
+      const result = await dispatchNotification(user.id, {
         ...message,
         url: '/training',
-        notificationType: 'workout_preview',
+        type: 'workout_preview',
         referenceId: userTomorrow,
       });
 
-      if (result.sent) {
+      if (result.push?.sent || result.email?.sent) {
         sent++;
       } else {
         skipped++;
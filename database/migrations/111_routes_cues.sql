@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Migration 111: routes.cues — turn-by-turn cues saved with the route
+--
+-- RouteCue[] (src/utils/routeCues.ts) from the Stadia/Valhalla router or from
+-- an imported TCX/FIT course (src/utils/routeImport.ts). Until now cues lived
+-- only in the route-builder store, so a saved route re-exported without its
+-- CoursePoints. Written by api/routes.js saveRoute, returned by get_route.
+-- NULL for routes whose geometry came from a provider without maneuvers.
+--
+-- Additive only.
+-- ============================================================================
+
+ALTER TABLE public.routes
+  ADD COLUMN IF NOT EXISTS cues JSONB;
+
+COMMENT ON COLUMN public.routes.cues IS
+  'Turn-by-turn cues (RouteCue[]): type, direction, instruction, streetNames, distance_km, coordinate [lng, lat].';
@@ -0,0 +1,64 @@
+-- ============================================================================
+-- Migration 112: Custom workouts
+--
+-- User-built structured workouts from the planner's workout builder. Each row
+-- is a full WorkoutStructure (warmup / main with nested repeats / cooldown)
+-- plus the RSS / RI the builder computed from it.
+--
+-- Ids are TEXT 'custom_<uuid>' so they share the planned_workouts.workout_id
+-- domain with library slugs — a custom workout is scheduled, resolved and
+-- exported through the same workout_id path as a built-in one.
+--
+-- Additive only. Owner-only RLS.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.custom_workouts (
+    id TEXT PRIMARY KEY DEFAULT ('custom_' || gen_random_uuid()::text)
+        CHECK (id LIKE 'custom\_%'),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 120),
+    description TEXT,
+    category TEXT NOT NULL,
+    difficulty TEXT NOT NULL DEFAULT 'intermediate'
+        CHECK (difficulty IN ('beginner', 'intermediate', 'advanced')),
+    structure JSONB NOT NULL,
+
+    -- Computed client-side from structure at save time
+    duration_minutes INTEGER NOT NULL DEFAULT 0,
+    target_rss INTEGER NOT NULL DEFAULT 0,
+    ride_intensity NUMERIC(4,2) NOT NULL DEFAULT 0,
+
+    coach_notes TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_workouts_user
+    ON public.custom_workouts(user_id, updated_at DESC);
+
+ALTER TABLE public.custom_workouts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their custom workouts"
+    ON public.custom_workouts FOR SELECT
+    TO authenticated
+    USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create custom workouts"
+    ON public.custom_workouts FOR INSERT
+    TO authenticated
+    WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update their custom workouts"
+    ON public.custom_workouts FOR UPDATE
+    TO authenticated
+    USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can delete their custom workouts"
+    ON public.custom_workouts FOR DELETE
+    TO authenticated
+    USING (user_id = auth.uid());
+
+COMMENT ON TABLE public.custom_workouts IS
+  'User-built structured workouts (planner workout builder). id is a TEXT workout_id (custom_<uuid>) resolved alongside the static workout library.';
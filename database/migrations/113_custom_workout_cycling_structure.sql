@@ -0,0 +1,16 @@
+-- ============================================================================
+-- Migration 113: Step-level structure for imported custom workouts
+--
+-- Workouts imported from ZWO / MRC / ERG / FIT files carry ramps, free-ride
+-- blocks and text cues that the planner's WorkoutStructure can only
+-- approximate. Keep the parsed CyclingWorkoutStructure alongside it so
+-- device exports reproduce the original file. NULL for builder-made workouts.
+--
+-- Additive only.
+-- ============================================================================
+
+ALTER TABLE public.custom_workouts
+    ADD COLUMN IF NOT EXISTS cycling_structure JSONB;
+
+COMMENT ON COLUMN public.custom_workouts.cycling_structure IS
+  'CyclingWorkoutStructure parsed from an imported workout file (ramps, free ride, cues). Preferred over structure for device export; NULL for builder-made workouts.';
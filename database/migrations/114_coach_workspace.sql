@@ -0,0 +1,238 @@
+-- ============================================================================
+-- Migration 114: Coach workspace
+--
+-- Lets a human coach manage a roster of athletes and edit their calendars.
+--
+--   coach_athletes    — one row per coach → athlete relationship. Invites are
+--                       addressed by email (the athlete may not have an
+--                       account yet) and bound to athlete_id on acceptance.
+--   coach_plan_audit  — append-only log of every planned_workouts change made
+--                       by someone other than the owner (i.e. a coach).
+--
+-- is_coach_of() is the single gate every coach policy goes through: an ACTIVE
+-- relationship grants read access to the athlete's training data; editing
+-- planned_workouts additionally requires can_edit_plan.
+--
+-- Relationship rows are written by api/coach-workspace.js (service role) only,
+-- so coaches cannot grant themselves access from the client.
+--
+-- Additive only. fitness_evidence_weekly stays server-only — the roster reads
+-- evidence flags through the API.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.coach_athletes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    coach_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    athlete_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    invite_email TEXT NOT NULL,
+
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'active', 'declined', 'revoked')),
+    can_edit_plan BOOLEAN NOT NULL DEFAULT true,
+
+    invited_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    responded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CHECK (athlete_id IS NULL OR athlete_id <> coach_id),
+    CHECK (status <> 'active' OR athlete_id IS NOT NULL)
+);
+
+-- At most one live (pending/active) relationship per coach + email
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coach_athletes_live_invite
+    ON public.coach_athletes(coach_id, lower(invite_email))
+    WHERE status IN ('pending', 'active');
+
+CREATE INDEX IF NOT EXISTS idx_coach_athletes_coach
+    ON public.coach_athletes(coach_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_coach_athletes_athlete
+    ON public.coach_athletes(athlete_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_coach_athletes_email
+    ON public.coach_athletes(lower(invite_email))
+    WHERE status = 'pending';
+
+ALTER TABLE public.coach_athletes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Coaches and athletes can view their relationships"
+    ON public.coach_athletes FOR SELECT
+    TO authenticated
+    USING (coach_id = auth.uid() OR athlete_id = auth.uid());
+
+COMMENT ON TABLE public.coach_athletes IS
+  'Coach → athlete relationships (coach workspace). Written by api/coach-workspace.js only; gates coach RLS via is_coach_of().';
+
+-- ============================================================================
+-- Access helper
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.is_coach_of(p_athlete_id UUID, p_require_edit BOOLEAN DEFAULT false)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.coach_athletes
+        WHERE coach_id = auth.uid()
+          AND athlete_id = p_athlete_id
+          AND status = 'active'
+          AND (NOT p_require_edit OR can_edit_plan)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.is_coach_of(UUID, BOOLEAN) TO authenticated;
+
+-- ============================================================================
+-- Audit log
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.coach_plan_audit (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    coach_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    athlete_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    table_name TEXT NOT NULL,
+    record_id UUID,
+    action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+    before JSONB,
+    after JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coach_plan_audit_athlete
+    ON public.coach_plan_audit(athlete_id, created_at DESC);
+
+ALTER TABLE public.coach_plan_audit ENABLE ROW LEVEL SECURITY;
+
+-- Readable by both sides; rows only ever come from the trigger below.
+CREATE POLICY "Coaches and athletes can view plan audit"
+    ON public.coach_plan_audit FOR SELECT
+    TO authenticated
+    USING (athlete_id = auth.uid() OR coach_id = auth.uid());
+
+COMMENT ON TABLE public.coach_plan_audit IS
+  'Append-only log of planned_workouts changes made by a coach on an athlete''s calendar.';
+
+-- Record a planned_workouts change when the acting user is not the owner.
+-- Service-role writes (auth.uid() IS NULL) and the athlete's own edits are
+-- not audited here.
+CREATE OR REPLACE FUNCTION public.audit_coach_planned_workout_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_actor UUID := auth.uid();
+    v_owner UUID := COALESCE(NEW.user_id, OLD.user_id);
+BEGIN
+    IF v_actor IS NULL OR v_owner IS NULL OR v_actor = v_owner THEN
+        RETURN COALESCE(NEW, OLD);
+    END IF;
+
+    INSERT INTO public.coach_plan_audit (coach_id, athlete_id, table_name, record_id, action, before, after)
+    VALUES (
+        v_actor,
+        v_owner,
+        TG_TABLE_NAME,
+        COALESCE(NEW.id, OLD.id),
+        lower(TG_OP),
+        CASE WHEN TG_OP IN ('UPDATE', 'DELETE') THEN to_jsonb(OLD) END,
+        CASE WHEN TG_OP IN ('INSERT', 'UPDATE') THEN to_jsonb(NEW) END
+    );
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_audit_coach_planned_workouts ON public.planned_workouts;
+CREATE TRIGGER trigger_audit_coach_planned_workouts
+    AFTER INSERT OR UPDATE OR DELETE ON public.planned_workouts
+    FOR EACH ROW EXECUTE FUNCTION public.audit_coach_planned_workout_change();
+
+-- ============================================================================
+-- Coach read access to athlete training data
+-- ============================================================================
+
+CREATE POLICY "Coaches can view athlete profiles"
+    ON public.user_profiles FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(id));
+
+CREATE POLICY "Coaches can view athlete coach settings"
+    ON public.user_coach_settings FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete activities"
+    ON public.activities FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete training load"
+    ON public.training_load_daily FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete EFI"
+    ON public.activity_efi FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete race goals"
+    ON public.race_goals FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete training plans"
+    ON public.training_plans FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete custom workouts"
+    ON public.custom_workouts FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete day availability"
+    ON public.user_day_availability FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete date overrides"
+    ON public.user_date_overrides FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete training preferences"
+    ON public.user_training_preferences FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete workout adaptations"
+    ON public.workout_adaptations FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can view athlete training insights"
+    ON public.training_insights FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+-- ============================================================================
+-- Coach write access to the athlete's calendar (audited by the trigger)
+-- ============================================================================
+
+CREATE POLICY "Coaches can view athlete planned workouts"
+    ON public.planned_workouts FOR SELECT
+    TO authenticated
+    USING (public.is_coach_of(user_id));
+
+CREATE POLICY "Coaches can add athlete planned workouts"
+    ON public.planned_workouts FOR INSERT
+    TO authenticated
+    WITH CHECK (public.is_coach_of(user_id, true));
+
+CREATE POLICY "Coaches can update athlete planned workouts"
+    ON public.planned_workouts FOR UPDATE
+    TO authenticated
+    USING (public.is_coach_of(user_id, true))
+    WITH CHECK (public.is_coach_of(user_id, true));
+
+CREATE POLICY "Coaches can delete athlete planned workouts"
+    ON public.planned_workouts FOR DELETE
+    TO authenticated
+    USING (public.is_coach_of(user_id, true));
@@ -0,0 +1,26 @@
+-- ============================================================================
+-- Migration 115: Heat and altitude adjusted training load
+--
+-- metricsComputation stores a per-ride thermal-strain factor (ride-time
+-- temperature from the device or a historical weather lookup, weighted by
+-- cardiac drift, plus the TWL altitude term). estimateTSSWithSource applies
+-- it to every non-HR tier, so training_load_daily carries the adjusted RSS;
+-- thermal_rss records how much of each day's RSS the adjustment added.
+--
+-- Additive only.
+-- ============================================================================
+
+ALTER TABLE public.activities
+    ADD COLUMN IF NOT EXISTS thermal_factor NUMERIC(5, 3),
+    ADD COLUMN IF NOT EXISTS thermal_strain JSONB;
+
+COMMENT ON COLUMN public.activities.thermal_factor IS
+  'Heat/altitude load multiplier (1 = neutral). NULL when no temperature or altitude data; reads as 1.';
+COMMENT ON COLUMN public.activities.thermal_strain IS
+  'Inputs and components behind thermal_factor: temperature_c, humidity_pct, apparent_temperature_c, hr_drift_pct, mean_elevation_m, heat_component, altitude_component, drift_weight, category, source (device | weather | elevation).';
+
+ALTER TABLE public.training_load_daily
+    ADD COLUMN IF NOT EXISTS thermal_rss NUMERIC(6, 1) DEFAULT 0;
+
+COMMENT ON COLUMN public.training_load_daily.thermal_rss IS
+  'Portion of rss added by the heat/altitude thermal factor.';
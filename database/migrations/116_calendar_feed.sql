@@ -0,0 +1,115 @@
+-- ============================================================================
+-- Migration 116: iCal subscription feed for planned workouts
+--
+-- calendar_feed_tokens   — one revocable secret per user; the token in the
+--                          feed URL is the only credential a calendar client
+--                          (Google, Apple, Outlook, Intervals.icu, TP) sends.
+-- planned_workouts.ical_sequence
+--                        — RFC 5545 SEQUENCE, bumped whenever a change a
+--                          calendar would show (date, name, targets, notes,
+--                          completion) lands, so subscribers replace the
+--                          event instead of keeping a stale copy.
+-- planned_workout_tombstones
+--                        — deleted planned workouts, kept briefly so the feed
+--                          can publish them as STATUS:CANCELLED under the
+--                          same UID. Pruned by the daily database-cleanup.
+--
+-- Additive only.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.calendar_feed_tokens (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE CHECK (char_length(token) >= 32),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_accessed_at TIMESTAMPTZ
+);
+
+ALTER TABLE public.calendar_feed_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Rows are created, rotated and revoked only by api/calendar-feed (service
+-- role); the owner may read their own.
+CREATE POLICY "Users can view their calendar feed token"
+    ON public.calendar_feed_tokens FOR SELECT
+    TO authenticated
+    USING (user_id = auth.uid());
+
+COMMENT ON TABLE public.calendar_feed_tokens IS
+  'Per-user secret for the planned-workout iCal subscription feed. Delete the row to revoke.';
+
+-- ============================================================================
+-- SEQUENCE on planned workouts
+-- ============================================================================
+
+ALTER TABLE public.planned_workouts
+    ADD COLUMN IF NOT EXISTS ical_sequence INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN public.planned_workouts.ical_sequence IS
+  'iCal SEQUENCE for the subscription feed; bumped by trigger on calendar-visible changes.';
+
+CREATE OR REPLACE FUNCTION public.bump_planned_workout_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (NEW.scheduled_date, NEW.name, NEW.workout_type, NEW.workout_id,
+        NEW.target_tss, NEW.target_rss, NEW.target_duration, NEW.target_distance_km,
+        NEW.notes, NEW.completed, NEW.skipped_reason)
+       IS DISTINCT FROM
+       (OLD.scheduled_date, OLD.name, OLD.workout_type, OLD.workout_id,
+        OLD.target_tss, OLD.target_rss, OLD.target_duration, OLD.target_distance_km,
+        OLD.notes, OLD.completed, OLD.skipped_reason)
+    THEN
+        NEW.ical_sequence := OLD.ical_sequence + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_bump_planned_workout_ical_sequence ON public.planned_workouts;
+CREATE TRIGGER trigger_bump_planned_workout_ical_sequence
+    BEFORE UPDATE ON public.planned_workouts
+    FOR EACH ROW EXECUTE FUNCTION public.bump_planned_workout_ical_sequence();
+
+-- ============================================================================
+-- Tombstones for deleted planned workouts
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.planned_workout_tombstones (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    scheduled_date DATE,
+    name TEXT,
+    ical_sequence INTEGER NOT NULL DEFAULT 0,
+    deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_planned_workout_tombstones_user
+    ON public.planned_workout_tombstones(user_id, deleted_at DESC);
+
+ALTER TABLE public.planned_workout_tombstones ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their planned workout tombstones"
+    ON public.planned_workout_tombstones FOR SELECT
+    TO authenticated
+    USING (user_id = auth.uid());
+
+CREATE OR REPLACE FUNCTION public.record_planned_workout_tombstone()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.user_id IS NULL OR OLD.scheduled_date IS NULL THEN
+        RETURN OLD;
+    END IF;
+    INSERT INTO public.planned_workout_tombstones (id, user_id, scheduled_date, name, ical_sequence)
+    VALUES (OLD.id, OLD.user_id, OLD.scheduled_date, OLD.name, OLD.ical_sequence + 1)
+    ON CONFLICT (id) DO UPDATE
+        SET ical_sequence = EXCLUDED.ical_sequence,
+            deleted_at = NOW();
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_record_planned_workout_tombstone ON public.planned_workouts;
+CREATE TRIGGER trigger_record_planned_workout_tombstone
+    AFTER DELETE ON public.planned_workouts
+    FOR EACH ROW EXECUTE FUNCTION public.record_planned_workout_tombstone();
+
+COMMENT ON TABLE public.planned_workout_tombstones IS
+  'Recently deleted planned workouts, published by the iCal feed as cancelled events. 60-day retention.';
@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Migration 117: Multi-day route stages
+--
+-- Route Builder 2 can split a long route into stages at overnight stops for
+-- bikepacking trips and tours. The stops travel with the saved route as
+-- distances along its geometry: [{ "km": 96.4, "name": "Camp at Lake X" }].
+-- Per-stage stats, ETA, fuel and resupply are derived client-side, so only
+-- the stops are stored. NULL = a single-day route.
+--
+-- Additive only.
+-- ============================================================================
+
+ALTER TABLE public.routes
+    ADD COLUMN IF NOT EXISTS stage_stops JSONB;
+
+COMMENT ON COLUMN public.routes.stage_stops IS
+  'Overnight stops splitting the route into stages: [{km, name}] sorted by km along the geometry. NULL for single-day routes.';
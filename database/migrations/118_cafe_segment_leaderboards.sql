@@ -0,0 +1,97 @@
+-- ============================================================================
+-- Migration 118: Café segment leaderboards
+--
+-- Training segments are per rider, so today a rider is only ever compared
+-- against themselves. Cafés can now run an opt-in group leaderboard: each
+-- Monday the weekly job (api/cafe-segments.js) picks a "segment of the week"
+-- that several opted-in members have ridden, posts it to the café, and ranks
+-- the week's efforts from training_segment_rides.
+--
+-- A challenge stores its own copy of the segment geometry — members' segment
+-- rows are matched to it by endpoints, and the rider whose segment was picked
+-- may later retire or merge it.
+--
+-- Additive only.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- A. Opt-in, per café
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.cafe_leaderboard_members (
+    cafe_id UUID NOT NULL REFERENCES public.cafes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    -- Declared by the rider; leaderboards can be split by it.
+    bike_type TEXT NOT NULL DEFAULT 'road'
+        CHECK (bike_type IN ('road', 'gravel', 'mtb', 'tt', 'ebike')),
+    opted_in_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (cafe_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cafe_leaderboard_members_user
+    ON public.cafe_leaderboard_members(user_id);
+
+ALTER TABLE public.cafe_leaderboard_members ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own leaderboard opt-ins"
+    ON public.cafe_leaderboard_members FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access to leaderboard opt-ins"
+    ON public.cafe_leaderboard_members FOR ALL
+    USING (auth.role() = 'service_role');
+
+-- ----------------------------------------------------------------------------
+-- B. Segment of the week
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.cafe_segment_challenges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    cafe_id UUID NOT NULL REFERENCES public.cafes(id) ON DELETE CASCADE,
+    week_start DATE NOT NULL,                 -- Monday (UTC)
+
+    source_segment_id UUID REFERENCES public.training_segments(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    start_lat DECIMAL(10, 7) NOT NULL,
+    start_lng DECIMAL(10, 7) NOT NULL,
+    end_lat DECIMAL(10, 7) NOT NULL,
+    end_lng DECIMAL(10, 7) NOT NULL,
+    distance_meters DECIMAL(10, 1) NOT NULL,
+    avg_gradient DECIMAL(5, 2),
+    geojson JSONB,
+
+    discussion_id UUID REFERENCES public.cafe_discussions(id) ON DELETE SET NULL,
+
+    -- Final standings, written when the week closes. Live standings for the
+    -- current week are computed on read.
+    results JSONB,
+    finalized_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (cafe_id, week_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cafe_segment_challenges_cafe_week
+    ON public.cafe_segment_challenges(cafe_id, week_start DESC);
+
+ALTER TABLE public.cafe_segment_challenges ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Cafe members can view segment challenges"
+    ON public.cafe_segment_challenges FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.cafe_memberships cm
+            WHERE cm.cafe_id = cafe_segment_challenges.cafe_id
+            AND cm.user_id = auth.uid()
+            AND cm.status = 'active'
+        )
+    );
+
+CREATE POLICY "Service role full access to segment challenges"
+    ON public.cafe_segment_challenges FOR ALL
+    USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE public.cafe_segment_challenges IS
+  'Weekly café "segment of the week". Picked from segments shared by opted-in members, never one starting or ending near a member''s home.';
@@ -0,0 +1,267 @@
+-- ============================================================================
+-- Migration 119: Privacy zones
+--
+-- Riders can define privacy zones (a centre plus a radius: home, work) that
+-- hide their track wherever other people can see it: shared routes, the
+-- GPX download on a shared route, and share-card maps. The owner's own views
+-- are unchanged.
+--
+-- Enforcement lives here, in the database, so every reader gets it:
+--
+--   - privacy_mask_coordinates() drops every point that falls inside one of
+--     a rider's zones. Leading and trailing points inside a zone are trimmed
+--     away, and a pass through a zone mid-route loses its points there.
+--   - Each zone masks around a centre that is randomly offset from the one
+--     the rider entered (up to 30% of the radius). The edge of the trimmed
+--     track therefore doesn't point back at the real centre.
+--   - routes.shared_geometry is the masked copy of a shared route's
+--     geometry. A trigger keeps it current when the route changes and when
+--     the owner edits their zones. api/routes.js serves it to everyone but
+--     the owner.
+--   - The "Public routes are viewable" policy is dropped, so a shared
+--     route's raw geometry can no longer be read straight from the table.
+--     All shared reads go through api/routes.js.
+--   - mask_my_track() lets the client mask the caller's own track for a
+--     share card.
+--
+-- Section E applies the zones retroactively to every route that is already
+-- shared.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- A. Zones
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.privacy_zones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    label TEXT CHECK (char_length(label) <= 40),
+    center_lat DOUBLE PRECISION NOT NULL CHECK (center_lat BETWEEN -90 AND 90),
+    center_lng DOUBLE PRECISION NOT NULL CHECK (center_lng BETWEEN -180 AND 180),
+    radius_m INTEGER NOT NULL DEFAULT 400 CHECK (radius_m BETWEEN 100 AND 2000),
+    -- Offset centre actually masked around; set by trigger, never by clients.
+    mask_lat DOUBLE PRECISION,
+    mask_lng DOUBLE PRECISION,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_zones_user
+    ON public.privacy_zones(user_id);
+
+ALTER TABLE public.privacy_zones ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own privacy zones"
+    ON public.privacy_zones FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own privacy zones"
+    ON public.privacy_zones FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own privacy zones"
+    ON public.privacy_zones FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own privacy zones"
+    ON public.privacy_zones FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access to privacy zones"
+    ON public.privacy_zones FOR ALL
+    USING (auth.role() = 'service_role');
+
+CREATE OR REPLACE FUNCTION public.privacy_zones_set_mask_centre()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    bearing DOUBLE PRECISION;
+    offset_m DOUBLE PRECISION;
+BEGIN
+    IF TG_OP = 'INSERT'
+       OR NEW.center_lat IS DISTINCT FROM OLD.center_lat
+       OR NEW.center_lng IS DISTINCT FROM OLD.center_lng
+       OR NEW.radius_m IS DISTINCT FROM OLD.radius_m
+       OR NEW.mask_lat IS NULL THEN
+        bearing := random() * 2 * pi();
+        offset_m := NEW.radius_m * (0.1 + 0.2 * random());
+        NEW.mask_lat := NEW.center_lat + (offset_m * cos(bearing)) / 111320.0;
+        NEW.mask_lng := NEW.center_lng
+            + (offset_m * sin(bearing)) / (111320.0 * GREATEST(cos(radians(NEW.center_lat)), 0.01));
+    ELSE
+        -- Clients can't steer the offset.
+        NEW.mask_lat := OLD.mask_lat;
+        NEW.mask_lng := OLD.mask_lng;
+    END IF;
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_privacy_zones_mask_centre ON public.privacy_zones;
+CREATE TRIGGER trg_privacy_zones_mask_centre
+    BEFORE INSERT OR UPDATE ON public.privacy_zones
+    FOR EACH ROW EXECUTE FUNCTION public.privacy_zones_set_mask_centre();
+
+-- ----------------------------------------------------------------------------
+-- B. Masking
+-- ----------------------------------------------------------------------------
+
+-- [[lng, lat], ...] with every point inside one of the user's zones removed.
+-- Returns [] when fewer than two points survive.
+CREATE OR REPLACE FUNCTION public.privacy_mask_coordinates(p_user_id UUID, p_coords JSONB)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH pts AS (
+        SELECT c AS coord, ord
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(p_coords) = 'array' THEN p_coords ELSE '[]'::jsonb END
+        ) WITH ORDINALITY AS t(c, ord)
+    ),
+    kept AS (
+        SELECT p.coord, p.ord
+        FROM pts p
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM public.privacy_zones z
+            WHERE z.user_id = p_user_id
+              AND 6371000 * 2 * asin(LEAST(1, sqrt(
+                    power(sin(radians((p.coord ->> 1)::float8 - z.mask_lat) / 2), 2)
+                    + cos(radians(z.mask_lat)) * cos(radians((p.coord ->> 1)::float8))
+                    * power(sin(radians((p.coord ->> 0)::float8 - z.mask_lng) / 2), 2)
+                  ))) <= z.radius_m
+        )
+    )
+    SELECT CASE WHEN COUNT(*) < 2 THEN '[]'::jsonb ELSE jsonb_agg(coord ORDER BY ord) END
+    FROM kept;
+$$;
+
+-- GeoJSON LineString / MultiLineString with the user's zones masked out.
+-- Unknown geometry types come back NULL: fail closed rather than leak.
+CREATE OR REPLACE FUNCTION public.privacy_mask_geometry(p_user_id UUID, p_geometry JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    masked_lines JSONB;
+BEGIN
+    IF p_geometry IS NULL THEN
+        RETURN NULL;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM public.privacy_zones WHERE user_id = p_user_id) THEN
+        RETURN p_geometry;
+    END IF;
+
+    IF p_geometry ->> 'type' = 'LineString' THEN
+        RETURN jsonb_set(
+            p_geometry, '{coordinates}',
+            public.privacy_mask_coordinates(p_user_id, p_geometry -> 'coordinates')
+        );
+    ELSIF p_geometry ->> 'type' = 'MultiLineString' THEN
+        SELECT COALESCE(jsonb_agg(masked ORDER BY ord), '[]'::jsonb)
+        INTO masked_lines
+        FROM (
+            SELECT public.privacy_mask_coordinates(p_user_id, line) AS masked, ord
+            FROM jsonb_array_elements(p_geometry -> 'coordinates') WITH ORDINALITY AS t(line, ord)
+        ) lines
+        WHERE jsonb_array_length(masked) > 0;
+        RETURN jsonb_set(p_geometry, '{coordinates}', masked_lines);
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+-- Mask the caller's own track (share cards).
+CREATE OR REPLACE FUNCTION public.mask_my_track(p_coords JSONB)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT public.privacy_mask_coordinates(auth.uid(), p_coords);
+$$;
+
+-- Masking another rider's track would let callers probe where their zones
+-- are, so only the caller-scoped wrapper is exposed.
+REVOKE EXECUTE ON FUNCTION public.privacy_mask_coordinates(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.privacy_mask_geometry(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.privacy_mask_coordinates(UUID, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION public.privacy_mask_geometry(UUID, JSONB) TO service_role;
+REVOKE EXECUTE ON FUNCTION public.mask_my_track(JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.mask_my_track(JSONB) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- C. routes.shared_geometry
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.routes
+    ADD COLUMN IF NOT EXISTS shared_geometry JSONB;
+
+COMMENT ON COLUMN public.routes.shared_geometry IS
+  'Geometry with the owner''s privacy zones masked out. Maintained by trigger while the route is shared (visibility public or is_private false), NULL otherwise. Served to everyone but the owner.';
+
+CREATE OR REPLACE FUNCTION public.routes_refresh_shared_geometry()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.visibility = 'public' OR NEW.is_private = false THEN
+        NEW.shared_geometry := public.privacy_mask_geometry(NEW.user_id, NEW.geometry);
+    ELSE
+        NEW.shared_geometry := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_routes_shared_geometry ON public.routes;
+CREATE TRIGGER trg_routes_shared_geometry
+    BEFORE INSERT OR UPDATE OF geometry, visibility, is_private ON public.routes
+    FOR EACH ROW EXECUTE FUNCTION public.routes_refresh_shared_geometry();
+
+-- Zone edits re-mask every route the owner has shared.
+CREATE OR REPLACE FUNCTION public.privacy_zones_remask_routes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE public.routes
+    SET shared_geometry = public.privacy_mask_geometry(user_id, geometry)
+    WHERE user_id = COALESCE(NEW.user_id, OLD.user_id)
+      AND (visibility = 'public' OR is_private = false);
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_privacy_zones_remask_routes ON public.privacy_zones;
+CREATE TRIGGER trg_privacy_zones_remask_routes
+    AFTER INSERT OR UPDATE OR DELETE ON public.privacy_zones
+    FOR EACH ROW EXECUTE FUNCTION public.privacy_zones_remask_routes();
+
+-- ----------------------------------------------------------------------------
+-- D. No direct reads of shared routes
+-- ----------------------------------------------------------------------------
+
+DROP POLICY IF EXISTS "Public routes are viewable" ON public.routes;
+
+-- ----------------------------------------------------------------------------
+-- E. Retroactive: mask every route that is already shared
+-- ----------------------------------------------------------------------------
+
+UPDATE public.routes
+SET shared_geometry = public.privacy_mask_geometry(user_id, geometry)
+WHERE visibility = 'public' OR is_private = false;
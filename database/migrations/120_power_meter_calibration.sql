@@ -0,0 +1,209 @@
+-- ============================================================================
+-- Migration 120: Per-bike power meter correction
+--
+-- Riders with several bikes often have power meters that disagree. The
+-- drift detector (api/utils/powerMeterDrift.js) compares bikes over matched
+-- segment efforts and suggests a correction. This migration lets the rider
+-- apply it and makes the correction reach every stored power metric.
+--
+--   - gear_items.power_correction_factor multiplies the bike's power
+--     readings. 1.06 means the meter reads ~6% low. Default 1.
+--   - activities.power_correction_applied records the factor already baked
+--     into the row's stored power columns. This makes re-applying
+--     idempotent, and a changed factor rescales by new/old instead of
+--     compounding.
+--   - A BEFORE INSERT/UPDATE trigger on activities owns the scaling. A
+--     power column written in the statement is treated as a raw reading
+--     (ingest never knows about corrections) and is scaled by the current
+--     factor. A column left alone is rescaled from the applied factor to the
+--     current one.
+--   - Changing a bike's factor, or moving a ride between bikes, touches the
+--     affected activities so the trigger brings them in line. That is the
+--     backfill. Callers recompute training_load_daily afterwards.
+--
+-- Scaled: average_watts, max_watts, normalized_power/effective_power,
+-- kilojoules and power_curve_summary by the factor. intensity_factor and
+-- ride_intensity also scale by the factor. tss/rss scale by its square, but
+-- only on device_watts rides, where the score came from power.
+-- training_segment_rides and stored streams stay raw. The detector depends
+-- on raw readings.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- A. Columns
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.gear_items
+    ADD COLUMN IF NOT EXISTS power_correction_factor NUMERIC(5,4) NOT NULL DEFAULT 1
+        CHECK (power_correction_factor BETWEEN 0.8 AND 1.25),
+    ADD COLUMN IF NOT EXISTS power_correction_updated_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.gear_items.power_correction_factor IS
+    'Multiplier applied to power recorded on this bike (1.06 = meter reads ~6% low). Applied to stored activity metrics by apply_power_correction().';
+
+ALTER TABLE public.activities
+    ADD COLUMN IF NOT EXISTS power_correction_applied NUMERIC(5,4) NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN public.activities.power_correction_applied IS
+    'Power correction factor already baked into this row''s stored power metrics. Maintained by apply_power_correction().';
+
+-- ----------------------------------------------------------------------------
+-- B. Scaling helpers
+-- ----------------------------------------------------------------------------
+
+-- Raw reading behind a stored value: as written when the statement set it,
+-- otherwise the stored value with the applied correction taken back out.
+CREATE OR REPLACE FUNCTION public.power_raw_value(p_value NUMERIC, p_written BOOLEAN, p_applied NUMERIC)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_value IS NULL THEN NULL
+        WHEN p_written OR p_applied IS NULL OR p_applied = 0 THEN p_value
+        ELSE p_value / p_applied
+    END
+$$;
+
+CREATE OR REPLACE FUNCTION public.power_scale_curve(p_curve JSONB, p_multiplier NUMERIC)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_curve IS NULL OR jsonb_typeof(p_curve) <> 'object' THEN p_curve
+        ELSE (
+            SELECT COALESCE(jsonb_object_agg(
+                key,
+                CASE WHEN jsonb_typeof(value) = 'number'
+                     THEN to_jsonb(round((value)::text::numeric * p_multiplier))
+                     ELSE value
+                END
+            ), '{}'::jsonb)
+            FROM jsonb_each(p_curve)
+        )
+    END
+$$;
+
+-- ----------------------------------------------------------------------------
+-- C. Activity trigger
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.apply_power_correction()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    factor NUMERIC := 1;
+    applied NUMERIC := 1;
+    is_insert BOOLEAN := TG_OP = 'INSERT';
+    power_rss BOOLEAN := COALESCE(NEW.device_watts, false);
+BEGIN
+    IF NOT is_insert THEN
+        applied := COALESCE(OLD.power_correction_applied, 1);
+        SELECT COALESCE(g.power_correction_factor, 1)
+          INTO factor
+          FROM activity_gear ag
+          JOIN gear_items g ON g.id = ag.gear_item_id
+         WHERE ag.activity_id = NEW.id;
+        factor := COALESCE(factor, 1);
+    END IF;
+
+    -- Nothing to undo and nothing to apply: leave the writer's values alone.
+    IF factor = 1 AND applied = 1 THEN
+        NEW.power_correction_applied := 1;
+        RETURN NEW;
+    END IF;
+
+    NEW.average_watts := round(power_raw_value(NEW.average_watts,
+        is_insert OR NEW.average_watts IS DISTINCT FROM OLD.average_watts, applied) * factor, 1);
+    NEW.max_watts := round(power_raw_value(NEW.max_watts,
+        is_insert OR NEW.max_watts IS DISTINCT FROM OLD.max_watts, applied) * factor);
+    NEW.normalized_power := round(power_raw_value(NEW.normalized_power,
+        is_insert OR NEW.normalized_power IS DISTINCT FROM OLD.normalized_power, applied) * factor);
+    NEW.effective_power := round(power_raw_value(NEW.effective_power,
+        is_insert OR NEW.effective_power IS DISTINCT FROM OLD.effective_power, applied) * factor);
+    NEW.kilojoules := round(power_raw_value(NEW.kilojoules,
+        is_insert OR NEW.kilojoules IS DISTINCT FROM OLD.kilojoules, applied) * factor, 1);
+    NEW.intensity_factor := round(power_raw_value(NEW.intensity_factor,
+        is_insert OR NEW.intensity_factor IS DISTINCT FROM OLD.intensity_factor, applied) * factor, 3);
+    NEW.ride_intensity := round(power_raw_value(NEW.ride_intensity,
+        is_insert OR NEW.ride_intensity IS DISTINCT FROM OLD.ride_intensity, applied) * factor, 3);
+
+    IF is_insert OR NEW.power_curve_summary IS DISTINCT FROM OLD.power_curve_summary THEN
+        NEW.power_curve_summary := power_scale_curve(NEW.power_curve_summary, factor);
+    ELSE
+        NEW.power_curve_summary := power_scale_curve(NEW.power_curve_summary, factor / applied);
+    END IF;
+
+    IF power_rss THEN
+        NEW.rss := round(power_raw_value(NEW.rss,
+            is_insert OR NEW.rss IS DISTINCT FROM OLD.rss, applied * applied) * factor * factor, 1);
+        NEW.tss := round(power_raw_value(NEW.tss,
+            is_insert OR NEW.tss IS DISTINCT FROM OLD.tss, applied * applied) * factor * factor, 1);
+    END IF;
+
+    NEW.power_correction_applied := factor;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS activities_apply_power_correction ON public.activities;
+CREATE TRIGGER activities_apply_power_correction
+    BEFORE INSERT OR UPDATE ON public.activities
+    FOR EACH ROW EXECUTE FUNCTION public.apply_power_correction();
+
+-- ----------------------------------------------------------------------------
+-- D. Backfill triggers: bike factor changes and ride reassignment
+-- ----------------------------------------------------------------------------
+
+-- A no-op update is enough: the activity trigger recomputes from the
+-- applied factor.
+CREATE OR REPLACE FUNCTION public.gear_items_power_correction_changed()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE activities a
+       SET power_correction_applied = a.power_correction_applied
+      FROM activity_gear ag
+     WHERE ag.gear_item_id = NEW.id
+       AND a.id = ag.activity_id;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS gear_items_power_correction_changed ON public.gear_items;
+CREATE TRIGGER gear_items_power_correction_changed
+    AFTER UPDATE OF power_correction_factor ON public.gear_items
+    FOR EACH ROW
+    WHEN (NEW.power_correction_factor IS DISTINCT FROM OLD.power_correction_factor)
+    EXECUTE FUNCTION public.gear_items_power_correction_changed();
+
+CREATE OR REPLACE FUNCTION public.activity_gear_power_correction_changed()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE activities
+       SET power_correction_applied = power_correction_applied
+     WHERE id = COALESCE(NEW.activity_id, OLD.activity_id);
+    IF TG_OP = 'UPDATE' AND NEW.activity_id IS DISTINCT FROM OLD.activity_id THEN
+        UPDATE activities
+           SET power_correction_applied = power_correction_applied
+         WHERE id = OLD.activity_id;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS activity_gear_power_correction_changed ON public.activity_gear;
+CREATE TRIGGER activity_gear_power_correction_changed
+    AFTER INSERT OR UPDATE OR DELETE ON public.activity_gear
+    FOR EACH ROW EXECUTE FUNCTION public.activity_gear_power_correction_changed();
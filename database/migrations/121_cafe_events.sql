@@ -0,0 +1,115 @@
+-- ============================================================================
+-- Migration 121: Café group ride events
+--
+-- Cafés had check-ins and discussions but no way to say "we're riding
+-- Saturday at 8". A café event is a dated group ride with a meeting point,
+-- an optional attached saved route, pace groups and member RSVPs. Members
+-- see events in their training calendar, where the plan conflict resolver
+-- suggests how to fit the ride around the day's planned workout.
+--
+-- Reads and writes go through api/cafe-events.js. The attached route is
+-- served from routes.shared_geometry (migration 119), so only a route its
+-- owner has shared can be attached, and members never see the unmasked
+-- track.
+--
+-- Additive only.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- A. Events
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.cafe_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    cafe_id UUID NOT NULL REFERENCES public.cafes(id) ON DELETE CASCADE,
+    created_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+    title TEXT NOT NULL CHECK (char_length(title) BETWEEN 3 AND 120),
+    description TEXT CHECK (char_length(description) <= 2000),
+    starts_at TIMESTAMPTZ NOT NULL,
+    -- IANA zone the organiser scheduled in; the calendar places the ride on
+    -- the local day in this zone.
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    estimated_duration_minutes INTEGER CHECK (estimated_duration_minutes BETWEEN 15 AND 720),
+
+    meeting_point_name TEXT NOT NULL CHECK (char_length(meeting_point_name) BETWEEN 2 AND 200),
+    meeting_lat DECIMAL(10, 7),
+    meeting_lng DECIMAL(10, 7),
+
+    route_id UUID REFERENCES public.routes(id) ON DELETE SET NULL,
+
+    -- [{ "id": "a", "name": "A group", "avg_speed_kmh": 32, "no_drop": false }]
+    pace_groups JSONB NOT NULL DEFAULT '[]'::jsonb
+        CHECK (jsonb_typeof(pace_groups) = 'array'),
+
+    status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+    cancelled_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cafe_events_cafe_starts
+    ON public.cafe_events(cafe_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_cafe_events_route
+    ON public.cafe_events(route_id) WHERE route_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_cafe_events_created_by
+    ON public.cafe_events(created_by);
+
+ALTER TABLE public.cafe_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Cafe members can view events"
+    ON public.cafe_events FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.cafe_memberships cm
+            WHERE cm.cafe_id = cafe_events.cafe_id
+            AND cm.user_id = auth.uid()
+            AND cm.status = 'active'
+        )
+    );
+
+CREATE POLICY "Service role full access to cafe events"
+    ON public.cafe_events FOR ALL
+    USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE public.cafe_events IS
+  'Dated café group rides with meeting point, optional shared route and pace groups. Written via api/cafe-events.js.';
+
+-- ----------------------------------------------------------------------------
+-- B. RSVPs
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.cafe_event_rsvps (
+    event_id UUID NOT NULL REFERENCES public.cafe_events(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    status TEXT NOT NULL CHECK (status IN ('going', 'maybe', 'not_going')),
+    -- id of an entry in cafe_events.pace_groups; NULL = undecided
+    pace_group TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (event_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cafe_event_rsvps_user
+    ON public.cafe_event_rsvps(user_id);
+
+ALTER TABLE public.cafe_event_rsvps ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Cafe members can view event RSVPs"
+    ON public.cafe_event_rsvps FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.cafe_events e
+            JOIN public.cafe_memberships cm ON cm.cafe_id = e.cafe_id
+            WHERE e.id = cafe_event_rsvps.event_id
+            AND cm.user_id = auth.uid()
+            AND cm.status = 'active'
+        )
+    );
+
+CREATE POLICY "Service role full access to cafe event RSVPs"
+    ON public.cafe_event_rsvps FOR ALL
+    USING (auth.role() = 'service_role');
@@ -0,0 +1,60 @@
+-- ============================================================================
+-- Migration 122: Role-based admin access
+--
+-- Admin endpoints each compared the caller's email with a single ADMIN_EMAIL
+-- env var, so everyone who helped run the platform either had every admin
+-- power or none. Admin access is now a role stored per user:
+--
+--   owner     — everything, including granting and revoking roles
+--   support   — users, feedback, webhooks, Garmin health and DLQ redrive
+--   analyst   — activity, insights, stats and AI analysis (read-only)
+--   coach_ops — plan / workout templates, users and feedback
+--
+-- The role → permission map lives in api/utils/auth.js (requireAdmin), which
+-- every admin endpoint uses. Each admin action is written to admin_audit_log
+-- together with the role it was performed under.
+--
+-- Like admin_audit_log (migration 017) the table has no client policies —
+-- it is read and written only with the service key.
+--
+-- Additive only.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- A. Roles
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.admin_roles (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'support', 'analyst', 'coach_ops')),
+    granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_roles_role
+    ON public.admin_roles(role);
+
+ALTER TABLE public.admin_roles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to admin roles"
+    ON public.admin_roles FOR ALL
+    USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE public.admin_roles IS
+  'Admin role per user (owner, support, analyst, coach_ops). Only accessible via service key; permissions are resolved in api/utils/auth.js.';
+
+-- No owner is seeded here. While the table has no owner, the account named
+-- by the ADMIN_EMAIL env var becomes owner on its first admin request
+-- (getAdminRole in api/utils/auth.js); after that, roles are granted from
+-- the admin panel.
+
+-- ----------------------------------------------------------------------------
+-- B. Audit log records the role used
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.admin_audit_log
+    ADD COLUMN IF NOT EXISTS role TEXT;
+
+COMMENT ON COLUMN public.admin_audit_log.role IS
+  'admin_roles.role the action was authorized under (NULL for entries before migration 122).';
@@ -0,0 +1,138 @@
+-- ============================================================================
+-- Migration 123: Webhook retry queue + dead-letter queue for Strava, Wahoo
+-- and COROS
+--
+-- Garmin got a retry budget and a dead-letter queue in migration 098. The
+-- other providers still lost activities on transient failures:
+--
+--   strava — strava-webhook.js processed inline and marked the event
+--            processed with the error string on any failure (Strava 5xx,
+--            rate limit, token refresh, insert error). Nothing retried.
+--   wahoo  — wahoo-webhook.js processed inline and only logged failures;
+--            there was no event table at all.
+--   coros  — coros-webhook-process.js retried 6 times and then marked the
+--            event processed with "Max retries exceeded".
+--
+-- All three now share api/utils/webhookQueue.js: the same 10-attempt
+-- exponential backoff and give-up semantics as Garmin, a processor cron per
+-- provider, and dead-lettered rows that stay processed=FALSE and can be
+-- redriven from the admin Webhooks tab (api/admin-webhook-dlq.js).
+--
+-- api/webhook-health-monitor.js (hourly cron) writes one SLI snapshot per
+-- provider to webhook_health_snapshots, modelled on garmin_health_snapshots.
+--
+-- Additive only.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- A. Strava: retry + dead-letter columns
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.strava_webhook_events
+  ADD COLUMN IF NOT EXISTS retry_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS dead_lettered BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS dead_letter_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_strava_webhook_events_retry_pickup
+  ON public.strava_webhook_events (received_at)
+  WHERE processed = false AND dead_lettered = false;
+
+CREATE INDEX IF NOT EXISTS idx_strava_webhook_events_dead_lettered
+  ON public.strava_webhook_events (dead_lettered_at DESC)
+  WHERE dead_lettered = true;
+
+-- ----------------------------------------------------------------------------
+-- B. COROS: dead-letter columns (retry_count / next_retry_at exist since 049)
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.coros_webhook_events
+  ADD COLUMN IF NOT EXISTS dead_lettered BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS dead_letter_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_coros_webhook_events_dead_lettered
+  ON public.coros_webhook_events (dead_lettered_at DESC)
+  WHERE dead_lettered = true;
+
+-- ----------------------------------------------------------------------------
+-- C. Wahoo: event table (store, attempt inline, retry from the queue)
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.wahoo_webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Event identification (from the Wahoo webhook payload)
+  event_type TEXT NOT NULL,               -- workout.created, workout.updated, workout_summary
+  wahoo_user_id TEXT NOT NULL,
+  workout_id TEXT,
+
+  -- Links to our database (populated during processing)
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  activity_id UUID REFERENCES activities(id) ON DELETE SET NULL,
+
+  -- Processing status
+  processed BOOLEAN NOT NULL DEFAULT FALSE,
+  processed_at TIMESTAMPTZ,
+  process_error TEXT,
+  retry_count INTEGER NOT NULL DEFAULT 0,
+  next_retry_at TIMESTAMPTZ,
+  dead_lettered BOOLEAN NOT NULL DEFAULT FALSE,
+  dead_lettered_at TIMESTAMPTZ,
+  dead_letter_reason TEXT,
+
+  -- Raw payload for processing and replay
+  payload JSONB NOT NULL,
+
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wahoo_webhook_events_retry_pickup
+  ON public.wahoo_webhook_events (received_at)
+  WHERE processed = false AND dead_lettered = false;
+
+CREATE INDEX IF NOT EXISTS idx_wahoo_webhook_events_dead_lettered
+  ON public.wahoo_webhook_events (dead_lettered_at DESC)
+  WHERE dead_lettered = true;
+
+CREATE INDEX IF NOT EXISTS idx_wahoo_webhook_events_user
+  ON public.wahoo_webhook_events (user_id, received_at DESC);
+
+ALTER TABLE public.wahoo_webhook_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to wahoo webhook events"
+  ON public.wahoo_webhook_events FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE public.wahoo_webhook_events IS
+  'Wahoo webhook events. Written by api/wahoo-webhook.js, retried by api/wahoo-webhook-process.js via api/utils/webhookQueue.js.';
+
+-- ----------------------------------------------------------------------------
+-- D. Health snapshots (one row per provider per run)
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.webhook_health_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  provider TEXT NOT NULL CHECK (provider IN ('strava', 'wahoo', 'coros')),
+
+  -- Core SLIs (NULL = could not be computed on this run)
+  events_24h INTEGER,             -- events received in the last 24h
+  queue_lag_seconds INTEGER,      -- age of oldest unprocessed, retry-eligible event
+  retrying INTEGER,               -- events waiting on a backoff retry
+  dead_lettered_24h INTEGER,      -- events dead-lettered in the last 24h
+  dead_lettered_open INTEGER,     -- dead-lettered events not yet redriven
+
+  breaches JSONB,                 -- [{sli, value, threshold}] that fired Sentry on this run
+  detail JSONB                    -- complete computeWebhookHealthSnapshot() output
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_health_snapshots_provider_created
+  ON public.webhook_health_snapshots (provider, created_at DESC);
+
+ALTER TABLE public.webhook_health_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to webhook health snapshots"
+  ON public.webhook_health_snapshots FOR ALL
+  USING (auth.role() = 'service_role');
@@ -0,0 +1,130 @@
+-- ============================================================================
+-- Migration 124: Behavioral email journeys
+--
+-- The welcome and activation-nudge crons send one-off emails and the admin
+-- EmailCampaigns tool sends manual batches. Journeys are multi-step email
+-- sequences that start on training and activation events:
+--
+--   garmin_no_ride      — connected Garmin but no ride synced in 7 days
+--   plan_completed      — finished a training plan
+--   missed_key_workouts — missed three key workouts in the last two weeks
+--   race_in_14_days     — an upcoming race is two weeks out
+--
+-- Journey definitions (triggers, step delays, exit conditions, copy) live
+-- in api/utils/emailJourneys.js; api/cron/email-journeys.js enrolls users
+-- and sends due steps, subject to per-user frequency caps and the
+-- suppression list below. api/resend-webhook.js writes delivery, open and
+-- click events back onto email_journey_sends and suppresses addresses that
+-- hard-bounce or complain — for every email we send, not only journeys.
+--
+-- Like the campaign tables (migration 022) these are service-role only.
+--
+-- Additive only.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- A. Enrollments (one per user per journey trigger)
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.email_journey_enrollments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    journey_key TEXT NOT NULL,
+    -- What started this enrollment (plan id, race id, ...) so the same
+    -- event never enrolls a user twice but a new one can
+    trigger_key TEXT NOT NULL,
+    context JSONB NOT NULL DEFAULT '{}',
+
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'exited')),
+    current_step INTEGER NOT NULL DEFAULT 0,   -- index of the next step to send
+    next_step_at TIMESTAMPTZ,
+    exit_reason TEXT,
+
+    enrolled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    UNIQUE (user_id, journey_key, trigger_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_journey_enrollments_due
+    ON public.email_journey_enrollments (next_step_at)
+    WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_email_journey_enrollments_journey
+    ON public.email_journey_enrollments (journey_key, status);
+
+-- ----------------------------------------------------------------------------
+-- B. Sends (one per step sent, tracked through Resend webhooks)
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.email_journey_sends (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    enrollment_id UUID NOT NULL REFERENCES public.email_journey_enrollments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    journey_key TEXT NOT NULL,
+    step_index INTEGER NOT NULL,
+    email TEXT NOT NULL,
+
+    resend_email_id TEXT,
+    status TEXT NOT NULL DEFAULT 'sent' CHECK (status IN (
+        'sent', 'delivered', 'opened', 'clicked', 'bounced', 'complained', 'failed'
+    )),
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ,
+    first_opened_at TIMESTAMPTZ,
+    first_clicked_at TIMESTAMPTZ,
+    open_count INTEGER NOT NULL DEFAULT 0,
+    click_count INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    UNIQUE (enrollment_id, step_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_journey_sends_resend_id
+    ON public.email_journey_sends (resend_email_id);
+
+-- Frequency-cap lookups: a user's recent journey sends
+CREATE INDEX IF NOT EXISTS idx_email_journey_sends_user_sent
+    ON public.email_journey_sends (user_id, sent_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_email_journey_sends_journey_step
+    ON public.email_journey_sends (journey_key, step_index);
+
+-- ----------------------------------------------------------------------------
+-- C. Suppression list (hard bounces and spam complaints)
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.email_suppressions (
+    email TEXT PRIMARY KEY CHECK (email = lower(email)),
+    reason TEXT NOT NULL CHECK (reason IN ('bounce', 'complaint')),
+    detail TEXT,
+    resend_email_id TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ----------------------------------------------------------------------------
+-- D. RLS (service role only)
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.email_journey_enrollments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.email_journey_sends ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.email_suppressions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to email journey enrollments"
+    ON public.email_journey_enrollments FOR ALL
+    USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to email journey sends"
+    ON public.email_journey_sends FOR ALL
+    USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to email suppressions"
+    ON public.email_suppressions FOR ALL
+    USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE public.email_suppressions IS
+  'Addresses that hard-bounced or marked our email as spam (written by api/resend-webhook.js). Journeys never email them.';
@@ -0,0 +1,118 @@
+-- ============================================================================
+-- Migration 125: Notification preference center
+--
+-- notification_preferences (migration 060) only held one push toggle per
+-- type, emails followed their own rules and in-app surfaces ignored it. This
+-- turns it into one model for every channel:
+--
+--   channels     — channel × type matrix, e.g.
+--                  {"post_ride_insight": {"push": true, "email": false, "in_app": true}}
+--                  Missing entries fall back to the per-type defaults in
+--                  api/utils/notificationDispatcher.js (client twin:
+--                  src/utils/notificationPreferences.ts).
+--   quiet hours  — push and email that would land between quiet_hours_start
+--                  and quiet_hours_end (user_profiles.timezone) are held in
+--                  notification_queue until the window ends.
+--   digest       — low-priority email (gear alerts, forum replies) is batched
+--                  into one daily email at digest_hour local time.
+--
+-- All server senders go through dispatchNotification(); the hourly
+-- api/cron/notification-digest.js delivers held items and digests.
+--
+-- The legacy per-type push booleans are folded into channels.<type>.push
+-- and no longer read. Additive only.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- A. Preference columns
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE notification_preferences
+    ADD COLUMN IF NOT EXISTS channels JSONB NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS quiet_hours_enabled BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS quiet_hours_start TIME NOT NULL DEFAULT '22:00',
+    ADD COLUMN IF NOT EXISTS quiet_hours_end TIME NOT NULL DEFAULT '07:00',
+    ADD COLUMN IF NOT EXISTS digest_enabled BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS digest_hour SMALLINT NOT NULL DEFAULT 8 CHECK (digest_hour BETWEEN 0 AND 23),
+    ADD COLUMN IF NOT EXISTS last_digest_sent_at TIMESTAMPTZ;
+
+-- Carry over push opt-outs from the legacy toggles
+UPDATE notification_preferences
+SET channels = channels
+    || CASE WHEN post_ride_insight = false
+            THEN '{"post_ride_insight": {"push": false}}'::jsonb ELSE '{}'::jsonb END
+    || CASE WHEN workout_preview = false
+            THEN '{"workout_preview": {"push": false}}'::jsonb ELSE '{}'::jsonb END
+WHERE post_ride_insight = false OR workout_preview = false;
+
+CREATE INDEX IF NOT EXISTS idx_notification_preferences_digest
+    ON notification_preferences (digest_hour)
+    WHERE digest_enabled = true;
+
+-- ----------------------------------------------------------------------------
+-- B. Held / batched notifications
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS notification_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    notification_type TEXT NOT NULL,
+    -- push / email: held by quiet hours until deliver_after
+    -- digest: waiting for the user's next daily digest
+    channel TEXT NOT NULL CHECK (channel IN ('push', 'email', 'digest')),
+    title TEXT NOT NULL,
+    body TEXT,
+    url TEXT,
+    reference_id TEXT,
+    deliver_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_queue_due
+    ON notification_queue (deliver_after)
+    WHERE delivered_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notification_queue_user
+    ON notification_queue (user_id, channel)
+    WHERE delivered_at IS NULL;
+
+ALTER TABLE notification_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access to notification queue"
+    ON notification_queue FOR ALL
+    USING (auth.role() = 'service_role');
+
+-- ----------------------------------------------------------------------------
+-- C. notification_log: new types and the email channel
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE notification_log DROP CONSTRAINT IF EXISTS notification_log_notification_type_check;
+ALTER TABLE notification_log ADD CONSTRAINT notification_log_notification_type_check
+    CHECK (notification_type IN (
+        -- 013_accountability_coach.sql
+        'morning_reminder',
+        'midday_reminder',
+        'afternoon_reminder',
+        'weekly_planning',
+        'workout_completed',
+        'streak_milestone',
+        'encouragement',
+        -- 060_push_notifications.sql
+        'post_ride_insight',
+        'workout_preview',
+        'recovery_flag',
+        'weekly_summary',
+        'feature_broadcast',
+        -- Preference center (new)
+        'coach_check_in',
+        'gear_alert',
+        'forum_reply',
+        'campaign',
+        'digest'
+    ));
+
+-- The original channel CHECK is inline too: notification_log_channel_check
+ALTER TABLE notification_log DROP CONSTRAINT IF EXISTS notification_log_channel_check;
+ALTER TABLE notification_log ADD CONSTRAINT notification_log_channel_check
+    CHECK (channel IN ('sms', 'push', 'in_app', 'email'));
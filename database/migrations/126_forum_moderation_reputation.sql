@@ -0,0 +1,563 @@
+-- ============================================================================
+-- Migration 126: Forum moderation, reputation and search
+--
+-- The community forum (migration 105) had a single global moderator list and
+-- no way for members to flag content. This adds:
+--
+--   reports       — members report a thread or reply (forum_reports); open
+--                   reports feed the moderator queue in the admin area
+--                   (api/admin-forum.js), which can hide, lock, warn or ban.
+--   hidden        — hidden_at on threads and posts. Hidden content is only
+--                   visible to its author and the category's moderators, and
+--                   drops out of search.
+--   sanctions     — warnings and (optionally timed) bans per user
+--                   (forum_sanctions). Banned users can't post, reply or edit.
+--   reputation    — per-user, per-category score from accepted answers and
+--                   reactions received (forum_reputation, kept by triggers).
+--                   Threads get accepted_post_id, set by the thread author.
+--   category mods — forum_category_moderators: trusted members promoted to
+--                   moderate one board. forum_moderators stays global.
+--
+-- New threads, replies and reports are created through api/forum.js so bans
+-- and the new-account rate limits (api/utils/rateLimit.js) apply; the client
+-- INSERT policies on forum_threads and forum_posts are dropped. Reads, edits,
+-- reactions and moderator pin/lock/hide stay on RLS.
+--
+-- search_forum gains a board filter, returns the matching reply's id and
+-- skips hidden content.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- A. Hidden content + accepted answers
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE forum_threads
+    ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ,
+    -- NULL with hidden_at set = auto-hidden after repeated reports
+    ADD COLUMN IF NOT EXISTS hidden_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS accepted_post_id UUID REFERENCES forum_posts(id) ON DELETE SET NULL;
+
+ALTER TABLE forum_posts
+    ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS hidden_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- ----------------------------------------------------------------------------
+-- B. Category moderators
+-- Granted from the admin moderator queue (api/admin-forum.js) to members
+-- whose reputation in that board qualifies them.
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS forum_category_moderators (
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    category_id UUID NOT NULL REFERENCES forum_categories(id) ON DELETE CASCADE,
+    granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (user_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_forum_category_moderators_category
+    ON forum_category_moderators(category_id);
+
+CREATE OR REPLACE FUNCTION user_moderates_forum_category(check_user_id UUID, check_category_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.forum_moderators WHERE user_id = check_user_id
+    ) OR EXISTS (
+        SELECT 1 FROM public.forum_category_moderators
+        WHERE user_id = check_user_id AND category_id = check_category_id
+    );
+$$;
+
+-- ----------------------------------------------------------------------------
+-- C. Reports
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS forum_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    reporter_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    thread_id UUID REFERENCES forum_threads(id) ON DELETE CASCADE,
+    post_id UUID REFERENCES forum_posts(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL CHECK (
+        reason IN ('spam', 'harassment', 'off_topic', 'misinformation', 'other')
+    ),
+    details TEXT CHECK (char_length(details) <= 1000),
+
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'actioned', 'dismissed')),
+    resolution TEXT CHECK (resolution IN ('hide', 'lock', 'warn', 'ban', 'dismiss')),
+    resolution_note TEXT,
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    -- Exactly one target (same shape as forum_reactions)
+    CHECK ((thread_id IS NULL) <> (post_id IS NULL))
+);
+
+-- One report per member per target
+CREATE UNIQUE INDEX IF NOT EXISTS idx_forum_reports_thread_unique
+    ON forum_reports(reporter_id, thread_id) WHERE thread_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_forum_reports_post_unique
+    ON forum_reports(reporter_id, post_id) WHERE post_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_forum_reports_open
+    ON forum_reports(created_at) WHERE status = 'open';
+
+-- ----------------------------------------------------------------------------
+-- D. Sanctions
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS forum_sanctions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('warning', 'ban')),
+    reason TEXT CHECK (char_length(reason) <= 1000),
+    report_id UUID REFERENCES forum_reports(id) ON DELETE SET NULL,
+    issued_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    -- Bans only; NULL = permanent
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_forum_sanctions_user
+    ON forum_sanctions(user_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION user_is_forum_banned(check_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.forum_sanctions
+        WHERE user_id = check_user_id
+          AND type = 'ban'
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+    );
+$$;
+
+-- ----------------------------------------------------------------------------
+-- E. Reputation
+-- score weights: REPUTATION_POINTS in api/utils/forumModeration.js — keep in
+-- sync. Deleting content doesn't take back reputation it already earned.
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS forum_reputation (
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    category_id UUID NOT NULL REFERENCES forum_categories(id) ON DELETE CASCADE,
+    accepted_answers INTEGER NOT NULL DEFAULT 0,
+    reactions_received INTEGER NOT NULL DEFAULT 0,
+    score INTEGER GENERATED ALWAYS AS (accepted_answers * 15 + reactions_received) STORED,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (user_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_forum_reputation_category_score
+    ON forum_reputation(category_id, score DESC);
+
+-- Explicit FK to user_profiles for PostgREST embedding (029 pattern)
+ALTER TABLE forum_reputation
+    ADD CONSTRAINT forum_reputation_user_id_profile_fkey
+    FOREIGN KEY (user_id) REFERENCES user_profiles(id) ON DELETE CASCADE;
+
+CREATE OR REPLACE FUNCTION bump_forum_reputation(
+    p_user_id UUID,
+    p_category_id UUID,
+    p_accepted INTEGER,
+    p_reactions INTEGER
+)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    INSERT INTO public.forum_reputation (user_id, category_id, accepted_answers, reactions_received)
+    VALUES (p_user_id, p_category_id, GREATEST(0, p_accepted), GREATEST(0, p_reactions))
+    ON CONFLICT (user_id, category_id) DO UPDATE SET
+        accepted_answers = GREATEST(0, forum_reputation.accepted_answers + p_accepted),
+        reactions_received = GREATEST(0, forum_reputation.reactions_received + p_reactions),
+        updated_at = NOW();
+$$;
+
+-- Reactions from others count toward the author's reputation in that board
+CREATE OR REPLACE FUNCTION update_forum_reputation_from_reaction()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    r public.forum_reactions%ROWTYPE;
+    target_author UUID;
+    target_category UUID;
+BEGIN
+    IF TG_OP = 'INSERT' THEN r := NEW; ELSE r := OLD; END IF;
+
+    IF r.thread_id IS NOT NULL THEN
+        SELECT author_id, category_id INTO target_author, target_category
+        FROM public.forum_threads WHERE id = r.thread_id;
+    ELSE
+        SELECT p.author_id, t.category_id INTO target_author, target_category
+        FROM public.forum_posts p
+        JOIN public.forum_threads t ON t.id = p.thread_id
+        WHERE p.id = r.post_id;
+    END IF;
+
+    -- Target already gone (cascade delete) or a self-reaction
+    IF target_author IS NULL OR target_author = r.user_id THEN
+        RETURN r;
+    END IF;
+
+    PERFORM public.bump_forum_reputation(
+        target_author, target_category, 0,
+        CASE WHEN TG_OP = 'INSERT' THEN 1 ELSE -1 END
+    );
+    RETURN r;
+END;
+$$;
+
+CREATE TRIGGER trigger_update_forum_reputation_from_reaction
+    AFTER INSERT OR DELETE ON forum_reactions
+    FOR EACH ROW EXECUTE FUNCTION update_forum_reputation_from_reaction();
+
+-- Accepting (or un-accepting) a reply moves an accepted answer between authors
+CREATE OR REPLACE FUNCTION update_forum_reputation_from_answer()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    answer_author UUID;
+BEGIN
+    IF OLD.accepted_post_id IS NOT NULL THEN
+        SELECT author_id INTO answer_author FROM public.forum_posts WHERE id = OLD.accepted_post_id;
+        IF answer_author IS NOT NULL AND answer_author <> OLD.author_id THEN
+            PERFORM public.bump_forum_reputation(answer_author, OLD.category_id, -1, 0);
+        END IF;
+    END IF;
+
+    IF NEW.accepted_post_id IS NOT NULL THEN
+        SELECT author_id INTO answer_author FROM public.forum_posts WHERE id = NEW.accepted_post_id;
+        IF answer_author IS NOT NULL AND answer_author <> NEW.author_id THEN
+            PERFORM public.bump_forum_reputation(answer_author, NEW.category_id, 1, 0);
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER trigger_update_forum_reputation_from_answer
+    AFTER UPDATE OF accepted_post_id ON forum_threads
+    FOR EACH ROW
+    WHEN (OLD.accepted_post_id IS DISTINCT FROM NEW.accepted_post_id)
+    EXECUTE FUNCTION update_forum_reputation_from_answer();
+
+-- Backfill reactions received so far (no accepted answers exist yet)
+INSERT INTO forum_reputation (user_id, category_id, reactions_received)
+SELECT author_id, category_id, COUNT(*)
+FROM (
+    SELECT t.author_id, t.category_id
+    FROM forum_reactions r
+    JOIN forum_threads t ON t.id = r.thread_id
+    WHERE r.user_id <> t.author_id
+    UNION ALL
+    SELECT p.author_id, t.category_id
+    FROM forum_reactions r
+    JOIN forum_posts p ON p.id = r.post_id
+    JOIN forum_threads t ON t.id = p.thread_id
+    WHERE r.user_id <> p.author_id
+) received
+GROUP BY author_id, category_id
+ON CONFLICT (user_id, category_id) DO UPDATE SET
+    reactions_received = EXCLUDED.reactions_received,
+    updated_at = NOW();
+
+-- ----------------------------------------------------------------------------
+-- F. Update guard
+-- RLS lets authors update their own rows and moderators any row in their
+-- boards; this narrows what each may change. Service role is exempt.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION guard_forum_content_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    content_category UUID;
+BEGIN
+    IF auth.role() = 'service_role' THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_TABLE_NAME = 'forum_threads' THEN
+        content_category := OLD.category_id;
+    ELSE
+        SELECT category_id INTO content_category FROM public.forum_threads WHERE id = OLD.thread_id;
+    END IF;
+
+    IF (OLD.hidden_at IS DISTINCT FROM NEW.hidden_at OR OLD.hidden_by IS DISTINCT FROM NEW.hidden_by)
+       AND NOT public.user_moderates_forum_category(auth.uid(), content_category) THEN
+        RAISE EXCEPTION 'Only moderators can hide or unhide forum content';
+    END IF;
+
+    IF OLD.author_id = auth.uid() AND public.user_is_forum_banned(auth.uid()) THEN
+        RAISE EXCEPTION 'You are banned from posting in the forum';
+    END IF;
+
+    IF TG_TABLE_NAME = 'forum_threads'
+       AND NEW.accepted_post_id IS DISTINCT FROM OLD.accepted_post_id
+       AND NEW.accepted_post_id IS NOT NULL
+       AND NOT EXISTS (
+           SELECT 1 FROM public.forum_posts
+           WHERE id = NEW.accepted_post_id AND thread_id = NEW.id
+       ) THEN
+        RAISE EXCEPTION 'The accepted answer must be a reply in this thread';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER trigger_guard_forum_thread_update
+    BEFORE UPDATE ON forum_threads
+    FOR EACH ROW EXECUTE FUNCTION guard_forum_content_update();
+
+CREATE TRIGGER trigger_guard_forum_post_update
+    BEFORE UPDATE ON forum_posts
+    FOR EACH ROW EXECUTE FUNCTION guard_forum_content_update();
+
+-- ----------------------------------------------------------------------------
+-- G. Row level security
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE forum_category_moderators ENABLE ROW LEVEL SECURITY;
+ALTER TABLE forum_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE forum_sanctions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE forum_reputation ENABLE ROW LEVEL SECURITY;
+
+-- New content goes through api/forum.js (bans + rate limits)
+DROP POLICY IF EXISTS "Users can create threads" ON forum_threads;
+DROP POLICY IF EXISTS "Users can reply to unlocked threads" ON forum_posts;
+
+-- Hidden content: author and the board's moderators only
+DROP POLICY IF EXISTS "Authenticated users can view threads" ON forum_threads;
+CREATE POLICY "Authenticated users can view visible threads"
+    ON forum_threads FOR SELECT
+    TO authenticated
+    USING (
+        hidden_at IS NULL
+        OR author_id = auth.uid()
+        OR user_moderates_forum_category(auth.uid(), category_id)
+    );
+
+DROP POLICY IF EXISTS "Authenticated users can view posts" ON forum_posts;
+CREATE POLICY "Authenticated users can view visible posts"
+    ON forum_posts FOR SELECT
+    TO authenticated
+    USING (
+        hidden_at IS NULL
+        OR author_id = auth.uid()
+        OR EXISTS (
+            SELECT 1 FROM forum_threads t
+            WHERE t.id = thread_id
+            AND user_moderates_forum_category(auth.uid(), t.category_id)
+        )
+    );
+
+-- Moderator powers now cover category moderators for their boards
+DROP POLICY IF EXISTS "Moderators can update any thread" ON forum_threads;
+CREATE POLICY "Moderators can update threads in their boards"
+    ON forum_threads FOR UPDATE
+    TO authenticated
+    USING (user_moderates_forum_category(auth.uid(), category_id))
+    WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Moderators can delete any thread" ON forum_threads;
+CREATE POLICY "Moderators can delete threads in their boards"
+    ON forum_threads FOR DELETE
+    TO authenticated
+    USING (user_moderates_forum_category(auth.uid(), category_id));
+
+CREATE POLICY "Moderators can update posts in their boards"
+    ON forum_posts FOR UPDATE
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM forum_threads t
+            WHERE t.id = thread_id
+            AND user_moderates_forum_category(auth.uid(), t.category_id)
+        )
+    )
+    WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Moderators can delete any post" ON forum_posts;
+CREATE POLICY "Moderators can delete posts in their boards"
+    ON forum_posts FOR DELETE
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM forum_threads t
+            WHERE t.id = thread_id
+            AND user_moderates_forum_category(auth.uid(), t.category_id)
+        )
+    );
+
+CREATE POLICY "Authenticated users can view category moderators"
+    ON forum_category_moderators FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Users can view their reports"
+    ON forum_reports FOR SELECT
+    TO authenticated
+    USING (reporter_id = auth.uid());
+
+CREATE POLICY "Users can view their sanctions"
+    ON forum_sanctions FOR SELECT
+    TO authenticated
+    USING (user_id = auth.uid());
+
+CREATE POLICY "Authenticated users can view reputation"
+    ON forum_reputation FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Service role full access to forum category moderators"
+    ON forum_category_moderators FOR ALL
+    USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to forum reports"
+    ON forum_reports FOR ALL
+    USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to forum sanctions"
+    ON forum_sanctions FOR ALL
+    USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role full access to forum reputation"
+    ON forum_reputation FOR ALL
+    USING (auth.role() = 'service_role');
+
+GRANT SELECT ON forum_category_moderators TO authenticated;
+GRANT SELECT ON forum_reports TO authenticated;
+GRANT SELECT ON forum_sanctions TO authenticated;
+GRANT SELECT ON forum_reputation TO authenticated;
+
+GRANT ALL ON forum_category_moderators TO service_role;
+GRANT ALL ON forum_reports TO service_role;
+GRANT ALL ON forum_sanctions TO service_role;
+GRANT ALL ON forum_reputation TO service_role;
+
+-- Reputation is only written by the triggers above; a direct call to the
+-- SECURITY DEFINER helpers would let members award themselves points.
+REVOKE EXECUTE ON FUNCTION bump_forum_reputation(UUID, UUID, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION update_forum_reputation_from_reaction() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION update_forum_reputation_from_answer() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION bump_forum_reputation(UUID, UUID, INTEGER, INTEGER) TO service_role;
+
+GRANT EXECUTE ON FUNCTION user_moderates_forum_category(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION user_is_forum_banned(UUID) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- H. Search: board filter, matching reply id, hidden content excluded
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS search_forum(TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_forum(
+    search_query TEXT,
+    max_results INTEGER DEFAULT 20,
+    filter_category_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    thread_id UUID,
+    post_id UUID,
+    title TEXT,
+    category_id UUID,
+    snippet TEXT,
+    rank REAL,
+    matched_in TEXT,
+    reply_count INTEGER,
+    last_activity_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    WITH q AS (
+        SELECT websearch_to_tsquery('english', search_query) AS tsq
+    ),
+    thread_matches AS (
+        SELECT
+            t.id AS thread_id,
+            NULL::UUID AS post_id,
+            t.title,
+            t.category_id,
+            ts_headline('english', t.body, q.tsq,
+                'MaxWords=25, MinWords=10, MaxFragments=1') AS snippet,
+            ts_rank(t.search_tsv, q.tsq) AS rank,
+            'thread'::TEXT AS matched_in,
+            t.reply_count,
+            t.last_activity_at
+        FROM public.forum_threads t, q
+        WHERE t.search_tsv @@ q.tsq
+          AND t.hidden_at IS NULL
+          AND (filter_category_id IS NULL OR t.category_id = filter_category_id)
+    ),
+    post_matches AS (
+        SELECT DISTINCT ON (p.thread_id)
+            p.thread_id,
+            p.id AS post_id,
+            t.title,
+            t.category_id,
+            ts_headline('english', p.body, q.tsq,
+                'MaxWords=25, MinWords=10, MaxFragments=1') AS snippet,
+            ts_rank(p.search_tsv, q.tsq) AS rank,
+            'reply'::TEXT AS matched_in,
+            t.reply_count,
+            t.last_activity_at
+        FROM public.forum_posts p
+        JOIN public.forum_threads t ON t.id = p.thread_id, q
+        WHERE p.search_tsv @@ q.tsq
+          AND p.hidden_at IS NULL
+          AND t.hidden_at IS NULL
+          AND (filter_category_id IS NULL OR t.category_id = filter_category_id)
+        ORDER BY p.thread_id, ts_rank(p.search_tsv, q.tsq) DESC
+    ),
+    combined AS (
+        SELECT * FROM thread_matches
+        UNION ALL
+        SELECT * FROM post_matches pm
+        WHERE NOT EXISTS (
+            SELECT 1 FROM thread_matches tm WHERE tm.thread_id = pm.thread_id
+        )
+    )
+    SELECT * FROM combined
+    ORDER BY rank DESC, last_activity_at DESC
+    LIMIT LEAST(GREATEST(max_results, 1), 50);
+$$;
+
+GRANT EXECUTE ON FUNCTION search_forum(TEXT, INTEGER, UUID) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- I. Comments
+-- ----------------------------------------------------------------------------
+
+COMMENT ON TABLE forum_category_moderators IS 'Members who moderate one forum board (global moderators: forum_moderators)';
+COMMENT ON TABLE forum_reports IS 'Member reports on threads/replies; open ones feed the admin moderator queue';
+COMMENT ON TABLE forum_sanctions IS 'Forum warnings and bans (expires_at NULL = permanent ban)';
+COMMENT ON TABLE forum_reputation IS 'Per-board reputation: 15 per accepted answer + 1 per reaction received; kept by triggers';
+COMMENT ON COLUMN forum_threads.accepted_post_id IS 'Reply the thread author marked as the answer';
+COMMENT ON COLUMN forum_threads.hidden_at IS 'Hidden by a moderator (or auto-hidden after repeated reports when hidden_by is NULL)';
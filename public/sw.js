@@ -1,14 +1,143 @@
 // =============================================================================
-// PUSH-ONLY SERVICE WORKER — tribos.studio
+// SERVICE WORKER — tribos.studio (push notifications + network-first offline)
 // =============================================================================
-// IMPORTANT: This SW handles push notifications ONLY.
-// DO NOT add fetch event listeners, precaching, or route interception.
-// DO NOT import Workbox or any caching library.
+// IMPORTANT: This SW must NEVER precache and NEVER serve a cached response
+// while the network is reachable. Every intercepted request goes to the
+// network first; caches are only a fallback when fetch() rejects (offline).
+// DO NOT add an install-time precache list, cache-first strategies for app
+// code, or import Workbox or any caching library.
 //
 // History: A precaching SW caused an 18-hour production outage on March 13, 2026.
-// See docs/postmortem-2026-03-13-cloudflare-pwa-outage.md for details.
+// See docs/postmortem-2026-03-13-cloudflare-pwa-outage.md for details. The
+// offline support below follows its rule: "use NetworkFirst for everything
+// and never precache JS".
+//
+// What is intercepted (GET only):
+//   - Navigations            → network, else the last app shell
+//   - /assets/*              → network, else the copy from the last online visit
+//   - Mapbox styles/fonts    → network, else the last copy
+//   - Mapbox tiles           → network, else OFFLINE_TILE_CACHE, which the page
+//                              fills with the route corridor
+//                              (src/lib/offline/tileCorridor.ts)
+// Everything else (/api/*, Supabase, non-GET) is not intercepted at all.
+// Offline data snapshots (tribos-offline-data-*) are written and read by the
+// page (src/lib/offline/offlineData.ts); this worker only preserves them.
 // =============================================================================
 
+const SHELL_CACHE = 'tribos-shell-v1';
+const ASSET_CACHE = 'tribos-assets-v1';
+const MAP_STATIC_CACHE = 'tribos-map-static-v1';
+const OFFLINE_TILE_CACHE = 'tribos-map-tiles-v1';
+const OFFLINE_DATA_CACHE = 'tribos-offline-data-v1';
+const KNOWN_CACHES = [SHELL_CACHE, ASSET_CACHE, MAP_STATIC_CACHE, OFFLINE_TILE_CACHE, OFFLINE_DATA_CACHE];
+
+const SHELL_KEY = '/__shell__';
+const MAX_ASSET_ENTRIES = 150;
+const MAX_MAP_STATIC_ENTRIES = 200;
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith('tribos-') && !KNOWN_CACHES.includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/') || url.pathname === '/sw.js') return;
+    if (request.mode === 'navigate') {
+      event.respondWith(networkFirst(request, SHELL_CACHE, { key: SHELL_KEY, isValid: isHtml }));
+      return;
+    }
+    if (url.pathname.startsWith('/assets/')) {
+      // The SPA rewrite answers a missing chunk with index.html — never keep that.
+      event.respondWith(
+        networkFirst(request, ASSET_CACHE, { isValid: (res) => !isHtml(res), maxEntries: MAX_ASSET_ENTRIES })
+      );
+    }
+    return;
+  }
+
+  if (url.hostname === 'api.mapbox.com') {
+    if (url.pathname.startsWith('/styles/') || url.pathname.startsWith('/fonts/') || url.pathname.endsWith('.json')) {
+      event.respondWith(
+        networkFirst(request, MAP_STATIC_CACHE, { ignoreSearch: true, maxEntries: MAX_MAP_STATIC_ENTRIES })
+      );
+      return;
+    }
+    if (url.pathname.startsWith('/v4/')) {
+      event.respondWith(networkWithTileFallback(request));
+    }
+  }
+});
+
+function isHtml(response) {
+  return (response.headers.get('Content-Type') || '').includes('text/html');
+}
+
+/**
+ * Network first. Successful responses are copied into `cacheName`; when the
+ * network is unreachable the cached copy (if any) is served instead.
+ */
+async function networkFirst(request, cacheName, { key, isValid, ignoreSearch = false, maxEntries } = {}) {
+  try {
+    const response = await fetch(request);
+    if (response.ok && (!isValid || isValid(response))) {
+      const copy = response.clone();
+      caches
+        .open(cacheName)
+        .then(async (cache) => {
+          await cache.put(key || request, copy);
+          if (maxEntries) await trimCache(cache, maxEntries);
+        })
+        .catch(() => {});
+    }
+    return response;
+  } catch (err) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key || request, { ignoreSearch });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/** Tiles are never written here — only the page's corridor cache is read. */
+async function networkWithTileFallback(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const cache = await caches.open(OFFLINE_TILE_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/** Drop the oldest entries (insertion order) beyond `maxEntries`. */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - maxEntries; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
 self.addEventListener('push', (event) => {
   if (!event.data) return;
 
@@ -32,6 +32,8 @@ const PlannerPage = lazy(() => import('./pages/PlannerPage.tsx'));
 const Settings = lazy(() => import('./pages/Settings.jsx'));
 const CommunityPage = lazy(() => import('./pages/CommunityPage.jsx'));
 const GearPage = lazy(() => import('./pages/GearPage.jsx'));
+const CoachWorkspace = lazy(() => import('./pages/CoachWorkspace.tsx'));
+const CoachAthletePage = lazy(() => import('./pages/CoachAthletePage.tsx'));
 const Admin = lazy(() => import('./pages/Admin.jsx'));
 const InternalMetricsAudit = lazy(() => import('./pages/InternalMetricsAudit.tsx'));
 const MyRoutes = lazy(() => import('./pages/MyRoutes.jsx'));
@@ -371,6 +373,22 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/coach"
+        element={
+          <ProtectedRoute>
+            <CoachWorkspace />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/coach/athletes/:athleteId"
+        element={
+          <ProtectedRoute>
+            <CoachAthletePage />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/community"
         element={
@@ -23,12 +23,15 @@ import {
   Bell,
   Warning,
   WarningCircle,
+  Clipboard,
 } from '@phosphor-icons/react';
 import { useAuth } from '../contexts/AuthContext.jsx';
 import { supabase } from '../lib/supabase';
 import LifecycleOverlays from './LifecycleOverlays.jsx';
 import { useGear } from '../hooks/useGear.ts';
 import { useActivation } from '../hooks/useActivation.ts';
+import { useNotificationPreferences } from '../hooks/useNotificationPreferences.ts';
+import { registerSessionCustomWorkouts } from '../hooks/useCustomWorkouts.ts';
 import { formatDistance } from '../utils/units';
 import { ListChecks } from '@phosphor-icons/react';
 
@@ -53,6 +56,14 @@ function AppShell({ children, fullWidth = false, hideNav = false }) {
 
   // Gear maintenance alerts for notification bell
   const { alerts: gearAlerts = [], dismissAlert: dismissGearAlert } = useGear({ userId: user?.id, alertsOnly: true });
+  const { isEnabled: isNotificationEnabled } = useNotificationPreferences(user?.id);
+
+  // Register the rider's builder-made workouts so custom_ ids resolve on
+  // every page (Today, plans), not only after the calendar loads them.
+  // Fetched once per session, not per page.
+  useEffect(() => {
+    registerSessionCustomWorkouts(user?.id);
+  }, [user?.id]);
 
   // Activation guide — undismiss support
   const { isDismissed: guideIsDismissed, isComplete: guideIsComplete, undismissGuide } = useActivation(user?.id);
@@ -211,7 +222,7 @@ function AppShell({ children, fullWidth = false, hideNav = false }) {
               {user ? (
                 <Group gap="sm">
                   <NotificationBell
-                    gearAlerts={gearAlerts}
+                    gearAlerts={isNotificationEnabled('gear_alert', 'in_app') ? gearAlerts : []}
                     onDismissAlert={dismissGearAlert}
                     navigate={navigate}
                   />
@@ -446,6 +457,12 @@ function AvatarDropdown({ initials, colorScheme, toggleColorScheme, onSignOut, n
         >
           Cafe
         </Menu.Item>
+        <Menu.Item
+          leftSection={<Clipboard size={18} />}
+          onClick={() => navigate('/coach')}
+        >
+          Coach workspace
+        </Menu.Item>
         {showChecklist && (
           <Menu.Item
             leftSection={<ListChecks size={18} />}
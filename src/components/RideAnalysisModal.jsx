@@ -35,6 +35,7 @@ import ColoredRouteMap from './ColoredRouteMap';
 import RideStreamsChart from './RideStreamsChart';
 import RideZonesChart from './RideZonesChart';
 import RidePacingChart from './RidePacingChart';
+import RideWPrimeBalanceChart from './RideWPrimeBalanceChart';
 import { trackFeature, EventType } from '../utils/activityTracking';
 import { isPowerSport, isRunningActivity, getActivityNoun, getLoadLabel } from '../utils/sportType';
 import { buildRideSummary } from '../utils/rideSummary';
@@ -723,6 +724,14 @@ const RideAnalysisModal = ({
           </>
         )}
 
+        {/* W′ Balance — how deep the anaerobic reserve was drained */}
+        {ride.ride_analytics?.w_prime_balance && hasPowerData && (
+          <>
+            <Divider label="W′ Balance" labelPosition="center" />
+            <RideWPrimeBalanceChart activity={ride} />
+          </>
+        )}
+
         {/* Heart Rate Section */}
         {hasHRData && (
           <>
@@ -0,0 +1,124 @@
+import { useMemo } from 'react';
+import { Text, Paper, SimpleGrid, Stack } from '@mantine/core';
+import {
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as RechartsTooltip,
+  ResponsiveContainer,
+  ReferenceLine,
+} from 'recharts';
+import { formatElapsed } from '../utils/streamChartData';
+
+/**
+ * Describe how deep the ride went, from the lowest W′bal point
+ */
+function describeDepth(minPct) {
+  if (minPct <= 5) return 'Emptied the tank';
+  if (minPct <= 25) return 'Dug deep';
+  if (minPct <= 50) return 'Solid surges';
+  return 'Stayed in reserve';
+}
+
+/**
+ * Custom tooltip
+ */
+const WbalTooltip = ({ active, payload }) => {
+  if (!active || !payload || payload.length === 0) return null;
+  const data = payload[0]?.payload;
+  if (!data) return null;
+
+  return (
+    <Paper p="xs" withBorder style={{ backgroundColor: 'var(--color-bg-secondary)' }}>
+      <Text size="xs" fw={600}>{formatElapsed(data.t)}</Text>
+      <Text size="xs" ff="monospace">{data.pct.toFixed(1)}% W′ left</Text>
+    </Paper>
+  );
+};
+
+/**
+ * RideWPrimeBalanceChart — anaerobic reserve (W′bal) over the ride,
+ * from ride_analytics.w_prime_balance (computed server-side).
+ */
+const RideWPrimeBalanceChart = ({ activity }) => {
+  const wbal = activity?.ride_analytics?.w_prime_balance;
+
+  const chartData = useMemo(() => {
+    const pct = wbal?.stream?.pct;
+    const interval = wbal?.stream?.interval_sec;
+    if (!Array.isArray(pct) || pct.length < 2 || !interval) return null;
+    return pct.map((value, i) => ({ t: i * interval, pct: value }));
+  }, [wbal]);
+
+  if (!chartData) return null;
+
+  const minPct = wbal.min_wbal_pct;
+
+  return (
+    <Stack gap="xs">
+      <SimpleGrid cols={{ base: 2, sm: 4 }} spacing="xs">
+        <Paper p="xs" style={{ backgroundColor: 'var(--color-bg-secondary)' }}>
+          <Text size="xs" style={{ color: 'var(--color-text-muted)' }}>Lowest W′bal</Text>
+          <Text size="sm" fw={600} style={{ color: minPct <= 25 ? 'var(--color-coral)' : 'inherit' }}>
+            {Math.round(minPct)}%
+          </Text>
+          <Text size="xs" style={{ color: 'var(--color-text-muted)' }}>
+            {describeDepth(minPct)} at {formatElapsed(wbal.min_wbal_at_sec)}
+          </Text>
+        </Paper>
+        <Paper p="xs" style={{ backgroundColor: 'var(--color-bg-secondary)' }}>
+          <Text size="xs" style={{ color: 'var(--color-text-muted)' }}>Time below 25%</Text>
+          <Text size="sm" fw={600}>{formatElapsed(wbal.time_below_25pct_sec)}</Text>
+        </Paper>
+        <Paper p="xs" style={{ backgroundColor: 'var(--color-bg-secondary)' }}>
+          <Text size="xs" style={{ color: 'var(--color-text-muted)' }}>Full depletions</Text>
+          <Text size="sm" fw={600}>{wbal.full_depletions}</Text>
+        </Paper>
+        <Paper p="xs" style={{ backgroundColor: 'var(--color-bg-secondary)' }}>
+          <Text size="xs" style={{ color: 'var(--color-text-muted)' }}>Model</Text>
+          <Text size="sm" fw={600}>CP {wbal.cp_watts}W</Text>
+          <Text size="xs" style={{ color: 'var(--color-text-muted)' }}>
+            W′ {(wbal.w_prime_j / 1000).toFixed(1)} kJ
+          </Text>
+        </Paper>
+      </SimpleGrid>
+
+      <ResponsiveContainer width="100%" height={160}>
+        <AreaChart data={chartData} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="var(--color-bg-secondary)" />
+          <XAxis
+            dataKey="t"
+            type="number"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={formatElapsed}
+            tick={{ fontSize: 11, fill: 'var(--color-text-muted)' }}
+          />
+          <YAxis
+            tick={{ fontSize: 11, fill: 'var(--color-text-muted)' }}
+            width={40}
+            domain={[Math.min(0, Math.floor(minPct)), 100]}
+            tickFormatter={(v) => `${v}%`}
+          />
+          <RechartsTooltip content={<WbalTooltip />} />
+          <ReferenceLine y={25} stroke="var(--color-coral)" strokeDasharray="4 4" />
+          <Area
+            type="monotone"
+            dataKey="pct"
+            stroke="var(--color-teal)"
+            fill="var(--color-teal)"
+            fillOpacity={0.25}
+            isAnimationActive={false}
+          />
+        </AreaChart>
+      </ResponsiveContainer>
+
+      <Text size="xs" c="dimmed">
+        Anaerobic reserve left over the ride — below the dashed line you were deep in the red
+      </Text>
+    </Stack>
+  );
+};
+
+export default RideWPrimeBalanceChart;
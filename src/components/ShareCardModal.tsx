@@ -3,7 +3,8 @@
  *
  * Renders the card on a full-resolution canvas (scaled down via CSS for the
  * preview) and offers native share / PNG download / clipboard copy. All
- * rendering is client-side; see src/utils/shareCard/.
+ * rendering is client-side; see src/utils/shareCard/. The map draws the track
+ * with the rider's privacy zones cut out, and is left off if that fails.
  */
 import { useEffect, useMemo, useRef, useState } from 'react';
 import {
@@ -23,12 +24,15 @@ import { notifications } from '@mantine/notifications';
 import { CopySimple, DownloadSimple, ShareNetwork } from '@phosphor-icons/react';
 import {
   CARD_DIMENSIONS,
+  getRouteCoords,
   hasRoutePolyline,
   renderShareCard,
   type CardFormat,
   type ShareCardMetrics,
 } from '../utils/shareCard/renderShareCard';
 import type { CardTheme } from '../utils/shareCard/staticMap';
+import type { LngLat } from '../utils/shareCard/geometry';
+import { maskTrackForSharing } from '../utils/privacyZones';
 import {
   canvasToBlob,
   copyBlobToClipboard,
@@ -74,6 +78,9 @@ const ShareCardModal = ({
   const [mapFellBack, setMapFellBack] = useState(false);
   const [exportError, setExportError] = useState<string | null>(null);
   const [blob, setBlob] = useState<Blob | null>(null);
+  // undefined while masking, null if masking failed, [] if nothing survives.
+  const [maskedCoords, setMaskedCoords] = useState<LngLat[] | null | undefined>(undefined);
+  const mapAvailable = hasGps && Array.isArray(maskedCoords) && maskedCoords.length >= 2;
 
   const capabilities = useMemo(() => getShareCapabilities(), []);
   const filename = useMemo(
@@ -87,10 +94,23 @@ const ShareCardModal = ({
     }
   }, [opened, ride?.id]);
 
+  useEffect(() => {
+    if (!opened || !ride || !hasGps) return undefined;
+    let cancelled = false;
+    setMaskedCoords(undefined);
+    maskTrackForSharing(getRouteCoords(ride)).then((coords) => {
+      if (!cancelled) setMaskedCoords(coords as LngLat[] | null);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [opened, ride, hasGps]);
+
   // Re-render the card (debounced — every option change with the map on is a
   // fresh Mapbox Static Images request; identical URLs hit the browser cache).
   useEffect(() => {
     if (!opened || !ride) return undefined;
+    if (hasGps && showMap && maskedCoords === undefined) return undefined;
     const canvas = canvasRef.current;
     if (!canvas) return undefined;
 
@@ -109,8 +129,9 @@ const ShareCardModal = ({
           formatSpeed,
           theme,
           format,
-          showMap: showMap && hasGps,
+          showMap: showMap && mapAvailable,
           trim_m,
+          coords: mapAvailable ? maskedCoords : undefined,
         });
         if (cancelled) return;
         setMapFellBack(result.mapFellBack);
@@ -136,7 +157,7 @@ const ShareCardModal = ({
       cancelled = true;
       clearTimeout(timer);
     };
-  }, [opened, ride, metrics, formatDistance, formatElevation, formatSpeed, theme, format, showMap, hasGps, trim_m]);
+  }, [opened, ride, metrics, formatDistance, formatElevation, formatSpeed, theme, format, showMap, hasGps, trim_m, maskedCoords, mapAvailable]);
 
   const handleShare = async () => {
     if (!blob) return;
@@ -214,7 +235,7 @@ const ShareCardModal = ({
               Privacy trim
             </Text>
             <Text size="xs" c="dimmed" mb="xs">
-              Hides this many meters at the start and end of the route.
+              Hides this many meters at the start and end of the route, on top of your privacy zones.
             </Text>
             <Slider
               value={trim_m}
@@ -234,6 +255,15 @@ const ShareCardModal = ({
           </Box>
         )}
 
+        {showMap && hasGps && maskedCoords !== undefined && !mapAvailable && (
+          <Alert color="yellow" variant="light" p="xs">
+            <Text size="xs">
+              {maskedCoords === null
+                ? "Your privacy zones couldn't be applied, so the map is hidden."
+                : 'This route sits inside your privacy zones, so the map is hidden.'}
+            </Text>
+          </Alert>
+        )}
         {mapFellBack && showMap && hasGps && (
           <Alert color="yellow" variant="light" p="xs">
             <Text size="xs">The route map couldn&apos;t be loaded — showing a stats-only card.</Text>
@@ -37,7 +37,8 @@ import { useCrossTraining, ACTIVITY_CATEGORIES } from '../hooks/useCrossTraining
 import CrossTrainingModal from './CrossTrainingModal';
 import { WorkoutModal } from './planner/WorkoutModal';
 import { WorkoutLibrarySidebar } from './planner/WorkoutLibrarySidebar';
-import { ArrowsLeftRight, Barbell, Bicycle, CalendarBlank, CalendarX, CaretDown, CaretLeft, CaretRight, Check, Circle, Clock, Cloud, CloudLightning, CloudRain, CloudSun, DotsSixVertical, Fire, Heartbeat, Moon, Path, PencilSimple, PersonSimpleRun, PersonSimpleWalk, Plus, Snowflake, Sun, Trash, TrendUp, Trophy, Wind, X } from '@phosphor-icons/react';
+import { WorkoutBuilderModal } from './planner/WorkoutBuilderModal';
+import { ArrowsLeftRight, Barbell, Bicycle, CalendarBlank, CalendarX, CaretDown, CaretLeft, CaretRight, Check, Circle, Clock, Cloud, CloudLightning, CloudRain, CloudSun, DotsSixVertical, Fire, Heartbeat, Moon, Path, PencilSimple, PersonSimpleRun, PersonSimpleWalk, Plus, Snowflake, Sun, Trash, TrendUp, Trophy, Users, Wind, X } from '@phosphor-icons/react';
 import { useWeatherForecast } from '../hooks/useWeatherForecast';
 import { useRouteBuilderStore } from '../stores/routeBuilderStore';
 import { getWeatherSeverity, formatTemperature } from '../utils/weather';
@@ -45,20 +46,40 @@ import { buildWorkoutRouteHref } from '../utils/workoutRouteHref';
 import { buildLibraryWorkoutRow, computeWeekNumber } from '../utils/plannedWorkoutFromLibrary';
 import { useActivityAutoLink } from '../hooks/useActivityAutoLink';
 import { useUserAvailability } from '../hooks/useUserAvailability';
+import { useCustomWorkouts } from '../hooks/useCustomWorkouts';
+import { importWorkoutFile, detectWorkoutFormat } from '../utils/workoutImport';
+import { buildCustomWorkout } from '../utils/workoutBuilder';
 import { useTrainingPlan } from '../hooks/useTrainingPlan';
 import { AvailabilitySettings } from './settings/AvailabilitySettings';
 import { useWorkoutAdaptations } from '../hooks/useWorkoutAdaptations';
 import { AdaptationInsightsPanel } from './planner/AdaptationInsightsPanel';
 import { AdaptationFeedbackModal } from './planner/AdaptationFeedbackModal';
 import { shouldPromptForFeedback } from '../utils/adaptationTrigger';
+import { fetchMyCafeEvents, rsvpToCafeEvent } from '../hooks/useCafeEvents';
+import { GroupRideModal } from './planner/GroupRideModal';
 
 /**
  * Enhanced Training Calendar Component
  * Displays monthly calendar with planned workouts, completed rides,
  * weekly summaries, race goals, and workout editing capabilities
+ *
+ * @param {Object} props
+ * @param {Object|null} props.activePlan - Active training plan row
+ * @param {Array<Object>} [props.rides] - Completed activities to overlay
+ * @param {(km: number) => string} [props.formatDistance]
+ * @param {number|null} [props.ftp]
+ * @param {() => void} [props.onPlanUpdated]
+ * @param {boolean} [props.isImperial]
+ * @param {number} [props.refreshKey] - Bump to force a reload of planned workouts
+ * @param {string|null} [props.athleteUserId] - Show another user's calendar (coach workspace); defaults to the signed-in user
  */
-const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistanceProp, ftp, onPlanUpdated, isImperial = false, refreshKey = 0 }) => {
+const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistanceProp, ftp, onPlanUpdated, isImperial = false, refreshKey = 0, athleteUserId = null }) => {
   const { user } = useAuth();
+  // Whose calendar this is. A coach opens an athlete's calendar by passing
+  // athleteUserId; reads and writes then go through the coach RLS policies
+  // (migration 114), which audit every planned_workouts change.
+  const calendarUserId = athleteUserId || user?.id;
+  const isCoaching = Boolean(athleteUserId) && athleteUserId !== user?.id;
   const navigate = useNavigate();
 
   // Weather forecast for calendar days
@@ -111,6 +132,10 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
 
   // Race goals state
   const [raceGoals, setRaceGoals] = useState([]);
+
+  // Café group rides (own calendar only)
+  const [groupRides, setGroupRides] = useState([]);
+  const [selectedGroupRide, setSelectedGroupRide] = useState(null);
   const [raceGoalModalOpen, setRaceGoalModalOpen] = useState(false);
   const [selectedRaceGoal, setSelectedRaceGoal] = useState(null);
 
@@ -143,6 +168,13 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
   // Mobile tap-to-assign: the library workout the user picked to drop on a day.
   const [selectedWorkoutId, setSelectedWorkoutId] = useState(null);
 
+  // User-built workouts. Loading registers them with the workout library, so
+  // getWorkoutById resolves them for drops, the modal and plan export. When
+  // coaching these are the athlete's (read-only) workouts.
+  const { customWorkouts, saveCustomWorkout, deleteCustomWorkout } = useCustomWorkouts(calendarUserId);
+  const [builderOpen, setBuilderOpen] = useState(false);
+  const [builderWorkoutId, setBuilderWorkoutId] = useState(null);
+
   // Helper to get plan start date (supports both old and new schema)
   const getPlanStartDate = (plan) => plan?.started_at || plan?.start_date;
 
@@ -153,13 +185,14 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
   // a reload when workouts are added externally; activePlan?.id stays in deps so the
   // view also reloads when the active plan switches.
   useEffect(() => {
-    if (!user?.id) return;
+    if (!calendarUserId) return;
     loadPlannedWorkouts();
-  }, [user?.id, activePlan?.id, anchorDate, refreshKey]);
+  }, [calendarUserId, activePlan?.id, anchorDate, refreshKey]);
 
   // Auto-link completed cycling rides to planned workouts on the same day.
+  // Linking rides is the athlete's own bookkeeping — never done from a coach view.
   useActivityAutoLink({
-    userId: user?.id,
+    userId: isCoaching ? null : calendarUserId,
     activities: rides,
     plannedWorkouts,
     ftp,
@@ -177,10 +210,10 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
     weeklyAvailability,
     dateOverrides,
     preferences: availabilityPreferences,
-  } = useUserAvailability({ userId: user?.id, autoLoad: true });
+  } = useUserAvailability({ userId: calendarUserId, autoLoad: true });
   // autoLoad so the hook holds its own active plan + workouts, which
   // reshufflePlan reads from internally.
-  const { reshufflePlan } = useTrainingPlan({ userId: user?.id, autoLoad: true });
+  const { reshufflePlan } = useTrainingPlan({ userId: calendarUserId, autoLoad: true });
 
   // Adaptation insights + feedback (ported from the planner)
   const [adaptationsOpen, setAdaptationsOpen] = useState(false);
@@ -196,7 +229,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
     updateAdaptationFeedback,
     dismissInsight,
     applyInsight,
-  } = useWorkoutAdaptations({ userId: user?.id });
+  } = useWorkoutAdaptations({ userId: calendarUserId });
 
   // The insights panel summarizes the *current* week (Monday of this week),
   // independent of the 4-week scroll anchor.
@@ -212,12 +245,12 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
 
   // Fetch adaptations + week summary for the current week
   useEffect(() => {
-    if (!user?.id) return;
+    if (!calendarUserId) return;
     const weekEnd = new Date(currentWeekStart);
     weekEnd.setDate(weekEnd.getDate() + 14); // fetch 2 weeks
     fetchAdaptations({ weekStart: currentWeekStart, weekEnd: weekEnd.toISOString().split('T')[0] });
     getWeekSummary(currentWeekStart).then(setWeekSummary);
-  }, [user?.id, currentWeekStart, fetchAdaptations, getWeekSummary]);
+  }, [calendarUserId, currentWeekStart, fetchAdaptations, getWeekSummary]);
 
   // Auto-prompt for feedback on the first adaptation that needs it (but not
   // while the edit modal is open, so the two modals don't fight).
@@ -258,7 +291,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
   };
 
   const loadPlannedWorkouts = async () => {
-    if (!user?.id) return;
+    if (!calendarUserId) return;
 
     try {
       // Calculate date range for the 4-week rolling view
@@ -271,7 +304,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
       const { data } = await supabase
         .from('planned_workouts')
         .select('*')
-        .eq('user_id', user.id)
+        .eq('user_id', calendarUserId)
         .gte('scheduled_date', startDateStr)
         .lte('scheduled_date', endDateStr);
 
@@ -285,9 +318,9 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
 
   // Load race goals for current month view
   useEffect(() => {
-    if (!user?.id) return;
+    if (!calendarUserId) return;
     loadRaceGoals();
-  }, [user?.id, anchorDate]);
+  }, [calendarUserId, anchorDate]);
 
   const loadRaceGoals = async () => {
     try {
@@ -300,7 +333,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
       const { data, error } = await supabase
         .from('race_goals')
         .select('*')
-        .eq('user_id', user.id)
+        .eq('user_id', calendarUserId)
         .gte('race_date', startDateStr)
         .lte('race_date', endDateStr)
         .order('race_date', { ascending: true });
@@ -326,9 +359,91 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
     return raceGoals.find(r => r.race_date === dateStr);
   };
 
+  // Load café group rides for the 4-week view. Events come from the rider's
+  // own café memberships, so a coach viewing an athlete doesn't see them.
+  useEffect(() => {
+    if (!calendarUserId || isCoaching) return;
+    loadGroupRides();
+  }, [calendarUserId, isCoaching, anchorDate]);
+
+  const loadGroupRides = async () => {
+    try {
+      const events = await fetchMyCafeEvents(formatLocalDate(anchorDate), formatLocalDate(addDays(anchorDate, 28)));
+      setGroupRides(events);
+      setSelectedGroupRide(prev => (prev ? events.find(e => e.id === prev.id) || null : null));
+    } catch (error) {
+      console.error('Failed to load group rides:', error);
+    }
+  };
+
+  const getGroupRidesForDate = (date) => {
+    if (!date) return [];
+    const dateStr = formatLocalDate(date);
+    return groupRides.filter(e => e.local_date === dateStr);
+  };
+
+  const handleGroupRideRsvp = async (event, status, paceGroup) => {
+    await rsvpToCafeEvent(event.cafe_id, event.id, status, paceGroup);
+    await loadGroupRides();
+  };
+
+  // Apply the conflict resolver's group ride suggestion to the plan.
+  const handleApplyGroupRide = async (event, suggestion) => {
+    const { workout } = suggestion;
+    if (!workout) return;
+    try {
+      if (suggestion.action === 'replace_workout') {
+        const { error } = await supabase
+          .from('planned_workouts')
+          .update({
+            workout_id: null,
+            workout_type: 'endurance',
+            name: `Group ride: ${event.title}`,
+            duration_minutes: event.expected_duration_minutes,
+            target_duration: event.expected_duration_minutes,
+            // Dual-write canonical + legacy per CLAUDE.md.
+            target_rss: suggestion.estimatedTSS,
+            target_tss: suggestion.estimatedTSS,
+            notes: `${event.cafe_name ? `${event.cafe_name} · ` : ''}${event.meeting_point_name}`,
+            original_workout_id: workout.original_workout_id || workout.workout_id,
+          })
+          .eq('id', workout.id);
+        if (error) throw error;
+      } else if (suggestion.action === 'move_workout' && suggestion.movedToDate) {
+        const targetDate = new Date(`${suggestion.movedToDate}T00:00:00`);
+        const planStartDate = parsePlanStartDate(getPlanStartDate(activePlan));
+        const { error } = await supabase
+          .from('planned_workouts')
+          .update({
+            scheduled_date: suggestion.movedToDate,
+            day_of_week: targetDate.getDay(),
+            week_number: planStartDate ? computeWeekNumber(planStartDate, targetDate) : workout.week_number,
+            original_scheduled_date: workout.original_scheduled_date || workout.scheduled_date,
+          })
+          .eq('id', workout.id);
+        if (error) throw error;
+      } else {
+        return;
+      }
+
+      await loadPlannedWorkouts();
+      if (onPlanUpdated) onPlanUpdated();
+      notifications.show({
+        title: 'Plan updated',
+        message: suggestion.action === 'replace_workout'
+          ? `${event.title} replaces your ${workout.workout_type || 'planned'} session`
+          : `${workout.name || workout.workout_type} moved to ${suggestion.movedToDate}`,
+        color: 'terracotta',
+      });
+    } catch (error) {
+      console.error('Failed to apply group ride suggestion:', error);
+      notifications.show({ title: 'Error', message: 'Failed to update your plan', color: 'red' });
+    }
+  };
+
   // Load cross-training activities for current 4-week view
   useEffect(() => {
-    if (!user?.id) return;
+    if (!calendarUserId) return;
 
     const startDateStr = formatLocalDate(anchorDate);
     const endDateStr = formatLocalDate(addDays(anchorDate, 28));
@@ -338,7 +453,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
       // Degrade gracefully (calendar still renders) but log the real error
       console.error('Error loading cross-training activities:', err);
     });
-  }, [user?.id, anchorDate, fetchActivities]);
+  }, [calendarUserId, anchorDate, fetchActivities]);
 
   // Open cross-training modal
   const openCrossTrainingModal = (date) => {
@@ -697,7 +812,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
   // upcoming incomplete planned workouts (today onward) so the user sees what the
   // action will remove before confirming.
   const openClearModal = async () => {
-    if (!user?.id) return;
+    if (!calendarUserId) return;
     setClearCount(null);
     setClearModalOpen(true);
     try {
@@ -705,7 +820,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
       const { count } = await supabase
         .from('planned_workouts')
         .select('id', { count: 'exact', head: true })
-        .eq('user_id', user.id)
+        .eq('user_id', calendarUserId)
         .eq('completed', false)
         .gte('scheduled_date', todayStr);
       setClearCount(count ?? 0);
@@ -718,14 +833,14 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
   // Delete all upcoming incomplete planned workouts (today onward) for the user.
   // Completed sessions and past history are preserved, as are logged activities.
   const handleClearPlanned = async () => {
-    if (!user?.id) return;
+    if (!calendarUserId) return;
     setClearing(true);
     try {
       const todayStr = formatLocalDate(new Date());
       const { error } = await supabase
         .from('planned_workouts')
         .delete()
-        .eq('user_id', user.id)
+        .eq('user_id', calendarUserId)
         .eq('completed', false)
         .gte('scheduled_date', todayStr);
 
@@ -767,9 +882,11 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
 
   const handleDragOver = (e, date) => {
     e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    // Highlight for both reschedule drags (draggedWorkout) and library drags.
-    if (date && (draggedWorkout || libraryDragActive)) {
+    // Workout files dragged in from the desktop are copied, not moved
+    const isFileDrag = Array.from(e.dataTransfer.types || []).includes('Files');
+    e.dataTransfer.dropEffect = isFileDrag ? 'copy' : 'move';
+    // Highlight for reschedule drags (draggedWorkout), library drags and file drags.
+    if (date && (draggedWorkout || libraryDragActive || isFileDrag)) {
       // Use formatLocalDate for consistent date comparison
       setDragOverDate(formatLocalDate(date));
     }
@@ -787,7 +904,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
   // Add a workout from the library onto a day (drag-drop or mobile tap).
   // Replaces any existing workout on that day (matches prior planner behavior).
   const handleAddFromLibrary = async (workoutId, targetDate, overrides = null) => {
-    if (!activePlan || !user || !targetDate) return;
+    if (!activePlan || !calendarUserId || !targetDate) return;
 
     try {
       const workout = getWorkoutById(workoutId);
@@ -830,7 +947,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
           workout,
           workoutId,
           planId: activePlan.id,
-          userId: user.id,
+          userId: calendarUserId,
           planStartDate,
           targetDate,
           overrides: overrides || undefined,
@@ -854,6 +971,37 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
     }
   };
 
+  // Import a ZWO / MRC / ERG / FIT file into My Workouts; when dropped on a
+  // day, schedule it there too.
+  const handleImportWorkoutFile = async (file, targetDate = null) => {
+    try {
+      const imported = await importWorkoutFile(file, { ftp });
+      const saved = await saveCustomWorkout(buildCustomWorkout({
+        name: imported.name,
+        description: imported.description,
+        category: imported.category,
+        difficulty: 'intermediate',
+        structure: imported.structure,
+        cyclingStructure: imported.cyclingStructure,
+        coachNotes: imported.author ? `Imported from ${imported.author}` : '',
+      }));
+      if (!saved) throw new Error('Failed to save imported workout');
+
+      if (targetDate) {
+        await handleAddFromLibrary(saved.id, targetDate);
+      } else {
+        notifications.show({
+          title: 'Workout Imported',
+          message: `${saved.name} is in My Workouts — drag it onto a day`,
+          color: 'terracotta',
+        });
+      }
+    } catch (error) {
+      console.error('Failed to import workout file:', error);
+      notifications.show({ title: 'Import Failed', message: error.message || 'Failed to import workout', color: 'red' });
+    }
+  };
+
   // Add the workout chosen in the modal (empty-day add mode).
   const handleAddWorkoutFromModal = async (workoutId, overrides) => {
     if (!selectedDate) return;
@@ -907,6 +1055,13 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
     e.preventDefault();
     setDragOverDate(null);
 
+    // Workout file dropped from the desktop
+    const droppedFile = e.dataTransfer.files?.[0];
+    if (droppedFile && !isCoaching && detectWorkoutFormat(droppedFile.name)) {
+      await handleImportWorkoutFile(droppedFile, targetDate);
+      return;
+    }
+
     // Library drag-to-add: the library WorkoutCard tags its payload with
     // application/json {source:'library'}; reschedule drags set only text/plain.
     let libraryPayload = null;
@@ -1157,6 +1312,16 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
         setMobileLibraryOpen(false);
       }}
       isMobile={isMobile}
+      customWorkouts={customWorkouts}
+      onCreateWorkout={isCoaching ? undefined : () => {
+        setBuilderWorkoutId(null);
+        setBuilderOpen(true);
+      }}
+      onEditWorkout={isCoaching ? undefined : (workoutId) => {
+        setBuilderWorkoutId(workoutId);
+        setBuilderOpen(true);
+      }}
+      onImportWorkout={isCoaching ? undefined : (file) => handleImportWorkoutFile(file)}
     />
   );
 
@@ -1357,17 +1522,19 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
             <Text size="lg" fw={600} style={{ color: 'var(--color-text-primary)' }}>{rangeLabel}</Text>
           </Group>
           <Group gap="xs">
-            <Tooltip label="Set training availability">
-              <Button
-                variant="subtle"
-                size="compact-xs"
-                leftSection={<CalendarX size={14} />}
-                onClick={() => setAvailabilitySettingsOpen(true)}
-                style={{ fontFamily: 'var(--font-mono, monospace)', letterSpacing: '0.05em', textTransform: 'uppercase' }}
-              >
-                Availability
-              </Button>
-            </Tooltip>
+            {!isCoaching && (
+              <Tooltip label="Set training availability">
+                <Button
+                  variant="subtle"
+                  size="compact-xs"
+                  leftSection={<CalendarX size={14} />}
+                  onClick={() => setAvailabilitySettingsOpen(true)}
+                  style={{ fontFamily: 'var(--font-mono, monospace)', letterSpacing: '0.05em', textTransform: 'uppercase' }}
+                >
+                  Availability
+                </Button>
+              </Tooltip>
+            )}
             <Tooltip label="Remove upcoming planned sessions">
               <Button
                 variant="subtle"
@@ -1430,6 +1597,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
                 const workout = getWorkoutForDate(date);
                 const dayRides = getRidesForDate(date);
                 const raceGoal = getRaceGoalForDate(date);
+                const dayGroupRides = getGroupRidesForDate(date);
                 const isToday = date.toDateString() === new Date().toDateString();
                 const isPast = date < new Date() && !isToday;
                 const isFuture = date > new Date();
@@ -1747,6 +1915,28 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
                         </Tooltip>
                       )}
 
+                      {/* Café group rides */}
+                      {dayGroupRides.map(event => (
+                        <Tooltip
+                          key={event.id}
+                          label={`${event.cafe_name ? `${event.cafe_name} · ` : ''}${new Date(event.starts_at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', timeZone: event.timezone })} · ${event.meeting_point_name}`}
+                        >
+                          <Badge
+                            size="xs"
+                            variant={event.my_rsvp?.status === 'going' ? 'filled' : 'light'}
+                            color="teal"
+                            leftSection={<Users size={10} />}
+                            style={{ cursor: 'pointer', maxWidth: '100%' }}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setSelectedGroupRide(event);
+                            }}
+                          >
+                            {event.title}
+                          </Badge>
+                        </Tooltip>
+                      ))}
+
                       {/* Completed activities */}
                       {dayRides.length > 0 && (() => {
                         const RUNNING = ['Run', 'VirtualRun', 'TrailRun'];
@@ -1936,7 +2126,7 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
         size={isMobile ? '90%' : 'lg'}
       >
         <AvailabilitySettings
-          userId={user?.id}
+          userId={calendarUserId}
           onAvailabilityChange={() => {
             // Prompt to reshuffle if there's an active plan
             if (activePlan?.id) {
@@ -2049,6 +2239,34 @@ const TrainingCalendar = ({ activePlan, rides = [], formatDistance: formatDistan
         onAddWorkout={handleAddWorkoutFromModal}
         isAdd={isAddMode}
         scheduledDate={selectedDate ? formatLocalDate(selectedDate) : undefined}
+        customWorkouts={customWorkouts}
+      />
+
+      {/* Custom Workout Builder */}
+      <WorkoutBuilderModal
+        opened={builderOpen}
+        onClose={() => setBuilderOpen(false)}
+        workout={customWorkouts.find((w) => w.id === builderWorkoutId) || null}
+        onSave={async (workout) => {
+          const saved = await saveCustomWorkout(workout);
+          notifications.show(saved
+            ? { title: 'Workout saved', message: `${saved.name} is in My Workouts — drag it onto a day`, color: 'terracotta' }
+            : { title: 'Error', message: 'Failed to save workout', color: 'red' });
+          return saved;
+        }}
+        onDelete={deleteCustomWorkout}
+      />
+
+      {/* Café Group Ride Modal */}
+      <GroupRideModal
+        event={selectedGroupRide}
+        opened={Boolean(selectedGroupRide)}
+        onClose={() => setSelectedGroupRide(null)}
+        userId={calendarUserId}
+        plannedWorkouts={plannedWorkouts}
+        blockedDays={weeklyAvailability.filter(d => d.status === 'blocked').map(d => d.dayOfWeek)}
+        onRsvp={handleGroupRideRsvp}
+        onApply={activePlan ? handleApplyGroupRide : undefined}
       />
 
       {/* Race Goal Modal */}
@@ -10,11 +10,13 @@ import {
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { useCoachCommandBar } from '../coach/CoachCommandBarContext.jsx';
 import { supabase } from '../../lib/supabase';
+import { useNotificationPreferences } from '../../hooks/useNotificationPreferences';
 import { Brain, ChatCircle } from '@phosphor-icons/react';
 
 export default function ProactiveInsightCard() {
   const { user } = useAuth();
   const { open: openCoach } = useCoachCommandBar();
+  const { isEnabled: isNotificationEnabled, loading: prefsLoading } = useNotificationPreferences(user?.id);
   const [insight, setInsight] = useState(null);
   const [activityName, setActivityName] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -94,7 +96,8 @@ export default function ProactiveInsightCard() {
     setInsight(null);
   };
 
-  if (loading || !insight) return null;
+  if (loading || prefsLoading || !insight) return null;
+  if (!isNotificationEnabled('post_ride_insight', 'in_app')) return null;
 
   return (
     <Card
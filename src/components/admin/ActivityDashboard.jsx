@@ -1,7 +1,7 @@
 /**
  * Activity Dashboard Component
  * Shows user activity tracking data for admin
- * SECURITY: Only accessible by travis@tribos.studio
+ * SECURITY: Requires the activity:read admin permission
  */
 
 import { useState, useEffect } from 'react';
@@ -0,0 +1,209 @@
+/**
+ * Admin Role Manager Component
+ * Grant, change and revoke admin roles (owner, support, analyst, coach_ops)
+ * SECURITY: Requires the roles:manage admin permission (owners only)
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  Paper,
+  Text,
+  Badge,
+  Stack,
+  Alert,
+  Loader,
+  Group,
+  Table,
+  Select,
+  Button,
+  ActionIcon,
+  Tooltip,
+} from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { listAdmins, listUsers, setAdminRole } from '../../services/adminService';
+import { ArrowsClockwise, Plus, Trash, Warning } from '@phosphor-icons/react';
+
+const ROLE_CONFIG = {
+  owner: { color: 'red', label: 'Owner', description: 'Everything, including managing roles' },
+  support: { color: 'blue', label: 'Support', description: 'Users, feedback, webhooks, DLQ redrive and the forum moderator queue' },
+  analyst: { color: 'teal', label: 'Analyst', description: 'Activity, insights, stats and AI analysis' },
+  coach_ops: { color: 'orange', label: 'Coach ops', description: 'Plan and workout templates, users, feedback' },
+};
+
+const ROLE_OPTIONS = Object.entries(ROLE_CONFIG).map(([value, { label }]) => ({ value, label }));
+
+export default function AdminRoleManager({ currentUserId }) {
+  const [admins, setAdmins] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newUserId, setNewUserId] = useState(null);
+  const [newRole, setNewRole] = useState('support');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadAdmins();
+  }, []);
+
+  async function loadAdmins() {
+    setLoading(true);
+    setError(null);
+    try {
+      const [adminResult, userResult] = await Promise.all([listAdmins(), listUsers()]);
+      setAdmins(adminResult.admins || []);
+      setUsers(userResult.users || []);
+    } catch (err) {
+      console.error('Failed to load admin roles:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function applyRole(userId, role) {
+    setSaving(true);
+    try {
+      const result = await setAdminRole(userId, role);
+      notifications.show({
+        title: role ? 'Role updated' : 'Role revoked',
+        message: role ? `${result.email} is now ${ROLE_CONFIG[role].label}` : `${result.email} no longer has admin access`,
+        color: 'green',
+      });
+      setNewUserId(null);
+      await loadAdmins();
+    } catch (err) {
+      notifications.show({ title: 'Error', message: err.message, color: 'red' });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (loading) {
+    return (
+      <Stack align="center" py="xl">
+        <Loader size="lg" />
+        <Text c="dimmed">Loading admin roles...</Text>
+      </Stack>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert icon={<Warning size={16} />} title="Error" color="red">
+        {error}
+      </Alert>
+    );
+  }
+
+  const adminIds = new Set(admins.map(a => a.user_id));
+  const userOptions = users
+    .filter(u => !adminIds.has(u.id) && u.email)
+    .map(u => ({ value: u.id, label: u.email }));
+
+  return (
+    <Paper p="lg" withBorder radius="md">
+      <Stack>
+        <Group justify="space-between">
+          <div>
+            <Text fw={600}>Admin Roles</Text>
+            <Text size="sm" c="dimmed">
+              Each role only sees the tabs and actions it needs. Every admin action is audited with the role used.
+            </Text>
+          </div>
+          <Button leftSection={<ArrowsClockwise size={16} />} variant="light" onClick={loadAdmins}>
+            Refresh
+          </Button>
+        </Group>
+
+        <Table striped>
+          <Table.Thead>
+            <Table.Tr>
+              <Table.Th>User</Table.Th>
+              <Table.Th>Role</Table.Th>
+              <Table.Th>Since</Table.Th>
+              <Table.Th />
+            </Table.Tr>
+          </Table.Thead>
+          <Table.Tbody>
+            {admins.map(admin => {
+              const isSelf = admin.user_id === currentUserId;
+              return (
+                <Table.Tr key={admin.user_id}>
+                  <Table.Td>
+                    <Text size="sm">{admin.email || admin.user_id}</Text>
+                  </Table.Td>
+                  <Table.Td>
+                    {isSelf ? (
+                      <Badge color={ROLE_CONFIG[admin.role]?.color} variant="light">
+                        {ROLE_CONFIG[admin.role]?.label || admin.role}
+                      </Badge>
+                    ) : (
+                      <Select
+                        size="xs"
+                        w={140}
+                        data={ROLE_OPTIONS}
+                        value={admin.role}
+                        disabled={saving}
+                        allowDeselect={false}
+                        onChange={(role) => role && role !== admin.role && applyRole(admin.user_id, role)}
+                      />
+                    )}
+                  </Table.Td>
+                  <Table.Td>
+                    <Text size="xs" c="dimmed">{new Date(admin.created_at).toLocaleDateString()}</Text>
+                  </Table.Td>
+                  <Table.Td>
+                    {!isSelf && (
+                      <Tooltip label="Revoke admin access">
+                        <ActionIcon
+                          variant="subtle"
+                          color="red"
+                          disabled={saving}
+                          onClick={() => applyRole(admin.user_id, null)}
+                        >
+                          <Trash size={16} />
+                        </ActionIcon>
+                      </Tooltip>
+                    )}
+                  </Table.Td>
+                </Table.Tr>
+              );
+            })}
+          </Table.Tbody>
+        </Table>
+
+        <Group align="flex-end">
+          <Select
+            label="Add admin"
+            placeholder="Search users by email"
+            data={userOptions}
+            value={newUserId}
+            onChange={setNewUserId}
+            searchable
+            clearable
+            style={{ flex: 1 }}
+          />
+          <Select
+            label="Role"
+            data={ROLE_OPTIONS}
+            value={newRole}
+            onChange={setNewRole}
+            allowDeselect={false}
+            w={160}
+          />
+          <Button
+            leftSection={<Plus size={16} />}
+            disabled={!newUserId || !newRole}
+            loading={saving}
+            onClick={() => applyRole(newUserId, newRole)}
+          >
+            Grant
+          </Button>
+        </Group>
+        {newRole && (
+          <Text size="xs" c="dimmed">{ROLE_CONFIG[newRole].description}</Text>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
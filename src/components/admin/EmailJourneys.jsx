@@ -0,0 +1,149 @@
+/**
+ * Email Journeys Component
+ * Behavioral email sequences with enrollment counts and per-step
+ * open/click conversion (api/utils/emailJourneys.js)
+ * SECURITY: Requires the campaigns:read admin permission
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  Paper,
+  Text,
+  Badge,
+  Stack,
+  Alert,
+  Loader,
+  Group,
+  Button,
+  Table,
+  Title
+} from '@mantine/core';
+import { listJourneys } from '../../services/adminService';
+import { ArrowsClockwise, EnvelopeSimple, Prohibit, Warning } from '@phosphor-icons/react';
+
+function formatRate(rate) {
+  return rate === null || rate === undefined ? '—' : `${(rate * 100).toFixed(1)}%`;
+}
+
+export default function EmailJourneys() {
+  const [journeys, setJourneys] = useState([]);
+  const [suppressions, setSuppressions] = useState({ bounce: 0, complaint: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadJourneys();
+  }, []);
+
+  async function loadJourneys() {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await listJourneys();
+      setJourneys(result.journeys || []);
+      setSuppressions(result.suppressions || { bounce: 0, complaint: 0 });
+    } catch (err) {
+      console.error('Failed to load journeys:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (loading) {
+    return (
+      <Stack align="center" py="xl">
+        <Loader size="lg" />
+        <Text c="dimmed">Loading journeys...</Text>
+      </Stack>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert icon={<Warning size={16} />} title="Error" color="red">
+        {error}
+      </Alert>
+    );
+  }
+
+  return (
+    <Stack gap="md">
+      <Paper withBorder p="md">
+        <Group justify="space-between">
+          <Group gap="sm">
+            <Prohibit size={18} />
+            <Text fw={600}>Suppressed addresses</Text>
+            <Badge color="red" variant="light">{suppressions.bounce} bounced</Badge>
+            <Badge color="orange" variant="light">{suppressions.complaint} complaints</Badge>
+          </Group>
+          <Button
+            leftSection={<ArrowsClockwise size={16} />}
+            variant="light"
+            onClick={loadJourneys}
+          >
+            Refresh
+          </Button>
+        </Group>
+      </Paper>
+
+      {journeys.map((journey) => (
+        <Paper key={journey.key} withBorder p="md">
+          <Stack gap="sm">
+            <Group justify="space-between" align="flex-start">
+              <div>
+                <Group gap="xs">
+                  <EnvelopeSimple size={18} />
+                  <Title order={5}>{journey.name}</Title>
+                </Group>
+                <Text size="sm" c="dimmed">{journey.description}</Text>
+              </div>
+              <Group gap="xs">
+                <Badge variant="light">{journey.enrollments.total} enrolled</Badge>
+                <Badge color="blue" variant="light">{journey.enrollments.active} active</Badge>
+                <Badge color="sage" variant="light">{journey.enrollments.completed} completed</Badge>
+                <Badge color="gray" variant="light">{journey.enrollments.exited} exited</Badge>
+              </Group>
+            </Group>
+
+            <Table striped>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>Step</Table.Th>
+                  <Table.Th>Subject</Table.Th>
+                  <Table.Th>Sent</Table.Th>
+                  <Table.Th>Delivered</Table.Th>
+                  <Table.Th>Opened</Table.Th>
+                  <Table.Th>Clicked</Table.Th>
+                  <Table.Th>Bounced / spam</Table.Th>
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {journey.steps.map((step) => (
+                  <Table.Tr key={step.stepIndex}>
+                    <Table.Td>
+                      <Text size="sm">{step.stepIndex + 1}</Text>
+                      <Text size="xs" c="dimmed">
+                        {step.stepIndex === 0 ? 'on enroll' : `+${step.delayDays}d`}
+                      </Text>
+                    </Table.Td>
+                    <Table.Td><Text size="sm">{step.subject}</Text></Table.Td>
+                    <Table.Td>{step.sent}</Table.Td>
+                    <Table.Td>{step.delivered}</Table.Td>
+                    <Table.Td>
+                      {step.opened} <Text span size="xs" c="dimmed">({formatRate(step.openRate)})</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      {step.clicked} <Text span size="xs" c="dimmed">({formatRate(step.clickRate)})</Text>
+                    </Table.Td>
+                    <Table.Td>{step.bounced} / {step.complained}</Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </Stack>
+        </Paper>
+      ))}
+    </Stack>
+  );
+}
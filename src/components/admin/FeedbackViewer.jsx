@@ -1,7 +1,7 @@
 /**
  * Feedback Viewer Component
  * Displays beta feedback submissions
- * SECURITY: Only accessible by travis@tribos.studio
+ * SECURITY: Requires the feedback:read admin permission
  */
 
 import { useState, useEffect } from 'react';
@@ -0,0 +1,450 @@
+/**
+ * Forum Moderation Component
+ * Moderator queue for reported forum threads and replies (hide, lock, warn,
+ * ban, dismiss) and per-board reputation leaders who can be appointed board
+ * moderators (api/admin-forum.js)
+ * SECURITY: Requires forum:moderate; appointing moderators requires forum:promote
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  Paper,
+  Text,
+  Badge,
+  Stack,
+  Alert,
+  Loader,
+  Group,
+  Button,
+  Table,
+  Select,
+  TextInput,
+  SegmentedControl,
+  Anchor,
+  Tooltip,
+  ActionIcon,
+} from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import {
+  listForumReports,
+  listForumTrusted,
+  resolveForumReport,
+  revokeForumSanction,
+  setForumCategoryModerator,
+} from '../../services/adminService';
+import { ArrowsClockwise, CheckCircle, Flag, Trash, Warning } from '@phosphor-icons/react';
+
+const REASON_LABELS = {
+  spam: 'Spam',
+  harassment: 'Harassment',
+  off_topic: 'Off-topic',
+  misinformation: 'Misleading',
+  other: 'Other',
+};
+
+const BAN_OPTIONS = [
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: 'permanent', label: 'Permanent' },
+];
+
+export default function ForumModeration() {
+  const [view, setView] = useState('queue');
+
+  return (
+    <Stack gap="md">
+      <SegmentedControl
+        value={view}
+        onChange={setView}
+        data={[
+          { value: 'queue', label: 'Report queue' },
+          { value: 'trusted', label: 'Trusted members' },
+        ]}
+        style={{ alignSelf: 'flex-start' }}
+      />
+      {view === 'queue' ? <ReportQueue /> : <TrustedMembers />}
+    </Stack>
+  );
+}
+
+function ReportQueue() {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadReports();
+  }, []);
+
+  async function loadReports() {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await listForumReports();
+      setReports(result.reports || []);
+    } catch (err) {
+      console.error('Failed to load forum reports:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function resolve(item, resolution, options) {
+    try {
+      const target = item.postId ? { postId: item.postId } : { threadId: item.threadId };
+      const result = await resolveForumReport(target, resolution, options);
+      notifications.show({
+        title: 'Reports resolved',
+        message: `${result.resolved} report${result.resolved === 1 ? '' : 's'} closed (${resolution})`,
+        color: 'green',
+      });
+      setReports(prev => prev.filter(r => r.key !== item.key));
+    } catch (err) {
+      notifications.show({ title: 'Error', message: err.message, color: 'red' });
+    }
+  }
+
+  async function revokeBan(sanctionId) {
+    try {
+      await revokeForumSanction(sanctionId);
+      notifications.show({ title: 'Ban lifted', message: 'The member can post again.', color: 'green' });
+      await loadReports();
+    } catch (err) {
+      notifications.show({ title: 'Error', message: err.message, color: 'red' });
+    }
+  }
+
+  if (loading) {
+    return (
+      <Stack align="center" py="xl">
+        <Loader size="lg" />
+        <Text c="dimmed">Loading reports...</Text>
+      </Stack>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert icon={<Warning size={16} />} title="Error" color="red">
+        {error}
+      </Alert>
+    );
+  }
+
+  return (
+    <Stack gap="md">
+      <Group justify="space-between">
+        <Group gap="sm">
+          <Flag size={18} />
+          <Text fw={600}>Open reports</Text>
+          <Badge variant="light" color={reports.length ? 'red' : 'gray'}>{reports.length}</Badge>
+        </Group>
+        <Button leftSection={<ArrowsClockwise size={16} />} variant="light" onClick={loadReports}>
+          Refresh
+        </Button>
+      </Group>
+
+      {reports.length === 0 ? (
+        <Paper withBorder p="xl">
+          <Text c="dimmed" ta="center">Nothing to review. The queue is clear.</Text>
+        </Paper>
+      ) : (
+        reports.map(item => (
+          <ReportCard key={item.key} item={item} onResolve={resolve} onRevokeBan={revokeBan} />
+        ))
+      )}
+    </Stack>
+  );
+}
+
+function ReportCard({ item, onResolve, onRevokeBan }) {
+  const [note, setNote] = useState('');
+  const [banLength, setBanLength] = useState('7');
+  const [busy, setBusy] = useState(null);
+  const { content, author } = item;
+
+  const act = async (resolution) => {
+    setBusy(resolution);
+    try {
+      await onResolve(item, resolution, {
+        note,
+        banDays: banLength === 'permanent' ? null : parseInt(banLength, 10),
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const forumUrl = `/community?thread=${content.threadId}${item.postId ? `&post=${item.postId}` : ''}`;
+
+  return (
+    <Paper withBorder p="md">
+      <Stack gap="sm">
+        <Group justify="space-between" align="flex-start">
+          <Group gap="xs">
+            <Badge variant="outline">{content.type === 'reply' ? 'Reply' : 'Thread'}</Badge>
+            {content.board && <Badge variant="light" color="gray">{content.board}</Badge>}
+            <Badge color="red" variant="light">
+              {item.reportCount} report{item.reportCount === 1 ? '' : 's'}
+            </Badge>
+            {Object.entries(item.reasons).map(([reason, count]) => (
+              <Badge key={reason} color="orange" variant="light">
+                {REASON_LABELS[reason] || reason}{count > 1 ? ` ×${count}` : ''}
+              </Badge>
+            ))}
+            {content.hidden && (
+              <Badge color="yellow" variant="light">{content.autoHidden ? 'Auto-hidden' : 'Hidden'}</Badge>
+            )}
+            {content.threadLocked && <Badge color="gray" variant="light">Locked</Badge>}
+          </Group>
+          <Text size="xs" c="dimmed">
+            First reported {new Date(item.firstReportedAt).toLocaleString()}
+          </Text>
+        </Group>
+
+        <div>
+          <Anchor href={forumUrl} target="_blank" fw={600} size="sm">
+            {content.threadTitle || 'Untitled thread'}
+          </Anchor>
+          <Text size="sm" mt={4} lineClamp={5} style={{ whiteSpace: 'pre-wrap' }}>
+            {content.excerpt}
+          </Text>
+        </div>
+
+        {item.details.length > 0 && (
+          <Stack gap={2}>
+            {item.details.map((detail, i) => (
+              <Text key={i} size="xs" c="dimmed" fs="italic">“{detail}”</Text>
+            ))}
+          </Stack>
+        )}
+
+        <Group gap="xs">
+          <Text size="sm">
+            By <strong>{author.name || 'Rider'}</strong>{author.email ? ` (${author.email})` : ''}
+          </Text>
+          {author.warnings > 0 && (
+            <Badge color="yellow" variant="light">
+              {author.warnings} warning{author.warnings === 1 ? '' : 's'}
+            </Badge>
+          )}
+          {author.activeBan && (
+            <>
+              <Badge color="red">
+                Banned{author.activeBan.expires_at ? ` until ${new Date(author.activeBan.expires_at).toLocaleDateString()}` : ''}
+              </Badge>
+              <Button size="compact-xs" variant="subtle" onClick={() => onRevokeBan(author.activeBan.id)}>
+                Lift ban
+              </Button>
+            </>
+          )}
+        </Group>
+
+        <Group align="flex-end" gap="xs">
+          <TextInput
+            label="Note to the member (warnings and bans)"
+            placeholder="Which guideline was broken"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={1000}
+            style={{ flex: 1 }}
+          />
+          <Select
+            label="Ban length"
+            data={BAN_OPTIONS}
+            value={banLength}
+            onChange={(value) => value && setBanLength(value)}
+            allowDeselect={false}
+            w={130}
+          />
+        </Group>
+
+        <Group gap="xs">
+          {!content.hidden && (
+            <Button size="xs" variant="light" loading={busy === 'hide'} onClick={() => act('hide')}>
+              Hide
+            </Button>
+          )}
+          {!content.threadLocked && (
+            <Button size="xs" variant="light" loading={busy === 'lock'} onClick={() => act('lock')}>
+              Lock thread
+            </Button>
+          )}
+          <Button size="xs" variant="light" color="yellow" loading={busy === 'warn'} onClick={() => act('warn')}>
+            Warn author
+          </Button>
+          <Button size="xs" variant="light" color="red" loading={busy === 'ban'} onClick={() => act('ban')}>
+            Ban author + hide
+          </Button>
+          <Button size="xs" variant="subtle" color="gray" loading={busy === 'dismiss'} onClick={() => act('dismiss')}>
+            Dismiss{content.autoHidden ? ' + unhide' : ''}
+          </Button>
+        </Group>
+      </Stack>
+    </Paper>
+  );
+}
+
+function TrustedMembers() {
+  const [boards, setBoards] = useState([]);
+  const [canPromote, setCanPromote] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadTrusted();
+  }, []);
+
+  async function loadTrusted() {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await listForumTrusted();
+      setBoards(result.boards || []);
+      setCanPromote(Boolean(result.canPromote));
+    } catch (err) {
+      console.error('Failed to load forum reputation:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function applyModerator(userId, board, enabled) {
+    setSaving(true);
+    try {
+      await setForumCategoryModerator(userId, board.id, enabled);
+      notifications.show({
+        title: enabled ? 'Moderator appointed' : 'Moderator removed',
+        message: enabled ? `Now moderating ${board.name}` : `No longer moderating ${board.name}`,
+        color: 'green',
+      });
+      await loadTrusted();
+    } catch (err) {
+      notifications.show({ title: 'Error', message: err.message, color: 'red' });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (loading) {
+    return (
+      <Stack align="center" py="xl">
+        <Loader size="lg" />
+        <Text c="dimmed">Loading reputation...</Text>
+      </Stack>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert icon={<Warning size={16} />} title="Error" color="red">
+        {error}
+      </Alert>
+    );
+  }
+
+  return (
+    <Stack gap="md">
+      <Group justify="space-between">
+        <Text size="sm" c="dimmed">
+          Reputation is earned per board: 15 per accepted answer, 1 per reaction from another member.
+          {!canPromote && ' Only owners can appoint board moderators.'}
+        </Text>
+        <Button leftSection={<ArrowsClockwise size={16} />} variant="light" onClick={loadTrusted}>
+          Refresh
+        </Button>
+      </Group>
+
+      {boards.map(board => (
+        <Paper key={board.id} withBorder p="md">
+          <Stack gap="sm">
+            <Group justify="space-between">
+              <Text fw={600}>{board.name}</Text>
+              <Group gap="xs">
+                {board.moderators.length === 0 && <Text size="xs" c="dimmed">No board moderators</Text>}
+                {board.moderators.map(mod => (
+                  <Badge
+                    key={mod.userId}
+                    variant="light"
+                    color="teal"
+                    rightSection={canPromote && (
+                      <ActionIcon
+                        size="xs"
+                        variant="transparent"
+                        color="red"
+                        disabled={saving}
+                        onClick={() => applyModerator(mod.userId, board, false)}
+                        aria-label={`Remove ${mod.name} as moderator`}
+                      >
+                        <Trash size={10} />
+                      </ActionIcon>
+                    )}
+                  >
+                    {mod.name}
+                  </Badge>
+                ))}
+              </Group>
+            </Group>
+
+            {board.leaders.length === 0 ? (
+              <Text size="sm" c="dimmed">No reputation earned in this board yet.</Text>
+            ) : (
+              <Table striped>
+                <Table.Thead>
+                  <Table.Tr>
+                    <Table.Th>Member</Table.Th>
+                    <Table.Th>Reputation</Table.Th>
+                    <Table.Th>Accepted</Table.Th>
+                    <Table.Th>Reactions</Table.Th>
+                    <Table.Th />
+                  </Table.Tr>
+                </Table.Thead>
+                <Table.Tbody>
+                  {board.leaders.map(leader => (
+                    <Table.Tr key={leader.userId}>
+                      <Table.Td>
+                        <Text size="sm">{leader.name}</Text>
+                        {leader.email && <Text size="xs" c="dimmed">{leader.email}</Text>}
+                      </Table.Td>
+                      <Table.Td><Text size="sm" fw={600}>{leader.score}</Text></Table.Td>
+                      <Table.Td><Text size="sm">{leader.acceptedAnswers}</Text></Table.Td>
+                      <Table.Td><Text size="sm">{leader.reactionsReceived}</Text></Table.Td>
+                      <Table.Td>
+                        {leader.isModerator ? (
+                          <Badge color="teal" variant="light" leftSection={<CheckCircle size={12} />}>
+                            Moderator
+                          </Badge>
+                        ) : leader.eligible ? (
+                          canPromote ? (
+                            <Button
+                              size="compact-xs"
+                              variant="light"
+                              disabled={saving}
+                              onClick={() => applyModerator(leader.userId, board, true)}
+                            >
+                              Make moderator
+                            </Button>
+                          ) : (
+                            <Badge color="green" variant="light">Eligible</Badge>
+                          )
+                        ) : (
+                          <Tooltip label={leader.unmet.join(' · ')} multiline w={260}>
+                            <Badge color="gray" variant="light">Not yet eligible</Badge>
+                          </Tooltip>
+                        )}
+                      </Table.Td>
+                    </Table.Tr>
+                  ))}
+                </Table.Tbody>
+              </Table>
+            )}
+          </Stack>
+        </Paper>
+      ))}
+    </Stack>
+  );
+}
@@ -185,7 +185,7 @@ function SendPanel({ onSent }) {
       setLastResult(result);
       notifications.show({
         title: 'Push sent',
-        message: `Sent: ${result.sent || 0}, Skipped: ${result.skipped || 0}`,
+        message: `Sent: ${result.sent || 0}, Held for quiet hours: ${result.queued || 0}, Skipped: ${result.skipped || 0}`,
         color: 'green',
         icon: <Check size={16} />,
       });
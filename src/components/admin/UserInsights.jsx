@@ -1,7 +1,7 @@
 /**
  * User Insights Component
  * Activation funnel, feature adoption, retention cohorts, stale users
- * SECURITY: Only accessible by travis@tribos.studio
+ * SECURITY: Requires the insights:read admin permission
  */
 
 import { useState, useEffect } from 'react';
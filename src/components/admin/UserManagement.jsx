@@ -1,7 +1,7 @@
 /**
  * User Management Component
  * Displays all users and allows data cleanup for testing
- * SECURITY: Only accessible by travis@tribos.studio
+ * SECURITY: Requires the users:read admin permission
  */
 
 import { useState, useEffect } from 'react';
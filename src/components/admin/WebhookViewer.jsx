@@ -1,7 +1,9 @@
 /**
  * Webhook Viewer Component
- * Displays Garmin webhook events for debugging
- * SECURITY: Only accessible by travis@tribos.studio
+ * Displays the unified webhook dead-letter queue (Strava, Wahoo, COROS,
+ * Garmin) with redrive, and Garmin webhook events for debugging
+ * SECURITY: Requires the webhooks:read admin permission; redrive needs
+ * webhooks:redrive (garmin:redrive for Garmin events)
  */
 
 import { useState, useEffect } from 'react';
@@ -21,10 +23,234 @@ import {
   Box,
   Tooltip,
   Select,
-  ActionIcon
+  ActionIcon,
+  Checkbox
 } from '@mantine/core';
-import { listWebhooks } from '../../services/adminService';
-import { ArrowsClockwise, Check, Clock, Eye, Funnel, FunnelX, User, Warning, WebhooksLogo, X } from '@phosphor-icons/react';
+import { notifications } from '@mantine/notifications';
+import { listDeadLetteredWebhooks, listWebhooks, redriveWebhooks } from '../../services/adminService';
+import { ArrowCounterClockwise, ArrowsClockwise, Check, Clock, Eye, Funnel, FunnelX, Skull, User, Warning, WebhooksLogo, X } from '@phosphor-icons/react';
+
+const PROVIDER_CONFIG = {
+  strava: { label: 'Strava', color: 'orange' },
+  wahoo: { label: 'Wahoo', color: 'blue' },
+  coros: { label: 'COROS', color: 'grape' },
+  garmin: { label: 'Garmin', color: 'teal' },
+};
+
+const PROVIDER_OPTIONS = [
+  { value: '', label: 'All providers' },
+  ...Object.entries(PROVIDER_CONFIG).map(([value, { label }]) => ({ value, label })),
+];
+
+function formatDate(dateString) {
+  if (!dateString) return 'Unknown';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+}
+
+/**
+ * Events that exhausted their retry budget on any provider's queue. They stay
+ * here until redriven back onto the queue once the cause is fixed.
+ */
+function DeadLetterQueue() {
+  const [events, setEvents] = useState([]);
+  const [queues, setQueues] = useState({});
+  const [provider, setProvider] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [redriving, setRedriving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadDeadLetters();
+  }, [provider]);
+
+  async function loadDeadLetters() {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await listDeadLetteredWebhooks(provider);
+      setEvents(result.events || []);
+      setQueues(result.queues || {});
+      setSelected([]);
+    } catch (err) {
+      console.error('Failed to load dead-lettered webhooks:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function redrive(toRedrive) {
+    // Redrive is per provider queue; group the selection accordingly.
+    const idsByProvider = {};
+    for (const event of toRedrive) {
+      if (!idsByProvider[event.provider]) idsByProvider[event.provider] = [];
+      idsByProvider[event.provider].push(event.id);
+    }
+
+    setRedriving(true);
+    try {
+      let redriven = 0;
+      for (const [eventProvider, ids] of Object.entries(idsByProvider)) {
+        const result = await redriveWebhooks(eventProvider, ids);
+        redriven += result.redriven;
+      }
+      notifications.show({
+        title: 'Events redriven',
+        message: `${redriven} of ${toRedrive.length} event${toRedrive.length !== 1 ? 's' : ''} put back on the retry queue`,
+        color: 'green',
+      });
+      await loadDeadLetters();
+    } catch (err) {
+      notifications.show({ title: 'Redrive failed', message: err.message, color: 'red' });
+    } finally {
+      setRedriving(false);
+    }
+  }
+
+  const eventKey = (event) => `${event.provider}:${event.id}`;
+  const selectedEvents = events.filter(event => selected.includes(eventKey(event)));
+  const allSelected = events.length > 0 && selected.length === events.length;
+
+  function toggle(event) {
+    const key = eventKey(event);
+    setSelected(current => current.includes(key) ? current.filter(k => k !== key) : [...current, key]);
+  }
+
+  return (
+    <Paper withBorder p="md">
+      <Stack gap="sm">
+        <Group justify="space-between" wrap="wrap">
+          <Group>
+            <Skull size={20} />
+            <Text fw={600}>Dead-letter queue</Text>
+            {Object.entries(queues).map(([key, queue]) => (
+              <Tooltip key={key} label={queue.available ? `${queue.count} dead-lettered` : `Unavailable: ${queue.reason}`}>
+                <Badge
+                  color={queue.available ? PROVIDER_CONFIG[key]?.color : 'gray'}
+                  variant={queue.available && queue.count > 0 ? 'filled' : 'light'}
+                  size="sm"
+                >
+                  {PROVIDER_CONFIG[key]?.label || key}: {queue.available ? queue.count : 'n/a'}
+                </Badge>
+              </Tooltip>
+            ))}
+          </Group>
+
+          <Group>
+            <Select
+              data={PROVIDER_OPTIONS}
+              value={provider || ''}
+              onChange={(value) => setProvider(value || null)}
+              allowDeselect={false}
+              w={160}
+              disabled={loading}
+            />
+            <Button
+              leftSection={<ArrowCounterClockwise size={16} />}
+              color="orange"
+              disabled={selectedEvents.length === 0}
+              loading={redriving}
+              onClick={() => redrive(selectedEvents)}
+            >
+              Redrive {selectedEvents.length || ''}
+            </Button>
+            <Button
+              leftSection={<ArrowsClockwise size={16} />}
+              variant="light"
+              onClick={loadDeadLetters}
+              loading={loading}
+            >
+              Refresh
+            </Button>
+          </Group>
+        </Group>
+
+        {error ? (
+          <Alert icon={<Warning size={16} />} color="red">
+            {error}
+          </Alert>
+        ) : events.length === 0 ? (
+          <Text size="sm" c="dimmed">
+            {loading ? 'Loading dead-lettered events...' : 'No dead-lettered events — every webhook was processed or is still retrying.'}
+          </Text>
+        ) : (
+          <ScrollArea.Autosize mah={360}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>
+                    <Checkbox
+                      checked={allSelected}
+                      indeterminate={selected.length > 0 && !allSelected}
+                      onChange={() => setSelected(allSelected ? [] : events.map(eventKey))}
+                    />
+                  </Table.Th>
+                  <Table.Th>Dead-lettered</Table.Th>
+                  <Table.Th>Provider</Table.Th>
+                  <Table.Th>User</Table.Th>
+                  <Table.Th>Event</Table.Th>
+                  <Table.Th>Last error</Table.Th>
+                  <Table.Th />
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {events.map(event => (
+                  <Table.Tr key={eventKey(event)}>
+                    <Table.Td>
+                      <Checkbox checked={selected.includes(eventKey(event))} onChange={() => toggle(event)} />
+                    </Table.Td>
+                    <Table.Td>
+                      <Tooltip label={`Received ${formatDate(event.receivedAt)}`}>
+                        <Text size="sm">{formatDate(event.deadLetteredAt)}</Text>
+                      </Tooltip>
+                    </Table.Td>
+                    <Table.Td>
+                      <Badge color={PROVIDER_CONFIG[event.provider]?.color} variant="light" size="sm">
+                        {PROVIDER_CONFIG[event.provider]?.label || event.provider}
+                      </Badge>
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm">{event.userEmail || (event.userId ? `${event.userId.slice(0, 8)}...` : 'Unmatched')}</Text>
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="xs" ff="monospace">
+                        {event.eventType || 'unknown'}{event.externalId ? ` · ${event.externalId}` : ''}
+                      </Text>
+                    </Table.Td>
+                    <Table.Td maw={320}>
+                      <Tooltip label={event.reason} multiline w={400} disabled={!event.reason}>
+                        <Text size="xs" c="red" lineClamp={2}>{event.reason || '-'}</Text>
+                      </Tooltip>
+                    </Table.Td>
+                    <Table.Td>
+                      <Tooltip label="Redrive this event">
+                        <ActionIcon
+                          variant="subtle"
+                          color="orange"
+                          disabled={redriving}
+                          onClick={() => redrive([event])}
+                        >
+                          <ArrowCounterClockwise size={16} />
+                        </ActionIcon>
+                      </Tooltip>
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
 
 export default function WebhookViewer() {
   const [webhooks, setWebhooks] = useState([]);
@@ -56,17 +282,6 @@ export default function WebhookViewer() {
     }
   }
 
-  function formatDate(dateString) {
-    if (!dateString) return 'Unknown';
-    return new Date(dateString).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit'
-    });
-  }
-
   function getStatusBadge(webhook) {
     if (webhook.processed) {
       if (webhook.process_error) {
@@ -117,6 +332,8 @@ export default function WebhookViewer() {
 
   return (
     <Stack spacing="md">
+      <DeadLetterQueue />
+
       {/* Header with Filter */}
       <Paper withBorder p="md">
         <Group justify="space-between" wrap="wrap">
@@ -0,0 +1,123 @@
+/**
+ * CoachAuditLog — every planned-workout change a coach made on an athlete's
+ * calendar, newest first. Rows come from the coach_plan_audit trigger; this
+ * only describes them.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Alert, Badge, Button, Group, Loader, Stack, Text, Timeline } from '@mantine/core';
+import { ArrowsClockwise, Minus, PencilSimple, Plus } from '@phosphor-icons/react';
+import { fetchCoachAuditLog, type CoachAuditEntry } from '../../hooks/useCoachWorkspace';
+
+const ACTION_META = {
+  insert: { label: 'Added', color: 'teal', icon: Plus },
+  update: { label: 'Changed', color: 'blue', icon: PencilSimple },
+  delete: { label: 'Removed', color: 'red', icon: Minus },
+} as const;
+
+// Fields worth calling out in an update; bookkeeping columns are ignored.
+const TRACKED_FIELDS: Record<string, string> = {
+  scheduled_date: 'date',
+  name: 'name',
+  workout_id: 'workout',
+  workout_type: 'type',
+  target_duration: 'duration',
+  duration_minutes: 'duration',
+  target_tss: 'RSS',
+  target_rss: 'RSS',
+  completed: 'completed',
+  notes: 'notes',
+};
+
+function workoutLabel(row: Record<string, unknown> | null): string {
+  if (!row) return 'workout';
+  const name = (row.name as string) || (row.workout_id as string) || 'workout';
+  return row.scheduled_date ? `${name} (${row.scheduled_date})` : name;
+}
+
+/** Human summary of which tracked fields an update touched. */
+export function describeAuditChange(entry: Pick<CoachAuditEntry, 'action' | 'before' | 'after'>): string {
+  if (entry.action !== 'update' || !entry.before || !entry.after) {
+    return workoutLabel(entry.after || entry.before);
+  }
+  const changed = [...new Set(
+    Object.keys(TRACKED_FIELDS)
+      .filter((key) => JSON.stringify(entry.before?.[key]) !== JSON.stringify(entry.after?.[key]))
+      .map((key) => TRACKED_FIELDS[key])
+  )];
+  const label = workoutLabel(entry.after);
+  return changed.length > 0 ? `${label}: ${changed.join(', ')}` : label;
+}
+
+interface CoachAuditLogProps {
+  /** Athlete whose calendar changes to list; omit for the signed-in athlete's own log. */
+  athleteId?: string;
+  limit?: number;
+}
+
+export function CoachAuditLog({ athleteId, limit = 50 }: CoachAuditLogProps) {
+  const [entries, setEntries] = useState<CoachAuditEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setEntries(await fetchCoachAuditLog(athleteId, limit));
+      setError(null);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [athleteId, limit]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  return (
+    <Stack gap="sm">
+      <Group justify="space-between">
+        <Text size="sm" c="dimmed">Calendar changes made by coaches</Text>
+        <Button variant="subtle" size="compact-xs" leftSection={<ArrowsClockwise size={14} />} onClick={load}>
+          Refresh
+        </Button>
+      </Group>
+
+      {error && <Alert color="red">{error}</Alert>}
+
+      {loading ? (
+        <Group justify="center" py="md"><Loader size="sm" /></Group>
+      ) : entries.length === 0 ? (
+        <Text size="sm" c="dimmed" ta="center" py="md">No coach changes yet.</Text>
+      ) : (
+        <Timeline bulletSize={22} lineWidth={2}>
+          {entries.map((entry) => {
+            const meta = ACTION_META[entry.action];
+            const Icon = meta.icon;
+            return (
+              <Timeline.Item
+                key={entry.id}
+                color={meta.color}
+                bullet={<Icon size={12} />}
+                title={
+                  <Group gap="xs">
+                    <Badge size="xs" variant="light" color={meta.color}>{meta.label}</Badge>
+                    <Text size="sm">{describeAuditChange(entry)}</Text>
+                  </Group>
+                }
+              >
+                <Text size="xs" c="dimmed">
+                  {entry.coach_name} · {new Date(entry.created_at).toLocaleString()}
+                </Text>
+              </Timeline.Item>
+            );
+          })}
+        </Timeline>
+      )}
+    </Stack>
+  );
+}
+
+export default CoachAuditLog;
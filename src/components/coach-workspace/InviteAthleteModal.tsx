@@ -0,0 +1,73 @@
+/**
+ * InviteAthleteModal — invite an athlete to the coach's roster by email.
+ * The athlete accepts from Settings; until then the invite shows as pending.
+ */
+
+import { useState } from 'react';
+import { Button, Checkbox, Group, Modal, Stack, Text, TextInput } from '@mantine/core';
+
+interface InviteAthleteModalProps {
+  opened: boolean;
+  onClose: () => void;
+  onInvite: (email: string, canEditPlan: boolean) => Promise<void>;
+}
+
+export function InviteAthleteModal({ opened, onClose, onInvite }: InviteAthleteModalProps) {
+  const [email, setEmail] = useState('');
+  const [canEditPlan, setCanEditPlan] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleClose = () => {
+    setEmail('');
+    setCanEditPlan(true);
+    setError(null);
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onInvite(email.trim(), canEditPlan);
+      handleClose();
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to send invitation');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal opened={opened} onClose={handleClose} title="Invite athlete" centered>
+      <Stack gap="md">
+        <Text size="sm" c="dimmed">
+          The athlete sees the invitation under Settings → Training once they sign in with this email.
+        </Text>
+        <TextInput
+          label="Athlete email"
+          placeholder="rider@example.com"
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.currentTarget.value)}
+          error={error}
+          data-autofocus
+        />
+        <Checkbox
+          label="Allow me to edit their training calendar"
+          description="Every change you make is recorded in the athlete's audit log."
+          checked={canEditPlan}
+          onChange={(e) => setCanEditPlan(e.currentTarget.checked)}
+        />
+        <Group justify="flex-end">
+          <Button variant="default" onClick={handleClose}>Cancel</Button>
+          <Button onClick={handleSubmit} loading={submitting} disabled={!email.trim()}>
+            Send invitation
+          </Button>
+        </Group>
+      </Stack>
+    </Modal>
+  );
+}
+
+export default InviteAthleteModal;
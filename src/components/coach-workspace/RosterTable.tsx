@@ -0,0 +1,147 @@
+/**
+ * RosterTable — one line per athlete on the coach's roster: current
+ * TFI / AFI / form, compliance (EFI 28d), the latest evidence verdict and the
+ * flags that put the athlete at the top of the list.
+ */
+
+import { ActionIcon, Badge, Group, Menu, Table, Text, Tooltip } from '@mantine/core';
+import { CalendarBlank, DotsThreeVertical, PencilSimple, PencilSimpleSlash, UserMinus } from '@phosphor-icons/react';
+import type { RosterAthlete, RosterFlag } from '../../hooks/useCoachWorkspace';
+
+export const FLAG_LABELS: Record<RosterFlag, { label: string; color: string; description: string }> = {
+  deep_fatigue: { label: 'Deep fatigue', color: 'red', description: 'Form below −30' },
+  evidence_behind: { label: 'Behind', color: 'orange', description: 'Evidence engine: performance behind the load model' },
+  model_disagrees: { label: 'Model disagrees', color: 'yellow', description: 'Evidence and load model point in opposite directions' },
+  low_compliance: { label: 'Low compliance', color: 'orange', description: 'EFI 28d below 60' },
+  inactive: { label: 'Inactive', color: 'gray', description: 'No training load in the last 7 days' },
+};
+
+const VERDICT_COLORS: Record<string, string> = {
+  ahead: 'teal',
+  consistent: 'blue',
+  behind: 'orange',
+  insufficient_data: 'gray',
+};
+
+function formatMetric(value: number | null, signed = false): string {
+  if (value === null) return '—';
+  const rounded = Math.round(value);
+  return signed && rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+interface RosterTableProps {
+  athletes: RosterAthlete[];
+  onOpen: (athlete: RosterAthlete) => void;
+  onToggleEdit: (athlete: RosterAthlete) => void;
+  onRemove: (athlete: RosterAthlete) => void;
+}
+
+export function RosterTable({ athletes, onOpen, onToggleEdit, onRemove }: RosterTableProps) {
+  if (athletes.length === 0) {
+    return (
+      <Text size="sm" c="dimmed" ta="center" py="md">
+        No athletes yet. Invite an athlete by email to start coaching.
+      </Text>
+    );
+  }
+
+  return (
+    <Table.ScrollContainer minWidth={760}>
+      <Table highlightOnHover>
+        <Table.Thead>
+          <Table.Tr>
+            <Table.Th>Athlete</Table.Th>
+            <Table.Th style={{ textAlign: 'right' }}>TFI</Table.Th>
+            <Table.Th style={{ textAlign: 'right' }}>AFI</Table.Th>
+            <Table.Th style={{ textAlign: 'right' }}>Form</Table.Th>
+            <Table.Th style={{ textAlign: 'right' }}>EFI 28d</Table.Th>
+            <Table.Th>Evidence</Table.Th>
+            <Table.Th>Flags</Table.Th>
+            <Table.Th style={{ textAlign: 'right' }}>Actions</Table.Th>
+          </Table.Tr>
+        </Table.Thead>
+        <Table.Tbody>
+          {athletes.map((athlete) => (
+            <Table.Tr key={athlete.relationshipId} style={{ cursor: 'pointer' }} onClick={() => onOpen(athlete)}>
+              <Table.Td>
+                <Text size="sm" fw={500}>{athlete.name}</Text>
+                {athlete.name !== athlete.email && (
+                  <Text size="xs" c="dimmed">{athlete.email}</Text>
+                )}
+              </Table.Td>
+              <Table.Td style={{ textAlign: 'right' }}>
+                <Text size="sm" fw={500}>{formatMetric(athlete.tfi)}</Text>
+                {athlete.tfiChange7d !== null && (
+                  <Text size="xs" c={athlete.tfiChange7d >= 0 ? 'teal' : 'red'}>
+                    {formatMetric(athlete.tfiChange7d, true)} 7d
+                  </Text>
+                )}
+              </Table.Td>
+              <Table.Td style={{ textAlign: 'right' }}>
+                <Text size="sm">{formatMetric(athlete.afi)}</Text>
+              </Table.Td>
+              <Table.Td style={{ textAlign: 'right' }}>
+                <Text size="sm" fw={500}>{formatMetric(athlete.form, true)}</Text>
+              </Table.Td>
+              <Table.Td style={{ textAlign: 'right' }}>
+                <Text size="sm">{formatMetric(athlete.efi28d)}</Text>
+              </Table.Td>
+              <Table.Td>
+                {athlete.evidence ? (
+                  <Tooltip
+                    label={athlete.evidence.facts[0] || `Week of ${athlete.evidence.week}`}
+                    multiline
+                    w={260}
+                  >
+                    <Badge variant="light" color={VERDICT_COLORS[athlete.evidence.verdict] || 'gray'}>
+                      {athlete.evidence.verdict.replace('_', ' ')}
+                    </Badge>
+                  </Tooltip>
+                ) : (
+                  <Text size="sm" c="dimmed">—</Text>
+                )}
+              </Table.Td>
+              <Table.Td>
+                <Group gap={4}>
+                  {athlete.flags.map((flag) => (
+                    <Tooltip key={flag} label={FLAG_LABELS[flag].description}>
+                      <Badge size="sm" variant="dot" color={FLAG_LABELS[flag].color}>
+                        {FLAG_LABELS[flag].label}
+                      </Badge>
+                    </Tooltip>
+                  ))}
+                </Group>
+              </Table.Td>
+              <Table.Td style={{ textAlign: 'right' }} onClick={(e) => e.stopPropagation()}>
+                <Menu position="bottom-end" withinPortal>
+                  <Menu.Target>
+                    <ActionIcon variant="subtle" color="gray" aria-label={`Actions for ${athlete.name}`}>
+                      <DotsThreeVertical size={18} />
+                    </ActionIcon>
+                  </Menu.Target>
+                  <Menu.Dropdown>
+                    <Menu.Item leftSection={<CalendarBlank size={16} />} onClick={() => onOpen(athlete)}>
+                      Open athlete
+                    </Menu.Item>
+                    <Menu.Item
+                      leftSection={athlete.canEditPlan ? <PencilSimpleSlash size={16} /> : <PencilSimple size={16} />}
+                      onClick={() => onToggleEdit(athlete)}
+                    >
+                      {athlete.canEditPlan ? 'Make calendar read-only' : 'Allow calendar edits'}
+                    </Menu.Item>
+                    <Menu.Divider />
+                    <Menu.Item color="red" leftSection={<UserMinus size={16} />} onClick={() => onRemove(athlete)}>
+                      Remove from roster
+                    </Menu.Item>
+                  </Menu.Dropdown>
+                </Menu>
+              </Table.Td>
+            </Table.Tr>
+          ))}
+        </Table.Tbody>
+      </Table>
+    </Table.ScrollContainer>
+  );
+}
+
+export default RosterTable;
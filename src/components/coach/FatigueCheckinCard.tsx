@@ -3,11 +3,15 @@
  *
  * Simple form for recording subjective fatigue markers (leg feel, energy,
  * motivation) on a 1-5 scale. Shown on the Coach tab as a morning check-in.
+ * Made without network, the check-in is queued and sent on reconnect, dated
+ * to the day it was made.
  */
 
 import { useState } from 'react';
 import { Paper, Text, Group, Button, Stack, Slider, Textarea } from '@mantine/core';
 import { supabase } from '../../lib/supabase';
+import { sendOrQueue } from '../../lib/offline';
+import { getTodayString } from '../../utils/dateUtils';
 import { Barbell, Lightning, Heart } from '@phosphor-icons/react';
 
 interface FatigueCheckinCardProps {
@@ -45,6 +49,7 @@ export default function FatigueCheckinCard({ onComplete }: FatigueCheckinCardPro
   const [notes, setNotes] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [submitted, setSubmitted] = useState(false);
+  const [queued, setQueued] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
   const handleSubmit = async () => {
@@ -58,25 +63,20 @@ export default function FatigueCheckinCard({ onComplete }: FatigueCheckinCardPro
         return;
       }
 
-      const response = await fetch('/api/fatigue-checkin', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${session.access_token}`,
-        },
-        body: JSON.stringify({
-          leg_feel: legFeel,
-          energy,
-          motivation,
-          notes: notes.trim() || undefined,
-        }),
+      const result = await sendOrQueue('/api/fatigue-checkin', {
+        leg_feel: legFeel,
+        energy,
+        motivation,
+        notes: notes.trim() || undefined,
+        date: getTodayString(),
       });
 
-      if (!response.ok) {
-        const result = await response.json();
-        throw new Error(result.error || 'Failed to save check-in');
+      if (result.response && !result.response.ok) {
+        const body = await result.response.json();
+        throw new Error(body.error || 'Failed to save check-in');
       }
 
+      setQueued(result.queued);
       setSubmitted(true);
       onComplete?.();
     } catch (err) {
@@ -97,10 +97,15 @@ export default function FatigueCheckinCard({ onComplete }: FatigueCheckinCardPro
           textAlign: 'center',
         }}
       >
-        <Text size="sm" c="teal" fw={600}>Morning check-in recorded</Text>
+        <Text size="sm" c="teal" fw={600}>
+          {queued ? 'Morning check-in saved offline' : 'Morning check-in recorded'}
+        </Text>
         <Text size="xs" c="dimmed" mt={4}>
           Legs: {LABELS[legFeel]} · Energy: {ENERGY_LABELS[energy]} · Motivation: {MOTIVATION_LABELS[motivation]}
         </Text>
+        {queued && (
+          <Text size="xs" c="dimmed" mt={4}>It will sync when you are back online.</Text>
+        )}
       </Paper>
     );
   }
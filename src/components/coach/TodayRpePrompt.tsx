@@ -5,11 +5,14 @@
  * ride that lacks power data and hasn't been rated yet, shows the existing
  * RPEPrompt, and persists the rating via /api/activity-rpe. The RPE feeds the
  * "high-compliance + low-RPE" progression signal and improves load confidence.
+ * A rating made without network is queued and sent when the rider reconnects.
  */
 
 import { useCallback, useEffect, useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import { notifications } from '@mantine/notifications';
 import { supabase } from '../../lib/supabase';
+import { sendOrQueue } from '../../lib/offline';
 import RPEPrompt from './RPEPrompt';
 
 interface Candidate {
@@ -57,16 +60,19 @@ export default function TodayRpePrompt() {
   const handleSubmit = useCallback(
     async (rpe: number) => {
       if (!candidate) return;
-      const { data: { session } } = await supabase.auth.getSession();
-      const res = await fetch('/api/activity-rpe', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}),
-        },
-        body: JSON.stringify({ activity_id: candidate.id, rpe }),
+      const { queued, response } = await sendOrQueue('/api/activity-rpe', {
+        activity_id: candidate.id,
+        rpe,
       });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      if (queued) {
+        notifications.show({
+          title: 'Effort saved offline',
+          message: 'It will sync when you are back online.',
+          color: 'teal',
+        });
+      } else if (!response?.ok) {
+        throw new Error(`HTTP ${response?.status}`);
+      }
       setCandidate(null);
     },
     [candidate],
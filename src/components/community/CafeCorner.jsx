@@ -1,7 +1,8 @@
 /**
  * CafeCorner
  * The small-group accountability experience: cafe discovery/creation,
- * weekly check-ins, per-cafe discussions, and cafe settings.
+ * weekly check-ins, per-cafe discussions, segment leaderboards, and cafe
+ * settings.
  *
  * Extracted from CommunityPage when the community-wide forum became the
  * primary Cafe surface; this lives under the "My Cafe" tab.
@@ -38,8 +39,10 @@ import WeeklyCheckInWidget from './WeeklyCheckInWidget';
 import DiscussionList from './DiscussionList';
 import DiscussionThread from './DiscussionThread';
 import CafeSettingsModal from './CafeSettingsModal';
+import SegmentLeaderboard from './SegmentLeaderboard';
+import CafeEvents from './CafeEvents';
 import { trackFeature, trackInteraction, EventType } from '../../utils/activityTracking';
-import { ChatCircle, Coffee, Gear, Heart, MagnifyingGlass, Plus, Target, Trophy } from '@phosphor-icons/react';
+import { CalendarBlank, ChatCircle, Coffee, Gear, Heart, MagnifyingGlass, Plus, Target, Trophy } from '@phosphor-icons/react';
 
 const GOAL_OPTIONS = [
   { value: 'general_fitness', label: 'General Fitness' },
@@ -375,6 +378,12 @@ function CafeCorner() {
               <Tabs.Tab value="discussions" leftSection={<ChatCircle size={16} />}>
                 Group Chat
               </Tabs.Tab>
+              <Tabs.Tab value="events" leftSection={<CalendarBlank size={16} />}>
+                Rides
+              </Tabs.Tab>
+              <Tabs.Tab value="segments" leftSection={<Trophy size={16} />}>
+                Segments
+              </Tabs.Tab>
             </Tabs.List>
 
             <Tabs.Panel value="cafe" pt="md">
@@ -484,6 +493,16 @@ function CafeCorner() {
                 )}
               </Stack>
             </Tabs.Panel>
+
+            <Tabs.Panel value="events" pt="md">
+              {activeTab === 'events' && <CafeEvents cafeId={cafeId} />}
+            </Tabs.Panel>
+
+            <Tabs.Panel value="segments" pt="md">
+              {activeTab === 'segments' && (
+                <SegmentLeaderboard cafeId={cafeId} currentUserId={user?.id} />
+              )}
+            </Tabs.Panel>
           </Tabs>
         </Stack>
       )}
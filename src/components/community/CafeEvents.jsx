@@ -0,0 +1,342 @@
+/**
+ * CafeEvents
+ * The café's group rides: upcoming events with meeting point, attached
+ * route, pace groups and RSVPs, and a form for members to post one.
+ *
+ * Events also appear in each member's training calendar, where the plan
+ * conflict resolver suggests how to fit them around planned workouts.
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  ActionIcon,
+  Badge,
+  Button,
+  Card,
+  Group,
+  Modal,
+  NumberInput,
+  Select,
+  Skeleton,
+  Stack,
+  Switch,
+  Text,
+  TextInput,
+  Textarea,
+} from '@mantine/core';
+import { DateTimePicker } from '@mantine/dates';
+import { notifications } from '@mantine/notifications';
+import { CalendarBlank, MapPin, Path, Plus, Trash, Users } from '@phosphor-icons/react';
+import { useCafeEvents } from '../../hooks/useCafeEvents';
+import { listRoutes } from '../../utils/routesService';
+import { useUnits } from '../../utils/units';
+import EventRsvpControl, { paceGroupLabel } from './EventRsvpControl';
+
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  startsAt: null,
+  durationMinutes: null,
+  meetingPointName: '',
+  routeId: null,
+  paceGroups: [{ name: 'Social', avg_speed_kmh: 25, no_drop: true }],
+};
+
+export function formatEventTime(event) {
+  return new Date(event.starts_at).toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: event.timezone,
+  });
+}
+
+function NewEventModal({ opened, onClose, onCreate }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [routes, setRoutes] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!opened) return;
+    setForm(EMPTY_FORM);
+    listRoutes()
+      // Members see the route through its shared (privacy-masked) copy.
+      .then((rows) => setRoutes((rows || []).filter((r) => r.is_private === false)))
+      .catch(() => setRoutes([]));
+  }, [opened]);
+
+  const set = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+  const setGroup = (index, key, value) =>
+    set('paceGroups', form.paceGroups.map((g, i) => (i === index ? { ...g, [key]: value } : g)));
+
+  const submit = async () => {
+    if (!form.startsAt) return;
+    setSaving(true);
+    try {
+      await onCreate({
+        title: form.title,
+        description: form.description || null,
+        startsAt: new Date(String(form.startsAt).replace(' ', 'T')).toISOString(),
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        estimatedDurationMinutes: form.durationMinutes || null,
+        meetingPointName: form.meetingPointName,
+        routeId: form.routeId,
+        paceGroups: form.paceGroups.filter((g) => g.name.trim()),
+      });
+      notifications.show({ title: 'Group ride posted', message: form.title, color: 'green' });
+      onClose();
+    } catch (err) {
+      notifications.show({ title: 'Could not post ride', message: err.message, color: 'red' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal opened={opened} onClose={onClose} title="New group ride" size="lg">
+      <Stack gap="sm">
+        <TextInput
+          label="Title"
+          placeholder="Saturday café loop"
+          value={form.title}
+          onChange={(e) => set('title', e.currentTarget.value)}
+          required
+        />
+        <Group grow>
+          <DateTimePicker
+            label="Start"
+            placeholder="Pick date and time"
+            value={form.startsAt}
+            onChange={(value) => set('startsAt', value)}
+            minDate={new Date()}
+            required
+          />
+          <NumberInput
+            label="Expected duration (min)"
+            placeholder="From route"
+            value={form.durationMinutes ?? ''}
+            onChange={(value) => set('durationMinutes', value === '' ? null : Number(value))}
+            min={15}
+            max={720}
+            step={15}
+          />
+        </Group>
+        <TextInput
+          label="Meeting point"
+          placeholder="Café name or street corner"
+          leftSection={<MapPin size={14} />}
+          value={form.meetingPointName}
+          onChange={(e) => set('meetingPointName', e.currentTarget.value)}
+          required
+        />
+        <Select
+          label="Route"
+          placeholder={routes.length ? 'Attach a saved route' : 'No shared routes yet'}
+          description="Only routes you've shared can be attached."
+          data={routes.map((r) => ({ value: r.id, label: r.name }))}
+          value={form.routeId}
+          onChange={(value) => set('routeId', value)}
+          searchable
+          clearable
+        />
+        <Textarea
+          label="Details"
+          placeholder="Coffee stop, regroup points, what to bring"
+          autosize
+          minRows={2}
+          value={form.description}
+          onChange={(e) => set('description', e.currentTarget.value)}
+        />
+
+        <Stack gap={6}>
+          <Group justify="space-between">
+            <Text size="sm" fw={500}>Pace groups</Text>
+            <Button
+              size="compact-xs"
+              variant="subtle"
+              leftSection={<Plus size={12} />}
+              disabled={form.paceGroups.length >= 6}
+              onClick={() => set('paceGroups', [...form.paceGroups, { name: '', avg_speed_kmh: null, no_drop: false }])}
+            >
+              Add group
+            </Button>
+          </Group>
+          {form.paceGroups.map((group, i) => (
+            <Group key={i} gap="xs" wrap="nowrap" align="center">
+              <TextInput
+                size="xs"
+                placeholder="Name"
+                aria-label="Pace group name"
+                value={group.name}
+                onChange={(e) => setGroup(i, 'name', e.currentTarget.value)}
+                style={{ flex: 1 }}
+              />
+              <NumberInput
+                size="xs"
+                w={110}
+                placeholder="km/h"
+                aria-label="Average speed (km/h)"
+                value={group.avg_speed_kmh ?? ''}
+                onChange={(value) => setGroup(i, 'avg_speed_kmh', value === '' ? null : Number(value))}
+                min={10}
+                max={50}
+              />
+              <Switch
+                size="xs"
+                label="No-drop"
+                checked={group.no_drop}
+                onChange={(e) => setGroup(i, 'no_drop', e.currentTarget.checked)}
+              />
+              <ActionIcon
+                variant="subtle"
+                color="gray"
+                aria-label="Remove pace group"
+                onClick={() => set('paceGroups', form.paceGroups.filter((_, j) => j !== i))}
+              >
+                <Trash size={14} />
+              </ActionIcon>
+            </Group>
+          ))}
+        </Stack>
+
+        <Group justify="flex-end" mt="sm">
+          <Button variant="subtle" color="gray" onClick={onClose}>Cancel</Button>
+          <Button
+            loading={saving}
+            disabled={form.title.trim().length < 3 || !form.startsAt || form.meetingPointName.trim().length < 2}
+            onClick={submit}
+          >
+            Post ride
+          </Button>
+        </Group>
+      </Stack>
+    </Modal>
+  );
+}
+
+function EventCard({ event, onRsvp, onCancel }) {
+  const { formatDistance, formatElevation } = useUnits();
+  const cancelled = event.status === 'cancelled';
+  const past = new Date(event.starts_at).getTime() < Date.now();
+
+  return (
+    <Card padding="md" radius="md" withBorder style={cancelled || past ? { opacity: 0.6 } : undefined}>
+      <Stack gap="xs">
+        <Group justify="space-between" wrap="nowrap" align="flex-start">
+          <Stack gap={2}>
+            <Text fw={600}>{event.title}</Text>
+            <Group gap={6} wrap="nowrap">
+              <CalendarBlank size={14} />
+              <Text size="sm" c="dimmed">{formatEventTime(event)}</Text>
+            </Group>
+            <Group gap={6} wrap="nowrap">
+              <MapPin size={14} />
+              <Text size="sm" c="dimmed">{event.meeting_point_name}</Text>
+            </Group>
+            {event.route && (
+              <Group gap={6} wrap="nowrap">
+                <Path size={14} />
+                <Text size="sm" c="dimmed">
+                  {event.route.name}
+                  {event.route.distance_km ? ` · ${formatDistance(event.route.distance_km)}` : ''}
+                  {event.route.elevation_gain_m ? ` · ${formatElevation(event.route.elevation_gain_m)}` : ''}
+                </Text>
+              </Group>
+            )}
+          </Stack>
+          <Stack gap={4} align="flex-end">
+            {cancelled ? (
+              <Badge color="red" variant="light">Cancelled</Badge>
+            ) : (
+              <Badge variant="light" color="teal" leftSection={<Users size={12} />}>
+                {event.rsvp_summary.going} going
+              </Badge>
+            )}
+            {event.can_edit && !cancelled && !past && (
+              <Button size="compact-xs" variant="subtle" color="red" onClick={() => onCancel(event)}>
+                Cancel ride
+              </Button>
+            )}
+          </Stack>
+        </Group>
+
+        {event.description && <Text size="sm">{event.description}</Text>}
+
+        {event.pace_groups.length > 0 && (
+          <Group gap={6}>
+            {event.pace_groups.map((g) => (
+              <Badge key={g.id} size="sm" variant="outline" color="gray">
+                {paceGroupLabel(g, event.rsvp_summary.byPaceGroup[g.id])}
+              </Badge>
+            ))}
+          </Group>
+        )}
+
+        {!cancelled && !past && (
+          <EventRsvpControl event={event} onRsvp={(status, group) => onRsvp(event.id, status, group)} />
+        )}
+      </Stack>
+    </Card>
+  );
+}
+
+function CafeEvents({ cafeId }) {
+  const { events, loading, error, createEvent, cancelEvent, rsvp } = useCafeEvents(cafeId);
+  const [modalOpen, setModalOpen] = useState(false);
+
+  const handleCancel = async (event) => {
+    if (!window.confirm(`Cancel "${event.title}"? Members who RSVP'd will see it as cancelled.`)) return;
+    try {
+      await cancelEvent(event.id);
+    } catch (err) {
+      notifications.show({ title: 'Could not cancel', message: err.message, color: 'red' });
+    }
+  };
+
+  if (loading && events.length === 0) {
+    return (
+      <Stack gap="sm">
+        <Skeleton height={120} />
+        <Skeleton height={120} />
+      </Stack>
+    );
+  }
+
+  return (
+    <Stack gap="md">
+      <Group justify="space-between">
+        <Text size="sm" c="dimmed">
+          Group rides show up in members&apos; training calendars.
+        </Text>
+        <Button
+          size="sm"
+          leftSection={<Plus size={16} />}
+          onClick={() => setModalOpen(true)}
+          style={{ backgroundColor: 'var(--color-teal)', color: 'var(--color-bg)' }}
+        >
+          New Group Ride
+        </Button>
+      </Group>
+
+      {error && (
+        <Text size="sm" c="dimmed" ta="center">Couldn&apos;t load events: {error}</Text>
+      )}
+
+      {events.length === 0 && !error ? (
+        <Card padding="lg" radius="md" withBorder style={{ textAlign: 'center' }}>
+          <Text size="sm" c="dimmed">No group rides planned. Post one and pick a meeting point.</Text>
+        </Card>
+      ) : (
+        events.map((event) => (
+          <EventCard key={event.id} event={event} onRsvp={rsvp} onCancel={handleCancel} />
+        ))
+      )}
+
+      <NewEventModal opened={modalOpen} onClose={() => setModalOpen(false)} onCreate={createEvent} />
+    </Stack>
+  );
+}
+
+export default CafeEvents;
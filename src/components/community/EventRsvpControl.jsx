@@ -0,0 +1,66 @@
+/**
+ * EventRsvpControl
+ * Going / maybe / can't make it, plus a pace group pick once going.
+ * Shared by the café Events tab and the training calendar.
+ */
+
+import { useState } from 'react';
+import { Group, SegmentedControl, Select } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { RSVP_LABELS } from '../../hooks/useCafeEvents';
+
+const RSVP_OPTIONS = Object.entries(RSVP_LABELS).map(([value, label]) => ({ value, label }));
+
+function paceGroupLabel(group, count) {
+  const speed = group.avg_speed_kmh ? ` · ${group.avg_speed_kmh} km/h` : '';
+  const noDrop = group.no_drop ? ' · no-drop' : '';
+  return `${group.name}${speed}${noDrop}${count ? ` (${count})` : ''}`;
+}
+
+function EventRsvpControl({ event, onRsvp, size = 'xs' }) {
+  const [saving, setSaving] = useState(false);
+  const status = event.my_rsvp?.status ?? null;
+  const paceGroup = event.my_rsvp?.pace_group ?? null;
+
+  const save = async (nextStatus, nextGroup) => {
+    setSaving(true);
+    try {
+      await onRsvp(nextStatus, nextStatus === 'not_going' ? null : nextGroup);
+    } catch (err) {
+      notifications.show({ title: 'RSVP', message: err.message, color: 'red' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Group gap="xs" wrap="wrap">
+      <SegmentedControl
+        size={size}
+        value={status ?? ''}
+        disabled={saving || event.status === 'cancelled'}
+        onChange={(value) => save(value, paceGroup)}
+        data={RSVP_OPTIONS}
+      />
+      {status && status !== 'not_going' && event.pace_groups.length > 0 && (
+        <Select
+          size={size}
+          w={200}
+          placeholder="Pace group"
+          aria-label="Pace group"
+          disabled={saving}
+          value={paceGroup}
+          clearable
+          data={event.pace_groups.map((g) => ({
+            value: g.id,
+            label: paceGroupLabel(g, event.rsvp_summary.byPaceGroup[g.id]),
+          }))}
+          onChange={(value) => save(status, value)}
+        />
+      )}
+    </Group>
+  );
+}
+
+export { paceGroupLabel };
+export default EventRsvpControl;
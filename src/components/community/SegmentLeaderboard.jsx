@@ -0,0 +1,248 @@
+/**
+ * SegmentLeaderboard
+ * The café's opt-in leaderboard on its weekly "segment of the week":
+ * opt-in with a declared bike type, then standings by time, by W/kg, or
+ * within age band + bike type.
+ *
+ * Members only ever see each other's best time, power and W/kg on the café
+ * segment — never weight, age or the rides themselves.
+ */
+
+import { useState } from 'react';
+import {
+  Badge,
+  Card,
+  Group,
+  SegmentedControl,
+  Select,
+  Skeleton,
+  Stack,
+  Switch,
+  Table,
+  Text,
+} from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { Trophy } from '@phosphor-icons/react';
+import {
+  AGE_BAND_LABELS,
+  BIKE_TYPE_LABELS,
+  useCafeSegmentChallenge,
+} from '../../hooks/useCafeSegmentChallenge';
+import { useUnits } from '../../utils/units';
+
+const BIKE_TYPE_OPTIONS = Object.entries(BIKE_TYPE_LABELS).map(([value, label]) => ({ value, label }));
+
+function formatEffort(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = Math.round(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function categoryLabel(entry) {
+  const age = entry.age_band ? AGE_BAND_LABELS[entry.age_band] : 'Age not set';
+  return `${age} · ${BIKE_TYPE_LABELS[entry.bike_type] || entry.bike_type}`;
+}
+
+function StandingsTable({ entries, rankKey, currentUserId }) {
+  if (entries.length === 0) {
+    return (
+      <Text size="sm" c="dimmed" ta="center" py="sm">
+        No efforts yet.
+      </Text>
+    );
+  }
+  return (
+    <Table striped highlightOnHover verticalSpacing={6}>
+      <Table.Thead>
+        <Table.Tr>
+          <Table.Th w={40}>#</Table.Th>
+          <Table.Th>Rider</Table.Th>
+          <Table.Th ta="right">Time</Table.Th>
+          <Table.Th ta="right">Power</Table.Th>
+          <Table.Th ta="right">W/kg</Table.Th>
+        </Table.Tr>
+      </Table.Thead>
+      <Table.Tbody>
+        {entries.map((entry) => (
+          <Table.Tr
+            key={entry.user_id}
+            style={entry.user_id === currentUserId ? { fontWeight: 600 } : undefined}
+          >
+            <Table.Td>{entry[rankKey]}</Table.Td>
+            <Table.Td>{entry.name}</Table.Td>
+            <Table.Td ta="right">{formatEffort(entry.duration_seconds)}</Table.Td>
+            <Table.Td ta="right">{entry.avg_power ? `${entry.avg_power} W` : '—'}</Table.Td>
+            <Table.Td ta="right">{entry.wkg ?? '—'}</Table.Td>
+          </Table.Tr>
+        ))}
+      </Table.Tbody>
+    </Table>
+  );
+}
+
+function Standings({ leaderboard, view, currentUserId }) {
+  if (view === 'wkg') {
+    const withPower = leaderboard
+      .filter((e) => e.wkg_rank !== null)
+      .sort((a, b) => a.wkg_rank - b.wkg_rank);
+    return (
+      <Stack gap={4}>
+        <StandingsTable entries={withPower} rankKey="wkg_rank" currentUserId={currentUserId} />
+        {withPower.length < leaderboard.length && (
+          <Text size="xs" c="dimmed">
+            Riders without power or a weight in their profile aren't ranked by W/kg.
+          </Text>
+        )}
+      </Stack>
+    );
+  }
+
+  if (view === 'category') {
+    const groups = new Map();
+    for (const entry of leaderboard) {
+      const label = categoryLabel(entry);
+      groups.set(label, [...(groups.get(label) || []), entry]);
+    }
+    return (
+      <Stack gap="sm">
+        {[...groups.entries()].map(([label, entries]) => (
+          <Stack key={label} gap={4}>
+            <Text size="xs" fw={600} c="dimmed">{label}</Text>
+            <StandingsTable entries={entries} rankKey="category_rank" currentUserId={currentUserId} />
+          </Stack>
+        ))}
+        {groups.size === 0 && <StandingsTable entries={[]} rankKey="rank" />}
+      </Stack>
+    );
+  }
+
+  return <StandingsTable entries={leaderboard} rankKey="rank" currentUserId={currentUserId} />;
+}
+
+function SegmentLeaderboard({ cafeId, currentUserId }) {
+  const { state, loading, error, optIn, optOut } = useCafeSegmentChallenge(cafeId);
+  const { formatDistance } = useUnits();
+  const [view, setView] = useState('time');
+  const [saving, setSaving] = useState(false);
+
+  const updateOptIn = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+    } catch (err) {
+      notifications.show({ title: 'Leaderboard', message: err.message, color: 'red' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !state) {
+    return (
+      <Stack gap="sm">
+        <Skeleton height={60} />
+        <Skeleton height={160} />
+      </Stack>
+    );
+  }
+
+  if (error) {
+    return (
+      <Text size="sm" c="dimmed" ta="center" py="md">
+        Couldn't load the leaderboard: {error}
+      </Text>
+    );
+  }
+
+  const challenge = state?.challenge;
+  const previous = state?.previous;
+
+  return (
+    <Stack gap="md">
+      <Card padding="md" radius="md" withBorder>
+        <Stack gap="xs">
+          <Group justify="space-between" wrap="nowrap">
+            <Switch
+              label="Show my efforts on café leaderboards"
+              checked={Boolean(state?.optedIn)}
+              disabled={saving}
+              onChange={(event) =>
+                updateOptIn(() => (event.currentTarget.checked ? optIn(state?.bikeType || 'road') : optOut()))
+              }
+            />
+            {state?.optedIn && (
+              <Select
+                size="xs"
+                w={120}
+                aria-label="Bike type"
+                data={BIKE_TYPE_OPTIONS}
+                value={state.bikeType || 'road'}
+                disabled={saving}
+                allowDeselect={false}
+                onChange={(value) => value && updateOptIn(() => optIn(value))}
+              />
+            )}
+          </Group>
+          <Text size="xs" c="dimmed">
+            Members see your best time, power and W/kg on the café segment, plus your age band — never your
+            weight, age or rides. Segments that start or end near where members start their rides are never picked.
+            {state ? ` ${state.optedInCount} member${state.optedInCount === 1 ? '' : 's'} opted in.` : ''}
+          </Text>
+        </Stack>
+      </Card>
+
+      {challenge ? (
+        <Card padding="md" radius="md" withBorder data-testid="segment-of-the-week">
+          <Stack gap="sm">
+            <Group justify="space-between" wrap="nowrap">
+              <Group gap="xs" wrap="nowrap">
+                <Trophy size={18} color="var(--color-gold)" />
+                <Text fw={600}>{challenge.name}</Text>
+              </Group>
+              <Badge variant="light" color="gray">Segment of the week</Badge>
+            </Group>
+            <Text size="sm" c="dimmed">
+              {formatDistance(challenge.distance_meters / 1000)}
+              {challenge.avg_gradient !== null && Math.abs(challenge.avg_gradient) >= 1
+                ? ` · ${challenge.avg_gradient.toFixed(1)}% avg`
+                : ''}
+              {' · ends Sunday'}
+            </Text>
+            <SegmentedControl
+              size="xs"
+              value={view}
+              onChange={setView}
+              data={[
+                { value: 'time', label: 'Time' },
+                { value: 'wkg', label: 'W/kg' },
+                { value: 'category', label: 'Age & bike' },
+              ]}
+            />
+            <Standings leaderboard={challenge.leaderboard} view={view} currentUserId={currentUserId} />
+          </Stack>
+        </Card>
+      ) : (
+        <Card padding="lg" radius="md" withBorder style={{ textAlign: 'center' }}>
+          <Text size="sm" c="dimmed">
+            No segment of the week yet. One is picked every Monday once at least two members have opted in and
+            ridden a segment in common.
+          </Text>
+        </Card>
+      )}
+
+      {previous && previous.leaderboard.length > 0 && (
+        <Card padding="md" radius="md" withBorder>
+          <Stack gap="xs">
+            <Text size="sm" fw={500}>Last week: {previous.name}</Text>
+            <StandingsTable
+              entries={previous.leaderboard.slice(0, 3)}
+              rankKey="rank"
+              currentUserId={currentUserId}
+            />
+          </Stack>
+        </Card>
+      )}
+    </Stack>
+  );
+}
+
+export default SegmentLeaderboard;
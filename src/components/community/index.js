@@ -4,3 +4,5 @@ export { default as DiscussionList } from './DiscussionList';
 export { default as DiscussionThread } from './DiscussionThread';
 export { default as CafeSettingsModal } from './CafeSettingsModal';
 export { default as CafeCorner } from './CafeCorner';
+export { default as SegmentLeaderboard } from './SegmentLeaderboard';
+export { default as CafeEvents } from './CafeEvents';
@@ -3,7 +3,8 @@
  * paginated thread list, thread view, composer, and notifications.
  *
  * Thread deep-links use the ?thread=<id> query param so notification
- * clicks and shared URLs open the right thread.
+ * clicks and shared URLs open the right thread; ?post=<id> additionally
+ * scrolls to a reply (search matches in replies).
  */
 
 import { useState, useEffect, useCallback, useMemo } from 'react';
@@ -20,12 +21,14 @@ import {
   Box,
   CloseButton,
   ScrollArea,
+  Alert,
 } from '@mantine/core';
 import { useDisclosure } from '@mantine/hooks';
 import { notifications as mantineNotifications } from '@mantine/notifications';
-import { MagnifyingGlass, Plus } from '@phosphor-icons/react';
+import { MagnifyingGlass, Plus, Prohibit, Warning } from '@phosphor-icons/react';
 import { useForum } from '../../hooks/useForum';
 import { useForumNotifications } from '../../hooks/useForumNotifications';
+import { useNotificationPreferences } from '../../hooks/useNotificationPreferences';
 import { trackFeature, trackInteraction, EventType } from '../../utils/activityTracking';
 import ThreadList from './ThreadList';
 import ThreadView from './ThreadView';
@@ -42,16 +45,20 @@ const SORT_OPTIONS = [
 
 function ForumHome({ userId }) {
   const forum = useForum({ userId });
-  const forumNotifications = useForumNotifications({ userId });
+  const { isEnabled: isNotificationEnabled } = useNotificationPreferences(userId);
+  const showForumNotifications = isNotificationEnabled('forum_reply', 'in_app');
+  const forumNotifications = useForumNotifications({ userId, enabled: showForumNotifications });
 
   const [searchParams, setSearchParams] = useSearchParams();
   const activeThreadId = searchParams.get('thread');
+  const focusPostId = searchParams.get('post');
 
   const [categoryId, setCategoryId] = useState(null);
   const [sort, setSort] = useState('latest');
   const [page, setPage] = useState(0);
   const [searchInput, setSearchInput] = useState('');
   const [searchResults, setSearchResults] = useState(null); // null = not searching
+  const [searchScopeId, setSearchScopeId] = useState(null); // board the last search was limited to
   const [searchLoading, setSearchLoading] = useState(false);
   const [composerOpened, { open: openComposer, close: closeComposer }] = useDisclosure(false);
   const [editingThread, setEditingThread] = useState(null);
@@ -61,6 +68,13 @@ function ForumHome({ userId }) {
     [forum.categories]
   );
 
+  // Bans, rate limits and failed writes surface through forum.error
+  useEffect(() => {
+    if (forum.error) {
+      mantineNotifications.show({ title: 'Forum', message: forum.error, color: 'red' });
+    }
+  }, [forum.error]);
+
   // Load the thread list whenever filters change (and when not in a thread)
   useEffect(() => {
     if (!activeThreadId) {
@@ -79,10 +93,12 @@ function ForumHome({ userId }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [activeThreadId, forum.loadThread, forum.clearActiveThread]);
 
-  const openThread = useCallback((threadId) => {
+  const openThread = useCallback((threadId, postId = null) => {
     setSearchParams(prev => {
       const next = new URLSearchParams(prev);
       next.set('thread', threadId);
+      if (postId) next.set('post', postId);
+      else next.delete('post');
       return next;
     });
   }, [setSearchParams]);
@@ -91,17 +107,20 @@ function ForumHome({ userId }) {
     setSearchParams(prev => {
       const next = new URLSearchParams(prev);
       next.delete('thread');
+      next.delete('post');
       return next;
     });
   }, [setSearchParams]);
 
-  const handleSearch = async () => {
+  // Searches the selected board when one is picked; scopeId = null widens it
+  const handleSearch = async (scopeId = categoryId) => {
     const query = searchInput.trim();
     if (query.length < 2) return;
 
     setSearchLoading(true);
+    setSearchScopeId(scopeId);
     try {
-      const results = await forum.searchForum(query);
+      const results = await forum.searchForum(query, { categoryId: scopeId });
       setSearchResults(results);
     } finally {
       setSearchLoading(false);
@@ -111,6 +130,7 @@ function ForumHome({ userId }) {
   const clearSearch = () => {
     setSearchInput('');
     setSearchResults(null);
+    setSearchScopeId(null);
   };
 
   const handleCreateThread = async (data) => {
@@ -155,9 +175,11 @@ function ForumHome({ userId }) {
           thread={forum.activeThread}
           posts={forum.posts}
           reactions={forum.reactions}
+          reputation={forum.reputation}
           category={forum.activeThread ? categoriesById[forum.activeThread.category_id] : null}
           currentUserId={userId}
-          isModerator={forum.isModerator}
+          isModerator={forum.canModerate(forum.activeThread?.category_id)}
+          focusPostId={focusPostId}
           loading={forum.threadLoading}
           onBack={closeThread}
           onCreatePost={handleCreatePost}
@@ -167,6 +189,9 @@ function ForumHome({ userId }) {
           onDeleteThread={forum.deleteThread}
           onToggleReaction={forum.toggleReaction}
           onSetThreadFlags={forum.setThreadFlags}
+          onSetHidden={forum.setHidden}
+          onAcceptAnswer={forum.acceptAnswer}
+          onReportContent={forum.reportContent}
         />
 
         <ThreadComposerModal
@@ -183,10 +208,14 @@ function ForumHome({ userId }) {
   // ----- List / search view -----
   return (
     <Stack gap="md">
+      <SanctionNotice ban={forum.activeBan} warning={forum.recentWarning} />
+
       {/* Toolbar: search, notifications, new thread */}
       <Group justify="space-between" wrap="nowrap" gap="sm">
         <TextInput
-          placeholder="Search the forum…"
+          placeholder={categoryId && categoriesById[categoryId]
+            ? `Search ${categoriesById[categoryId].name}…`
+            : 'Search the forum…'}
           value={searchInput}
           onChange={(e) => setSearchInput(e.target.value)}
           onKeyDown={(e) => { if (e.key === 'Enter') handleSearch(); }}
@@ -201,19 +230,22 @@ function ForumHome({ userId }) {
         />
 
         <Group gap="xs" wrap="nowrap">
-          <ForumNotificationsButton
-            notifications={forumNotifications.notifications}
-            unreadCount={forumNotifications.unreadCount}
-            loading={forumNotifications.loading}
-            onOpenList={forumNotifications.loadNotifications}
-            onMarkRead={forumNotifications.markRead}
-            onMarkAllRead={forumNotifications.markAllRead}
-            onOpenThread={openThread}
-          />
+          {showForumNotifications && (
+            <ForumNotificationsButton
+              notifications={forumNotifications.notifications}
+              unreadCount={forumNotifications.unreadCount}
+              loading={forumNotifications.loading}
+              onOpenList={forumNotifications.loadNotifications}
+              onMarkRead={forumNotifications.markRead}
+              onMarkAllRead={forumNotifications.markAllRead}
+              onOpenThread={openThread}
+            />
+          )}
           <Button
             size="sm"
             leftSection={<Plus size={16} />}
             onClick={openComposer}
+            disabled={!!forum.activeBan}
             style={{ backgroundColor: 'var(--color-teal)', color: 'var(--color-bg)' }}
           >
             New Thread
@@ -226,7 +258,9 @@ function ForumHome({ userId }) {
           results={searchResults}
           loading={searchLoading}
           categoriesById={categoriesById}
-          onSelect={(threadId) => { clearSearch(); openThread(threadId); }}
+          scope={searchScopeId ? categoriesById[searchScopeId] : null}
+          onSearchAllBoards={() => handleSearch(null)}
+          onSelect={(result) => { clearSearch(); openThread(result.thread_id, result.post_id); }}
           onClear={clearSearch}
         />
       ) : (
@@ -310,7 +344,31 @@ function BoardChip({ label, color = 'gray', count, active, onClick }) {
   );
 }
 
-function SearchResults({ results, loading, categoriesById, onSelect, onClear }) {
+function SanctionNotice({ ban, warning }) {
+  if (ban) {
+    return (
+      <Alert color="red" variant="light" icon={<Prohibit size={16} />} title="You can't post right now">
+        <Text size="sm">
+          A moderator has banned you from posting
+          {ban.expires_at ? ` until ${new Date(ban.expires_at).toLocaleDateString()}` : ''}.
+          {ban.reason ? ` Reason: ${ban.reason}` : ''}
+        </Text>
+      </Alert>
+    );
+  }
+  if (warning) {
+    return (
+      <Alert color="yellow" variant="light" icon={<Warning size={16} />} title="A moderator sent you a warning">
+        <Text size="sm">
+          {warning.reason || 'One of your posts broke the community guidelines.'} Further problems can lead to a ban.
+        </Text>
+      </Alert>
+    );
+  }
+  return null;
+}
+
+function SearchResults({ results, loading, categoriesById, scope, onSearchAllBoards, onSelect, onClear }) {
   if (loading) {
     return <Text size="sm" c="dimmed" ta="center" py="md">Searching…</Text>;
   }
@@ -318,9 +376,17 @@ function SearchResults({ results, loading, categoriesById, onSelect, onClear })
   return (
     <Stack gap="xs">
       <Group justify="space-between">
-        <Text size="sm" fw={500}>
-          {results.length === 0 ? 'No results' : `${results.length} result${results.length === 1 ? '' : 's'}`}
-        </Text>
+        <Group gap="xs">
+          <Text size="sm" fw={500}>
+            {results.length === 0 ? 'No results' : `${results.length} result${results.length === 1 ? '' : 's'}`}
+            {scope ? ` in ${scope.name}` : ''}
+          </Text>
+          {scope && (
+            <Button size="compact-xs" variant="subtle" color="teal" onClick={onSearchAllBoards}>
+              Search all boards
+            </Button>
+          )}
+        </Group>
         <Button size="compact-xs" variant="subtle" color="gray" onClick={onClear}>
           Back to threads
         </Button>
@@ -330,14 +396,14 @@ function SearchResults({ results, loading, categoriesById, onSelect, onClear })
         const category = categoriesById[result.category_id];
         return (
           <Card
-            key={result.thread_id}
+            key={`${result.thread_id}:${result.post_id || ''}`}
             padding="sm"
             radius="md"
             style={{
               backgroundColor: 'var(--color-bg-secondary)',
               cursor: 'pointer',
             }}
-            onClick={() => onSelect(result.thread_id)}
+            onClick={() => onSelect(result)}
             className="tribos-discussion-item"
           >
             <Group gap="xs" mb={4}>
@@ -0,0 +1,80 @@
+/**
+ * ReportContentModal — report a thread or reply to the moderators with a
+ * reason and optional details. Reports land in the admin moderator queue.
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Stack, Radio, Textarea, Button, Group, Text } from '@mantine/core';
+import { REPORT_REASONS } from '../../hooks/useForum';
+
+const MODAL_STYLES = {
+  header: { backgroundColor: 'var(--color-bg-secondary)' },
+  content: { backgroundColor: 'var(--color-bg-secondary)' },
+  title: { color: 'var(--color-text-primary)', fontWeight: 600 },
+};
+
+function ReportContentModal({ opened, onClose, target, onSubmit }) {
+  const [reason, setReason] = useState('spam');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (opened) {
+      setReason('spam');
+      setDetails('');
+    }
+  }, [opened]);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const ok = await onSubmit(target, reason, details.trim());
+      if (ok) onClose();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      opened={opened}
+      onClose={onClose}
+      title={target?.postId ? 'Report Reply' : 'Report Thread'}
+      styles={MODAL_STYLES}
+    >
+      <Stack gap="md">
+        <Text size="sm" c="dimmed">
+          Reports go to the forum moderators. The author isn&apos;t told who reported them.
+        </Text>
+
+        <Radio.Group value={reason} onChange={setReason} label="What's wrong?">
+          <Stack gap="xs" mt="xs">
+            {REPORT_REASONS.map(({ value, label }) => (
+              <Radio key={value} value={value} label={label} />
+            ))}
+          </Stack>
+        </Radio.Group>
+
+        <Textarea
+          label="Details (optional)"
+          placeholder="Anything that helps the moderators understand the problem"
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+          minRows={2}
+          autosize
+          maxLength={1000}
+          styles={{ input: { backgroundColor: 'var(--color-bg-secondary)' } }}
+        />
+
+        <Group justify="flex-end">
+          <Button variant="subtle" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleSubmit} loading={submitting} color="red">
+            Send Report
+          </Button>
+        </Group>
+      </Stack>
+    </Modal>
+  );
+}
+
+export default ReportContentModal;
@@ -4,7 +4,7 @@
  */
 
 import { Card, Text, Group, Stack, Badge, Box, Avatar, Skeleton, Pagination, Center } from '@mantine/core';
-import { ChatCircle, Lock, PushPin, ThumbsUp } from '@phosphor-icons/react';
+import { ChatCircle, CheckCircle, EyeSlash, Lock, PushPin, ThumbsUp } from '@phosphor-icons/react';
 import { forumAuthorName, THREADS_PER_PAGE } from '../../hooks/useForum';
 import { timeAgo } from '../../utils/timeAgo';
 
@@ -108,6 +108,10 @@ function ThreadRow({ thread, category, onClick }) {
             <Group gap="xs" mb={4} wrap="nowrap">
               {thread.is_pinned && <PushPin size={14} color="var(--color-teal)" weight="fill" />}
               {thread.is_locked && <Lock size={14} color="var(--color-text-muted)" />}
+              {thread.hidden_at && <EyeSlash size={14} color="var(--color-text-muted)" aria-label="Hidden" />}
+              {thread.accepted_post_id && (
+                <CheckCircle size={14} color="var(--color-teal)" weight="fill" aria-label="Answered" />
+              )}
               {category && (
                 <Badge size="xs" variant="light" color={category.color}>
                   {category.name}
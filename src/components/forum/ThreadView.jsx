@@ -1,6 +1,7 @@
 /**
  * ThreadView — a single forum thread: original post, replies, reactions,
- * quote-reply composer, author edit/delete, and moderator pin/lock.
+ * quote-reply composer, author edit/delete and accepted answer, reporting,
+ * and moderator pin/lock/hide.
  */
 
 import { useState, useEffect } from 'react';
@@ -21,11 +22,16 @@ import {
   SegmentedControl,
   Paper,
   CloseButton,
+  Alert,
 } from '@mantine/core';
 import { notifications } from '@mantine/notifications';
 import {
   ArrowLeft,
+  CheckCircle,
   DotsThreeVertical,
+  Eye,
+  EyeSlash,
+  Flag,
   Lock,
   LockOpen,
   PencilSimple,
@@ -36,6 +42,7 @@ import {
 } from '@phosphor-icons/react';
 import ForumMarkdown from './ForumMarkdown';
 import ReactionBar from './ReactionBar';
+import ReportContentModal from './ReportContentModal';
 import { forumAuthorName } from '../../hooks/useForum';
 import { timeAgo } from '../../utils/timeAgo';
 
@@ -43,9 +50,11 @@ function ThreadView({
   thread,
   posts,
   reactions,
+  reputation = {},
   category,
   currentUserId,
   isModerator,
+  focusPostId,
   loading,
   onBack,
   onCreatePost,
@@ -55,6 +64,9 @@ function ThreadView({
   onDeleteThread,
   onToggleReaction,
   onSetThreadFlags,
+  onSetHidden,
+  onAcceptAnswer,
+  onReportContent,
 }) {
   const [replyBody, setReplyBody] = useState('');
   const [replyMode, setReplyMode] = useState('write');
@@ -62,6 +74,7 @@ function ThreadView({
   const [submitting, setSubmitting] = useState(false);
   const [editingPostId, setEditingPostId] = useState(null);
   const [editBody, setEditBody] = useState('');
+  const [reportTarget, setReportTarget] = useState(null);
 
   // Reset composer state when switching threads
   useEffect(() => {
@@ -70,6 +83,12 @@ function ThreadView({
     setEditingPostId(null);
   }, [thread?.id]);
 
+  // Search results that matched a reply open the thread scrolled to it
+  useEffect(() => {
+    if (!focusPostId || loading) return;
+    document.getElementById(`forum-post-${focusPostId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusPostId, loading, posts.length]);
+
   if (loading || !thread) {
     return (
       <Stack gap="sm">
@@ -136,6 +155,18 @@ function ThreadView({
     await onDeletePost(postId);
   };
 
+  const handleReport = async (target, reason, details) => {
+    const ok = await onReportContent(target, reason, details);
+    if (ok) {
+      notifications.show({
+        title: 'Report sent',
+        message: 'Thanks — a moderator will take a look.',
+        color: 'sage',
+      });
+    }
+    return ok;
+  };
+
   return (
     <Stack gap="md">
       {/* Header row */}
@@ -150,7 +181,7 @@ function ThreadView({
           All threads
         </Button>
 
-        {(isThreadAuthor || canModerate) && (
+        {currentUserId && (
           <Menu position="bottom-end" shadow="md">
             <Menu.Target>
               <ActionIcon variant="subtle" color="gray" aria-label="Thread actions">
@@ -177,8 +208,19 @@ function ThreadView({
                   >
                     {thread.is_locked ? 'Unlock thread' : 'Lock thread'}
                   </Menu.Item>
+                  <Menu.Item
+                    leftSection={thread.hidden_at ? <Eye size={14} /> : <EyeSlash size={14} />}
+                    onClick={() => onSetHidden({ threadId: thread.id }, !thread.hidden_at)}
+                  >
+                    {thread.hidden_at ? 'Unhide thread' : 'Hide thread'}
+                  </Menu.Item>
                 </>
               )}
+              {!isThreadAuthor && (
+                <Menu.Item leftSection={<Flag size={14} />} onClick={() => setReportTarget({ threadId: thread.id })}>
+                  Report thread
+                </Menu.Item>
+              )}
               {(isThreadAuthor || canModerate) && (
                 <>
                   <Menu.Divider />
@@ -192,6 +234,12 @@ function ThreadView({
         )}
       </Group>
 
+      {thread.hidden_at && (
+        <Alert color="yellow" variant="light" icon={<EyeSlash size={16} />}>
+          This thread is hidden from the community{canModerate ? '' : ' while a moderator reviews it'}.
+        </Alert>
+      )}
+
       {/* Original post */}
       <Card
         padding="lg"
@@ -216,7 +264,12 @@ function ThreadView({
             {thread.title}
           </Text>
 
-          <AuthorLine author={thread.author} timestamp={thread.created_at} edited={thread.edited_at} />
+          <AuthorLine
+            author={thread.author}
+            reputation={reputation[thread.author_id]}
+            timestamp={thread.created_at}
+            edited={thread.edited_at}
+          />
 
           <ForumMarkdown>{thread.body}</ForumMarkdown>
 
@@ -239,7 +292,11 @@ function ThreadView({
             key={post.id}
             post={post}
             quotedPost={post.parent_post_id ? postsById[post.parent_post_id] : null}
+            reputation={reputation[post.author_id]}
             isOwn={post.author_id === currentUserId}
+            isAccepted={thread.accepted_post_id === post.id}
+            canAccept={isThreadAuthor && post.author_id !== currentUserId}
+            canReport={!!currentUserId && post.author_id !== currentUserId}
             canModerate={canModerate}
             isLocked={thread.is_locked}
             reactionSummary={reactions[`post:${post.id}`]}
@@ -252,6 +309,9 @@ function ThreadView({
             onDelete={() => handleDeletePost(post.id)}
             onQuote={() => handleQuote(post)}
             onToggleReaction={(type) => onToggleReaction({ postId: post.id }, type)}
+            onToggleAccepted={() => onAcceptAnswer(thread.id, thread.accepted_post_id === post.id ? null : post.id)}
+            onToggleHidden={() => onSetHidden({ postId: post.id }, !post.hidden_at)}
+            onReport={() => setReportTarget({ postId: post.id })}
           />
         ))}
       </Stack>
@@ -342,11 +402,18 @@ function ThreadView({
           </Stack>
         </Card>
       )}
+
+      <ReportContentModal
+        opened={!!reportTarget}
+        onClose={() => setReportTarget(null)}
+        target={reportTarget}
+        onSubmit={handleReport}
+      />
     </Stack>
   );
 }
 
-function AuthorLine({ author, timestamp, edited }) {
+function AuthorLine({ author, reputation, timestamp, edited }) {
   const name = forumAuthorName(author);
   return (
     <Group gap="xs">
@@ -354,6 +421,11 @@ function AuthorLine({ author, timestamp, edited }) {
         {name.charAt(0).toUpperCase()}
       </Avatar>
       <Text size="sm" fw={500}>{name}</Text>
+      {reputation > 0 && (
+        <Text size="xs" c="dimmed" title="Reputation from accepted answers and reactions">
+          {reputation} rep
+        </Text>
+      )}
       <Text size="xs" c="dimmed">·</Text>
       <Text size="xs" c="dimmed">{timeAgo(timestamp)}</Text>
       {edited && (
@@ -366,7 +438,11 @@ function AuthorLine({ author, timestamp, edited }) {
 function PostCard({
   post,
   quotedPost,
+  reputation,
   isOwn,
+  isAccepted,
+  canAccept,
+  canReport,
   canModerate,
   isLocked,
   reactionSummary,
@@ -379,19 +455,48 @@ function PostCard({
   onDelete,
   onQuote,
   onToggleReaction,
+  onToggleAccepted,
+  onToggleHidden,
+  onReport,
 }) {
+  const borderColor = isAccepted
+    ? 'var(--color-teal)'
+    : isOwn ? 'var(--color-teal)40' : 'var(--color-bg-secondary)';
+
   return (
     <Card
+      id={`forum-post-${post.id}`}
       padding="md"
       radius="md"
       style={{
         backgroundColor: 'var(--color-bg-secondary)',
-        border: `1px solid ${isOwn ? 'var(--color-teal)40' : 'var(--color-bg-secondary)'}`,
+        border: `1px solid ${borderColor}`,
+        opacity: post.hidden_at ? 0.6 : 1,
       }}
     >
       <Stack gap="xs">
+        {(isAccepted || post.hidden_at) && (
+          <Group gap="xs">
+            {isAccepted && (
+              <Badge size="sm" variant="light" color="sage" leftSection={<CheckCircle size={12} weight="fill" />}>
+                Accepted answer
+              </Badge>
+            )}
+            {post.hidden_at && (
+              <Badge size="sm" variant="light" color="yellow" leftSection={<EyeSlash size={12} />}>
+                Hidden
+              </Badge>
+            )}
+          </Group>
+        )}
+
         <Group justify="space-between" wrap="nowrap">
-          <AuthorLine author={post.author} timestamp={post.created_at} edited={post.edited_at} />
+          <AuthorLine
+            author={post.author}
+            reputation={reputation}
+            timestamp={post.created_at}
+            edited={post.edited_at}
+          />
 
           <Group gap={4}>
             {!isLocked && (
@@ -406,7 +511,7 @@ function PostCard({
                 <Quotes size={14} />
               </ActionIcon>
             )}
-            {(isOwn || canModerate) && (
+            {(isOwn || canModerate || canAccept || canReport) && (
               <Menu position="bottom-end" shadow="md">
                 <Menu.Target>
                   <ActionIcon variant="subtle" color="gray" size="sm" aria-label="Reply actions">
@@ -419,9 +524,29 @@ function PostCard({
                       Edit
                     </Menu.Item>
                   )}
-                  <Menu.Item color="red" leftSection={<Trash size={14} />} onClick={onDelete}>
-                    Delete
-                  </Menu.Item>
+                  {canAccept && (
+                    <Menu.Item leftSection={<CheckCircle size={14} />} onClick={onToggleAccepted}>
+                      {isAccepted ? 'Unmark answer' : 'Mark as answer'}
+                    </Menu.Item>
+                  )}
+                  {canModerate && (
+                    <Menu.Item
+                      leftSection={post.hidden_at ? <Eye size={14} /> : <EyeSlash size={14} />}
+                      onClick={onToggleHidden}
+                    >
+                      {post.hidden_at ? 'Unhide' : 'Hide'}
+                    </Menu.Item>
+                  )}
+                  {canReport && (
+                    <Menu.Item leftSection={<Flag size={14} />} onClick={onReport}>
+                      Report
+                    </Menu.Item>
+                  )}
+                  {(isOwn || canModerate) && (
+                    <Menu.Item color="red" leftSection={<Trash size={14} />} onClick={onDelete}>
+                      Delete
+                    </Menu.Item>
+                  )}
                 </Menu.Dropdown>
               </Menu>
             )}
@@ -5,3 +5,4 @@ export { default as ThreadComposerModal } from './ThreadComposerModal';
 export { default as ReactionBar } from './ReactionBar';
 export { default as ForumNotificationsButton } from './ForumNotificationsButton';
 export { default as ForumMarkdown } from './ForumMarkdown';
+export { default as ReportContentModal } from './ReportContentModal';
@@ -20,6 +20,7 @@ import { formatDistance } from '../../utils/units';
 import { RUNNING_SHOE_THRESHOLDS, METERS_PER_MILE } from './gearConstants';
 import ComponentTable from './ComponentTable';
 import AddComponentForm from './AddComponentForm';
+import PowerCalibrationPanel from './PowerCalibrationPanel';
 import { notifications } from '@mantine/notifications';
 import { Archive, ArrowsClockwise, Bicycle, PersonSimpleRun, Plus, Star, Trash } from '@phosphor-icons/react';
 
@@ -49,6 +50,8 @@ export default function GearDetailView({
     replaceComponent,
     deleteComponent,
     recalculateMileage,
+    detectPowerDrift,
+    setPowerCorrection,
   } = useGearHook;
 
   // Load detail data
@@ -284,6 +287,17 @@ export default function GearDetailView({
                 useImperial={useImperial}
               />
               <Divider />
+              {detectPowerDrift && (
+                <>
+                  <PowerCalibrationPanel
+                    gear={gear}
+                    onGearUpdated={(updated) => setGear(prev => prev ? { ...prev, ...updated } : prev)}
+                    detectPowerDrift={detectPowerDrift}
+                    setPowerCorrection={setPowerCorrection}
+                  />
+                  <Divider />
+                </>
+              )}
             </>
           )}
 
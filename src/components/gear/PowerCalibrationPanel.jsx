@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react';
+import { Stack, Group, Text, Title, Badge, Button, NumberInput, Loader } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { Gauge } from '@phosphor-icons/react';
+
+const CONFIDENCE_COLORS = { high: 'green', moderate: 'yellow', low: 'gray' };
+
+function formatFactor(factor) {
+  const pct = Math.round((Number(factor) - 1) * 1000) / 10;
+  if (pct === 0) return 'none';
+  return `${pct > 0 ? '+' : ''}${pct}%`;
+}
+
+/**
+ * Power meter calibration for one bike: the drift detected against the
+ * reference bike, and the correction factor applied to its stored rides.
+ */
+export default function PowerCalibrationPanel({ gear, onGearUpdated, detectPowerDrift, setPowerCorrection }) {
+  const [drift, setDrift] = useState(null);
+  const [isReference, setIsReference] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [manual, setManual] = useState(Number(gear.power_correction_factor) || 1);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    detectPowerDrift()
+      .then((result) => {
+        if (cancelled) return;
+        setDrift(result.bikes.find((b) => b.gearItemId === gear.id) || null);
+        setIsReference(result.referenceGearId === gear.id);
+      })
+      .catch(() => {})
+      .finally(() => !cancelled && setLoading(false));
+    return () => { cancelled = true; };
+  }, [gear.id, detectPowerDrift]);
+
+  useEffect(() => {
+    setManual(Number(gear.power_correction_factor) || 1);
+  }, [gear.power_correction_factor]);
+
+  const current = Number(gear.power_correction_factor) || 1;
+
+  const apply = async (factor) => {
+    setSaving(true);
+    try {
+      const updated = await setPowerCorrection(gear.id, factor);
+      onGearUpdated(updated);
+      notifications.show({
+        title: 'Power correction saved',
+        message: factor === 1
+          ? `${gear.name} power is no longer corrected`
+          : `${gear.name} power scaled ${formatFactor(factor)}. Past rides and training load are being updated.`,
+        color: 'green',
+      });
+    } catch {
+      notifications.show({ title: 'Error', message: 'Failed to save power correction', color: 'red' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Stack gap="xs">
+      <Group justify="space-between">
+        <Title order={4}>Power Meter Calibration</Title>
+        <Badge size="sm" variant="light" color={current === 1 ? 'gray' : 'blue'}>
+          Correction: {formatFactor(current)}
+        </Badge>
+      </Group>
+
+      {loading ? (
+        <Group gap="xs"><Loader size="xs" /><Text size="sm" c="dimmed">Comparing against your other bikes…</Text></Group>
+      ) : isReference ? (
+        <Text size="sm" c="dimmed">Other bikes are compared against this one.</Text>
+      ) : drift?.offset != null ? (
+        <Group justify="space-between" wrap="nowrap" align="flex-start">
+          <Stack gap={2}>
+            <Group gap="xs">
+              <Gauge size={16} />
+              <Text size="sm" fw={drift.flagged ? 600 : 400}>{drift.message}</Text>
+            </Group>
+            <Group gap="xs">
+              <Badge size="xs" variant="light" color={CONFIDENCE_COLORS[drift.confidence]}>
+                {drift.confidence} confidence
+              </Badge>
+              <Text size="xs" c="dimmed">
+                {drift.pairs.physics} climb and {drift.pairs.hr} heart-rate comparisons on shared segments
+              </Text>
+            </Group>
+          </Stack>
+          {drift.flagged && Math.abs(drift.suggestedFactor - current) >= 0.005 && (
+            <Button size="xs" variant="light" loading={saving} onClick={() => apply(drift.suggestedFactor)}>
+              Apply {formatFactor(drift.suggestedFactor)}
+            </Button>
+          )}
+        </Group>
+      ) : (
+        <Text size="sm" c="dimmed">
+          Not enough matched efforts yet. Ride the same segments on this bike and your others to compare their power meters.
+        </Text>
+      )}
+
+      <Group gap="xs" align="flex-end">
+        <NumberInput
+          size="xs"
+          label="Correction factor"
+          description="Multiplies recorded power, e.g. 1.06 for a meter reading 6% low"
+          value={manual}
+          onChange={(v) => setManual(Number(v) || 1)}
+          min={0.8}
+          max={1.25}
+          step={0.005}
+          decimalScale={3}
+          style={{ flex: 1 }}
+        />
+        <Button size="xs" variant="light" loading={saving} disabled={manual === current} onClick={() => apply(manual)}>
+          Save
+        </Button>
+        {current !== 1 && (
+          <Button size="xs" variant="subtle" color="gray" loading={saving} onClick={() => apply(1)}>
+            Reset
+          </Button>
+        )}
+      </Group>
+    </Stack>
+  );
+}
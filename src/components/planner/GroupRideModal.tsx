@@ -0,0 +1,171 @@
+/**
+ * GroupRideModal Component
+ *
+ * A café group ride opened from the training calendar: details, RSVP, and
+ * the plan conflict resolver's suggestion for fitting it around the day's
+ * planned workout, which the rider can apply in one click.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { Modal, Stack, Group, Text, Badge, Paper, Button, Divider } from '@mantine/core';
+import { CalendarBlank, Lightning, MapPin, Path, Users } from '@phosphor-icons/react';
+import { supabase } from '../../lib/supabase';
+import type { PlannedWorkoutDB } from '../../types/training';
+import type { CafeEvent, RsvpStatus } from '../../hooks/useCafeEvents';
+import {
+  suggestGroupRideFit,
+  type FitnessSnapshot,
+  type GroupRideAction,
+  type GroupRideSuggestion,
+} from '../../utils/planConflictResolver';
+import EventRsvpControl from '../community/EventRsvpControl';
+import { formatEventTime } from '../community/CafeEvents';
+
+interface GroupRideModalProps {
+  event: CafeEvent | null;
+  opened: boolean;
+  onClose: () => void;
+  userId: string | undefined;
+  plannedWorkouts: PlannedWorkoutDB[];
+  blockedDays: number[];
+  onRsvp: (event: CafeEvent, status: RsvpStatus, paceGroup: string | null) => Promise<void>;
+  /** Apply the suggestion to the plan; omitted when the plan can't be edited */
+  onApply?: (event: CafeEvent, suggestion: GroupRideSuggestion) => Promise<void>;
+}
+
+const ACTION_LABELS: Record<GroupRideAction, string> = {
+  add_ride: 'Add to your week',
+  replace_workout: 'Replace planned workout',
+  move_workout: 'Move key workout',
+  ride_easy: 'Ride it easy',
+  skip_group_ride: 'Protect your plan',
+};
+
+const APPLICABLE: GroupRideAction[] = ['replace_workout', 'move_workout'];
+
+export function GroupRideModal({
+  event,
+  opened,
+  onClose,
+  userId,
+  plannedWorkouts,
+  blockedDays,
+  onRsvp,
+  onApply,
+}: GroupRideModalProps) {
+  const [fitness, setFitness] = useState<FitnessSnapshot | null>(null);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    if (!opened || !userId) return;
+    let cancelled = false;
+    (async () => {
+      const { data } = await supabase
+        .from('training_load_daily')
+        .select('tfi, afi, form_score')
+        .eq('user_id', userId)
+        .order('date', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      if (cancelled) return;
+      const row = data as { tfi: number | null; afi: number | null; form_score: number | null } | null;
+      setFitness(row?.form_score != null
+        ? { ctl: row.tfi ?? 0, atl: row.afi ?? 0, tsb: row.form_score }
+        : null);
+    })();
+    return () => { cancelled = true; };
+  }, [opened, userId]);
+
+  const suggestion = useMemo(() => {
+    if (!event) return null;
+    return suggestGroupRideFit(
+      { date: event.local_date, title: event.title, durationMinutes: event.expected_duration_minutes },
+      plannedWorkouts,
+      fitness,
+      { blockedDays },
+    );
+  }, [event, plannedWorkouts, fitness, blockedDays]);
+
+  if (!event) return null;
+
+  const going = event.my_rsvp?.status === 'going' || event.my_rsvp?.status === 'maybe';
+
+  const apply = async () => {
+    if (!onApply || !suggestion) return;
+    setApplying(true);
+    try {
+      await onApply(event, suggestion);
+      onClose();
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <Modal opened={opened} onClose={onClose} title={event.title} size="md">
+      <Stack gap="sm">
+        <Stack gap={4}>
+          {event.cafe_name && (
+            <Badge variant="light" color="teal" w="fit-content">{event.cafe_name}</Badge>
+          )}
+          <Group gap={6} wrap="nowrap">
+            <CalendarBlank size={14} />
+            <Text size="sm">{formatEventTime(event)} · ~{Math.round(event.expected_duration_minutes / 6) / 10} h</Text>
+          </Group>
+          <Group gap={6} wrap="nowrap">
+            <MapPin size={14} />
+            <Text size="sm">{event.meeting_point_name}</Text>
+          </Group>
+          {event.route && (
+            <Group gap={6} wrap="nowrap">
+              <Path size={14} />
+              <Text size="sm">
+                {event.route.name}
+                {event.route.distance_km ? ` · ${Math.round(event.route.distance_km)} km` : ''}
+              </Text>
+            </Group>
+          )}
+          <Group gap={6} wrap="nowrap">
+            <Users size={14} />
+            <Text size="sm" c="dimmed">
+              {event.rsvp_summary.going} going · {event.rsvp_summary.maybe} maybe
+            </Text>
+          </Group>
+        </Stack>
+
+        {event.description && <Text size="sm">{event.description}</Text>}
+
+        <EventRsvpControl
+          event={event}
+          onRsvp={(status: RsvpStatus, paceGroup: string | null) => onRsvp(event, status, paceGroup)}
+        />
+
+        {suggestion && (
+          <>
+            <Divider />
+            <Paper withBorder p="sm" radius="md">
+              <Stack gap={6}>
+                <Group gap={6}>
+                  <Lightning size={16} />
+                  <Text size="sm" fw={600}>{ACTION_LABELS[suggestion.action]}</Text>
+                  <Badge size="xs" variant="light" color="gray">~{suggestion.estimatedTSS} RSS</Badge>
+                </Group>
+                <Text size="sm" c="dimmed">{suggestion.reason}</Text>
+                {onApply && going && APPLICABLE.includes(suggestion.action) && (
+                  <Group justify="flex-end">
+                    <Button size="xs" loading={applying} onClick={apply}>
+                      {suggestion.action === 'replace_workout' ? 'Swap in group ride' : `Move to ${suggestion.movedToDate}`}
+                    </Button>
+                  </Group>
+                )}
+                {onApply && !going && APPLICABLE.includes(suggestion.action) && (
+                  <Text size="xs" c="dimmed">RSVP to apply this to your plan.</Text>
+                )}
+              </Stack>
+            </Paper>
+          </>
+        )}
+      </Stack>
+    </Modal>
+  );
+}
@@ -0,0 +1,580 @@
+/**
+ * WorkoutBuilderModal Component
+ * Visual editor for user-built structured workouts.
+ *
+ * Warmup and cooldown, plus a main set of steady blocks and repeat blocks
+ * (repeats may hold one level of nested repeats). Zones are derived from the
+ * %FTP target; duration, TSS and IF update live as the workout is edited.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import {
+  Modal,
+  Box,
+  Text,
+  Group,
+  Stack,
+  Badge,
+  Paper,
+  Button,
+  TextInput,
+  Textarea,
+  NumberInput,
+  Select,
+  SimpleGrid,
+  ActionIcon,
+  Tooltip,
+} from '@mantine/core';
+import { FloppyDisk, Plus, Repeat, Trash, ArrowUp, ArrowDown } from '@phosphor-icons/react';
+import type {
+  FitnessLevel,
+  WorkoutCategory,
+  WorkoutDefinition,
+  WorkoutInterval,
+  WorkoutSegment,
+  WorkoutStructure,
+  WorkoutWarmupCooldown,
+} from '../../types/training';
+import {
+  CUSTOM_WORKOUT_CATEGORIES,
+  buildCustomWorkout,
+  zoneForPowerPct,
+} from '../../utils/workoutBuilder';
+
+// ============================================================
+// EDITOR MODEL
+// ============================================================
+
+interface SteadyBlock {
+  kind: 'steady';
+  key: number;
+  duration: number; // minutes
+  powerPctFTP: number;
+  cadence: string;
+  description: string;
+}
+
+interface RepeatBlock {
+  kind: 'repeat';
+  key: number;
+  sets: number;
+  work: (SteadyBlock | RepeatBlock)[];
+  restDuration: number; // minutes
+  restPowerPctFTP: number;
+}
+
+type Block = SteadyBlock | RepeatBlock;
+
+interface WarmCoolBlock {
+  enabled: boolean;
+  duration: number;
+  powerPctFTP: number;
+}
+
+let nextKey = 1;
+
+function steady(duration = 5, powerPctFTP = 65): SteadyBlock {
+  return { kind: 'steady', key: nextKey++, duration, powerPctFTP, cadence: '', description: '' };
+}
+
+function repeat(work: Block[] = [steady(4, 105)], sets = 4): RepeatBlock {
+  return { kind: 'repeat', key: nextKey++, sets, work, restDuration: 3, restPowerPctFTP: 50 };
+}
+
+function segmentToBlock(segment: WorkoutSegment): SteadyBlock {
+  return {
+    ...steady(segment.duration, segment.powerPctFTP ?? 65),
+    cadence: segment.cadence || '',
+    description: segment.description || '',
+  };
+}
+
+function itemToBlock(item: WorkoutSegment | WorkoutInterval): Block {
+  if ('type' in item && item.type === 'repeat') {
+    const work = Array.isArray(item.work) ? item.work : [item.work];
+    const rest = item.rest as WorkoutSegment;
+    return {
+      ...repeat(work.map(itemToBlock), item.sets),
+      restDuration: rest?.duration ?? 0,
+      restPowerPctFTP: rest?.powerPctFTP ?? 50,
+    };
+  }
+  return segmentToBlock(item as WorkoutSegment);
+}
+
+function blockToItem(block: Block): WorkoutSegment | WorkoutInterval {
+  if (block.kind === 'steady') {
+    return {
+      duration: block.duration,
+      zone: zoneForPowerPct(block.powerPctFTP),
+      powerPctFTP: block.powerPctFTP,
+      ...(block.cadence.trim() ? { cadence: block.cadence.trim() } : {}),
+      description: block.description.trim() || `${block.powerPctFTP}% FTP`,
+    };
+  }
+  return {
+    type: 'repeat',
+    sets: block.sets,
+    work: block.work.length === 1 ? blockToItem(block.work[0]) : block.work.map(blockToItem),
+    rest: {
+      duration: block.restDuration,
+      zone: zoneForPowerPct(block.restPowerPctFTP),
+      powerPctFTP: block.restPowerPctFTP,
+      description: 'Recovery',
+    },
+  };
+}
+
+function warmCoolFromStructure(
+  value: WorkoutWarmupCooldown | null,
+  fallback: WarmCoolBlock
+): WarmCoolBlock {
+  if (!value) return { ...fallback, enabled: false };
+  return { enabled: true, duration: value.duration, powerPctFTP: value.powerPctFTP ?? fallback.powerPctFTP };
+}
+
+function warmCoolToStructure(block: WarmCoolBlock, description: string): WorkoutWarmupCooldown | null {
+  if (!block.enabled || block.duration <= 0) return null;
+  return {
+    duration: block.duration,
+    zone: zoneForPowerPct(block.powerPctFTP),
+    powerPctFTP: block.powerPctFTP,
+    description,
+  };
+}
+
+const DEFAULT_WARMUP: WarmCoolBlock = { enabled: true, duration: 10, powerPctFTP: 55 };
+const DEFAULT_COOLDOWN: WarmCoolBlock = { enabled: true, duration: 10, powerPctFTP: 50 };
+
+const CATEGORY_LABELS: Partial<Record<WorkoutCategory, string>> = {
+  recovery: 'Recovery',
+  endurance: 'Endurance',
+  tempo: 'Tempo',
+  sweet_spot: 'Sweet Spot',
+  threshold: 'Threshold',
+  vo2max: 'VO2max',
+  anaerobic: 'Anaerobic',
+  climbing: 'Climbing',
+  racing: 'Racing',
+};
+
+// Immutable helpers for a block list
+function updateAt<T>(list: T[], index: number, value: T): T[] {
+  return list.map((item, i) => (i === index ? value : item));
+}
+
+function removeAt<T>(list: T[], index: number): T[] {
+  return list.filter((_, i) => i !== index);
+}
+
+function move<T>(list: T[], index: number, delta: number): T[] {
+  const target = index + delta;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+// ============================================================
+// SUB-COMPONENTS
+// ============================================================
+
+function SteadyBlockEditor({
+  block,
+  onChange,
+}: {
+  block: SteadyBlock;
+  onChange: (block: SteadyBlock) => void;
+}) {
+  return (
+    <SimpleGrid cols={{ base: 2, sm: 4 }} spacing="xs">
+      <NumberInput
+        size="xs"
+        label="Minutes"
+        min={0.25}
+        step={0.5}
+        decimalScale={2}
+        value={block.duration}
+        onChange={(v) => onChange({ ...block, duration: Number(v) || 0 })}
+      />
+      <NumberInput
+        size="xs"
+        label="% FTP"
+        min={30}
+        max={250}
+        value={block.powerPctFTP}
+        onChange={(v) => onChange({ ...block, powerPctFTP: Number(v) || 0 })}
+        rightSection={<Text size="xs" c="dimmed">Z{zoneForPowerPct(block.powerPctFTP)}</Text>}
+        rightSectionWidth={36}
+      />
+      <TextInput
+        size="xs"
+        label="Cadence"
+        placeholder="e.g. 85-95"
+        value={block.cadence}
+        onChange={(e) => onChange({ ...block, cadence: e.currentTarget.value })}
+      />
+      <TextInput
+        size="xs"
+        label="Cue"
+        placeholder="Optional"
+        value={block.description}
+        onChange={(e) => onChange({ ...block, description: e.currentTarget.value })}
+      />
+    </SimpleGrid>
+  );
+}
+
+function BlockControls({
+  onUp,
+  onDown,
+  onRemove,
+}: {
+  onUp: () => void;
+  onDown: () => void;
+  onRemove: () => void;
+}) {
+  return (
+    <Group gap={2}>
+      <ActionIcon size="sm" variant="subtle" color="gray" onClick={onUp} aria-label="Move up">
+        <ArrowUp size={14} />
+      </ActionIcon>
+      <ActionIcon size="sm" variant="subtle" color="gray" onClick={onDown} aria-label="Move down">
+        <ArrowDown size={14} />
+      </ActionIcon>
+      <ActionIcon size="sm" variant="subtle" color="red" onClick={onRemove} aria-label="Remove block">
+        <Trash size={14} />
+      </ActionIcon>
+    </Group>
+  );
+}
+
+function BlockListEditor({
+  blocks,
+  onChange,
+  allowRepeats,
+}: {
+  blocks: Block[];
+  onChange: (blocks: Block[]) => void;
+  allowRepeats: boolean;
+}) {
+  return (
+    <Stack gap="xs">
+      {blocks.map((block, index) => {
+        const controls = (
+          <BlockControls
+            onUp={() => onChange(move(blocks, index, -1))}
+            onDown={() => onChange(move(blocks, index, 1))}
+            onRemove={() => onChange(removeAt(blocks, index))}
+          />
+        );
+
+        if (block.kind === 'steady') {
+          return (
+            <Paper key={block.key} p="xs" withBorder>
+              <Group justify="space-between" mb={4}>
+                <Text size="xs" fw={600}>Steady</Text>
+                {controls}
+              </Group>
+              <SteadyBlockEditor block={block} onChange={(b) => onChange(updateAt<Block>(blocks, index, b))} />
+            </Paper>
+          );
+        }
+
+        return (
+          <Paper key={block.key} p="xs" withBorder style={{ borderLeft: '3px solid var(--mantine-color-terracotta-5)' }}>
+            <Group justify="space-between" mb={4}>
+              <Group gap="xs">
+                <Repeat size={14} />
+                <Text size="xs" fw={600}>Repeat</Text>
+              </Group>
+              {controls}
+            </Group>
+            <SimpleGrid cols={3} spacing="xs" mb="xs">
+              <NumberInput
+                size="xs"
+                label="Sets"
+                min={1}
+                max={50}
+                value={block.sets}
+                onChange={(v) => onChange(updateAt<Block>(blocks, index, { ...block, sets: Number(v) || 1 }))}
+              />
+              <NumberInput
+                size="xs"
+                label="Rest (min)"
+                min={0}
+                step={0.5}
+                decimalScale={2}
+                value={block.restDuration}
+                onChange={(v) =>
+                  onChange(updateAt<Block>(blocks, index, { ...block, restDuration: Number(v) || 0 }))
+                }
+              />
+              <NumberInput
+                size="xs"
+                label="Rest % FTP"
+                min={30}
+                max={100}
+                value={block.restPowerPctFTP}
+                onChange={(v) =>
+                  onChange(updateAt<Block>(blocks, index, { ...block, restPowerPctFTP: Number(v) || 0 }))
+                }
+              />
+            </SimpleGrid>
+            <Box pl="sm">
+              <BlockListEditor
+                blocks={block.work}
+                onChange={(work) => onChange(updateAt<Block>(blocks, index, { ...block, work }))}
+                allowRepeats={false}
+              />
+            </Box>
+          </Paper>
+        );
+      })}
+
+      <Group gap="xs">
+        <Button
+          size="compact-xs"
+          variant="light"
+          color="gray"
+          leftSection={<Plus size={12} />}
+          onClick={() => onChange([...blocks, steady(allowRepeats ? 10 : 1, allowRepeats ? 65 : 110)])}
+        >
+          Steady
+        </Button>
+        <Button
+          size="compact-xs"
+          variant="light"
+          color="gray"
+          leftSection={<Repeat size={12} />}
+          onClick={() => onChange([...blocks, repeat(allowRepeats ? undefined : [steady(0.5, 130)], allowRepeats ? 4 : 3)])}
+        >
+          {allowRepeats ? 'Repeat' : 'Nested repeat'}
+        </Button>
+      </Group>
+    </Stack>
+  );
+}
+
+function WarmCoolEditor({
+  label,
+  value,
+  onChange,
+}: {
+  label: string;
+  value: WarmCoolBlock;
+  onChange: (value: WarmCoolBlock) => void;
+}) {
+  return (
+    <Group gap="xs" align="flex-end" wrap="nowrap">
+      <Button
+        size="xs"
+        variant={value.enabled ? 'light' : 'default'}
+        color={value.enabled ? 'terracotta' : 'gray'}
+        onClick={() => onChange({ ...value, enabled: !value.enabled })}
+        style={{ width: 96 }}
+      >
+        {label}
+      </Button>
+      <NumberInput
+        size="xs"
+        label="Minutes"
+        min={1}
+        disabled={!value.enabled}
+        value={value.duration}
+        onChange={(v) => onChange({ ...value, duration: Number(v) || 0 })}
+        style={{ flex: 1 }}
+      />
+      <NumberInput
+        size="xs"
+        label="% FTP"
+        min={30}
+        max={100}
+        disabled={!value.enabled}
+        value={value.powerPctFTP}
+        onChange={(v) => onChange({ ...value, powerPctFTP: Number(v) || 0 })}
+        style={{ flex: 1 }}
+      />
+    </Group>
+  );
+}
+
+// ============================================================
+// MAIN COMPONENT
+// ============================================================
+
+interface WorkoutBuilderModalProps {
+  opened: boolean;
+  onClose: () => void;
+  /** Custom workout to edit; null starts a new one */
+  workout: WorkoutDefinition | null;
+  onSave: (workout: WorkoutDefinition) => Promise<WorkoutDefinition | null>;
+  onDelete?: (workoutId: string) => Promise<boolean>;
+}
+
+export function WorkoutBuilderModal({ opened, onClose, workout, onSave, onDelete }: WorkoutBuilderModalProps) {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [category, setCategory] = useState<WorkoutCategory>('threshold');
+  const [difficulty, setDifficulty] = useState<FitnessLevel>('intermediate');
+  const [warmup, setWarmup] = useState<WarmCoolBlock>(DEFAULT_WARMUP);
+  const [cooldown, setCooldown] = useState<WarmCoolBlock>(DEFAULT_COOLDOWN);
+  const [main, setMain] = useState<Block[]>([]);
+  const [saving, setSaving] = useState(false);
+
+  // Load the workout being edited (or a starter template) on open
+  useEffect(() => {
+    if (!opened) return;
+    setSaving(false);
+    if (workout?.structure) {
+      setName(workout.name);
+      setDescription(workout.description);
+      setCategory(workout.category);
+      setDifficulty(workout.difficulty);
+      setWarmup(warmCoolFromStructure(workout.structure.warmup, DEFAULT_WARMUP));
+      setCooldown(warmCoolFromStructure(workout.structure.cooldown, DEFAULT_COOLDOWN));
+      setMain(workout.structure.main.map(itemToBlock));
+    } else {
+      setName('');
+      setDescription('');
+      setCategory('threshold');
+      setDifficulty('intermediate');
+      setWarmup(DEFAULT_WARMUP);
+      setCooldown(DEFAULT_COOLDOWN);
+      setMain([repeat([steady(8, 100)], 3)]);
+    }
+  }, [opened, workout]);
+
+  const structure = useMemo<WorkoutStructure>(() => ({
+    warmup: warmCoolToStructure(warmup, 'Warmup'),
+    main: main.map(blockToItem),
+    cooldown: warmCoolToStructure(cooldown, 'Cooldown'),
+  }), [warmup, main, cooldown]);
+
+  const preview = useMemo(
+    () => buildCustomWorkout({ id: workout?.id, name, description, category, difficulty, structure }),
+    [workout?.id, name, description, category, difficulty, structure]
+  );
+
+  const canSave = name.trim().length > 0 && main.length > 0 && preview.duration > 0;
+
+  const handleSave = async () => {
+    if (!canSave) return;
+    setSaving(true);
+    const saved = await onSave(preview);
+    setSaving(false);
+    if (saved) onClose();
+  };
+
+  const handleDelete = async () => {
+    if (!workout || !onDelete) return;
+    setSaving(true);
+    const deleted = await onDelete(workout.id);
+    setSaving(false);
+    if (deleted) onClose();
+  };
+
+  return (
+    <Modal
+      opened={opened}
+      onClose={onClose}
+      title={<Text fw={600} size="lg">{workout ? 'Edit workout' : 'Build a workout'}</Text>}
+      size="xl"
+    >
+      <Stack gap="md">
+        <SimpleGrid cols={{ base: 1, sm: 3 }} spacing="xs">
+          <TextInput
+            label="Name"
+            placeholder="e.g. 3x8 Threshold"
+            value={name}
+            onChange={(e) => setName(e.currentTarget.value)}
+            required
+          />
+          <Select
+            label="Category"
+            data={CUSTOM_WORKOUT_CATEGORIES.map((c) => ({ value: c, label: CATEGORY_LABELS[c] || c }))}
+            value={category}
+            onChange={(v) => v && setCategory(v as WorkoutCategory)}
+            allowDeselect={false}
+          />
+          <Select
+            label="Difficulty"
+            data={[
+              { value: 'beginner', label: 'Beginner' },
+              { value: 'intermediate', label: 'Intermediate' },
+              { value: 'advanced', label: 'Advanced' },
+            ]}
+            value={difficulty}
+            onChange={(v) => v && setDifficulty(v as FitnessLevel)}
+            allowDeselect={false}
+          />
+        </SimpleGrid>
+        <Textarea
+          label="Description"
+          placeholder="What this session is for"
+          value={description}
+          onChange={(e) => setDescription(e.currentTarget.value)}
+          autosize
+          minRows={1}
+          maxRows={3}
+        />
+
+        {/* Live metrics */}
+        <Group gap="xs">
+          <Badge variant="light" color="gray">{preview.duration} min</Badge>
+          <Badge variant="light" color="terracotta">{preview.targetTSS} RSS</Badge>
+          <Badge variant="light" color="blue">RI {preview.intensityFactor.toFixed(2)}</Badge>
+        </Group>
+
+        {workout?.cyclingStructure && (
+          <Text size="xs" c="dimmed">
+            Imported workout — saving here replaces its ramps and free-ride blocks with steady blocks.
+          </Text>
+        )}
+
+        <WarmCoolEditor label="Warmup" value={warmup} onChange={setWarmup} />
+
+        <Box>
+          <Text size="sm" fw={600} mb="xs">Main set</Text>
+          <BlockListEditor blocks={main} onChange={setMain} allowRepeats />
+        </Box>
+
+        <WarmCoolEditor label="Cooldown" value={cooldown} onChange={setCooldown} />
+
+        <Group justify="space-between" mt="sm">
+          {workout && onDelete ? (
+            <Tooltip label="Existing calendar entries keep their targets">
+              <Button
+                variant="subtle"
+                color="red"
+                leftSection={<Trash size={16} />}
+                onClick={handleDelete}
+                disabled={saving}
+              >
+                Delete
+              </Button>
+            </Tooltip>
+          ) : (
+            <Box />
+          )}
+          <Group gap="xs">
+            <Button variant="default" onClick={onClose} disabled={saving}>
+              Cancel
+            </Button>
+            <Button
+              color="terracotta"
+              leftSection={<FloppyDisk size={16} />}
+              onClick={handleSave}
+              loading={saving}
+              disabled={!canSave}
+            >
+              Save workout
+            </Button>
+          </Group>
+        </Group>
+      </Stack>
+    </Modal>
+  );
+}
+
+export default WorkoutBuilderModal;
@@ -3,7 +3,7 @@
  * Always-visible sidebar with filterable workout library
  */
 
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useRef } from 'react';
 import {
   Box,
   TextInput,
@@ -16,12 +16,16 @@ import {
   Divider,
   Collapse,
   UnstyledButton,
+  Button,
+  ActionIcon,
+  Tooltip,
 } from '@mantine/core';
 import { WorkoutCard } from './WorkoutCard';
 import { WORKOUT_LIBRARY, getWorkoutsByCategory } from '../../data/workoutLibrary';
 import type { WorkoutCategory, FitnessLevel, WorkoutDefinition } from '../../types/training';
 import type { SidebarFilter, DragSource } from '../../types/planner';
-import { CaretDown, CaretRight, MagnifyingGlass } from '@phosphor-icons/react';
+import { CaretDown, CaretRight, MagnifyingGlass, PencilSimple, Plus, UploadSimple } from '@phosphor-icons/react';
+import { WORKOUT_IMPORT_ACCEPT } from '../../utils/workoutImport';
 
 interface WorkoutLibrarySidebarProps {
   filter: SidebarFilter;
@@ -30,6 +34,12 @@ interface WorkoutLibrarySidebarProps {
   onDragEnd: () => void;
   onWorkoutTap?: (workoutId: string) => void; // For mobile tap-to-assign
   isMobile?: boolean;
+  /** The user's builder-made workouts, shown in a "My Workouts" group */
+  customWorkouts?: WorkoutDefinition[];
+  onCreateWorkout?: () => void;
+  onEditWorkout?: (workoutId: string) => void;
+  /** Import a ZWO / MRC / ERG / FIT workout file into My Workouts */
+  onImportWorkout?: (file: File) => void;
 }
 
 // Category display order and labels
@@ -79,6 +89,31 @@ const CATEGORY_COLORS: Record<WorkoutCategory, string> = {
   rest: 'gray',
 };
 
+function matchesFilter(workout: WorkoutDefinition, filter: SidebarFilter): boolean {
+  // Category filter
+  if (filter.category && workout.category !== filter.category) {
+    return false;
+  }
+
+  // Search filter
+  if (filter.searchQuery) {
+    const query = filter.searchQuery.toLowerCase();
+    const matchesName = workout.name.toLowerCase().includes(query);
+    const matchesDescription = workout.description.toLowerCase().includes(query);
+    const matchesTags = workout.tags.some((tag) => tag.toLowerCase().includes(query));
+    if (!matchesName && !matchesDescription && !matchesTags) {
+      return false;
+    }
+  }
+
+  // Difficulty filter
+  if (filter.difficulty && workout.difficulty !== filter.difficulty) {
+    return false;
+  }
+
+  return true;
+}
+
 export function WorkoutLibrarySidebar({
   filter,
   onFilterChange,
@@ -86,40 +121,27 @@ export function WorkoutLibrarySidebar({
   onDragEnd,
   onWorkoutTap,
   isMobile = false,
+  customWorkouts = [],
+  onCreateWorkout,
+  onEditWorkout,
+  onImportWorkout,
 }: WorkoutLibrarySidebarProps) {
+  const fileInputRef = useRef<HTMLInputElement | null>(null);
   const [expandedCategories, setExpandedCategories] = useState<Set<WorkoutCategory>>(
     new Set(['endurance', 'threshold', 'vo2max'])
   );
+  const [customExpanded, setCustomExpanded] = useState(true);
 
   // Filter workouts based on current filter
   const filteredWorkouts = useMemo(() => {
-    const allWorkouts = Object.values(WORKOUT_LIBRARY);
-
-    return allWorkouts.filter((workout) => {
-      // Category filter
-      if (filter.category && workout.category !== filter.category) {
-        return false;
-      }
+    return Object.values(WORKOUT_LIBRARY).filter((workout) => matchesFilter(workout, filter));
+  }, [filter]);
 
-      // Search filter
-      if (filter.searchQuery) {
-        const query = filter.searchQuery.toLowerCase();
-        const matchesName = workout.name.toLowerCase().includes(query);
-        const matchesDescription = workout.description.toLowerCase().includes(query);
-        const matchesTags = workout.tags.some((tag) => tag.toLowerCase().includes(query));
-        if (!matchesName && !matchesDescription && !matchesTags) {
-          return false;
-        }
-      }
+  const filteredCustomWorkouts = useMemo(() => {
+    return customWorkouts.filter((workout) => matchesFilter(workout, filter));
+  }, [customWorkouts, filter]);
 
-      // Difficulty filter
-      if (filter.difficulty && workout.difficulty !== filter.difficulty) {
-        return false;
-      }
-
-      return true;
-    });
-  }, [filter]);
+  const totalCount = filteredWorkouts.length + filteredCustomWorkouts.length;
 
   // Group workouts by category
   const workoutsByCategory = useMemo(() => {
@@ -148,6 +170,21 @@ export function WorkoutLibrarySidebar({
     onDragStart(workoutId, 'library');
   };
 
+  const renderLibraryCard = (workout: WorkoutDefinition) => (
+    <Box
+      key={workout.id}
+      onClick={isMobile && onWorkoutTap ? () => onWorkoutTap(workout.id) : undefined}
+      style={isMobile ? { cursor: 'pointer' } : undefined}
+    >
+      <WorkoutCard
+        workout={workout}
+        source="library"
+        onDragStart={isMobile ? undefined : handleDragStart}
+        onDragEnd={isMobile ? undefined : onDragEnd}
+      />
+    </Box>
+  );
+
   return (
     <Box
       style={{
@@ -161,9 +198,51 @@ export function WorkoutLibrarySidebar({
     >
       {/* Header */}
       <Box p="sm" style={{ borderBottom: '1px solid var(--mantine-color-dark-4)' }}>
-        <Text size="sm" fw={600} mb="xs">
-          Workout Library
-        </Text>
+        <Group justify="space-between" mb="xs">
+          <Text size="sm" fw={600}>
+            Workout Library
+          </Text>
+          <Group gap={4}>
+            {onImportWorkout && (
+              <Tooltip label="Import .zwo, .mrc, .erg or .fit">
+                <ActionIcon
+                  size="sm"
+                  variant="light"
+                  color="gray"
+                  onClick={() => fileInputRef.current?.click()}
+                  aria-label="Import workout file"
+                >
+                  <UploadSimple size={12} />
+                </ActionIcon>
+              </Tooltip>
+            )}
+            {onCreateWorkout && (
+              <Button
+                size="compact-xs"
+                variant="light"
+                color="terracotta"
+                leftSection={<Plus size={12} />}
+                onClick={onCreateWorkout}
+              >
+                New workout
+              </Button>
+            )}
+          </Group>
+        </Group>
+        {onImportWorkout && (
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={WORKOUT_IMPORT_ACCEPT}
+            onChange={(e) => {
+              const file = e.currentTarget.files?.[0];
+              // Reset so picking the same file again still fires onChange
+              e.currentTarget.value = '';
+              if (file) onImportWorkout(file);
+            }}
+            style={{ display: 'none' }}
+          />
+        )}
 
         {/* Search */}
         <TextInput
@@ -197,6 +276,56 @@ export function WorkoutLibrarySidebar({
       {/* Workout List */}
       <ScrollArea style={{ flex: 1 }}>
         <Stack gap={0} p="xs">
+          {/* User-built workouts */}
+          {filteredCustomWorkouts.length > 0 && (
+            <Box mb="xs">
+              <UnstyledButton
+                onClick={() => setCustomExpanded((prev) => !prev)}
+                style={{
+                  width: '100%',
+                  padding: '6px 8px',
+                  borderRadius: 4,
+                  backgroundColor: 'var(--mantine-color-dark-6)',
+                }}
+              >
+                <Group justify="space-between">
+                  <Group gap="xs">
+                    {customExpanded ? <CaretDown size={14} /> : <CaretRight size={14} />}
+                    <Badge size="xs" color="terracotta" variant="filled">
+                      My Workouts
+                    </Badge>
+                  </Group>
+                  <Text size="xs" c="dimmed">
+                    {filteredCustomWorkouts.length}
+                  </Text>
+                </Group>
+              </UnstyledButton>
+
+              <Collapse in={customExpanded}>
+                <Stack gap="xs" mt="xs" ml="sm">
+                  {filteredCustomWorkouts.map((workout) => (
+                    <Group key={workout.id} gap={4} wrap="nowrap" align="center">
+                      <Box style={{ flex: 1, minWidth: 0 }}>{renderLibraryCard(workout)}</Box>
+                      {onEditWorkout && (
+                        <Tooltip label="Edit workout">
+                          <ActionIcon
+                            size="sm"
+                            variant="subtle"
+                            color="gray"
+                            onClick={() => onEditWorkout(workout.id)}
+                            aria-label={`Edit ${workout.name}`}
+                          >
+                            <PencilSimple size={14} />
+                          </ActionIcon>
+                        </Tooltip>
+                      )}
+                    </Group>
+                  ))}
+                </Stack>
+              </Collapse>
+            </Box>
+          )}
+
           {CATEGORY_ORDER.map((category) => {
             const workouts = workoutsByCategory[category];
             if (workouts.length === 0) return null;
@@ -235,27 +364,14 @@ export function WorkoutLibrarySidebar({
                 {/* Workout Cards */}
                 <Collapse in={isExpanded}>
                   <Stack gap="xs" mt="xs" ml="sm">
-                    {workouts.map((workout) => (
-                      <Box
-                        key={workout.id}
-                        onClick={isMobile && onWorkoutTap ? () => onWorkoutTap(workout.id) : undefined}
-                        style={isMobile ? { cursor: 'pointer' } : undefined}
-                      >
-                        <WorkoutCard
-                          workout={workout}
-                          source="library"
-                          onDragStart={isMobile ? undefined : handleDragStart}
-                          onDragEnd={isMobile ? undefined : onDragEnd}
-                        />
-                      </Box>
-                    ))}
+                    {workouts.map(renderLibraryCard)}
                   </Stack>
                 </Collapse>
               </Box>
             );
           })}
 
-          {filteredWorkouts.length === 0 && (
+          {totalCount === 0 && (
             <Box py="xl" ta="center">
               <Text size="sm" c="dimmed">
                 No workouts match your filters
@@ -271,7 +387,7 @@ export function WorkoutLibrarySidebar({
         style={{ borderTop: '1px solid var(--mantine-color-dark-4)' }}
       >
         <Text size="xs" c="dimmed" ta="center">
-          {filteredWorkouts.length} workouts available
+          {totalCount} workouts available
         </Text>
       </Box>
     </Box>
@@ -59,7 +59,8 @@ import {
 } from '@phosphor-icons/react';
 import { calculateFuelPlanFromWorkout } from '../../utils/fueling';
 import { exportWorkout, downloadWorkout } from '../../utils/workoutExport';
-import { WORKOUT_LIBRARY, getWorkoutById } from '../../data/workoutLibrary';
+import { getCyclingStructure } from '../../utils/trainingPlanExport';
+import { WORKOUT_LIBRARY, getWorkoutById, getCustomWorkouts } from '../../data/workoutLibrary';
 
 // ============================================================
 // TYPES
@@ -82,6 +83,8 @@ interface WorkoutModalProps {
   ) => void;
   /** Render in "add to an empty day" mode: pick a workout, then add it. */
   isAdd?: boolean;
+  /** Custom workouts offered in the picker; defaults to every registered one. */
+  customWorkouts?: WorkoutDefinition[];
 }
 
 // ============================================================
@@ -556,6 +559,7 @@ export function WorkoutModal({
   onChangeWorkout,
   onAddWorkout,
   isAdd = false,
+  customWorkouts,
 }: WorkoutModalProps) {
   // Local edit state
   const [editTSS, setEditTSS] = useState<number>(0);
@@ -570,19 +574,25 @@ export function WorkoutModal({
   // Effective definition to render: the provided one, or the picked one (add mode).
   const workout = workoutProp ?? (chosenWorkoutId ? getWorkoutById(chosenWorkoutId) : null);
 
-  // Grouped options for the picker (by category).
+  // Grouped options for the picker (by category), with the user's own
+  // workouts first. Rebuilt on open so newly built workouts show up.
   const workoutOptions = useMemo(() => {
+    if (!opened) return [];
     const byCategory: Record<string, { value: string; label: string }[]> = {};
     for (const w of Object.values(WORKOUT_LIBRARY)) {
       (byCategory[w.category] ||= []).push({ value: w.id, label: w.name });
     }
-    return Object.entries(byCategory)
+    const groups = Object.entries(byCategory)
       .sort(([a], [b]) => a.localeCompare(b))
       .map(([group, items]) => ({
         group: group.replace('_', ' '),
         items: items.sort((a, b) => a.label.localeCompare(b.label)),
       }));
-  }, []);
+    const custom = (customWorkouts ?? getCustomWorkouts())
+      .map(w => ({ value: w.id, label: w.name }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+    return custom.length > 0 ? [{ group: 'my workouts', items: custom }, ...groups] : groups;
+  }, [opened, customWorkouts]);
 
   // Reset the picker whenever the modal opens.
   useEffect(() => {
@@ -671,10 +681,13 @@ export function WorkoutModal({
     onClose();
   };
 
-  const handleExport = (format: 'fit' | 'zwo' | 'tcx') => {
-    if (!workout.cyclingStructure) return;
+  // Explicit cyclingStructure, or one converted from the segment structure
+  const cyclingStructure = isOffBike ? null : getCyclingStructure(workout);
+
+  const handleExport = (format: 'fit' | 'zwo' | 'mrc' | 'tcx') => {
+    if (!cyclingStructure) return;
     try {
-      const result = exportWorkout(workout.cyclingStructure, {
+      const result = exportWorkout(cyclingStructure, {
         format,
         workoutName: workout.name,
         description: workout.description,
@@ -942,7 +955,7 @@ export function WorkoutModal({
           )}
 
           {/* Export buttons */}
-          {workout.cyclingStructure && (
+          {cyclingStructure && (
             <Box>
               <Text size="xs" c="dimmed" ta="center" mb="xs">Download for Device</Text>
               <Group justify="center" gap="xs">
@@ -964,6 +977,15 @@ export function WorkoutModal({
                 >
                   ZWO (Zwift)
                 </Button>
+                <Button
+                  size="xs"
+                  variant="light"
+                  color="gray"
+                  leftSection={<DownloadSimple size={14} />}
+                  onClick={() => handleExport('mrc')}
+                >
+                  MRC
+                </Button>
                 <Button
                   size="xs"
                   variant="light"
@@ -9,4 +9,5 @@
 
 export { WorkoutLibrarySidebar } from './WorkoutLibrarySidebar';
 export { WorkoutCard } from './WorkoutCard';
+export { WorkoutBuilderModal } from './WorkoutBuilderModal';
 export { GoalInput } from './GoalInput';
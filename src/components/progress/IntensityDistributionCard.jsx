@@ -0,0 +1,149 @@
+import { Box, Group, Text, Stack, Tooltip } from '@mantine/core';
+import TrendInsightRow from './TrendInsightRow.jsx';
+
+const ZONES = [
+  { key: 'low', label: 'LOW', color: '#2A8C82', hint: 'Below LT1 — power Z1–Z2' },
+  { key: 'mid', label: 'MID', color: '#D4A843', hint: 'LT1 to LT2 — tempo, sweet spot, threshold' },
+  { key: 'high', label: 'HIGH', color: '#9E5A3C', hint: 'Above LT2 — VO2max and up' },
+];
+
+const CLASS_LABELS = {
+  polarized: 'POLARIZED',
+  pyramidal: 'PYRAMIDAL',
+  threshold: 'THRESHOLD',
+};
+
+const CLASS_SHORT = { polarized: 'POL', pyramidal: 'PYR', threshold: 'THR' };
+
+const MONO = "'DM Mono', monospace";
+const HEADING = "'Barlow Condensed', sans-serif";
+
+function SplitBar({ fractions, height = 20, muted = false }) {
+  return (
+    <Group gap={0} wrap="nowrap" style={{ height, opacity: muted ? 0.45 : 1 }}>
+      {ZONES.map((z) => (
+        <Box
+          key={z.key}
+          style={{
+            width: `${fractions[z.key] * 100}%`,
+            height: '100%',
+            backgroundColor: z.color,
+            transition: 'width 400ms ease',
+          }}
+        />
+      ))}
+    </Group>
+  );
+}
+
+function ClassTag({ classification }) {
+  if (!classification) return null;
+  return (
+    <Text style={{ fontFamily: MONO, fontSize: 11, fontWeight: 600, letterSpacing: '1.5px', color: 'var(--color-text-secondary)' }}>
+      {CLASS_LABELS[classification]}
+    </Text>
+  );
+}
+
+/**
+ * Three-zone intensity distribution with plan-versus-actual. `analysis` is
+ * analyzeTID() output; `window` is the summary across all its weeks, shown
+ * when there's no active block to compare against.
+ */
+function IntensityDistributionCard({ analysis, window }) {
+  const block = analysis?.block;
+  const headline = block && block.seconds.low + block.seconds.mid + block.seconds.high > 0 ? block : window;
+  const comparison = headline === block ? block.comparison : null;
+  const weeks = (analysis?.weeks || []).slice(-6);
+
+  if (!headline || headline.seconds.low + headline.seconds.mid + headline.seconds.high === 0) {
+    return (
+      <Text size="sm" style={{ color: 'var(--color-text-muted)', textAlign: 'center', padding: 12 }}>
+        No zone data yet. Rides recorded with a power meter or heart-rate strap will show up here.
+      </Text>
+    );
+  }
+
+  return (
+    <Stack gap={14}>
+      <Box>
+        <Group justify="space-between" mb={6}>
+          <Text style={{ fontFamily: HEADING, fontSize: 11, fontWeight: 700, letterSpacing: '1.5px', color: 'var(--color-text-muted)' }}>
+            {headline === block ? `${block.blockType.replace(/_/g, ' ').toUpperCase()} BLOCK TO DATE` : 'LAST 8 WEEKS'}
+          </Text>
+          <ClassTag classification={headline.classification} />
+        </Group>
+        <SplitBar fractions={headline.fractions} />
+        {comparison && (
+          <Box mt={6}>
+            <Group justify="space-between" mb={4}>
+              <Text style={{ fontFamily: HEADING, fontSize: 11, fontWeight: 700, letterSpacing: '1.5px', color: 'var(--color-text-muted)' }}>
+                PLAN
+              </Text>
+              <ClassTag classification={comparison.target.classification} />
+            </Group>
+            <SplitBar fractions={comparison.target.fractions} height={8} muted />
+          </Box>
+        )}
+        <Group gap={16} mt={8}>
+          {ZONES.map((z) => (
+            <Tooltip key={z.key} label={z.hint} withArrow>
+              <Group gap={6} wrap="nowrap">
+                <Box style={{ width: 8, height: 8, backgroundColor: z.color }} />
+                <Text style={{ fontFamily: MONO, fontSize: 12, color: 'var(--color-text-secondary)' }}>
+                  {z.label} {Math.round(headline.fractions[z.key] * 100)}%
+                  {comparison && (
+                    <Text span style={{ fontFamily: MONO, fontSize: 11, color: 'var(--color-text-muted)' }}>
+                      {' '}/ {Math.round(comparison.target.fractions[z.key] * 100)}%
+                    </Text>
+                  )}
+                </Text>
+              </Group>
+            </Tooltip>
+          ))}
+        </Group>
+      </Box>
+
+      {comparison?.flags.length > 0 && (
+        <Box>
+          {comparison.flags.map((flag) => (
+            <TrendInsightRow
+              key={flag.code}
+              title={flag.code === 'shape_mismatch' ? 'Distribution off plan' : 'Intensity drift'}
+              detail={flag.message}
+              sentiment="attention"
+            />
+          ))}
+        </Box>
+      )}
+
+      {weeks.length > 1 && (
+        <Group gap={8} wrap="nowrap" align="flex-end">
+          {weeks.map((w) => (
+            <Tooltip
+              key={w.weekStart}
+              label={`Week of ${w.weekStart}: ${ZONES.map((z) => `${z.label.toLowerCase()} ${Math.round(w.fractions[z.key] * 100)}%`).join(', ')}`}
+              withArrow
+            >
+              <Stack gap={4} style={{ flex: 1, minWidth: 0 }}>
+                <SplitBar fractions={w.fractions} height={10} />
+                <Text
+                  style={{
+                    fontFamily: MONO,
+                    fontSize: 10,
+                    textAlign: 'center',
+                    color: w.comparison?.flags.length ? 'var(--color-orange)' : 'var(--color-text-muted)',
+                  }}
+                >
+                  {CLASS_SHORT[w.classification] || '—'}
+                </Text>
+              </Stack>
+            </Tooltip>
+          ))}
+        </Group>
+      )}
+    </Stack>
+  );
+}
+
+export default IntensityDistributionCard;
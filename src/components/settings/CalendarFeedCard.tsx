@@ -0,0 +1,108 @@
+/**
+ * CalendarFeedCard — subscribe to planned workouts from any calendar.
+ *
+ * Shows the private iCal feed URL (Google Calendar, Apple Calendar, Outlook,
+ * Intervals.icu, TrainingPeaks), with copy / subscribe shortcuts, and lets the
+ * user rotate or revoke the secret in the URL.
+ */
+
+import { useState } from 'react';
+import { Button, Card, CopyButton, Group, Stack, Text, TextInput, Title } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { useAuth } from '../../contexts/AuthContext';
+import { useCalendarFeed } from '../../hooks/useCalendarFeed';
+
+function formatWhen(iso: string | null): string {
+  if (!iso) return 'not yet';
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export default function CalendarFeedCard() {
+  const { user } = useAuth();
+  const { feed, loading, createFeed, revokeFeed } = useCalendarFeed(user?.id);
+  const [busy, setBusy] = useState<'create' | 'revoke' | null>(null);
+
+  const run = async (kind: 'create' | 'revoke', action: () => Promise<unknown>, success: string) => {
+    setBusy(kind);
+    try {
+      await action();
+      notifications.show({ title: 'Calendar feed updated', message: success, color: 'teal' });
+    } catch (err) {
+      notifications.show({
+        title: "Couldn't update calendar feed",
+        message: (err as Error)?.message ?? 'Try again.',
+        color: 'red',
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const rotate = () => {
+    if (!window.confirm('Generate a new link? Calendars subscribed to the current link will stop updating.')) return;
+    run('create', createFeed, 'New link created. Re-subscribe your calendars with it.');
+  };
+
+  const revoke = () => {
+    if (!window.confirm('Turn off the calendar feed? Subscribed calendars will stop updating.')) return;
+    run('revoke', revokeFeed, 'Calendar feed turned off.');
+  };
+
+  if (loading) return null;
+
+  return (
+    <Card>
+      <Stack gap="md">
+        <Stack gap={4}>
+          <Title order={3}>Calendar Feed</Title>
+          <Text size="sm" c="dimmed">
+            Subscribe to your planned workouts from Google Calendar, Apple Calendar, Outlook,
+            Intervals.icu or TrainingPeaks. Reschedules and deletions sync automatically.
+          </Text>
+        </Stack>
+
+        {feed ? (
+          <>
+            <TextInput
+              label="Private feed URL"
+              description="Anyone with this link can see your planned workouts."
+              value={feed.url}
+              readOnly
+              onFocus={(e) => e.currentTarget.select()}
+            />
+            <Group gap="xs">
+              <CopyButton value={feed.url}>
+                {({ copied, copy }) => (
+                  <Button size="xs" color={copied ? 'teal' : undefined} variant={copied ? 'filled' : 'default'} onClick={copy}>
+                    {copied ? 'Copied' : 'Copy link'}
+                  </Button>
+                )}
+              </CopyButton>
+              <Button size="xs" variant="default" component="a" href={feed.webcalUrl}>
+                Subscribe
+              </Button>
+              <Button size="xs" variant="subtle" loading={busy === 'create'} onClick={rotate}>
+                New link
+              </Button>
+              <Button size="xs" variant="subtle" color="red" loading={busy === 'revoke'} onClick={revoke}>
+                Turn off
+              </Button>
+            </Group>
+            <Text size="xs" c="dimmed">
+              Created {formatWhen(feed.created_at)} · Last fetched by a calendar {formatWhen(feed.last_accessed_at)}
+            </Text>
+          </>
+        ) : (
+          <Button
+            color="teal"
+            style={{ alignSelf: 'flex-start' }}
+            loading={busy === 'create'}
+            onClick={() => run('create', createFeed, 'Copy the link into your calendar app to subscribe.')}
+          >
+            Create calendar feed
+          </Button>
+        )}
+      </Stack>
+    </Card>
+  );
+}
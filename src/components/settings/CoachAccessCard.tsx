@@ -0,0 +1,113 @@
+/**
+ * CoachAccessCard — the athlete's side of the coach workspace.
+ *
+ * Answer pending coach invitations, see who currently coaches you (and
+ * whether they may edit your calendar), end a coaching relationship, and
+ * review every change a coach has made to your plan.
+ */
+
+import { useState } from 'react';
+import { Badge, Button, Card, Collapse, Group, Stack, Text, Title } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { useAuth } from '../../contexts/AuthContext';
+import { useCoachInvitations } from '../../hooks/useCoachWorkspace';
+import { CoachAuditLog } from '../coach-workspace/CoachAuditLog';
+
+export default function CoachAccessCard() {
+  const { user } = useAuth();
+  const { invitations, coaches, loading, respond, removeCoach } = useCoachInvitations(user?.id);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [showAudit, setShowAudit] = useState(false);
+
+  const run = async (id: string, action: () => Promise<void>, success: string) => {
+    setBusyId(id);
+    try {
+      await action();
+      notifications.show({ title: 'Coaching updated', message: success, color: 'teal' });
+    } catch (err) {
+      notifications.show({
+        title: "Couldn't update coaching",
+        message: (err as Error)?.message ?? 'Try again.',
+        color: 'red',
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading || (invitations.length === 0 && coaches.length === 0)) return null;
+
+  return (
+    <Card withBorder>
+      <Stack gap="md">
+        <Stack gap={4}>
+          <Title order={3}>Coaching</Title>
+          <Text size="sm" c="dimmed">
+            Coaches you accept can see your training data. Coaches with edit access can change your
+            calendar; every change they make is logged below.
+          </Text>
+        </Stack>
+
+        {invitations.map((invite) => (
+          <Group key={invite.id} justify="space-between" wrap="nowrap">
+            <Stack gap={2}>
+              <Text fw={600}>{invite.coach_name} invited you</Text>
+              <Text size="xs" c="dimmed">
+                {invite.can_edit_plan ? 'Can view and edit your calendar' : 'Can view your training'}
+              </Text>
+            </Stack>
+            <Group gap="xs" wrap="nowrap">
+              <Button
+                size="xs"
+                variant="default"
+                loading={busyId === invite.id}
+                onClick={() => run(invite.id, () => respond(invite.id, false), 'Invitation declined.')}
+              >
+                Decline
+              </Button>
+              <Button
+                size="xs"
+                color="teal"
+                loading={busyId === invite.id}
+                onClick={() => run(invite.id, () => respond(invite.id, true), `${invite.coach_name} is now your coach.`)}
+              >
+                Accept
+              </Button>
+            </Group>
+          </Group>
+        ))}
+
+        {coaches.map((coach) => (
+          <Group key={coach.id} justify="space-between" wrap="nowrap">
+            <Group gap="xs">
+              <Text fw={600}>{coach.coach_name}</Text>
+              <Badge size="xs" variant="light" color={coach.can_edit_plan ? 'teal' : 'gray'}>
+                {coach.can_edit_plan ? 'Can edit calendar' : 'View only'}
+              </Badge>
+            </Group>
+            <Button
+              size="xs"
+              variant="subtle"
+              color="red"
+              loading={busyId === coach.id}
+              onClick={() => run(coach.id, () => removeCoach(coach.id), `${coach.coach_name} no longer has access.`)}
+            >
+              Remove
+            </Button>
+          </Group>
+        ))}
+
+        {coaches.length > 0 && (
+          <>
+            <Button variant="subtle" size="compact-sm" onClick={() => setShowAudit((v) => !v)} style={{ alignSelf: 'flex-start' }}>
+              {showAudit ? 'Hide coach changes' : 'Show coach changes'}
+            </Button>
+            <Collapse in={showAudit}>
+              {showAudit && <CoachAuditLog />}
+            </Collapse>
+          </>
+        )}
+      </Stack>
+    </Card>
+  );
+}
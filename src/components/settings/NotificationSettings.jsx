@@ -1,8 +1,10 @@
 /**
- * NotificationSettings — Manage push notification preferences from Settings page.
+ * NotificationSettings — Notification preference center on the Settings page.
  *
- * Shows push permission status, subscribe/unsubscribe controls, and
- * per-notification-type toggles.
+ * Shows push permission status and subscribe/unsubscribe controls, then one
+ * channel × type matrix (push, email, in-app), quiet hours in the user's
+ * timezone, and the daily digest. Enforced server-side by
+ * api/utils/notificationDispatcher.js.
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -17,43 +19,38 @@ import {
   Badge,
   Box,
   Loader,
+  Select,
+  Table,
 } from '@mantine/core';
 import { notifications } from '@mantine/notifications';
-import { Bell, BellSlash, DeviceMobile, Info, Warning, WarningCircle } from '@phosphor-icons/react';
+import { Bell, BellSlash, DeviceMobile, Info, MoonStars, Newspaper, Warning, WarningCircle } from '@phosphor-icons/react';
 import { supabase } from '../../lib/supabase';
 import { usePushNotifications } from '../../hooks/usePushNotifications.ts';
 import { tokens } from '../../theme';
+import {
+  CHANNEL_LABELS,
+  NOTIFICATION_TYPES,
+  isChannelEnabled,
+  withChannel,
+} from '../../utils/notificationPreferences';
+
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => ({
+  value: String(hour),
+  label: new Date(2000, 0, 1, hour).toLocaleTimeString('en-US', { hour: 'numeric' }),
+}));
+
+const TIME_OPTIONS = HOUR_OPTIONS.map(({ value, label }) => ({ value: `${value.padStart(2, '0')}:00`, label }));
 
-const NOTIFICATION_TYPES = [
-  {
-    key: 'post_ride_insight',
-    label: 'Post-ride insights',
-    description: 'Get notified when your ride is processed with training load updates',
-  },
-  {
-    key: 'workout_preview',
-    label: 'Tomorrow\'s workout',
-    description: 'Nightly preview of your scheduled workout for the next day',
-  },
-  {
-    key: 'recovery_flag',
-    label: 'Recovery alerts',
-    description: 'Warnings when fatigue is high and recovery may be needed',
-    comingSoon: true,
-  },
-  {
-    key: 'weekly_summary',
-    label: 'Weekly summary',
-    description: 'Sunday evening recap of your training week',
-    comingSoon: true,
-  },
-  {
-    key: 'feature_updates',
-    label: 'Feature updates',
-    description: 'Occasional announcements about new tribos.studio features',
-    comingSoon: true,
-  },
-];
+const CHANNELS = ['push', 'email', 'in_app'];
+
+const DEFAULT_SETTINGS = {
+  channels: {},
+  quiet_hours_enabled: false,
+  quiet_hours_start: '22:00',
+  quiet_hours_end: '07:00',
+  digest_enabled: false,
+  digest_hour: 8,
+};
 
 export default function NotificationSettings({ userId }) {
   const {
@@ -68,17 +65,35 @@ export default function NotificationSettings({ userId }) {
     unsubscribe,
   } = usePushNotifications();
 
-  const [preferences, setPreferences] = useState(null);
+  const [preferences, setPreferences] = useState(DEFAULT_SETTINGS);
+  const [timezone, setTimezone] = useState(null);
   const [prefsLoading, setPrefsLoading] = useState(true);
 
   const fetchPreferences = useCallback(async () => {
-    const { data } = await supabase
-      .from('notification_preferences')
-      .select('*')
-      .eq('user_id', userId)
-      .maybeSingle();
+    const [{ data }, { data: profile }] = await Promise.all([
+      supabase
+        .from('notification_preferences')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle(),
+      supabase
+        .from('user_profiles')
+        .select('timezone')
+        .eq('id', userId)
+        .maybeSingle(),
+    ]);
 
-    setPreferences(data);
+    if (data) {
+      setPreferences({
+        ...DEFAULT_SETTINGS,
+        ...data,
+        channels: data.channels || {},
+        // TIME columns come back as HH:MM:SS
+        quiet_hours_start: (data.quiet_hours_start || DEFAULT_SETTINGS.quiet_hours_start).slice(0, 5),
+        quiet_hours_end: (data.quiet_hours_end || DEFAULT_SETTINGS.quiet_hours_end).slice(0, 5),
+      });
+    }
+    setTimezone(profile?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone);
     setPrefsLoading(false);
   }, [userId]);
 
@@ -86,16 +101,17 @@ export default function NotificationSettings({ userId }) {
     fetchPreferences();
   }, [fetchPreferences]);
 
-  const handleToggle = async (key, value) => {
+  const savePreferences = async (patch) => {
+    const previous = preferences;
     // Optimistic update
-    setPreferences((prev) => ({ ...prev, [key]: value }));
+    setPreferences((prev) => ({ ...prev, ...patch }));
 
     const { error } = await supabase
       .from('notification_preferences')
       .upsert(
         {
           user_id: userId,
-          [key]: value,
+          ...patch,
           updated_at: new Date().toISOString(),
         },
         { onConflict: 'user_id' }
@@ -103,7 +119,7 @@ export default function NotificationSettings({ userId }) {
 
     if (error) {
       // Revert on failure
-      setPreferences((prev) => ({ ...prev, [key]: !value }));
+      setPreferences(previous);
       notifications.show({
         title: 'Error',
         message: 'Failed to update notification preference',
@@ -112,6 +128,10 @@ export default function NotificationSettings({ userId }) {
     }
   };
 
+  const handleChannelToggle = (type, channel, value) => {
+    savePreferences({ channels: withChannel(preferences.channels, type, channel, value) });
+  };
+
   const handleSubscribe = async () => {
     const success = await subscribe();
     if (success) {
@@ -229,48 +249,134 @@ export default function NotificationSettings({ userId }) {
         </Group>
       </Paper>
 
-      {/* Per-type toggles */}
-      {(isSubscribed || prefsLoading) && (
-        <Paper p="md" withBorder style={{ borderRadius: 0 }}>
-          <Text fw={600} size="sm" mb="md">Notification Types</Text>
+      {/* Channel × type matrix */}
+      <Paper p="md" withBorder style={{ borderRadius: 0 }}>
+        <Text fw={600} size="sm">What you hear about, and where</Text>
+        {!isSubscribed && (
+          <Text size="xs" c="dimmed" mt={2}>
+            Push toggles take effect on devices where notifications are enabled.
+          </Text>
+        )}
 
-          {prefsLoading ? (
-            <Group justify="center" py="md">
-              <Loader size="sm" />
-            </Group>
-          ) : (
-            <Stack gap="sm">
-              {/* Hide not-yet-wired types (comingSoon) so settings don't look
-                  half-built to new users. Remove the flag in NOTIFICATION_TYPES
-                  to re-show a type once it's implemented. */}
-              {NOTIFICATION_TYPES.filter((t) => !t.comingSoon).map(({ key, label, description, comingSoon }) => (
-                <Group
-                  key={key}
-                  justify="space-between"
-                  align="flex-start"
-                  wrap="nowrap"
-                >
-                  <div style={{ flex: 1 }}>
-                    <Group gap="xs">
-                      <Text size="sm" fw={500}>{label}</Text>
-                      {comingSoon && (
-                        <Badge size="xs" color="gray" variant="light">Coming soon</Badge>
-                      )}
-                    </Group>
+        {prefsLoading ? (
+          <Group justify="center" py="md">
+            <Loader size="sm" />
+          </Group>
+        ) : (
+          <Table mt="sm" verticalSpacing="xs" withRowBorders={false}>
+            <Table.Thead>
+              <Table.Tr>
+                <Table.Th />
+                {CHANNELS.map((channel) => (
+                  <Table.Th key={channel} style={{ width: 64, textAlign: 'center' }}>
+                    <Text size="xs" fw={600}>{CHANNEL_LABELS[channel]}</Text>
+                  </Table.Th>
+                ))}
+              </Table.Tr>
+            </Table.Thead>
+            <Table.Tbody>
+              {NOTIFICATION_TYPES.map(({ key, label, description, channels }) => (
+                <Table.Tr key={key}>
+                  <Table.Td>
+                    <Text size="sm" fw={500}>{label}</Text>
                     <Text size="xs" c="dimmed">{description}</Text>
-                  </div>
-                  <Switch
-                    checked={preferences?.[key] ?? true}
-                    onChange={(e) => handleToggle(key, e.currentTarget.checked)}
-                    disabled={comingSoon}
-                    size="sm"
-                  />
-                </Group>
+                  </Table.Td>
+                  {CHANNELS.map((channel) => (
+                    <Table.Td key={channel} style={{ textAlign: 'center' }}>
+                      {channels.includes(channel) ? (
+                        <Switch
+                          checked={isChannelEnabled(preferences, key, channel)}
+                          onChange={(e) => handleChannelToggle(key, channel, e.currentTarget.checked)}
+                          size="sm"
+                          aria-label={`${label} — ${CHANNEL_LABELS[channel]}`}
+                          style={{ display: 'inline-block' }}
+                        />
+                      ) : (
+                        <Text size="xs" c="dimmed">—</Text>
+                      )}
+                    </Table.Td>
+                  ))}
+                </Table.Tr>
               ))}
-            </Stack>
-          )}
-        </Paper>
-      )}
+            </Table.Tbody>
+          </Table>
+        )}
+      </Paper>
+
+      {/* Quiet hours */}
+      <Paper p="md" withBorder style={{ borderRadius: 0 }}>
+        <Group justify="space-between" align="flex-start" wrap="nowrap">
+          <div style={{ flex: 1 }}>
+            <Group gap="xs">
+              <MoonStars size={16} />
+              <Text fw={600} size="sm">Quiet hours</Text>
+            </Group>
+            <Text size="xs" c="dimmed">
+              Push and email wait until quiet hours end (tomorrow&apos;s workout preview is skipped instead).
+              {timezone && ` Times are in ${timezone}.`}
+            </Text>
+          </div>
+          <Switch
+            checked={preferences.quiet_hours_enabled}
+            onChange={(e) => savePreferences({ quiet_hours_enabled: e.currentTarget.checked })}
+            disabled={prefsLoading}
+            size="sm"
+          />
+        </Group>
+        {preferences.quiet_hours_enabled && (
+          <Group mt="sm" grow>
+            <Select
+              label="From"
+              size="xs"
+              data={TIME_OPTIONS}
+              value={preferences.quiet_hours_start}
+              onChange={(value) => value && savePreferences({ quiet_hours_start: value })}
+              allowDeselect={false}
+            />
+            <Select
+              label="Until"
+              size="xs"
+              data={TIME_OPTIONS}
+              value={preferences.quiet_hours_end}
+              onChange={(value) => value && savePreferences({ quiet_hours_end: value })}
+              allowDeselect={false}
+            />
+          </Group>
+        )}
+      </Paper>
+
+      {/* Daily digest */}
+      <Paper p="md" withBorder style={{ borderRadius: 0 }}>
+        <Group justify="space-between" align="flex-start" wrap="nowrap">
+          <div style={{ flex: 1 }}>
+            <Group gap="xs">
+              <Newspaper size={16} />
+              <Text fw={600} size="sm">Daily digest</Text>
+            </Group>
+            <Text size="xs" c="dimmed">
+              Batch gear alerts and forum replies into one email a day instead of one email each.
+            </Text>
+          </div>
+          <Switch
+            checked={preferences.digest_enabled}
+            onChange={(e) => savePreferences({ digest_enabled: e.currentTarget.checked })}
+            disabled={prefsLoading}
+            size="sm"
+          />
+        </Group>
+        {preferences.digest_enabled && (
+          <Select
+            mt="sm"
+            label="Send at"
+            size="xs"
+            data={HOUR_OPTIONS}
+            value={String(preferences.digest_hour)}
+            onChange={(value) => value && savePreferences({ digest_hour: parseInt(value, 10) })}
+            allowDeselect={false}
+            style={{ maxWidth: 200 }}
+          />
+        )}
+      </Paper>
 
       {/* Info note */}
       <Alert icon={<Info size={16} />} color="gray" variant="light">
@@ -0,0 +1,225 @@
+/**
+ * PrivacyZonesCard — places (home, work) hidden from every shared track.
+ *
+ * Each zone is a centre and a radius. Wherever other people see the user's
+ * tracks — shared routes and their GPX, share-card maps — the part inside a
+ * zone is cut out. Saving a zone re-masks routes that are already shared.
+ * The user's own views are unchanged.
+ */
+
+import { useState } from 'react';
+import {
+  ActionIcon,
+  Badge,
+  Button,
+  Card,
+  Group,
+  NumberInput,
+  Slider,
+  Stack,
+  Text,
+  TextInput,
+  Title,
+  Tooltip,
+} from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { Crosshair, Trash } from '@phosphor-icons/react';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  PRIVACY_ZONE_DEFAULT_RADIUS_M,
+  PRIVACY_ZONE_MAX_RADIUS_M,
+  PRIVACY_ZONE_MIN_RADIUS_M,
+  usePrivacyZones,
+} from '../../hooks/usePrivacyZones';
+
+interface ZoneDraft {
+  label: string;
+  lat: number | string;
+  lng: number | string;
+  radius_m: number;
+}
+
+const EMPTY_DRAFT: ZoneDraft = { label: '', lat: '', lng: '', radius_m: PRIVACY_ZONE_DEFAULT_RADIUS_M };
+
+function formatRadius(m: number): string {
+  return m >= 1000 ? `${(m / 1000).toFixed(1)} km` : `${m} m`;
+}
+
+export default function PrivacyZonesCard() {
+  const { user } = useAuth();
+  const { zones, loading, addZone, removeZone } = usePrivacyZones(user?.id);
+  const [draft, setDraft] = useState<ZoneDraft | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [locating, setLocating] = useState(false);
+
+  const lat = Number(draft?.lat);
+  const lng = Number(draft?.lng);
+  const draftValid = draft !== null
+    && draft.lat !== '' && draft.lng !== ''
+    && Number.isFinite(lat) && Math.abs(lat) <= 90
+    && Number.isFinite(lng) && Math.abs(lng) <= 180;
+
+  const fillFromMyLocation = () => {
+    if (!navigator.geolocation) {
+      notifications.show({ title: 'Location unavailable', message: 'Enter the coordinates instead.', color: 'yellow' });
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setDraft((d) => ({
+          ...(d ?? EMPTY_DRAFT),
+          lat: Number(position.coords.latitude.toFixed(5)),
+          lng: Number(position.coords.longitude.toFixed(5)),
+        }));
+        setLocating(false);
+      },
+      () => {
+        notifications.show({ title: 'Location unavailable', message: 'Enter the coordinates instead.', color: 'yellow' });
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 },
+    );
+  };
+
+  const save = async () => {
+    if (!draft || !draftValid) return;
+    setSaving(true);
+    try {
+      await addZone({
+        label: draft.label.trim() || null,
+        center_lat: lat,
+        center_lng: lng,
+        radius_m: draft.radius_m,
+      });
+      setDraft(null);
+      notifications.show({
+        title: 'Privacy zone added',
+        message: 'Your shared routes have been updated.',
+        color: 'teal',
+      });
+    } catch (err) {
+      notifications.show({
+        title: "Couldn't add privacy zone",
+        message: (err as Error)?.message ?? 'Try again.',
+        color: 'red',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (id: string) => {
+    if (!window.confirm('Remove this privacy zone? Your shared routes will show this area again.')) return;
+    try {
+      await removeZone(id);
+    } catch (err) {
+      notifications.show({
+        title: "Couldn't remove privacy zone",
+        message: (err as Error)?.message ?? 'Try again.',
+        color: 'red',
+      });
+    }
+  };
+
+  if (loading) return null;
+
+  return (
+    <Card>
+      <Stack gap="md">
+        <Stack gap={4}>
+          <Title order={3}>Privacy Zones</Title>
+          <Text size="sm" c="dimmed">
+            Hide the area around places like home or work. Anywhere other people see your tracks —
+            shared routes and their GPX downloads, share-card maps — the part inside a zone is cut out.
+            You still see your full tracks.
+          </Text>
+        </Stack>
+
+        {zones.length > 0 && (
+          <Stack gap="xs">
+            {zones.map((zone) => (
+              <Group key={zone.id} justify="space-between" wrap="nowrap">
+                <Group gap="xs" wrap="nowrap">
+                  <Text size="sm" fw={500}>{zone.label || 'Privacy zone'}</Text>
+                  <Badge variant="light" color="gray">{formatRadius(zone.radius_m)}</Badge>
+                </Group>
+                <Tooltip label="Remove zone">
+                  <ActionIcon variant="subtle" color="red" aria-label="Remove zone" onClick={() => remove(zone.id)}>
+                    <Trash size={16} />
+                  </ActionIcon>
+                </Tooltip>
+              </Group>
+            ))}
+          </Stack>
+        )}
+
+        {draft ? (
+          <Stack gap="sm">
+            <TextInput
+              label="Name"
+              placeholder="Home"
+              maxLength={40}
+              value={draft.label}
+              onChange={(e) => setDraft({ ...draft, label: e.currentTarget.value })}
+            />
+            <Group grow align="flex-end">
+              <NumberInput
+                label="Latitude"
+                decimalScale={5}
+                min={-90}
+                max={90}
+                hideControls
+                value={draft.lat}
+                onChange={(value) => setDraft({ ...draft, lat: value })}
+              />
+              <NumberInput
+                label="Longitude"
+                decimalScale={5}
+                min={-180}
+                max={180}
+                hideControls
+                value={draft.lng}
+                onChange={(value) => setDraft({ ...draft, lng: value })}
+              />
+            </Group>
+            <Button
+              size="xs"
+              variant="subtle"
+              leftSection={<Crosshair size={14} />}
+              loading={locating}
+              style={{ alignSelf: 'flex-start' }}
+              onClick={fillFromMyLocation}
+            >
+              Use my current location
+            </Button>
+            <Stack gap={4}>
+              <Text size="sm" fw={500}>Radius: {formatRadius(draft.radius_m)}</Text>
+              <Slider
+                value={draft.radius_m}
+                onChange={(value) => setDraft({ ...draft, radius_m: value })}
+                min={PRIVACY_ZONE_MIN_RADIUS_M}
+                max={PRIVACY_ZONE_MAX_RADIUS_M}
+                step={100}
+                label={formatRadius}
+                mb="md"
+              />
+            </Stack>
+            <Group gap="xs">
+              <Button color="teal" disabled={!draftValid} loading={saving} onClick={save}>
+                Save zone
+              </Button>
+              <Button variant="default" onClick={() => setDraft(null)}>
+                Cancel
+              </Button>
+            </Group>
+          </Stack>
+        ) : (
+          <Button variant="default" style={{ alignSelf: 'flex-start' }} onClick={() => setDraft(EMPTY_DRAFT)}>
+            Add privacy zone
+          </Button>
+        )}
+      </Stack>
+    </Card>
+  );
+}
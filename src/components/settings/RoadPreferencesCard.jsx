@@ -26,6 +26,7 @@ import { notifications } from '@mantine/notifications';
 import { tokens } from '../../theme';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { supabase } from '../../lib/supabase';
+import { clearRoutingCostProfileCache, isCostProfileUsable } from '../../utils/routeCostProfile';
 import { ArrowsClockwise, CaretDown, CaretRight, Check, Compass, Info, MapTrifold, Path, WarningCircle } from '@phosphor-icons/react';
 
 // Get the API base URL based on environment
@@ -36,6 +37,21 @@ const getApiBaseUrl = () => {
   return 'http://localhost:3000';
 };
 
+// Road groups from the compiled cost profile (api/utils/routingCostProfile.js)
+const ROAD_GROUP_LABELS = {
+  busy: 'busy roads',
+  connector: 'secondary roads',
+  local: 'local streets',
+  path: 'bike paths',
+  track: 'tracks',
+};
+
+const TRAFFIC_TOLERANCE_LABELS = {
+  low: 'Low',
+  medium: 'Moderate',
+  high: 'High',
+};
+
 export default function RoadPreferencesCard() {
   const { user } = useAuth();
   const [loading, setLoading] = useState(true);
@@ -59,6 +75,9 @@ export default function RoadPreferencesCard() {
   // Extraction progress
   const [extractionProgress, setExtractionProgress] = useState(null);
 
+  // Routing cost profile compiled from the segments (read-only summary)
+  const [costProfile, setCostProfile] = useState(null);
+
   // Get access token from Supabase session
   useEffect(() => {
     const getToken = async () => {
@@ -100,8 +119,8 @@ export default function RoadPreferencesCard() {
     setNeedsMigration(false);
 
     try {
-      // Load stats and preferences in parallel
-      const [statsRes, prefsRes] = await Promise.all([
+      // Load stats, preferences and the compiled cost profile in parallel
+      const [statsRes, prefsRes, profileRes] = await Promise.all([
         fetch(`${getApiBaseUrl()}/api/road-segments`, {
           method: 'POST',
           headers: {
@@ -117,6 +136,14 @@ export default function RoadPreferencesCard() {
             'Authorization': `Bearer ${accessToken}`
           },
           body: JSON.stringify({ action: 'get_preferences' })
+        }),
+        fetch(`${getApiBaseUrl()}/api/road-segments`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+          },
+          body: JSON.stringify({ action: 'get_cost_profile' })
         })
       ]);
 
@@ -149,6 +176,11 @@ export default function RoadPreferencesCard() {
           setRecencyWeight(prefsData.preferences.recency_weight ?? 30);
         }
       }
+
+      if (profileRes.ok) {
+        const profileData = await profileRes.json();
+        setCostProfile(profileData.profile || null);
+      }
     } catch (error) {
       console.error('Failed to load road preferences:', error);
       setApiError('Failed to connect to server');
@@ -264,7 +296,8 @@ export default function RoadPreferencesCard() {
         });
       }
 
-      // Reload stats
+      // Reload stats; the cost profile changes with new segments
+      clearRoutingCostProfileCache();
       await loadData();
     } catch (error) {
       console.error('Segment extraction failed:', error);
@@ -307,6 +340,9 @@ export default function RoadPreferencesCard() {
         throw new Error('Failed to save preferences');
       }
 
+      // Routes generated from now on should use the updated profile.
+      clearRoutingCostProfileCache();
+
       notifications.show({
         title: 'Preferences Saved',
         message: 'Your route preferences have been updated',
@@ -537,6 +573,45 @@ export default function RoadPreferencesCard() {
           )}
         </Box>
 
+        {/* Compiled cost profile — what the routers are told about you */}
+        {isCostProfileUsable(costProfile) && (
+          <Box data-testid="road-cost-profile">
+            <Text size="sm" fw={500} mb={4} style={{ color: 'var(--color-text-primary)' }}>
+              Your Kind of Roads
+            </Text>
+            <Text size="xs" mb="xs" style={{ color: 'var(--color-text-secondary)' }}>
+              Built from {Math.round(costProfile.classifiedKm)} km of classified riding. New routes are costed to match.
+            </Text>
+            <Group gap="xs">
+              {costProfile.trafficTolerance && (
+                <Badge color="gray" variant="light">
+                  Traffic tolerance: {TRAFFIC_TOLERANCE_LABELS[costProfile.trafficTolerance]}
+                </Badge>
+              )}
+              {typeof costProfile.gravelWeight === 'number' && (
+                <Badge color="gray" variant="light">
+                  {Math.round(costProfile.gravelWeight * 100)}% unpaved
+                </Badge>
+              )}
+              {costProfile.avoidedRoadGroups.map((group) => (
+                <Badge key={`avoid-${group}`} color="red" variant="light">
+                  Avoids {ROAD_GROUP_LABELS[group]}
+                </Badge>
+              ))}
+              {costProfile.preferredRoadGroups.map((group) => (
+                <Badge key={`prefer-${group}`} color="teal" variant="light">
+                  Seeks {ROAD_GROUP_LABELS[group]}
+                </Badge>
+              ))}
+            </Group>
+            {costProfile.favouriteRoads.length > 0 && (
+              <Text size="xs" mt="xs" style={{ color: 'var(--color-text-secondary)' }}>
+                Most ridden: {costProfile.favouriteRoads.slice(0, 4).map((road) => road.name).join(', ')}
+              </Text>
+            )}
+          </Box>
+        )}
+
         <Divider label="Routing Preferences" labelPosition="center" />
 
         {/* Familiarity Strength Slider */}
@@ -2,6 +2,7 @@ import { createContext, useContext, useEffect, useState, type ReactNode } from '
 import type { AuthError, AuthResponse, OAuthResponse, User } from '@supabase/supabase-js';
 import posthog from 'posthog-js';
 import { supabase } from '../lib/supabase';
+import { clearOfflineData, clearOfflineQueue } from '../lib/offline';
 
 interface AuthContextValue {
   user: User | null;
@@ -97,6 +98,9 @@ export function AuthProvider({ children }: { children: ReactNode }) {
 
   const signOut: AuthContextValue['signOut'] = async () => {
     const { error } = await supabase.auth.signOut();
+    // Offline snapshots and queued check-ins belong to the signed-out rider.
+    clearOfflineQueue();
+    void clearOfflineData();
     return { error };
   };
 
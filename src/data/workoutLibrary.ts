@@ -1510,11 +1510,45 @@ export function getWorkoutsByDuration(minDuration: number, maxDuration: number):
   );
 }
 
+// User-built workouts (custom_workouts table), keyed by owner. AppShell
+// registers the signed-in rider's set once per session and a coach's calendar
+// adds the athlete's while it's open, so every getWorkoutById caller — Today, plans,
+// calendar, modal, plan export — resolves them exactly like built-ins. Kept
+// out of WORKOUT_LIBRARY so plan generation and recommendations only draw on
+// the curated set.
+let CUSTOM_WORKOUTS: Record<string, WorkoutLibraryType> = {};
+
+/**
+ * Replace one owner's registered custom workouts. Without an owner, replaces
+ * every registered set (signed out).
+ */
+export function setCustomWorkouts(workouts: WorkoutDefinition[], ownerId?: string): void {
+  const byId = Object.fromEntries(workouts.map(w => [w.id, w]));
+  if (!ownerId) {
+    CUSTOM_WORKOUTS = workouts.length > 0 ? { '': byId } : {};
+    return;
+  }
+  const { [ownerId]: _previous, ...others } = CUSTOM_WORKOUTS;
+  CUSTOM_WORKOUTS = workouts.length > 0 ? { ...others, [ownerId]: byId } : others;
+}
+
 /**
- * Get a workout by its ID
+ * Get registered custom workouts — one owner's, or everyone's
+ */
+export function getCustomWorkouts(ownerId?: string): WorkoutDefinition[] {
+  const sets = ownerId ? [CUSTOM_WORKOUTS[ownerId] || {}] : Object.values(CUSTOM_WORKOUTS);
+  return sets.flatMap(set => Object.values(set));
+}
+
+/**
+ * Get a workout by its ID (built-in first, then registered custom workouts)
  */
 export function getWorkoutById(id: string): WorkoutDefinition | null {
-  return WORKOUT_LIBRARY[id] || null;
+  if (WORKOUT_LIBRARY[id]) return WORKOUT_LIBRARY[id];
+  for (const set of Object.values(CUSTOM_WORKOUTS)) {
+    if (set[id]) return set[id];
+  }
+  return null;
 }
 
 /**
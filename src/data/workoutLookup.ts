@@ -3,16 +3,17 @@
  * (`WORKOUT_LIBRARY`) and running (`RUNNING_WORKOUT_LIBRARY`) workout libraries.
  *
  * A `planned_workouts.workout_id` is sport-agnostic; which library holds it is
- * how its sport is determined. Resolve cycling-first, then running.
+ * how its sport is determined. Resolve cycling-first (including the user's
+ * custom workouts), then running.
  */
 
-import { WORKOUT_LIBRARY } from './workoutLibrary';
+import { WORKOUT_LIBRARY, getWorkoutById } from './workoutLibrary';
 import { RUNNING_WORKOUT_LIBRARY } from './runningWorkoutLibrary';
 import type { WorkoutDefinition } from '../types/training';
 
 export function getAnyWorkoutById(id: string | null | undefined): WorkoutDefinition | null {
   if (!id) return null;
-  return WORKOUT_LIBRARY[id] ?? RUNNING_WORKOUT_LIBRARY[id] ?? null;
+  return getWorkoutById(id) ?? RUNNING_WORKOUT_LIBRARY[id] ?? null;
 }
 
 export function getCyclingWorkouts(): WorkoutDefinition[] {
@@ -299,3 +299,34 @@ describe('applyAIEditViaCoach — multi-edit sequences', () => {
     expect(applyRouteEdit.mock.calls[0][0].routeStats.elevation_gain_m).toBe(800);
   });
 });
+
+describe('applyAIEditViaCoach — resolved avoid/detour features', () => {
+  it('returns the resolved features and appends an un-honoured avoid to the prose', async () => {
+    const resolvedFeature = {
+      action: 'avoid',
+      kind: 'road',
+      name: 'Highway 7',
+      category: 'road',
+      label: 'Highway 7 (road)',
+      honoured: false,
+      overlapKm: 0.8,
+    };
+    applyRouteEdit.mockResolvedValueOnce({
+      success: true,
+      editedRoute: { coordinates: EDITED_COORDS },
+      comparison: { elevationDelta: 0 },
+      resolvedFeature,
+      message: "Couldn't fully avoid Highway 7 (road) — the route still uses 0.8 km of it (+1.2km)",
+    });
+    mockFetchResponse({
+      message: 'Routing you off Highway 7.',
+      proposedEdits: [{ editIntent: { intent: 'avoid', location: 'Highway 7' } }],
+    });
+
+    const res = await applyAIEditViaCoach('avoid highway 7', [], 'route-1');
+
+    expect(res.resolvedFeatures).toEqual([resolvedFeature]);
+    const text = res.ok ? res.assistantText : '';
+    expect(text).toMatch(/^Routing you off Highway 7\. Couldn't fully avoid Highway 7/);
+  });
+});
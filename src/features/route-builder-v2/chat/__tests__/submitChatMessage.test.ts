@@ -299,6 +299,7 @@ describe('submitChatMessage — phases and edit outcome', () => {
       previous: checkpoint,
       next: { distance_km: 29, elevation_gain_m: 150 },
       partial: false,
+      resolved: [],
     });
   });
 
@@ -28,8 +28,9 @@ import {
 import { pushCheckpoint, popCheckpoint } from './editCheckpoints';
 import type { RouteCheckpoint } from './editCheckpoints';
 import type { EditResult } from './replicatedEditLogic';
-import type { ChatPhase } from './types';
+import type { ChatPhase, ResolvedEditFeature } from './types';
 import type { Coordinate } from '../../../types/geo';
+import type { PersonalDifficulty } from '../../../utils/personalDifficulty';
 
 interface ConversationTurn {
   role: 'user' | 'assistant';
@@ -40,6 +41,8 @@ export interface ApplyAIEditOptions {
   /** Progress callback for client-side geometry phases. This function
    *  never emits null — submitChatMessage owns clearing the phase. */
   onPhase?: (phase: ChatPhase) => void;
+  /** How the route compares with the rider's history; sent as coach context. */
+  personalDifficulty?: PersonalDifficulty | null;
 }
 
 export interface ApplyAIEditExtras {
@@ -52,6 +55,8 @@ export interface ApplyAIEditExtras {
   partialApplied?: boolean;
   /** The last applied op was restore_previous. */
   wasRestore?: boolean;
+  /** Map features applied avoid/detour edits resolved to, in edit order. */
+  resolvedFeatures?: ResolvedEditFeature[];
 }
 
 const MAPBOX_TOKEN: string =
@@ -136,6 +141,13 @@ export async function applyAIEditViaCoach(
           routeProfile,
           routeType,
           startLocation: routeGeometry.coordinates[0],
+          personalDifficulty: opts.personalDifficulty
+            ? {
+                percentile: opts.personalDifficulty.percentile,
+                rideCount: opts.personalDifficulty.rideCount,
+                highlights: opts.personalDifficulty.highlights,
+              }
+            : null,
         },
         userLocalDate,
       }),
@@ -213,6 +225,10 @@ export async function applyAIEditViaCoach(
   // When the LAST applied op was a restore, its checkpoint stats are
   // authoritative — skip the final elevation re-fetch.
   let restoredStats: RouteCheckpoint['stats'] | null = null;
+  const resolvedFeatures: ResolvedEditFeature[] = [];
+  // Engine messages for avoids the roads couldn't fully honour — the
+  // coach's prose was written before routing and can't know.
+  const avoidNotes: string[] = [];
 
   opts.onPhase?.('rerouting');
 
@@ -250,6 +266,7 @@ export async function applyAIEditViaCoach(
         success: boolean;
         editedRoute?: { coordinates?: Array<[number, number]>; needsReroute?: boolean };
         comparison?: { elevationDelta?: number | null };
+        resolvedFeature?: ResolvedEditFeature;
         message?: string;
       };
 
@@ -267,6 +284,12 @@ export async function applyAIEditViaCoach(
       if (Number.isFinite(editResult.comparison?.elevationDelta)) {
         curElevationM += Number(editResult.comparison?.elevationDelta);
       }
+      if (editResult.resolvedFeature) {
+        resolvedFeatures.push(editResult.resolvedFeature);
+        if (!editResult.resolvedFeature.honoured && editResult.message) {
+          avoidNotes.push(editResult.message);
+        }
+      }
       restoredStats = null;
       geometryEditApplied = true;
       applied += 1;
@@ -333,14 +356,17 @@ export async function applyAIEditViaCoach(
       ? ` The roads here wouldn't give exactly ${Math.round(requestedKm)} km — this is the closest it got.`
       : '';
 
+  const avoidNote = avoidNotes.length > 0 ? ` ${avoidNotes.join('. ')}.` : '';
+
   return {
     ok: true,
-    assistantText: `${message}${partial}${shortfall}`,
+    assistantText: `${message}${partial}${shortfall}${avoidNote}`,
     distance_km: Math.round(curDistance),
     elevation_gain_m: Math.round(elevation_gain_m),
     routeChanged: true,
     previousCheckpoint,
     partialApplied,
     wasRestore: restoredStats != null,
+    resolvedFeatures,
   };
 }
@@ -10,10 +10,11 @@
  * and opens the form panel. Everything else goes through the endpoint.
  */
 import { applyAIEditViaCoach } from './applyAIEditViaCoach';
-import type { ChatMessage, ChatPhase, RouteOptionSummary } from './types';
+import type { ChatMessage, ChatPhase, ResolvedEditFeature, RouteOptionSummary } from './types';
 import type { RouteCheckpoint } from './editCheckpoints';
 import { trackRb2 } from '../telemetry/trackRb2';
 import { formatDistance, formatElevation } from '../../../utils/units';
+import type { PersonalDifficulty } from '../../../utils/personalDifficulty';
 
 export interface FormPanelControl {
   expand: () => void;
@@ -36,6 +37,8 @@ export type GenerateOutcome =
       name?: string;
       /** % of the route on roads the rider has ridden before, when available. */
       familiarity_percent?: number | null;
+      /** Match (0–100) against the rider's road cost profile, when available. */
+      road_match_percent?: number | null;
       /** Measured gravel+unpaved share (%) of the applied route, when known. */
       gravel_actual_pct?: number | null;
       /**
@@ -59,6 +62,8 @@ export interface SubmitChatMessageArgs {
    * standalone ride. Defaults to true (previous behavior).
    */
   planAware?: boolean;
+  /** The route against the rider's own history, forwarded to the coach. */
+  personalDifficulty?: PersonalDifficulty | null;
   append: (msg: Omit<ChatMessage, 'id' | 'timestamp'>) => void;
   setProcessing: (b: boolean) => void;
   markRefused: () => void;
@@ -76,6 +81,8 @@ export interface SubmitChatMessageArgs {
     previous: RouteCheckpoint;
     next: { distance_km: number; elevation_gain_m: number };
     partial: boolean;
+    /** Map features avoid/detour edits resolved to (may be empty). */
+    resolved: ResolvedEditFeature[];
   }) => void;
   formPanelControl: FormPanelControl;
   /** Persists the completed user/assistant pair. Owned by `useChatSession`. */
@@ -101,6 +108,7 @@ export async function submitChatMessage(args: SubmitChatMessageArgs): Promise<vo
     conversationHistory,
     isImperial = false,
     planAware = true,
+    personalDifficulty = null,
     append,
     setProcessing,
     markRefused,
@@ -134,6 +142,10 @@ export async function submitChatMessage(args: SubmitChatMessageArgs): Promise<vo
           typeof result.familiarity_percent === 'number' && result.familiarity_percent > 0
             ? ` (${result.familiarity_percent}% on roads you've ridden)`
             : '';
+        const roadMatchNote =
+          typeof result.road_match_percent === 'number'
+            ? ` — ${result.road_match_percent}% your kind of roads`
+            : '';
         const gravelNote =
           typeof result.gravel_actual_pct === 'number'
             ? `, ~${result.gravel_actual_pct}% gravel`
@@ -146,7 +158,7 @@ export async function submitChatMessage(args: SubmitChatMessageArgs): Promise<vo
             ? ` heading ${result.options[0].direction_label.toLowerCase()}`
             : '';
           const appliedName = result.name ? ` '${result.name}'` : ' the best match';
-          const assistantText = `Planned ${result.options.length} routes${heading} — applied${appliedName} (${appliedStats})${familiarityNote}. Tap a card to switch.`;
+          const assistantText = `Planned ${result.options.length} routes${heading} — applied${appliedName} (${appliedStats})${familiarityNote}${roadMatchNote}. Tap a card to switch.`;
           append({
             role: 'assistant',
             text: assistantText,
@@ -173,7 +185,7 @@ export async function submitChatMessage(args: SubmitChatMessageArgs): Promise<vo
             await persistTurn(trimmed, `${assistantText} ${optionLines}`);
           }
         } else {
-          const assistantText = `Built you a ${fmtKm(result.distance_km)} route — ${fmtM(result.elevation_gain_m)} climbing${gravelNote}${familiarityNote}. Want me to tweak it?`;
+          const assistantText = `Built you a ${fmtKm(result.distance_km)} route — ${fmtM(result.elevation_gain_m)} climbing${gravelNote}${familiarityNote}${roadMatchNote}. Want me to tweak it?`;
           append({ role: 'assistant', text: assistantText });
           trackRb2('chat_route_generated', {
             input_length: trimmed.length,
@@ -247,7 +259,7 @@ export async function submitChatMessage(args: SubmitChatMessageArgs): Promise<vo
       routeId,
       planAware,
       isImperial,
-      { onPhase: (phase) => onPhase?.(phase) },
+      { onPhase: (phase) => onPhase?.(phase), personalDifficulty },
     );
     if (result.ok) {
       // Suffix the stats only when the route actually changed; otherwise
@@ -270,6 +282,7 @@ export async function submitChatMessage(args: SubmitChatMessageArgs): Promise<vo
             elevation_gain_m: result.elevation_gain_m,
           },
           partial: !!result.partialApplied,
+          resolved: result.resolvedFeatures ?? [],
         });
       }
       if (persistTurn) {
@@ -15,6 +15,8 @@ export interface RouteOptionSummary {
   elevation_gain_m: number;
   direction_label: string;
   familiarity_percent: number | null;
+  /** Match (0–100) against the rider's own kind of roads; null/undefined if unknown. */
+  road_match_percent?: number | null;
   surface_label?: string;
   /** Measured gravel+unpaved share (%) of the route; null/undefined if unknown. */
   gravel_actual_pct?: number | null;
@@ -44,6 +46,22 @@ export interface ChatMessage {
   retryText?: string;
 }
 
+/**
+ * What an avoid / detour edit resolved to on the map (mirrors
+ * aiRouteEditService's `resolvedFeature`), shown on the edit review card.
+ * `honoured` is false when the re-planned route still uses part of an
+ * avoided feature; `overlapKm` is how much (avoid only).
+ */
+export interface ResolvedEditFeature {
+  action: 'avoid' | 'detour';
+  kind: 'road' | 'area' | 'poi';
+  name: string | null;
+  category: string;
+  label: string;
+  honoured: boolean;
+  overlapKm: number | null;
+}
+
 /**
  * Stage of an in-flight chat turn, for progress copy in the chat bubble
  * and the matching map overlays. `null` = idle. Emission: submitChatMessage
@@ -442,6 +442,9 @@ function RouteOptionCards({
               {typeof option.familiarity_percent === 'number' && option.familiarity_percent > 0
                 ? ` · ${option.familiarity_percent}% familiar`
                 : ''}
+              {typeof option.road_match_percent === 'number'
+                ? ` · ${option.road_match_percent}% your roads`
+                : ''}
             </Text>
             {option.rationale ? (
               <Text
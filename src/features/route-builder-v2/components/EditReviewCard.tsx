@@ -5,11 +5,14 @@
  * stays visible as a dashed ghost line until the rider decides. Keep
  * dismisses the card (the checkpoint stays available for a later
  * "go back"); Revert restores the previous route. Doubles as the surface
- * for partially-applied compound edits.
+ * for partially-applied compound edits, and names the map features an
+ * avoid / detour resolved to — with a warning when an avoid couldn't be
+ * fully honoured — so the rider can check the match before keeping it.
  */
 import { Box, Button, Group, Text } from '@mantine/core';
 import { RB2, RB2_FONT } from './brand';
 import { formatDistance, formatElevation } from '../../../utils/units';
+import type { ResolvedEditFeature } from '../chat/types';
 
 export interface EditReviewStats {
   distance_km: number;
@@ -25,6 +28,8 @@ export interface EditReviewCardProps {
   busy: boolean;
   onKeep: () => void;
   onRevert: () => void;
+  /** Features avoid/detour edits resolved to. */
+  resolved?: ResolvedEditFeature[];
 }
 
 /** Signed delta chip text, e.g. "+4.2 km" / "-350 ft". */
@@ -48,6 +53,7 @@ export function EditReviewCard({
   busy,
   onKeep,
   onRevert,
+  resolved = [],
 }: EditReviewCardProps) {
   const distDelta = deltaText(previous.distance_km, next.distance_km, formatDistance, isImperial);
   const elevDelta = deltaText(
@@ -118,6 +124,32 @@ export function EditReviewCard({
         {formatElevation(next.elevation_gain_m, isImperial)} climbing
         {elevDelta ? ` (${elevDelta})` : ''}
       </Text>
+      {resolved.map((feature, i) => (
+        <Box key={`${feature.action}-${i}`} data-testid={`rb2-edit-review-feature-${i}`} mt={4}>
+          <Text
+            style={{
+              fontFamily: RB2_FONT.mono,
+              fontSize: 11,
+              color: RB2.textPrimary,
+            }}
+          >
+            {feature.action === 'avoid' ? 'Avoiding' : 'Via'}: {feature.label}
+          </Text>
+          {feature.action === 'avoid' && !feature.honoured && (
+            <Text
+              data-testid={`rb2-edit-review-feature-${i}-unhonoured`}
+              style={{
+                fontFamily: RB2_FONT.body,
+                fontSize: 11,
+                color: RB2.coral,
+              }}
+            >
+              Couldn&apos;t fully avoid it — still{' '}
+              {formatDistance(feature.overlapKm ?? 0, isImperial)} on it
+            </Text>
+          )}
+        </Box>
+      ))}
       <Text
         style={{
           fontFamily: RB2_FONT.body,
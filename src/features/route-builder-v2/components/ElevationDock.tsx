@@ -14,6 +14,7 @@ import { RB2, RB2_FONT } from './brand';
 import { ElevationPanel } from './ElevationPanel';
 import type { ElevationPoint } from '../../../hooks/route-builder';
 import type { WorkoutCue } from '../overlay/intervalOverlay';
+import type { PacingPlan } from '../../../utils/pacingPlan';
 
 export interface ElevationDockProps {
   profile: ElevationPoint[] | null;
@@ -22,6 +23,7 @@ export interface ElevationDockProps {
   onHoverKm?: (km: number | null) => void;
   isImperial?: boolean;
   cues?: WorkoutCue[] | null;
+  pacing?: PacingPlan | null;
 }
 
 export function ElevationDock({
@@ -31,6 +33,7 @@ export function ElevationDock({
   onHoverKm,
   isImperial = false,
   cues = null,
+  pacing = null,
 }: ElevationDockProps) {
   if (!profile || profile.length < 2) return null;
 
@@ -100,6 +103,7 @@ export function ElevationDock({
           onHoverKm={onHoverKm}
           isImperial={isImperial}
           cues={cues}
+          pacing={pacing}
         />
       </Box>
     </Box>
@@ -17,6 +17,10 @@
  *  - 2.2 elevation zoom + section metrics (drag-select over the SVG).
  * The hover geometry is factored so those extensions slot in without a
  * rewrite.
+ *
+ * With a pacing plan attached, a teal step line charts planned power per
+ * segment over the terrain and the hover readout adds planned watts and
+ * elapsed time at that point.
  */
 
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
@@ -32,6 +36,11 @@ import {
   niceTicks,
 } from './elevationGrade';
 import type { ElevationPoint } from '../../../hooks/route-builder';
+import {
+  elapsedSecondsAtKm,
+  pacingSegmentAtKm,
+  type PacingPlan,
+} from '../../../utils/pacingPlan';
 
 export interface ElevationPanelProps {
   profile: ElevationPoint[] | null;
@@ -47,6 +56,8 @@ export interface ElevationPanelProps {
   isImperial?: boolean;
   /** Workout interval cues (km along route) to paint as colored bands. */
   cues?: WorkoutCue[] | null;
+  /** Pacing plan to overlay as a planned-power step line. */
+  pacing?: PacingPlan | null;
 }
 
 // Resolution-independent viewBox; the SVG scales to the card width via
@@ -133,6 +144,16 @@ function elevLabel(m: number, isImperial: boolean): string {
   return `${Math.round(value)}${isImperial ? 'ft' : 'm'}`;
 }
 
+// Planned elapsed time as h:mm:ss (or m:ss under an hour).
+function elapsedLabel(seconds: number): string {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const mm = h > 0 ? String(m).padStart(2, '0') : String(m);
+  return `${h > 0 ? `${h}:` : ''}${mm}:${String(s).padStart(2, '0')}`;
+}
+
 // Bare tick number ("15" / "22.5") — the axis-end label carries the unit.
 function tickNum(value: number): string {
   return Number.isInteger(value) ? value.toString() : value.toFixed(1);
@@ -151,6 +172,7 @@ export function ElevationPanel({
   fillWidth = false,
   isImperial = false,
   cues = null,
+  pacing = null,
 }: ElevationPanelProps) {
   const svgRef = useRef<SVGSVGElement | null>(null);
   const [hoverIdx, setHoverIdx] = useState<number | null>(null);
@@ -197,6 +219,27 @@ export function ElevationPanel({
     });
   }, [profile, scales, segmentation]);
 
+  // Plan distances are measured along the coordinates; the profile's own
+  // distance axis differs slightly, so map plan km onto chart km.
+  const pacingKmScale =
+    pacing && scales && pacing.distanceKm > 0 ? scales.totalKm / pacing.distanceKm : 1;
+
+  // Planned power as a step line: 0 W at the baseline, the plan's peak
+  // segment just under the top padding.
+  const pacingPath = useMemo(() => {
+    if (!pacing || !scales || pacing.segments.length === 0) return null;
+    const peak = Math.max(...pacing.segments.map((s) => s.powerW), 1);
+    const toPowerY = (w: number) => VIEW_H - (w / peak) * (VIEW_H - PAD_TOP);
+    let d = '';
+    pacing.segments.forEach((seg, i) => {
+      const x0 = scales.toX(seg.startKm * pacingKmScale);
+      const x1 = scales.toX(seg.endKm * pacingKmScale);
+      const y = toPowerY(seg.powerW);
+      d += `${i === 0 ? 'M' : 'L'}${x0.toFixed(2)},${y.toFixed(2)}H${x1.toFixed(2)}`;
+    });
+    return d;
+  }, [pacing, scales, pacingKmScale]);
+
   const chartHeightPx = isMobile ? 72 : 112;
 
   // Altitude gridlines/labels at clean values in the display unit. Every
@@ -287,6 +330,13 @@ export function ElevationPanel({
   const hoverY = hoverPoint ? scales.toY(hoverPoint.elevation_m) : 0;
   const hoverGradePct = hoverIdx != null && segmentation ? segmentation.gradesPct[hoverIdx] : null;
   const maxGradePct = segmentation ? segmentation.maxPct : 0;
+  const hoverPacing =
+    pacing && hoverPoint
+      ? {
+          segment: pacingSegmentAtKm(pacing, hoverPoint.distance_km / pacingKmScale),
+          elapsed: elapsedSecondsAtKm(pacing, hoverPoint.distance_km / pacingKmScale),
+        }
+      : null;
 
   return (
     <Box
@@ -328,8 +378,8 @@ export function ElevationPanel({
           }}
         >
           {hoverPoint
-            ? `${distLabel(hoverPoint.distance_km, isImperial)} · ${elevLabel(hoverPoint.elevation_m, isImperial)}${hoverGradePct != null ? ` · ${hoverGradePct.toFixed(1)}%` : ''}`
-            : `↑ ${elevLabel(scales.gainM, isImperial)}${maxGradePct >= 1 ? ` · max ${Math.round(maxGradePct)}%` : ''}`}
+            ? `${distLabel(hoverPoint.distance_km, isImperial)} · ${elevLabel(hoverPoint.elevation_m, isImperial)}${hoverGradePct != null ? ` · ${hoverGradePct.toFixed(1)}%` : ''}${hoverPacing?.segment ? ` · ${hoverPacing.segment.powerW}W · ${elapsedLabel(hoverPacing.elapsed)}` : ''}`
+            : `↑ ${elevLabel(scales.gainM, isImperial)}${maxGradePct >= 1 ? ` · max ${Math.round(maxGradePct)}%` : ''}${pacing ? ` · ${elapsedLabel(pacing.totalSeconds)} @ ${pacing.averagePowerW}W` : ''}`}
         </Text>
       </Box>
 
@@ -397,6 +447,17 @@ export function ElevationPanel({
             strokeLinejoin="round"
             strokeLinecap="round"
           />
+          {pacingPath && (
+            <path
+              data-testid="rb2-elevation-pacing-line"
+              d={pacingPath}
+              fill="none"
+              stroke={RB2.teal}
+              strokeWidth={1.5}
+              vectorEffect="non-scaling-stroke"
+              strokeLinejoin="round"
+            />
+          )}
           {hoverPoint && (
             <g>
               <line
@@ -0,0 +1,324 @@
+/**
+ * PacingPanel — Route Builder 2.0 pacing plan / virtual partner.
+ *
+ * Edits the pacing settings (target finish time or power cap, rider weight,
+ * riding position) and shows the resulting physics-based plan from
+ * usePacingPlan: finish time, average / normalized power and split times.
+ * The same plan draws as a power line on the elevation chart and rides
+ * along in FIT exports as the head unit's virtual partner.
+ */
+
+import { Box, Group, Text, UnstyledButton } from '@mantine/core';
+import { Timer, WarningCircle, Wind } from '@phosphor-icons/react';
+import { RB2, RB2_FONT } from './brand';
+import { trackRb2 } from '../telemetry/trackRb2';
+import { pacingSplits, type PacingMode, type PacingPlan } from '../../../utils/pacingPlan';
+import type { PacingSettings } from '../../../hooks/route-builder';
+
+export interface PacingPanelProps {
+  plan: PacingPlan | null;
+  settings: PacingSettings | null;
+  onSettingsChange: (settings: PacingSettings | null) => void;
+  /** Seeds the target time when pacing is first enabled (e.g. the route ETA). */
+  suggestedMinutes?: number | null;
+  /** Whether forecast wind is feeding the plan. */
+  hasWind?: boolean;
+  isImperial?: boolean;
+}
+
+const KM_PER_MI = 1.609344;
+
+const POSITIONS: Array<{ id: string; label: string; cdA: number }> = [
+  { id: 'hoods', label: 'Hoods', cdA: 0.32 },
+  { id: 'drops', label: 'Drops', cdA: 0.28 },
+  { id: 'aero', label: 'Aero', cdA: 0.24 },
+];
+
+const MODE_LABELS: Record<PacingMode, string> = {
+  time: 'Target time',
+  power: 'Power cap',
+};
+
+function formatDuration(seconds: number): string {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h > 0
+    ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+    : `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function defaultSettings(suggestedMinutes?: number | null): PacingSettings {
+  const minutes = suggestedMinutes && suggestedMinutes > 0 ? Math.round(suggestedMinutes / 5) * 5 : 120;
+  return {
+    mode: 'time',
+    targetMinutes: Math.max(5, minutes),
+    powerCapW: 250,
+    riderMassKg: 75,
+    cdA: POSITIONS[0].cdA,
+  };
+}
+
+export function PacingPanel({
+  plan,
+  settings,
+  onSettingsChange,
+  suggestedMinutes = null,
+  hasWind = false,
+  isImperial = false,
+}: PacingPanelProps) {
+  if (!settings) {
+    return (
+      <Box data-testid="rb2-pacing-panel">
+        <Text style={headingStyle}>Pacing Plan</Text>
+        <Text style={{ fontFamily: RB2_FONT.body, fontSize: 12, color: RB2.textSecondary, marginBottom: 8 }}>
+          Plan power and split times for a target finish or power cap, and carry them to your
+          head unit as a virtual partner.
+        </Text>
+        <UnstyledButton
+          data-testid="rb2-pacing-enable"
+          onClick={() => {
+            onSettingsChange(defaultSettings(suggestedMinutes));
+            trackRb2('pacing_enabled', {});
+          }}
+          style={chipStyle(true)}
+        >
+          Plan pacing
+        </UnstyledButton>
+      </Box>
+    );
+  }
+
+  const update = (patch: Partial<PacingSettings>) => onSettingsChange({ ...settings, ...patch });
+  const splits = plan ? pacingSplits(plan, isImperial ? 5 * KM_PER_MI : 5) : [];
+
+  return (
+    <Box data-testid="rb2-pacing-panel">
+      <Group justify="space-between" align="center" mb={8}>
+        <Text style={{ ...headingStyle, marginBottom: 0 }}>Pacing Plan</Text>
+        <UnstyledButton
+          data-testid="rb2-pacing-clear"
+          onClick={() => {
+            onSettingsChange(null);
+            trackRb2('pacing_cleared', {});
+          }}
+          style={{ fontFamily: RB2_FONT.mono, fontSize: 10, color: RB2.textTertiary }}
+        >
+          Clear
+        </UnstyledButton>
+      </Group>
+
+      {/* Mode */}
+      <Group gap={4} mb={8}>
+        {(Object.keys(MODE_LABELS) as PacingMode[]).map((m) => (
+          <UnstyledButton
+            key={m}
+            data-testid={`rb2-pacing-mode-${m}`}
+            onClick={() => {
+              update({ mode: m });
+              trackRb2('pacing_mode_changed', { mode: m });
+            }}
+            style={chipStyle(settings.mode === m)}
+          >
+            {MODE_LABELS[m]}
+          </UnstyledButton>
+        ))}
+      </Group>
+
+      {settings.mode === 'time' ? (
+        <Stepper
+          label="Finish in"
+          value={formatDuration((settings.targetMinutes ?? 0) * 60)}
+          testid="rb2-pacing-target"
+          onDown={() => update({ targetMinutes: Math.max(5, (settings.targetMinutes ?? 0) - 5) })}
+          onUp={() => update({ targetMinutes: (settings.targetMinutes ?? 0) + 5 })}
+        />
+      ) : (
+        <Stepper
+          label="Power cap"
+          value={`${settings.powerCapW ?? 0} W`}
+          testid="rb2-pacing-cap"
+          onDown={() => update({ powerCapW: Math.max(50, (settings.powerCapW ?? 0) - 10) })}
+          onUp={() => update({ powerCapW: Math.min(1000, (settings.powerCapW ?? 0) + 10) })}
+        />
+      )}
+
+      <Stepper
+        label="Rider weight"
+        value={isImperial ? `${Math.round(settings.riderMassKg * 2.20462)} lb` : `${settings.riderMassKg} kg`}
+        testid="rb2-pacing-weight"
+        onDown={() => update({ riderMassKg: Math.max(35, settings.riderMassKg - 1) })}
+        onUp={() => update({ riderMassKg: Math.min(150, settings.riderMassKg + 1) })}
+      />
+
+      {/* Position → CdA */}
+      <Text style={chipGroupLabel}>Position</Text>
+      <Group gap={4} mb={10}>
+        {POSITIONS.map((p) => (
+          <UnstyledButton
+            key={p.id}
+            data-testid={`rb2-pacing-position-${p.id}`}
+            onClick={() => update({ cdA: p.cdA })}
+            style={chipStyle(settings.cdA === p.cdA)}
+          >
+            {p.label}
+          </UnstyledButton>
+        ))}
+      </Group>
+
+      {plan ? (
+        <>
+          <Group gap={0} grow style={{ borderTop: `1px solid ${RB2.bgSecondary}`, paddingTop: 10 }}>
+            <Readout label="Finish" value={formatDuration(plan.totalSeconds)} testid="rb2-pacing-finish" />
+            <Readout label="Avg" value={`${plan.averagePowerW} W`} testid="rb2-pacing-avg" />
+            <Readout label="EP" value={`${plan.normalizedPowerW} W`} testid="rb2-pacing-np" />
+          </Group>
+
+          {!plan.feasible && (
+            <Group data-testid="rb2-pacing-infeasible" gap={4} align="flex-start" wrap="nowrap" mt={8}>
+              <WarningCircle size={13} color={RB2.coral} style={{ marginTop: 2, flexShrink: 0 }} />
+              <Text style={{ fontFamily: RB2_FONT.body, fontSize: 11, color: RB2.textSecondary }}>
+                {plan.powerCapW != null && settings.mode === 'time'
+                  ? 'Target time is out of reach under this power cap — showing the fastest plan within it.'
+                  : 'Target time is outside the plannable range — showing the closest plan.'}
+              </Text>
+            </Group>
+          )}
+
+          {splits.length > 0 && (
+            <Box data-testid="rb2-pacing-splits" mt={10}>
+              <Text style={chipGroupLabel}>Splits</Text>
+              {splits.map((s) => (
+                <Group key={s.km} justify="space-between" gap={4}>
+                  <Text style={splitTextStyle}>
+                    {isImperial ? (s.km / KM_PER_MI).toFixed(1) : s.km.toFixed(1)} {isImperial ? 'mi' : 'km'}
+                  </Text>
+                  <Text style={splitTextStyle}>
+                    {formatDuration(s.elapsedSeconds)}
+                    <Text component="span" style={{ ...splitTextStyle, color: RB2.textTertiary }}>
+                      {' '}(+{formatDuration(s.splitSeconds)})
+                    </Text>
+                  </Text>
+                </Group>
+              ))}
+            </Box>
+          )}
+        </>
+      ) : (
+        <Text style={{ fontFamily: RB2_FONT.body, fontSize: 12, color: RB2.textTertiary }}>
+          Build a route to see the plan.
+        </Text>
+      )}
+
+      <Group gap={4} mt={10} align="flex-start" wrap="nowrap">
+        {hasWind ? (
+          <Wind size={11} color={RB2.textTertiary} style={{ marginTop: 2, flexShrink: 0 }} />
+        ) : (
+          <Timer size={11} color={RB2.textTertiary} style={{ marginTop: 2, flexShrink: 0 }} />
+        )}
+        <Text style={{ fontFamily: RB2_FONT.body, fontSize: 10, color: RB2.textTertiary, lineHeight: 1.3 }}>
+          {hasWind
+            ? 'Includes the current wind forecast.'
+            : 'Calm air assumed — load Weather to factor in wind.'}{' '}
+          FIT exports carry this plan as a virtual partner.
+        </Text>
+      </Group>
+    </Box>
+  );
+}
+
+function Stepper({
+  label,
+  value,
+  testid,
+  onDown,
+  onUp,
+}: {
+  label: string;
+  value: string;
+  testid: string;
+  onDown: () => void;
+  onUp: () => void;
+}) {
+  return (
+    <Group justify="space-between" align="center" mb={8}>
+      <Text style={{ fontFamily: RB2_FONT.body, fontSize: 12, color: RB2.textSecondary }}>{label}</Text>
+      <Group gap={6} align="center">
+        <UnstyledButton
+          aria-label={`Decrease ${label.toLowerCase()}`}
+          data-testid={`${testid}-down`}
+          onClick={onDown}
+          style={chipStyle(false)}
+        >
+          –
+        </UnstyledButton>
+        <Text
+          data-testid={testid}
+          style={{ fontFamily: RB2_FONT.mono, fontSize: 13, color: RB2.textPrimary, minWidth: 56, textAlign: 'center' }}
+        >
+          {value}
+        </Text>
+        <UnstyledButton
+          aria-label={`Increase ${label.toLowerCase()}`}
+          data-testid={`${testid}-up`}
+          onClick={onUp}
+          style={chipStyle(false)}
+        >
+          +
+        </UnstyledButton>
+      </Group>
+    </Group>
+  );
+}
+
+function Readout({ label, value, testid }: { label: string; value: string; testid: string }) {
+  return (
+    <Box data-testid={testid}>
+      <Text style={{ fontFamily: RB2_FONT.mono, fontSize: 9, letterSpacing: '0.08em', textTransform: 'uppercase', color: RB2.textTertiary }}>
+        {label}
+      </Text>
+      <Text style={{ fontFamily: RB2_FONT.heading, fontSize: 20, color: RB2.textPrimary, lineHeight: 1.1 }}>
+        {value}
+      </Text>
+    </Box>
+  );
+}
+
+const headingStyle = {
+  fontFamily: RB2_FONT.mono,
+  fontSize: 10,
+  letterSpacing: '0.12em',
+  textTransform: 'uppercase' as const,
+  color: RB2.textTertiary,
+  marginBottom: 8,
+};
+
+const chipGroupLabel = {
+  fontFamily: RB2_FONT.mono,
+  fontSize: 9,
+  letterSpacing: '0.06em',
+  textTransform: 'uppercase' as const,
+  color: RB2.textTertiary,
+  marginBottom: 4,
+};
+
+const splitTextStyle = {
+  fontFamily: RB2_FONT.mono,
+  fontSize: 11,
+  color: RB2.textSecondary,
+};
+
+function chipStyle(active: boolean): React.CSSProperties {
+  return {
+    padding: '3px 9px',
+    fontFamily: RB2_FONT.mono,
+    fontSize: 11,
+    letterSpacing: '0.02em',
+    border: `1px solid ${active ? RB2.teal : RB2.border}`,
+    backgroundColor: active ? RB2.teal : 'transparent',
+    color: active ? RB2.textInverse : RB2.textSecondary,
+  };
+}
+
+export default PacingPanel;
@@ -57,7 +57,7 @@ export interface RouteActionsPanelProps {
   onSaved?: (id: string) => void;
   /** Called after a load succeeds with the loaded id. */
   onLoaded?: (id: string) => void;
-  /** Called after a GPX import succeeds, with the track coords (to frame the map). */
+  /** Called after a GPX/TCX/FIT import succeeds, with the track coords (to frame the map). */
   onImported?: (coords: Coordinate[]) => void;
   /**
    * Increment to open the Save modal from outside (the stats-card quick-save
@@ -135,14 +135,17 @@ export function RouteActionsPanel({
       // Reset so re-selecting the same file fires change again.
       e.target.value = '';
       if (!file) return;
-      trackRb2('import_gpx_selected', { file_size: file.size });
-      const coords = await persistence.importGpx(file);
+      trackRb2('import_route_selected', {
+        file_size: file.size,
+        extension: file.name.split('.').pop()?.toLowerCase() ?? null,
+      });
+      const coords = await persistence.importRoute(file);
       if (coords) {
         if (onImported) onImported(coords);
       } else {
         notifications.show({
           title: 'Import failed',
-          message: persistence.lastError || "That GPX file couldn't be read.",
+          message: persistence.lastError || "That route file couldn't be read.",
           color: 'red',
           autoClose: 6000,
         });
@@ -454,7 +457,7 @@ export function RouteActionsPanel({
           </Menu>
         </Group>
         <Button
-          data-testid="rb2-import-gpx-button"
+          data-testid="rb2-import-route-button"
           variant="outline"
           fullWidth
           leftSection={<UploadSimple size={14} />}
@@ -463,14 +466,14 @@ export function RouteActionsPanel({
           styles={buttonStyles}
           mt={6}
         >
-          {persistence.isLoading ? <Loader size="xs" /> : 'Import GPX'}
+          {persistence.isLoading ? <Loader size="xs" /> : 'Import GPX / TCX / FIT'}
         </Button>
         <input
           ref={fileInputRef}
           type="file"
-          accept=".gpx,application/gpx+xml,application/xml,text/xml"
+          accept=".gpx,.tcx,.fit,application/gpx+xml,application/vnd.garmin.tcx+xml,application/xml,text/xml,application/octet-stream"
           onChange={handleFileSelected}
-          data-testid="rb2-import-gpx-input"
+          data-testid="rb2-import-route-input"
           style={{ display: 'none' }}
         />
         <Button
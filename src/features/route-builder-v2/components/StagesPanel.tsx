@@ -0,0 +1,360 @@
+/**
+ * StagesPanel — Route Builder 2.0 multi-day stages (bikepacking / touring).
+ *
+ * Splits the route at overnight stops (suggested by even effort, then nudged
+ * or named by the rider) and shows each day's distance, climbing, ETA and
+ * fuel, plus an on-demand resupply search for water / food / bike shops.
+ * Stages export as one GPX per day, one FIT course per day, or a single GPX
+ * with a track per day. State and derivation live in useRouteStages.
+ */
+
+import { Box, Group, Text, TextInput, UnstyledButton } from '@mantine/core';
+import { DownloadSimple, Drop, ForkKnife, Tent, WarningCircle } from '@phosphor-icons/react';
+import { RB2, RB2_FONT } from './brand';
+import { trackRb2 } from '../telemetry/trackRb2';
+import {
+  longestResupplyGapKm,
+  MAX_STAGES,
+  type StagePlan,
+  type StageStop,
+} from '../../../utils/routeStages';
+import type { StageExportFormat, StageResupply } from '../../../hooks/route-builder';
+
+export interface StagesPanelProps {
+  stops: StageStop[] | null;
+  stages: StagePlan[];
+  suggestedDays: number;
+  onSuggest: (days: number) => void;
+  onStopsChange: (stops: StageStop[] | null) => void;
+  resupply: Record<number, StageResupply>;
+  onFindResupply: (stageIndex: number) => void;
+  onExport: (format: StageExportFormat) => void;
+  isImperial?: boolean;
+}
+
+const KM_PER_MI = 1.609344;
+const FT_PER_M = 3.28084;
+
+/** Step for nudging an overnight stop along the route (5 km / 5 mi). */
+const STOP_STEP_UNITS = 5;
+
+/** A resupply gap longer than this gets flagged (about half a loaded day). */
+const LONG_GAP_KM = 50;
+
+const EXPORTS: Array<{ id: StageExportFormat; label: string }> = [
+  { id: 'gpx-multi', label: 'GPX (one file)' },
+  { id: 'gpx', label: 'GPX per day' },
+  { id: 'fit', label: 'FIT per day' },
+];
+
+function formatEta(seconds: number): string {
+  const total = Math.round(seconds / 60);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+export function StagesPanel({
+  stops,
+  stages,
+  suggestedDays,
+  onSuggest,
+  onStopsChange,
+  resupply,
+  onFindResupply,
+  onExport,
+  isImperial = false,
+}: StagesPanelProps) {
+  const dist = (km: number) =>
+    isImperial ? `${(km / KM_PER_MI).toFixed(1)} mi` : `${km.toFixed(1)} km`;
+  const elev = (m: number) =>
+    isImperial ? `${Math.round(m * FT_PER_M)} ft` : `${Math.round(m)} m`;
+
+  if (!stops) {
+    return (
+      <Box data-testid="rb2-stages-panel">
+        <Text style={headingStyle}>Stages</Text>
+        <Text style={{ fontFamily: RB2_FONT.body, fontSize: 12, color: RB2.textSecondary, marginBottom: 8 }}>
+          Split a long route into days with overnight stops — each day gets its own distance,
+          climbing, ETA, fuel plan and resupply check.
+        </Text>
+        <UnstyledButton
+          data-testid="rb2-stages-enable"
+          onClick={() => {
+            onSuggest(Math.max(2, suggestedDays));
+            trackRb2('stages_enabled', { days: Math.max(2, suggestedDays) });
+          }}
+          style={chipStyle(true)}
+        >
+          Plan stages
+        </UnstyledButton>
+      </Box>
+    );
+  }
+
+  // The stops as the stages actually use them (normalized, in order).
+  const current = stages.filter((s) => s.overnight).map((s) => s.overnight as StageStop);
+  const replaceStop = (i: number, patch: Partial<StageStop> | null) => {
+    const next = current.flatMap((s, j) => (j !== i ? [s] : patch ? [{ ...s, ...patch }] : []));
+    onStopsChange(next);
+  };
+  const moveStop = (i: number, direction: -1 | 1) => {
+    const stepKm = STOP_STEP_UNITS * (isImperial ? KM_PER_MI : 1);
+    const lo = stages[i].startKm + 1;
+    const hi = stages[i + 1].endKm - 1;
+    const km = Math.min(hi, Math.max(lo, current[i].km + direction * stepKm));
+    replaceStop(i, { km: Math.round(km * 10) / 10 });
+  };
+  const addNight = () => {
+    // Split the longest day in half.
+    const longest = stages.reduce((a, b) => (b.distanceKm > a.distanceKm ? b : a), stages[0]);
+    if (!longest) return;
+    const km = Math.round(((longest.startKm + longest.endKm) / 2) * 10) / 10;
+    onStopsChange([...current, { km }].sort((a, b) => a.km - b.km));
+    trackRb2('stages_night_added', { stage_count: stages.length + 1 });
+  };
+
+  return (
+    <Box data-testid="rb2-stages-panel">
+      <Group justify="space-between" align="center" mb={8}>
+        <Text style={{ ...headingStyle, marginBottom: 0 }}>Stages</Text>
+        <UnstyledButton
+          data-testid="rb2-stages-clear"
+          onClick={() => {
+            onStopsChange(null);
+            trackRb2('stages_cleared', {});
+          }}
+          style={{ fontFamily: RB2_FONT.mono, fontSize: 10, color: RB2.textTertiary }}
+        >
+          Clear
+        </UnstyledButton>
+      </Group>
+
+      <Group justify="space-between" align="center" mb={8}>
+        <Text style={{ fontFamily: RB2_FONT.body, fontSize: 12, color: RB2.textSecondary }}>Days</Text>
+        <Group gap={6} align="center">
+          <UnstyledButton
+            aria-label="Fewer days"
+            data-testid="rb2-stages-days-down"
+            onClick={() => onSuggest(Math.max(1, stages.length - 1))}
+            style={chipStyle(false)}
+          >
+            –
+          </UnstyledButton>
+          <Text
+            data-testid="rb2-stages-days"
+            style={{ fontFamily: RB2_FONT.mono, fontSize: 13, color: RB2.textPrimary, minWidth: 32, textAlign: 'center' }}
+          >
+            {stages.length}
+          </Text>
+          <UnstyledButton
+            aria-label="More days"
+            data-testid="rb2-stages-days-up"
+            onClick={() => onSuggest(Math.min(MAX_STAGES, stages.length + 1))}
+            style={chipStyle(false)}
+          >
+            +
+          </UnstyledButton>
+        </Group>
+      </Group>
+
+      {stages.length === 0 && (
+        <Text style={{ fontFamily: RB2_FONT.body, fontSize: 12, color: RB2.textTertiary }}>
+          Build a route to plan stages.
+        </Text>
+      )}
+
+      {stages.map((stage) => {
+        const supply = resupply[stage.index];
+        const waterGap = supply?.status === 'ready'
+          ? longestResupplyGapKm(stage, supply.pois, ['water'])
+          : null;
+        const foodGap = supply?.status === 'ready'
+          ? longestResupplyGapKm(stage, supply.pois, ['food'])
+          : null;
+        return (
+          <Box key={stage.index} data-testid={`rb2-stage-${stage.index + 1}`} style={stageStyle}>
+            <Text style={chipGroupLabel}>
+              Day {stage.index + 1} · {dist(stage.startKm)} → {dist(stage.endKm)}
+            </Text>
+            <Group gap={0} grow>
+              <Readout label="Distance" value={dist(stage.distanceKm)} testid={`rb2-stage-${stage.index + 1}-distance`} />
+              <Readout label="Climb" value={elev(stage.elevationGainM)} testid={`rb2-stage-${stage.index + 1}-climb`} />
+              <Readout label="ETA" value={formatEta(stage.etaSeconds)} testid={`rb2-stage-${stage.index + 1}-eta`} />
+            </Group>
+            <Text data-testid={`rb2-stage-${stage.index + 1}-fuel`} style={detailStyle}>
+              Fuel {stage.fuel.carbs.totalGramsMin}–{stage.fuel.carbs.totalGramsMax} g carbs ·{' '}
+              {stage.fuel.bottlesNeeded} bottle{stage.fuel.bottlesNeeded === 1 ? '' : 's'}
+            </Text>
+
+            {!supply && (
+              <UnstyledButton
+                data-testid={`rb2-stage-${stage.index + 1}-resupply`}
+                onClick={() => onFindResupply(stage.index)}
+                style={{ ...chipStyle(false), marginTop: 6 }}
+              >
+                Find resupply
+              </UnstyledButton>
+            )}
+            {supply?.status === 'loading' && <Text style={detailStyle}>Searching for water and food…</Text>}
+            {supply?.status === 'error' && (
+              <Text style={{ ...detailStyle, color: RB2.coral }}>Resupply search failed — try again later.</Text>
+            )}
+            {supply?.status === 'ready' && (
+              <Box data-testid={`rb2-stage-${stage.index + 1}-resupply-result`} mt={4}>
+                <Group gap={4} wrap="nowrap" align="flex-start">
+                  {waterGap != null && waterGap > LONG_GAP_KM ? (
+                    <WarningCircle size={12} color={RB2.coral} style={{ marginTop: 2, flexShrink: 0 }} />
+                  ) : (
+                    <Drop size={12} color={RB2.textTertiary} style={{ marginTop: 2, flexShrink: 0 }} />
+                  )}
+                  <Text style={detailStyle}>
+                    {supply.pois.length} stop{supply.pois.length === 1 ? '' : 's'} · longest without water{' '}
+                    {dist(waterGap ?? 0)}
+                  </Text>
+                </Group>
+                <Group gap={4} wrap="nowrap" align="flex-start">
+                  <ForkKnife size={12} color={RB2.textTertiary} style={{ marginTop: 2, flexShrink: 0 }} />
+                  <Text style={detailStyle}>Longest without food {dist(foodGap ?? 0)}</Text>
+                </Group>
+              </Box>
+            )}
+
+            {stage.overnight && (
+              <Box mt={8} data-testid={`rb2-stage-${stage.index + 1}-overnight`}>
+                <Group justify="space-between" align="center" gap={6} wrap="nowrap">
+                  <Group gap={4} wrap="nowrap">
+                    <Tent size={12} color={RB2.teal} />
+                    <Text style={{ fontFamily: RB2_FONT.mono, fontSize: 11, color: RB2.textSecondary }}>
+                      Night at {dist(stage.overnight.km)}
+                    </Text>
+                  </Group>
+                  <Group gap={4} wrap="nowrap">
+                    <UnstyledButton
+                      aria-label="Move stop earlier"
+                      data-testid={`rb2-stage-${stage.index + 1}-stop-down`}
+                      onClick={() => moveStop(stage.index, -1)}
+                      style={chipStyle(false)}
+                    >
+                      –
+                    </UnstyledButton>
+                    <UnstyledButton
+                      aria-label="Move stop later"
+                      data-testid={`rb2-stage-${stage.index + 1}-stop-up`}
+                      onClick={() => moveStop(stage.index, 1)}
+                      style={chipStyle(false)}
+                    >
+                      +
+                    </UnstyledButton>
+                    <UnstyledButton
+                      data-testid={`rb2-stage-${stage.index + 1}-stop-remove`}
+                      onClick={() => {
+                        replaceStop(stage.index, null);
+                        trackRb2('stages_night_removed', { stage_count: stages.length - 1 });
+                      }}
+                      style={{ fontFamily: RB2_FONT.mono, fontSize: 10, color: RB2.textTertiary }}
+                    >
+                      Remove
+                    </UnstyledButton>
+                  </Group>
+                </Group>
+                <TextInput
+                  size="xs"
+                  mt={4}
+                  placeholder="Where you're sleeping (optional)"
+                  value={stage.overnight.name ?? ''}
+                  onChange={(e) => replaceStop(stage.index, { name: e.currentTarget.value || null })}
+                  data-testid={`rb2-stage-${stage.index + 1}-stop-name`}
+                  styles={{ input: { borderRadius: 0 } }}
+                />
+              </Box>
+            )}
+          </Box>
+        );
+      })}
+
+      {stages.length > 0 && stages.length < MAX_STAGES && (
+        <UnstyledButton data-testid="rb2-stages-add-night" onClick={addNight} style={{ ...chipStyle(false), marginTop: 8 }}>
+          + Add a night
+        </UnstyledButton>
+      )}
+
+      {stages.length > 0 && (
+        <Box mt={12}>
+          <Text style={chipGroupLabel}>Export stages</Text>
+          <Group gap={4}>
+            {EXPORTS.map((f) => (
+              <UnstyledButton
+                key={f.id}
+                data-testid={`rb2-stages-export-${f.id}`}
+                onClick={() => onExport(f.id)}
+                style={chipStyle(false)}
+              >
+                <Group gap={4} wrap="nowrap">
+                  <DownloadSimple size={11} />
+                  {f.label}
+                </Group>
+              </UnstyledButton>
+            ))}
+          </Group>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+function Readout({ label, value, testid }: { label: string; value: string; testid: string }) {
+  return (
+    <Box data-testid={testid}>
+      <Text style={{ fontFamily: RB2_FONT.mono, fontSize: 9, letterSpacing: '0.08em', textTransform: 'uppercase', color: RB2.textTertiary }}>
+        {label}
+      </Text>
+      <Text style={{ fontFamily: RB2_FONT.heading, fontSize: 17, color: RB2.textPrimary, lineHeight: 1.1 }}>
+        {value}
+      </Text>
+    </Box>
+  );
+}
+
+const headingStyle = {
+  fontFamily: RB2_FONT.mono,
+  fontSize: 10,
+  letterSpacing: '0.12em',
+  textTransform: 'uppercase' as const,
+  color: RB2.textTertiary,
+  marginBottom: 8,
+};
+
+const chipGroupLabel = {
+  fontFamily: RB2_FONT.mono,
+  fontSize: 9,
+  letterSpacing: '0.06em',
+  textTransform: 'uppercase' as const,
+  color: RB2.textTertiary,
+  marginBottom: 4,
+};
+
+const detailStyle = {
+  fontFamily: RB2_FONT.body,
+  fontSize: 11,
+  color: RB2.textSecondary,
+  marginTop: 4,
+};
+
+const stageStyle = {
+  borderTop: `1px solid ${RB2.bgSecondary}`,
+  paddingTop: 8,
+  paddingBottom: 8,
+};
+
+function chipStyle(active: boolean): React.CSSProperties {
+  return {
+    padding: '3px 9px',
+    fontFamily: RB2_FONT.mono,
+    fontSize: 11,
+    letterSpacing: '0.02em',
+    border: `1px solid ${active ? RB2.teal : RB2.border}`,
+    backgroundColor: active ? RB2.teal : 'transparent',
+    color: active ? RB2.textInverse : RB2.textSecondary,
+  };
+}
+
+export default StagesPanel;
@@ -2,11 +2,12 @@
  * StatsOverlay — Route Builder 2.0 route summary card.
  *
  * Shows distance, elevation gain, and estimated duration for the
- * current route. Hidden when no route exists.
+ * current route, plus how it compares with the rider's own history when
+ * that's known. Hidden when no route exists.
  */
 
 import { Box, Text, UnstyledButton } from '@mantine/core';
-import { Check, FloppyDisk, Warning, X } from '@phosphor-icons/react';
+import { Check, ChartBar, FloppyDisk, Warning, X } from '@phosphor-icons/react';
 import { RB2, RB2_FONT } from './brand';
 import { convertDistance } from '../../../utils/units.jsx';
 import {
@@ -48,6 +49,11 @@ export interface StatsOverlayProps {
   targetStatus?: TargetStatus | null;
   /** Ask the route coach to close the gap. Renders the chip as a button. */
   onFixTarget?: () => void;
+  /**
+   * The route against the rider's own history, e.g. "Harder than 92% of your
+   * rides, longest climb you've attempted since June". Omitted on thin history.
+   */
+  personalDifficulty?: string | null;
 }
 
 const SURFACE_ORDER = ['paved', 'gravel', 'unpaved', 'mixed'] as const;
@@ -99,6 +105,7 @@ export function StatsOverlay({
   saveState = 'unsaved',
   targetStatus = null,
   onFixTarget,
+  personalDifficulty = null,
 }: StatsOverlayProps) {
   if (!stats || stats.distance_km <= 0) return null;
 
@@ -204,6 +211,25 @@ export function StatsOverlay({
         <StatCell label="Elevation" value={formatElevationCompact(stats.elevation_gain_m, isImperial)} />
         <StatCell label="Duration" value={formatDuration(stats.duration_s)} />
       </Box>
+      {personalDifficulty && (
+        <Box
+          data-testid="rb2-stats-personal"
+          style={{ display: 'flex', alignItems: 'flex-start', gap: 6, marginTop: 8 }}
+        >
+          <ChartBar size={12} color={RB2.textTertiary} weight="bold" style={{ flexShrink: 0, marginTop: 1 }} />
+          <Text
+            style={{
+              fontFamily: RB2_FONT.mono,
+              fontSize: 10,
+              letterSpacing: '0.04em',
+              color: RB2.textSecondary,
+              lineHeight: 1.4,
+            }}
+          >
+            {personalDifficulty}
+          </Text>
+        </Box>
+      )}
       {targetStatus && (
         <Box style={{ marginTop: 8 }}>
           <UnstyledButton
@@ -58,6 +58,41 @@ describe('EditReviewCard', () => {
     expect(onRevert).toHaveBeenCalledTimes(1);
   });
 
+  it('names the resolved features and warns when an avoid was not honoured', () => {
+    renderCard({
+      resolved: [
+        {
+          action: 'avoid',
+          kind: 'road',
+          name: 'Highway 7',
+          category: 'road',
+          label: 'Highway 7 (road)',
+          honoured: false,
+          overlapKm: 1.2,
+        },
+        {
+          action: 'detour',
+          kind: 'poi',
+          name: null,
+          category: 'water',
+          label: 'the nearest water stop',
+          honoured: true,
+          overlapKm: null,
+        },
+      ],
+    });
+    expect(screen.getByTestId('rb2-edit-review-feature-0').textContent).toContain(
+      'Avoiding: Highway 7 (road)',
+    );
+    expect(screen.getByTestId('rb2-edit-review-feature-0-unhonoured').textContent).toMatch(
+      /still 1\.2 km on it/,
+    );
+    expect(screen.getByTestId('rb2-edit-review-feature-1').textContent).toBe(
+      'Via: the nearest water stop',
+    );
+    expect(screen.queryByTestId('rb2-edit-review-feature-1-unhonoured')).toBeNull();
+  });
+
   it('disables both buttons while busy', () => {
     const { onKeep } = renderCard({ busy: true });
     expect(screen.getByTestId('rb2-edit-keep')).toBeDisabled();
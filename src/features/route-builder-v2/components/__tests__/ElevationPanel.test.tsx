@@ -3,6 +3,7 @@ import { MantineProvider } from '@mantine/core';
 import { describe, it, expect, vi } from 'vitest';
 import { ElevationPanel } from '../ElevationPanel';
 import type { ElevationPoint } from '../../../../hooks/route-builder';
+import type { PacingPlan } from '../../../../utils/pacingPlan';
 
 function renderPanel(profile: ElevationPoint[] | null) {
   return render(
@@ -116,4 +117,63 @@ describe('ElevationPanel', () => {
     renderPanel(CLIMB);
     expect(screen.queryByTestId('rb2-elevation-interval-bands')).toBeNull();
   });
+
+  describe('pacing overlay', () => {
+    // Two 5km segments: steady then harder on the back half.
+    const PLAN: PacingPlan = {
+      mode: 'time',
+      distanceKm: 10,
+      totalSeconds: 1200,
+      targetSeconds: 1200,
+      powerCapW: null,
+      basePowerW: 200,
+      averagePowerW: 225,
+      normalizedPowerW: 228,
+      feasible: true,
+      segments: [
+        { startKm: 0, endKm: 5, gradePercent: 1, headwindKmh: 0, powerW: 200, speedKmh: 30, seconds: 600, elapsedSeconds: 600 },
+        { startKm: 5, endKm: 10, gradePercent: 1, headwindKmh: 0, powerW: 250, speedKmh: 30, seconds: 600, elapsedSeconds: 1200 },
+      ],
+      splits: [],
+    };
+
+    it('draws the planned power line and summarizes the plan', () => {
+      render(
+        <MantineProvider>
+          <ElevationPanel profile={CLIMB} pacing={PLAN} />
+        </MantineProvider>,
+      );
+      expect(screen.getByTestId('rb2-elevation-pacing-line')).toBeInTheDocument();
+      expect(screen.getByTestId('rb2-elevation-panel')).toHaveTextContent('20:00 @ 225W');
+    });
+
+    it('adds planned power and elapsed time to the hover readout', async () => {
+      render(
+        <MantineProvider>
+          <ElevationPanel profile={CLIMB} pacing={PLAN} />
+        </MantineProvider>,
+      );
+      const svg = screen.getByRole('img');
+      vi.spyOn(svg, 'getBoundingClientRect').mockReturnValue({
+        left: 0,
+        width: 100,
+        top: 0,
+        height: 80,
+        right: 100,
+        bottom: 80,
+        x: 0,
+        y: 0,
+        toJSON: () => {},
+      } as DOMRect);
+      // ~8km → second segment, 960s in.
+      fireEvent.pointerMove(svg, { clientX: 80 });
+      await act(() => new Promise<void>((r) => requestAnimationFrame(() => r())));
+      expect(screen.getByTestId('rb2-elevation-panel')).toHaveTextContent('250W · 16:00');
+    });
+
+    it('draws no pacing line without a plan', () => {
+      renderPanel(CLIMB);
+      expect(screen.queryByTestId('rb2-elevation-pacing-line')).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,82 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MantineProvider } from '@mantine/core';
+import { describe, it, expect, vi } from 'vitest';
+import { PacingPanel } from '../PacingPanel';
+import type { PacingPlan } from '../../../../utils/pacingPlan';
+import type { PacingSettings } from '../../../../hooks/route-builder';
+
+const SETTINGS: PacingSettings = {
+  mode: 'time',
+  targetMinutes: 60,
+  powerCapW: 250,
+  riderMassKg: 75,
+  cdA: 0.32,
+};
+
+const PLAN: PacingPlan = {
+  mode: 'time',
+  distanceKm: 12,
+  totalSeconds: 3600,
+  targetSeconds: 3600,
+  powerCapW: 250,
+  basePowerW: 180,
+  averagePowerW: 185,
+  normalizedPowerW: 196,
+  feasible: true,
+  segments: [
+    { startKm: 0, endKm: 6, gradePercent: 0, headwindKmh: 0, powerW: 180, speedKmh: 12, seconds: 1800, elapsedSeconds: 1800 },
+    { startKm: 6, endKm: 12, gradePercent: 2, headwindKmh: 0, powerW: 190, speedKmh: 12, seconds: 1800, elapsedSeconds: 3600 },
+  ],
+  splits: [],
+};
+
+function renderPanel(props: Partial<React.ComponentProps<typeof PacingPanel>> = {}) {
+  const onSettingsChange = vi.fn();
+  render(
+    <MantineProvider>
+      <PacingPanel plan={null} settings={null} onSettingsChange={onSettingsChange} {...props} />
+    </MantineProvider>,
+  );
+  return { onSettingsChange };
+}
+
+describe('PacingPanel', () => {
+  it('enables pacing seeded from the suggested finish time', () => {
+    const { onSettingsChange } = renderPanel({ suggestedMinutes: 93 });
+    fireEvent.click(screen.getByTestId('rb2-pacing-enable'));
+    expect(onSettingsChange).toHaveBeenCalledWith(
+      expect.objectContaining({ mode: 'time', targetMinutes: 95, riderMassKg: 75 }),
+    );
+  });
+
+  it('shows finish time, power and splits for a plan', () => {
+    renderPanel({ settings: SETTINGS, plan: PLAN });
+    expect(screen.getByTestId('rb2-pacing-finish')).toHaveTextContent('1:00:00');
+    expect(screen.getByTestId('rb2-pacing-avg')).toHaveTextContent('185 W');
+    expect(screen.getByTestId('rb2-pacing-np')).toHaveTextContent('196 W');
+    const splits = screen.getByTestId('rb2-pacing-splits');
+    expect(splits).toHaveTextContent('5.0 km');
+    expect(splits).toHaveTextContent('25:00');
+    expect(splits).toHaveTextContent('12.0 km');
+    expect(screen.queryByTestId('rb2-pacing-infeasible')).toBeNull();
+  });
+
+  it('steps the target time and switches to power-cap mode', () => {
+    const { onSettingsChange } = renderPanel({ settings: SETTINGS, plan: PLAN });
+    fireEvent.click(screen.getByTestId('rb2-pacing-target-down'));
+    expect(onSettingsChange).toHaveBeenLastCalledWith({ ...SETTINGS, targetMinutes: 55 });
+    fireEvent.click(screen.getByTestId('rb2-pacing-mode-power'));
+    expect(onSettingsChange).toHaveBeenLastCalledWith({ ...SETTINGS, mode: 'power' });
+  });
+
+  it('warns when the target is out of reach', () => {
+    renderPanel({ settings: SETTINGS, plan: { ...PLAN, feasible: false } });
+    expect(screen.getByTestId('rb2-pacing-infeasible')).toHaveTextContent(/power cap/);
+  });
+
+  it('clears the plan', () => {
+    const { onSettingsChange } = renderPanel({ settings: SETTINGS, plan: PLAN });
+    fireEvent.click(screen.getByTestId('rb2-pacing-clear'));
+    expect(onSettingsChange).toHaveBeenLastCalledWith(null);
+  });
+});
@@ -34,7 +34,7 @@ function makePersistence(
     ]),
     deleteRoute: vi.fn().mockResolvedValue(true),
     exportRoute: vi.fn(),
-    importGpx: vi.fn().mockResolvedValue([
+    importRoute: vi.fn().mockResolvedValue([
       [-105.27, 40.01],
       [-105.28, 40.02],
     ]),
@@ -127,13 +127,13 @@ describe('RouteActionsPanel', () => {
     expect(persistence.exportRoute).toHaveBeenCalledWith('gpx');
   });
 
-  it('imports a GPX file and fires onImported with the track coords', async () => {
+  it('imports a route file and fires onImported with the track coords', async () => {
     const onImported = vi.fn();
     const { persistence } = renderPanel({ onImported });
-    const input = screen.getByTestId('rb2-import-gpx-input');
+    const input = screen.getByTestId('rb2-import-route-input');
     const file = new File(['<gpx></gpx>'], 'ride.gpx', { type: 'application/gpx+xml' });
     fireEvent.change(input, { target: { files: [file] } });
-    await waitFor(() => expect(persistence.importGpx).toHaveBeenCalledWith(file));
+    await waitFor(() => expect(persistence.importRoute).toHaveBeenCalledWith(file));
     await waitFor(() =>
       expect(onImported).toHaveBeenCalledWith([
         [-105.27, 40.01],
@@ -148,7 +148,7 @@ describe('RouteActionsPanel', () => {
     expect(screen.getByTestId('rb2-export-route-button')).toBeDisabled();
     // Load and Import remain available as entry points.
     expect(screen.getByTestId('rb2-load-route-button')).not.toBeDisabled();
-    expect(screen.getByTestId('rb2-import-gpx-button')).not.toBeDisabled();
+    expect(screen.getByTestId('rb2-import-route-button')).not.toBeDisabled();
   });
 
   it('hides "Send to Garmin" when the account is not connected', async () => {
@@ -0,0 +1,80 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MantineProvider } from '@mantine/core';
+import { describe, it, expect, vi } from 'vitest';
+import { StagesPanel } from '../StagesPanel';
+import { planStages, type StageCoordinate } from '../../../../utils/routeStages';
+
+// ~111 km due east along the equator.
+const COORDS: StageCoordinate[] = Array.from({ length: 101 }, (_, i) => [i * 0.01, 0]);
+const STAGES = planStages(COORDS, null, [{ km: 60, name: 'Camp' }], { totalGainM: 1000 });
+
+function renderPanel(props: Partial<React.ComponentProps<typeof StagesPanel>> = {}) {
+  const handlers = {
+    onSuggest: vi.fn(),
+    onStopsChange: vi.fn(),
+    onFindResupply: vi.fn(),
+    onExport: vi.fn(),
+  };
+  render(
+    <MantineProvider>
+      <StagesPanel
+        stops={null}
+        stages={[]}
+        suggestedDays={2}
+        resupply={{}}
+        {...handlers}
+        {...props}
+      />
+    </MantineProvider>,
+  );
+  return handlers;
+}
+
+describe('StagesPanel', () => {
+  it('seeds a suggested split when planning starts', () => {
+    const { onSuggest } = renderPanel({ suggestedDays: 3 });
+    fireEvent.click(screen.getByTestId('rb2-stages-enable'));
+    expect(onSuggest).toHaveBeenCalledWith(3);
+  });
+
+  it('shows distance, climbing and fuel per day', () => {
+    renderPanel({ stops: [{ km: 60, name: 'Camp' }], stages: STAGES });
+    expect(screen.getByTestId('rb2-stages-days').textContent).toBe('2');
+    expect(screen.getByTestId('rb2-stage-1-distance').textContent).toContain('60.0 km');
+    expect(screen.getByTestId('rb2-stage-2-climb').textContent).toMatch(/\d+ m/);
+    expect(screen.getByTestId('rb2-stage-1-fuel').textContent).toContain('g carbs');
+    // Only days that end at a stop get the overnight controls.
+    expect(screen.getByTestId('rb2-stage-1-overnight')).toBeTruthy();
+    expect(screen.queryByTestId('rb2-stage-2-overnight')).toBeNull();
+  });
+
+  it('nudges, renames and removes an overnight stop', () => {
+    const { onStopsChange } = renderPanel({ stops: [{ km: 60, name: 'Camp' }], stages: STAGES });
+    fireEvent.click(screen.getByTestId('rb2-stage-1-stop-up'));
+    expect(onStopsChange).toHaveBeenLastCalledWith([{ km: 65, name: 'Camp' }]);
+    fireEvent.change(screen.getByTestId('rb2-stage-1-stop-name'), { target: { value: 'Hut' } });
+    expect(onStopsChange).toHaveBeenLastCalledWith([{ km: 60, name: 'Hut' }]);
+    fireEvent.click(screen.getByTestId('rb2-stage-1-stop-remove'));
+    expect(onStopsChange).toHaveBeenLastCalledWith([]);
+  });
+
+  it('reports the longest stretch without water once resupply loads', () => {
+    renderPanel({
+      stops: [{ km: 60 }],
+      stages: STAGES,
+      resupply: {
+        0: { status: 'ready', pois: [{ category: 'water', routeDistanceKm: 20 }] },
+      },
+    });
+    expect(screen.getByTestId('rb2-stage-1-resupply-result').textContent).toContain(
+      'longest without water 40.0 km',
+    );
+    expect(screen.getByTestId('rb2-stage-2-resupply')).toBeTruthy();
+  });
+
+  it('exports in the chosen format', () => {
+    const { onExport } = renderPanel({ stops: [{ km: 60 }], stages: STAGES });
+    fireEvent.click(screen.getByTestId('rb2-stages-export-gpx-multi'));
+    expect(onExport).toHaveBeenCalledWith('gpx-multi');
+  });
+});
@@ -149,3 +149,20 @@ describe('StatsOverlay target chip', () => {
     expect(chip).not.toHaveTextContent('Fix');
   });
 });
+
+describe('StatsOverlay personal difficulty', () => {
+  const stats = { distance_km: 60, elevation_gain_m: 900, duration_s: 9000 };
+
+  it('shows the comparison with the rider history when provided', () => {
+    renderWithProps({
+      stats,
+      personalDifficulty: "Harder than 92% of your rides, longest climb you've attempted since June",
+    });
+    expect(screen.getByTestId('rb2-stats-personal')).toHaveTextContent('Harder than 92% of your rides');
+  });
+
+  it('omits the line without a comparison', () => {
+    renderWithProps({ stats, personalDifficulty: null });
+    expect(screen.queryByTestId('rb2-stats-personal')).not.toBeInTheDocument();
+  });
+});
@@ -23,6 +23,8 @@ export { WeatherPanel } from './WeatherPanel';
 export { WindLegend } from './WindLegend';
 export { FuelPanel } from './FuelPanel';
 export { TirePressurePanel } from './TirePressurePanel';
+export { PacingPanel } from './PacingPanel';
+export { StagesPanel } from './StagesPanel';
 export { PersonaDropdown, personaDisplayName } from './PersonaDropdown';
 export { ChatBody } from './ChatBody';
 export { MobileControlSheet, type MobileSheetTab } from './MobileControlSheet';
@@ -150,7 +150,7 @@ describe('useRoutePersistence', () => {
     expect(() => result.current.exportRoute('gpx')).not.toThrow();
   });
 
-  it('importGpx keeps elevation and seeds resampled control points', async () => {
+  it('importRoute keeps elevation and seeds resampled control points', async () => {
     // 11 spread-out points climbing 0→100m over ~11km of longitude change.
     const trkpts = Array.from({ length: 11 }, (_, i) => {
       const lon = (-105 + i * 0.01).toFixed(5);
@@ -165,7 +165,7 @@ describe('useRoutePersistence', () => {
     const { result } = renderHook(() => useRoutePersistence());
     let coords: unknown = null;
     await act(async () => {
-      coords = await result.current.importGpx(file);
+      coords = await result.current.importRoute(file);
     });
     expect(Array.isArray(coords)).toBe(true);
 
@@ -184,6 +184,59 @@ describe('useRoutePersistence', () => {
     expect(first.position).toHaveLength(2);
   });
 
+  it('importRoute loads TCX course cues into the store', async () => {
+    const trackpoint = (lat: number, lon: number) =>
+      `<Trackpoint><Position><LatitudeDegrees>${lat}</LatitudeDegrees>` +
+      `<LongitudeDegrees>${lon}</LongitudeDegrees></Position></Trackpoint>`;
+    const tcx =
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">' +
+      '<Courses><Course><Name>Club TT</Name><Track>' +
+      trackpoint(40, -105) +
+      trackpoint(40.01, -105) +
+      trackpoint(40.01, -105.01) +
+      '</Track><CoursePoint><Name>Left</Name><Position><LatitudeDegrees>40.01</LatitudeDegrees>' +
+      '<LongitudeDegrees>-105</LongitudeDegrees></Position><PointType>Left</PointType>' +
+      '<Notes>Turn left onto Main St.</Notes></CoursePoint></Course></Courses></TrainingCenterDatabase>';
+    const file = new File([tcx], 'club-tt.tcx', { type: 'application/vnd.garmin.tcx+xml' });
+
+    const { result } = renderHook(() => useRoutePersistence());
+    await act(async () => {
+      await result.current.importRoute(file);
+    });
+
+    const s = useRouteBuilderStore.getState();
+    expect(s.routeName).toBe('Club TT');
+    expect(s.routingSource).toBe('imported');
+    expect(s.routeCues).toHaveLength(1);
+    expect(s.routeCues[0]).toMatchObject({
+      direction: 'left',
+      instruction: 'Turn left onto Main St.',
+      coordinate: [-105, 40.01],
+    });
+    expect(s.routeStats.distance_km).toBeGreaterThan(1.5);
+  });
+
+  it('save sends the route cues so they survive a reload', async () => {
+    seedRoute();
+    const cue = {
+      type: 15,
+      direction: 'left',
+      instruction: 'Turn left',
+      streetNames: [],
+      distance_km: 1,
+      coordinate: [-105.05, 40.05],
+    };
+    useRouteBuilderStore.getState().setRouteCues([cue]);
+    vi.mocked(routesService.saveRoute).mockResolvedValue({ id: 'route-c' } as any);
+    const { result } = renderHook(() => useRoutePersistence());
+    await act(async () => {
+      await result.current.save();
+    });
+    const call = vi.mocked(routesService.saveRoute).mock.calls[0][0] as Record<string, unknown>;
+    expect(call.cues).toEqual([cue]);
+  });
+
   it('shareRoute returns not_saved when the route has no id yet', async () => {
     const { result } = renderHook(() => useRoutePersistence());
     let res: any;
@@ -35,5 +35,20 @@ export type {
   UseUserLocationOptions,
   UserLocationStatus,
 } from './useUserLocation';
+export { usePacingPlan } from './usePacingPlan';
+export type { UsePacingPlanReturn, PacingSettings } from './usePacingPlan';
+export { useRouteStages, RESUPPLY_CATEGORIES } from './useRouteStages';
+export type {
+  UseRouteStagesReturn,
+  StageExportFormat,
+  StageResupply,
+} from './useRouteStages';
+export { useOfflineRoutePack, ROUTE_PACK_DEBOUNCE_MS } from './useOfflineRoutePack';
+export {
+  usePersonalDifficulty,
+  loadPersonalHistory,
+  resetPersonalDifficultyCache,
+} from './usePersonalDifficulty';
+export type { PersonalHistory } from './usePersonalDifficulty';
 export { useSpeedProfile, loadSpeedProfile, resetSpeedProfileCache } from './useSpeedProfile';
 export type { SpeedProfile } from './useSpeedProfile';
@@ -24,6 +24,7 @@ import {
   resamplePositionsFromGeometry,
 } from './waypointResample';
 import type { Coordinate } from './types';
+import { mapTileTemplates, type TileTemplateMap } from '../../lib/offline';
 
 /** Viewport update debounce — too-frequent writes caused re-render jank in v1. */
 export const VIEWPORT_DEBOUNCE_MS = 500;
@@ -50,6 +51,8 @@ export interface MapController {
     bounds: [[number, number], [number, number]],
     opts?: { padding?: number; duration?: number; maxZoom?: number },
   ) => void;
+  /** The underlying mapbox-gl Map (react-map-gl's MapRef exposes it). */
+  getMap?: () => unknown;
 }
 
 export interface UseMapInteractionReturn {
@@ -63,6 +66,8 @@ export interface UseMapInteractionReturn {
   flyTo: (coord: Coordinate, zoom?: number) => void;
   /** Frame a set of coordinates (e.g. a freshly imported GPX track). */
   fitBounds: (coords: Coordinate[]) => void;
+  /** Tile URL templates of the live basemap, for offline corridor caching. */
+  getTileTemplates: () => string[];
   handleMapClick: (coord: Coordinate) => Promise<MapActionResult>;
   handleWaypointDrag: (
     waypointIndex: number,
@@ -172,6 +177,11 @@ export function useMapInteraction(): UseMapInteractionReturn {
     setLocalViewport({ longitude: coord[0], latitude: coord[1], zoom: targetZoom });
   }, []);
 
+  const getTileTemplates = useCallback(
+    () => mapTileTemplates(mapControllerRef.current?.getMap?.() as TileTemplateMap | undefined),
+    [],
+  );
+
   const fitBounds = useCallback((coords: Coordinate[]) => {
     if (!coords || coords.length === 0) return;
     let minLng = Infinity;
@@ -515,6 +525,7 @@ export function useMapInteraction(): UseMapInteractionReturn {
     lastError,
     setViewport,
     registerMap,
+    getTileTemplates,
     flyTo,
     fitBounds,
     handleMapClick,
@@ -0,0 +1,75 @@
+/**
+ * useOfflineRoutePack — keep the route being ridden usable without signal.
+ *
+ * Once a saved route is open and its elevation profile has loaded, snapshots
+ * geometry, cues, stats and profile as the offline route pack and caches the
+ * basemap tiles along its corridor (src/lib/offline). Debounced, online-only,
+ * and skipped when the same geometry was already packed. Unsaved drafts are
+ * not packed — the store's own persistence already covers them.
+ */
+
+import { useEffect, useRef } from 'react';
+import { useRouteBuilderStore } from '../../stores/routeBuilderStore';
+import {
+  cacheCorridorTiles,
+  geometryFingerprint,
+  isOffline,
+  saveRoutePack,
+} from '../../lib/offline';
+import type { ElevationPoint } from './useRouteAnalysis';
+
+export const ROUTE_PACK_DEBOUNCE_MS = 3000;
+
+const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN as string | undefined;
+
+export function useOfflineRoutePack(
+  savedRouteId: string | null,
+  elevationProfile: ElevationPoint[] | null,
+  getTileTemplates: () => string[],
+): void {
+  const routeGeometry = useRouteBuilderStore((s) => s.routeGeometry);
+  const routeName = useRouteBuilderStore((s) => s.routeName);
+  const routeDescription = useRouteBuilderStore((s) => s.routeDescription);
+  const routeStats = useRouteBuilderStore((s) => s.routeStats);
+  const routeCues = useRouteBuilderStore((s) => s.routeCues);
+  const waypoints = useRouteBuilderStore((s) => s.waypoints);
+  const packedRef = useRef<string | null>(null);
+
+  useEffect(() => {
+    const coordinates = routeGeometry?.coordinates as Array<[number, number]> | undefined;
+    if (!savedRouteId || !coordinates || coordinates.length < 2 || !elevationProfile) return;
+    const fingerprint = `${savedRouteId}|${geometryFingerprint(coordinates)}`;
+    if (packedRef.current === fingerprint) return;
+
+    const timer = setTimeout(() => {
+      if (isOffline()) return;
+      packedRef.current = fingerprint;
+      void saveRoutePack({
+        routeId: savedRouteId,
+        name: routeName || 'Route',
+        description: routeDescription || '',
+        geometry: { type: 'LineString', coordinates },
+        cues: (routeCues as unknown[] | null) ?? null,
+        stats: {
+          distance_km: routeStats?.distance_km ?? 0,
+          elevation_gain_m: routeStats?.elevation_gain_m ?? 0,
+          duration_s: routeStats?.duration_s ?? 0,
+        },
+        waypoints: (waypoints as unknown[]) ?? [],
+        elevationProfile,
+      });
+      void cacheCorridorTiles(getTileTemplates(), coordinates, { accessToken: MAPBOX_TOKEN });
+    }, ROUTE_PACK_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [
+    savedRouteId,
+    routeGeometry,
+    routeName,
+    routeDescription,
+    routeStats,
+    routeCues,
+    waypoints,
+    elevationProfile,
+    getTileTemplates,
+  ]);
+}
@@ -0,0 +1,82 @@
+/**
+ * usePacingPlan — Route Builder 2.0 pacing plan for the current route.
+ *
+ * Derives the physics-based plan (src/utils/pacingPlan.ts) from the rider's
+ * pacing settings in the store plus the live geometry, elevation profile and
+ * (once WeatherPanel has loaded it) forecast wind. The result is mirrored into
+ * the store's transient `pacingPlan` so FIT export — which runs in
+ * useRoutePersistence, away from the elevation/weather hooks — can stamp the
+ * course with the plan's split times for a head unit's virtual partner.
+ */
+
+import { useEffect, useMemo } from 'react';
+import { useRouteBuilderStore } from '../../stores/routeBuilderStore';
+import {
+  buildPacingPlan,
+  type PacingMode,
+  type PacingPlan,
+  type PacingWind,
+} from '../../utils/pacingPlan';
+import type { ElevationPoint } from './useRouteAnalysis';
+
+export interface PacingSettings {
+  mode: PacingMode;
+  targetMinutes: number | null;
+  powerCapW: number | null;
+  riderMassKg: number;
+  cdA: number;
+}
+
+export interface UsePacingPlanReturn {
+  plan: PacingPlan | null;
+  settings: PacingSettings | null;
+  setSettings: (settings: PacingSettings | null) => void;
+}
+
+export function usePacingPlan(
+  elevationProfile: ElevationPoint[] | null,
+  wind: PacingWind | null,
+): UsePacingPlanReturn {
+  const geometry = useRouteBuilderStore(
+    (s) => s.routeGeometry,
+  ) as { coordinates?: Array<[number, number] | [number, number, number]> } | null;
+  const settings = useRouteBuilderStore((s) => s.pacingSettings) as PacingSettings | null;
+  const setSettings = useRouteBuilderStore((s) => s.setPacingSettings) as (
+    settings: PacingSettings | null,
+  ) => void;
+  const setPacingPlan = useRouteBuilderStore((s) => s.setPacingPlan) as (
+    plan: PacingPlan | null,
+  ) => void;
+
+  const windSpeed = wind?.speedKmh;
+  const windDegrees = wind?.degrees;
+
+  const plan = useMemo(() => {
+    const coords = geometry?.coordinates;
+    if (!settings || !Array.isArray(coords) || coords.length < 2) return null;
+    try {
+      return buildPacingPlan({
+        coordinates: coords,
+        elevationProfile,
+        rider: { riderMassKg: settings.riderMassKg, cdA: settings.cdA },
+        target: {
+          mode: settings.mode,
+          targetMinutes: settings.targetMinutes,
+          powerCapW: settings.powerCapW,
+        },
+        wind:
+          windSpeed != null && windDegrees != null
+            ? { speedKmh: windSpeed, degrees: windDegrees }
+            : null,
+      });
+    } catch {
+      return null;
+    }
+  }, [geometry, elevationProfile, settings, windSpeed, windDegrees]);
+
+  useEffect(() => {
+    setPacingPlan(plan);
+  }, [plan, setPacingPlan]);
+
+  return { plan, settings, setSettings };
+}
@@ -0,0 +1,151 @@
+/**
+ * usePersonalDifficulty — how the route on screen compares with the rider's
+ * own ride history ("Harder than 92% of your rides, longest climb you've
+ * attempted since June").
+ *
+ * History is two direct Supabase reads (RLS): recent cycling activities for
+ * the distance / climbing / RSS distributions, and climb-segment traversals
+ * (training_segment_rides joined to training_segments) for climb size and
+ * grade. It is fetched once per rider and cached at module scope — the
+ * comparison itself is pure (src/utils/personalDifficulty.ts) and re-runs as
+ * the route is edited. `resetPersonalDifficultyCache` exists for tests.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { supabase } from '../../lib/supabase';
+import { isCyclingActivity } from '../../utils/sportType';
+import { estimateTSS } from '../../utils/trainingPlans';
+import {
+  comparePersonalDifficulty,
+  routeDifficultyMetrics,
+  type HistoryClimb,
+  type HistoryRide,
+  type PersonalDifficulty,
+} from '../../utils/personalDifficulty';
+import type { ElevationPoint } from './useRouteAnalysis';
+
+const RIDE_LIMIT = 1000;
+const CLIMB_LIMIT = 2000;
+
+export interface PersonalHistory {
+  rides: HistoryRide[];
+  climbs: HistoryClimb[];
+}
+
+interface ActivityRow {
+  start_date: string;
+  distance: number | null;
+  total_elevation_gain: number | null;
+  moving_time: number | null;
+  rss: number | null;
+  tss: number | null;
+  type: string | null;
+  sport_type: string | null;
+}
+
+interface ClimbRow {
+  ridden_at: string;
+  seg: {
+    elevation_gain_meters: number | null;
+    distance_meters: number | null;
+    avg_gradient: number | null;
+    terrain_type: string | null;
+  } | null;
+}
+
+function toHistoryRide(a: ActivityRow): HistoryRide | null {
+  const distanceKm = (a.distance ?? 0) / 1000;
+  if (!(distanceKm > 0)) return null;
+  const elevationGainM = a.total_elevation_gain ?? 0;
+  const rss =
+    a.rss ??
+    a.tss ??
+    (a.moving_time ? estimateTSS(a.moving_time / 60, distanceKm, elevationGainM, 'endurance') : null);
+  return { date: a.start_date, distanceKm, elevationGainM, rss };
+}
+
+function toHistoryClimb(r: ClimbRow): HistoryClimb | null {
+  const seg = r.seg;
+  if (!seg || seg.terrain_type !== 'climb') return null;
+  return {
+    date: r.ridden_at,
+    gainM: Number(seg.elevation_gain_meters) || 0,
+    lengthKm: (Number(seg.distance_meters) || 0) / 1000,
+    avgGradePct: Number(seg.avg_gradient) || 0,
+  };
+}
+
+const cache = new Map<string, Promise<PersonalHistory>>();
+
+/** Fetch (or reuse) the rider's comparison history. Resolves empty on error. */
+export function loadPersonalHistory(userId: string): Promise<PersonalHistory> {
+  let pending = cache.get(userId);
+  if (!pending) {
+    pending = (async () => {
+      const [activities, traversals] = await Promise.all([
+        supabase
+          .from('activities')
+          .select('start_date, distance, total_elevation_gain, moving_time, rss, tss, type, sport_type')
+          .eq('user_id', userId)
+          .is('duplicate_of', null)
+          .order('start_date', { ascending: false })
+          .limit(RIDE_LIMIT),
+        supabase
+          .from('training_segment_rides')
+          .select('ridden_at, seg:training_segments!inner(elevation_gain_meters, distance_meters, avg_gradient, terrain_type)')
+          .eq('user_id', userId)
+          .order('ridden_at', { ascending: false })
+          .limit(CLIMB_LIMIT),
+      ]);
+      const rides = ((activities.data ?? []) as ActivityRow[])
+        .filter((a) => isCyclingActivity(a))
+        .map(toHistoryRide)
+        .filter((r): r is HistoryRide => r !== null);
+      const climbs = ((traversals.data ?? []) as unknown as ClimbRow[])
+        .map(toHistoryClimb)
+        .filter((c): c is HistoryClimb => c !== null);
+      return { rides, climbs };
+    })().catch(() => {
+      cache.delete(userId);
+      return { rides: [], climbs: [] };
+    });
+    cache.set(userId, pending);
+  }
+  return pending;
+}
+
+export function resetPersonalDifficultyCache(): void {
+  cache.clear();
+}
+
+export function usePersonalDifficulty(
+  userId: string | null,
+  stats: { distance_km: number; elevation_gain_m: number; duration_s: number } | null,
+  elevationProfile: ElevationPoint[] | null,
+): PersonalDifficulty | null {
+  const [history, setHistory] = useState<PersonalHistory | null>(null);
+
+  useEffect(() => {
+    if (!userId) {
+      setHistory(null);
+      return;
+    }
+    let cancelled = false;
+    void loadPersonalHistory(userId).then((h) => {
+      if (!cancelled) setHistory(h);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const distanceKm = stats?.distance_km ?? 0;
+  const elevationGainM = stats?.elevation_gain_m ?? 0;
+  const durationS = stats?.duration_s ?? null;
+
+  return useMemo(() => {
+    if (!history || !(distanceKm > 0)) return null;
+    const metrics = routeDifficultyMetrics({ distanceKm, elevationGainM, durationS, elevationProfile });
+    return comparePersonalDifficulty(metrics, history.rides, history.climbs);
+  }, [history, distanceKm, elevationGainM, durationS, elevationProfile]);
+}
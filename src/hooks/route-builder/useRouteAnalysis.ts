@@ -9,6 +9,7 @@
 import { useCallback, useEffect, useMemo, useState } from 'react';
 import { useRouteBuilderStore } from '../../stores/routeBuilderStore';
 import { getElevationData } from '../../utils/elevation';
+import { loadPackedElevation } from '../../lib/offline';
 import { trackRb2 } from '../../features/route-builder-v2/telemetry/trackRb2';
 
 export type POILayer =
@@ -82,7 +83,8 @@ export function useRouteAnalysis(): UseRouteAnalysisReturn {
    * firing per geometry change during rapid editing (drag, drag, click)
    * queues fetches for geometries the user has already moved past. Only
    * the settled geometry is fetched; the stale profile stays on screen
-   * until the fresh one lands.
+   * until the fresh one lands. Without network it falls back to the
+   * offline route pack's profile when the geometry matches.
    */
   useEffect(() => {
     let cancelled = false;
@@ -96,7 +98,8 @@ export function useRouteAnalysis(): UseRouteAnalysisReturn {
           const data = await getElevationData(coordinates);
           if (cancelled) return;
           if (!data || !Array.isArray(data)) {
-            setElevationProfile(null);
+            const packed = await loadPackedElevation(coordinates);
+            if (!cancelled) setElevationProfile(packed);
             return;
           }
           const profile: ElevationPoint[] = data.map(
@@ -108,7 +111,11 @@ export function useRouteAnalysis(): UseRouteAnalysisReturn {
           setElevationProfile(profile);
         } catch (e) {
           if (cancelled) return;
-          setElevationProfile(null);
+          // Offline: the route being ridden carries its profile in the route pack.
+          const packed = await loadPackedElevation(coordinates);
+          if (cancelled) return;
+          setElevationProfile(packed);
+          if (packed) return;
           const message = e instanceof Error ? e.message : String(e);
           setLastError(message);
         }
@@ -2,45 +2,25 @@
  * useRoutePersistence — Route Builder 2.0 save / load / export hook.
  *
  * Thin wrapper around v1's `routesService` for save/load and
- * `routeExport` for GPX/TCX/FIT serialization. S2 rewire: drops the
- * executor-type imports; otherwise behavior is the same as P1.2 since
- * persistence never went through the executor adapter.
+ * `routeExport` / `routeImport` for GPX/TCX/FIT serialization. S2 rewire:
+ * drops the executor-type imports; otherwise behavior is the same as P1.2
+ * since persistence never went through the executor adapter.
  */
 import { useCallback, useState } from 'react';
 import { useRouteBuilderStore } from '../../stores/routeBuilderStore';
 import * as routesService from '../../utils/routesService';
 import { exportAndDownloadRoute, generateFIT } from '../../utils/routeExport';
 import type { RouteData } from '../../utils/routeExport';
+import { pacingElapsedForCoordinates, type PacingPlan } from '../../utils/pacingPlan';
 import { wahooService } from '../../utils/wahooService';
 import { getElevationData } from '../../utils/elevation';
 import { waypointCoordsForGeometry } from './routeSnapshot';
-import { parseGpxFile } from '../../utils/gpxParser.js';
+import { controlPointsFromImport, importRouteFile } from '../../utils/routeImport';
 import { garminService } from '../../utils/garminService';
 import { trackRb2 } from '../../features/route-builder-v2/telemetry/trackRb2';
 import type { Coordinate } from '../../types/geo';
-
-interface GpxTrackPoint {
-  latitude: number;
-  longitude: number;
-  elevation?: number | null;
-  distance_m?: number | null;
-}
-
-interface GpxParseResult {
-  metadata?: { name?: string };
-  summary?: {
-    totalDistance_km?: number;
-    totalAscent?: number;
-    totalMovingTime?: number;
-    totalElapsedTime?: number;
-  };
-  trackPoints?: GpxTrackPoint[];
-}
-
-const parseGpx = parseGpxFile as (
-  content: string,
-  fileName?: string,
-) => Promise<GpxParseResult>;
+import { loadRoutePack } from '../../lib/offline';
+import type { StageStop } from '../../utils/routeStages';
 
 interface SavedRouteRow {
   id: string;
@@ -51,6 +31,8 @@ interface SavedRouteRow {
   elevation_gain_m?: number | null;
   estimated_duration_minutes?: number | null;
   waypoints?: unknown[] | null;
+  cues?: unknown[] | null;
+  stage_stops?: StageStop[] | null;
   is_owner?: boolean;
 }
 
@@ -150,11 +132,12 @@ export interface UseRoutePersistenceReturn {
   deleteRoute: (id: string) => Promise<boolean>;
   exportRoute: (format: ExportFormat) => Promise<void>;
   /**
-   * Parse a .gpx file and load it as the current route. Returns the track
+   * Parse a .gpx / .tcx / .fit course file and load it as the current route
+   * (geometry, elevation, cues, control points). Returns the track
    * coordinates on success (so the caller can frame the camera) or null on
    * failure (with `lastError` set).
    */
-  importGpx: (file: File) => Promise<Coordinate[] | null>;
+  importRoute: (file: File) => Promise<Coordinate[] | null>;
   /** True while a device push is in flight. */
   isPushingToDevice: boolean;
   /** Whether the user's Garmin account is connected (null = not yet checked). */
@@ -196,7 +179,10 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
   const trainingGoal = useRouteBuilderStore((s) => s.trainingGoal);
   const routeType = useRouteBuilderStore((s) => s.routeType);
   const routeProfile = useRouteBuilderStore((s) => s.routeProfile);
+  const pacingPlan = useRouteBuilderStore((s) => s.pacingPlan) as PacingPlan | null;
+  const stageStops = useRouteBuilderStore((s) => s.stageStops) as StageStop[] | null;
   const setRouteFromStore = useRouteBuilderStore((s) => s.setRoute);
+  const setStageStops = useRouteBuilderStore((s) => s.setStageStops);
   const setRouteName = useRouteBuilderStore((s) => s.setRouteName);
   const setRouteDescription = useRouteBuilderStore((s) => s.setRouteDescription);
 
@@ -233,6 +219,8 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
           surface_type: routeProfile,
           generated_by: 'rb2',
           waypoints: waypoints?.length ? waypoints : null,
+          cues: routeCues,
+          stage_stops: stageStops?.length ? stageStops : null,
         };
         const saved = await saveRoute(routeData);
         const isNew = !savedRouteId;
@@ -255,6 +243,7 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
     },
     [
       routeGeometry,
+      routeCues,
       routeName,
       routeDescription,
       routeStats,
@@ -262,6 +251,7 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
       trainingGoal,
       routeProfile,
       waypoints,
+      stageStops,
       savedRouteId,
       setRouteName,
       setRouteDescription,
@@ -290,8 +280,10 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
               : 0,
           },
           waypoints: route.waypoints ?? [],
+          cues: route.cues ?? null,
           source: 'loaded',
         });
+        setStageStops(Array.isArray(route.stage_stops) ? route.stage_stops : null);
         // A shared route someone else owns loads as an unsaved copy: keeping
         // its id would make Save attempt an update the API rejects.
         const isOwner = route.is_owner !== false;
@@ -299,6 +291,24 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
         trackRb2('route_loaded', { route_id: route.id, is_owner: isOwner });
         return true;
       } catch (e) {
+        // Without network, fall back to the offline pack of the route being
+        // ridden (useOfflineRoutePack) when it is this route.
+        const pack = await loadRoutePack();
+        if (pack?.routeId === id) {
+          setRouteFromStore({
+            geometry: pack.geometry,
+            name: pack.name,
+            description: pack.description,
+            stats: pack.stats,
+            waypoints: pack.waypoints,
+            cues: pack.cues,
+            source: 'loaded',
+          });
+          setStageStops(null);
+          setSavedRouteId(pack.routeId);
+          trackRb2('route_loaded', { route_id: pack.routeId, is_owner: true, offline: true });
+          return true;
+        }
         const message = e instanceof Error ? e.message : String(e);
         setLastError(message);
         return false;
@@ -306,7 +316,7 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
         setIsLoading(false);
       }
     },
-    [setRouteFromStore],
+    [setRouteFromStore, setStageStops],
   );
 
   const exportRoute = useCallback(
@@ -323,6 +333,11 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
             name: routeName ?? 'Untitled Route',
             coordinates,
             cues: (routeCues as RouteData['cues']) ?? null,
+            // Only FIT carries per-record times a virtual partner can ride.
+            elapsedSeconds:
+              format === 'fit' && pacingPlan
+                ? pacingElapsedForCoordinates(pacingPlan, coordinates)
+                : undefined,
             distanceKm: routeStats?.distance_km ?? undefined,
             elevationGainM: routeStats?.elevation_gain_m ?? undefined,
             waypoints: Array.isArray(waypoints)
@@ -348,7 +363,7 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
         trackRb2('route_export_failed', { format, error_message: message.slice(0, 200) });
       }
     },
-    [routeGeometry, routeCues, routeName, routeStats, waypoints, savedRouteId],
+    [routeGeometry, routeCues, routeName, routeStats, waypoints, savedRouteId, pacingPlan],
   );
 
   const listSavedRoutes = useCallback(async (): Promise<SavedRouteSummary[]> => {
@@ -383,65 +398,36 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
     [],
   );
 
-  const importGpx = useCallback(
+  const importRoute = useCallback(
     async (file: File): Promise<Coordinate[] | null> => {
       setIsLoading(true);
       setLastError(null);
       try {
-        // Blob.text() is missing on older Safari (and jsdom) — fall back to
-        // FileReader.
-        const text =
-          typeof file.text === 'function'
-            ? await file.text()
-            : await new Promise<string>((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = () => resolve(String(reader.result));
-                reader.onerror = () => reject(reader.error ?? new Error('File read failed'));
-                reader.readAsText(file);
-              });
-        const parsed = await parseGpx(text, file.name);
-        const points = parsed.trackPoints ?? [];
-        if (points.length < 2) {
-          setLastError('GPX file has too few track points to build a route.');
-          trackRb2('route_import_failed', { reason: 'too_few_points' });
-          return null;
-        }
-        // GPX track points are {latitude, longitude, elevation?}; convert at
-        // this seam to canonical [lng, lat] (T1.2 coordinate contract),
-        // keeping per-point elevation as a GeoJSON third element when the
-        // file carries it — it flows through to the profile and re-export.
-        const coordinates: Coordinate[] = points.map(
-          (p) => [p.longitude, p.latitude] as Coordinate,
+        const imported = await importRouteFile(file);
+        // Course files carry [lng, lat] (+ per-point elevation as a GeoJSON
+        // third element when present) — it flows through to the profile and
+        // re-export. The returned frame coords stay strictly 2-tuple.
+        const geometryCoordinates = imported.coordinates;
+        const coordinates: Coordinate[] = geometryCoordinates.map(
+          (c) => [c[0], c[1]] as Coordinate,
         );
-        const hasElevation = points.some((p) => typeof p.elevation === 'number');
-        const geometryCoordinates = hasElevation
-          ? points.map(
-              (p) =>
-                [
-                  p.longitude,
-                  p.latitude,
-                  typeof p.elevation === 'number' ? p.elevation : 0,
-                ] as [number, number, number],
-            )
-          : coordinates;
-        const summary = parsed.summary ?? {};
-        const stats = {
-          distance_km: summary.totalDistance_km ?? 0,
-          elevation_gain_m: summary.totalAscent ?? 0,
-          duration_s: summary.totalMovingTime || summary.totalElapsedTime || 0,
-        };
-        const name =
-          parsed.metadata?.name?.trim() ||
-          file.name.replace(/\.gpx$/i, '').trim() ||
-          'Imported Route';
-        // Seed control points along the whole track (same resampling as
-        // generated routes) so an edit re-routes one leg, not the entire
-        // import between its two endpoints.
-        const controlPoints = waypointCoordsForGeometry(geometryCoordinates);
+        // Prefer the file's own start/via/end marks when they sit on the
+        // track (a route exported from here); otherwise seed control points
+        // along the whole track (same resampling as generated routes) so an
+        // edit re-routes one leg, not the entire import between its two
+        // endpoints.
+        const controlPoints =
+          controlPointsFromImport(imported) ?? waypointCoordsForGeometry(geometryCoordinates);
         setRouteFromStore({
           geometry: { type: 'LineString', coordinates: geometryCoordinates },
-          name,
-          stats,
+          name: imported.name,
+          description: imported.description ?? '',
+          stats: {
+            distance_km: imported.distanceKm,
+            elevation_gain_m: imported.elevationGainM,
+            elevation_loss_m: imported.elevationLossM,
+            duration_s: 0,
+          },
           waypoints: controlPoints.map((position, i) => ({
             id: `wp-${i}`,
             position,
@@ -449,12 +435,19 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
               i === 0 ? 'start' : i === controlPoints.length - 1 ? 'end' : 'waypoint',
             name: '',
           })),
+          cues: imported.cues,
           source: 'imported',
         });
+        setStageStops(null);
         // Imported routes aren't persisted yet — clear any prior saved id so
         // the next Save creates a new row rather than overwriting.
         setSavedRouteId(null);
-        trackRb2('route_imported', { point_count: points.length, source: 'gpx' });
+        trackRb2('route_imported', {
+          point_count: coordinates.length,
+          source: imported.format,
+          cue_count: imported.cues?.length ?? 0,
+          has_elevation: imported.hasElevation,
+        });
         return coordinates;
       } catch (e) {
         const message = e instanceof Error ? e.message : String(e);
@@ -465,7 +458,7 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
         setIsLoading(false);
       }
     },
-    [setRouteFromStore],
+    [setRouteFromStore, setStageStops],
   );
 
   const checkGarminConnection = useCallback(async (): Promise<boolean> => {
@@ -575,6 +568,7 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
         name: routeName ?? 'Untitled Route',
         coordinates,
         cues: (routeCues as RouteData['cues']) ?? null,
+        elapsedSeconds: pacingPlan ? pacingElapsedForCoordinates(pacingPlan, coordinates) : undefined,
         distanceKm: routeStats?.distance_km ?? undefined,
         elevationGainM: routeStats?.elevation_gain_m ?? undefined,
         elevationLossM: routeStats?.elevation_loss_m ?? undefined,
@@ -633,7 +627,7 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
     } finally {
       setIsPushingToDevice(false);
     }
-  }, [routeGeometry, routeCues, routeName, routeDescription, routeStats, savedRouteId]);
+  }, [routeGeometry, routeCues, routeName, routeDescription, routeStats, savedRouteId, pacingPlan]);
 
   const shareRoute = useCallback(async (): Promise<ShareResult> => {
     if (!savedRouteId) {
@@ -680,7 +674,7 @@ export function useRoutePersistence(): UseRoutePersistenceReturn {
     listSavedRoutes,
     deleteRoute,
     exportRoute,
-    importGpx,
+    importRoute,
     isPushingToDevice,
     checkGarminConnection,
     pushToGarmin,
@@ -0,0 +1,190 @@
+/**
+ * useRouteStages — Route Builder 2.0 multi-day stages for the current route.
+ *
+ * Overnight stops live in the store (`stageStops`, saved with the route);
+ * everything else is derived: the per-stage distance / climbing / ETA / fuel
+ * plan comes from src/utils/routeStages.ts, resupply POIs are looked up on
+ * demand per stage (Overpass is slow and rate limited, so never eagerly), and
+ * export writes the stages as separate files or one multi-track GPX.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useRouteBuilderStore } from '../../stores/routeBuilderStore';
+import { queryPOIsAlongRoute } from '../../utils/routePOIService';
+import {
+  downloadMultiTrackGPX,
+  exportAndDownloadRoute,
+  type RouteData,
+} from '../../utils/routeExport';
+import {
+  buildStages,
+  planStages,
+  suggestStageStops,
+  suggestedDayCount,
+  type ResupplyPoi,
+  type StageCoordinate,
+  type StagePlan,
+  type StageStop,
+} from '../../utils/routeStages';
+import { trackRb2 } from '../../features/route-builder-v2/telemetry/trackRb2';
+import { withElevations } from './useRoutePersistence';
+import type { ElevationPoint } from './useRouteAnalysis';
+
+/** Categories that count as resupply on a multi-day trip. */
+export const RESUPPLY_CATEGORIES = ['water', 'food', 'bike_shop'];
+
+export type StageExportFormat = 'gpx-multi' | 'gpx' | 'fit';
+
+export interface StageResupply {
+  status: 'loading' | 'ready' | 'error';
+  /** POIs with routeDistanceKm along the FULL route. */
+  pois: Array<ResupplyPoi & { name?: string }>;
+}
+
+export interface UseRouteStagesReturn {
+  stops: StageStop[] | null;
+  stages: StagePlan[];
+  /** Days a fresh plan would suggest for this route. */
+  suggestedDays: number;
+  setStops: (stops: StageStop[] | null) => void;
+  /** Replace the stops with an even-effort split into `days`. */
+  suggest: (days: number) => void;
+  resupply: Record<number, StageResupply>;
+  findResupply: (stageIndex: number) => Promise<void>;
+  exportStages: (format: StageExportFormat) => Promise<void>;
+}
+
+export function useRouteStages(
+  elevationProfile: ElevationPoint[] | null,
+  options: {
+    speedProfile?: object | null;
+    surfaceDistribution?: Record<string, number>;
+  } = {},
+): UseRouteStagesReturn {
+  const geometry = useRouteBuilderStore(
+    (s) => s.routeGeometry,
+  ) as { coordinates?: StageCoordinate[] } | null;
+  const routeStats = useRouteBuilderStore((s) => s.routeStats) as {
+    distance_km?: number;
+    elevation_gain_m?: number;
+  } | null;
+  const routeName = useRouteBuilderStore((s) => s.routeName) as string | null;
+  const routeProfile = useRouteBuilderStore((s) => s.routeProfile) as string | undefined;
+  const stops = useRouteBuilderStore((s) => s.stageStops) as StageStop[] | null;
+  const setStops = useRouteBuilderStore((s) => s.setStageStops) as (
+    stops: StageStop[] | null,
+  ) => void;
+
+  const { speedProfile, surfaceDistribution } = options;
+  const coordinates = geometry?.coordinates;
+  const totalKm = routeStats?.distance_km ?? 0;
+  const totalGainM = routeStats?.elevation_gain_m ?? 0;
+
+  const stages = useMemo(() => {
+    if (!stops || !Array.isArray(coordinates) || coordinates.length < 2) return [];
+    try {
+      return planStages(coordinates, elevationProfile, stops, {
+        speedProfile,
+        surfaceDistribution,
+        routeProfile,
+        totalGainM,
+      });
+    } catch {
+      return [];
+    }
+  }, [stops, coordinates, elevationProfile, speedProfile, surfaceDistribution, routeProfile, totalGainM]);
+
+  // Resupply results are per stage bounds; any edit to the stops or the
+  // route invalidates them.
+  const [resupply, setResupply] = useState<Record<number, StageResupply>>({});
+  useEffect(() => {
+    setResupply({});
+  }, [stops, coordinates]);
+
+  const suggest = useCallback(
+    (days: number) => {
+      setStops(suggestStageStops(totalKm, days, elevationProfile));
+      trackRb2('stages_suggested', { days, distance_km: totalKm });
+    },
+    [totalKm, elevationProfile, setStops],
+  );
+
+  const findResupply = useCallback(
+    async (stageIndex: number) => {
+      const stage = stages[stageIndex];
+      if (!stage) return;
+      setResupply((r) => ({ ...r, [stageIndex]: { status: 'loading', pois: [] } }));
+      try {
+        const found = (await queryPOIsAlongRoute(
+          stage.coordinates as [number, number][],
+          [...RESUPPLY_CATEGORIES],
+        )) as Array<{
+          category: string;
+          name?: string;
+          routeDistanceKm: number;
+        }>;
+        const pois = found.map((p) => ({
+          category: p.category,
+          name: p.name,
+          routeDistanceKm: Math.round((stage.startKm + p.routeDistanceKm) * 10) / 10,
+        }));
+        setResupply((r) => ({ ...r, [stageIndex]: { status: 'ready', pois } }));
+        trackRb2('stages_resupply_loaded', { stage: stageIndex + 1, poi_count: pois.length });
+      } catch {
+        setResupply((r) => ({ ...r, [stageIndex]: { status: 'error', pois: [] } }));
+      }
+    },
+    [stages],
+  );
+
+  const exportStages = useCallback(
+    async (format: StageExportFormat) => {
+      if (!stops || !Array.isArray(coordinates) || coordinates.length < 2) return;
+      // Slice again from the elevation-enriched geometry so every stage file
+      // carries <ele> / altitude, as the single-route export does.
+      const enriched = (await withElevations(
+        coordinates as [number, number][] | [number, number, number][],
+      )) as StageCoordinate[];
+      const name = routeName || 'Untitled Route';
+      const tracks: RouteData[] = buildStages(enriched, elevationProfile, stops, totalGainM).map(
+        (stage) => {
+          const end = stage.coordinates[stage.coordinates.length - 1];
+          return {
+            name: `${name} – Day ${stage.index + 1}`,
+            coordinates: stage.coordinates as RouteData['coordinates'],
+            distanceKm: stage.distanceKm,
+            elevationGainM: stage.elevationGainM,
+            waypoints: stage.overnight
+              ? [
+                  {
+                    lng: end[0],
+                    lat: end[1],
+                    name: stage.overnight.name || `Night ${stage.index + 1}`,
+                    type: 'poi' as const,
+                  },
+                ]
+              : undefined,
+          };
+        },
+      );
+      if (format === 'gpx-multi') {
+        downloadMultiTrackGPX(name, tracks);
+      } else {
+        for (const track of tracks) exportAndDownloadRoute(track, format);
+      }
+      trackRb2('stages_exported', { format, stage_count: tracks.length });
+    },
+    [stops, coordinates, routeName, elevationProfile, totalGainM],
+  );
+
+  return {
+    stops,
+    stages,
+    suggestedDays: suggestedDayCount(totalKm),
+    setStops,
+    suggest,
+    resupply,
+    findResupply,
+    exportStages,
+  };
+}
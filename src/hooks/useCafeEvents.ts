@@ -0,0 +1,195 @@
+/**
+ * useCafeEvents Hook
+ * Café group rides — dated events with a meeting point, an attached shared
+ * route, pace groups and RSVPs — via api/cafe-events.
+ *
+ * fetchMyCafeEvents() feeds the training calendar with events from every
+ * café the rider belongs to.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+
+// ── Types ────────────────────────────────────────────────────
+
+export type RsvpStatus = 'going' | 'maybe' | 'not_going';
+
+export interface PaceGroup {
+  id: string;
+  name: string;
+  avg_speed_kmh: number | null;
+  no_drop: boolean;
+}
+
+export interface CafeEventRoute {
+  id: string;
+  name: string;
+  distance_km: number | null;
+  elevation_gain_m: number | null;
+  estimated_duration_minutes: number | null;
+}
+
+export interface CafeEvent {
+  id: string;
+  cafe_id: string;
+  cafe_name: string | null;
+  title: string;
+  description: string | null;
+  starts_at: string;
+  timezone: string;
+  /** YYYY-MM-DD in the event's timezone */
+  local_date: string;
+  expected_duration_minutes: number;
+  estimated_duration_minutes: number | null;
+  meeting_point_name: string;
+  meeting_lat: number | null;
+  meeting_lng: number | null;
+  route: CafeEventRoute | null;
+  pace_groups: PaceGroup[];
+  status: 'scheduled' | 'cancelled';
+  rsvp_summary: {
+    going: number;
+    maybe: number;
+    not_going: number;
+    byPaceGroup: Record<string, number>;
+  };
+  my_rsvp: { status: RsvpStatus; pace_group: string | null } | null;
+  can_edit: boolean;
+}
+
+export interface CafeEventAttendee {
+  user_id: string;
+  name: string;
+  status: RsvpStatus;
+  pace_group: string | null;
+}
+
+export interface CafeEventDetail extends CafeEvent {
+  attendees: CafeEventAttendee[];
+  route_detail: (CafeEventRoute & {
+    geometry: { type: string; coordinates: unknown } | null;
+  }) | null;
+}
+
+export interface CafeEventInput {
+  title: string;
+  description?: string | null;
+  startsAt: string;
+  timezone?: string;
+  estimatedDurationMinutes?: number | null;
+  meetingPointName: string;
+  meetingLat?: number | null;
+  meetingLng?: number | null;
+  routeId?: string | null;
+  paceGroups?: Array<{ name: string; avg_speed_kmh?: number | null; no_drop?: boolean }>;
+}
+
+export const RSVP_LABELS: Record<RsvpStatus, string> = {
+  going: 'Going',
+  maybe: 'Maybe',
+  not_going: "Can't make it",
+};
+
+// ── API helper ───────────────────────────────────────────────
+
+const getApiBaseUrl = () => {
+  if (typeof window !== 'undefined' && import.meta.env?.PROD) return '';
+  return 'http://localhost:3000';
+};
+
+async function cafeEventsApi(action: string, params: Record<string, unknown> = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+
+  const response = await fetch(`${getApiBaseUrl()}/api/cafe-events`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    body: JSON.stringify({ action, ...params }),
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'API request failed');
+  return data;
+}
+
+/** Scheduled events across all the rider's cafés between two local dates (YYYY-MM-DD). */
+export async function fetchMyCafeEvents(from: string, to: string): Promise<CafeEvent[]> {
+  const data = await cafeEventsApi('my_events', { from, to });
+  return data.events as CafeEvent[];
+}
+
+export async function fetchCafeEvent(cafeId: string, eventId: string): Promise<CafeEventDetail> {
+  const data = await cafeEventsApi('get_event', { cafeId, eventId });
+  return data.event as CafeEventDetail;
+}
+
+export async function rsvpToCafeEvent(
+  cafeId: string,
+  eventId: string,
+  status: RsvpStatus,
+  paceGroup: string | null = null,
+) {
+  await cafeEventsApi('rsvp', { cafeId, eventId, status, paceGroup });
+}
+
+// ── Hook ─────────────────────────────────────────────────────
+
+export function useCafeEvents(cafeId: string | null | undefined) {
+  const [events, setEvents] = useState<CafeEvent[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (!cafeId) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const data = await cafeEventsApi('list_events', { cafeId });
+      setEvents(data.events || []);
+      setError(null);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to load events');
+    } finally {
+      setLoading(false);
+    }
+  }, [cafeId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const createEvent = useCallback(async (input: CafeEventInput) => {
+    if (!cafeId) return null;
+    const data = await cafeEventsApi('create_event', { cafeId, ...input });
+    await refresh();
+    return data.event as CafeEvent;
+  }, [cafeId, refresh]);
+
+  const updateEvent = useCallback(async (eventId: string, input: Partial<CafeEventInput>) => {
+    if (!cafeId) return null;
+    const data = await cafeEventsApi('update_event', { cafeId, eventId, ...input });
+    await refresh();
+    return data.event as CafeEvent;
+  }, [cafeId, refresh]);
+
+  const cancelEvent = useCallback(async (eventId: string) => {
+    if (!cafeId) return;
+    await cafeEventsApi('cancel_event', { cafeId, eventId });
+    await refresh();
+  }, [cafeId, refresh]);
+
+  const rsvp = useCallback(async (eventId: string, status: RsvpStatus, paceGroup: string | null = null) => {
+    if (!cafeId) return;
+    await rsvpToCafeEvent(cafeId, eventId, status, paceGroup);
+    await refresh();
+  }, [cafeId, refresh]);
+
+  return { events, loading, error, refresh, createEvent, updateEvent, cancelEvent, rsvp };
+}
+
+export default useCafeEvents;
@@ -0,0 +1,143 @@
+/**
+ * useCafeSegmentChallenge Hook
+ * A café's opt-in segment leaderboard and weekly "segment of the week",
+ * via api/cafe-segments.
+ *
+ * Standings are computed server-side from every opted-in member's efforts —
+ * other riders' segment rows aren't readable from the client.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+
+// ── Types ────────────────────────────────────────────────────
+
+export type BikeType = 'road' | 'gravel' | 'mtb' | 'tt' | 'ebike';
+
+export type AgeBand = 'u30' | '30_39' | '40_49' | '50_59' | '60_plus';
+
+export interface LeaderboardEntry {
+  user_id: string;
+  name: string;
+  duration_seconds: number;
+  ridden_at: string;
+  avg_power: number | null;
+  wkg: number | null;
+  age_band: AgeBand | null;
+  bike_type: BikeType;
+  rank: number;
+  wkg_rank: number | null;
+  category_rank: number;
+}
+
+export interface SegmentChallenge {
+  id: string;
+  week_start: string;
+  name: string;
+  distance_meters: number;
+  avg_gradient: number | null;
+  geojson: { type: 'LineString'; coordinates: [number, number][] } | null;
+  discussion_id: string | null;
+  finalized: boolean;
+  leaderboard: LeaderboardEntry[];
+}
+
+export interface CafeLeaderboardState {
+  optedIn: boolean;
+  bikeType: BikeType | null;
+  optedInCount: number;
+  challenge: SegmentChallenge | null;
+  previous: SegmentChallenge | null;
+}
+
+export const BIKE_TYPE_LABELS: Record<BikeType, string> = {
+  road: 'Road',
+  gravel: 'Gravel',
+  mtb: 'MTB',
+  tt: 'TT / Tri',
+  ebike: 'E-bike',
+};
+
+export const AGE_BAND_LABELS: Record<AgeBand, string> = {
+  u30: 'Under 30',
+  '30_39': '30–39',
+  '40_49': '40–49',
+  '50_59': '50–59',
+  '60_plus': '60+',
+};
+
+// ── API helper ───────────────────────────────────────────────
+
+const getApiBaseUrl = () => {
+  if (typeof window !== 'undefined' && import.meta.env?.PROD) return '';
+  return 'http://localhost:3000';
+};
+
+async function cafeSegmentsApi(action: string, params: Record<string, unknown> = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+
+  const response = await fetch(`${getApiBaseUrl()}/api/cafe-segments`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    body: JSON.stringify({ action, ...params }),
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'API request failed');
+  return data;
+}
+
+// ── Hook ─────────────────────────────────────────────────────
+
+export function useCafeSegmentChallenge(cafeId: string | null | undefined) {
+  const [state, setState] = useState<CafeLeaderboardState | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (!cafeId) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const data = await cafeSegmentsApi('get_leaderboard', { cafeId });
+      setState({
+        optedIn: Boolean(data.optedIn),
+        bikeType: data.bikeType ?? null,
+        optedInCount: data.optedInCount ?? 0,
+        challenge: data.challenge ?? null,
+        previous: data.previous ?? null,
+      });
+      setError(null);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to load leaderboard');
+    } finally {
+      setLoading(false);
+    }
+  }, [cafeId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const optIn = useCallback(async (bikeType: BikeType) => {
+    if (!cafeId) return;
+    await cafeSegmentsApi('opt_in', { cafeId, bikeType });
+    await refresh();
+  }, [cafeId, refresh]);
+
+  const optOut = useCallback(async () => {
+    if (!cafeId) return;
+    await cafeSegmentsApi('opt_out', { cafeId });
+    await refresh();
+  }, [cafeId, refresh]);
+
+  return { state, loading, error, refresh, optIn, optOut };
+}
+
+export default useCafeSegmentChallenge;
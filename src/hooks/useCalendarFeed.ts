@@ -0,0 +1,79 @@
+/**
+ * useCalendarFeed Hook
+ * The user's iCal subscription feed of planned workouts, via api/calendar-feed.
+ *
+ * The feed URL embeds a secret token; creating the feed again rotates it and
+ * revoking deletes it, so any calendar still subscribed gets a 404.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+
+export interface CalendarFeed {
+  url: string;
+  webcalUrl: string;
+  created_at: string;
+  last_accessed_at: string | null;
+}
+
+const getApiBaseUrl = () => {
+  if (typeof window !== 'undefined' && import.meta.env?.PROD) return '';
+  return 'http://localhost:3000';
+};
+
+async function calendarFeedApi(action: string): Promise<{ feed: CalendarFeed | null }> {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+
+  const response = await fetch(`${getApiBaseUrl()}/api/calendar-feed`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    body: JSON.stringify({ action, userId: session.user.id }),
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'API request failed');
+  return data;
+}
+
+export function useCalendarFeed(userId: string | null | undefined) {
+  const [feed, setFeed] = useState<CalendarFeed | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchFeed = useCallback(async () => {
+    if (!userId) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const data = await calendarFeedApi('get');
+      setFeed(data.feed);
+    } catch (err) {
+      console.error('Error loading calendar feed:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchFeed();
+  }, [fetchFeed]);
+
+  /** Create the feed, or rotate its token if one exists. */
+  const createFeed = useCallback(async () => {
+    const data = await calendarFeedApi('create');
+    setFeed(data.feed);
+    return data.feed;
+  }, []);
+
+  const revokeFeed = useCallback(async () => {
+    await calendarFeedApi('revoke');
+    setFeed(null);
+  }, []);
+
+  return { feed, loading, createFeed, revokeFeed };
+}
@@ -0,0 +1,204 @@
+/**
+ * useCoachWorkspace Hook
+ * Coach ↔ athlete relationships and the coach's roster, via api/coach-workspace.
+ *
+ * useCoachWorkspace() is the coach side (roster, invites); useCoachInvitations()
+ * is the athlete side (answer invites, see current coaches). Athlete training
+ * data itself is read straight from Supabase under the coach RLS policies.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+
+// ── Types ────────────────────────────────────────────────────
+
+export type RosterFlag =
+  | 'deep_fatigue'
+  | 'evidence_behind'
+  | 'model_disagrees'
+  | 'low_compliance'
+  | 'inactive';
+
+export interface RosterAthlete {
+  relationshipId: string;
+  athleteId: string;
+  email: string;
+  name: string;
+  canEditPlan: boolean;
+  tfi: number | null;
+  afi: number | null;
+  form: number | null;
+  tfiChange7d: number | null;
+  loadDate: string | null;
+  efi28d: number | null;
+  evidence: {
+    week: string;
+    verdict: 'ahead' | 'consistent' | 'behind' | 'insufficient_data';
+    confidence: number | null;
+    facts: string[];
+  } | null;
+  flags: RosterFlag[];
+}
+
+export interface CoachRelationship {
+  id: string;
+  coach_id: string;
+  athlete_id: string | null;
+  invite_email: string;
+  status: 'pending' | 'active' | 'declined' | 'revoked';
+  can_edit_plan: boolean;
+  invited_at: string;
+  responded_at: string | null;
+}
+
+export interface CoachInvitation {
+  id: string;
+  coach_id: string;
+  coach_name: string;
+  can_edit_plan: boolean;
+  invited_at?: string;
+  responded_at?: string | null;
+}
+
+export interface CoachAuditEntry {
+  id: string;
+  coach_id: string;
+  coach_name: string;
+  athlete_id: string;
+  record_id: string | null;
+  action: 'insert' | 'update' | 'delete';
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+  created_at: string;
+}
+
+// ── API helper ───────────────────────────────────────────────
+
+const getApiBaseUrl = () => {
+  if (typeof window !== 'undefined' && import.meta.env?.PROD) return '';
+  return 'http://localhost:3000';
+};
+
+async function coachWorkspaceApi(action: string, params: Record<string, unknown> = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+
+  const response = await fetch(`${getApiBaseUrl()}/api/coach-workspace`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    body: JSON.stringify({ action, userId: session.user.id, ...params }),
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'API request failed');
+  return data;
+}
+
+/** Coach edits to an athlete's calendar (or the caller's own, when athleteId is omitted). */
+export async function fetchCoachAuditLog(athleteId?: string, limit = 50): Promise<CoachAuditEntry[]> {
+  const { entries } = await coachWorkspaceApi('get_audit_log', { athleteId, limit });
+  return entries || [];
+}
+
+// ── Coach side ───────────────────────────────────────────────
+
+export function useCoachWorkspace(userId: string | null | undefined) {
+  const [athletes, setAthletes] = useState<RosterAthlete[]>([]);
+  const [pending, setPending] = useState<CoachRelationship[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchRoster = useCallback(async () => {
+    if (!userId) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const data = await coachWorkspaceApi('list_roster');
+      setAthletes(data.athletes || []);
+      setPending(data.pending || []);
+      setError(null);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to load roster');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchRoster();
+  }, [fetchRoster]);
+
+  const inviteAthlete = useCallback(async (email: string, canEditPlan = true) => {
+    const { invitation } = await coachWorkspaceApi('invite_athlete', { email, canEditPlan });
+    setPending((prev) => [...prev, invitation]);
+    return invitation as CoachRelationship;
+  }, []);
+
+  const setCanEditPlan = useCallback(async (relationshipId: string, canEditPlan: boolean) => {
+    await coachWorkspaceApi('update_athlete', { relationshipId, canEditPlan });
+    setAthletes((prev) => prev.map((a) => (a.relationshipId === relationshipId ? { ...a, canEditPlan } : a)));
+  }, []);
+
+  const removeAthlete = useCallback(async (relationshipId: string) => {
+    await coachWorkspaceApi('remove_athlete', { relationshipId });
+    setAthletes((prev) => prev.filter((a) => a.relationshipId !== relationshipId));
+    setPending((prev) => prev.filter((p) => p.id !== relationshipId));
+  }, []);
+
+  return {
+    athletes,
+    pending,
+    loading,
+    error,
+    refresh: fetchRoster,
+    inviteAthlete,
+    setCanEditPlan,
+    removeAthlete,
+  };
+}
+
+// ── Athlete side ─────────────────────────────────────────────
+
+export function useCoachInvitations(userId: string | null | undefined) {
+  const [invitations, setInvitations] = useState<CoachInvitation[]>([]);
+  const [coaches, setCoaches] = useState<CoachInvitation[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchInvitations = useCallback(async () => {
+    if (!userId) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const data = await coachWorkspaceApi('list_invitations');
+      setInvitations(data.invitations || []);
+      setCoaches(data.coaches || []);
+    } catch (err) {
+      console.error('Error loading coach invitations:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  const respond = useCallback(async (relationshipId: string, accept: boolean) => {
+    await coachWorkspaceApi('respond_invitation', { relationshipId, accept });
+    await fetchInvitations();
+  }, [fetchInvitations]);
+
+  const removeCoach = useCallback(async (relationshipId: string) => {
+    await coachWorkspaceApi('remove_athlete', { relationshipId });
+    setCoaches((prev) => prev.filter((c) => c.id !== relationshipId));
+  }, []);
+
+  return { invitations, coaches, loading, respond, removeCoach, refresh: fetchInvitations };
+}
@@ -0,0 +1,183 @@
+/**
+ * useCustomWorkouts Hook
+ * Loads and saves the user's custom (builder-made) workouts.
+ *
+ * Loaded workouts are registered with the workout library (setCustomWorkouts)
+ * under their owner so getWorkoutById — and everything built on it: Today,
+ * calendar drops, the workout modal, plan FIT export — resolves them like
+ * built-in workouts. AppShell registers the signed-in rider's set once per
+ * session (registerSessionCustomWorkouts) so they resolve on every page, not
+ * just once the calendar has been opened.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+import { setCustomWorkouts } from '../data/workoutLibrary';
+import {
+  customWorkoutFromRow,
+  customWorkoutToRow,
+  isCustomWorkoutId,
+  type CustomWorkoutRow,
+} from '../utils/workoutBuilder';
+import type { WorkoutDefinition } from '../types/training';
+
+interface UseCustomWorkoutsReturn {
+  customWorkouts: WorkoutDefinition[];
+  loading: boolean;
+  error: string | null;
+  loadCustomWorkouts: () => Promise<void>;
+  /** Insert a new workout or update an existing one; resolves to the saved definition. */
+  saveCustomWorkout: (workout: WorkoutDefinition) => Promise<WorkoutDefinition | null>;
+  deleteCustomWorkout: (workoutId: string) => Promise<boolean>;
+}
+
+async function fetchCustomWorkouts(userId: string): Promise<WorkoutDefinition[]> {
+  const { data, error } = await supabase
+    .from('custom_workouts')
+    .select('*')
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+  return ((data || []) as CustomWorkoutRow[]).map(customWorkoutFromRow);
+}
+
+// The signed-in rider's registered set, loaded once per session
+let sessionOwnerId: string | null = null;
+let sessionLoad: Promise<void> | null = null;
+
+/**
+ * Register the signed-in rider's custom workouts with the workout library.
+ * Fetches once per user; signing out (no userId) clears every registered set.
+ */
+export function registerSessionCustomWorkouts(userId: string | null | undefined): Promise<void> {
+  if (!userId) {
+    if (sessionOwnerId) setCustomWorkouts([]);
+    sessionOwnerId = null;
+    sessionLoad = null;
+    return Promise.resolve();
+  }
+  if (sessionOwnerId === userId && sessionLoad) return sessionLoad;
+
+  if (sessionOwnerId) setCustomWorkouts([]);
+  sessionOwnerId = userId;
+  sessionLoad = fetchCustomWorkouts(userId)
+    .then((workouts) => {
+      if (sessionOwnerId === userId) setCustomWorkouts(workouts, userId);
+    })
+    .catch((err: unknown) => {
+      console.error('Error loading custom workouts:', err);
+      // Let the next page retry
+      if (sessionOwnerId === userId) sessionLoad = null;
+    });
+  return sessionLoad;
+}
+
+export function useCustomWorkouts(userId: string | null | undefined): UseCustomWorkoutsReturn {
+  const [customWorkouts, setCustomWorkoutsState] = useState<WorkoutDefinition[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Keep the library registry in lockstep with hook state
+  const applyWorkouts = useCallback((workouts: WorkoutDefinition[]) => {
+    if (userId) setCustomWorkouts(workouts, userId);
+    setCustomWorkoutsState(workouts);
+  }, [userId]);
+
+  const loadCustomWorkouts = useCallback(async () => {
+    if (!userId) {
+      applyWorkouts([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      applyWorkouts(await fetchCustomWorkouts(userId));
+    } catch (err: unknown) {
+      console.error('Error loading custom workouts:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load custom workouts');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, applyWorkouts]);
+
+  const saveCustomWorkout = useCallback(
+    async (workout: WorkoutDefinition): Promise<WorkoutDefinition | null> => {
+      if (!userId) return null;
+
+      try {
+        setError(null);
+        const row = customWorkoutToRow(workout, userId);
+        const isExisting = customWorkouts.some((w) => w.id === workout.id);
+
+        const query = isExisting
+          ? supabase
+              .from('custom_workouts')
+              .update({ ...row, updated_at: new Date().toISOString() })
+              .eq('id', workout.id)
+              .eq('user_id', userId)
+          : supabase.from('custom_workouts').insert(row);
+
+        const { data, error: saveError } = await query.select('*').single();
+        if (saveError) throw saveError;
+
+        const saved = customWorkoutFromRow(data as CustomWorkoutRow);
+        applyWorkouts([saved, ...customWorkouts.filter((w) => w.id !== saved.id)]);
+        return saved;
+      } catch (err: unknown) {
+        console.error('Error saving custom workout:', err);
+        setError(err instanceof Error ? err.message : 'Failed to save workout');
+        return null;
+      }
+    },
+    [userId, customWorkouts, applyWorkouts]
+  );
+
+  const deleteCustomWorkout = useCallback(
+    async (workoutId: string): Promise<boolean> => {
+      if (!userId || !isCustomWorkoutId(workoutId)) return false;
+
+      try {
+        setError(null);
+        const { error: deleteError } = await supabase
+          .from('custom_workouts')
+          .delete()
+          .eq('id', workoutId)
+          .eq('user_id', userId);
+
+        if (deleteError) throw deleteError;
+        applyWorkouts(customWorkouts.filter((w) => w.id !== workoutId));
+        return true;
+      } catch (err: unknown) {
+        console.error('Error deleting custom workout:', err);
+        setError(err instanceof Error ? err.message : 'Failed to delete workout');
+        return false;
+      }
+    },
+    [userId, customWorkouts, applyWorkouts]
+  );
+
+  useEffect(() => {
+    loadCustomWorkouts();
+  }, [loadCustomWorkouts]);
+
+  // A coach's calendar registers the athlete's set; drop it when the calendar
+  // closes or switches athlete. The rider's own set stays for the session.
+  useEffect(() => () => {
+    if (userId && userId !== sessionOwnerId) setCustomWorkouts([], userId);
+  }, [userId]);
+
+  return {
+    customWorkouts,
+    loading,
+    error,
+    loadCustomWorkouts,
+    saveCustomWorkout,
+    deleteCustomWorkout,
+  };
+}
+
+export default useCustomWorkouts;
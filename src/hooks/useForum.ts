@@ -1,10 +1,11 @@
 /**
  * useForum Hook
  * Manages the community-wide forum: categories, threads, posts,
- * reactions, read tracking, moderation, and search.
+ * reactions, read tracking, moderation, reputation, and search.
  *
  * Follows the same conventions as useDiscussions.ts (self-contained
- * Supabase queries with optimistic local-state updates).
+ * Supabase queries with optimistic local-state updates). New threads,
+ * replies and reports go through /api/forum so bans and rate limits apply.
  */
 
 import { useState, useCallback, useEffect } from 'react';
@@ -28,6 +29,17 @@ export const REACTION_EMOJI: Record<ForumReactionType, string> = {
 
 export const THREADS_PER_PAGE = 25;
 
+export type ForumReportReason = 'spam' | 'harassment' | 'off_topic' | 'misinformation' | 'other';
+
+/** Server twin: REPORT_REASONS in api/utils/forumModeration.js */
+export const REPORT_REASONS: { value: ForumReportReason; label: string }[] = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'harassment', label: 'Harassment or abuse' },
+  { value: 'off_topic', label: 'Off-topic or in the wrong board' },
+  { value: 'misinformation', label: 'Unsafe or misleading advice' },
+  { value: 'other', label: 'Something else' },
+];
+
 export interface ForumCategory {
   id: string;
   slug: string;
@@ -53,6 +65,8 @@ export interface ForumThread {
   training_context: Record<string, number> | null;
   is_pinned: boolean;
   is_locked: boolean;
+  hidden_at: string | null;
+  accepted_post_id: string | null;
   reply_count: number;
   reaction_count: number;
   last_post_at: string | null;
@@ -73,6 +87,7 @@ export interface ForumPost {
   body: string;
   parent_post_id: string | null;
   reaction_count: number;
+  hidden_at: string | null;
   edited_at: string | null;
   created_at: string;
   updated_at: string;
@@ -87,6 +102,8 @@ export interface ReactionSummary {
 
 export interface ForumSearchResult {
   thread_id: string;
+  /** The matching reply when matched_in is 'reply' */
+  post_id: string | null;
   title: string;
   category_id: string;
   snippet: string;
@@ -96,6 +113,14 @@ export interface ForumSearchResult {
   last_activity_at: string;
 }
 
+export interface ForumSanction {
+  id: string;
+  type: 'warning' | 'ban';
+  reason: string | null;
+  expires_at: string | null;
+  created_at: string;
+}
+
 export interface CreateThreadData {
   title: string;
   body: string;
@@ -112,6 +137,32 @@ interface UseForumOptions {
   userId: string | null;
 }
 
+// Warnings show as a notice in the forum for this long
+const WARNING_NOTICE_DAYS = 30;
+
+const getApiBaseUrl = () => {
+  if (typeof window !== 'undefined' && import.meta.env?.PROD) return '';
+  return 'http://localhost:3000';
+};
+
+async function forumApi(action: string, params: Record<string, unknown> = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Not authenticated');
+
+  const response = await fetch(`${getApiBaseUrl()}/api/forum`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    body: JSON.stringify({ action, ...params }),
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Forum request failed');
+  return data;
+}
+
 export function useForum({ userId }: UseForumOptions) {
   const [categories, setCategories] = useState<ForumCategory[]>([]);
   const [threads, setThreads] = useState<ForumThread[]>([]);
@@ -120,13 +171,17 @@ export function useForum({ userId }: UseForumOptions) {
   const [posts, setPosts] = useState<ForumPost[]>([]);
   // Reaction summaries keyed by `thread:<id>` / `post:<id>`
   const [reactions, setReactions] = useState<Record<string, ReactionSummary>>({});
+  // Reputation totals (all boards) for authors in the open thread
+  const [reputation, setReputation] = useState<Record<string, number>>({});
   const [isModerator, setIsModerator] = useState(false);
+  const [moderatedCategoryIds, setModeratedCategoryIds] = useState<string[]>([]);
+  const [sanctions, setSanctions] = useState<ForumSanction[]>([]);
   const [loading, setLoading] = useState(false);
   const [threadLoading, setThreadLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
   // ============================================================
-  // CATEGORIES + MODERATOR STATUS (once per mount)
+  // CATEGORIES + MODERATOR STATUS + SANCTIONS (once per mount)
   // ============================================================
   useEffect(() => {
     let cancelled = false;
@@ -139,12 +194,28 @@ export function useForum({ userId }: UseForumOptions) {
       if (!cancelled && cats) setCategories(cats);
 
       if (userId) {
-        const { data: mod } = await supabase
-          .from('forum_moderators')
-          .select('user_id')
-          .eq('user_id', userId)
-          .maybeSingle();
-        if (!cancelled) setIsModerator(!!mod);
+        const [{ data: mod }, { data: boards }, { data: mySanctions }] = await Promise.all([
+          supabase
+            .from('forum_moderators')
+            .select('user_id')
+            .eq('user_id', userId)
+            .maybeSingle(),
+          supabase
+            .from('forum_category_moderators')
+            .select('category_id')
+            .eq('user_id', userId),
+          supabase
+            .from('forum_sanctions')
+            .select('id, type, reason, expires_at, created_at')
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .order('created_at', { ascending: false }),
+        ]);
+        if (!cancelled) {
+          setIsModerator(!!mod);
+          setModeratedCategoryIds((boards || []).map(b => b.category_id));
+          setSanctions(mySanctions || []);
+        }
       }
     };
 
@@ -261,7 +332,26 @@ export function useForum({ userId }: UseForumOptions) {
   }, [userId]);
 
   // ============================================================
-  // LOAD SINGLE THREAD (+ posts + reactions) AND MARK READ
+  // REPUTATION (summed across boards, per author)
+  // ============================================================
+  const loadReputationFor = useCallback(async (authorIds: string[]) => {
+    const ids = [...new Set(authorIds)];
+    if (ids.length === 0) return;
+
+    const { data } = await supabase
+      .from('forum_reputation')
+      .select('user_id, score')
+      .in('user_id', ids);
+
+    const totals: Record<string, number> = {};
+    (data || []).forEach(row => {
+      totals[row.user_id] = (totals[row.user_id] || 0) + row.score;
+    });
+    setReputation(totals);
+  }, []);
+
+  // ============================================================
+  // LOAD SINGLE THREAD (+ posts + reactions + reputation) AND MARK READ
   // ============================================================
   const loadThread = useCallback(async (threadId: string) => {
     try {
@@ -293,7 +383,10 @@ export function useForum({ userId }: UseForumOptions) {
       setActiveThread(threadRes.data);
       setPosts(postsRes.data || []);
 
-      await loadReactionsFor(threadId, (postsRes.data || []).map(p => p.id));
+      await Promise.all([
+        loadReactionsFor(threadId, (postsRes.data || []).map(p => p.id)),
+        loadReputationFor([threadRes.data.author_id, ...(postsRes.data || []).map(p => p.author_id)]),
+      ]);
 
       // Mark read + clear the unread dot in the list
       if (userId) {
@@ -311,12 +404,13 @@ export function useForum({ userId }: UseForumOptions) {
     } finally {
       setThreadLoading(false);
     }
-  }, [userId, loadReactionsFor]);
+  }, [userId, loadReactionsFor, loadReputationFor]);
 
   const clearActiveThread = useCallback(() => {
     setActiveThread(null);
     setPosts([]);
     setReactions({});
+    setReputation({});
   }, []);
 
   // ============================================================
@@ -327,21 +421,11 @@ export function useForum({ userId }: UseForumOptions) {
 
     try {
       setError(null);
-      const { data: created, error: insertError } = await supabase
-        .from('forum_threads')
-        .insert({
-          category_id: data.category_id,
-          author_id: userId,
-          title: data.title,
-          body: data.body,
-        })
-        .select(`
-          *,
-          author:user_profiles!forum_threads_author_id_profile_fkey(${AUTHOR_SELECT})
-        `)
-        .single();
-
-      if (insertError) throw insertError;
+      const { thread: created } = await forumApi('create_thread', {
+        categoryId: data.category_id,
+        title: data.title,
+        body: data.body,
+      });
 
       setThreads(prev => [created, ...prev]);
       setThreadTotal(prev => prev + 1);
@@ -422,6 +506,86 @@ export function useForum({ userId }: UseForumOptions) {
     }
   }, []);
 
+  // Moderation: hide / unhide (migration 126 guard restricts to the board's moderators)
+  const setHidden = useCallback(async (
+    target: { threadId?: string; postId?: string },
+    hidden: boolean
+  ): Promise<boolean> => {
+    const patch = hidden
+      ? { hidden_at: new Date().toISOString(), hidden_by: userId }
+      : { hidden_at: null, hidden_by: null };
+
+    try {
+      setError(null);
+      const { error: updateError } = await supabase
+        .from(target.threadId ? 'forum_threads' : 'forum_posts')
+        .update(patch)
+        .eq('id', (target.threadId || target.postId)!);
+
+      if (updateError) throw updateError;
+
+      if (target.threadId) {
+        setThreads(prev => prev.map(t => t.id === target.threadId ? { ...t, hidden_at: patch.hidden_at } : t));
+        setActiveThread(prev => prev && prev.id === target.threadId ? { ...prev, hidden_at: patch.hidden_at } : prev);
+      } else {
+        setPosts(prev => prev.map(p => p.id === target.postId ? { ...p, hidden_at: patch.hidden_at } : p));
+      }
+      return true;
+    } catch (err: any) {
+      console.error('Error hiding forum content:', err);
+      setError(err.message || 'Failed to update visibility');
+      return false;
+    }
+  }, [userId]);
+
+  // Accepted answer: the thread author marks (or clears) the reply that solved it
+  const acceptAnswer = useCallback(async (threadId: string, postId: string | null): Promise<boolean> => {
+    try {
+      setError(null);
+      const { error: updateError } = await supabase
+        .from('forum_threads')
+        .update({ accepted_post_id: postId })
+        .eq('id', threadId);
+
+      if (updateError) throw updateError;
+
+      setThreads(prev => prev.map(t => t.id === threadId ? { ...t, accepted_post_id: postId } : t));
+      setActiveThread(prev => prev?.id === threadId ? { ...prev, accepted_post_id: postId } : prev);
+      return true;
+    } catch (err: any) {
+      console.error('Error accepting answer:', err);
+      setError(err.message || 'Failed to mark the answer');
+      return false;
+    }
+  }, []);
+
+  const reportContent = useCallback(async (
+    target: { threadId?: string; postId?: string },
+    reason: ForumReportReason,
+    details?: string
+  ): Promise<boolean> => {
+    try {
+      setError(null);
+      await forumApi('report', {
+        threadId: target.threadId || null,
+        postId: target.postId || null,
+        reason,
+        details: details || null,
+      });
+      return true;
+    } catch (err: any) {
+      console.error('Error reporting forum content:', err);
+      setError(err.message || 'Failed to send report');
+      return false;
+    }
+  }, []);
+
+  const canModerate = useCallback(
+    (categoryId?: string | null) =>
+      isModerator || (!!categoryId && moderatedCategoryIds.includes(categoryId)),
+    [isModerator, moderatedCategoryIds]
+  );
+
   // ============================================================
   // POST CRUD
   // ============================================================
@@ -434,21 +598,11 @@ export function useForum({ userId }: UseForumOptions) {
 
     try {
       setError(null);
-      const { data: created, error: insertError } = await supabase
-        .from('forum_posts')
-        .insert({
-          thread_id: threadId,
-          author_id: userId,
-          body,
-          parent_post_id: parentPostId || null,
-        })
-        .select(`
-          *,
-          author:user_profiles!forum_posts_author_id_profile_fkey(${AUTHOR_SELECT})
-        `)
-        .single();
-
-      if (insertError) throw insertError;
+      const { post: created } = await forumApi('create_post', {
+        threadId,
+        body,
+        parentPostId: parentPostId || null,
+      });
 
       setPosts(prev => [...prev, created]);
       const bump = (t: ForumThread): ForumThread => ({
@@ -581,7 +735,10 @@ export function useForum({ userId }: UseForumOptions) {
   // ============================================================
   // SEARCH
   // ============================================================
-  const searchForum = useCallback(async (query: string): Promise<ForumSearchResult[]> => {
+  const searchForum = useCallback(async (
+    query: string,
+    opts: { categoryId?: string | null } = {}
+  ): Promise<ForumSearchResult[]> => {
     const trimmed = query.trim();
     if (trimmed.length < 2) return [];
 
@@ -590,6 +747,7 @@ export function useForum({ userId }: UseForumOptions) {
       const { data, error: rpcError } = await supabase.rpc('search_forum', {
         search_query: trimmed,
         max_results: 20,
+        filter_category_id: opts.categoryId || null,
       });
       if (rpcError) throw rpcError;
       return data || [];
@@ -600,6 +758,15 @@ export function useForum({ userId }: UseForumOptions) {
     }
   }, []);
 
+  const now = Date.now();
+  const activeBan = sanctions.find(s =>
+    s.type === 'ban' && (!s.expires_at || new Date(s.expires_at).getTime() > now)
+  ) || null;
+  const recentWarning = sanctions.find(s =>
+    s.type === 'warning' &&
+    now - new Date(s.created_at).getTime() < WARNING_NOTICE_DAYS * 24 * 60 * 60 * 1000
+  ) || null;
+
   return {
     // State
     categories,
@@ -608,7 +775,10 @@ export function useForum({ userId }: UseForumOptions) {
     activeThread,
     posts,
     reactions,
+    reputation,
     isModerator,
+    activeBan,
+    recentWarning,
     loading,
     threadLoading,
     error,
@@ -622,6 +792,12 @@ export function useForum({ userId }: UseForumOptions) {
     deleteThread,
     setThreadFlags,
 
+    // Moderation + reputation
+    canModerate,
+    setHidden,
+    acceptAnswer,
+    reportContent,
+
     // Posts
     createPost,
     updatePost,
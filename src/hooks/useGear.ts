@@ -24,6 +24,8 @@ export interface GearItem {
   retirement_date: string | null;
   is_default: boolean;
   strava_gear_id: string | null;
+  power_correction_factor: number; // multiplier on recorded power, 1 = none
+  power_correction_updated_at: string | null;
   created_at: string;
   updated_at: string;
   gear_components?: GearComponent[];
@@ -74,6 +76,23 @@ export interface GearAlert {
   message?: string;
 }
 
+export interface PowerDriftBike {
+  gearItemId: string;
+  name: string | null;
+  pairs: { physics: number; hr: number };
+  offset: number | null; // 0.94 = reads ~6% low against the reference bike
+  suggestedFactor: number | null;
+  confidence: 'insufficient' | 'low' | 'moderate' | 'high';
+  flagged: boolean;
+  message: string | null;
+  currentFactor: number;
+}
+
+export interface PowerDriftResult {
+  referenceGearId: string | null;
+  bikes: PowerDriftBike[];
+}
+
 export interface GearActivity {
   id: string;
   name: string;
@@ -263,6 +282,18 @@ export function useGear({ userId, alertsOnly = false }: UseGearOptions = {}) {
     return data.totalDistance as number;
   }, [fetchGear]);
 
+  // ── Power meter calibration ──────────────────────────────
+
+  const detectPowerDrift = useCallback(async (referenceGearId?: string) => {
+    return await gearApi('detect_power_drift', { referenceGearId }) as PowerDriftResult;
+  }, []);
+
+  const setPowerCorrection = useCallback(async (gearId: string, factor: number) => {
+    const data = await gearApi('set_power_correction', { gearId, factor });
+    setGearItems((prev) => prev.map((g) => (g.id === gearId ? { ...g, ...data.gear } : g)));
+    return data.gear as GearItem;
+  }, []);
+
   const getGearDetail = useCallback(async (gearId: string) => {
     const data = await gearApi('get_gear', { gearId });
     return {
@@ -326,6 +357,8 @@ export function useGear({ userId, alertsOnly = false }: UseGearOptions = {}) {
     reassignActivityGear,
     dismissAlert,
     recalculateMileage,
+    detectPowerDrift,
+    setPowerCorrection,
     getGearDetail,
     getActiveTiresForBike,
     getActiveWheelsForBike,
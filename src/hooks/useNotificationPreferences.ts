@@ -0,0 +1,47 @@
+/**
+ * useNotificationPreferences Hook
+ * Reads the user's notification preference center row so in-app surfaces
+ * (insight card, gear alert bell, forum notifications) honour the same
+ * channel toggles the server dispatcher enforces for push and email.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+import {
+  isChannelEnabled,
+  type NotificationChannel,
+  type NotificationPreferences,
+  type NotificationTypeKey,
+} from '../utils/notificationPreferences';
+
+export function useNotificationPreferences(userId: string | null | undefined) {
+  const [preferences, setPreferences] = useState<NotificationPreferences | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    if (!userId) {
+      setLoading(false);
+      return;
+    }
+    const { data } = await supabase
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+    setPreferences(data as NotificationPreferences | null);
+    setLoading(false);
+  }, [userId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const isEnabled = useCallback(
+    (type: NotificationTypeKey, channel: NotificationChannel) => isChannelEnabled(preferences, type, channel),
+    [preferences]
+  );
+
+  return { preferences, loading, isEnabled, refresh };
+}
+
+export default useNotificationPreferences;
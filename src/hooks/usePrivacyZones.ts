@@ -0,0 +1,98 @@
+/**
+ * usePrivacyZones Hook
+ * The user's privacy zones (migration 119): places such as home or work whose
+ * surroundings are cut out of every track other people can see.
+ *
+ * Zones are read and written straight through Supabase (owner-only RLS). The
+ * masking itself happens in the database, so saving a zone re-masks every
+ * route the user has already shared.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+
+export interface PrivacyZone {
+  id: string;
+  label: string | null;
+  center_lat: number;
+  center_lng: number;
+  radius_m: number;
+  created_at: string;
+}
+
+export interface PrivacyZoneInput {
+  label: string | null;
+  center_lat: number;
+  center_lng: number;
+  radius_m: number;
+}
+
+export const PRIVACY_ZONE_MIN_RADIUS_M = 100;
+export const PRIVACY_ZONE_MAX_RADIUS_M = 2000;
+export const PRIVACY_ZONE_DEFAULT_RADIUS_M = 400;
+
+const ZONE_COLUMNS = 'id, label, center_lat, center_lng, radius_m, created_at';
+
+export function usePrivacyZones(userId: string | null | undefined) {
+  const [zones, setZones] = useState<PrivacyZone[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchZones = useCallback(async () => {
+    if (!userId) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const { data, error } = await supabase
+        .from('privacy_zones')
+        .select(ZONE_COLUMNS)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      setZones((data as PrivacyZone[]) || []);
+    } catch (err) {
+      console.error('Error loading privacy zones:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchZones();
+  }, [fetchZones]);
+
+  const addZone = useCallback(async (zone: PrivacyZoneInput) => {
+    if (!userId) throw new Error('Not authenticated');
+    const { data, error } = await supabase
+      .from('privacy_zones')
+      .insert({ ...zone, user_id: userId })
+      .select(ZONE_COLUMNS)
+      .single();
+    if (error) throw error;
+    setZones((prev) => [...prev, data as PrivacyZone]);
+    return data as PrivacyZone;
+  }, [userId]);
+
+  const updateZone = useCallback(async (id: string, zone: PrivacyZoneInput) => {
+    const { data, error } = await supabase
+      .from('privacy_zones')
+      .update(zone)
+      .eq('id', id)
+      .select(ZONE_COLUMNS)
+      .single();
+    if (error) throw error;
+    setZones((prev) => prev.map((z) => (z.id === id ? (data as PrivacyZone) : z)));
+    return data as PrivacyZone;
+  }, []);
+
+  const removeZone = useCallback(async (id: string) => {
+    const { error } = await supabase.from('privacy_zones').delete().eq('id', id);
+    if (error) throw error;
+    setZones((prev) => prev.filter((z) => z.id !== id));
+  }, []);
+
+  return { zones, loading, addZone, updateZone, removeZone, refresh: fetchZones };
+}
+
+export default usePrivacyZones;
@@ -99,7 +99,7 @@ export function usePushNotifications(): PushNotificationState {
 
     setLoading(true);
     try {
-      // Register service worker (push-only, no precaching)
+      // Register service worker (no precaching; see public/sw.js)
       const reg = await navigator.serviceWorker.register('/sw.js');
       await navigator.serviceWorker.ready;
 
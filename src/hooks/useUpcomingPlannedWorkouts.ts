@@ -6,6 +6,9 @@
  * One-shot fetch on mount (no Realtime) via the frontend Supabase singleton.
  * Rows whose `workout_id` doesn't resolve in either library are dropped —
  * without a structure there's nothing to overlay.
+ *
+ * Offline (or when the read fails) it falls back to the week-ahead snapshot
+ * the Today view keeps (src/lib/offline/weekAhead.ts).
  */
 
 import { useEffect, useState } from 'react';
@@ -13,6 +16,7 @@ import { supabase } from '../lib/supabase';
 import { getTodayString } from '../utils/dateUtils';
 import { getAnyWorkoutById } from '../data/workoutLookup';
 import type { WorkoutDefinition } from '../types/training';
+import { isOffline, loadWeekAhead } from '../lib/offline';
 
 export interface UpcomingPlannedWorkout {
   id: string;
@@ -23,6 +27,34 @@ export interface UpcomingPlannedWorkout {
   targetDistanceKm: number | null;
 }
 
+interface UpcomingRow {
+  id: string;
+  scheduled_date: string;
+  workout_id: string | null;
+  name: string | null;
+  target_duration: number | null;
+  target_distance_km: number | null;
+  completed?: boolean | null;
+}
+
+function enrich(rows: UpcomingRow[]): UpcomingPlannedWorkout[] {
+  const enriched: UpcomingPlannedWorkout[] = [];
+  for (const row of rows) {
+    if (!row.workout_id) continue;
+    const workout = getAnyWorkoutById(row.workout_id);
+    if (!workout) continue;
+    enriched.push({
+      id: row.id,
+      scheduledDate: row.scheduled_date,
+      name: row.name ?? workout.name,
+      workout,
+      targetDurationMinutes: row.target_duration ?? null,
+      targetDistanceKm: row.target_distance_km ?? null,
+    });
+  }
+  return enriched;
+}
+
 export function useUpcomingPlannedWorkouts(userId: string | null | undefined) {
   const [workouts, setWorkouts] = useState<UpcomingPlannedWorkout[]>([]);
   const [loading, setLoading] = useState(false);
@@ -35,6 +67,17 @@ export function useUpcomingPlannedWorkouts(userId: string | null | undefined) {
     let cancelled = false;
     setLoading(true);
     void (async () => {
+      const fromSnapshot = async () =>
+        enrich((await loadWeekAhead(userId)).filter((w) => !w.completed));
+
+      if (isOffline()) {
+        const offline = await fromSnapshot();
+        if (cancelled) return;
+        setWorkouts(offline);
+        setLoading(false);
+        return;
+      }
+
       const { data, error } = await supabase
         .from('planned_workouts')
         .select('*')
@@ -47,26 +90,14 @@ export function useUpcomingPlannedWorkouts(userId: string | null | undefined) {
       if (cancelled) return;
       if (error) {
         console.error('Error loading upcoming planned workouts:', error);
-        setWorkouts([]);
+        const offline = await fromSnapshot();
+        if (cancelled) return;
+        setWorkouts(offline);
         setLoading(false);
         return;
       }
 
-      const enriched: UpcomingPlannedWorkout[] = [];
-      for (const row of data ?? []) {
-        if (!row.workout_id) continue;
-        const workout = getAnyWorkoutById(row.workout_id);
-        if (!workout) continue;
-        enriched.push({
-          id: row.id,
-          scheduledDate: row.scheduled_date,
-          name: row.name ?? workout.name,
-          workout,
-          targetDurationMinutes: row.target_duration ?? null,
-          targetDistanceKm: row.target_distance_km ?? null,
-        });
-      }
-      setWorkouts(enriched);
+      setWorkouts(enrich((data ?? []) as UpcomingRow[]));
       setLoading(false);
     })();
     return () => {
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { computeThermalStrain, apparentTemperatureC, thermalCategory } from '../thermal';
+
+describe('apparentTemperatureC', () => {
+  it('returns air temperature when humidity is unknown', () => {
+    expect(apparentTemperatureC(30)).toBe(30);
+    expect(apparentTemperatureC(30, null)).toBe(30);
+  });
+
+  it('returns air temperature below the heat-index range', () => {
+    expect(apparentTemperatureC(20, 90)).toBe(20);
+  });
+
+  it('raises apparent temperature on hot humid days', () => {
+    // NWS table: 90°F at 60% RH feels like ~100°F (~38°C)
+    const apparent = apparentTemperatureC(32, 60);
+    expect(apparent).toBeGreaterThan(36);
+    expect(apparent).toBeLessThan(39);
+  });
+});
+
+describe('thermalCategory', () => {
+  it('bands apparent temperature', () => {
+    expect(thermalCategory(null)).toBe('neutral');
+    expect(thermalCategory(15)).toBe('neutral');
+    expect(thermalCategory(24)).toBe('warm');
+    expect(thermalCategory(30)).toBe('hot');
+    expect(thermalCategory(36)).toBe('extreme');
+  });
+});
+
+describe('computeThermalStrain', () => {
+  it('is neutral for a cool sea-level ride', () => {
+    const result = computeThermalStrain({ temperatureC: 15, meanElevationM: 200 });
+    expect(result.factor).toBe(1);
+    expect(result.category).toBe('neutral');
+    expect(result.overagePercent).toBe(0);
+  });
+
+  it('is neutral when nothing is known', () => {
+    const result = computeThermalStrain({ temperatureC: null });
+    expect(result.factor).toBe(1);
+    expect(result.apparentTemperatureC).toBeNull();
+  });
+
+  it('scales the heat term linearly between onset and saturation', () => {
+    // (28 − 21) / (35 − 21) = 0.5 → 0.15 × 0.5 = 0.075
+    const result = computeThermalStrain({ temperatureC: 28 });
+    expect(result.heatComponent).toBeCloseTo(0.075, 3);
+    expect(result.factor).toBeCloseTo(1.075, 3);
+    expect(result.category).toBe('hot');
+  });
+
+  it('saturates the heat term above 35°C apparent', () => {
+    const result = computeThermalStrain({ temperatureC: 41 });
+    expect(result.heatComponent).toBeCloseTo(0.15, 3);
+  });
+
+  it('weights the heat term by cardiac drift', () => {
+    const drifted = computeThermalStrain({ temperatureC: 28, hrDriftPct: 10 });
+    const steady = computeThermalStrain({ temperatureC: 28, hrDriftPct: 0 });
+    expect(drifted.driftWeight).toBe(1.5);
+    expect(steady.driftWeight).toBe(0.5);
+    expect(drifted.heatComponent).toBeCloseTo(0.1125, 2);
+    expect(steady.heatComponent).toBeCloseTo(0.0375, 2);
+  });
+
+  it('drift does not create heat strain on a cool day', () => {
+    const result = computeThermalStrain({ temperatureC: 12, hrDriftPct: 12 });
+    expect(result.heatComponent).toBe(0);
+  });
+
+  it('adds the TWL altitude term and caps it', () => {
+    // 0.05 × (2200 − 1000) / 1000 = 0.06
+    expect(computeThermalStrain({ temperatureC: null, meanElevationM: 2200 }).altitudeComponent).toBeCloseTo(0.06, 3);
+    expect(computeThermalStrain({ temperatureC: null, meanElevationM: 6000 }).altitudeComponent).toBe(0.15);
+  });
+
+  it('combines heat and altitude', () => {
+    const result = computeThermalStrain({ temperatureC: 28, meanElevationM: 2000 });
+    expect(result.factor).toBeCloseTo(1.125, 3);
+    expect(result.overagePercent).toBe(13);
+  });
+});
@@ -4,12 +4,14 @@
  * EFI — Execution Fidelity Index
  * TWL — Terrain-Weighted Load
  * TCAS — Time-Constrained Adaptation Score
+ * Thermal strain — heat/altitude load factor
  */
 
 // Computation functions
 export { computeEFI, efiCoachInsight } from './efi';
 export { computeTWL, computeGVI, projectTWLForRoute } from './twl';
 export { computeTCAS, tcasCoachInsight } from './tcas';
+export { computeThermalStrain, apparentTemperatureC, thermalCategory } from './thermal';
 
 // Translation layer
 export { translateEFI, translateTWL, translateTCAS, METRICS_TOOLTIPS } from './translate';
@@ -20,6 +22,7 @@ export type {
   EFIInputs, EFIResult,
   TWLInputs, TWLResult,
   TCASSixWeekWindow, TCASResult,
+  ThermalCategory, ThermalStrainInputs, ThermalStrainResult,
   ScoreBand,
 } from './types';
 export { SCORE_COLORS, scoreBand } from './types';
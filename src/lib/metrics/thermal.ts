@@ -0,0 +1,91 @@
+/**
+ * Thermal strain — heat and altitude adjustment for training load.
+ *
+ * The same power costs more on a hot day: core temperature, skin blood flow
+ * and sweat losses all add strain that NP/FTP never sees.
+ *
+ * factor = 1 + heat + altitude
+ * heat     = HEAT_MAX × clamp((T_apparent − 21) / (35 − 21), 0, 1) × driftWeight
+ * altitude = γ × max(0, (meanElevation − 1000) / 1000)   (same γ as TWL)
+ *
+ * driftWeight scales the heat term by the ride's own cardiac drift: a hot
+ * ride with no drift (acclimatised, short, or easy) counts for less than one
+ * where power-per-heartbeat fell away. Without HR evidence it is 1.
+ *
+ * Mirrored in api/utils/thermalStrain.js — keep the two in lockstep.
+ */
+import type { ThermalCategory, ThermalStrainInputs, ThermalStrainResult } from './types';
+
+const HEAT_ONSET_C = 21;        // apparent temperature where heat strain begins
+const HEAT_FULL_C = 35;         // apparent temperature where the heat term saturates
+const HEAT_MAX = 0.15;          // heat term at saturation, before drift weighting
+const DRIFT_REFERENCE_PCT = 5;  // cardiac drift that maps to driftWeight = 1
+const DRIFT_WEIGHT_MIN = 0.5;
+const DRIFT_WEIGHT_MAX = 1.5;
+const GAMMA = 0.05;             // altitude coefficient (matches twl.ts)
+const ALTITUDE_MAX = 0.15;
+const HEAT_INDEX_MIN_F = 80;    // Rothfusz regression is only valid above 80°F
+
+const round3 = (n: number) => Math.round(n * 1000) / 1000;
+const clamp = (n: number, lo: number, hi: number) => Math.min(hi, Math.max(lo, n));
+
+/**
+ * Apparent ("feels like") temperature. Applies the NWS heat index when
+ * humidity is known and it is warm enough for the regression to hold;
+ * otherwise returns the air temperature unchanged.
+ */
+export function apparentTemperatureC(temperatureC: number, humidityPct?: number | null): number {
+  if (humidityPct == null || !Number.isFinite(humidityPct)) return temperatureC;
+  const t = temperatureC * 9 / 5 + 32;
+  if (t < HEAT_INDEX_MIN_F) return temperatureC;
+  const rh = clamp(humidityPct, 0, 100);
+  const hiF = -42.379
+    + 2.04901523 * t
+    + 10.14333127 * rh
+    - 0.22475541 * t * rh
+    - 0.00683783 * t * t
+    - 0.05481717 * rh * rh
+    + 0.00122874 * t * t * rh
+    + 0.00085282 * t * rh * rh
+    - 0.00000199 * t * t * rh * rh;
+  return Math.round(((hiF - 32) * 5 / 9) * 10) / 10;
+}
+
+export function thermalCategory(apparentC: number | null): ThermalCategory {
+  if (apparentC == null || apparentC < HEAT_ONSET_C) return 'neutral';
+  if (apparentC < 27) return 'warm';
+  if (apparentC < 32) return 'hot';
+  return 'extreme';
+}
+
+export function computeThermalStrain(inputs: ThermalStrainInputs): ThermalStrainResult {
+  const { temperatureC, humidityPct, hrDriftPct, meanElevationM } = inputs;
+
+  const apparent = temperatureC != null && Number.isFinite(temperatureC)
+    ? apparentTemperatureC(temperatureC, humidityPct)
+    : null;
+
+  const driftWeight = hrDriftPct != null && Number.isFinite(hrDriftPct)
+    ? clamp(hrDriftPct / DRIFT_REFERENCE_PCT, DRIFT_WEIGHT_MIN, DRIFT_WEIGHT_MAX)
+    : 1;
+
+  const heatFraction = apparent != null
+    ? clamp((apparent - HEAT_ONSET_C) / (HEAT_FULL_C - HEAT_ONSET_C), 0, 1)
+    : 0;
+  const heatComponent = round3(HEAT_MAX * heatFraction * driftWeight);
+
+  const altTerm = Math.max(0, ((meanElevationM ?? 0) - 1000) / 1000);
+  const altitudeComponent = round3(Math.min(ALTITUDE_MAX, GAMMA * altTerm));
+
+  const factor = round3(1 + heatComponent + altitudeComponent);
+
+  return {
+    factor,
+    apparentTemperatureC: apparent,
+    heatComponent,
+    altitudeComponent,
+    driftWeight: round3(driftWeight),
+    category: thermalCategory(apparent),
+    overagePercent: Math.round((factor - 1) * 100),
+  };
+}
@@ -1,7 +1,8 @@
 /**
  * Proprietary Metrics — Shared Type Definitions
  *
- * Types for EFI, TWL, and TCAS metric computation, display, and storage.
+ * Types for EFI, TWL, TCAS and thermal-strain metric computation, display,
+ * and storage.
  */
 export type { MetricColor, MetricTranslation } from '../fitness/types';
 
@@ -69,6 +70,27 @@ export interface TWLResult {
   overagePercent: number;
 }
 
+// ─── Thermal strain types ────────────────────────────────────────────────────
+
+export type ThermalCategory = 'neutral' | 'warm' | 'hot' | 'extreme';
+
+export interface ThermalStrainInputs {
+  temperatureC: number | null;
+  humidityPct?: number | null;
+  hrDriftPct?: number | null;
+  meanElevationM?: number | null;
+}
+
+export interface ThermalStrainResult {
+  factor: number;                       // load multiplier, 1 = neutral
+  apparentTemperatureC: number | null;  // heat-index-adjusted temperature
+  heatComponent: number;
+  altitudeComponent: number;
+  driftWeight: number;                  // 1 when no HR drift evidence
+  category: ThermalCategory;
+  overagePercent: number;
+}
+
 // ─── TCAS types ──────────────────────────────────────────────────────────────
 
 export interface TCASSixWeekWindow {
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../supabase', () => ({
+  supabase: {
+    auth: { getSession: vi.fn(async () => ({ data: { session: { access_token: 'tok' } } })) },
+  },
+}));
+
+import { enqueueRequest, getQueuedRequests, replayOfflineQueue, sendOrQueue } from '../offlineQueue';
+
+const fetchMock = vi.fn();
+
+function setOnline(online: boolean) {
+  Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  fetchMock.mockReset();
+  vi.stubGlobal('fetch', fetchMock);
+  setOnline(true);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('sendOrQueue', () => {
+  it('posts with the session token when online', async () => {
+    fetchMock.mockResolvedValue(new Response('{}', { status: 200 }));
+    const result = await sendOrQueue('/api/activity-rpe', { activity_id: 'a1', rpe: 6 });
+    expect(result.queued).toBe(false);
+    expect(fetchMock).toHaveBeenCalledWith('/api/activity-rpe', expect.objectContaining({
+      method: 'POST',
+      headers: expect.objectContaining({ Authorization: 'Bearer tok' }),
+      body: JSON.stringify({ activity_id: 'a1', rpe: 6 }),
+    }));
+    expect(getQueuedRequests()).toHaveLength(0);
+  });
+
+  it('queues without calling the network when offline', async () => {
+    setOnline(false);
+    const result = await sendOrQueue('/api/fatigue-checkin', { leg_feel: 3 });
+    expect(result).toEqual({ queued: true, response: null });
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(getQueuedRequests()).toMatchObject([{ path: '/api/fatigue-checkin', body: { leg_feel: 3 } }]);
+  });
+
+  it('queues when the request fails at the network layer', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+    const result = await sendOrQueue('/api/activity-rpe', { rpe: 4 });
+    expect(result.queued).toBe(true);
+    expect(getQueuedRequests()).toHaveLength(1);
+  });
+
+  it('hands a server error back instead of queueing', async () => {
+    fetchMock.mockResolvedValue(new Response('{}', { status: 400 }));
+    const result = await sendOrQueue('/api/activity-rpe', { rpe: 99 });
+    expect(result.queued).toBe(false);
+    expect(result.response?.status).toBe(400);
+    expect(getQueuedRequests()).toHaveLength(0);
+  });
+});
+
+describe('replayOfflineQueue', () => {
+  it('sends in order, drops rejected entries and stops on a server error', async () => {
+    enqueueRequest('/api/a', { n: 1 });
+    enqueueRequest('/api/b', { n: 2 });
+    enqueueRequest('/api/c', { n: 3 });
+    enqueueRequest('/api/d', { n: 4 });
+    fetchMock
+      .mockResolvedValueOnce(new Response('{}', { status: 200 }))
+      .mockResolvedValueOnce(new Response('{}', { status: 400 }))
+      .mockResolvedValueOnce(new Response('{}', { status: 503 }));
+
+    const sent = await replayOfflineQueue();
+    expect(sent).toBe(1);
+    expect(fetchMock.mock.calls.map((c) => c[0])).toEqual(['/api/a', '/api/b', '/api/c']);
+    expect(getQueuedRequests().map((q) => q.path)).toEqual(['/api/c', '/api/d']);
+  });
+
+  it('keeps everything while the network is still down', async () => {
+    enqueueRequest('/api/a', {});
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+    expect(await replayOfflineQueue()).toBe(0);
+    expect(getQueuedRequests()).toHaveLength(1);
+  });
+
+  it('drops entries older than a week', async () => {
+    const stale = { id: 'old', path: '/api/a', body: {}, createdAt: '2020-01-01T00:00:00Z' };
+    localStorage.setItem('tribos-offline-queue-v1', JSON.stringify([stale]));
+    expect(await replayOfflineQueue()).toBe(0);
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(getQueuedRequests()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { corridorTiles, mapTileTemplates, tileCoords, tileUrl } from '../tileCorridor';
+
+describe('tileCoords', () => {
+  it('maps lng/lat onto the slippy-map grid', () => {
+    expect(tileCoords(0, 0, 1)).toEqual([1, 1]);
+    const [x, y] = tileCoords(-105.27, 40.015, 12);
+    expect(Math.floor(x)).toBe(850);
+    expect(Math.floor(y)).toBe(1550);
+  });
+});
+
+describe('corridorTiles', () => {
+  const route: Array<[number, number]> = [
+    [-105.27, 40.015],
+    [-105.1, 40.1],
+  ];
+
+  it('covers every tile along a long straight segment, with a buffer', () => {
+    const tiles = corridorTiles(route, { minZoom: 14, maxZoom: 14, buffer: 0 });
+    const xs = tiles.map((t) => t.x);
+    const [x0] = tileCoords(route[0][0], route[0][1], 14);
+    const [x1] = tileCoords(route[1][0], route[1][1], 14);
+    // No gaps between the end columns.
+    for (let x = Math.floor(x0); x <= Math.floor(x1); x++) expect(xs).toContain(x);
+
+    const buffered = corridorTiles(route, { minZoom: 14, maxZoom: 14, buffer: 1 });
+    expect(buffered.length).toBeGreaterThan(tiles.length * 2);
+  });
+
+  it('never repeats a tile and respects the cap, low zooms first', () => {
+    const tiles = corridorTiles(route, { minZoom: 10, maxZoom: 16, maxTiles: 100 });
+    expect(tiles).toHaveLength(100);
+    expect(tiles[0].z).toBe(10);
+    const keys = tiles.map((t) => `${t.z}/${t.x}/${t.y}`);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+});
+
+describe('tileUrl', () => {
+  it('fills the template and appends a missing token', () => {
+    expect(tileUrl('https://t.example/{z}/{x}/{y}.pbf', { z: 3, x: 1, y: 2 }, 'pk.abc')).toBe(
+      'https://t.example/3/1/2.pbf?access_token=pk.abc',
+    );
+    expect(tileUrl('https://t.example/{z}/{x}/{y}.pbf?access_token=x', { z: 3, x: 1, y: 2 }, 'pk.abc')).toBe(
+      'https://t.example/3/1/2.pbf?access_token=x',
+    );
+  });
+});
+
+describe('mapTileTemplates', () => {
+  it('reads resolved tile templates from tiled sources only', () => {
+    const sources: Record<string, unknown> = {
+      composite: { tiles: ['https://api.mapbox.com/v4/streets/{z}/{x}/{y}.vector.pbf'] },
+      route: { type: 'geojson' },
+    };
+    const map = {
+      getStyle: () => ({ sources: { composite: {}, route: {} } }),
+      getSource: (id: string) => sources[id],
+    };
+    expect(mapTileTemplates(map)).toEqual(['https://api.mapbox.com/v4/streets/{z}/{x}/{y}.vector.pbf']);
+    expect(mapTileTemplates(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Offline support
+ *
+ * Snapshots for reading without network, a replay queue for check-ins made
+ * offline, map tiles along the route being ridden, and the service worker
+ * registration.
+ */
+
+export {
+  OFFLINE_DATA_CACHE,
+  saveOfflineData,
+  loadOfflineData,
+  clearOfflineData,
+  isOffline,
+  type OfflineSnapshot,
+} from './offlineData';
+export {
+  sendOrQueue,
+  enqueueRequest,
+  clearOfflineQueue,
+  getQueuedRequests,
+  replayOfflineQueue,
+  startOfflineQueueReplay,
+  type QueuedRequest,
+  type SendResult,
+} from './offlineQueue';
+export {
+  OFFLINE_TILE_CACHE,
+  corridorTiles,
+  tileCoords,
+  tileUrl,
+  mapTileTemplates,
+  cacheCorridorTiles,
+  type TileKey,
+  type CorridorOptions,
+  type TileTemplateMap,
+} from './tileCorridor';
+export {
+  geometryFingerprint,
+  saveRoutePack,
+  loadRoutePack,
+  loadPackedElevation,
+  type RoutePack,
+} from './routePack';
+export { registerServiceWorker } from './registerServiceWorker';
+export { cacheWeekAhead, loadWeekAhead, type WeekAheadWorkout } from './weekAhead';
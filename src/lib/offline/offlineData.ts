@@ -0,0 +1,68 @@
+/**
+ * offlineData — JSON snapshots in Cache Storage for reading without network.
+ *
+ * The page writes snapshots while online (today's workout, the week ahead,
+ * the route being ridden) and reads them back when Supabase is unreachable.
+ * The service worker never writes here; it only keeps this cache alive across
+ * its own version bumps (see public/sw.js). No-ops where Cache Storage is
+ * unavailable (SSR, tests, private modes).
+ */
+
+export const OFFLINE_DATA_CACHE = 'tribos-offline-data-v1';
+
+const KEY_PREFIX = '/__offline__/';
+
+export interface OfflineSnapshot<T> {
+  savedAt: string;
+  data: T;
+}
+
+function cacheStorage(): CacheStorage | null {
+  return typeof caches !== 'undefined' ? caches : null;
+}
+
+function keyUrl(key: string): string {
+  const origin = typeof location !== 'undefined' ? location.origin : 'http://localhost';
+  return `${origin}${KEY_PREFIX}${encodeURIComponent(key)}`;
+}
+
+export async function saveOfflineData<T>(key: string, data: T): Promise<void> {
+  const storage = cacheStorage();
+  if (!storage) return;
+  try {
+    const snapshot: OfflineSnapshot<T> = { savedAt: new Date().toISOString(), data };
+    const cache = await storage.open(OFFLINE_DATA_CACHE);
+    await cache.put(
+      keyUrl(key),
+      new Response(JSON.stringify(snapshot), { headers: { 'Content-Type': 'application/json' } }),
+    );
+  } catch (err) {
+    // Quota or storage errors only cost offline support.
+    console.warn('saveOfflineData failed:', err);
+  }
+}
+
+export async function loadOfflineData<T>(key: string): Promise<OfflineSnapshot<T> | null> {
+  const storage = cacheStorage();
+  if (!storage) return null;
+  try {
+    const cache = await storage.open(OFFLINE_DATA_CACHE);
+    const res = await cache.match(keyUrl(key));
+    if (!res) return null;
+    return (await res.json()) as OfflineSnapshot<T>;
+  } catch (err) {
+    console.warn('loadOfflineData failed:', err);
+    return null;
+  }
+}
+
+export async function clearOfflineData(): Promise<void> {
+  const storage = cacheStorage();
+  if (!storage) return;
+  await storage.delete(OFFLINE_DATA_CACHE);
+}
+
+/** True when the browser reports no network. Unknown counts as online. */
+export function isOffline(): boolean {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
@@ -0,0 +1,149 @@
+/**
+ * offlineQueue — POSTs made without network, replayed when back online.
+ *
+ * Used by the check-ins a rider makes away from signal (post-ride RPE,
+ * morning fatigue survey). The queue lives in localStorage so it survives a
+ * reload or a closed tab; the auth token is read at replay time, never
+ * stored. Requests are replayed in order; a network failure or 5xx stops the
+ * run and keeps the rest for next time, a definitive 4xx drops the entry.
+ */
+
+import { supabase } from '../supabase';
+
+const STORAGE_KEY = 'tribos-offline-queue-v1';
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 50;
+
+/** Statuses worth retrying later (auth may refresh, limits may lift). */
+const RETRYABLE_STATUS = new Set([401, 408, 425, 429]);
+
+export interface QueuedRequest {
+  id: string;
+  path: string;
+  body: unknown;
+  createdAt: string;
+}
+
+export interface SendResult {
+  queued: boolean;
+  response: Response | null;
+}
+
+function readQueue(): QueuedRequest[] {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeQueue(queue: QueuedRequest[]): void {
+  try {
+    if (queue.length === 0) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  } catch (err) {
+    console.warn('offlineQueue: could not persist queue', err);
+  }
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('tribos:offline-queue', { detail: { size: queue.length } }));
+  }
+}
+
+export function getQueuedRequests(): QueuedRequest[] {
+  return readQueue();
+}
+
+/** Forget queued requests — on sign-out, so they never replay as someone else. */
+export function clearOfflineQueue(): void {
+  writeQueue([]);
+}
+
+export function enqueueRequest(path: string, body: unknown): QueuedRequest {
+  const entry: QueuedRequest = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    path,
+    body,
+    createdAt: new Date().toISOString(),
+  };
+  writeQueue([...readQueue(), entry].slice(-MAX_ENTRIES));
+  return entry;
+}
+
+async function postJson(path: string, body: unknown): Promise<Response> {
+  const { data: { session } } = await supabase.auth.getSession();
+  return fetch(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * POST now, or queue for later when there's no network. A request that
+ * reaches the server (any status) is never queued — the caller handles the
+ * response as usual.
+ */
+export async function sendOrQueue(path: string, body: unknown): Promise<SendResult> {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    enqueueRequest(path, body);
+    return { queued: true, response: null };
+  }
+  try {
+    return { queued: false, response: await postJson(path, body) };
+  } catch (err) {
+    // fetch only rejects on network failure.
+    if (err instanceof TypeError) {
+      enqueueRequest(path, body);
+      return { queued: true, response: null };
+    }
+    throw err;
+  }
+}
+
+let replaying: Promise<number> | null = null;
+
+/** Replay the queue in order. Resolves to the number of entries sent. */
+export function replayOfflineQueue(): Promise<number> {
+  if (replaying) return replaying;
+  replaying = (async () => {
+    let sent = 0;
+    const cutoff = Date.now() - MAX_AGE_MS;
+    let queue = readQueue().filter((q) => Date.parse(q.createdAt) >= cutoff);
+    while (queue.length > 0) {
+      const [head, ...rest] = queue;
+      let res: Response;
+      try {
+        res = await postJson(head.path, head.body);
+      } catch {
+        break; // still offline
+      }
+      if (res.status >= 500 || RETRYABLE_STATUS.has(res.status)) break;
+      if (res.ok) sent++;
+      else console.warn(`offlineQueue: dropped ${head.path} (HTTP ${res.status})`);
+      queue = rest;
+      writeQueue(queue);
+    }
+    writeQueue(queue);
+    return sent;
+  })().finally(() => {
+    replaying = null;
+  });
+  return replaying;
+}
+
+let started = false;
+
+/** Replay now and on every reconnect. Idempotent. */
+export function startOfflineQueueReplay(): void {
+  if (started || typeof window === 'undefined') return;
+  started = true;
+  window.addEventListener('online', () => {
+    void replayOfflineQueue();
+  });
+  if (readQueue().length > 0) void replayOfflineQueue();
+}
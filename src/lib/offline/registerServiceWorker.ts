@@ -0,0 +1,18 @@
+/**
+ * registerServiceWorker — install /sw.js for offline support in production.
+ *
+ * The same worker serves push notifications (usePushNotifications registers
+ * it too; registration is idempotent). Its fetch handling is network-first
+ * and never precaches — see the header of public/sw.js and
+ * docs/postmortem-2026-03-13-cloudflare-pwa-outage.md before changing it.
+ */
+
+export function registerServiceWorker(): void {
+  if (!import.meta.env.PROD) return;
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => {
+      console.warn('Service worker registration failed:', err);
+    });
+  });
+}
@@ -0,0 +1,54 @@
+/**
+ * routePack — the route being ridden, kept for offline use.
+ *
+ * Geometry, cues, stats and the elevation profile of the selected saved
+ * route, stored as one offline snapshot. Route Builder falls back to it when
+ * loading the route or its elevation fails without network. One pack is kept
+ * (the most recently selected route).
+ */
+
+import { loadOfflineData, saveOfflineData } from './offlineData';
+
+const ROUTE_PACK_KEY = 'route-pack';
+
+export interface RoutePack {
+  routeId: string;
+  name: string;
+  description: string;
+  geometry: { type: 'LineString'; coordinates: Array<[number, number]> };
+  cues: unknown[] | null;
+  stats: { distance_km: number; elevation_gain_m: number; duration_s: number };
+  waypoints: unknown[];
+  elevationProfile: Array<{ distance_km: number; elevation_m: number }> | null;
+}
+
+/**
+ * Cheap identity for a geometry — point count plus rounded endpoints and
+ * midpoint — so an edited route never picks up a stale elevation profile.
+ */
+export function geometryFingerprint(coordinates: Array<[number, number]> | null | undefined): string {
+  if (!coordinates || coordinates.length === 0) return '';
+  const pick = (c: [number, number]) => `${c[0].toFixed(5)},${c[1].toFixed(5)}`;
+  const mid = coordinates[Math.floor(coordinates.length / 2)];
+  return `${coordinates.length}|${pick(coordinates[0])}|${pick(mid)}|${pick(coordinates[coordinates.length - 1])}`;
+}
+
+export function saveRoutePack(pack: RoutePack): Promise<void> {
+  return saveOfflineData(ROUTE_PACK_KEY, pack);
+}
+
+export async function loadRoutePack(): Promise<RoutePack | null> {
+  const snapshot = await loadOfflineData<RoutePack>(ROUTE_PACK_KEY);
+  return snapshot?.data ?? null;
+}
+
+/** The cached elevation profile, if it belongs to exactly this geometry. */
+export async function loadPackedElevation(
+  coordinates: Array<[number, number]>,
+): Promise<RoutePack['elevationProfile']> {
+  const pack = await loadRoutePack();
+  if (!pack?.elevationProfile) return null;
+  return geometryFingerprint(pack.geometry.coordinates) === geometryFingerprint(coordinates)
+    ? pack.elevationProfile
+    : null;
+}
@@ -0,0 +1,162 @@
+/**
+ * tileCorridor — map tiles along a route, cached for riding without signal.
+ *
+ * corridorTiles() lists the slippy-map tiles a route passes through (plus a
+ * buffer) at riding zooms; cacheCorridorTiles() fetches them for the live
+ * basemap into OFFLINE_TILE_CACHE. The service worker falls back to that
+ * cache when a tile request fails, matching on the URL without its query
+ * string (Mapbox adds per-session `sku` / token params). Only one corridor
+ * is kept: caching a new route replaces the previous one.
+ */
+
+export const OFFLINE_TILE_CACHE = 'tribos-map-tiles-v1';
+
+export interface TileKey {
+  z: number;
+  x: number;
+  y: number;
+}
+
+export interface CorridorOptions {
+  minZoom?: number;
+  maxZoom?: number;
+  /** Extra tiles on every side of the line, per zoom. */
+  buffer?: number;
+  /** Hard cap across all zooms; lower zooms are kept first. */
+  maxTiles?: number;
+}
+
+const DEFAULTS: Required<CorridorOptions> = {
+  minZoom: 10,
+  maxZoom: 15,
+  buffer: 1,
+  maxTiles: 800,
+};
+
+const MAX_LAT = 85.0511;
+
+/** Fractional tile coordinates of a [lng, lat] point at zoom z. */
+export function tileCoords(lng: number, lat: number, z: number): [number, number] {
+  const n = 2 ** z;
+  const clampedLat = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+  const latRad = (clampedLat * Math.PI) / 180;
+  const x = ((lng + 180) / 360) * n;
+  const y = ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n;
+  return [Math.min(n - 1, Math.max(0, x)), Math.min(n - 1, Math.max(0, y))];
+}
+
+export function corridorTiles(
+  coordinates: Array<[number, number]>,
+  options: CorridorOptions = {},
+): TileKey[] {
+  const { minZoom, maxZoom, buffer, maxTiles } = { ...DEFAULTS, ...options };
+  const out: TileKey[] = [];
+  if (coordinates.length === 0) return out;
+
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const n = 2 ** z;
+    const seen = new Set<string>();
+    const add = (tx: number, ty: number) => {
+      for (let dx = -buffer; dx <= buffer; dx++) {
+        for (let dy = -buffer; dy <= buffer; dy++) {
+          const x = tx + dx;
+          const y = ty + dy;
+          if (x < 0 || y < 0 || x >= n || y >= n) continue;
+          const key = `${x}/${y}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          out.push({ z, x, y });
+        }
+      }
+    };
+
+    let prev = tileCoords(coordinates[0][0], coordinates[0][1], z);
+    add(Math.floor(prev[0]), Math.floor(prev[1]));
+    for (let i = 1; i < coordinates.length; i++) {
+      const next = tileCoords(coordinates[i][0], coordinates[i][1], z);
+      // Sample densely enough that a long straight segment can't skip a tile.
+      const steps = Math.ceil(Math.max(Math.abs(next[0] - prev[0]), Math.abs(next[1] - prev[1])) * 2);
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        add(
+          Math.floor(prev[0] + (next[0] - prev[0]) * t),
+          Math.floor(prev[1] + (next[1] - prev[1]) * t),
+        );
+      }
+      prev = next;
+    }
+    if (out.length >= maxTiles) break;
+  }
+  return out.slice(0, maxTiles);
+}
+
+/** Fill a `{z}/{x}/{y}` template, adding the access token if it's missing. */
+export function tileUrl(template: string, tile: TileKey, accessToken?: string | null): string {
+  const url = template
+    .replace('{z}', String(tile.z))
+    .replace('{x}', String(tile.x))
+    .replace('{y}', String(tile.y));
+  if (!accessToken || /[?&]access_token=/.test(url)) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(accessToken)}`;
+}
+
+interface TileSourceLike {
+  tiles?: unknown;
+}
+
+export interface TileTemplateMap {
+  getStyle: () => { sources?: Record<string, unknown> } | undefined;
+  getSource: (id: string) => unknown;
+}
+
+/** Resolved tile URL templates of every tiled source in the live style. */
+export function mapTileTemplates(map: TileTemplateMap | null | undefined): string[] {
+  const sources = map?.getStyle()?.sources ?? {};
+  const templates = new Set<string>();
+  for (const id of Object.keys(sources)) {
+    const tiles = (map?.getSource(id) as TileSourceLike | undefined)?.tiles;
+    if (Array.isArray(tiles) && typeof tiles[0] === 'string' && tiles[0].includes('{z}')) {
+      templates.add(tiles[0]);
+    }
+  }
+  return [...templates];
+}
+
+const FETCH_CONCURRENCY = 6;
+
+/**
+ * Replace the cached corridor with the tiles of this route for each template.
+ * Resolves to the number of tiles stored; failures are skipped silently.
+ */
+export async function cacheCorridorTiles(
+  templates: string[],
+  coordinates: Array<[number, number]>,
+  { accessToken, ...options }: CorridorOptions & { accessToken?: string | null } = {},
+): Promise<number> {
+  if (typeof caches === 'undefined' || templates.length === 0 || coordinates.length < 2) return 0;
+
+  const tiles = corridorTiles(coordinates, options);
+  const urls = templates.flatMap((t) => tiles.map((tile) => tileUrl(t, tile, accessToken)));
+
+  await caches.delete(OFFLINE_TILE_CACHE);
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+
+  let stored = 0;
+  let cursor = 0;
+  const worker = async () => {
+    while (cursor < urls.length) {
+      const url = urls[cursor++];
+      try {
+        const res = await fetch(url, { mode: 'cors' });
+        if (res.ok) {
+          await cache.put(url, res);
+          stored++;
+        }
+      } catch {
+        // Skip — a missing tile just renders blank offline.
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+  return stored;
+}
@@ -0,0 +1,51 @@
+/**
+ * weekAhead — the next seven days of planned workouts, snapshotted for
+ * offline reads. Warmed by the Today view; read back by views that list
+ * upcoming workouts (e.g. the Route Builder workout picker) when Supabase is
+ * unreachable.
+ */
+
+import { supabase } from '../supabase';
+import { addDays, formatLocalDate, getTodayString } from '../../utils/dateUtils';
+import { loadOfflineData, saveOfflineData } from './offlineData';
+
+const WEEK_DAYS = 7;
+
+export interface WeekAheadWorkout {
+  id: string;
+  scheduled_date: string;
+  workout_type: string | null;
+  workout_id: string | null;
+  name: string | null;
+  duration_minutes: number | null;
+  target_duration: number | null;
+  target_distance_km: number | null;
+  target_rss: number | null;
+  target_tss: number | null;
+  completed: boolean | null;
+}
+
+const weekAheadKey = (userId: string) => `plan-week:${userId}`;
+
+/** Fetch today … today+6 and store it. Resolves to the rows, or null on error. */
+export async function cacheWeekAhead(userId: string): Promise<WeekAheadWorkout[] | null> {
+  const today = getTodayString();
+  const end = formatLocalDate(addDays(new Date(), WEEK_DAYS - 1));
+  const { data, error } = await supabase
+    .from('planned_workouts')
+    .select('id, scheduled_date, workout_type, workout_id, name, duration_minutes, target_duration, target_distance_km, target_rss, target_tss, completed')
+    .eq('user_id', userId)
+    .gte('scheduled_date', today)
+    .lte('scheduled_date', end)
+    .order('scheduled_date', { ascending: true });
+  if (error || !data) return null;
+  await saveOfflineData(weekAheadKey(userId), data);
+  return data as WeekAheadWorkout[];
+}
+
+/** The stored week, minus days already past. */
+export async function loadWeekAhead(userId: string): Promise<WeekAheadWorkout[]> {
+  const snapshot = await loadOfflineData<WeekAheadWorkout[]>(weekAheadKey(userId));
+  const today = getTodayString();
+  return (snapshot?.data ?? []).filter((w) => w.scheduled_date >= today);
+}
@@ -150,9 +150,17 @@ describe('calculateAFITimeConstant', () => {
 });
 
 describe('applyHRVModulation', () => {
-  it('is an identity function today', () => {
+  it('leaves tau alone without a baseline or within ±0.5 SD', () => {
     expect(applyHRVModulation(42)).toBe(42);
-    expect(applyHRVModulation(7, 65)).toBe(7);
     expect(applyHRVModulation(42, null)).toBe(42);
+    expect(applyHRVModulation(7, 0.4)).toBe(7);
+    expect(applyHRVModulation(7, -0.5)).toBe(7);
+  });
+
+  it('lengthens tau when HRV is suppressed and shortens it when elevated', () => {
+    expect(applyHRVModulation(42, -1)).toBe(46.2);
+    expect(applyHRVModulation(42, -3)).toBe(48.3); // capped at +15%
+    expect(applyHRVModulation(42, 0.8)).toBe(38.6);
+    expect(applyHRVModulation(42, 4)).toBe(37.8); // capped at −10%
   });
 });
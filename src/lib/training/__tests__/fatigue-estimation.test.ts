@@ -23,6 +23,19 @@ describe('estimateTSS', () => {
       expect(result.tss_high).toBeGreaterThan(result.tss);
     });
 
+    it('scales by the heat/altitude thermal factor', () => {
+      const activity: ActivityData = {
+        duration_seconds: 3600,
+        normalized_power: 200,
+        ftp: 250,
+        thermal_factor: 1.1,
+      };
+      const result = estimateTSS(activity, defaultCal);
+
+      expect(result.tss).toBeCloseTo(70.4, 1);
+      expect(result.method_detail).toContain('thermal×1.10');
+    });
+
     it('handles high intensity (IF > 1.0)', () => {
       const activity: ActivityData = {
         duration_seconds: 1800, // 30 min
@@ -56,6 +69,14 @@ describe('estimateTSS', () => {
       expect(result.confidence).toBeLessThanOrEqual(0.80);
     });
 
+    it('does not apply the thermal factor (heat already raises HR)', () => {
+      const hr_stream = new Array(3600).fill(155);
+      const base: ActivityData = { duration_seconds: 3600, hr_stream, hr_max: 190, hr_rest: 60 };
+      const hot = estimateTSS({ ...base, thermal_factor: 1.15 }, defaultCal);
+
+      expect(hot.tss).toBe(estimateTSS(base, defaultCal).tss);
+    });
+
     it('applies cardiac drift correction for long rides', () => {
       const hr_stream = new Array(7200).fill(140); // 2 hours in Z2
       const shortActivity: ActivityData = {
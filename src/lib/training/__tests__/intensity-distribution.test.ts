@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  activityZoneSeconds,
+  analyzeTID,
+  blockPrescriptions,
+  classifyTID,
+  compareTID,
+  prescriptionZoneSeconds,
+  summarizeTID,
+  targetTID,
+  type TIDActivity,
+} from '../intensity-distribution';
+
+function powerRide(date: string, hours: number, pzd: Record<string, number>): TIDActivity {
+  return {
+    start_date: `${date}T08:00:00Z`,
+    fit_coach_context: { power_zone_distribution: pzd, duration_seconds: hours * 3600 },
+  };
+}
+
+describe('activityZoneSeconds', () => {
+  it('buckets power zones into the three-zone model', () => {
+    const z = activityZoneSeconds(powerRide('2026-10-12', 1, { z1: 30, z2: 50, z3: 10, z4: 5, z5: 5 }))!;
+    expect(z.source).toBe('power');
+    expect(z.low).toBeCloseTo(2880);
+    expect(z.mid).toBeCloseTo(540);
+    expect(z.high).toBeCloseTo(180);
+  });
+
+  it('falls back to HR zones and skips rides with neither', () => {
+    const hr = activityZoneSeconds({
+      start_date: '2026-10-12T08:00:00Z',
+      ride_analytics: {
+        hr_zones: { zones: [{ seconds: 600 }, { seconds: 1200 }, { seconds: 600 }, { seconds: 300 }, { seconds: 100 }] },
+      },
+    });
+    expect(hr).toEqual({ low: 2400, mid: 300, high: 100, source: 'hr' });
+    expect(activityZoneSeconds({ start_date: '2026-10-12T08:00:00Z' })).toBeNull();
+  });
+});
+
+describe('classifyTID', () => {
+  it('tells the three shapes apart', () => {
+    expect(classifyTID({ low: 0.8, mid: 0.05, high: 0.15 })).toBe('polarized');
+    expect(classifyTID({ low: 0.75, mid: 0.18, high: 0.07 })).toBe('pyramidal');
+    expect(classifyTID({ low: 0.45, mid: 0.45, high: 0.1 })).toBe('threshold');
+    // More high than mid, but too little of it to polarize.
+    expect(classifyTID({ low: 0.7, mid: 0.14, high: 0.16 })).toBe('pyramidal');
+  });
+
+  it('leaves thin weeks unclassified', () => {
+    expect(summarizeTID({ low: 1200, mid: 300, high: 100 }).classification).toBeNull();
+    expect(summarizeTID({ low: 0, mid: 0, high: 0 }).fractions).toEqual({ low: 0, mid: 0, high: 0 });
+  });
+});
+
+describe('prescription targets', () => {
+  it('counts interval work at its %FTP band and everything else as low', () => {
+    const z = prescriptionZoneSeconds({
+      date: '2026-10-13',
+      session_type: 'vo2',
+      target_duration_min: 60,
+      prescribed_intervals: [
+        { duration_min: 4, target_pct_ftp_min: 106, target_pct_ftp_max: 120, recovery_min: 4, repeats: 5 },
+      ],
+    });
+    expect(z).toEqual({ low: 2400, mid: 0, high: 1200 });
+  });
+
+  it('uses the session type when there are no intervals', () => {
+    expect(
+      prescriptionZoneSeconds({ date: '2026-10-13', session_type: 'tempo', target_duration_min: 30, prescribed_intervals: null }),
+    ).toEqual({ low: 0, mid: 1800, high: 0 });
+    expect(
+      prescriptionZoneSeconds({ date: '2026-10-13', session_type: 'rest', target_duration_min: 0, prescribed_intervals: null }),
+    ).toEqual({ low: 0, mid: 0, high: 0 });
+  });
+
+  it('derives block targets from BLOCK_LIBRARY', () => {
+    const block = { block_type: 'threshold' as const, start_date: '2026-10-05', end_date: '2026-10-25' };
+    const threshold = targetTID(blockPrescriptions(block));
+    const aerobic = targetTID(blockPrescriptions({ ...block, block_type: 'aerobic_build' }));
+    expect(threshold.fractions.mid).toBeGreaterThan(aerobic.fractions.mid);
+    expect(aerobic.fractions.low).toBeGreaterThan(0.7);
+  });
+});
+
+describe('compareTID / analyzeTID', () => {
+  it('flags grey-zone drift against a polarized target', () => {
+    const target = summarizeTID({ low: 8000, mid: 500, high: 1500 });
+    const actual = summarizeTID({ low: 5500, mid: 4000, high: 500 });
+    const { drift, flags } = compareTID(actual, target);
+    expect(drift.mid).toBeCloseTo(0.35);
+    expect(flags.map((f) => f.code)).toEqual(['too_much_mid', 'missing_intensity', 'shape_mismatch']);
+  });
+
+  it('groups rides by ISO week and compares the block to date', () => {
+    const easy = { z1: 30, z2: 60, z3: 5, z4: 3, z5: 2 };
+    const grey = { z1: 10, z2: 30, z3: 35, z4: 20, z5: 5 };
+    const analysis = analyzeTID(
+      [
+        powerRide('2026-10-06', 2, easy),
+        powerRide('2026-10-08', 1.5, easy),
+        powerRide('2026-10-13', 2, grey),
+        powerRide('2026-10-15', 2, grey),
+      ],
+      { block_type: 'aerobic_build', start_date: '2026-10-05', end_date: '2026-10-25' },
+    );
+    expect(analysis.weeks.map((w) => w.weekStart)).toEqual(['2026-10-05', '2026-10-12']);
+    expect(analysis.weeks[0].classification).toBe('pyramidal');
+    expect(analysis.weeks[1].classification).toBe('threshold');
+    expect(analysis.weeks[1].comparison?.flags.some((f) => f.code === 'too_much_mid')).toBe(true);
+    expect(analysis.block?.blockType).toBe('aerobic_build');
+    expect(analysis.block?.comparison?.target.classification).toBe('pyramidal');
+  });
+});
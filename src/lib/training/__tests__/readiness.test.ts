@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildSubjectiveSignals,
+  computeReadiness,
+  hrvBaselineSd,
+  suggestReadinessSwap,
+  toSubjectiveSignals,
+  type HealthDay,
+} from '../readiness';
+
+const TODAY = '2026-10-18';
+
+function dayBefore(n: number): string {
+  const d = new Date(`${TODAY}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** 14 steady prior days (HRV ~60 ms, RHR 50) plus `today`. */
+function history(today: Partial<HealthDay>): HealthDay[] {
+  const prior: HealthDay[] = Array.from({ length: 14 }, (_, i) => ({
+    date: dayBefore(i + 1),
+    hrv_ms: i % 2 === 0 ? 58 : 62,
+    resting_hr: 50,
+    sleep_hours: 7.5,
+  }));
+  return [...prior, { date: TODAY, ...today }];
+}
+
+describe('hrvBaselineSd', () => {
+  it('measures today against the rolling baseline', () => {
+    expect(hrvBaselineSd(history({ hrv_ms: 60 }), TODAY)).toBeCloseTo(0, 0);
+    expect(hrvBaselineSd(history({ hrv_ms: 48 }), TODAY)!).toBeLessThan(-2);
+  });
+
+  it('needs enough prior readings', () => {
+    expect(hrvBaselineSd([{ date: dayBefore(1), hrv_ms: 60 }, { date: TODAY, hrv_ms: 40 }], TODAY)).toBeNull();
+    expect(hrvBaselineSd(history({ sleep_hours: 8 }), TODAY)).toBeNull();
+  });
+});
+
+describe('computeReadiness', () => {
+  it('scores a normal morning as high', () => {
+    const r = computeReadiness(history({ hrv_ms: 61, resting_hr: 49, sleep_hours: 8, energy_level: 4 }), TODAY)!;
+    expect(r.band).toBe('high');
+    expect(r.flags).toEqual([]);
+  });
+
+  it('flags suppressed HRV, raised resting HR and poor sleep', () => {
+    const r = computeReadiness(
+      history({ hrv_ms: 45, resting_hr: 57, sleep_hours: 5, sleep_quality: 2, muscle_soreness: 4 }),
+      TODAY,
+    )!;
+    expect(r.band).toBe('low');
+    expect(r.restingHrDelta).toBe(7);
+    expect(r.muscleSoreness).toBe(true);
+    expect(r.flags[0]).toBe('HRV below your baseline');
+    expect(r.flags).toContain('resting HR up 7 bpm');
+  });
+
+  it('uses whatever signals exist and returns null without any', () => {
+    const subjectiveOnly = computeReadiness([{ date: TODAY, energy_level: 5, muscle_soreness: 1, stress_level: 1 }], TODAY)!;
+    expect(subjectiveOnly.score).toBe(100);
+    expect(subjectiveOnly.components.hrv).toBeNull();
+    expect(computeReadiness([{ date: TODAY }], TODAY)).toBeNull();
+    expect(computeReadiness([], TODAY)).toBeNull();
+  });
+});
+
+describe('toSubjectiveSignals / buildSubjectiveSignals', () => {
+  it('maps readiness onto the block library signals', () => {
+    const r = computeReadiness(history({ hrv_ms: 45, sleep_hours: 5, muscle_soreness: 5 }), TODAY)!;
+    const signals = toSubjectiveSignals(r);
+    expect(signals.date).toBe(TODAY);
+    expect(signals.wellness_score).toBeLessThanOrEqual(4);
+    expect(signals.hrv_baseline_sd).toBe(r.hrvBaselineSd);
+    expect(signals.muscle_soreness_flag).toBe(true);
+  });
+
+  it('builds one signal per day, most recent first', () => {
+    const signals = buildSubjectiveSignals(history({ hrv_ms: 60 }));
+    expect(signals[0].date).toBe(TODAY);
+    expect(signals).toHaveLength(15);
+  });
+});
+
+describe('suggestReadinessSwap', () => {
+  const low = computeReadiness(history({ hrv_ms: 45, resting_hr: 57, sleep_hours: 5 }), TODAY);
+  const fine = computeReadiness(history({ hrv_ms: 61, sleep_hours: 8 }), TODAY);
+
+  it('eases hard sessions on a low day', () => {
+    expect(suggestReadinessSwap(low, 'vo2max')).toMatchObject({ fromType: 'vo2max', toType: 'recovery' });
+    expect(suggestReadinessSwap(low, 'threshold')?.reason).toMatch(/^Low readiness: HRV below your baseline/);
+  });
+
+  it('never touches easy days or a ready athlete', () => {
+    expect(suggestReadinessSwap(low, 'endurance')).toBeNull();
+    expect(suggestReadinessSwap(fine, 'threshold')).toBeNull();
+    expect(suggestReadinessSwap(null, 'threshold')).toBeNull();
+  });
+});
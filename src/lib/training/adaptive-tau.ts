@@ -17,20 +17,24 @@
 
 export const DEFAULT_TFI_TAU = 42;
 export const DEFAULT_AFI_TAU = 7;
+const HRV_DEAD_ZONE_SD = 0.5;
 
 /**
- * Placeholder HRV modulation. Tracked as future work per the rename plan —
- * the helper exists so future HRV-aware callers don't need to re-plumb,
- * but today it's an identity function.
- *
- * @todo Implement HRV-based modulation once `latest_hrv_rmssd` lands on
- *       user_profiles.
+ * HRV modulation of a time constant. `hrvBaselineSd` is today's HRV in
+ * standard deviations from the athlete's rolling baseline (readiness.ts
+ * hrvBaselineSd). Suppressed HRV means fatigue is clearing more slowly than
+ * the model assumes, so tau lengthens (up to +15%); elevated HRV shortens it
+ * (down to −10%). Within ±0.5 SD — ordinary day-to-day noise — and without a
+ * baseline, tau is returned unchanged.
  */
 export function applyHRVModulation(
   tau: number,
-  _hrvRmssd?: number | null
+  hrvBaselineSd?: number | null
 ): number {
-  return tau;
+  if (hrvBaselineSd == null || !Number.isFinite(hrvBaselineSd)) return tau;
+  if (Math.abs(hrvBaselineSd) <= HRV_DEAD_ZONE_SD) return tau;
+  const factor = Math.min(1.15, Math.max(0.9, 1 - 0.1 * hrvBaselineSd));
+  return +(tau * factor).toFixed(1);
 }
 
 /**
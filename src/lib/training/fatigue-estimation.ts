@@ -133,6 +133,31 @@ export function filterZeroPowerPoints(
   return out;
 }
 
+// ── Thermal strain ───────────────────────────────────────────────────────────
+// Mirrors applyThermalFactor in api/utils/fitnessSnapshots.js.
+
+const MAX_THERMAL_FACTOR = 1.4;
+
+/**
+ * Scale a non-HR estimate by the ride's heat/altitude factor. HR-based
+ * tiers are returned unchanged — heart rate already rises with heat.
+ */
+export function applyThermalFactor(
+  estimate: TSSEstimate,
+  activity: ActivityData | null | undefined,
+): TSSEstimate {
+  const factor = Number(activity?.thermal_factor);
+  if (estimate.source === 'hr' || !Number.isFinite(factor) || factor <= 1) return estimate;
+  const f = Math.min(factor, MAX_THERMAL_FACTOR);
+  return {
+    ...estimate,
+    tss: round2(estimate.tss * f),
+    tss_low: round2(estimate.tss_low * f),
+    tss_high: round2(estimate.tss_high * f),
+    method_detail: `${estimate.method_detail}, thermal×${f.toFixed(2)}`,
+  };
+}
+
 // ── Main Entry Point ─────────────────────────────────────────────────────────
 
 /**
@@ -142,10 +167,18 @@ export function filterZeroPowerPoints(
  * terrain_class is attached to every tier so downstream writers can
  * persist it uniformly; the multiplier is only applied inside the
  * type-inference tier (the other tiers already reflect climbing load).
+ * The thermal factor applies to every tier except HR.
  */
 export function estimateTSS(
   activity: ActivityData,
   calibration: CalibrationFactors
+): TSSEstimate {
+  return applyThermalFactor(estimateUnadjusted(activity, calibration), activity);
+}
+
+function estimateUnadjusted(
+  activity: ActivityData,
+  calibration: CalibrationFactors
 ): TSSEstimate {
   const terrain_class = classifyTerrain(activity.distance_m, activity.total_elevation_m);
 
@@ -0,0 +1,357 @@
+/**
+ * Training intensity distribution (TID) — how ride time splits across the
+ * three-zone model, what that shape is, and how far it sits from what the
+ * active block prescribes.
+ *
+ * Three zones, anchored on the two lactate/ventilatory turn points:
+ *   - low  (below LT1): power Z1–Z2, HR zones 1–3 (< 80% HRmax)
+ *   - mid  (LT1–LT2):   power Z3–Z4 (tempo, sweet spot, threshold), HR zone 4
+ *   - high (above LT2): power Z5–Z7, HR zone 5 (> 90% HRmax)
+ * The power buckets match the TFI composition split in
+ * api/utils/fitnessSnapshots.js. Power is preferred; HR fills in for rides
+ * without a power meter.
+ *
+ * Sources per activity:
+ *   - power: fit_coach_context.power_zone_distribution (% of pedalling time)
+ *     scaled by fit_coach_context.duration_seconds
+ *   - HR:    ride_analytics.hr_zones.zones[].seconds
+ *
+ * Targets come from the block's prescriptions (session_prescriptions, or the
+ * BLOCK_LIBRARY generator when none are persisted): interval work counts at
+ * its %FTP band, recoveries and the rest of the session count as low.
+ *
+ * Mirrored in api/utils/intensityDistribution.js (api/ can't import src/) —
+ * keep the two in lockstep.
+ */
+
+import type { BlockType, IntervalPrescription, MastersFactor, SessionType } from '@/types/training';
+import { BLOCK_LIBRARY, MASTERS_FACTOR_DEFAULTS } from './blocks';
+import type { SequencerContext } from './blocks';
+
+export interface TIDZones {
+  low: number;
+  mid: number;
+  high: number;
+}
+
+export type TIDClass = 'polarized' | 'pyramidal' | 'threshold';
+
+export interface TIDSummary {
+  /** Seconds per zone. */
+  seconds: TIDZones;
+  /** Share of total time per zone, 0–1. */
+  fractions: TIDZones;
+  /**
+   * Treff polarization index, log10(low / mid × high × 100) on fractions.
+   * Null when mid or high is empty.
+   */
+  polarizationIndex: number | null;
+  classification: TIDClass | null;
+}
+
+export interface TIDDriftFlag {
+  code: 'too_much_mid' | 'not_enough_low' | 'missing_intensity' | 'too_much_intensity' | 'shape_mismatch';
+  message: string;
+}
+
+export interface TIDComparison {
+  target: TIDSummary;
+  /** actual − target per zone, in fraction points. */
+  drift: TIDZones;
+  flags: TIDDriftFlag[];
+}
+
+export interface TIDWeek extends TIDSummary {
+  weekStart: string; // Monday, YYYY-MM-DD
+  rides: number;
+  comparison: TIDComparison | null;
+}
+
+export interface TIDActivity {
+  start_date: string;
+  fit_coach_context?: {
+    power_zone_distribution?: Record<string, number> | null;
+    duration_seconds?: number | null;
+  } | null;
+  ride_analytics?: {
+    hr_zones?: { zones?: Array<{ seconds?: number | null }> | null } | null;
+  } | null;
+}
+
+export interface TIDPrescription {
+  date: string;
+  session_type: SessionType;
+  target_duration_min: number;
+  prescribed_intervals: IntervalPrescription[] | null;
+}
+
+export interface TIDBlock {
+  block_type: BlockType;
+  start_date: string;
+  end_date: string;
+  coefficients_snapshot?: MastersFactor | null;
+}
+
+export interface TIDAnalysis {
+  weeks: TIDWeek[];
+  /** The active block to date, against the whole block's prescription. */
+  block: (TIDSummary & { blockType: BlockType; comparison: TIDComparison | null }) | null;
+}
+
+const EMPTY: TIDZones = { low: 0, mid: 0, high: 0 };
+
+// Polarized needs a real spike at the top as well as a big easy base.
+const POLARIZED_PI = 2;
+// Drift thresholds, in fraction points of total time.
+const MID_DRIFT = 0.1;
+const LOW_DRIFT = -0.1;
+const HIGH_DRIFT = 0.05;
+// Weeks with less riding than this are too thin to classify.
+const MIN_CLASSIFY_SECONDS = 60 * 60;
+
+/** Whole-session zone for prescriptions without intervals (e.g. a gated z1). */
+const SESSION_ZONE: Record<SessionType, keyof TIDZones | null> = {
+  rest: null,
+  z1: 'low',
+  z2: 'low',
+  tempo: 'mid',
+  threshold: 'mid',
+  vo2: 'high',
+  race_sim: 'high',
+  opener: 'low',
+};
+
+function addZones(a: TIDZones, b: TIDZones): TIDZones {
+  return { low: a.low + b.low, mid: a.mid + b.mid, high: a.high + b.high };
+}
+
+function round3(n: number): number {
+  return Math.round(n * 1000) / 1000;
+}
+
+function num(v: unknown): number {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/** Monday of the ISO week containing `date` (YYYY-MM-DD). */
+export function isoWeekStart(date: string): string {
+  const d = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+  const dow = d.getUTCDay();
+  d.setUTCDate(d.getUTCDate() - (dow === 0 ? 6 : dow - 1));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Three-zone seconds for one activity, power first, HR as the fallback.
+ * Null when the activity carries neither.
+ */
+export function activityZoneSeconds(activity: TIDActivity): (TIDZones & { source: 'power' | 'hr' }) | null {
+  const ctx = activity.fit_coach_context;
+  const pzd = ctx?.power_zone_distribution;
+  const duration = num(ctx?.duration_seconds);
+  if (pzd && duration > 0) {
+    const sec = (...keys: string[]) => keys.reduce((s, k) => s + (num(pzd[k]) / 100) * duration, 0);
+    const zones = { low: sec('z1', 'z2'), mid: sec('z3', 'z4'), high: sec('z5', 'z6', 'z7') };
+    if (zones.low + zones.mid + zones.high > 0) return { ...zones, source: 'power' };
+  }
+
+  const hr = activity.ride_analytics?.hr_zones?.zones;
+  if (Array.isArray(hr) && hr.length >= 5) {
+    const sec = (...idx: number[]) => idx.reduce((s, i) => s + num(hr[i]?.seconds), 0);
+    const zones = { low: sec(0, 1, 2), mid: sec(3), high: sec(4) };
+    if (zones.low + zones.mid + zones.high > 0) return { ...zones, source: 'hr' };
+  }
+  return null;
+}
+
+/**
+ * Shape of a distribution:
+ *   - threshold: mid time matches or outweighs low — the easy base is gone
+ *   - polarized: more high than mid, with a polarization index above 2
+ *   - pyramidal: low > mid ≥ high, or a polarized-looking split whose top
+ *     end is too thin to count
+ */
+export function classifyTID(fractions: TIDZones): TIDClass | null {
+  const { low, mid, high } = fractions;
+  if (low + mid + high <= 0) return null;
+  if (mid >= low) return 'threshold';
+  if (high > mid) {
+    const pi = polarizationIndex(fractions);
+    return pi !== null && pi > POLARIZED_PI ? 'polarized' : 'pyramidal';
+  }
+  return 'pyramidal';
+}
+
+function polarizationIndex({ low, mid, high }: TIDZones): number | null {
+  if (mid <= 0 || high <= 0) return null;
+  return Math.round(Math.log10((low / mid) * high * 100) * 100) / 100;
+}
+
+/** Fractions, polarization index and class for a set of zone seconds. */
+export function summarizeTID(seconds: TIDZones): TIDSummary {
+  const total = seconds.low + seconds.mid + seconds.high;
+  const fractions =
+    total > 0
+      ? { low: round3(seconds.low / total), mid: round3(seconds.mid / total), high: round3(seconds.high / total) }
+      : { ...EMPTY };
+  return {
+    seconds: { low: Math.round(seconds.low), mid: Math.round(seconds.mid), high: Math.round(seconds.high) },
+    fractions,
+    polarizationIndex: polarizationIndex(fractions),
+    classification: total >= MIN_CLASSIFY_SECONDS ? classifyTID(fractions) : null,
+  };
+}
+
+/** Intended three-zone seconds for one prescribed session. */
+export function prescriptionZoneSeconds(p: TIDPrescription): TIDZones {
+  const total = num(p.target_duration_min) * 60;
+  if (total === 0) return { ...EMPTY };
+
+  const intervals = p.prescribed_intervals ?? [];
+  if (intervals.length === 0) {
+    const zone = SESSION_ZONE[p.session_type];
+    return zone ? { ...EMPTY, [zone]: total } : { ...EMPTY };
+  }
+
+  const zones = { ...EMPTY };
+  let used = 0;
+  for (const iv of intervals) {
+    const repeats = Math.max(1, num(iv.repeats));
+    const work = num(iv.duration_min) * 60 * repeats;
+    const pct = (num(iv.target_pct_ftp_min) + num(iv.target_pct_ftp_max)) / 2;
+    const zone: keyof TIDZones = pct > 105 ? 'high' : pct >= 76 ? 'mid' : 'low';
+    zones[zone] += work;
+    zones.low += num(iv.recovery_min) * 60 * repeats;
+    used += work + num(iv.recovery_min) * 60 * repeats;
+  }
+  // Warm-up, cool-down and riding between sets.
+  zones.low += Math.max(0, total - used);
+  return zones;
+}
+
+/** The distribution a set of prescriptions is aiming for. */
+export function targetTID(prescriptions: TIDPrescription[]): TIDSummary {
+  return summarizeTID(prescriptions.reduce((acc, p) => addZones(acc, prescriptionZoneSeconds(p)), { ...EMPTY }));
+}
+
+/**
+ * Prescriptions for a block, generated from BLOCK_LIBRARY. Used when the
+ * sequencer hasn't persisted session_prescriptions for it; ctx is the
+ * neutral one (no race demand, empty history) so the output is the block's
+ * stock menu.
+ */
+export function blockPrescriptions(block: TIDBlock): TIDPrescription[] {
+  const definition = BLOCK_LIBRARY[block.block_type];
+  if (!definition) return [];
+  const ctx: SequencerContext = {
+    user_id: '',
+    today: block.start_date,
+    ftp_watts: null,
+    coefficients: block.coefficients_snapshot ?? MASTERS_FACTOR_DEFAULTS.standard,
+    daily_stats: [],
+    subjective: [],
+    upcoming_events: [],
+    recent_activity: {
+      max_rss_24h: 0,
+      cumulative_rss_72h: 0,
+      days_since_last_race: null,
+      recent_efi_decoupling: null,
+      days_since_ftp_estimate: null,
+    },
+    current_block: null,
+    horizon_event: null,
+    post_race_tier: null,
+  };
+  return definition.generate_sessions(block.start_date, block.end_date, ctx);
+}
+
+/** Drift of `actual` from `target`, with the flags a coach would raise. */
+export function compareTID(actual: TIDSummary, target: TIDSummary): TIDComparison {
+  const drift = {
+    low: round3(actual.fractions.low - target.fractions.low),
+    mid: round3(actual.fractions.mid - target.fractions.mid),
+    high: round3(actual.fractions.high - target.fractions.high),
+  };
+  const pts = (n: number) => `${Math.round(Math.abs(n) * 100)} pts`;
+
+  const flags: TIDDriftFlag[] = [];
+  if (drift.mid > MID_DRIFT) {
+    flags.push({ code: 'too_much_mid', message: `Tempo/threshold time is ${pts(drift.mid)} above plan — easy days are drifting up.` });
+  }
+  if (drift.low < LOW_DRIFT && drift.mid <= MID_DRIFT) {
+    flags.push({ code: 'not_enough_low', message: `Easy riding is ${pts(drift.low)} below plan.` });
+  }
+  if (target.fractions.high >= 0.05 && drift.high < -HIGH_DRIFT) {
+    flags.push({ code: 'missing_intensity', message: `High-intensity time is ${pts(drift.high)} short of the block's target.` });
+  }
+  if (drift.high > HIGH_DRIFT * 2) {
+    flags.push({ code: 'too_much_intensity', message: `High-intensity time is ${pts(drift.high)} over plan.` });
+  }
+  if (actual.classification && target.classification && actual.classification !== target.classification) {
+    flags.push({
+      code: 'shape_mismatch',
+      message: `Riding has been ${actual.classification}; the block is ${target.classification}.`,
+    });
+  }
+  return { target, drift, flags };
+}
+
+/**
+ * Weekly TIDs for `activities` (oldest first) and, when a block is given,
+ * the block-to-date TID against the block's full prescription. Each week is
+ * compared with that week's prescriptions when there are any.
+ */
+export function analyzeTID(
+  activities: TIDActivity[],
+  block: TIDBlock | null = null,
+  prescriptions: TIDPrescription[] = [],
+): TIDAnalysis {
+  const byWeek = new Map<string, { seconds: TIDZones; rides: number }>();
+  let blockSeconds = { ...EMPTY };
+
+  for (const a of activities) {
+    const zones = activityZoneSeconds(a);
+    if (!zones) continue;
+    const day = String(a.start_date).slice(0, 10);
+    const week = isoWeekStart(day);
+    const entry = byWeek.get(week) ?? { seconds: { ...EMPTY }, rides: 0 };
+    entry.seconds = addZones(entry.seconds, zones);
+    entry.rides += 1;
+    byWeek.set(week, entry);
+    if (block && day >= block.start_date && day <= block.end_date) blockSeconds = addZones(blockSeconds, zones);
+  }
+
+  const plan = block ? (prescriptions.length ? prescriptions : blockPrescriptions(block)) : prescriptions;
+  const planByWeek = new Map<string, TIDPrescription[]>();
+  for (const p of plan) {
+    const week = isoWeekStart(p.date);
+    planByWeek.set(week, [...(planByWeek.get(week) ?? []), p]);
+  }
+
+  const weeks = [...byWeek.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([weekStart, { seconds, rides }]): TIDWeek => {
+      const summary = summarizeTID(seconds);
+      const weekPlan = planByWeek.get(weekStart);
+      return {
+        weekStart,
+        rides,
+        ...summary,
+        comparison: weekPlan?.length ? compareTID(summary, targetTID(weekPlan)) : null,
+      };
+    });
+
+  let blockResult: TIDAnalysis['block'] = null;
+  if (block) {
+    const summary = summarizeTID(blockSeconds);
+    const total = blockSeconds.low + blockSeconds.mid + blockSeconds.high;
+    blockResult = {
+      blockType: block.block_type,
+      ...summary,
+      comparison: plan.length && total > 0 ? compareTID(summary, targetTID(plan)) : null,
+    };
+  }
+
+  return { weeks, block: blockResult };
+}
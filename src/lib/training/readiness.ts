@@ -0,0 +1,271 @@
+/**
+ * Readiness — how ready the athlete is to train today, from the morning's
+ * health data.
+ *
+ * Four signals, each scored 0–100 and blended over whichever are present:
+ *   - HRV: today's ln(RMSSD) against a rolling baseline (mean of the prior
+ *     7 readings, spread over the prior 28 days), as standard deviations.
+ *   - Sleep: duration (7–9 h scores full marks) and sleep quality (1–5).
+ *   - Resting HR: bpm above the prior 7 days' average.
+ *   - Subjective: the HealthCheckInModal inputs (energy, soreness, stress,
+ *     mood; 1–5 each).
+ *
+ * The output feeds two places: SubjectiveSignals for the block library's
+ * entry/exit and gating rules (toSubjectiveSignals), and the readiness node
+ * on the Today Spine, which can suggest easing today's session
+ * (suggestReadinessSwap).
+ *
+ * Mirrored in api/utils/readiness.js (api/ can't import src/) — keep the two
+ * in lockstep.
+ */
+
+import type { SubjectiveSignals } from './blocks/types';
+
+/** One day of health_metrics, production column names. */
+export interface HealthDay {
+  date: string; // YYYY-MM-DD (health_metrics.metric_date)
+  hrv_ms?: number | null;
+  resting_hr?: number | null;
+  sleep_hours?: number | null;
+  sleep_quality?: number | null; // 1–5
+  energy_level?: number | null; // 1–5, 5 = most energy
+  muscle_soreness?: number | null; // 1–5, 5 = most sore
+  stress_level?: number | null; // 1–5, 5 = most stressed
+  mood?: number | null; // 1–5, 5 = best
+}
+
+export type ReadinessBand = 'high' | 'moderate' | 'low';
+
+export interface ReadinessComponents {
+  hrv: number | null;
+  sleep: number | null;
+  restingHr: number | null;
+  subjective: number | null;
+}
+
+export interface Readiness {
+  date: string;
+  /** 0–100. */
+  score: number;
+  band: ReadinessBand;
+  components: ReadinessComponents;
+  /** Today's HRV in SDs from the rolling baseline; null without a baseline. */
+  hrvBaselineSd: number | null;
+  /** Resting HR minus the prior 7-day average, bpm; null without a baseline. */
+  restingHrDelta: number | null;
+  muscleSoreness: boolean;
+  /** Plain-language reasons behind a low or moderate score, worst first. */
+  flags: string[];
+}
+
+export interface ReadinessSwap {
+  fromType: string;
+  toType: string;
+  reason: string;
+}
+
+export const HRV_BASELINE_DAYS = 7;
+export const HRV_SPREAD_DAYS = 28;
+const MIN_BASELINE_READINGS = 3;
+const MIN_SPREAD_READINGS = 5;
+// ln(RMSSD) day-to-day noise floor — keeps a very stable baseline from
+// turning a few ms into a multi-SD swing.
+const MIN_LN_SD = 0.04;
+
+const WEIGHTS: Record<keyof ReadinessComponents, number> = {
+  hrv: 0.35,
+  sleep: 0.25,
+  restingHr: 0.15,
+  subjective: 0.25,
+};
+
+const HIGH_BAND = 67;
+const MODERATE_BAND = 45;
+
+const HARD_TYPES = new Set(['threshold', 'sweet_spot', 'vo2max', 'anaerobic', 'race', 'tempo']);
+
+function clamp(n: number, lo: number, hi: number): number {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+function positive(n: number | null | undefined): n is number {
+  return typeof n === 'number' && Number.isFinite(n) && n > 0;
+}
+
+function onScale(n: number | null | undefined): n is number {
+  return typeof n === 'number' && n >= 1 && n <= 5;
+}
+
+function mean(values: number[]): number {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function sd(values: number[]): number {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+function daysBefore(date: string, days: number): string {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Prior days, most recent first, within `windowDays` before `date`. */
+function priorDays(history: HealthDay[], date: string, windowDays: number): HealthDay[] {
+  const from = daysBefore(date, windowDays);
+  return history
+    .filter((d) => d.date < date && d.date >= from)
+    .sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+/**
+ * Today's HRV as SDs from the rolling baseline. Null until there are enough
+ * prior readings to say what normal is.
+ */
+export function hrvBaselineSd(history: HealthDay[], date: string): number | null {
+  const today = history.find((d) => d.date === date);
+  if (!positive(today?.hrv_ms)) return null;
+
+  const prior = priorDays(history, date, HRV_SPREAD_DAYS)
+    .filter((d) => positive(d.hrv_ms))
+    .map((d) => Math.log(d.hrv_ms as number));
+  const baseline = prior.slice(0, HRV_BASELINE_DAYS);
+  if (baseline.length < MIN_BASELINE_READINGS || prior.length < MIN_SPREAD_READINGS) return null;
+
+  const spread = Math.max(sd(prior), MIN_LN_SD);
+  return Math.round(((Math.log(today!.hrv_ms as number) - mean(baseline)) / spread) * 100) / 100;
+}
+
+function restingHrDelta(history: HealthDay[], date: string): number | null {
+  const today = history.find((d) => d.date === date);
+  if (!positive(today?.resting_hr)) return null;
+  const prior = priorDays(history, date, HRV_BASELINE_DAYS)
+    .filter((d) => positive(d.resting_hr))
+    .map((d) => d.resting_hr as number);
+  if (prior.length < MIN_BASELINE_READINGS) return null;
+  return Math.round(((today!.resting_hr as number) - mean(prior)) * 10) / 10;
+}
+
+function sleepScore(day: HealthDay): number | null {
+  const parts: number[] = [];
+  if (positive(day.sleep_hours)) {
+    const h = day.sleep_hours;
+    // Full marks 7–9 h; linear to 0 at 4 h, gentle penalty past 9.
+    parts.push(h >= 7 && h <= 9 ? 100 : h < 7 ? clamp(((h - 4) / 3) * 100, 0, 100) : clamp(100 - (h - 9) * 15, 60, 100));
+  }
+  if (onScale(day.sleep_quality)) parts.push(((day.sleep_quality - 1) / 4) * 100);
+  return parts.length ? mean(parts) : null;
+}
+
+function subjectiveScore(day: HealthDay): number | null {
+  const parts: number[] = [];
+  if (onScale(day.energy_level)) parts.push(((day.energy_level - 1) / 4) * 100);
+  if (onScale(day.muscle_soreness)) parts.push(((5 - day.muscle_soreness) / 4) * 100);
+  if (onScale(day.stress_level)) parts.push(((5 - day.stress_level) / 4) * 100);
+  if (onScale(day.mood)) parts.push(((day.mood - 1) / 4) * 100);
+  return parts.length ? mean(parts) : null;
+}
+
+/**
+ * Readiness for `date` from the athlete's health history (any order; needs
+ * up to 28 prior days for the HRV baseline). Null when `date` carries none of
+ * the signals.
+ */
+export function computeReadiness(history: HealthDay[], date: string): Readiness | null {
+  const day = history.find((d) => d.date === date);
+  if (!day) return null;
+
+  const hrvSd = hrvBaselineSd(history, date);
+  const rhrDelta = restingHrDelta(history, date);
+
+  const components: ReadinessComponents = {
+    hrv: hrvSd === null ? null : clamp(70 + hrvSd * 25, 0, 100),
+    sleep: sleepScore(day),
+    restingHr: rhrDelta === null ? null : clamp(100 - Math.max(0, rhrDelta) * 12, 0, 100),
+    subjective: subjectiveScore(day),
+  };
+
+  let weighted = 0;
+  let weightSum = 0;
+  for (const key of Object.keys(WEIGHTS) as Array<keyof ReadinessComponents>) {
+    const value = components[key];
+    if (value === null) continue;
+    weighted += value * WEIGHTS[key];
+    weightSum += WEIGHTS[key];
+  }
+  if (weightSum === 0) return null;
+
+  const score = Math.round(weighted / weightSum);
+  const muscleSoreness = onScale(day.muscle_soreness) && day.muscle_soreness >= 4;
+
+  const flags: Array<[number, string]> = [];
+  if (hrvSd !== null && hrvSd < -0.5) flags.push([hrvSd, 'HRV below your baseline']);
+  if (rhrDelta !== null && rhrDelta >= 4) flags.push([-rhrDelta / 4, `resting HR up ${Math.round(rhrDelta)} bpm`]);
+  if (components.sleep !== null && components.sleep < 50) flags.push([-1, 'short or poor sleep']);
+  if (muscleSoreness) flags.push([-1, 'sore legs']);
+  if (components.subjective !== null && components.subjective < 40) flags.push([-0.9, 'feeling run down']);
+
+  return {
+    date,
+    score,
+    band: score >= HIGH_BAND ? 'high' : score >= MODERATE_BAND ? 'moderate' : 'low',
+    components,
+    hrvBaselineSd: hrvSd,
+    restingHrDelta: rhrDelta,
+    muscleSoreness,
+    flags: flags.sort((a, b) => a[0] - b[0]).map(([, text]) => text),
+  };
+}
+
+/**
+ * The block library's view of a readiness result. wellness_score is the
+ * score on the 1–10 scale the gating rules use (≤4 = rest day).
+ */
+export function toSubjectiveSignals(readiness: Readiness): SubjectiveSignals {
+  const signals: SubjectiveSignals = {
+    date: readiness.date,
+    wellness_score: clamp(Math.round(readiness.score / 10), 1, 10),
+    muscle_soreness_flag: readiness.muscleSoreness,
+  };
+  if (readiness.hrvBaselineSd !== null) signals.hrv_baseline_sd = readiness.hrvBaselineSd;
+  return signals;
+}
+
+/**
+ * SubjectiveSignals for every day of the history that yields a readiness,
+ * most recent first — SequencerContext.subjective.
+ */
+export function buildSubjectiveSignals(history: HealthDay[]): SubjectiveSignals[] {
+  const dates = [...new Set(history.map((d) => d.date))].sort().reverse();
+  const out: SubjectiveSignals[] = [];
+  for (const date of dates) {
+    const readiness = computeReadiness(history, date);
+    if (readiness) out.push(toSubjectiveSignals(readiness));
+  }
+  return out;
+}
+
+/**
+ * Suggest easing today's planned session when readiness says so. Low
+ * readiness turns any hard session into a recovery spin; a moderate score
+ * with suppressed HRV turns it into endurance. Easy and rest days are left
+ * alone — readiness never suggests doing more.
+ */
+export function suggestReadinessSwap(
+  readiness: Readiness | null,
+  plannedType: string | null | undefined,
+): ReadinessSwap | null {
+  if (!readiness || !plannedType) return null;
+  const type = plannedType.toLowerCase();
+  if (!HARD_TYPES.has(type)) return null;
+
+  const why = readiness.flags.length ? readiness.flags.slice(0, 2).join(' and ') : `readiness ${readiness.score}/100`;
+  if (readiness.band === 'low') {
+    return { fromType: type, toType: 'recovery', reason: `Low readiness: ${why}.` };
+  }
+  if (readiness.band === 'moderate' && readiness.hrvBaselineSd !== null && readiness.hrvBaselineSd < -0.5) {
+    return { fromType: type, toType: 'endurance', reason: `Readiness is middling with ${why}.` };
+  }
+  return null;
+}
@@ -43,6 +43,9 @@ export interface ActivityData {
   // provider enums to Strava's MountainBikeRide at ingestion.
   sport_type?: string;
   type?: string;
+  // Heat/altitude load multiplier (activities.thermal_factor, see
+  // src/lib/metrics/thermal.ts). Missing/null reads as 1.
+  thermal_factor?: number | null;
 }
 
 export interface CalibrationFactors {
@@ -3,11 +3,16 @@ import { createRoot } from 'react-dom/client';
 import { HelmetProvider } from '@dr.pogodin/react-helmet';
 import { PostHogProvider } from 'posthog-js/react';
 import { initSentry } from './lib/sentry';
+import { registerServiceWorker, startOfflineQueueReplay } from './lib/offline';
 import App from './App.jsx';
 
 // Initialize Sentry error tracking
 initSentry();
 
+// Offline support: network-first SW fallback + replay of offline check-ins
+registerServiceWorker();
+startOfflineQueueReplay();
+
 const posthogOptions = {
   api_host: import.meta.env.VITE_PUBLIC_POSTHOG_HOST,
   defaults: '2025-11-30',
@@ -2,13 +2,14 @@
  * Admin Page
  * Secure admin dashboard for managing users, templates, and viewing system data
  *
- * SECURITY: Access is restricted to travis@tribos.studio ONLY
- * - Frontend check prevents unauthorized access to UI
- * - Backend API verifies JWT and email before any operation
- * - All actions are logged to admin_audit_log table
+ * SECURITY: Access is role-based (owner, support, analyst, coach_ops)
+ * - The caller's role and permissions come from the admin API; only tabs the
+ *   role permits are shown
+ * - Backend API verifies JWT and the role's permission before any operation
+ * - All actions are logged to admin_audit_log table with the role used
  */
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import {
   Container,
   Title,
@@ -19,6 +20,7 @@ import {
   Paper,
   Stack,
   Badge,
+  Loader,
 } from '@mantine/core';
 import AppShell from '../components/AppShell';
 import { useAuth } from '../contexts/AuthContext';
@@ -30,20 +32,94 @@ import WebhookViewer from '../components/admin/WebhookViewer';
 import ActivityDashboard from '../components/admin/ActivityDashboard';
 import UserInsights from '../components/admin/UserInsights';
 import EmailCampaigns from '../components/admin/EmailCampaigns';
+import EmailJourneys from '../components/admin/EmailJourneys';
 import PushNotificationAdmin from '../components/admin/PushNotificationAdmin';
-import { Bell, Bicycle, ChartBar, ChatDots, Envelope, Gear, Layout, Lock, ShieldCheck, TrendUp, Users, WarningCircle, WebhooksLogo } from '@phosphor-icons/react';
+import AdminRoleManager from '../components/admin/AdminRoleManager';
+import ForumModeration from '../components/admin/ForumModeration';
+import { getAdminAccess } from '../services/adminService';
+import { Bell, Bicycle, ChartBar, ChatDots, Envelope, Flag, Gear, Layout, Lock, Path, ShieldCheck, TrendUp, Users, WarningCircle, WebhooksLogo } from '@phosphor-icons/react';
 
-// SECURITY: This is the ONLY email with admin access
-// This is enforced both here (UI) and in the backend API
-const ADMIN_EMAIL = 'travis@tribos.studio';
+function AdminSettings({ currentUserId }) {
+  return (
+    <Stack>
+      <AdminRoleManager currentUserId={currentUserId} />
+      <Paper p="lg" withBorder radius="md">
+        <Stack>
+          <Title order={4}>Admin Settings</Title>
+          <Text c="dimmed">
+            Additional admin settings will be available here.
+          </Text>
+          <Alert icon={<WarningCircle size={16} />} color="blue">
+            Database migration status and cache management coming soon.
+          </Alert>
+        </Stack>
+      </Paper>
+    </Stack>
+  );
+}
+
+// Tab → permission it needs (see ADMIN_PERMISSIONS in api/utils/auth.js).
+// Order here is the tab order; panels for tabs the role lacks are never
+// mounted, so they don't call endpoints that would refuse them.
+const ADMIN_TABS = [
+  { value: 'users', label: 'Users', icon: Users, permission: 'users:read', panel: UserManagement },
+  { value: 'activity', label: 'Activity', icon: ChartBar, permission: 'activity:read', panel: ActivityDashboard },
+  { value: 'insights', label: 'Insights', icon: TrendUp, permission: 'insights:read', panel: UserInsights },
+  { value: 'email', label: 'Email', icon: Envelope, permission: 'campaigns:read', panel: EmailCampaigns },
+  { value: 'journeys', label: 'Journeys', icon: Path, permission: 'campaigns:read', panel: EmailJourneys },
+  { value: 'push', label: 'Push', icon: Bell, permission: 'push:read', panel: PushNotificationAdmin },
+  { value: 'feedback', label: 'Feedback', icon: ChatDots, permission: 'feedback:read', panel: FeedbackViewer },
+  { value: 'forum', label: 'Forum', icon: Flag, permission: 'forum:moderate', panel: ForumModeration },
+  { value: 'webhooks', label: 'Webhooks', icon: WebhooksLogo, permission: 'webhooks:read', panel: WebhookViewer },
+  { value: 'plans', label: 'Training Plans', icon: Layout, permission: 'templates:manage', panel: PlanTemplateManager },
+  { value: 'workouts', label: 'Workout Library', icon: Bicycle, permission: 'templates:manage', panel: WorkoutTemplateManager },
+  { value: 'settings', label: 'Settings', icon: Gear, permission: 'roles:manage', panel: AdminSettings },
+];
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  support: 'Support',
+  analyst: 'Analyst',
+  coach_ops: 'Coach ops',
+};
 
 export default function Admin() {
   const { user } = useAuth();
-  const [activeTab, setActiveTab] = useState('users');
-
-  // SECURITY: Strict email check - must match exactly
-  // No dev mode bypass - admin access is always restricted
-  const isAdmin = user?.email?.toLowerCase() === ADMIN_EMAIL.toLowerCase();
+  const [access, setAccess] = useState(null);
+  const [accessLoading, setAccessLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState(null);
+
+  // SECURITY: The API resolves the caller's role — no email check or dev
+  // mode bypass in the client. A caller without a role gets a 403.
+  useEffect(() => {
+    if (!user) {
+      setAccessLoading(false);
+      return;
+    }
+    let cancelled = false;
+    setAccessLoading(true);
+    getAdminAccess()
+      .then((result) => { if (!cancelled) setAccess(result); })
+      .catch(() => { if (!cancelled) setAccess(null); })
+      .finally(() => { if (!cancelled) setAccessLoading(false); });
+    return () => { cancelled = true; };
+  }, [user]);
+
+  const tabs = ADMIN_TABS.filter(tab => access?.permissions?.includes(tab.permission));
+  const currentTab = tabs.some(tab => tab.value === activeTab) ? activeTab : tabs[0]?.value;
+  const isAdmin = Boolean(access?.role);
+
+  if (accessLoading) {
+    return (
+      <AppShell>
+        <Container size="md" py="xl">
+          <Stack align="center">
+            <Loader />
+          </Stack>
+        </Container>
+      </AppShell>
+    );
+  }
 
   if (!isAdmin) {
     return (
@@ -89,9 +165,14 @@ export default function Admin() {
                   Manage users, templates, and view system data
                 </Text>
               </div>
-              <Badge color="blue" variant="outline">
-                {user.email}
-              </Badge>
+              <Group gap="xs">
+                <Badge color="grape" variant="light">
+                  {ROLE_LABELS[access.role] || access.role}
+                </Badge>
+                <Badge color="blue" variant="outline">
+                  {user.email}
+                </Badge>
+              </Group>
             </Group>
           </Paper>
 
@@ -107,89 +188,20 @@ export default function Admin() {
           </Alert>
 
           {/* Main Content */}
-          <Tabs value={activeTab} onChange={setActiveTab}>
+          <Tabs value={currentTab} onChange={setActiveTab}>
             <Tabs.List>
-              <Tabs.Tab value="users" leftSection={<Users size={16} />}>
-                Users
-              </Tabs.Tab>
-              <Tabs.Tab value="activity" leftSection={<ChartBar size={16} />}>
-                Activity
-              </Tabs.Tab>
-              <Tabs.Tab value="insights" leftSection={<TrendUp size={16} />}>
-                Insights
-              </Tabs.Tab>
-              <Tabs.Tab value="email" leftSection={<Envelope size={16} />}>
-                Email
-              </Tabs.Tab>
-              <Tabs.Tab value="push" leftSection={<Bell size={16} />}>
-                Push
-              </Tabs.Tab>
-              <Tabs.Tab value="feedback" leftSection={<ChatDots size={16} />}>
-                Feedback
-              </Tabs.Tab>
-              <Tabs.Tab value="webhooks" leftSection={<WebhooksLogo size={16} />}>
-                Webhooks
-              </Tabs.Tab>
-              <Tabs.Tab value="plans" leftSection={<Layout size={16} />}>
-                Training Plans
-              </Tabs.Tab>
-              <Tabs.Tab value="workouts" leftSection={<Bicycle size={16} />}>
-                Workout Library
-              </Tabs.Tab>
-              <Tabs.Tab value="settings" leftSection={<Gear size={16} />}>
-                Settings
-              </Tabs.Tab>
+              {tabs.map(({ value, label, icon: Icon }) => (
+                <Tabs.Tab key={value} value={value} leftSection={<Icon size={16} />}>
+                  {label}
+                </Tabs.Tab>
+              ))}
             </Tabs.List>
 
-            <Tabs.Panel value="users" pt="lg">
-              <UserManagement />
-            </Tabs.Panel>
-
-            <Tabs.Panel value="activity" pt="lg">
-              <ActivityDashboard />
-            </Tabs.Panel>
-
-            <Tabs.Panel value="insights" pt="lg">
-              <UserInsights />
-            </Tabs.Panel>
-
-            <Tabs.Panel value="email" pt="lg">
-              <EmailCampaigns />
-            </Tabs.Panel>
-
-            <Tabs.Panel value="push" pt="lg">
-              <PushNotificationAdmin />
-            </Tabs.Panel>
-
-            <Tabs.Panel value="feedback" pt="lg">
-              <FeedbackViewer />
-            </Tabs.Panel>
-
-            <Tabs.Panel value="webhooks" pt="lg">
-              <WebhookViewer />
-            </Tabs.Panel>
-
-            <Tabs.Panel value="plans" pt="lg">
-              <PlanTemplateManager />
-            </Tabs.Panel>
-
-            <Tabs.Panel value="workouts" pt="lg">
-              <WorkoutTemplateManager />
-            </Tabs.Panel>
-
-            <Tabs.Panel value="settings" pt="lg">
-              <Paper p="lg" withBorder radius="md">
-                <Stack>
-                  <Title order={4}>Admin Settings</Title>
-                  <Text c="dimmed">
-                    Additional admin settings will be available here.
-                  </Text>
-                  <Alert icon={<WarningCircle size={16} />} color="blue">
-                    Database migration status and cache management coming soon.
-                  </Alert>
-                </Stack>
-              </Paper>
-            </Tabs.Panel>
+            {tabs.map(({ value, panel: Panel }) => (
+              <Tabs.Panel key={value} value={value} pt="lg">
+                <Panel currentUserId={user.id} />
+              </Tabs.Panel>
+            ))}
           </Tabs>
         </Stack>
       </Container>
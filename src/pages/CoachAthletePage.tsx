@@ -0,0 +1,159 @@
+/**
+ * CoachAthletePage — one athlete, seen by their coach, at
+ * /coach/athletes/:athleteId.
+ *
+ * Today: the athlete's Training-Arc spine. Calendar: the athlete's
+ * TrainingCalendar (editable when the relationship allows it; every change is
+ * audited by the database). Audit log: those changes.
+ *
+ * All reads go through the coach RLS policies, so an athlete who is not on
+ * this coach's roster simply loads nothing.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Alert, Badge, Button, Container, Group, Loader, Stack, Tabs } from '@mantine/core';
+import { ArrowLeft, CalendarBlank, ClockCounterClockwise, Pulse } from '@phosphor-icons/react';
+import AppShell from '../components/AppShell.jsx';
+import PageHeader from '../components/PageHeader.jsx';
+import TrainingCalendar from '../components/TrainingCalendar.jsx';
+import { CoachAuditLog } from '../components/coach-workspace/CoachAuditLog';
+import { CoachAthleteSpine } from '../views/today-spine/CoachAthleteSpine';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { useUserPreferences } from '../contexts/UserPreferencesContext.jsx';
+import { useCoachWorkspace } from '../hooks/useCoachWorkspace';
+import { supabase } from '../lib/supabase';
+import { resolveActivePlan, type ActivePlanRow } from '../utils/activePlan';
+import { formatDistance } from '../utils/units';
+
+// Same window the training dashboard gives the calendar
+const ACTIVITY_LIMIT = 2000;
+
+export default function CoachAthletePage() {
+  const { athleteId = '' } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth() as { user: { id: string } | null };
+  const { unitsPreference } = useUserPreferences() as { unitsPreference: string };
+  const isImperial = unitsPreference === 'imperial';
+
+  const { athletes, loading: rosterLoading } = useCoachWorkspace(user?.id);
+  const athlete = athletes.find((a) => a.athleteId === athleteId) || null;
+
+  const [activeTab, setActiveTab] = useState<string | null>('today');
+  const [activePlan, setActivePlan] = useState<ActivePlanRow | null>(null);
+  const [rides, setRides] = useState<Record<string, unknown>[]>([]);
+  const [ftp, setFtp] = useState<number | null>(null);
+  const [calendarRefreshKey, setCalendarRefreshKey] = useState(0);
+
+  const loadCalendarContext = useCallback(async () => {
+    if (!athleteId) return;
+    const [plan, activitiesResult, profileResult] = await Promise.all([
+      resolveActivePlan(supabase, athleteId),
+      supabase
+        .from('activities')
+        .select('*')
+        .eq('user_id', athleteId)
+        .is('duplicate_of', null)
+        .order('start_date', { ascending: false })
+        .limit(ACTIVITY_LIMIT),
+      supabase.from('user_profiles').select('ftp').eq('id', athleteId).maybeSingle(),
+    ]);
+    setActivePlan(plan);
+    setRides(((activitiesResult.data || []) as Record<string, unknown>[]).filter((a) => !a.is_hidden));
+    setFtp(profileResult.data?.ftp ?? null);
+  }, [athleteId]);
+
+  const onRoster = Boolean(athlete);
+  useEffect(() => {
+    if (onRoster) loadCalendarContext();
+  }, [onRoster, loadCalendarContext]);
+
+  const handlePlanUpdated = useCallback(async () => {
+    await loadCalendarContext();
+    setCalendarRefreshKey((k) => k + 1);
+  }, [loadCalendarContext]);
+
+  const backButton = (
+    <Button variant="subtle" leftSection={<ArrowLeft size={16} />} onClick={() => navigate('/coach')}>
+      Roster
+    </Button>
+  );
+
+  if (rosterLoading) {
+    return (
+      <AppShell>
+        <Group justify="center" py="xl"><Loader /></Group>
+      </AppShell>
+    );
+  }
+
+  if (!athlete) {
+    return (
+      <AppShell>
+        <Container size="md" py="lg">
+          <Stack gap="md">
+            {backButton}
+            <Alert color="yellow">This athlete is not on your roster.</Alert>
+          </Stack>
+        </Container>
+      </AppShell>
+    );
+  }
+
+  return (
+    <AppShell>
+      <Container size="xl" py="lg">
+        <Stack gap="lg">
+          <PageHeader
+            title={athlete.name}
+            subtitle="Coach view"
+            actions={
+              <Group gap="xs">
+                <Badge variant="light" color={athlete.canEditPlan ? 'teal' : 'gray'}>
+                  {athlete.canEditPlan ? 'Can edit calendar' : 'View only'}
+                </Badge>
+                {backButton}
+              </Group>
+            }
+          />
+
+          <Tabs value={activeTab} onChange={setActiveTab} keepMounted={false}>
+            <Tabs.List>
+              <Tabs.Tab value="today" leftSection={<Pulse size={16} />}>Today</Tabs.Tab>
+              <Tabs.Tab value="calendar" leftSection={<CalendarBlank size={16} />}>Calendar</Tabs.Tab>
+              <Tabs.Tab value="audit" leftSection={<ClockCounterClockwise size={16} />}>Audit log</Tabs.Tab>
+            </Tabs.List>
+
+            <Tabs.Panel value="today" pt="md">
+              <CoachAthleteSpine athleteId={athleteId} units={isImperial ? 'imperial' : 'metric'} />
+            </Tabs.Panel>
+
+            <Tabs.Panel value="calendar" pt="md">
+              <Stack gap="sm">
+                {!athlete.canEditPlan && (
+                  <Alert color="gray">
+                    You have view-only access to this calendar. Changes will be rejected.
+                  </Alert>
+                )}
+                <TrainingCalendar
+                  athleteUserId={athleteId}
+                  activePlan={activePlan}
+                  rides={rides}
+                  formatDistance={(km: number) => formatDistance(km, isImperial)}
+                  ftp={ftp}
+                  isImperial={isImperial}
+                  refreshKey={calendarRefreshKey}
+                  onPlanUpdated={handlePlanUpdated}
+                />
+              </Stack>
+            </Tabs.Panel>
+
+            <Tabs.Panel value="audit" pt="md">
+              <CoachAuditLog athleteId={athleteId} />
+            </Tabs.Panel>
+          </Tabs>
+        </Stack>
+      </Container>
+    </AppShell>
+  );
+}
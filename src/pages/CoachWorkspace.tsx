@@ -0,0 +1,142 @@
+/**
+ * CoachWorkspace — a human coach's roster at /coach.
+ *
+ * One table for every athlete the coach works with (fitness, form,
+ * compliance, evidence flags), pending invitations, and the entry point to
+ * each athlete's coach-scoped Today and calendar (/coach/athletes/:athleteId).
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ActionIcon, Alert, Badge, Button, Card, Container, Group, Loader, Stack, Text, Title, Tooltip } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { ArrowsClockwise, EnvelopeSimple, UserPlus, X } from '@phosphor-icons/react';
+import AppShell from '../components/AppShell.jsx';
+import PageHeader from '../components/PageHeader.jsx';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { useCoachWorkspace, type RosterAthlete } from '../hooks/useCoachWorkspace';
+import { RosterTable } from '../components/coach-workspace/RosterTable';
+import { InviteAthleteModal } from '../components/coach-workspace/InviteAthleteModal';
+
+export default function CoachWorkspace() {
+  const { user } = useAuth() as { user: { id: string } | null };
+  const navigate = useNavigate();
+  const [inviteOpen, setInviteOpen] = useState(false);
+  const {
+    athletes,
+    pending,
+    loading,
+    error,
+    refresh,
+    inviteAthlete,
+    setCanEditPlan,
+    removeAthlete,
+  } = useCoachWorkspace(user?.id);
+
+  const notifyError = (err: unknown) => {
+    notifications.show({
+      title: 'Error',
+      message: err instanceof Error ? err.message : 'Something went wrong',
+      color: 'red',
+    });
+  };
+
+  const handleInvite = async (email: string, canEditPlan: boolean) => {
+    await inviteAthlete(email, canEditPlan);
+    notifications.show({ title: 'Invitation sent', message: `${email} can accept from their settings.`, color: 'teal' });
+  };
+
+  const handleToggleEdit = async (athlete: RosterAthlete) => {
+    try {
+      await setCanEditPlan(athlete.relationshipId, !athlete.canEditPlan);
+    } catch (err) {
+      notifyError(err);
+    }
+  };
+
+  const handleRemove = async (athlete: RosterAthlete) => {
+    if (!window.confirm(`Remove ${athlete.name}? You will lose access to their training data and calendar.`)) return;
+    try {
+      await removeAthlete(athlete.relationshipId);
+    } catch (err) {
+      notifyError(err);
+    }
+  };
+
+  return (
+    <AppShell>
+      <Container size="lg" py="lg">
+        <Stack gap="xl">
+          <PageHeader
+            title="Coach Workspace"
+            subtitle="Your athletes' fitness, compliance and flags at a glance"
+            actions={
+              <Group gap="xs">
+                <Tooltip label="Refresh">
+                  <ActionIcon variant="subtle" onClick={refresh} aria-label="Refresh roster">
+                    <ArrowsClockwise size={18} />
+                  </ActionIcon>
+                </Tooltip>
+                <Button leftSection={<UserPlus size={16} />} onClick={() => setInviteOpen(true)}>
+                  Invite athlete
+                </Button>
+              </Group>
+            }
+          />
+
+          {error && <Alert color="red">{error}</Alert>}
+
+          <Card withBorder>
+            <Stack gap="sm">
+              <Group justify="space-between">
+                <Title order={4}>Roster</Title>
+                <Badge variant="light">{athletes.length} athletes</Badge>
+              </Group>
+              {loading ? (
+                <Group justify="center" py="xl"><Loader size="sm" /></Group>
+              ) : (
+                <RosterTable
+                  athletes={athletes}
+                  onOpen={(athlete) => navigate(`/coach/athletes/${athlete.athleteId}`)}
+                  onToggleEdit={handleToggleEdit}
+                  onRemove={handleRemove}
+                />
+              )}
+            </Stack>
+          </Card>
+
+          {pending.length > 0 && (
+            <Card withBorder>
+              <Stack gap="sm">
+                <Title order={4}>Pending invitations</Title>
+                {pending.map((invite) => (
+                  <Group key={invite.id} justify="space-between">
+                    <Group gap="xs">
+                      <EnvelopeSimple size={16} />
+                      <Text size="sm">{invite.invite_email}</Text>
+                      <Text size="xs" c="dimmed">
+                        sent {new Date(invite.invited_at).toLocaleDateString()}
+                      </Text>
+                    </Group>
+                    <Tooltip label="Withdraw invitation">
+                      <ActionIcon
+                        variant="subtle"
+                        color="gray"
+                        onClick={() => removeAthlete(invite.id).catch(notifyError)}
+                        aria-label={`Withdraw invitation to ${invite.invite_email}`}
+                      >
+                        <X size={16} />
+                      </ActionIcon>
+                    </Tooltip>
+                  </Group>
+                ))}
+              </Stack>
+            </Card>
+          )}
+        </Stack>
+      </Container>
+
+      <InviteAthleteModal opened={inviteOpen} onClose={() => setInviteOpen(false)} onInvite={handleInvite} />
+    </AppShell>
+  );
+}
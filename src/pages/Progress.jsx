@@ -13,8 +13,10 @@ import { formatLocalDate } from '../utils/dateUtils';
 import { translateCTL, translateTSB } from '../lib/fitness/translate';
 import { ctlTooltip, tsbTooltip } from '../lib/fitness/tooltips';
 import { useSegmentLibrary } from '../hooks/useSegmentLibrary';
+import { analyzeTID, summarizeTID } from '../lib/training/intensity-distribution';
 import EmptyState from '../components/EmptyState.jsx';
 import ZoneDistributionRow from '../components/progress/ZoneDistributionRow.jsx';
+import IntensityDistributionCard from '../components/progress/IntensityDistributionCard.jsx';
 import TrendInsightRow from '../components/progress/TrendInsightRow.jsx';
 import YearToDateStats from '../components/progress/YearToDateStats.jsx';
 import SegmentIntelligence from '../components/progress/SegmentIntelligence.jsx';
@@ -41,6 +43,13 @@ const ZONE_DISTRIBUTIONS = {
   6: { 2: 0.20, 3: 0.10, 4: 0.15, 5: 0.30, 6: 0.25 },
 };
 
+const NON_CYCLING_TYPES = ['run', 'virtualrun', 'trailrun', 'swim', 'walk', 'hike'];
+
+function isCycling(activity) {
+  const type = (activity.sport_type || activity.type || '').toLowerCase();
+  return !NON_CYCLING_TYPES.includes(type);
+}
+
 function formatTimeFromSeconds(seconds) {
   if (!seconds) return '0h';
   const hours = Math.floor(seconds / 3600);
@@ -69,6 +78,8 @@ function Progress() {
   const [taus, setTaus] = useState({ tfi: 42, afi: 7 });
   const [unitsPreference, setUnitsPreference] = useState('imperial');
   const [zoneTimeFilter, setZoneTimeFilter] = useState('30');
+  const [activeBlock, setActiveBlock] = useState(null);
+  const [blockPrescriptions, setBlockPrescriptions] = useState([]);
 
   const isImperial = unitsPreference === 'imperial';
   const formatDist = (km) => formatDistance(km, isImperial);
@@ -142,6 +153,29 @@ function Progress() {
           .gte('date', formatLocalDate(ninetyDaysAgo))
           .order('date', { ascending: true });
         setServerLoadHistory(loadRows || []);
+
+        // Active training block + its prescriptions, for the intensity
+        // distribution targets. Optional — the card falls back to the
+        // 8-week shape without them.
+        const { data: block } = await supabase
+          .from('block_instances')
+          .select('id, block_type, start_date, end_date, coefficients_snapshot')
+          .eq('user_id', user.id)
+          .eq('status', 'active')
+          .order('start_date', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        setActiveBlock(block || null);
+        if (block) {
+          const { data: prescriptions } = await supabase
+            .from('session_prescriptions')
+            .select('date, session_type, target_duration_min, prescribed_intervals')
+            .eq('block_id', block.id)
+            .order('date', { ascending: true });
+          setBlockPrescriptions(prescriptions || []);
+        } else {
+          setBlockPrescriptions([]);
+        }
       } catch (err) {
         console.error('Error loading progress data:', err);
         setLoadError(err.message || 'Failed to load your training data');
@@ -168,11 +202,9 @@ function Progress() {
     const cutoff = new Date();
     cutoff.setDate(cutoff.getDate() - days);
 
-    const NON_CYCLING_TYPES = ['run', 'virtualrun', 'trailrun', 'swim', 'walk', 'hike'];
     const filtered = activities.filter(a => {
       if (new Date(a.start_date) < cutoff) return false;
-      const type = (a.sport_type || a.type || '').toLowerCase();
-      return !NON_CYCLING_TYPES.includes(type);
+      return isCycling(a);
     });
     if (filtered.length === 0) return { zones: [], totalTime: 0 };
 
@@ -199,6 +231,21 @@ function Progress() {
     return { zones, totalTime };
   }, [activities, ftp, zoneTimeFilter]);
 
+  // Three-zone intensity distribution over the last 8 weeks, against the
+  // active block's prescriptions.
+  const tid = useMemo(() => {
+    const cutoff = formatLocalDate(new Date(Date.now() - 55 * 24 * 60 * 60 * 1000));
+    const recent = activities
+      .filter(a => (a.start_date || '').slice(0, 10) >= cutoff && isCycling(a))
+      .reverse();
+    const analysis = analyzeTID(recent, activeBlock, blockPrescriptions);
+    const window = summarizeTID(analysis.weeks.reduce(
+      (acc, w) => ({ low: acc.low + w.seconds.low, mid: acc.mid + w.seconds.mid, high: acc.high + w.seconds.high }),
+      { low: 0, mid: 0, high: 0 },
+    ));
+    return { analysis, window };
+  }, [activities, activeBlock, blockPrescriptions]);
+
   // Current CTL/ATL/TSB. Prefer the shared server-preferred walk (same math
   // as Today/Glance/Dashboard — see docs/tfi-duality-decision.md) so this
   // page can't disagree with the Today surfaces. Fall back to the full-history
@@ -452,6 +499,30 @@ function Progress() {
             <ZoneDistributionRow zones={zoneData.zones} totalTime={zoneData.totalTime} />
           </Box>
 
+          {/* Intensity Distribution — three-zone shape vs the block's plan */}
+          <Box
+            style={{
+              border: '1px solid var(--color-border)',
+              backgroundColor: 'var(--color-card)',
+              padding: 20,
+            }}
+          >
+            <Text
+              style={{
+                fontFamily: "'Barlow Condensed', sans-serif",
+                fontSize: 13,
+                fontWeight: 700,
+                letterSpacing: '2px',
+                textTransform: 'uppercase',
+                color: 'var(--color-text-primary)',
+                marginBottom: 14,
+              }}
+            >
+              INTENSITY DISTRIBUTION
+            </Text>
+            <IntensityDistributionCard analysis={tid.analysis} window={tid.window} />
+          </Box>
+
           {/* Key Trends */}
           {trendInsights.length > 0 && (
             <Box
@@ -24,6 +24,10 @@ import {
   useDraftAutosave,
   useUserLocation,
   useSpeedProfile,
+  usePacingPlan,
+  useOfflineRoutePack,
+  usePersonalDifficulty,
+  useRouteStages,
 } from '../hooks/route-builder';
 import { useRouteBuilderStore } from '../stores/routeBuilderStore';
 import { useAuth } from '../contexts/AuthContext.jsx';
@@ -50,6 +54,8 @@ import {
   WindLegend,
   FuelPanel,
   TirePressurePanel,
+  PacingPanel,
+  StagesPanel,
   PersonaDropdown,
   personaDisplayName,
   ChatBody,
@@ -82,10 +88,11 @@ import {
   revertLastChatEdit,
   type ChatMessage,
   type ChatPhase,
+  type ResolvedEditFeature,
   type FormPanelControl,
   type RouteCheckpoint,
 } from '../features/route-builder-v2/chat';
-import { Stack as StackIcon, MapPin, FolderOpen, MagnifyingGlass, CloudSun, ForkKnife, Gauge, Barbell, PencilSimpleLine, ChartLineUp, FloppyDisk, ChatCircleDots, Compass, SlidersHorizontal, Signpost } from '@phosphor-icons/react';
+import { Stack as StackIcon, MapPin, FolderOpen, MagnifyingGlass, CloudSun, ForkKnife, Gauge, Barbell, PencilSimpleLine, ChartLineUp, FloppyDisk, ChatCircleDots, Compass, SlidersHorizontal, Signpost, Timer, Tent } from '@phosphor-icons/react';
 import { CuesPanel } from '../features/route-builder-v2/components/CuesPanel';
 import { GuestSaveModal } from '../features/route-builder-v2/components/GuestSaveModal';
 import type { RouteCue as RouteCueType } from '../utils/routeCues';
@@ -109,6 +116,7 @@ import {
 import { rankPastRidesByFit } from '../features/route-builder-v2/arrival/rankPastRides';
 import { calculatePersonalizedETA } from '../utils/personalizedETA';
 import { buildTargetAccuracy, describeTargetMiss } from '../utils/routeTargets.js';
+import type { PersonalDifficulty } from '../utils/personalDifficulty';
 import RoadPreferencesCard from '../components/settings/RoadPreferencesCard.jsx';
 import BikeInfrastructureLegend from '../components/BikeInfrastructureLegend.jsx';
 import RaceDayGuide from '../components/fueling/RaceDayGuide';
@@ -385,6 +393,7 @@ export default function RouteBuilder2() {
     previous: RouteCheckpoint;
     next: { distance_km: number; elevation_gain_m: number };
     partial: boolean;
+    resolved: ResolvedEditFeature[];
   } | null>(null);
   // Mobile: assistant replies that landed while the Coach tab was closed.
   const [chatUnread, setChatUnread] = useState(0);
@@ -814,6 +823,7 @@ export default function RouteBuilder2() {
                 elevation_gain_m: c.snapshot.stats.elevation_gain_m,
                 direction_label: c.direction_label,
                 familiarity_percent: c.familiarity_percent,
+                road_match_percent: c.road_match_percent,
                 surface_label: c.surface_profile === 'gravel' ? 'gravel-biased' : undefined,
                 gravel_actual_pct: c.gravel_actual_pct,
                 gravel_target_pct: c.gravel_target_pct,
@@ -826,6 +836,7 @@ export default function RouteBuilder2() {
           elevation_gain_m: best.snapshot.stats.elevation_gain_m,
           name: best.name,
           familiarity_percent: best.familiarity_percent,
+          road_match_percent: best.road_match_percent,
           gravel_actual_pct: best.gravel_actual_pct,
           options,
         };
@@ -911,6 +922,10 @@ export default function RouteBuilder2() {
     setChatUnread(unseen);
   }, [chat.messages, mobileTab, isMobile]);
 
+  // Latest personal-difficulty comparison for the coach's context. Computed
+  // further down (it needs the personalized ETA), so read through a ref.
+  const personalDifficultyRef = useRef<PersonalDifficulty | null>(null);
+
   const handleChatSubmit = useCallback(
     (text: string) => {
       // Any new turn resolves the pending Keep/Revert as an implicit
@@ -931,15 +946,17 @@ export default function RouteBuilder2() {
         conversationHistory,
         isImperial,
         planAware,
+        personalDifficulty: personalDifficultyRef.current,
         append: chat.append,
         setProcessing: chat.setProcessing,
         markRefused: chat.markRefused,
         onPhase: setChatPhase,
-        onEditOutcome: ({ previous, next, partial }) => {
+        onEditOutcome: ({ previous, next, partial, resolved }) => {
           setPendingEditReview({
             previous,
             next,
             partial,
+            resolved,
           });
         },
         formPanelControl: formControl.current,
@@ -1505,6 +1522,21 @@ export default function RouteBuilder2() {
     }
   }, [routeStats?.distance_km, analysis.elevationProfile, surfaceSegments, speedProfile, routeProfile, trainingGoal]);
 
+  // The route against the rider's own history ("harder than 92% of your
+  // rides…"), for the stats card and the route coach's context.
+  const personalDifficulty = usePersonalDifficulty(
+    user?.id ?? null,
+    routeStats
+      ? {
+          distance_km: routeStats.distance_km,
+          elevation_gain_m: routeStats.elevation_gain_m,
+          duration_s: personalizedEta?.totalSeconds ?? routeStats.duration_s,
+        }
+      : null,
+    analysis.elevationProfile,
+  );
+  personalDifficultyRef.current = personalDifficulty;
+
   // How far the current route sits from what the rider asked for. Recomputed
   // from live stats rather than captured at generation, so the chip keeps
   // tracking while the route is reshaped by hand — the target is a budget,
@@ -1562,6 +1594,58 @@ export default function RouteBuilder2() {
     />
   ) : null;
 
+  // Pacing plan / virtual partner over the live geometry, elevation and (once
+  // the Weather panel has loaded it) forecast wind. Drives PacingPanel, the
+  // elevation power overlay and FIT export timestamps.
+  // Offline pack (geometry, cues, elevation, corridor tiles) of the open saved route.
+  useOfflineRoutePack(persistence.savedRouteId, analysis.elevationProfile, map.getTileTemplates);
+
+  const pacing = usePacingPlan(
+    analysis.elevationProfile,
+    weather.weather
+      ? { speedKmh: weather.weather.windSpeed, degrees: weather.weather.windDegrees }
+      : null,
+  );
+  const pacingNode = (
+    <PacingPanel
+      plan={pacing.plan}
+      settings={pacing.settings}
+      onSettingsChange={pacing.setSettings}
+      suggestedMinutes={
+        targetFinishMinutes ?? (personalizedEta?.totalSeconds ? personalizedEta.totalSeconds / 60 : null)
+      }
+      hasWind={!!weather.weather}
+      isImperial={isImperial}
+    />
+  );
+
+  // Multi-day stages: overnight stops split the route into days, each with
+  // its own ETA (same speed profile / surface inputs as the route ETA).
+  const surfaceDistribution = useMemo(
+    () =>
+      surfaceSegments
+        ? (computeSurfaceDistribution(surfaceSegments) as Record<string, number>)
+        : undefined,
+    [surfaceSegments],
+  );
+  const stagePlan = useRouteStages(analysis.elevationProfile, {
+    speedProfile: speedProfile as object | null,
+    surfaceDistribution,
+  });
+  const stagesNode = (
+    <StagesPanel
+      stops={stagePlan.stops}
+      stages={stagePlan.stages}
+      suggestedDays={stagePlan.suggestedDays}
+      onSuggest={stagePlan.suggest}
+      onStopsChange={stagePlan.setStops}
+      resupply={stagePlan.resupply}
+      onFindResupply={(i) => void stagePlan.findResupply(i)}
+      onExport={(format) => void stagePlan.exportStages(format)}
+      isImperial={isImperial}
+    />
+  );
+
   // Save from the stats card: an already-saved route updates in place; an
   // unnamed one opens the Save modal (via the Routes flyout/tab) to get a name.
   const handleQuickSave = useCallback(async () => {
@@ -1593,6 +1677,7 @@ export default function RouteBuilder2() {
         }
         targetStatus={targetStatus}
         onFixTarget={targetStatus ? handleFixTarget : undefined}
+        personalDifficulty={personalDifficulty?.summary || null}
       />
     ) : null;
 
@@ -1760,6 +1845,20 @@ export default function RouteBuilder2() {
           </>
         ),
       },
+      {
+        id: 'pacing',
+        label: 'Pacing',
+        icon: <Timer size={20} weight="duotone" />,
+        disabled: !hasRoute,
+        panel: pacingNode,
+      },
+      {
+        id: 'stages',
+        label: 'Stages',
+        icon: <Tent size={20} weight="duotone" />,
+        disabled: !hasRoute,
+        panel: stagesNode,
+      },
       {
         // Not gated on a route — the calculator is useful standalone, and
         // seeds surface/width from the route profile when one exists.
@@ -1775,8 +1874,9 @@ export default function RouteBuilder2() {
         panel: roadPrefsNode,
       },
       {
-        // Always enabled: Load and Import GPX are entry points that work with
-        // no current route (Save/Export disable themselves inside the panel).
+        // Always enabled: Load and Import (GPX/TCX/FIT) are entry points that
+        // work with no current route (Save/Export disable themselves inside
+        // the panel).
         id: 'routes',
         label: 'Routes',
         icon: <FolderOpen size={20} weight="duotone" />,
@@ -1874,6 +1974,7 @@ export default function RouteBuilder2() {
                       previous={pendingEditReview.previous.stats}
                       next={pendingEditReview.next}
                       partial={pendingEditReview.partial}
+                      resolved={pendingEditReview.resolved}
                       isImperial={isImperial}
                       busy={chat.isProcessing}
                       onKeep={handleKeepEdit}
@@ -1906,6 +2007,7 @@ export default function RouteBuilder2() {
                       onHoverKm={setElevationHoverKm}
                       isImperial={isImperial}
                       cues={visibleCues}
+                      pacing={pacing.plan}
                     />
                   )}
                 </>
@@ -2049,6 +2151,8 @@ export default function RouteBuilder2() {
               isImperial={isImperial}
             />
           </Box>
+          <Box style={cardStyle}>{pacingNode}</Box>
+          <Box style={cardStyle}>{stagesNode}</Box>
           <Box style={cardStyle}>
             <TirePressurePanel routeProfile={routeProfile} isImperial={isImperial} />
           </Box>
@@ -2067,7 +2171,7 @@ export default function RouteBuilder2() {
             padding: '24px 8px',
           }}
         >
-          Build a route to see weather, fueling, and tire pressure.
+          Build a route to see weather, fueling, pacing, and tire pressure.
         </Text>
       ),
     },
@@ -2084,6 +2188,7 @@ export default function RouteBuilder2() {
               onHoverKm={setElevationHoverKm}
               isImperial={isImperial}
               cues={visibleCues}
+              pacing={pacing.plan}
             />
           )}
           {hasRoute && !!routeCues?.length && (
@@ -2223,6 +2328,7 @@ export default function RouteBuilder2() {
                 previous={pendingEditReview.previous.stats}
                 next={pendingEditReview.next}
                 partial={pendingEditReview.partial}
+                resolved={pendingEditReview.resolved}
                 isImperial={isImperial}
                 busy={chat.isProcessing}
                 onKeep={handleKeepEdit}
@@ -48,8 +48,11 @@ import { TRAINING_ZONES } from '../utils/trainingPlans';
 import { formatSpeed } from '../utils/units';
 import PageHeader from '../components/PageHeader.jsx';
 import RoadPreferencesCard from '../components/settings/RoadPreferencesCard.jsx';
+import PrivacyZonesCard from '../components/settings/PrivacyZonesCard';
 import RunningProfileSettings from '../components/settings/RunningProfileSettings.jsx';
 import RecoveryModeCard from '../components/settings/RecoveryModeCard';
+import CoachAccessCard from '../components/settings/CoachAccessCard';
+import CalendarFeedCard from '../components/settings/CalendarFeedCard';
 import { useGear } from '../hooks/useGear.ts';
 import GearItemCard from '../components/gear/GearItemCard.jsx';
 import GearDetailView from '../components/gear/GearDetailView.jsx';
@@ -1900,6 +1903,9 @@ function Settings() {
           {/* Recovery Preference (event-anchored planner / masters mode) */}
           <RecoveryModeCard />
 
+          {/* Human coach access (coach workspace invitations + audit log) */}
+          <CoachAccessCard />
+
                 </Stack>
               </Tabs.Panel>
 
@@ -2356,6 +2362,9 @@ function Settings() {
             </Stack>
           </Card>
 
+          {/* Planned-workout iCal subscription feed */}
+          <CalendarFeedCard />
+
                 </Stack>
               </Tabs.Panel>
 
@@ -2365,6 +2374,7 @@ function Settings() {
 
           {/* Route Learning */}
           <RoadPreferencesCard />
+          <PrivacyZonesCard />
 
                 </Stack>
               </Tabs.Panel>
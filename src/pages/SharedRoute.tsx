@@ -4,13 +4,16 @@
  * Mounted at /r/:routeId with no auth guard (like the OAuth callbacks).
  * Fetches via the unauthenticated get_public_route action, which only
  * returns routes explicitly marked public by their owner. Read-only map +
- * stats, with a CTA into the Route Builder (sign-in gated there).
+ * stats, a GPX download, and a CTA into the Route Builder (sign-in gated
+ * there). The geometry is already masked by the owner's privacy zones
+ * server-side, so the map and the GPX never show those areas.
  */
 import { useEffect, useMemo, useState } from 'react';
 import { Link, useParams } from 'react-router-dom';
 import { Box, Button, Loader, Text } from '@mantine/core';
 import Map, { Layer, Marker, Source } from 'react-map-gl';
 import { getPublicRoute } from '../utils/routesService';
+import { exportAndDownloadRoute } from '../utils/routeExport';
 import { MAPBOX_TOKEN } from '../components/RouteBuilder';
 import { useAuth } from '../contexts/AuthContext.jsx';
 
@@ -119,6 +122,19 @@ export default function SharedRoute() {
   const start = coords[0];
   const end = coords[coords.length - 1];
 
+  const downloadGpx = () => {
+    exportAndDownloadRoute(
+      {
+        name: route.name || 'Shared Route',
+        description: route.description || undefined,
+        coordinates: coords as [number, number][],
+        distanceKm: route.distance_km ?? undefined,
+        elevationGainM: route.elevation_gain_m ?? undefined,
+      },
+      'gpx',
+    );
+  };
+
   return (
     <Box style={{ height: '100dvh', display: 'flex', flexDirection: 'column' }}>
       <Box
@@ -143,14 +159,19 @@ export default function SharedRoute() {
             {route.surface_type ? ` · ${route.surface_type}` : ''}
           </Text>
         </Box>
-        <Button
-          component={Link}
-          to={user ? `/routes/${route.id}` : '/auth'}
-          radius={0}
-          data-testid="shared-route-cta"
-        >
-          {user ? 'Open in Route Builder' : 'Sign in to save a copy'}
-        </Button>
+        <Box style={{ display: 'flex', gap: 8 }}>
+          <Button variant="default" radius={0} onClick={downloadGpx} data-testid="shared-route-gpx">
+            Download GPX
+          </Button>
+          <Button
+            component={Link}
+            to={user ? `/routes/${route.id}` : '/auth'}
+            radius={0}
+            data-testid="shared-route-cta"
+          >
+            {user ? 'Open in Route Builder' : 'Sign in to save a copy'}
+          </Button>
+        </Box>
       </Box>
       {route.description && (
         <Text style={{ padding: '8px 16px', fontSize: 13, color: 'var(--tribos-text-secondary, #6B6B60)' }}>
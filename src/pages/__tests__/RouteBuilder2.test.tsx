@@ -44,6 +44,8 @@ vi.mock('../../data/workoutLibrary', () => {
   return {
     WORKOUT_LIBRARY: { test_workout: fake },
     getWorkoutById: (id: string) => (id === 'test_workout' ? fake : null),
+    getCustomWorkouts: () => [],
+    setCustomWorkouts: vi.fn(),
   };
 });
 
@@ -1,7 +1,8 @@
 /**
  * Admin Service
  * Handles all admin API calls with authentication
- * SECURITY: All operations require valid JWT from travis@tribos.studio
+ * SECURITY: All operations require a valid JWT from a user with an admin role;
+ * the API checks the role's permission for each action
  */
 
 import { supabase } from '../lib/supabase';
@@ -79,6 +80,29 @@ async function emailToolFetch(action, data = {}) {
   return result;
 }
 
+/**
+ * Get the caller's admin role and the permissions it grants.
+ * Throws if the caller has no admin role.
+ * @returns {Promise<{role: string, permissions: string[]}>}
+ */
+export async function getAdminAccess() {
+  return adminFetch('get_access');
+}
+
+/**
+ * List everyone with an admin role (owner only)
+ */
+export async function listAdmins() {
+  return adminFetch('list_admins');
+}
+
+/**
+ * Grant or change a user's admin role, or revoke it with role = null (owner only)
+ */
+export async function setAdminRole(targetUserId, role) {
+  return adminFetch('set_admin_role', { targetUserId, role });
+}
+
 /**
  * Get list of all users with basic stats
  */
@@ -299,6 +323,14 @@ export async function sendCampaign(campaignId) {
   return emailToolFetch('send_campaign', { campaignId });
 }
 
+/**
+ * List behavioral email journeys with enrollment counts, per-step
+ * open/click conversion and the suppression list size
+ */
+export async function listJourneys() {
+  return emailToolFetch('list_journeys');
+}
+
 // ============================================================================
 // Push Notification Admin
 // ============================================================================
@@ -356,7 +388,128 @@ export async function listRecentPushNotifications() {
   return pushToolFetch('list_recent_notifications');
 }
 
+// ============================================================================
+// Webhook Dead-Letter Queue
+// ============================================================================
+
+/**
+ * Make an authenticated webhook DLQ API call (GET lists, POST redrives)
+ */
+async function webhookDlqFetch(method, { query = '', body } = {}) {
+  const token = await getAccessToken();
+
+  const response = await fetch(`${API_BASE}/api/admin-webhook-dlq${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error(`Server error (${response.status}): non-JSON response`);
+  }
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || 'Webhook DLQ request failed');
+  }
+
+  return result;
+}
+
+/**
+ * Dead-lettered webhook events across Strava, Wahoo, COROS and Garmin
+ * @param {string} provider - Optional provider to filter by
+ */
+export async function listDeadLetteredWebhooks(provider = null) {
+  return webhookDlqFetch('GET', { query: provider ? `?provider=${encodeURIComponent(provider)}` : '' });
+}
+
+/**
+ * Put dead-lettered events back on their provider's retry queue
+ * @param {string} provider - strava, wahoo, coros or garmin
+ * @param {string[]} ids - Event IDs from that provider's queue
+ */
+export async function redriveWebhooks(provider, ids) {
+  return webhookDlqFetch('POST', { body: { action: 'redrive', provider, ids } });
+}
+
+// ============================================================================
+// Forum Moderation
+// ============================================================================
+
+/**
+ * Make an authenticated forum moderation API call (GET lists, POST acts)
+ */
+async function adminForumFetch(method, { query = '', body } = {}) {
+  const token = await getAccessToken();
+
+  const response = await fetch(`${API_BASE}/api/admin-forum${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error(`Server error (${response.status}): non-JSON response`);
+  }
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || 'Forum moderation request failed');
+  }
+
+  return result;
+}
+
+/**
+ * Open forum reports grouped by the thread or reply they target
+ */
+export async function listForumReports() {
+  return adminForumFetch('GET', { query: '?view=reports' });
+}
+
+/**
+ * Close every open report on a thread or reply
+ * @param {{threadId?: string, postId?: string}} target
+ * @param {string} resolution - hide, lock, warn, ban or dismiss
+ * @param {{note?: string, banDays?: number|null}} options - banDays null = permanent
+ */
+export async function resolveForumReport(target, resolution, { note, banDays } = {}) {
+  return adminForumFetch('POST', { body: { action: 'resolve', ...target, resolution, note, banDays } });
+}
+
+export async function revokeForumSanction(sanctionId) {
+  return adminForumFetch('POST', { body: { action: 'revoke_sanction', sanctionId } });
+}
+
+/**
+ * Reputation leaders and moderators per forum board
+ */
+export async function listForumTrusted() {
+  return adminForumFetch('GET', { query: '?view=trusted' });
+}
+
+/**
+ * Appoint (or remove) a board moderator (forum:promote)
+ */
+export async function setForumCategoryModerator(userId, categoryId, enabled) {
+  return adminForumFetch('POST', { body: { action: 'set_category_moderator', userId, categoryId, enabled } });
+}
+
 export default {
+  getAdminAccess,
+  listAdmins,
+  setAdminRole,
   listUsers,
   getUserDetails,
   cleanUserData,
@@ -379,6 +532,7 @@ export default {
   previewRecipients,
   sendTestEmail,
   sendCampaign,
+  listJourneys,
   // Push notifications
   getPushStats,
   sendTestPush,
@@ -386,4 +540,13 @@ export default {
   sendPushBroadcast,
   listPushSubscriptions,
   listRecentPushNotifications,
+  // Webhook DLQ
+  listDeadLetteredWebhooks,
+  redriveWebhooks,
+  // Forum moderation
+  listForumReports,
+  resolveForumReport,
+  revokeForumSanction,
+  listForumTrusted,
+  setForumCategoryModerator,
 };
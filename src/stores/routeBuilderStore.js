@@ -57,6 +57,17 @@ const initialState = {
   raceDate: null,             // ISO date string for race day
   targetFinishMinutes: null,  // User's target finish time in minutes
 
+  // Pacing plan inputs (PacingPanel): { mode: 'time'|'power', targetMinutes,
+  // powerCapW, riderMassKg, cdA }. null = no plan. The computed plan itself
+  // (pacingPlan) is derived from these + geometry/elevation/wind and is not
+  // persisted; FIT export reads it for virtual-partner timestamps.
+  pacingSettings: null,
+  pacingPlan: null,
+
+  // Multi-day stages (StagesPanel): overnight stops as [{ km, name }] along
+  // the route. null = a single-day route.
+  stageStops: null,
+
   // AI suggestions (the generated route options)
   aiSuggestions: [],
 
@@ -171,6 +182,18 @@ export const useRouteBuilderStore = create(
         lastSaved: Date.now()
       }),
 
+      setPacingSettings: (settings) => set({
+        pacingSettings: settings,
+        lastSaved: Date.now()
+      }),
+
+      setPacingPlan: (plan) => set({ pacingPlan: plan }),
+
+      setStageStops: (stops) => set({
+        stageStops: stops,
+        lastSaved: Date.now()
+      }),
+
       // === AI Suggestions Actions ===
       setAiSuggestions: (suggestions) => set({
         aiSuggestions: suggestions,
@@ -226,6 +249,9 @@ export const useRouteBuilderStore = create(
         raceType: null,
         raceDate: null,
         targetFinishMinutes: null,
+        pacingSettings: null,
+        pacingPlan: null,
+        stageStops: null,
         builderMode: 'ready',
         lastSaved: Date.now()
       }),
@@ -304,6 +330,8 @@ export const useRouteBuilderStore = create(
         raceType: state.raceType,
         raceDate: state.raceDate,
         targetFinishMinutes: state.targetFinishMinutes,
+        pacingSettings: state.pacingSettings,
+        stageStops: state.stageStops,
         selectedWorkoutId: state.selectedWorkoutId,
         snapToRoads: state.snapToRoads,
         routingSource: state.routingSource,
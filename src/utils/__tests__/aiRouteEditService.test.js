@@ -17,6 +17,13 @@ vi.mock('../elevation.js', () => ({
   getElevationData: (...a) => getElevationData(...a),
   calculateElevationStats: (...a) => calculateElevationStats(...a),
 }));
+const fetchFromOverpass = vi.fn();
+const queryPOIsAlongRoute = vi.fn();
+vi.mock('../routePOIService.js', () => ({
+  fetchFromOverpass: (...a) => fetchFromOverpass(...a),
+  queryPOIsAlongRoute: (...a) => queryPOIsAlongRoute(...a),
+  POI_CATEGORIES: { food: { label: 'Food & Drink' }, water: { label: 'Water' } },
+}));
 
 import { applyRouteEdit } from '../aiRouteEditService.js';
 
@@ -613,3 +620,119 @@ describe('applyRouteEdit — longer, loop convergence', () => {
     expect(getSmartCyclingRoute).toHaveBeenCalledTimes(1);
   });
 });
+
+describe('applyRouteEdit — avoid / detour against resolved map features', () => {
+  // Due east along 40°N, ~85 m per point; Arapahoe Road runs under
+  // points 40–60 (lon -105.26 → -105.24).
+  const straight = Array.from({ length: 101 }, (_, i) => [-105.3 + i * 0.001, 40]);
+  const ROAD_WAY = {
+    elements: [
+      {
+        type: 'way',
+        id: 1,
+        tags: { highway: 'primary', name: 'Arapahoe Road' },
+        geometry: [
+          { lat: 40, lon: -105.26 },
+          { lat: 40, lon: -105.24 },
+        ],
+      },
+    ],
+  };
+  const avoidRoad = { intent: 'avoid', location: 'Arapahoe Road', featureType: 'road' };
+
+  /** Reroute mock: ride `via` between whatever anchors the edit asked for. */
+  const rerouteVia = (via) =>
+    getSmartCyclingRoute.mockImplementation(async ([from, to]) => ({
+      coordinates: [from, ...via, to],
+      source: 'stadia_maps',
+    }));
+
+  it('re-plans around the road with hard exclusions and reports it honoured', async () => {
+    fetchFromOverpass.mockResolvedValue(ROAD_WAY);
+    rerouteVia([[-105.275, 40.01], [-105.225, 40.01]]);
+
+    const res = await applyRouteEdit({
+      routeGeometry: geom(straight),
+      routeProfile: 'road',
+      routeStats: stats,
+      editIntent: avoidRoad,
+    });
+
+    expect(res.success).toBe(true);
+    const { exclusions } = getSmartCyclingRoute.mock.calls[0][1];
+    expect(exclusions.points.length).toBeGreaterThan(0);
+    expect(res.resolvedFeature).toMatchObject({
+      action: 'avoid',
+      kind: 'road',
+      label: 'Arapahoe Road (road)',
+      honoured: true,
+      overlapKm: 0,
+    });
+    expect(res.message).toMatch(/^Route now avoids Arapahoe Road/);
+  });
+
+  it('says so when the new route still uses part of the road', async () => {
+    fetchFromOverpass.mockResolvedValue(ROAD_WAY);
+    rerouteVia([[-105.26, 40], [-105.25, 40], [-105.25, 40.01], [-105.225, 40.01]]);
+
+    const res = await applyRouteEdit({
+      routeGeometry: geom(straight),
+      routeProfile: 'road',
+      routeStats: stats,
+      editIntent: avoidRoad,
+    });
+
+    expect(res.success).toBe(true);
+    expect(res.resolvedFeature.honoured).toBe(false);
+    expect(res.resolvedFeature.overlapKm).toBeCloseTo(0.9, 1);
+    expect(res.message).toMatch(/Couldn't fully avoid Arapahoe Road \(road\) — the route still uses 0\.9 km/);
+  });
+
+  it('does nothing when the route already avoids the feature', async () => {
+    fetchFromOverpass.mockResolvedValue({
+      elements: [{ ...ROAD_WAY.elements[0], geometry: [{ lat: 40.03, lon: -105.26 }, { lat: 40.03, lon: -105.24 }] }],
+    });
+
+    const res = await applyRouteEdit({
+      routeGeometry: geom(straight),
+      routeProfile: 'road',
+      routeStats: stats,
+      editIntent: avoidRoad,
+    });
+
+    expect(res.success).toBe(false);
+    expect(res.message).toBe('The route already avoids Arapahoe Road (road).');
+    expect(getSmartCyclingRoute).not.toHaveBeenCalled();
+  });
+
+  it('still treats "avoid highways" as a road-class preference, not a lookup', async () => {
+    getStadiaMapsRoute.mockResolvedValue(null);
+    getBRouterDirections.mockResolvedValue(null);
+    await applyRouteEdit({
+      routeGeometry: geom(loop()),
+      routeProfile: 'road',
+      routeStats: stats,
+      editIntent: { intent: 'avoid', location: 'highways' },
+    });
+    expect(fetchFromOverpass).not.toHaveBeenCalled();
+  });
+
+  it('detours via the nearest POI of a category', async () => {
+    queryPOIsAlongRoute.mockResolvedValue([
+      { category: 'food', name: 'Moxie Bread', lat: 40.002, lon: -105.25, offRouteDistanceM: 220 },
+    ]);
+    getSmartCyclingRoute.mockImplementation(async ([from, to]) => ({ coordinates: [from, to], source: 'stadia_maps' }));
+
+    const res = await applyRouteEdit({
+      routeGeometry: geom(straight),
+      routeProfile: 'road',
+      routeStats: stats,
+      editIntent: { intent: 'detour', featureType: 'poi', poiCategory: 'food' },
+    });
+
+    expect(res.success).toBe(true);
+    expect(getSmartCyclingRoute.mock.calls[0][0][1]).toEqual([-105.25, 40.002]);
+    expect(res.resolvedFeature).toMatchObject({ action: 'detour', kind: 'poi', name: 'Moxie Bread', honoured: true });
+    expect(res.message).toMatch(/^Route now passes through Moxie Bread \(food\)/);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { Decoder, Stream } from '@garmin/fitsdk';
+import { encodeFitCourse } from '../fitCourseEncoder';
+import type { RouteData } from '../routeExport';
+
+function decodeFit(data: Uint8Array) {
+  const decoder = new Decoder(Stream.fromByteArray(data));
+  if (!decoder.isFIT()) throw new Error('Not a valid FIT file');
+  const { messages, errors } = decoder.read();
+  return { messages, errors };
+}
+
+// The decoder hands back timestamps as Date objects.
+function elapsedOf(records: Array<{ timestamp?: unknown }> | undefined): number[] {
+  const times = (records ?? []).map((r) => (r.timestamp as Date).getTime());
+  return times.map((t) => Math.round((t - times[0]) / 1000));
+}
+
+const ROUTE: RouteData = {
+  name: 'Pacing test',
+  // ~1.11 km per step due north.
+  coordinates: [
+    [-105, 40],
+    [-105, 40.01],
+    [-105, 40.02],
+  ],
+};
+
+describe('encodeFitCourse timestamps', () => {
+  it('spreads records at a constant 20 km/h by default', () => {
+    const { messages, errors } = decodeFit(encodeFitCourse(ROUTE));
+    expect(errors).toHaveLength(0);
+    const elapsed = elapsedOf(messages.recordMesgs);
+    // 1.112 km at 20 km/h ≈ 200 s.
+    expect(elapsed[1]).toBeGreaterThanOrEqual(199);
+    expect(elapsed[1]).toBeLessThanOrEqual(201);
+    expect(elapsed[2]).toBeCloseTo(elapsed[1] * 2, -1);
+  });
+
+  it('follows planned elapsed seconds for a virtual partner', () => {
+    const { messages } = decodeFit(encodeFitCourse({ ...ROUTE, elapsedSeconds: [0, 300, 420] }));
+    expect(elapsedOf(messages.recordMesgs)).toEqual([0, 300, 420]);
+    expect(messages.lapMesgs?.[0].totalTimerTime).toBeCloseTo(420, 0);
+  });
+
+  it('ignores a plan that does not match the coordinates', () => {
+    const { messages } = decodeFit(encodeFitCourse({ ...ROUTE, elapsedSeconds: [0, 300] }));
+    expect(elapsedOf(messages.recordMesgs)[1]).toBeLessThanOrEqual(201);
+  });
+});
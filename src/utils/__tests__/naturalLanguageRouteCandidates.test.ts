@@ -59,6 +59,12 @@ vi.mock('../../hooks/route-builder/elevationEnrichment', () => ({
   enrichRouteElevation: (...a: unknown[]) => enrichRouteElevation(...a),
 }));
 
+const getRoutingCostProfile = vi.fn();
+vi.mock('../routeCostProfile', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('../routeCostProfile')>()),
+  getRoutingCostProfile: (...a: unknown[]) => getRoutingCostProfile(...a),
+}));
+
 import {
   generateRouteCandidatesFromNaturalLanguage,
   generatePlannedRouteCandidates,
@@ -103,6 +109,8 @@ beforeEach(() => {
   buildGravelLoopCandidates.mockReset();
   scoreRoutePreference.mockReset();
   enrichRouteElevation.mockReset();
+  getRoutingCostProfile.mockReset();
+  getRoutingCostProfile.mockResolvedValue(null);
   // Default: enrichment is a pass-through.
   enrichRouteElevation.mockImplementation(async (snap: unknown) => snap);
   reverseGeocodeRegion.mockResolvedValue('Longmont, Colorado');
@@ -204,6 +212,30 @@ describe('generateRouteCandidatesFromNaturalLanguage — iterative variants', ()
     expect(scoreRoutePreference).toHaveBeenCalledTimes(3);
     expect(candidates[0].familiarity_percent).toBe(41);
   }, 10000);
+
+  it('routes with the rider cost profile and scores road match', async () => {
+    const profile = {
+      confidence: 'medium',
+      roadClassWeights: { busy: 0.5 },
+      trafficStress: 0.2,
+      gravelWeight: 0.3,
+      familiarityStrength: 0.5,
+      exploreMode: false,
+    };
+    getRoutingCostProfile.mockResolvedValue(profile);
+    parseRouteRequest.mockResolvedValue(BASE_REQUEST);
+    generateIterativeRoute.mockResolvedValue(iterativeRouteOf(72));
+    scoreRoutePreference.mockResolvedValue({ familiarityPercent: 41 });
+
+    const candidates = await generateRouteCandidatesFromNaturalLanguage('ne gravel loop', {
+      accessToken: 'tok',
+    });
+
+    expect(getRoutingCostProfile).toHaveBeenCalledWith('tok');
+    expect(generateIterativeRoute.mock.calls[0][0].options.preferences).toEqual({ costProfile: profile });
+    // Only familiarity is measured here, so the match is the familiarity.
+    expect(candidates[0].road_match_percent).toBe(41);
+  }, 10000);
 });
 
 describe('generateRouteCandidatesFromNaturalLanguage — single-candidate branches', () => {
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildPacingPlan,
+  elapsedSecondsAtKm,
+  pacingElapsedForCoordinates,
+  pacingMultiplier,
+  powerForSpeed,
+  speedForPower,
+  type PacingInput,
+} from '../pacingPlan';
+
+const RIDER = { riderMassKg: 75 };
+
+// ~20 km due north along a meridian (1° lat ≈ 111.2 km).
+function northLine(km: number, points = 41): Array<[number, number]> {
+  const out: Array<[number, number]> = [];
+  for (let i = 0; i < points; i++) out.push([-105, 40 + ((km / 111.195) * i) / (points - 1)]);
+  return out;
+}
+
+function baseInput(overrides: Partial<PacingInput> = {}): PacingInput {
+  return {
+    coordinates: northLine(20),
+    rider: RIDER,
+    target: { mode: 'time', targetMinutes: 40 },
+    ...overrides,
+  };
+}
+
+describe('powerForSpeed / speedForPower', () => {
+  it('round-trips on the flat', () => {
+    const p = powerForSpeed(10, 0, 0, RIDER);
+    expect(p).toBeGreaterThan(150);
+    expect(p).toBeLessThan(300);
+    expect(speedForPower(p, 0, 0, RIDER)).toBeCloseTo(10, 3);
+  });
+
+  it('is slower uphill and into a headwind at the same power', () => {
+    const flat = speedForPower(200, 0, 0, RIDER);
+    expect(speedForPower(200, 6, 0, RIDER)).toBeLessThan(flat);
+    expect(speedForPower(200, 0, 5, RIDER)).toBeLessThan(flat);
+    expect(speedForPower(200, 0, -5, RIDER)).toBeGreaterThan(flat);
+  });
+
+  it('caps descending speed', () => {
+    expect(speedForPower(300, -15, 0, RIDER) * 3.6).toBeCloseTo(70, 5);
+  });
+});
+
+describe('pacingMultiplier', () => {
+  it('pushes climbs and headwinds, eases descents, within bounds', () => {
+    expect(pacingMultiplier(0, 0)).toBe(1);
+    expect(pacingMultiplier(5, 0)).toBeCloseTo(1.2, 5);
+    expect(pacingMultiplier(20, 30)).toBe(1.25);
+    expect(pacingMultiplier(-20, -30)).toBe(0.5);
+  });
+});
+
+describe('buildPacingPlan', () => {
+  it('returns null without a usable target or route', () => {
+    expect(buildPacingPlan(baseInput({ target: { mode: 'time', targetMinutes: null } }))).toBeNull();
+    expect(buildPacingPlan(baseInput({ target: { mode: 'power' } }))).toBeNull();
+    expect(buildPacingPlan(baseInput({ coordinates: [[-105, 40]] }))).toBeNull();
+  });
+
+  it('hits a target finish time on a flat route', () => {
+    const plan = buildPacingPlan(baseInput())!;
+    expect(plan.distanceKm).toBeCloseTo(20, 1);
+    expect(plan.feasible).toBe(true);
+    expect(Math.abs(plan.totalSeconds - 2400)).toBeLessThan(24);
+    // Flat + calm → steady power.
+    expect(plan.normalizedPowerW).toBe(plan.averagePowerW);
+    expect(plan.segments).toHaveLength(40);
+  });
+
+  it('flags a target that is out of reach under the power cap', () => {
+    const plan = buildPacingPlan(
+      baseInput({ target: { mode: 'time', targetMinutes: 25, powerCapW: 180 } }),
+    )!;
+    expect(plan.feasible).toBe(false);
+    expect(plan.totalSeconds).toBeGreaterThan(1500);
+    expect(Math.max(...plan.segments.map((s) => s.powerW))).toBeLessThanOrEqual(180);
+  });
+
+  it('never exceeds the cap in power mode and rides harder on the climb', () => {
+    const plan = buildPacingPlan(
+      baseInput({
+        target: { mode: 'power', powerCapW: 250 },
+        elevationProfile: [
+          { distance_km: 0, elevation_m: 100 },
+          { distance_km: 10, elevation_m: 100 },
+          { distance_km: 15, elevation_m: 400 },
+          { distance_km: 20, elevation_m: 100 },
+        ],
+      }),
+    )!;
+    const climb = plan.segments.find((s) => s.startKm > 11 && s.endKm < 14)!;
+    const flat = plan.segments.find((s) => s.endKm < 9)!;
+    const descent = plan.segments.find((s) => s.startKm > 16)!;
+    expect(climb.gradePercent).toBeCloseTo(6, 0);
+    expect(climb.powerW).toBe(250);
+    expect(flat.powerW).toBeLessThan(climb.powerW);
+    expect(descent.powerW).toBeLessThan(flat.powerW);
+    expect(climb.speedKmh).toBeLessThan(flat.speedKmh);
+  });
+
+  it('treats wind from the heading as a headwind', () => {
+    const calm = buildPacingPlan(baseInput({ target: { mode: 'power', powerCapW: 200 } }))!;
+    const head = buildPacingPlan(
+      baseInput({ target: { mode: 'power', powerCapW: 200 }, wind: { speedKmh: 20, degrees: 0 } }),
+    )!;
+    const tail = buildPacingPlan(
+      baseInput({ target: { mode: 'power', powerCapW: 200 }, wind: { speedKmh: 20, degrees: 180 } }),
+    )!;
+    expect(head.segments[0].headwindKmh).toBeCloseTo(20, 0);
+    expect(tail.segments[0].headwindKmh).toBeCloseTo(-20, 0);
+    expect(head.totalSeconds).toBeGreaterThan(calm.totalSeconds);
+    expect(tail.totalSeconds).toBeLessThan(calm.totalSeconds);
+  });
+
+  it('produces cumulative splits that end at the finish', () => {
+    const plan = buildPacingPlan(baseInput({ coordinates: northLine(22), splitKm: 5 }))!;
+    expect(plan.splits.map((s) => s.km)).toEqual([5, 10, 15, 20, plan.distanceKm]);
+    expect(plan.splits[plan.splits.length - 1].elapsedSeconds).toBe(plan.totalSeconds);
+    const summed = plan.splits.reduce((sum, s) => sum + s.splitSeconds, 0);
+    expect(summed).toBe(plan.totalSeconds);
+  });
+});
+
+describe('elapsed time lookups', () => {
+  it('interpolates within segments and maps onto coordinates', () => {
+    const coords = northLine(20);
+    const plan = buildPacingPlan(baseInput({ coordinates: coords }))!;
+    expect(elapsedSecondsAtKm(plan, 0)).toBe(0);
+    expect(elapsedSecondsAtKm(plan, plan.distanceKm)).toBeCloseTo(plan.totalSeconds, 0);
+    expect(elapsedSecondsAtKm(plan, 10)).toBeCloseTo(plan.totalSeconds / 2, -1);
+
+    const elapsed = pacingElapsedForCoordinates(plan, coords);
+    expect(elapsed).toHaveLength(coords.length);
+    expect(elapsed[0]).toBe(0);
+    expect(elapsed[elapsed.length - 1]).toBeCloseTo(plan.totalSeconds, 0);
+    for (let i = 1; i < elapsed.length; i++) expect(elapsed[i]).toBeGreaterThanOrEqual(elapsed[i - 1]);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import {
+  bandForPercentile,
+  comparePersonalDifficulty,
+  describePersonalDifficulty,
+  percentileBelow,
+  routeDifficultyMetrics,
+  type HistoryClimb,
+  type HistoryRide,
+  type RouteDifficultyMetrics,
+} from '../personalDifficulty';
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+function ride(date: string, distanceKm: number, elevationGainM: number, rss: number | null): HistoryRide {
+  return { date, distanceKm, elevationGainM, rss };
+}
+
+function climb(date: string, gainM: number, avgGradePct: number): HistoryClimb {
+  return { date, gainM, lengthKm: gainM / (avgGradePct * 10), avgGradePct };
+}
+
+// Ten rides, RSS 10..100, distance 10..100 km, 100..1000 m.
+const RIDES: HistoryRide[] = Array.from({ length: 10 }, (_, i) =>
+  ride(`2026-10-${String(i + 1).padStart(2, '0')}T08:00:00Z`, (i + 1) * 10, (i + 1) * 100, (i + 1) * 10),
+);
+
+function route(overrides: Partial<RouteDifficultyMetrics> = {}): RouteDifficultyMetrics {
+  return {
+    distanceKm: 55,
+    elevationGainM: 550,
+    longestClimbGainM: null,
+    maxSustainedGradePct: null,
+    predictedRss: 95,
+    ...overrides,
+  };
+}
+
+describe('percentileBelow', () => {
+  it('counts the share strictly below', () => {
+    expect(percentileBelow([1, 2, 3, 4], 3)).toBe(50);
+    expect(percentileBelow([1, 2, 3, 4], 10)).toBe(100);
+    expect(percentileBelow([], 3)).toBeNull();
+  });
+});
+
+describe('bandForPercentile', () => {
+  it('maps percentiles onto bands', () => {
+    expect(bandForPercentile(95)).toBe('stretch');
+    expect(bandForPercentile(70)).toBe('harder');
+    expect(bandForPercentile(50)).toBe('typical');
+    expect(bandForPercentile(10)).toBe('easier');
+    expect(bandForPercentile(null)).toBeNull();
+  });
+});
+
+describe('routeDifficultyMetrics', () => {
+  it('finds the biggest climb and steepest sustained grade in the profile', () => {
+    // Flat 2 km, then 1.5 km at 8%, then flat again.
+    const profile = [
+      { distance_km: 0, elevation_m: 100 },
+      { distance_km: 2, elevation_m: 100 },
+      { distance_km: 3.5, elevation_m: 220 },
+      { distance_km: 6, elevation_m: 220 },
+    ];
+    const m = routeDifficultyMetrics({
+      distanceKm: 6,
+      elevationGainM: 120,
+      durationS: 3600,
+      elevationProfile: profile,
+    });
+    expect(m.longestClimbGainM).toBe(120);
+    expect(m.maxSustainedGradePct).toBeCloseTo(8, 0);
+    expect(m.predictedRss).toBeGreaterThan(50);
+  });
+
+  it('leaves profile- and duration-derived axes null without the inputs', () => {
+    const m = routeDifficultyMetrics({ distanceKm: 40, elevationGainM: 300 });
+    expect(m.longestClimbGainM).toBeNull();
+    expect(m.maxSustainedGradePct).toBeNull();
+    expect(m.predictedRss).toBeNull();
+  });
+});
+
+describe('comparePersonalDifficulty', () => {
+  it('returns null on a thin history', () => {
+    expect(comparePersonalDifficulty(route(), RIDES.slice(0, 4), [], NOW)).toBeNull();
+  });
+
+  it('places the route on the rider RSS distribution', () => {
+    const d = comparePersonalDifficulty(route(), RIDES, [], NOW)!;
+    expect(d.rideCount).toBe(10);
+    expect(d.percentile).toBe(90);
+    expect(d.band).toBe('stretch');
+    expect(d.dimensions.distance).toBe(50);
+    expect(d.dimensions.climbing).toBe(50);
+    expect(d.summary).toBe('Harder than 90% of your rides');
+  });
+
+  it('says when the rider last matched the biggest climb', () => {
+    const climbs = [
+      climb('2026-06-14T08:00:00Z', 400, 6),
+      climb('2026-09-30T08:00:00Z', 150, 6),
+    ];
+    const d = comparePersonalDifficulty(
+      route({ longestClimbGainM: 350, maxSustainedGradePct: 5.5 }),
+      RIDES,
+      climbs,
+      NOW,
+    )!;
+    expect(d.highlights[0]).toBe("longest climb you've attempted since June");
+    expect(d.summary).toBe("Harder than 90% of your rides, longest climb you've attempted since June");
+    // Matched a steeper grade within the gap window — no grade line.
+    expect(d.highlights.some((h) => h.startsWith('steepest'))).toBe(false);
+  });
+
+  it('calls out new territory and names the year for older matches', () => {
+    const climbs = [climb('2025-05-01T08:00:00Z', 300, 9)];
+    const d = comparePersonalDifficulty(
+      route({ distanceKm: 120, longestClimbGainM: 600, maxSustainedGradePct: 8 }),
+      RIDES,
+      climbs,
+      NOW,
+    )!;
+    expect(d.highlights).toContain("longest climb you've attempted");
+    expect(d.highlights).toContain('longest ride');
+    expect(d.highlights).not.toContain('steepest sustained climb');
+
+    const older = comparePersonalDifficulty(
+      route({ longestClimbGainM: 250 }),
+      RIDES,
+      climbs,
+      NOW,
+    )!;
+    expect(older.highlights[0]).toBe("longest climb you've attempted since May 2025");
+  });
+
+  it('leads with the easier side for an easy route', () => {
+    const d = comparePersonalDifficulty(route({ predictedRss: 25, distanceKm: 20, elevationGainM: 100 }), RIDES, [], NOW)!;
+    expect(d.band).toBe('easier');
+    expect(d.summary).toBe('Easier than 80% of your rides');
+  });
+});
+
+describe('describePersonalDifficulty', () => {
+  it('capitalises a highlight-only summary', () => {
+    expect(describePersonalDifficulty(null, ['longest ride since March'])).toBe('Longest ride since March');
+    expect(describePersonalDifficulty(null, [])).toBe('');
+  });
+});
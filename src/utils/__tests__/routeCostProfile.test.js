@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  applyCostProfileToValhalla,
+  clearRoutingCostProfileCache,
+  getRoutingCostProfile,
+  graphHopperCostProfilePriority,
+  matchRouteToCostProfile,
+  withCostProfile,
+} from '../routeCostProfile';
+
+const PROFILE = {
+  confidence: 'medium',
+  roadClassWeights: { busy: 0.25, connector: 1, local: 1.5, path: 1.2, track: 0.6 },
+  trafficStress: 0.2,
+  gravelWeight: 0.1,
+  familiarityStrength: 0.5,
+  exploreMode: false,
+};
+
+const fetchMock = vi.fn();
+
+beforeEach(() => {
+  clearRoutingCostProfileCache();
+  fetchMock.mockReset();
+  vi.stubGlobal('fetch', fetchMock);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('getRoutingCostProfile', () => {
+  it('fetches once per token and caches', async () => {
+    fetchMock.mockResolvedValue({ ok: true, json: async () => ({ profile: PROFILE }) });
+    expect(await getRoutingCostProfile('tok')).toEqual(PROFILE);
+    expect(await getRoutingCostProfile('tok')).toEqual(PROFILE);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ action: 'get_cost_profile' });
+  });
+
+  it('is null when signed out and does not cache failures', async () => {
+    expect(await getRoutingCostProfile(null)).toBeNull();
+    fetchMock.mockResolvedValueOnce({ ok: false, status: 500 });
+    expect(await getRoutingCostProfile('tok')).toBeNull();
+    fetchMock.mockResolvedValueOnce({ ok: true, json: async () => ({ profile: PROFILE }) });
+    expect(await getRoutingCostProfile('tok')).toEqual(PROFILE);
+  });
+});
+
+describe('withCostProfile', () => {
+  it('attaches a usable profile and leaves thin ones out', () => {
+    expect(withCostProfile(PROFILE, { trafficTolerance: 'low' })).toEqual({
+      trafficTolerance: 'low',
+      costProfile: PROFILE,
+    });
+    expect(withCostProfile({ ...PROFILE, confidence: 'none' }, null)).toBeNull();
+  });
+});
+
+describe('applyCostProfileToValhalla', () => {
+  it('moves costing halfway toward the rider', () => {
+    // use_roads 0.3 → target 0.17; avoid_bad_surfaces 0.8 → target 0.8
+    expect(applyCostProfileToValhalla({ use_roads: 0.3, avoid_bad_surfaces: 0.8 }, PROFILE)).toEqual({
+      use_roads: 0.24,
+      avoid_bad_surfaces: 0.8,
+    });
+  });
+});
+
+describe('graphHopperCostProfilePriority', () => {
+  it('emits one statement per non-neutral road group', () => {
+    const statements = graphHopperCostProfilePriority(PROFILE);
+    expect(statements).toHaveLength(4);
+    expect(statements[0]).toEqual({
+      if: 'road_class == MOTORWAY || road_class == TRUNK || road_class == PRIMARY',
+      multiply_by: '0.25',
+    });
+    expect(statements.map((s) => s.if)).not.toContain('road_class == SECONDARY || road_class == TERTIARY');
+  });
+});
+
+describe('matchRouteToCostProfile', () => {
+  it('scores surface and traffic fit, with familiarity weighted by the slider', () => {
+    const quiet = matchRouteToCostProfile(PROFILE, { gravelPct: 10, arterialFraction: 0.02 });
+    expect(quiet).toEqual({ percent: 100, label: 'Very much your kind of roads' });
+
+    const busy = matchRouteToCostProfile(PROFILE, { gravelPct: 60, arterialFraction: 0.5 });
+    expect(busy.percent).toBe(28);
+    expect(busy.label).toBe('Unlike your usual roads');
+
+    // Familiarity only: weight 0.25 of a single part → the familiarity itself.
+    expect(matchRouteToCostProfile(PROFILE, { familiarityPercent: 60 }).percent).toBe(60);
+  });
+
+  it('ignores familiarity in explore mode and is null with nothing to compare', () => {
+    expect(matchRouteToCostProfile({ ...PROFILE, exploreMode: true }, { familiarityPercent: 60 })).toBeNull();
+    expect(matchRouteToCostProfile(null, { gravelPct: 10 })).toBeNull();
+  });
+});
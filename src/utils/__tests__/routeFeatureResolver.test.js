@@ -0,0 +1,203 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const fetchFromOverpass = vi.fn();
+const queryPOIsAlongRoute = vi.fn();
+vi.mock('../routePOIService.js', () => ({
+  fetchFromOverpass: (...a) => fetchFromOverpass(...a),
+  queryPOIsAlongRoute: (...a) => queryPOIsAlongRoute(...a),
+  POI_CATEGORIES: {
+    water: { label: 'Water' },
+    food: { label: 'Food & Drink' },
+    bike_shop: { label: 'Bike Shop' },
+    viewpoint: { label: 'Viewpoint' },
+    restroom: { label: 'Restroom' },
+  },
+}));
+
+import {
+  inferFeatureQuery,
+  nameRegex,
+  buildFeatureQuery,
+  featuresFromOverpass,
+  routeOverlapKm,
+  featureTouchRange,
+  featureExclusions,
+  featureViaPoint,
+  describeFeature,
+  resolveRouteFeature,
+} from '../routeFeatureResolver.js';
+
+// Due east along 40°N, 0.001° (~85 m) per step, ~8.5 km in total.
+const ROUTE = Array.from({ length: 101 }, (_, i) => [-105.3 + i * 0.001, 40]);
+
+// A named road the route rides on for ~1.7 km (lon -105.26 → -105.24).
+const ROAD = {
+  kind: 'road',
+  name: 'Arapahoe Road',
+  category: 'road',
+  lines: [[[-105.26, 40], [-105.25, 40], [-105.24, 40]]],
+};
+
+// A park the route crosses for ~0.85 km (route points 20–30).
+const PARK = {
+  kind: 'area',
+  name: 'Valmont Park',
+  category: 'park',
+  polygons: [
+    [[-105.2803, 39.99], [-105.2697, 39.99], [-105.2697, 40.01], [-105.2803, 40.01], [-105.2803, 39.99]],
+  ],
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('inferFeatureQuery', () => {
+  it('classifies roads, areas, POIs and bare places', () => {
+    expect(inferFeatureQuery('Highway 7')).toEqual({ name: 'Highway 7', featureType: 'road', poiCategory: null });
+    expect(inferFeatureQuery('the central park please')).toEqual({
+      name: 'central park',
+      featureType: 'area',
+      poiCategory: null,
+    });
+    expect(inferFeatureQuery('a coffee stop')).toMatchObject({ featureType: 'poi', poiCategory: 'food' });
+    expect(inferFeatureQuery('Lyons')).toMatchObject({ featureType: 'place' });
+  });
+
+  it('keeps a street named after a POI word a road', () => {
+    expect(inferFeatureQuery('Water Street').featureType).toBe('road');
+  });
+});
+
+describe('nameRegex', () => {
+  it('tolerates street-type abbreviations', () => {
+    const re = new RegExp(nameRegex('Main St'), 'i');
+    expect(re.test('Main Street')).toBe(true);
+    expect(re.test('Main St.')).toBe(true);
+    expect(re.test('Main Street East')).toBe(false);
+  });
+});
+
+describe('buildFeatureQuery', () => {
+  it('matches numbered highways by ref inside the bbox', () => {
+    const q = buildFeatureQuery('Highway 7', 'road', '1,2,3,4');
+    expect(q).toContain('[bbox:1,2,3,4]');
+    expect(q).toContain('way[highway][name~');
+    expect(q).toContain('ref~"(^|[ ;-])7($|;)"');
+    expect(q).toContain('out geom;');
+  });
+
+  it('maps a bare "park" to the park tag', () => {
+    expect(buildFeatureQuery('park', 'area', '1,2,3,4')).toContain('way[leisure=park];');
+  });
+});
+
+describe('featuresFromOverpass', () => {
+  it('groups road ways by name and turns closed ways, relations and place nodes into polygons', () => {
+    const features = featuresFromOverpass({
+      elements: [
+        { type: 'way', id: 1, tags: { highway: 'primary', name: 'Arapahoe Road' }, geometry: [{ lat: 40, lon: -105.26 }, { lat: 40, lon: -105.25 }] },
+        { type: 'way', id: 2, tags: { highway: 'primary', name: 'Arapahoe Road' }, geometry: [{ lat: 40, lon: -105.25 }, { lat: 40, lon: -105.24 }] },
+        {
+          type: 'way',
+          id: 3,
+          tags: { leisure: 'park', name: 'Valmont Park' },
+          geometry: [
+            { lat: 39.99, lon: -105.28 },
+            { lat: 39.99, lon: -105.27 },
+            { lat: 40.01, lon: -105.27 },
+            { lat: 39.99, lon: -105.28 },
+          ],
+        },
+        { type: 'relation', id: 4, tags: { boundary: 'protected_area', name: 'Big Forest' }, bounds: { minlat: 1, minlon: 2, maxlat: 3, maxlon: 4 } },
+        { type: 'node', id: 5, lat: 40.2, lon: -105.3, tags: { place: 'village', name: 'Lyons' } },
+      ],
+    });
+    expect(features).toHaveLength(4);
+    expect(features[0]).toMatchObject({ kind: 'road', name: 'Arapahoe Road' });
+    expect(features[0].lines).toHaveLength(2);
+    expect(features[1]).toMatchObject({ kind: 'area', category: 'park' });
+    expect(features[2].polygons[0][0]).toEqual([2, 1]);
+    expect(features[3]).toMatchObject({ kind: 'area', category: 'village', point: [-105.3, 40.2] });
+  });
+});
+
+describe('routeOverlapKm / featureTouchRange', () => {
+  it('measures how much of the route rides on a road or crosses an area', () => {
+    expect(routeOverlapKm(ROUTE, ROAD)).toBeCloseTo(1.7, 1);
+    expect(routeOverlapKm(ROUTE, PARK)).toBeCloseTo(0.9, 1);
+    expect(featureTouchRange(ROUTE, PARK)).toEqual({ first: 20, last: 30 });
+  });
+
+  it('is zero / null for a feature the route never touches', () => {
+    const away = { ...ROAD, lines: [[[-105.26, 40.05], [-105.24, 40.05]]] };
+    expect(routeOverlapKm(ROUTE, away)).toBe(0);
+    expect(featureTouchRange(ROUTE, away)).toBeNull();
+  });
+});
+
+describe('featureExclusions', () => {
+  it('samples no-go points along a road and passes area polygons through', () => {
+    const road = featureExclusions(ROAD, ROUTE);
+    expect(road.polygons).toEqual([]);
+    expect(road.points.length).toBeGreaterThan(5);
+    expect(road.points.length).toBeLessThanOrEqual(60);
+
+    const park = featureExclusions(PARK, ROUTE);
+    expect(park.polygons).toEqual(PARK.polygons);
+    expect(park.points).toEqual([]);
+  });
+
+  it('rings a POI', () => {
+    const { polygons } = featureExclusions({ kind: 'poi', category: 'food', point: [-105.25, 40] });
+    expect(polygons).toHaveLength(1);
+    expect(polygons[0][0]).toEqual(polygons[0][polygons[0].length - 1]);
+  });
+});
+
+describe('featureViaPoint', () => {
+  it('goes to a POI, the nearest road vertex, or an area centre', () => {
+    expect(featureViaPoint({ kind: 'poi', category: 'water', point: [1, 2] }, ROUTE)).toEqual([1, 2]);
+    const farRoad = { ...ROAD, lines: [[[-105.25, 40.02], [-105.25, 40.1]]] };
+    expect(featureViaPoint(farRoad, ROUTE)).toEqual([-105.25, 40.02]);
+    const [lon, lat] = featureViaPoint(PARK, ROUTE);
+    expect(lon).toBeCloseTo(-105.275, 3);
+    expect(lat).toBeCloseTo(40, 3);
+  });
+});
+
+describe('describeFeature', () => {
+  it('names named features with their category and unnamed POIs generically', () => {
+    expect(describeFeature(ROAD)).toBe('Arapahoe Road (road)');
+    expect(describeFeature({ kind: 'poi', name: null, category: 'water' })).toBe('the nearest water stop');
+  });
+});
+
+describe('resolveRouteFeature', () => {
+  it('picks the closest POI of the category for a detour', async () => {
+    queryPOIsAlongRoute.mockResolvedValue([
+      { category: 'food', name: 'Far Café', lat: 40.004, lon: -105.25, offRouteDistanceM: 450 },
+      { category: 'food', name: 'Near Bakery', lat: 40.001, lon: -105.26, offRouteDistanceM: 110 },
+    ]);
+    const feature = await resolveRouteFeature({ location: 'a café' }, ROUTE, 'detour');
+    expect(feature).toEqual({ kind: 'poi', name: 'Near Bakery', category: 'food', point: [-105.26, 40.001] });
+    expect(fetchFromOverpass).not.toHaveBeenCalled();
+  });
+
+  it('prefers a road over a same-named area and the one nearest the route', async () => {
+    fetchFromOverpass.mockResolvedValue({
+      elements: [
+        { type: 'node', id: 9, lat: 40.01, lon: -105.25, tags: { place: 'hamlet', name: 'Arapahoe' } },
+        { type: 'way', id: 1, tags: { highway: 'primary', name: 'Arapahoe Road' }, geometry: [{ lat: 40, lon: -105.26 }, { lat: 40, lon: -105.24 }] },
+      ],
+    });
+    const feature = await resolveRouteFeature({ location: 'Arapahoe Road' }, ROUTE, 'avoid');
+    expect(feature).toMatchObject({ kind: 'road', name: 'Arapahoe Road' });
+    expect(fetchFromOverpass.mock.calls[0][0]).toContain('way[highway][name~');
+  });
+
+  it('returns null when nothing matches', async () => {
+    fetchFromOverpass.mockResolvedValue({ elements: [] });
+    expect(await resolveRouteFeature({ location: 'Nowhere Lane' }, ROUTE, 'avoid')).toBeNull();
+  });
+});
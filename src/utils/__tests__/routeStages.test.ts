@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildStages,
+  longestResupplyGapKm,
+  normalizeStops,
+  planStages,
+  sliceProfile,
+  suggestStageStops,
+  suggestedDayCount,
+  type StageCoordinate,
+} from '../routeStages';
+
+// Due east along the equator: 0.01° ≈ 1.11 km per step, ~111 km in total.
+const COORDS: StageCoordinate[] = Array.from({ length: 101 }, (_, i) => [i * 0.01, 0]);
+const TOTAL_KM = 111.2;
+
+describe('normalizeStops', () => {
+  it('sorts, drops stops at the ends and merges near-duplicates', () => {
+    const stops = normalizeStops(
+      [{ km: 80 }, { km: 0.5 }, { km: 40 }, { km: 40.4 }, { km: 110 }],
+      100,
+    );
+    expect(stops.map((s) => s.km)).toEqual([40, 80]);
+  });
+});
+
+describe('suggestStageStops', () => {
+  it('splits a flat route evenly by distance', () => {
+    const stops = suggestStageStops(300, 3);
+    expect(stops.map((s) => s.km)).toEqual([100, 200]);
+    expect(suggestStageStops(300, 1)).toEqual([]);
+  });
+
+  it('makes the climbing day shorter', () => {
+    // 100 km flat, then 100 km with 2000 m of climbing.
+    const profile = [
+      { distance_km: 0, elevation_m: 0 },
+      { distance_km: 100, elevation_m: 0 },
+      { distance_km: 200, elevation_m: 2000 },
+    ];
+    const [stop] = suggestStageStops(200, 2, profile);
+    // Effort 100 + (100 + 20) = 220 → halfway at 110 effort-km, which is
+    // 10/120 of the way up the climbing half.
+    expect(stop.km).toBeCloseTo(108.3, 1);
+  });
+
+  it('seeds the day count from a typical daily distance', () => {
+    expect(suggestedDayCount(250)).toBe(3);
+    expect(suggestedDayCount(40)).toBe(1);
+  });
+});
+
+describe('sliceProfile', () => {
+  it('re-bases to the stage start and interpolates the ends', () => {
+    const profile = [
+      { distance_km: 0, elevation_m: 100 },
+      { distance_km: 10, elevation_m: 200 },
+      { distance_km: 20, elevation_m: 100 },
+    ];
+    expect(sliceProfile(profile, 5, 15)).toEqual([
+      { distance_km: 0, elevation_m: 150 },
+      { distance_km: 5, elevation_m: 200 },
+      { distance_km: 10, elevation_m: 150 },
+    ]);
+  });
+});
+
+describe('buildStages', () => {
+  it('cuts the geometry at each stop with contiguous stage ends', () => {
+    const stages = buildStages(COORDS, null, [{ km: 40, name: 'Camp' }, { km: 80 }], 900);
+    expect(stages).toHaveLength(3);
+    expect(stages[0].distanceKm).toBeCloseTo(40, 5);
+    expect(stages[2].endKm).toBeCloseTo(TOTAL_KM, 0);
+    expect(stages[0].overnight).toEqual({ km: 40, name: 'Camp' });
+    expect(stages[2].overnight).toBeNull();
+    // Last point of day 1 is the first point of day 2.
+    expect(stages[0].coordinates[stages[0].coordinates.length - 1]).toEqual(stages[1].coordinates[0]);
+    // Climbing is apportioned by distance without a profile.
+    expect(stages[0].elevationGainM).toBeCloseTo(900 * (40 / TOTAL_KM), -1);
+  });
+
+  it('treats a route without stops as one stage', () => {
+    const stages = buildStages(COORDS, null, []);
+    expect(stages).toHaveLength(1);
+    expect(stages[0].coordinates).toHaveLength(COORDS.length);
+  });
+});
+
+describe('planStages', () => {
+  it('gives every stage an ETA and a fuel plan', () => {
+    const stages = planStages(COORDS, null, [{ km: 55 }]);
+    expect(stages).toHaveLength(2);
+    for (const stage of stages) {
+      expect(stage.etaSeconds).toBeGreaterThan(3600);
+      expect(stage.fuel.carbs.totalGramsMax).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('longestResupplyGapKm', () => {
+  it('measures from the stage start, between POIs and to the overnight stop', () => {
+    const stage = { startKm: 100, endKm: 200 };
+    const pois = [
+      { category: 'water', routeDistanceKm: 120 },
+      { category: 'food', routeDistanceKm: 150 },
+      { category: 'water', routeDistanceKm: 170 },
+      { category: 'water', routeDistanceKm: 250 },
+    ];
+    expect(longestResupplyGapKm(stage, pois, ['water'])).toBe(50);
+    expect(longestResupplyGapKm(stage, pois, ['water', 'food'])).toBe(30);
+    expect(longestResupplyGapKm(stage, [], ['water'])).toBe(100);
+  });
+});
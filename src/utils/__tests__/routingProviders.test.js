@@ -0,0 +1,176 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../stadiaMapsRouter', () => ({
+  getStadiaMapsRoute: vi.fn(),
+  isStadiaMapsAvailable: vi.fn(() => true),
+}));
+vi.mock('../brouter', () => ({
+  getBRouterDirections: vi.fn(),
+}));
+vi.mock('../graphHopper', () => ({
+  getGraphHopperCyclingDirections: vi.fn(),
+  isGraphHopperAvailable: vi.fn(() => false),
+  GRAPHHOPPER_PROFILES: { GRAVEL: 'gravel' },
+}));
+vi.mock('../routeBuilderTelemetry', () => ({
+  trackRouteBuilder: vi.fn(),
+  trackRoutingProvider: vi.fn(),
+  truncateErrorMessage: (m) => String(m),
+}));
+
+import {
+  configureRouting,
+  isProviderHealthy,
+  planProviderAttempts,
+  resetRoutingProviders,
+  routeWithProviders,
+  ROUTING_CAPABILITIES,
+  ROUTING_ENGINES,
+} from '../routingProviders';
+import { getStadiaMapsRoute } from '../stadiaMapsRouter';
+import { getBRouterDirections } from '../brouter';
+import { trackRouteBuilder, trackRoutingProvider } from '../routeBuilderTelemetry';
+
+const WAYPOINTS = [
+  [-105.27, 40.01],
+  [-105.3, 40.05],
+];
+
+const ROAD_CHAIN = [
+  { engine: ROUTING_ENGINES.VALHALLA, source: 'stadia_maps', confidence: 1.0 },
+  { engine: ROUTING_ENGINES.BROUTER, engineProfile: 'trekking', source: 'brouter', confidence: 0.9 },
+  { engine: ROUTING_ENGINES.MAPBOX, source: 'mapbox_fallback', confidence: 0.7 },
+];
+
+function fakeRoute() {
+  return {
+    coordinates: Array.from({ length: 20 }, (_, i) => [-105.27 - i * 0.001, 40.01 + i * 0.001]),
+    distance_m: 5000,
+    duration_s: 900,
+  };
+}
+
+const ids = (attempts) => attempts.map((a) => a.provider.id);
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  resetRoutingProviders();
+  vi.stubGlobal('fetch', vi.fn());
+});
+
+describe('planProviderAttempts', () => {
+  it('expands engines into available providers in chain order', () => {
+    expect(ids(planProviderAttempts(ROAD_CHAIN, { profile: 'road' }))).toEqual(['stadia', 'brouter']);
+    expect(ids(planProviderAttempts(ROAD_CHAIN, { profile: 'road', mapboxToken: 't' }))).toEqual([
+      'stadia',
+      'brouter',
+      'mapbox',
+    ]);
+  });
+
+  it('puts a configured self-hosted engine ahead of its public counterpart', () => {
+    configureRouting({ valhallaUrl: 'http://localhost:8002/route', brouterUrl: 'http://localhost:17777/brouter' });
+    expect(ids(planProviderAttempts(ROAD_CHAIN, { profile: 'road' }))).toEqual([
+      'valhalla_self_hosted',
+      'stadia',
+      'brouter_self_hosted',
+      'brouter',
+    ]);
+  });
+
+  it('drops providers missing a required capability', () => {
+    const attempts = planProviderAttempts(ROAD_CHAIN, { profile: 'road', mapboxToken: 't' }, [
+      ROUTING_CAPABILITIES.AVOID_POLYGONS,
+    ]);
+    expect(ids(attempts)).toEqual(['stadia', 'brouter']);
+    expect(trackRoutingProvider).toHaveBeenCalledWith('skipped', 'mapbox', { reason: 'missing_avoidPolygons' });
+  });
+});
+
+describe('routeWithProviders', () => {
+  it('decorates the winning route with the chain step source and confidence', async () => {
+    vi.mocked(getStadiaMapsRoute).mockResolvedValue({ ...fakeRoute(), cues: [{ text: 'Turn left' }] });
+    const route = await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' });
+    expect(route).toMatchObject({ source: 'stadia_maps', confidence: 1.0, distance: 5000, duration_s: 900 });
+    expect(route.cues).toHaveLength(1);
+    expect(getBRouterDirections).not.toHaveBeenCalled();
+    expect(trackRoutingProvider).toHaveBeenCalledWith('called', 'stadia', expect.objectContaining({ self_hosted: false }));
+    expect(trackRoutingProvider).toHaveBeenCalledWith('succeeded', 'stadia', expect.any(Object));
+  });
+
+  it('falls back along the chain and reports the advance', async () => {
+    vi.mocked(getStadiaMapsRoute).mockRejectedValue(new Error('http_503'));
+    vi.mocked(getBRouterDirections).mockResolvedValue(fakeRoute());
+    const route = await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' });
+    expect(route).toMatchObject({ source: 'brouter', confidence: 0.9, profile: 'trekking' });
+    expect(getBRouterDirections).toHaveBeenCalledWith(WAYPOINTS, expect.objectContaining({ profile: 'trekking' }));
+    expect(trackRoutingProvider).toHaveBeenCalledWith('failed', 'stadia', expect.objectContaining({ failure_reason: 'http_503' }));
+    expect(trackRouteBuilder).toHaveBeenCalledWith('provider_fallback_chain_advanced', {
+      from_provider: 'stadia',
+      to_provider: 'brouter',
+      failure_reason: 'http_503',
+    });
+  });
+
+  it('treats a degenerate route as a failure', async () => {
+    vi.mocked(getStadiaMapsRoute).mockResolvedValue({ coordinates: [[0, 0], [1, 1]], distance_m: 1 });
+    vi.mocked(getBRouterDirections).mockResolvedValue(null);
+    expect(await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' })).toBeNull();
+  });
+
+  it('demotes a provider after repeated failures and restores it on success', async () => {
+    vi.mocked(getStadiaMapsRoute).mockRejectedValue(new Error('timeout'));
+    vi.mocked(getBRouterDirections).mockResolvedValue(fakeRoute());
+    await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' });
+    expect(isProviderHealthy('stadia')).toBe(true);
+    await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' });
+    expect(isProviderHealthy('stadia')).toBe(false);
+    expect(trackRouteBuilder).toHaveBeenCalledWith(
+      'routing_provider_health_changed',
+      expect.objectContaining({ provider: 'stadia', healthy: false }),
+    );
+
+    // Unhealthy providers are still tried — just last.
+    expect(ids(planProviderAttempts(ROAD_CHAIN, { profile: 'road' }))).toEqual(['brouter', 'stadia']);
+    vi.mocked(getBRouterDirections).mockResolvedValue(null);
+    vi.mocked(getStadiaMapsRoute).mockResolvedValue(fakeRoute());
+    const route = await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' });
+    expect(route.source).toBe('stadia_maps');
+    expect(isProviderHealthy('stadia')).toBe(true);
+  });
+
+  it('does not count a ferry rejection against provider health', async () => {
+    vi.mocked(getStadiaMapsRoute).mockRejectedValue(new Error('route_requires_ferry'));
+    vi.mocked(getBRouterDirections).mockResolvedValue(null);
+    await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' });
+    await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' });
+    expect(isProviderHealthy('stadia')).toBe(true);
+    expect(isProviderHealthy('brouter')).toBe(false);
+  });
+
+  it('pings a self-hosted engine once and skips it when unreachable', async () => {
+    configureRouting({ valhallaUrl: 'http://localhost:8002/route' });
+    vi.mocked(fetch).mockResolvedValue({ ok: false });
+    vi.mocked(getStadiaMapsRoute).mockResolvedValue(fakeRoute());
+    const route = await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' });
+    expect(fetch).toHaveBeenCalledWith('http://localhost:8002/status', expect.any(Object));
+    expect(trackRoutingProvider).toHaveBeenCalledWith('skipped', 'valhalla_self_hosted', { reason: 'ping_failed' });
+    expect(route.source).toBe('stadia_maps');
+    expect(getStadiaMapsRoute).toHaveBeenCalledTimes(1);
+    expect(getStadiaMapsRoute.mock.calls[0][1].endpoint).toBeUndefined();
+  });
+
+  it('routes through a reachable self-hosted engine and tags the source', async () => {
+    configureRouting({ valhallaUrl: 'http://localhost:8002/route' });
+    vi.mocked(fetch).mockResolvedValue({ ok: true });
+    vi.mocked(getStadiaMapsRoute).mockResolvedValue(fakeRoute());
+    const route = await routeWithProviders(ROAD_CHAIN, WAYPOINTS, { profile: 'road' });
+    expect(getStadiaMapsRoute.mock.calls[0][1].endpoint).toBe('http://localhost:8002/route');
+    expect(route.source).toBe('valhalla_self_hosted');
+    expect(trackRoutingProvider).toHaveBeenCalledWith(
+      'called',
+      'valhalla_self_hosted',
+      expect.objectContaining({ self_hosted: true }),
+    );
+  });
+});
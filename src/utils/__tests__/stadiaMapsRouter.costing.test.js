@@ -134,3 +134,46 @@ describe('getStadiaMapsRoute — explicit costing overrides', () => {
     expect(sentCosting().use_hills).toBe(0.95);
   });
 });
+
+describe('getStadiaMapsRoute — hard exclusions', () => {
+  it('sends exclude_polygons and exclude_locations only when asked', async () => {
+    const ring = [[-105.28, 39.99], [-105.27, 39.99], [-105.27, 40.01], [-105.28, 39.99]];
+    await getStadiaMapsRoute(WAYPOINTS, {
+      profile: 'road',
+      exclusions: { polygons: [ring], points: [[-105.25, 40]] },
+    });
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body.exclude_polygons).toEqual([ring]);
+    expect(body.exclude_locations).toEqual([{ lat: 40, lon: -105.25 }]);
+
+    fetchMock.mockClear();
+    await getStadiaMapsRoute(WAYPOINTS, { profile: 'road' });
+    const plain = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(plain.exclude_polygons).toBeUndefined();
+    expect(plain.exclude_locations).toBeUndefined();
+  });
+});
+
+describe('getStadiaMapsRoute — personal cost profile', () => {
+  it('blends use_roads and avoid_bad_surfaces toward the rider, below explicit overrides', async () => {
+    const costProfile = {
+      confidence: 'medium',
+      trafficStress: 0.75,
+      gravelWeight: 0.4,
+      roadClassWeights: {},
+    };
+    await getStadiaMapsRoute(WAYPOINTS, { profile: 'road', trainingGoal: 'endurance', preferences: { costProfile } });
+    const costing = sentCosting();
+    // road/endurance use_roads 0.2 → halfway to 0.5; avoid_bad_surfaces 0.8 → halfway to 0.2.
+    expect(costing.use_roads).toBe(0.35);
+    expect(costing.avoid_bad_surfaces).toBe(0.5);
+
+    fetchMock.mockClear();
+    await getStadiaMapsRoute(WAYPOINTS, {
+      profile: 'road',
+      trainingGoal: 'endurance',
+      preferences: { costProfile, use_roads: 0.9 },
+    });
+    expect(sentCosting().use_roads).toBe(0.9);
+  });
+});
@@ -11,7 +11,12 @@
  *   - shorter:  "make it shorter", "cut 5km"
  *   - longer:   "make it longer", "extend by 10km"
  *   - avoid:    "avoid the highway", "skip downtown"
- *   - detour:   "go through the park", "pass by the lake"
+ *   - detour:   "go through the park", "pass by the lake", "stop at a café"
+ *
+ * Avoid / detour targets are resolved to real OSM features (roads, areas,
+ * POIs) by routeFeatureResolver and become hard router exclusions or
+ * required via-points; results carry `resolvedFeature` so the UI can show
+ * what was matched and whether an avoid was actually honoured.
  *   - reverse:  "reverse the route", "flip direction"
  */
 
@@ -20,6 +25,15 @@ import { getBRouterDirections, BROUTER_PROFILES } from './brouter.js';
 import { getStadiaMapsRoute } from './stadiaMapsRouter.js';
 import { getElevationData, calculateElevationStats } from './elevation.js';
 import { hillsBiasForTarget } from './routeTargets.js';
+import {
+  inferFeatureQuery,
+  resolveRouteFeature,
+  routeOverlapKm,
+  featureTouchRange,
+  featureExclusions,
+  featureViaPoint,
+  summarizeFeature,
+} from './routeFeatureResolver.js';
 
 // ── Intent classification ──────────────────────────────────────────────────────
 
@@ -101,8 +115,11 @@ export function classifyEditIntent(text) {
 
   // Extract location parameter for avoid/detour intents
   let location = null;
+  let featureType = null;
+  let poiCategory = null;
   if (bestIntent === 'avoid' || bestIntent === 'detour') {
     location = extractLocationFromText(lower, bestIntent);
+    if (location) ({ featureType, poiCategory } = inferFeatureQuery(location));
   }
 
   // Extract distance modifier for shorter/longer
@@ -120,6 +137,8 @@ export function classifyEditIntent(text) {
     label: bestIntent ? EDIT_INTENTS[bestIntent].label : 'Unknown edit',
     description: bestIntent ? EDIT_INTENTS[bestIntent].description : '',
     location,
+    featureType,
+    poiCategory,
     distanceModifier,
     originalText: text,
   };
@@ -234,9 +253,9 @@ export async function applyRouteEdit(params) {
       case 'reverse':
         return applyReverseEdit(coords, routeStats);
       case 'avoid':
-        return await applyAvoidEdit(coords, routeProfile, routeStats, editIntent.location, mapboxToken, isLoop);
+        return await applyAvoidEdit(coords, routeProfile, routeStats, editIntent, mapboxToken, isLoop);
       case 'detour':
-        return await applyDetourEdit(coords, routeProfile, routeStats, editIntent.location, mapboxToken);
+        return await applyDetourEdit(coords, routeProfile, routeStats, editIntent, mapboxToken);
       case 'restore_previous':
         // Handled by the chat layer's checkpoint stack before geometry
         // dispatch — reaching here means a caller without checkpoints.
@@ -797,23 +816,132 @@ function applyReverseEdit(coords, stats) {
   };
 }
 
-async function applyAvoidEdit(coords, profile, stats, location, mapboxToken, isLoop) {
+// "Avoid the highway" with no name/number means the road class, not one road.
+const GENERIC_ROAD_AVOID = /^(?:the |all |any )?(?:highways?|motorways?|freeways?|busy roads?|main roads?|major roads?|traffic)$/i;
+
+// Reroute this far either side of where the route touches the avoided feature
+// so the router has room to pick a genuinely different line.
+const AVOID_REROUTE_MARGIN_KM = 1.5;
+
+// Residual overlap (km) still counted as "avoided" — GPS-scale noise where
+// the new line crosses or brushes the feature.
+const AVOID_RESIDUAL_KM = 0.05;
+
+/** UI-facing summary of what an avoid/detour resolved to (no geometry). */
+function resolvedFeatureSummary(feature, action, honoured, overlapKm = null) {
+  return { action, ...summarizeFeature(feature), honoured, overlapKm };
+}
+
+async function resolveFeatureSafely(editIntent, coords, action) {
+  try {
+    return await resolveRouteFeature(editIntent, coords, action);
+  } catch (e) {
+    console.warn(`[AI Edit] Feature lookup for ${action} failed:`, e.message);
+    return null;
+  }
+}
+
+/** Index reached by walking `km` along the route from `idx` (dir ±1). */
+function indexAtKmFrom(coords, idx, km, dir) {
+  let walked = 0;
+  let i = idx;
+  while (i + dir >= 0 && i + dir < coords.length && walked < km) {
+    walked += haversineKm(coords[i], coords[i + dir]);
+    i += dir;
+  }
+  return i;
+}
+
+async function applyAvoidEdit(coords, profile, stats, editIntent, mapboxToken, isLoop) {
+  const location = editIntent.location;
   if (!location) {
     return { success: false, message: 'Please specify what to avoid (e.g., "avoid the highway" or "avoid downtown").' };
   }
 
-  // Check for generic road-type avoidance
-  const roadTypes = ['highway', 'motorway', 'busy road', 'main road', 'traffic', 'freeway'];
-  const isRoadTypeAvoid = roadTypes.some(rt => location.includes(rt));
-
-  if (isRoadTypeAvoid) {
+  if (GENERIC_ROAD_AVOID.test(location.trim())) {
     // Re-route with bike-path-heavy preferences
     return await applyScenicEdit(coords, profile, stats, isLoop);
   }
 
-  // Location-based avoidance: geocode → find nearest segment → re-route around
+  const feature = await resolveFeatureSafely(editIntent, coords, 'avoid');
+  if (!feature) {
+    return await applyGeocodedAvoid(coords, profile, stats, location, mapboxToken);
+  }
+
+  const label = summarizeFeature(feature).label;
+  const range = featureTouchRange(coords, feature);
+  if (!range) {
+    return {
+      success: false,
+      message: `The route already avoids ${label}.`,
+      resolvedFeature: resolvedFeatureSummary(feature, 'avoid', true, 0),
+    };
+  }
+  const overlapBefore = routeOverlapKm(coords, feature);
+  if (range.first === 0 || range.last === coords.length - 1) {
+    return {
+      success: false,
+      message: `The route starts or ends on ${label}, so it can't avoid it entirely.`,
+      resolvedFeature: resolvedFeatureSummary(feature, 'avoid', false, overlapBefore),
+    };
+  }
+
+  const segStart = indexAtKmFrom(coords, range.first, AVOID_REROUTE_MARGIN_KM, -1);
+  const segEnd = indexAtKmFrom(coords, range.last, AVOID_REROUTE_MARGIN_KM, 1);
+
+  let rerouted = null;
+  try {
+    rerouted = await getSmartCyclingRoute([coords[segStart], coords[segEnd]], {
+      profile,
+      exclusions: featureExclusions(feature, coords),
+    });
+  } catch (e) {
+    console.warn('[AI Edit] Avoid re-route failed:', e.message);
+  }
+  if (!rerouted?.coordinates?.length) {
+    return {
+      success: false,
+      message: `Could not route around ${label}.`,
+      resolvedFeature: resolvedFeatureSummary(feature, 'avoid', false, overlapBefore),
+    };
+  }
+
+  const newCoords = [...coords.slice(0, segStart), ...rerouted.coordinates, ...coords.slice(segEnd + 1)];
+  // Routers treat some exclusions as best-effort (and a road can be the
+  // only way across a river) — measure instead of trusting the request.
+  const overlapAfter = routeOverlapKm(newCoords, feature);
+  if (overlapAfter >= overlapBefore) {
+    return {
+      success: false,
+      message: `Couldn't find a way around ${label} — every alternative still uses it.`,
+      resolvedFeature: resolvedFeatureSummary(feature, 'avoid', false, overlapBefore),
+    };
+  }
+
+  const honoured = overlapAfter <= AVOID_RESIDUAL_KM;
+  const comparison = await buildComparison(coords, newCoords, stats);
+  const delta = `${comparison.distanceDelta > 0 ? '+' : ''}${comparison.distanceDelta.toFixed(1)}km`;
+  return {
+    success: true,
+    editedRoute: {
+      coordinates: newCoords,
+      source: rerouted.source,
+    },
+    comparison,
+    resolvedFeature: resolvedFeatureSummary(feature, 'avoid', honoured, overlapAfter),
+    message: honoured
+      ? `Route now avoids ${label} (${delta})`
+      : `Couldn't fully avoid ${label} — the route still uses ${overlapAfter.toFixed(1)} km of it (${delta})`,
+  };
+}
+
+/**
+ * Fallback when the target isn't a mapped feature near the route: geocode
+ * it and bend the nearest stretch of route away from the point.
+ */
+async function applyGeocodedAvoid(coords, profile, stats, location, mapboxToken) {
   if (!mapboxToken) {
-    return { success: false, message: 'Geocoding not available. Try a road-type avoidance like "avoid highways".' };
+    return { success: false, message: `Couldn't find "${location}" near the route. Try a road-type avoidance like "avoid highways".` };
   }
 
   const avoidPoint = await geocodeLocation(location, coords[0], mapboxToken);
@@ -864,18 +992,27 @@ async function applyAvoidEdit(coords, profile, stats, location, mapboxToken, isL
   return { success: false, message: `Could not route around "${location}".` };
 }
 
-async function applyDetourEdit(coords, profile, stats, location, mapboxToken) {
-  if (!location) {
+async function applyDetourEdit(coords, profile, stats, editIntent, mapboxToken) {
+  const { location, poiCategory } = editIntent;
+  if (!location && !poiCategory) {
     return { success: false, message: 'Please specify where to detour (e.g., "go through the park" or "pass by Main Street").' };
   }
 
-  if (!mapboxToken) {
-    return { success: false, message: 'Geocoding not available for detour locations.' };
-  }
+  const feature = await resolveFeatureSafely(editIntent, coords, 'detour');
+  let detourPoint = feature ? featureViaPoint(feature, coords) : null;
+  const label = feature ? summarizeFeature(feature).label : `"${location}"`;
 
-  const detourPoint = await geocodeLocation(location, coords[0], mapboxToken);
   if (!detourPoint) {
-    return { success: false, message: `Couldn't find "${location}" near the route.` };
+    if (!location) {
+      return { success: false, message: `Couldn't find a ${poiCategory.replace(/_/g, ' ')} stop near the route.` };
+    }
+    if (!mapboxToken) {
+      return { success: false, message: 'Geocoding not available for detour locations.' };
+    }
+    detourPoint = await geocodeLocation(location, coords[0], mapboxToken);
+    if (!detourPoint) {
+      return { success: false, message: `Couldn't find "${location}" near the route.` };
+    }
   }
 
   // Find the closest point on the route to the detour location
@@ -891,7 +1028,7 @@ async function applyDetourEdit(coords, profile, stats, location, mapboxToken) {
   const legB = await getSmartCyclingRoute([detourPoint, after[0]], { profile }).catch(() => null);
 
   if (!legA?.coordinates?.length || !legB?.coordinates?.length) {
-    return { success: false, message: `Could not route through "${location}".` };
+    return { success: false, message: `Could not route through ${label}.` };
   }
 
   const newCoords = [
@@ -910,7 +1047,8 @@ async function applyDetourEdit(coords, profile, stats, location, mapboxToken) {
       source: legA.source || 'detour',
     },
     comparison,
-    message: `Route now passes through "${location}" (+${comparison.distanceDelta.toFixed(1)}km)`,
+    ...(feature ? { resolvedFeature: resolvedFeatureSummary(feature, 'detour', true) } : {}),
+    message: `Route now passes through ${label} (+${comparison.distanceDelta.toFixed(1)}km)`,
   };
 }
 
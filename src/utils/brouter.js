@@ -16,6 +16,11 @@ export const BROUTER_PROFILES = {
   SAFETY: 'safety'                // Safest routes, avoids traffic
 };
 
+const BROUTER_PUBLIC_URL = 'https://brouter.de/brouter';
+
+// Radius of each no-go circle placed along an excluded road.
+const BROUTER_NOGO_RADIUS_M = 25;
+
 /**
  * Get cycling directions from BRouter
  * @param {Array<[lon, lat]>} coordinates - Array of waypoint coordinates
@@ -25,7 +30,12 @@ export const BROUTER_PROFILES = {
 export async function getBRouterDirections(coordinates, options = {}) {
   const {
     profile = BROUTER_PROFILES.GRAVEL,
-    alternativeidx = 0
+    alternativeidx = 0,
+    // Self-hosted BRouter (e.g. http://localhost:17777/brouter)
+    baseUrl = BROUTER_PUBLIC_URL,
+    // Hard exclusions from an "avoid X" edit:
+    // { polygons: [[lng, lat][]], points: [lng, lat][] }
+    exclusions = null
   } = options;
 
   if (!coordinates || coordinates.length < 2) {
@@ -44,8 +54,18 @@ export async function getBRouterDirections(coordinates, options = {}) {
       alternativeidx,
       format: 'geojson'
     });
+    if (exclusions?.polygons?.length) {
+      params.set('polygons', exclusions.polygons
+        .map((ring) => ring.map(([lon, lat]) => `${lon},${lat}`).join(','))
+        .join('|'));
+    }
+    if (exclusions?.points?.length) {
+      params.set('nogos', exclusions.points
+        .map(([lon, lat]) => `${lon},${lat},${BROUTER_NOGO_RADIUS_M}`)
+        .join('|'));
+    }
 
-    const url = `https://brouter.de/brouter?${params.toString()}`;
+    const url = `${baseUrl}?${params.toString()}`;
 
     console.log(`🚴 BRouter: Requesting ${profile} route with ${coordinates.length} waypoints`);
 
@@ -15,6 +15,9 @@
  *   7. course_point × M (waypoints with position, name, type)
  *
  * Coordinates use FIT semicircle convention: degrees × (2^31 / 180)
+ *
+ * Record timestamps drive the device's virtual partner: they come from
+ * RouteData.elapsedSeconds when a pacing plan is attached, else 20 km/h.
  */
 
 import { Encoder } from '@garmin/fitsdk';
@@ -103,12 +106,26 @@ export function encodeFitCourse(route: RouteData): Uint8Array {
   }
 
   const totalDistance = cumulativeDistances[cumulativeDistances.length - 1];
-  const totalTimeSeconds = totalDistance > 0 ? totalDistance / AVG_SPEED_MPS : 0;
+
+  // A pacing plan supplies per-coordinate elapsed times (the virtual
+  // partner's schedule); otherwise spread the course at a constant speed.
+  const planned =
+    Array.isArray(route.elapsedSeconds) && route.elapsedSeconds.length === coords.length
+      ? route.elapsedSeconds
+      : null;
+  const totalTimeSeconds = planned
+    ? planned[planned.length - 1]
+    : totalDistance > 0 ? totalDistance / AVG_SPEED_MPS : 0;
 
   function timestampAtIndex(i: number): Date {
-    const elapsed = totalDistance > 0
-      ? (cumulativeDistances[i] / totalDistance) * totalTimeSeconds
-      : 0;
+    let elapsed: number;
+    if (planned) {
+      elapsed = planned[i];
+    } else {
+      elapsed = totalDistance > 0
+        ? (cumulativeDistances[i] / totalDistance) * totalTimeSeconds
+        : 0;
+    }
     return new Date(baseTime.getTime() + elapsed * 1000);
   }
 
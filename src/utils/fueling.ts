@@ -9,6 +9,8 @@
  */
 
 import type { WorkoutCategory } from '../types/training';
+import { computeThermalStrain } from '../lib/metrics/thermal';
+import type { ThermalCategory } from '../lib/metrics/types';
 
 // ============================================================
 // TYPES
@@ -46,6 +48,8 @@ export interface HydrationTarget {
   includeElectrolytes: boolean;
   heatAdjusted: boolean;
   altitudeAdjusted: boolean;
+  apparentTemperatureCelsius: number;  // heat-index "feels like" used for the tier
+  thermalCategory: ThermalCategory;
 }
 
 export interface PreRideFueling {
@@ -231,7 +235,9 @@ function estimateEnergyExpenditure(
 }
 
 /**
- * Calculate hydration adjustments for humidity and altitude
+ * Calculate hydration adjustments for humidity and altitude.
+ * Pass humidity only when it isn't already folded into the apparent
+ * temperature used to pick the tier (the heat index covers warm, humid days).
  */
 function getHydrationAdjustments(
   baseMlPerHour: number,
@@ -305,13 +311,23 @@ export function calculateFuelPlan(input: FuelPlanInput): FuelPlan {
   // =========== HYDRATION ===========
   const tempC = weather?.temperatureCelsius ?? 20;  // Default to 20°C
 
+  // Same thermal-strain model that adjusts ride load (src/lib/metrics/thermal.ts):
+  // the tier follows how hot it feels, not just the air temperature
+  const thermal = computeThermalStrain({
+    temperatureC: tempC,
+    humidityPct: weather?.humidity,
+    meanElevationM: weather?.altitudeMeters,
+  });
+  const apparentC = thermal.apparentTemperatureC ?? tempC;
+  const humidityInTier = apparentC !== tempC;
+
   // Find base hydration rate
-  const hydrationTier = HYDRATION_BY_TEMP.find(tier => tempC <= tier.maxTemp) || HYDRATION_BY_TEMP[HYDRATION_BY_TEMP.length - 1];
+  const hydrationTier = HYDRATION_BY_TEMP.find(tier => apparentC <= tier.maxTemp) || HYDRATION_BY_TEMP[HYDRATION_BY_TEMP.length - 1];
 
   // Apply adjustments
   const { adjustedMl, altitudeAdjusted } = getHydrationAdjustments(
     hydrationTier.mlPerHour,
-    weather?.humidity,
+    humidityInTier ? undefined : weather?.humidity,
     weather?.altitudeMeters
   );
 
@@ -321,15 +337,18 @@ export function calculateFuelPlan(input: FuelPlanInput): FuelPlan {
     totalMl: Math.round(adjustedMl * durationHours),
     totalOz: mlToOz(Math.round(adjustedMl * durationHours)),
     includeElectrolytes: hydrationTier.electrolytes,
-    heatAdjusted: tempC > 27,
+    heatAdjusted: apparentC > 27,
     altitudeAdjusted,
+    apparentTemperatureCelsius: apparentC,
+    thermalCategory: thermal.category,
   };
 
   // Heat warnings
-  if (tempC > 32) {
-    warnings.push('Extreme heat conditions. Consider pre-hydrating and plan for refill stops.');
-  } else if (tempC > 27) {
-    warnings.push('Hot conditions. Prioritize electrolyte intake and listen to your body.');
+  const feelsLike = humidityInTier ? ` (feels like ${Math.round(apparentC)}°C)` : '';
+  if (apparentC > 32) {
+    warnings.push(`Extreme heat conditions${feelsLike}. Consider pre-hydrating and plan for refill stops.`);
+  } else if (apparentC > 27) {
+    warnings.push(`Hot conditions${feelsLike}. Prioritize electrolyte intake and listen to your body.`);
   }
 
   // =========== PRE-RIDE FUELING ===========
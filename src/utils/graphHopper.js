@@ -1,6 +1,8 @@
 // GraphHopper integration for cycling routes
 // Good CORS support for browser applications
 
+import { graphHopperCostProfilePriority } from './routeCostProfile';
+
 const GRAPHHOPPER_BASE_URL = 'https://graphhopper.com/api/1';
 
 // GraphHopper cycling profiles
@@ -26,9 +28,11 @@ export function isGraphHopperAvailable() {
 
 // Get cycling directions using GraphHopper with advanced preferences
 export async function getGraphHopperCyclingDirections(coordinates, options = {}) {
-  const apiKey = getGraphHopperApiKey();
+  // A self-hosted GraphHopper (`baseUrl`, e.g. http://localhost:8989) needs no key.
+  const baseUrl = options.baseUrl || GRAPHHOPPER_BASE_URL;
+  const apiKey = options.baseUrl ? null : getGraphHopperApiKey();
 
-  if (!apiKey) {
+  if (!apiKey && !options.baseUrl) {
     console.warn('GraphHopper API key not found. Get one free at https://www.graphhopper.com/');
     return null;
   }
@@ -191,12 +195,18 @@ export async function getGraphHopperCyclingDirections(coordinates, options = {})
     console.log('🚴 GraphHopper: Using standard bike profile (free tier - naturally avoids motorways)');
   }
 
+  // The rider's road-group weights (routeCostProfile.js) ride on top of an
+  // existing custom model only — creating one needs flexible mode (paid).
+  if (customModel && preferences?.costProfile) {
+    customModel.priority.push(...graphHopperCostProfilePriority(preferences.costProfile));
+  }
+
   if (customModel) {
     body['custom_model'] = customModel;
     body['ch.disable'] = true; // flexible mode required for custom models
   }
 
-  const url = `${GRAPHHOPPER_BASE_URL}/route?key=${apiKey}`;
+  const url = apiKey ? `${baseUrl}/route?key=${apiKey}` : `${baseUrl}/route`;
 
   try {
     console.log(`Requesting GraphHopper cycling route with profile: ${profile}`);
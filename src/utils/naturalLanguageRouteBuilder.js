@@ -48,11 +48,12 @@ const DEFAULT_AVG_SPEED_KMH = 28;
  * @param {string} opts.goal - training goal
  * @param {string} opts.type - 'loop' | 'out_back' | 'point_to_point'
  * @param {string} [opts.mapboxToken]
- * @returns {Promise<{coordinates, distanceKm, elevationGain, duration_s, source, geocodedNames}|null>}
+ * @param {object|null} [opts.preferences] - router preferences (e.g. with a cost profile attached)
+ * @returns {Promise<{coordinates, distanceKm, elevationGain, duration_s, source, geocodedNames, arterialFraction}|null>}
  *   null when fewer than one intermediate waypoint geocodes or routing fails.
  */
 export async function routeThroughWaypoints(startLocation, waypointNames, opts = {}) {
-  const { profile = 'road', goal = 'endurance', type = 'loop', mapboxToken } = opts;
+  const { profile = 'road', goal = 'endurance', type = 'loop', mapboxToken, preferences = null } = opts;
 
   const geocoded = [];
   const geocodedNames = [];
@@ -74,6 +75,7 @@ export async function routeThroughWaypoints(startLocation, waypointNames, opts =
   const routeResult = await getSmartCyclingRoute(waypointCoords, {
     profile,
     trainingGoal: goal,
+    preferences,
     mapboxToken: mapboxToken ?? import.meta.env.VITE_MAPBOX_TOKEN,
   });
   if (!routeResult?.coordinates || routeResult.coordinates.length < 10) return null;
@@ -93,6 +95,8 @@ export async function routeThroughWaypoints(startLocation, waypointNames, opts =
     duration_s: routeResult.duration_s ?? routeResult.duration ?? 0,
     source: routeResult.source,
     geocodedNames,
+    // Valhalla's arterial share; null from engines that don't classify roads.
+    arterialFraction: routeResult.roadClassification?.arterialFraction ?? null,
   };
 }
 
@@ -33,6 +33,11 @@ import { getAuthHeaders } from './authHeaders';
 import { reverseGeocodeRegion } from './geocoding.js';
 import { measureGravelPct } from './surfaceMeasurement';
 import { scoreRoutePreference } from './routeScoring';
+import {
+  getRoutingCostProfile,
+  matchRouteToCostProfile,
+  withCostProfile,
+} from './routeCostProfile';
 import { calculateBearing } from './routeUtils';
 import { haversineKm } from './distanceUnits';
 import { enrichRouteElevation } from '../hooks/route-builder/elevationEnrichment';
@@ -56,6 +61,10 @@ export interface RouteCandidate {
   /** Measured gravel+unpaved share (%) of the routed geometry; null if unknown. */
   gravel_actual_pct: number | null;
   familiarity_percent: number | null;
+  /** Share (0–1) of the route on arterials, when the router classified roads. */
+  arterial_fraction: number | null;
+  /** How well the route matches the rider's cost profile (0–100); null if unknown. */
+  road_match_percent: number | null;
   /** Fidelity-to-request score in [0, 1]; candidates are returned best-first. */
   score: number;
   requested: { distance_km: number; bearing: number | null };
@@ -112,6 +121,18 @@ async function enrichAll(candidates: RouteCandidate[]): Promise<void> {
   );
 }
 
+/** Match each candidate against the rider's compiled cost profile. */
+function roadMatchAll(candidates: RouteCandidate[], costProfile: object | null): void {
+  for (const candidate of candidates) {
+    const match = matchRouteToCostProfile(costProfile, {
+      familiarityPercent: candidate.familiarity_percent,
+      gravelPct: candidate.gravel_actual_pct,
+      arterialFraction: candidate.arterial_fraction,
+    });
+    candidate.road_match_percent = match?.percent ?? null;
+  }
+}
+
 /** Score each candidate's familiarity against the rider's history (fail-soft). */
 async function familiarityAll(
   candidates: RouteCandidate[],
@@ -199,6 +220,7 @@ interface GeneratedRouteResult {
   directionLabel?: string;
   familiarityScore?: { familiarityPercent?: number } | null;
   cues?: unknown[] | null;
+  arterialFraction?: number | null;
 }
 
 function scoreCandidate(
@@ -268,6 +290,8 @@ function candidateFromRoute(
     gravel_target_pct: request.gravelTargetPct ?? null,
     gravel_actual_pct: null,
     familiarity_percent: route.familiarityScore?.familiarityPercent ?? null,
+    arterial_fraction: route.arterialFraction ?? null,
+    road_match_percent: null,
     score: 0,
     requested: { distance_km: request.targetDistanceKm, bearing: requestedBearing },
     parsed: request.parsed,
@@ -327,6 +351,8 @@ export async function generateRouteCandidatesFromNaturalLanguage(
 ): Promise<RouteCandidate[]> {
   const request = (await parseRouteRequest(userRequest, context)) as ParsedRequest;
   const accessToken = (context.accessToken as string | null) ?? null;
+  const costProfile = await getRoutingCostProfile(accessToken);
+  const preferences = withCostProfile(costProfile);
   const onProgress = context.onProgress as ((stage: string) => void) | undefined;
   const progress = (stage: string) => {
     try { onProgress?.(stage); } catch { /* best-effort */ }
@@ -346,6 +372,7 @@ export async function generateRouteCandidatesFromNaturalLanguage(
       throw new Error('Could not generate a route. Try a different duration or location.');
     }
     candidate.snapshot = await enrichRouteElevation(candidate.snapshot);
+    roadMatchAll([candidate], costProfile);
     candidate.score = scoreCandidate(candidate, requestedBearing, request.startLocation);
     return [candidate];
   }
@@ -364,7 +391,7 @@ export async function generateRouteCandidatesFromNaturalLanguage(
         routeType: request.type === 'out_back' ? 'out_and_back' : request.type,
         direction: bearing_deg !== null ? String(bearing_deg) : null,
         loopOrientation: spec.orientation,
-        options: { profile: request.routeProfile, trainingGoal: request.goal },
+        options: { profile: request.routeProfile, trainingGoal: request.goal, preferences },
         trainingGoal: request.goal,
       });
 
@@ -398,6 +425,7 @@ export async function generateRouteCandidatesFromNaturalLanguage(
   // gain) must land before display so no card or reply ever says 0m climbing.
   await enrichAll(candidates);
   await familiarityAll(candidates, accessToken);
+  roadMatchAll(candidates, costProfile);
 
   const guarded = applyDistanceGuard(candidates);
   for (const candidate of guarded) {
@@ -441,9 +469,14 @@ export async function generatePlannedRouteCandidates(
     try { onProgress?.(stage); } catch { /* best-effort */ }
   };
 
-  // Reverse-geocode the start so Claude can name real nearby places.
+  // Reverse-geocode the start so Claude can name real nearby places; the
+  // rider's cost profile loads alongside.
   progress('planning');
-  const regionLabel = await reverseGeocodeRegion([startLocation[0], startLocation[1]]);
+  const [regionLabel, costProfile] = await Promise.all([
+    reverseGeocodeRegion([startLocation[0], startLocation[1]]),
+    getRoutingCostProfile(accessToken),
+  ]);
+  const preferences = withCostProfile(costProfile);
 
   // One Claude call → up to three named plans. Any failure (network, non-JSON,
   // no usable plans) drops through to the geometric pipeline below.
@@ -513,6 +546,7 @@ export async function generatePlannedRouteCandidates(
       }
     }
     await familiarityAll(cands, accessToken);
+    roadMatchAll(cands, costProfile);
     const guarded = applyDistanceGuard(cands);
     for (const candidate of guarded) {
       candidate.score = scoreCandidate(candidate, requestedBearing, startLocation);
@@ -574,7 +608,7 @@ export async function generatePlannedRouteCandidates(
         routeType: type === 'out_back' ? 'out_and_back' : type,
         direction: requestedBearing !== null ? String(requestedBearing) : null,
         loopOrientation: 'cw',
-        options: { profile: routeProfile, trainingGoal: goal },
+        options: { profile: routeProfile, trainingGoal: goal, preferences },
         trainingGoal: goal,
       });
     } catch {
@@ -595,6 +629,7 @@ export async function generatePlannedRouteCandidates(
         profile: routeProfile,
         goal,
         type,
+        preferences,
       });
       if (routed) {
         route = { ...routed, name: planRoute.name, rationale: planRoute.rationale, directionLabel };
@@ -0,0 +1,124 @@
+/**
+ * Notification preference model (migration 125).
+ *
+ * Server twin: NOTIFICATION_TYPES / isChannelEnabled in
+ * api/utils/notificationDispatcher.js — keep channels and defaults in sync.
+ */
+
+export type NotificationChannel = 'push' | 'email' | 'in_app';
+
+export type NotificationTypeKey =
+  | 'workout_preview'
+  | 'post_ride_insight'
+  | 'coach_check_in'
+  | 'gear_alert'
+  | 'forum_reply'
+  | 'campaign';
+
+export interface NotificationTypeConfig {
+  key: NotificationTypeKey;
+  label: string;
+  description: string;
+  channels: NotificationChannel[];
+  defaults: Partial<Record<NotificationChannel, boolean>>;
+  /** Low-priority email goes into the daily digest when it's on. */
+  lowPriority?: boolean;
+}
+
+export interface NotificationPreferences {
+  user_id: string;
+  channels: Partial<Record<NotificationTypeKey, Partial<Record<NotificationChannel, boolean>>>>;
+  quiet_hours_enabled: boolean;
+  quiet_hours_start: string;
+  quiet_hours_end: string;
+  digest_enabled: boolean;
+  digest_hour: number;
+}
+
+export const CHANNEL_LABELS: Record<NotificationChannel, string> = {
+  push: 'Push',
+  email: 'Email',
+  in_app: 'In-app',
+};
+
+export const NOTIFICATION_TYPES: NotificationTypeConfig[] = [
+  {
+    key: 'workout_preview',
+    label: 'Tomorrow\'s workout',
+    description: 'Evening preview of your scheduled workout for the next day',
+    channels: ['push', 'email'],
+    defaults: { push: true, email: false },
+  },
+  {
+    key: 'post_ride_insight',
+    label: 'Post-ride insights',
+    description: 'Training load updates when a ride is processed',
+    channels: ['push', 'email', 'in_app'],
+    defaults: { push: true, email: false, in_app: true },
+  },
+  {
+    key: 'coach_check_in',
+    label: 'Coach check-ins',
+    description: 'When your coach has reviewed a ride or your week',
+    channels: ['push', 'email'],
+    defaults: { push: true, email: false },
+  },
+  {
+    key: 'gear_alert',
+    label: 'Gear alerts',
+    description: 'Components due for maintenance or replacement',
+    channels: ['email', 'in_app'],
+    defaults: { email: true, in_app: true },
+    lowPriority: true,
+  },
+  {
+    key: 'forum_reply',
+    label: 'Forum replies',
+    description: 'Replies, quotes and mentions in the community forum',
+    channels: ['push', 'email', 'in_app'],
+    defaults: { push: false, email: true, in_app: true },
+    lowPriority: true,
+  },
+  {
+    key: 'campaign',
+    label: 'News and tips',
+    description: 'Product announcements, training tips and onboarding emails',
+    channels: ['email'],
+    defaults: { email: true },
+  },
+];
+
+const TYPES_BY_KEY = Object.fromEntries(NOTIFICATION_TYPES.map((t) => [t.key, t])) as Record<
+  NotificationTypeKey,
+  NotificationTypeConfig
+>;
+
+/**
+ * Whether a channel is on for a type. A missing preferences row or matrix
+ * entry means the type's default.
+ */
+export function isChannelEnabled(
+  prefs: Pick<NotificationPreferences, 'channels'> | null | undefined,
+  type: NotificationTypeKey,
+  channel: NotificationChannel
+): boolean {
+  const config = TYPES_BY_KEY[type];
+  if (!config || !config.channels.includes(channel)) return false;
+  const value = prefs?.channels?.[type]?.[channel];
+  return typeof value === 'boolean' ? value : Boolean(config.defaults[channel]);
+}
+
+/**
+ * Copy of the channel matrix with one toggle changed.
+ */
+export function withChannel(
+  channels: NotificationPreferences['channels'] | null | undefined,
+  type: NotificationTypeKey,
+  channel: NotificationChannel,
+  value: boolean
+): NotificationPreferences['channels'] {
+  return {
+    ...(channels || {}),
+    [type]: { ...(channels?.[type] || {}), [channel]: value },
+  };
+}
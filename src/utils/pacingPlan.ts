@@ -0,0 +1,440 @@
+/**
+ * Pacing Plan
+ *
+ * Physics-based pacing for a planned route: splits the line into short
+ * segments, derives grade (elevation profile) and headwind component (route
+ * bearing vs. forecast wind) per segment, and solves the standard cycling
+ * power equation for speed at a planned power. Power is varied with terrain
+ * — harder on climbs and into the wind, easier on descents and with a
+ * tailwind — which is faster for the same average than riding it flat.
+ *
+ * Two targets:
+ * - 'time': find the base power that finishes in the target time (an
+ *   optional power cap still bounds every segment).
+ * - 'power': the cap is the hardest the rider will push on any segment;
+ *   the plan reports the finish time that produces.
+ *
+ * The per-coordinate elapsed times feed FIT course timestamps, which is
+ * what a head unit's virtual partner rides.
+ */
+
+import { haversineKm } from './distanceUnits';
+
+// ============================================================
+// TYPES
+// ============================================================
+
+export type PacingMode = 'time' | 'power';
+
+export interface PacingRider {
+  riderMassKg: number;
+  bikeMassKg?: number;
+  /** Drag area, m². ~0.32 on the hoods, ~0.25 in the drops/aero. */
+  cdA?: number;
+  /** Rolling resistance coefficient. */
+  crr?: number;
+}
+
+export interface PacingTarget {
+  mode: PacingMode;
+  targetMinutes?: number | null;
+  powerCapW?: number | null;
+}
+
+export interface PacingWind {
+  speedKmh: number;
+  /** Direction the wind blows FROM, degrees clockwise from north. */
+  degrees: number;
+}
+
+export interface PacingInput {
+  coordinates: Array<[number, number] | [number, number, number]>;
+  elevationProfile?: Array<{ distance_km: number; elevation_m: number }> | null;
+  rider: PacingRider;
+  target: PacingTarget;
+  wind?: PacingWind | null;
+  segmentKm?: number;
+  splitKm?: number;
+}
+
+export interface PacingSegment {
+  startKm: number;
+  endKm: number;
+  gradePercent: number;
+  /** Positive = headwind, negative = tailwind. */
+  headwindKmh: number;
+  powerW: number;
+  speedKmh: number;
+  seconds: number;
+  /** Elapsed time at the end of this segment. */
+  elapsedSeconds: number;
+}
+
+export interface PacingSplit {
+  km: number;
+  elapsedSeconds: number;
+  splitSeconds: number;
+}
+
+export interface PacingPlan {
+  mode: PacingMode;
+  distanceKm: number;
+  totalSeconds: number;
+  targetSeconds: number | null;
+  powerCapW: number | null;
+  basePowerW: number;
+  averagePowerW: number;
+  normalizedPowerW: number;
+  /** False when the target time is out of reach within the cap / planner power range. */
+  feasible: boolean;
+  segments: PacingSegment[];
+  splits: PacingSplit[];
+}
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const PACING_DEFAULTS = {
+  bikeMassKg: 9,
+  cdA: 0.32,
+  crr: 0.005,
+};
+
+const GRAVITY = 9.81;
+const AIR_DENSITY = 1.225;
+const DRIVETRAIN_EFFICIENCY = 0.975;
+
+const MIN_SPEED_MPS = 1;
+// Descents are speed-limited by braking and corners, not physics.
+const MAX_SPEED_MPS = 70 / 3.6;
+
+// Power multiplier per % grade and per km/h of headwind. Grades beyond ±10%
+// don't push the multiplier further — the bounds below take over.
+const GRADE_GAIN = 0.04;
+const GRADE_GAIN_LIMIT = 10;
+const WIND_GAIN = 0.01;
+const MULTIPLIER_MIN = 0.5;
+const MULTIPLIER_MAX = 1.25;
+
+const BASE_POWER_MIN = 20;
+const BASE_POWER_MAX = 600;
+const FEASIBLE_TOLERANCE = 0.01;
+
+const DEFAULT_SEGMENT_KM = 0.5;
+const DEFAULT_SPLIT_KM = 5;
+
+// ============================================================
+// PHYSICS
+// ============================================================
+
+function resolveRider(rider: PacingRider) {
+  return {
+    massKg: rider.riderMassKg + (rider.bikeMassKg ?? PACING_DEFAULTS.bikeMassKg),
+    cdA: rider.cdA ?? PACING_DEFAULTS.cdA,
+    crr: rider.crr ?? PACING_DEFAULTS.crr,
+  };
+}
+
+/**
+ * Crank power (W) needed to hold ground speed `speedMps` on a grade with the
+ * given headwind component (m/s, negative = tailwind).
+ */
+export function powerForSpeed(
+  speedMps: number,
+  gradePercent: number,
+  headwindMps: number,
+  rider: PacingRider,
+): number {
+  const { massKg, cdA, crr } = resolveRider(rider);
+  const theta = Math.atan(gradePercent / 100);
+  const gravityAndRolling = massKg * GRAVITY * (Math.sin(theta) + crr * Math.cos(theta));
+  const airSpeed = speedMps + headwindMps;
+  const aero = 0.5 * AIR_DENSITY * cdA * airSpeed * Math.abs(airSpeed);
+  return ((gravityAndRolling + aero) * speedMps) / DRIVETRAIN_EFFICIENCY;
+}
+
+/** Ground speed (m/s) at a given crank power, by bisection on powerForSpeed. */
+export function speedForPower(
+  powerW: number,
+  gradePercent: number,
+  headwindMps: number,
+  rider: PacingRider,
+): number {
+  if (powerForSpeed(MAX_SPEED_MPS, gradePercent, headwindMps, rider) <= powerW) return MAX_SPEED_MPS;
+  if (powerForSpeed(MIN_SPEED_MPS, gradePercent, headwindMps, rider) >= powerW) return MIN_SPEED_MPS;
+  let lo = MIN_SPEED_MPS;
+  let hi = MAX_SPEED_MPS;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (powerForSpeed(mid, gradePercent, headwindMps, rider) < powerW) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/** How much harder (or easier) than base power to ride a segment. */
+export function pacingMultiplier(gradePercent: number, headwindKmh: number): number {
+  const grade = Math.max(-GRADE_GAIN_LIMIT, Math.min(GRADE_GAIN_LIMIT, gradePercent));
+  const m = 1 + GRADE_GAIN * grade + WIND_GAIN * headwindKmh;
+  return Math.max(MULTIPLIER_MIN, Math.min(MULTIPLIER_MAX, m));
+}
+
+// ============================================================
+// GEOMETRY
+// ============================================================
+
+function bearingDegrees(lat1: number, lng1: number, lat2: number, lng2: number): number {
+  const toRad = (d: number) => (d * Math.PI) / 180;
+  const dLng = toRad(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+function cumulativeKm(coords: PacingInput['coordinates']): number[] {
+  const out = [0];
+  for (let i = 1; i < coords.length; i++) {
+    const [lng1, lat1] = coords[i - 1];
+    const [lng2, lat2] = coords[i];
+    out.push(out[i - 1] + haversineKm(lat1, lng1, lat2, lng2));
+  }
+  return out;
+}
+
+/** Linear interpolation of ys over ascending xs. */
+function interpolate(xs: number[], ys: number[], x: number): number {
+  if (x <= xs[0]) return ys[0];
+  const last = xs.length - 1;
+  if (x >= xs[last]) return ys[last];
+  let lo = 0;
+  let hi = last;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (xs[mid] <= x) lo = mid;
+    else hi = mid;
+  }
+  const span = xs[hi] - xs[lo];
+  const t = span > 0 ? (x - xs[lo]) / span : 0;
+  return ys[lo] + t * (ys[hi] - ys[lo]);
+}
+
+/**
+ * Elevation lookup by route km. Prefers the fetched profile (rescaled onto
+ * the coordinate length — the elevation API measures distance slightly
+ * differently), then 3D coordinates, else flat.
+ */
+function elevationLookup(
+  input: PacingInput,
+  cumKm: number[],
+): (km: number) => number {
+  const profile = input.elevationProfile;
+  const totalKm = cumKm[cumKm.length - 1];
+  if (Array.isArray(profile) && profile.length >= 2) {
+    const profileKm = profile[profile.length - 1].distance_km;
+    const scale = profileKm > 0 ? totalKm / profileKm : 1;
+    const xs = profile.map((p) => p.distance_km * scale);
+    const ys = profile.map((p) => p.elevation_m);
+    return (km) => interpolate(xs, ys, km);
+  }
+  const coords = input.coordinates;
+  if (coords.every((c) => c.length === 3)) {
+    const ys = coords.map((c) => (c as [number, number, number])[2]);
+    return (km) => interpolate(cumKm, ys, km);
+  }
+  return () => 0;
+}
+
+// ============================================================
+// PLAN
+// ============================================================
+
+interface Course {
+  lengthKm: number;
+  gradePercent: number;
+  headwindKmh: number;
+  multiplier: number;
+}
+
+function simulate(course: Course[], basePowerW: number, capW: number | null, rider: PacingRider) {
+  return course.map((c) => {
+    const uncapped = basePowerW * c.multiplier;
+    const powerW = capW != null ? Math.min(uncapped, capW) : uncapped;
+    const speedMps = speedForPower(powerW, c.gradePercent, c.headwindKmh / 3.6, rider);
+    return { powerW, speedMps, seconds: (c.lengthKm * 1000) / speedMps };
+  });
+}
+
+function totalSeconds(run: Array<{ seconds: number }>): number {
+  return run.reduce((sum, r) => sum + r.seconds, 0);
+}
+
+/**
+ * Build a pacing plan for a route. Returns null when the route is too short
+ * to pace or the target is missing its number.
+ */
+export function buildPacingPlan(input: PacingInput): PacingPlan | null {
+  const { coordinates, rider, target, wind } = input;
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+  if (!(rider.riderMassKg > 0)) return null;
+
+  const capW = target.powerCapW != null && target.powerCapW > 0 ? target.powerCapW : null;
+  const targetSeconds =
+    target.mode === 'time' && target.targetMinutes != null && target.targetMinutes > 0
+      ? target.targetMinutes * 60
+      : null;
+  if (target.mode === 'time' && targetSeconds == null) return null;
+  if (target.mode === 'power' && capW == null) return null;
+
+  const cumKm = cumulativeKm(coordinates);
+  const distanceKm = cumKm[cumKm.length - 1];
+  if (distanceKm < 0.1) return null;
+
+  const elevationAt = elevationLookup(input, cumKm);
+  const lngs = coordinates.map((c) => c[0]);
+  const lats = coordinates.map((c) => c[1]);
+  const segmentCount = Math.max(1, Math.round(distanceKm / (input.segmentKm ?? DEFAULT_SEGMENT_KM)));
+  const lengthKm = distanceKm / segmentCount;
+  const windActive = wind != null && Number.isFinite(wind.speedKmh) && Number.isFinite(wind.degrees);
+
+  const course: Course[] = [];
+  for (let i = 0; i < segmentCount; i++) {
+    const startKm = i * lengthKm;
+    const endKm = startKm + lengthKm;
+    const rise = elevationAt(endKm) - elevationAt(startKm);
+    const gradePercent = Math.max(-25, Math.min(25, (rise / (lengthKm * 1000)) * 100));
+    let headwindKmh = 0;
+    if (windActive) {
+      const bearing = bearingDegrees(
+        interpolate(cumKm, lats, startKm),
+        interpolate(cumKm, lngs, startKm),
+        interpolate(cumKm, lats, endKm),
+        interpolate(cumKm, lngs, endKm),
+      );
+      // Wind FROM the direction we're heading is a headwind.
+      headwindKmh = wind!.speedKmh * Math.cos(((bearing - wind!.degrees) * Math.PI) / 180);
+    }
+    course.push({
+      lengthKm,
+      gradePercent,
+      headwindKmh,
+      multiplier: pacingMultiplier(gradePercent, headwindKmh),
+    });
+  }
+
+  let basePowerW: number;
+  let feasible = true;
+  if (target.mode === 'power') {
+    const peak = Math.max(...course.map((c) => c.multiplier));
+    basePowerW = capW! / peak;
+  } else {
+    let lo = BASE_POWER_MIN;
+    let hi = BASE_POWER_MAX;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (totalSeconds(simulate(course, mid, capW, rider)) > targetSeconds!) lo = mid;
+      else hi = mid;
+    }
+    basePowerW = (lo + hi) / 2;
+    const achieved = totalSeconds(simulate(course, basePowerW, capW, rider));
+    feasible = Math.abs(achieved - targetSeconds!) <= targetSeconds! * FEASIBLE_TOLERANCE;
+  }
+
+  const run = simulate(course, basePowerW, capW, rider);
+  let elapsed = 0;
+  let work = 0;
+  let fourth = 0;
+  const segments: PacingSegment[] = run.map((r, i) => {
+    elapsed += r.seconds;
+    work += r.powerW * r.seconds;
+    fourth += Math.pow(r.powerW, 4) * r.seconds;
+    return {
+      startKm: round(i * lengthKm, 3),
+      endKm: round((i + 1) * lengthKm, 3),
+      gradePercent: round(course[i].gradePercent, 1),
+      headwindKmh: round(course[i].headwindKmh, 1),
+      powerW: Math.round(r.powerW),
+      speedKmh: round(r.speedMps * 3.6, 1),
+      seconds: round(r.seconds, 1),
+      elapsedSeconds: round(elapsed, 1),
+    };
+  });
+
+  const plan: PacingPlan = {
+    mode: target.mode,
+    distanceKm: round(distanceKm, 3),
+    totalSeconds: Math.round(elapsed),
+    targetSeconds,
+    powerCapW: capW,
+    basePowerW: Math.round(basePowerW),
+    averagePowerW: Math.round(work / elapsed),
+    normalizedPowerW: Math.round(Math.pow(fourth / elapsed, 0.25)),
+    feasible,
+    segments,
+    splits: [],
+  };
+  plan.splits = pacingSplits(plan, input.splitKm ?? DEFAULT_SPLIT_KM);
+  return plan;
+}
+
+/** Cumulative split times every `splitKm` (plus the finish). */
+export function pacingSplits(plan: PacingPlan, splitKm: number): PacingSplit[] {
+  if (!(splitKm > 0)) return [];
+  const splits: PacingSplit[] = [];
+  let previous = 0;
+  for (let km = splitKm; km < plan.distanceKm + 1e-6; km += splitKm) {
+    const elapsedSeconds = Math.round(elapsedSecondsAtKm(plan, km));
+    splits.push({ km: round(km, 3), elapsedSeconds, splitSeconds: elapsedSeconds - previous });
+    previous = elapsedSeconds;
+  }
+  const lastKm = splits.length > 0 ? splits[splits.length - 1].km : 0;
+  if (plan.distanceKm - lastKm > 0.05) {
+    splits.push({
+      km: plan.distanceKm,
+      elapsedSeconds: plan.totalSeconds,
+      splitSeconds: plan.totalSeconds - previous,
+    });
+  }
+  return splits;
+}
+
+/** Planned elapsed seconds at a route distance. */
+export function elapsedSecondsAtKm(plan: PacingPlan, km: number): number {
+  if (km <= 0 || plan.segments.length === 0) return 0;
+  for (const s of plan.segments) {
+    if (km <= s.endKm) {
+      const span = s.endKm - s.startKm;
+      const t = span > 0 ? (km - s.startKm) / span : 1;
+      return s.elapsedSeconds - s.seconds * (1 - t);
+    }
+  }
+  return plan.segments[plan.segments.length - 1].elapsedSeconds;
+}
+
+/** The plan segment covering a route distance, or null past the end. */
+export function pacingSegmentAtKm(plan: PacingPlan, km: number): PacingSegment | null {
+  if (km < 0) return null;
+  return plan.segments.find((s) => km <= s.endKm) ?? null;
+}
+
+/**
+ * Planned elapsed seconds for every coordinate — the timestamps a FIT course
+ * needs for a virtual partner. Distances are rescaled onto the plan's length
+ * so a plan built on the same line lines up exactly.
+ */
+export function pacingElapsedForCoordinates(
+  plan: PacingPlan,
+  coordinates: PacingInput['coordinates'],
+): number[] {
+  const cumKm = cumulativeKm(coordinates);
+  const totalKm = cumKm[cumKm.length - 1];
+  const scale = totalKm > 0 ? plan.distanceKm / totalKm : 0;
+  return cumKm.map((km) => round(elapsedSecondsAtKm(plan, km * scale), 1));
+}
+
+function round(n: number, dp: number): number {
+  const f = Math.pow(10, dp);
+  return Math.round(n * f) / f;
+}
@@ -0,0 +1,257 @@
+/**
+ * Personal Difficulty
+ *
+ * Rates a planned route against the rider's OWN history instead of the
+ * generic easy/moderate/hard thresholds behind DifficultyBadge: distance,
+ * climbing, steepest sustained grade and predicted RSS are each placed on
+ * the distribution of the rider's past rides (activities) and past climbs
+ * (training_segment_rides × training_segments), producing lines like
+ * "Harder than 92% of your rides, longest climb you've attempted since June".
+ *
+ * All functions are pure; data fetching lives in
+ * src/hooks/route-builder/usePersonalDifficulty.ts.
+ */
+
+import { summarizeClimbs } from './elevation';
+import { estimateTSS } from './trainingPlans';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/** One past ride, reduced to the axes a route can be compared on. */
+export interface HistoryRide {
+  /** ISO start date. */
+  date: string;
+  distanceKm: number;
+  elevationGainM: number;
+  /** Recorded RSS (rss ?? tss), or an estimate when the ride has none. */
+  rss: number | null;
+}
+
+/** One past traversal of a climb segment. */
+export interface HistoryClimb {
+  /** ISO ridden_at. */
+  date: string;
+  gainM: number;
+  lengthKm: number;
+  avgGradePct: number;
+}
+
+export interface RouteDifficultyMetrics {
+  distanceKm: number;
+  elevationGainM: number;
+  /** Gain of the biggest climb on the route; null without a profile. */
+  longestClimbGainM: number | null;
+  /** Steepest average grade over any climb ≥ SUSTAINED_MIN_KM; null when none. */
+  maxSustainedGradePct: number | null;
+  /** Endurance-pace RSS estimate; null without a duration. */
+  predictedRss: number | null;
+}
+
+export type PersonalDifficultyBand = 'easier' | 'typical' | 'harder' | 'stretch';
+
+export interface PersonalDifficulty {
+  /** Rides the comparison was made against. */
+  rideCount: number;
+  /** Share (0–100) of past rides with a lower RSS than this route's prediction. */
+  percentile: number | null;
+  band: PersonalDifficultyBand | null;
+  /** Per-axis share (0–100) of history strictly below the route. */
+  dimensions: {
+    distance: number | null;
+    climbing: number | null;
+    gradient: number | null;
+    rss: number | null;
+  };
+  /** "Since"/record lines, most notable first, e.g. "longest ride since March". */
+  highlights: string[];
+  /** Headline plus the top highlights, ready for a stats line or a prompt. */
+  summary: string;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Below this many rides a percentile says more about the sample than the rider. */
+export const MIN_HISTORY_RIDES = 5;
+
+/** A climb must run at least this far to count toward "sustained" grade. */
+const SUSTAINED_MIN_KM = 0.5;
+
+/** Climbs smaller than this aren't worth a record line. */
+const MIN_NOTABLE_CLIMB_GAIN_M = 50;
+const MIN_NOTABLE_GRADE_PCT = 4;
+
+/** A match inside this window is "recent" — no "since" line is worth saying. */
+const RECORD_GAP_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// ROUTE METRICS
+// ============================================================================
+
+/**
+ * Reduce a route to the axes it is compared on. Climb figures come from the
+ * same detector the race tab uses (summarizeClimbs); predicted RSS from the
+ * same endurance-pace estimate applied to history rides that lack one.
+ */
+export function routeDifficultyMetrics(input: {
+  distanceKm: number;
+  elevationGainM: number;
+  durationS?: number | null;
+  elevationProfile?: Array<{ distance_km: number; elevation_m: number }> | null;
+}): RouteDifficultyMetrics {
+  const { distanceKm, elevationGainM, durationS, elevationProfile } = input;
+
+  let longestClimbGainM: number | null = null;
+  let maxSustainedGradePct: number | null = null;
+  if (elevationProfile && elevationProfile.length >= 2) {
+    const climbs = summarizeClimbs(
+      elevationProfile.map((p) => ({ distance_km: p.distance_km, elevation: p.elevation_m })),
+      { maxClimbs: 20 },
+    ) as Array<{ length_km: number; gain_m: number; avg_grade_pct: number }>;
+    longestClimbGainM = climbs.length > 0 ? Math.max(...climbs.map((c) => c.gain_m)) : 0;
+    const sustained = climbs.filter((c) => c.length_km >= SUSTAINED_MIN_KM);
+    maxSustainedGradePct =
+      sustained.length > 0 ? Math.max(...sustained.map((c) => c.avg_grade_pct)) : null;
+  }
+
+  const predictedRss =
+    durationS && durationS > 0
+      ? estimateTSS(durationS / 60, distanceKm, elevationGainM, 'endurance')
+      : null;
+
+  return { distanceKm, elevationGainM, longestClimbGainM, maxSustainedGradePct, predictedRss };
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+/** Share (0–100, rounded) of `values` strictly below `x`; null on an empty sample. */
+export function percentileBelow(values: number[], x: number): number | null {
+  if (values.length === 0) return null;
+  const below = values.filter((v) => v < x).length;
+  return Math.round((below / values.length) * 100);
+}
+
+export function bandForPercentile(p: number | null): PersonalDifficultyBand | null {
+  if (p == null) return null;
+  if (p >= 90) return 'stretch';
+  if (p >= 65) return 'harder';
+  if (p >= 35) return 'typical';
+  return 'easier';
+}
+
+/** "June" within the current year, "June 2025" otherwise. */
+function sinceLabel(date: Date, now: Date): string {
+  const month = date.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+  return date.getUTCFullYear() === now.getUTCFullYear()
+    ? month
+    : `${month} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Record line for one axis: when the rider last matched `value`. Silent when
+ * they matched it recently or the axis has no history; "new territory" when
+ * nothing in the history reaches it.
+ */
+function recordLine<T extends { date: string }>(
+  label: string,
+  value: number,
+  history: T[],
+  pick: (item: T) => number,
+  now: Date,
+): string | null {
+  if (history.length === 0) return null;
+  let lastMatch: number | null = null;
+  for (const item of history) {
+    if (pick(item) < value) continue;
+    const t = Date.parse(item.date);
+    if (Number.isFinite(t) && (lastMatch == null || t > lastMatch)) lastMatch = t;
+  }
+  if (lastMatch == null) return label;
+  if (now.getTime() - lastMatch < RECORD_GAP_DAYS * DAY_MS) return null;
+  return `${label} since ${sinceLabel(new Date(lastMatch), now)}`;
+}
+
+/**
+ * Compare a route against the rider's history. Returns null when there are
+ * fewer than MIN_HISTORY_RIDES rides to compare against.
+ */
+export function comparePersonalDifficulty(
+  route: RouteDifficultyMetrics,
+  rides: HistoryRide[],
+  climbs: HistoryClimb[] = [],
+  now: Date = new Date(),
+): PersonalDifficulty | null {
+  if (rides.length < MIN_HISTORY_RIDES) return null;
+
+  const rssValues = rides.map((r) => r.rss).filter((v): v is number => v != null);
+  const rss =
+    route.predictedRss != null && rssValues.length >= MIN_HISTORY_RIDES
+      ? percentileBelow(rssValues, route.predictedRss)
+      : null;
+  const dimensions = {
+    distance: percentileBelow(rides.map((r) => r.distanceKm), route.distanceKm),
+    climbing: percentileBelow(rides.map((r) => r.elevationGainM), route.elevationGainM),
+    gradient:
+      route.maxSustainedGradePct != null
+        ? percentileBelow(climbs.map((c) => c.avgGradePct), route.maxSustainedGradePct)
+        : null,
+    rss,
+  };
+
+  // Most notable first: climbing records read as the headline news on a
+  // route card, ride length second.
+  const highlights: string[] = [];
+  const push = (line: string | null) => {
+    if (line) highlights.push(line);
+  };
+  if (route.longestClimbGainM != null && route.longestClimbGainM >= MIN_NOTABLE_CLIMB_GAIN_M) {
+    push(recordLine("longest climb you've attempted", route.longestClimbGainM, climbs, (c) => c.gainM, now));
+  }
+  if (route.maxSustainedGradePct != null && route.maxSustainedGradePct >= MIN_NOTABLE_GRADE_PCT) {
+    push(recordLine('steepest sustained climb', route.maxSustainedGradePct, climbs, (c) => c.avgGradePct, now));
+  }
+  if (route.distanceKm > 0) {
+    push(recordLine('longest ride', route.distanceKm, rides, (r) => r.distanceKm, now));
+  }
+  if (route.elevationGainM > 0) {
+    push(recordLine('most climbing in a ride', route.elevationGainM, rides, (r) => r.elevationGainM, now));
+  }
+
+  return {
+    rideCount: rides.length,
+    percentile: rss,
+    band: bandForPercentile(rss),
+    dimensions,
+    highlights,
+    summary: describePersonalDifficulty(rss, highlights),
+  };
+}
+
+/**
+ * "Harder than 92% of your rides, longest climb you've attempted since June".
+ * Easier-than-most routes lead with the easier side so the number stays big.
+ */
+export function describePersonalDifficulty(
+  percentile: number | null,
+  highlights: string[],
+  maxHighlights = 2,
+): string {
+  const parts: string[] = [];
+  if (percentile != null) {
+    parts.push(
+      percentile >= 50
+        ? `Harder than ${percentile}% of your rides`
+        : `Easier than ${100 - percentile}% of your rides`,
+    );
+  }
+  parts.push(...highlights.slice(0, maxHighlights));
+  const text = parts.join(', ');
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
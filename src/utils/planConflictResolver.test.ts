@@ -4,6 +4,8 @@ import {
   resolveConflicts,
   analyzeWeeklyLoad,
   getTSBRecommendation,
+  estimateGroupRideTSS,
+  suggestGroupRideFit,
 } from './planConflictResolver';
 import type { PlannedWorkoutDB } from '../types/training';
 
@@ -142,4 +144,63 @@ describe('planConflictResolver', () => {
       expect(rec.secondaryPlanGuidance).toContain('full intensity');
     });
   });
+
+  describe('suggestGroupRideFit', () => {
+    // 2026-04-04 is a Saturday
+    const ride = { date: '2026-04-04', title: 'Saturday café ride', durationMinutes: 150 };
+    const fresh = { ctl: 60, atl: 55, tsb: 5 };
+
+    it('estimates group ride load from duration', () => {
+      // 2.5 h × 0.75² × 100
+      expect(estimateGroupRideTSS(ride)).toBe(141);
+    });
+
+    it('replaces the endurance session that day', () => {
+      const endurance = mockWorkout({ scheduled_date: '2026-04-04', workout_type: 'endurance', target_tss: 70 });
+      const s = suggestGroupRideFit(ride, [endurance], fresh);
+      expect(s.action).toBe('replace_workout');
+      expect(s.workout?.id).toBe(endurance.id);
+      expect(s.reason).toContain('covers your endurance session');
+    });
+
+    it('warns when the replacement overshoots before a key session', () => {
+      const s = suggestGroupRideFit(ride, [
+        mockWorkout({ scheduled_date: '2026-04-04', workout_type: 'endurance', target_tss: 60 }),
+        mockWorkout({ scheduled_date: '2026-04-05', workout_type: 'vo2max', target_tss: 80 }),
+      ], fresh);
+      expect(s.action).toBe('replace_workout');
+      expect(s.reason).toContain("tomorrow's vo2max");
+    });
+
+    it('moves a key session to the nearest free day', () => {
+      const s = suggestGroupRideFit(ride, [
+        mockWorkout({ scheduled_date: '2026-04-04', workout_type: 'threshold', target_tss: 85 }),
+        mockWorkout({ scheduled_date: '2026-04-05', workout_type: 'endurance' }),
+      ], fresh);
+      expect(s.action).toBe('move_workout');
+      expect(s.movedToDate).toBe('2026-04-03');
+    });
+
+    it('protects a key session with nowhere to go', () => {
+      const workouts = ['2026-04-02', '2026-04-03', '2026-04-05', '2026-04-06'].map(d =>
+        mockWorkout({ scheduled_date: d, workout_type: 'endurance' }),
+      );
+      workouts.push(mockWorkout({ scheduled_date: '2026-04-04', workout_type: 'vo2max', target_tss: 90 }));
+      expect(suggestGroupRideFit(ride, workouts, fresh).action).toBe('skip_group_ride');
+    });
+
+    it('respects blocked days when moving', () => {
+      const s = suggestGroupRideFit(ride, [
+        mockWorkout({ scheduled_date: '2026-04-04', workout_type: 'threshold', target_tss: 85 }),
+      ], fresh, { blockedDays: [5, 0] });
+      expect(s.movedToDate).toBe('2026-04-06');
+    });
+
+    it('adds the ride on an open day and eases off on a rest day', () => {
+      expect(suggestGroupRideFit(ride, [], fresh).action).toBe('add_ride');
+      const rest = mockWorkout({ scheduled_date: '2026-04-04', workout_type: 'rest', target_tss: 0 });
+      expect(suggestGroupRideFit(ride, [rest], fresh).action).toBe('ride_easy');
+      expect(suggestGroupRideFit(ride, [rest], { ctl: 60, atl: 95, tsb: -35 }).action).toBe('skip_group_ride');
+    });
+  });
 });
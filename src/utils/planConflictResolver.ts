@@ -505,6 +505,134 @@ export function resolveConflicts(
   };
 }
 
+// ============================================================
+// GROUP RIDES
+// ============================================================
+
+/** A café group ride the athlete is considering, on their local date. */
+export interface GroupRide {
+  date: string;
+  title: string;
+  durationMinutes: number;
+}
+
+export type GroupRideAction =
+  | 'add_ride'
+  | 'replace_workout'
+  | 'move_workout'
+  | 'ride_easy'
+  | 'skip_group_ride';
+
+export interface GroupRideSuggestion {
+  date: string;
+  action: GroupRideAction;
+  /** The planned workout on the ride's date, if any */
+  workout: PlannedWorkoutDB | null;
+  movedToDate?: string;
+  estimatedTSS: number;
+  reason: string;
+}
+
+/** Group rides surge and sit in; on average they land between endurance and tempo */
+const GROUP_RIDE_INTENSITY_FACTOR = 0.75;
+
+/** A group ride this much bigger than the session it replaces is a load spike */
+const GROUP_RIDE_OVERSHOOT = 1.5;
+
+/**
+ * Estimated RSS for a group ride from its expected duration.
+ */
+export function estimateGroupRideTSS(ride: GroupRide): number {
+  const hours = Math.max(0, ride.durationMinutes) / 60;
+  return Math.round(hours * GROUP_RIDE_INTENSITY_FACTOR * GROUP_RIDE_INTENSITY_FACTOR * 100);
+}
+
+/**
+ * Suggest how to fit a group ride into the plan around the workout already
+ * scheduled that day. Easy and endurance sessions are replaced by the ride;
+ * key sessions are moved to a free day within two days when possible, and
+ * otherwise protected.
+ */
+export function suggestGroupRideFit(
+  ride: GroupRide,
+  workouts: PlannedWorkoutDB[],
+  fitness: FitnessSnapshot | null,
+  preferences?: Partial<ConflictUserPreferences>,
+): GroupRideSuggestion {
+  const estimatedTSS = estimateGroupRideTSS(ride);
+  const pending = workouts.filter(w => !w.completed);
+  const workout = pending.find(w => w.scheduled_date === ride.date) || null;
+  const deeplyFatigued = fitness !== null && fitness.tsb < TSB_DEEP_FATIGUE;
+  const base = { date: ride.date, workout, estimatedTSS };
+
+  if (!workout) {
+    if (deeplyFatigued) {
+      return {
+        ...base,
+        action: 'ride_easy',
+        reason: `Nothing planned, but fatigue is deep (Form Score: ${fitness!.tsb}). Join the slowest pace group and keep it conversational.`,
+      };
+    }
+    return {
+      ...base,
+      action: 'add_ride',
+      reason: `Nothing planned that day. ${ride.title} (~${estimatedTSS} RSS) fits in as an extra ride.`,
+    };
+  }
+
+  if (workout.workout_type === 'rest') {
+    return {
+      ...base,
+      action: deeplyFatigued ? 'skip_group_ride' : 'ride_easy',
+      reason: deeplyFatigued
+        ? `That's a planned rest day and fatigue is deep (Form Score: ${fitness!.tsb}). Skip this one.`
+        : `That's a planned rest day. If you go, sit in the slowest pace group and treat it as recovery.`,
+    };
+  }
+
+  if (!isKeyWorkout(workout)) {
+    const workoutTSS = workout.target_rss ?? workout.target_tss ?? 0;
+    const nextDay = formatDate(new Date(new Date(ride.date + 'T00:00:00').getTime() + 86400000));
+    const nextKey = pending.find(w => w.scheduled_date === nextDay && isKeyWorkout(w));
+    let reason = `${ride.title} covers your ${workout.workout_type || 'planned'} session. Swap it for the group ride.`;
+    if (nextKey && workoutTSS > 0 && estimatedTSS > workoutTSS * GROUP_RIDE_OVERSHOOT) {
+      reason += ` It's bigger than planned (~${estimatedTSS} vs ${workoutTSS} RSS) — ride a slower group to stay fresh for tomorrow's ${nextKey.workout_type}.`;
+    }
+    return { ...base, action: 'replace_workout', reason };
+  }
+
+  // Key session: move it to a free day nearby
+  const occupied = new Set(pending.map(w => w.scheduled_date));
+  const blockedDays = new Set(preferences?.blockedDays || []);
+  const availableDates = new Set<string>();
+  const day = new Date(ride.date + 'T00:00:00');
+  for (const offset of [1, -1, 2, -2]) {
+    const candidate = new Date(day);
+    candidate.setDate(candidate.getDate() + offset);
+    const candidateStr = formatDate(candidate);
+    if (!occupied.has(candidateStr) && !blockedDays.has(candidate.getDay())) {
+      availableDates.add(candidateStr);
+    }
+  }
+  const movedToDate = findNearestAvailableDate(ride.date, availableDates);
+  if (movedToDate && !deeplyFatigued) {
+    return {
+      ...base,
+      action: 'move_workout',
+      movedToDate,
+      reason: `${workout.workout_type} is a key session. Move it to ${movedToDate} and ride with the group.`,
+    };
+  }
+
+  return {
+    ...base,
+    action: 'skip_group_ride',
+    reason: deeplyFatigued
+      ? `Fatigue is deep (Form Score: ${fitness!.tsb}). Protect your ${workout.workout_type} session and skip the group ride.`
+      : `${workout.workout_type} is a key session and there's no free day within two days to move it to. Protect it and catch the next group ride.`,
+  };
+}
+
 /**
  * Get TSB-based recommendation for the current training week.
  */
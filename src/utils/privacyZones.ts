@@ -0,0 +1,27 @@
+/**
+ * Privacy-zone masking for tracks the user shares from the client (share
+ * cards). The zones and the masking live in the database (migration 119);
+ * this only calls the caller-scoped mask_my_track RPC.
+ */
+
+import { supabase } from '../lib/supabase';
+
+/**
+ * The track with every point inside one of the signed-in user's privacy
+ * zones removed. Coordinates are [lng, lat]. Returns an empty array when
+ * fewer than two points survive, and null when masking failed — callers must
+ * then leave the track out rather than share it raw.
+ */
+export async function maskTrackForSharing(
+  coords: [number, number][],
+): Promise<[number, number][] | null> {
+  if (coords.length < 2) return [];
+  try {
+    const { data, error } = await supabase.rpc('mask_my_track', { p_coords: coords });
+    if (error) throw error;
+    return Array.isArray(data) ? (data as [number, number][]) : null;
+  } catch (err) {
+    console.error('Privacy zone masking failed:', err);
+    return null;
+  }
+}
@@ -90,6 +90,20 @@ export function trackRouteBuilder(
   }
 }
 
+/**
+ * Emit one routing-provider lifecycle event
+ * (`generation_routing_{called,succeeded,failed,skipped}`). Every provider in
+ * `routingProviders.js` reports through here so the payload always carries
+ * `provider`.
+ */
+export function trackRoutingProvider(
+  outcome: 'called' | 'succeeded' | 'failed' | 'skipped',
+  provider: string,
+  properties: EventProperties = {},
+): void {
+  trackRouteBuilder(`generation_routing_${outcome}`, { provider, ...properties });
+}
+
 /**
  * Start a new generation attempt. Returns the freshly-minted UUID so
  * callers can stash it for later correlation (e.g. on the route row
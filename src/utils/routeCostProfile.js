@@ -0,0 +1,198 @@
+/**
+ * Route cost profile — the rider's compiled road history, applied to routing.
+ *
+ * The profile itself is compiled server-side from user_road_segments
+ * (api/utils/routingCostProfile.js, `get_cost_profile` action). This module:
+ *
+ *   - fetches and caches it per session
+ *   - threads it into router preferences (`preferences.costProfile`), which
+ *     stadiaMapsRouter and graphHopper turn into costing
+ *   - scores a generated route against it ("your kind of roads")
+ *
+ * Named favourite roads can't be costed by any engine we use, so they only
+ * count through the familiarity part of the match score.
+ */
+
+const PROFILE_TTL_MS = 10 * 60 * 1000;
+
+// How far Valhalla costing moves from the profile/goal value toward the
+// rider's own, 0 … 1. Half-way keeps the route profile recognisable.
+const VALHALLA_BLEND = 0.5;
+
+// Share of riding a typical cyclist does on busy roads — mirrors
+// BASELINE_GROUP_SHARE.busy in api/utils/routingCostProfile.js.
+const BASELINE_BUSY_SHARE = 0.1;
+
+const GRAPHHOPPER_ROAD_CLASSES = {
+  busy: ['MOTORWAY', 'TRUNK', 'PRIMARY'],
+  connector: ['SECONDARY', 'TERTIARY'],
+  local: ['RESIDENTIAL', 'LIVING_STREET', 'UNCLASSIFIED', 'SERVICE'],
+  path: ['PATH', 'CYCLEWAY'],
+  track: ['TRACK'],
+};
+
+let cached = null; // { token, at, promise }
+
+/**
+ * Fetch the rider's cost profile. Cached for ten minutes per token; never
+ * throws — null when signed out, on error, or before the migration ran.
+ *
+ * @param {string|null} accessToken - Supabase session token
+ * @returns {Promise<Object|null>}
+ */
+export async function getRoutingCostProfile(accessToken) {
+  if (!accessToken) return null;
+  if (cached && cached.token === accessToken && Date.now() - cached.at < PROFILE_TTL_MS) {
+    return cached.promise;
+  }
+
+  const promise = (async () => {
+    try {
+      const response = await fetch('/api/road-segments', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ action: 'get_cost_profile' })
+      });
+      if (!response.ok) {
+        console.warn('Cost profile fetch failed:', response.status);
+        return null;
+      }
+      const data = await response.json();
+      return data.profile || null;
+    } catch (error) {
+      console.warn('Cost profile fetch error:', error);
+      return null;
+    }
+  })();
+
+  cached = { token: accessToken, at: Date.now(), promise };
+  const profile = await promise;
+  // Don't pin a failure for the whole TTL.
+  if (!profile && cached?.promise === promise) cached = null;
+  return profile;
+}
+
+/** Forget the cached profile (tests, after segment extraction). */
+export function clearRoutingCostProfileCache() {
+  cached = null;
+}
+
+/** True when the profile has enough classified history to steer routing. */
+export function isCostProfileUsable(profile) {
+  return Boolean(profile && profile.confidence && profile.confidence !== 'none');
+}
+
+/**
+ * Router preferences with the cost profile attached. Returns `base`
+ * untouched when the profile is missing or too thin.
+ *
+ * @param {Object|null} profile
+ * @param {Object|null} [base] - existing preferences
+ * @returns {Object|null}
+ */
+export function withCostProfile(profile, base = null) {
+  if (!isCostProfileUsable(profile)) return base;
+  return { ...(base || {}), costProfile: profile };
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function clamp01(n) {
+  return Math.min(1, Math.max(0, n));
+}
+
+/**
+ * Blend Valhalla bicycle costing toward the rider's profile: `use_roads`
+ * toward their traffic stress, `avoid_bad_surfaces` toward their gravel
+ * share. Mutates and returns `bicycle`.
+ *
+ * @param {Object} bicycle - Valhalla costing_options.bicycle
+ * @param {Object} profile
+ * @returns {Object}
+ */
+export function applyCostProfileToValhalla(bicycle, profile) {
+  if (!isCostProfileUsable(profile)) return bicycle;
+  if (typeof profile.trafficStress === 'number') {
+    const target = 0.05 + 0.6 * profile.trafficStress;
+    const current = bicycle.use_roads ?? 0.3;
+    bicycle.use_roads = round2(current + (target - current) * VALHALLA_BLEND);
+  }
+  if (typeof profile.gravelWeight === 'number') {
+    const target = clamp01(1 - profile.gravelWeight * 2);
+    const current = bicycle.avoid_bad_surfaces ?? 0.5;
+    bicycle.avoid_bad_surfaces = round2(current + (target - current) * VALHALLA_BLEND);
+  }
+  return bicycle;
+}
+
+/**
+ * GraphHopper custom_model priority statements for the rider's road-group
+ * weights (skipping neutral groups).
+ *
+ * @param {Object} profile
+ * @returns {Array<{ if: string, multiply_by: string }>}
+ */
+export function graphHopperCostProfilePriority(profile) {
+  if (!isCostProfileUsable(profile)) return [];
+  const statements = [];
+  for (const [group, classes] of Object.entries(GRAPHHOPPER_ROAD_CLASSES)) {
+    const weight = profile.roadClassWeights?.[group];
+    if (typeof weight !== 'number' || Math.abs(weight - 1) < 0.05) continue;
+    statements.push({
+      if: classes.map((c) => `road_class == ${c}`).join(' || '),
+      multiply_by: weight.toFixed(2),
+    });
+  }
+  return statements;
+}
+
+/**
+ * How well a route matches "your kind of roads", 0–100.
+ *
+ * Blends whichever measurements are available: familiarity (weighted by the
+ * rider's familiar-road slider; ignored in explore mode), gravel share vs
+ * their own, and arterial share vs their own busy-road share.
+ *
+ * @param {Object|null} profile
+ * @param {Object} route
+ * @param {number|null} [route.familiarityPercent] - % on roads ridden before
+ * @param {number|null} [route.gravelPct] - measured gravel+unpaved %
+ * @param {number|null} [route.arterialFraction] - 0–1 share on arterials (Valhalla)
+ * @returns {{ percent: number, label: string }|null} null without a usable
+ *   profile or any measurement to compare
+ */
+export function matchRouteToCostProfile(profile, route = {}) {
+  if (!isCostProfileUsable(profile)) return null;
+  const { familiarityPercent = null, gravelPct = null, arterialFraction = null } = route;
+  const parts = []; // [value 0–1, weight]
+
+  if (typeof familiarityPercent === 'number' && !profile.exploreMode) {
+    const weight = 0.5 * (profile.familiarityStrength ?? 0.5);
+    if (weight > 0) parts.push([clamp01(familiarityPercent / 100), weight]);
+  }
+  if (typeof gravelPct === 'number' && typeof profile.gravelWeight === 'number') {
+    parts.push([1 - Math.abs(gravelPct / 100 - profile.gravelWeight), 1]);
+  }
+  if (typeof arterialFraction === 'number' && typeof profile.roadClassWeights?.busy === 'number') {
+    const riderBusyShare = profile.roadClassWeights.busy * BASELINE_BUSY_SHARE;
+    parts.push([1 - clamp01((arterialFraction - riderBusyShare) * 2), 1]);
+  }
+
+  if (parts.length === 0) return null;
+  const totalWeight = parts.reduce((sum, [, w]) => sum + w, 0);
+  const percent = Math.round((100 * parts.reduce((sum, [v, w]) => sum + v * w, 0)) / totalWeight);
+  return {
+    percent,
+    label:
+      percent >= 75
+        ? 'Very much your kind of roads'
+        : percent >= 50
+          ? 'Mostly your kind of roads'
+          : 'Unlike your usual roads',
+  };
+}
@@ -44,6 +44,30 @@ export function valhallaTypeToDirection(type: number): RouteCue['direction'] {
   return 'other';
 }
 
+/**
+ * Representative Valhalla maneuver type for a direction. Used when cues come
+ * from a course file (TCX CoursePoint / FIT course_point), which only carries
+ * the direction, so imported cues still satisfy the `RouteCue.type` enum.
+ */
+export function directionToValhallaType(direction: RouteCue['direction']): number {
+  switch (direction) {
+    case 'left':
+      return 15;
+    case 'right':
+      return 10;
+    case 'straight':
+      return 8;
+    case 'uturn':
+      return 12;
+    case 'depart':
+      return 1;
+    case 'arrive':
+      return 4;
+    default:
+      return 0;
+  }
+}
+
 /** Cues worth prompting a rider about (skip depart/continue noise). */
 export function isTurnCue(cue: Pick<RouteCue, 'direction'>): boolean {
   return cue.direction === 'left' || cue.direction === 'right' || cue.direction === 'uturn';
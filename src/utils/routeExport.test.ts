@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { generateGPX, generateTCX } from './routeExport';
+import { generateGPX, generateMultiTrackGPX, generateTCX } from './routeExport';
 import type { RouteData } from './routeExport';
 
 const COORDS_3D: [number, number, number][] = [
@@ -39,6 +39,26 @@ describe('generateGPX', () => {
   });
 });
 
+describe('generateMultiTrackGPX', () => {
+  it('writes one numbered track per stage and hoists waypoints to the top', () => {
+    const gpx = generateMultiTrackGPX('Tour', [
+      {
+        ...baseRoute(COORDS_3D.slice(0, 2)),
+        name: 'Tour – Day 1',
+        waypoints: [{ lng: -105.28, lat: 40.02, name: 'Camp & lake', type: 'poi' }],
+      },
+      { ...baseRoute(COORDS_3D.slice(1)), name: 'Tour – Day 2' },
+    ]);
+    expect(gpx.match(/<trk>/g)?.length).toBe(2);
+    expect(gpx).toContain('<number>1</number>');
+    expect(gpx).toContain('<number>2</number>');
+    expect(gpx).toContain('<name>Tour – Day 2</name>');
+    expect(gpx).toContain('<name>Camp &amp; lake</name>');
+    expect(gpx.indexOf('<wpt ')).toBeLessThan(gpx.indexOf('<trk>'));
+    expect(gpx.match(/<trkpt /g)?.length).toBe(4);
+  });
+});
+
 describe('generateTCX', () => {
   it('writes AltitudeMeters for [lng, lat, ele] coordinates', () => {
     const tcx = generateTCX(baseRoute(COORDS_3D));
@@ -44,6 +44,12 @@ export interface RouteData {
   elevationLossM?: number;
   routeType?: 'loop' | 'out_back' | 'point_to_point';
   surfaceType?: 'paved' | 'gravel' | 'mixed';
+  /**
+   * Planned elapsed seconds per coordinate (from a pacing plan). FIT record
+   * timestamps follow it so a head unit's virtual partner rides the plan;
+   * without it a flat 20 km/h is assumed.
+   */
+  elapsedSeconds?: number[];
 }
 
 export interface RouteExportOptions {
@@ -200,6 +206,71 @@ export function generateGPX(route: RouteData, options: RouteExportOptions = { fo
   return lines.join('\n');
 }
 
+/**
+ * Generate one GPX holding several tracks — a multi-day trip with one <trk>
+ * per stage, so apps that understand tracks show each day separately while
+ * the file still travels as a single download. Every track's waypoints
+ * (overnight stops, etc.) are written once at the top level.
+ */
+export function generateMultiTrackGPX(
+  name: string,
+  tracks: RouteData[],
+  options: RouteExportOptions = { format: 'gpx' },
+): string {
+  const lines: string[] = [];
+  const author = options.author || 'Tribos Studio';
+  const includeElevation = options.includeElevation !== false;
+  const includeWaypoints = options.includeWaypoints !== false;
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('<gpx version="1.1" creator="' + escapeXml(author) + '"');
+  lines.push('  xmlns="http://www.topografix.com/GPX/1/1"');
+  lines.push('  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"');
+  lines.push('  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">');
+  lines.push('  <metadata>');
+  lines.push(`    <name>${escapeXml(name)}</name>`);
+  lines.push(`    <time>${new Date().toISOString()}</time>`);
+  lines.push('    <author>');
+  lines.push(`      <name>${escapeXml(author)}</name>`);
+  lines.push('    </author>');
+  lines.push('  </metadata>');
+
+  if (includeWaypoints) {
+    for (const track of tracks) {
+      for (const wp of track.waypoints ?? []) {
+        lines.push(`  <wpt lat="${formatCoordinate(wp.lat)}" lon="${formatCoordinate(wp.lng)}">`);
+        if (wp.name) lines.push(`    <name>${escapeXml(wp.name)}</name>`);
+        if (wp.description) lines.push(`    <desc>${escapeXml(wp.description)}</desc>`);
+        if (wp.type) lines.push(`    <type>${escapeXml(wp.type)}</type>`);
+        lines.push('  </wpt>');
+      }
+    }
+  }
+
+  tracks.forEach((track, i) => {
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXml(track.name)}</name>`);
+    if (track.description) {
+      lines.push(`    <desc>${escapeXml(track.description)}</desc>`);
+    }
+    lines.push(`    <number>${i + 1}</number>`);
+    lines.push('    <trkseg>');
+    for (const coord of track.coordinates) {
+      const [lng, lat, ele] = coord.length === 3 ? coord : [coord[0], coord[1], undefined];
+      lines.push(`      <trkpt lat="${formatCoordinate(lat)}" lon="${formatCoordinate(lng)}">`);
+      if (includeElevation) {
+        lines.push(`        <ele>${formatElevation(ele as number | undefined)}</ele>`);
+      }
+      lines.push('      </trkpt>');
+    }
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+  });
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+}
+
 // ============================================================
 // TCX COURSE EXPORT (GARMIN FORMAT)
 // ============================================================
@@ -481,6 +552,17 @@ export function downloadRoute(result: RouteExportResult): void {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Download a multi-track GPX (see generateMultiTrackGPX).
+ */
+export function downloadMultiTrackGPX(name: string, tracks: RouteData[]): void {
+  downloadRoute({
+    content: generateMultiTrackGPX(name, tracks),
+    filename: `${cleanFilename(name)}.gpx`,
+    mimeType: 'application/gpx+xml',
+  });
+}
+
 /**
  * Quick export and download a route
  */
@@ -495,9 +577,11 @@ export function exportAndDownloadRoute(route: RouteData, format: 'gpx' | 'tcx' |
 
 export default {
   generateGPX,
+  generateMultiTrackGPX,
   generateTCX,
   generateFIT,
   exportRoute,
   downloadRoute,
-  exportAndDownloadRoute
+  exportAndDownloadRoute,
+  downloadMultiTrackGPX
 };
@@ -0,0 +1,528 @@
+/**
+ * Route Feature Resolver
+ *
+ * Turns the free-text target of an "avoid" / "detour" route edit ("Highway
+ * 7", "Central Park", "a café") into real map geometry near the route:
+ *
+ *   - road  — named or numbered ways from OpenStreetMap (lines)
+ *   - area  — parks, forests, towns and other named polygons / place nodes
+ *   - poi   — a routePOIService category (water, food, bike_shop, …)
+ *
+ * The edit engine (aiRouteEditService.js) then re-plans with the feature as
+ * a hard exclusion (featureExclusions → the router's exclude polygons /
+ * no-go points) or a required via-point (featureViaPoint), and checks the
+ * result with routeOverlapKm so an avoid the roads couldn't honour is
+ * reported instead of silently claimed.
+ *
+ * Overpass access goes through routePOIService's server fallback + rate
+ * limiter. Everything except resolveRouteFeature is pure.
+ */
+
+import { fetchFromOverpass, queryPOIsAlongRoute, POI_CATEGORIES } from './routePOIService.js';
+
+// ── Tuning ──────────────────────────────────────────────────────────────────
+
+/** Search this far around the route's bounding box for named features. */
+const SEARCH_BUFFER_KM = 2;
+
+/** A route point this close to a road line is riding on it. */
+const ROAD_MATCH_M = 25;
+
+/** A route point this close to a POI passes it. */
+const POI_MATCH_M = 100;
+
+/** Place nodes (towns without a mapped boundary) become circles this big. */
+const PLACE_RADIUS_M = {
+  city: 4000,
+  town: 2000,
+  village: 800,
+  suburb: 1000,
+  hamlet: 400,
+  neighbourhood: 500,
+  quarter: 600,
+};
+const DEFAULT_PLACE_RADIUS_M = 500;
+
+/** Valhalla exclude_locations / BRouter no-gos are per point — cap the count. */
+const MAX_EXCLUSION_POINTS = 60;
+const EXCLUSION_POINT_SPACING_M = 150;
+
+const ROAD_WORDS = /\b(street|st|road|rd|avenue|ave|highway|hwy|freeway|motorway|route|rte|lane|ln|drive|dr|boulevard|blvd|parkway|pkwy|pike|way|trail|path|bridge)\b|^(i|us|sr|a|b|m|n|d)[\s-]?\d+/i;
+const AREA_WORDS = /\b(park|forest|woods?|reserve|preserve|downtown|centre|center|town|village|city|campus|lake|estate|common|green|heath|moor|neighbou?rhood|district)\b/i;
+
+/** Free-text POI words → routePOIService category. */
+const POI_WORDS = [
+  // (?![a-z]) rather than \b: "café" ends in a non-word character.
+  { category: 'food', pattern: /\b(caf[eé]s?|coffee|bakery|bakeries|lunch|food|snack|restaurant|pub|store)(?![a-z])/i },
+  { category: 'water', pattern: /\b(water|fountain|refill|tap)\b/i },
+  { category: 'bike_shop', pattern: /\b(bike shop|bicycle shop|repair|mechanic)\b/i },
+  { category: 'viewpoint', pattern: /\b(viewpoint|view|lookout|vista|summit|peak)\b/i },
+  { category: 'restroom', pattern: /\b(toilets?|restrooms?|bathrooms?|loo)\b/i },
+];
+
+/** Generic area words the rider may use without a name ("the park"). */
+const GENERIC_AREA_TAGS = {
+  park: '[leisure=park]',
+  forest: '[landuse=forest]',
+  woods: '[natural=wood]',
+  wood: '[natural=wood]',
+  lake: '[natural=water]',
+};
+
+const ABBREVIATIONS = [
+  ['street', 'st'],
+  ['road', 'rd'],
+  ['avenue', 'ave'],
+  ['highway', 'hwy'],
+  ['boulevard', 'blvd'],
+  ['drive', 'dr'],
+  ['lane', 'ln'],
+  ['parkway', 'pkwy'],
+  ['saint', 'st'],
+  ['mount', 'mt'],
+];
+
+const FILLER = /\s+(please|if (you )?can|if possible|on the way|instead|today|for me|too|as well)$/i;
+
+// ── Query parsing ───────────────────────────────────────────────────────────
+
+/**
+ * Guess what kind of feature a free-text target names.
+ *
+ * @param {string} text  e.g. "the highway 7", "central park", "a coffee stop"
+ * @returns {{ name: string, featureType: 'road'|'area'|'poi'|'place', poiCategory: string|null }}
+ */
+export function inferFeatureQuery(text) {
+  let name = String(text || '')
+    .trim()
+    .replace(/[.!?,;]+$/, '');
+  while (FILLER.test(name)) name = name.replace(FILLER, '');
+  name = name.replace(/^(the|a|an|some)\s+/i, '').trim();
+
+  const poi = POI_WORDS.find((p) => p.pattern.test(name));
+  if (poi && !ROAD_WORDS.test(name)) {
+    return { name, featureType: 'poi', poiCategory: poi.category };
+  }
+  if (ROAD_WORDS.test(name)) return { name, featureType: 'road', poiCategory: null };
+  if (AREA_WORDS.test(name)) return { name, featureType: 'area', poiCategory: null };
+  return { name, featureType: 'place', poiCategory: null };
+}
+
+function escapeRegex(s) {
+  return s.replace(/[\\^$.*+?()[\]{}|"]/g, '\\$&');
+}
+
+/**
+ * Case-insensitive Overpass regex for a name, tolerant of the usual
+ * abbreviations ("Main St" matches "Main Street").
+ */
+export function nameRegex(name) {
+  const words = name.toLowerCase().split(/\s+/).filter(Boolean);
+  const parts = words.map((w) => {
+    const bare = w.replace(/\.$/, '');
+    const pair = ABBREVIATIONS.find(([full, abbr]) => bare === full || bare === abbr);
+    return pair ? `(${pair[0]}|${pair[1]}\\.?)` : escapeRegex(bare);
+  });
+  return `^(the )?${parts.join(' ')}$`;
+}
+
+/** "Highway 7", "US-36", "A6" → the ref number/code OSM stores ("7", "36", "A6"). */
+function refFromName(name) {
+  const m = name.match(/^(?:highway|hwy|route|rte|state route|sr|us|i|interstate)[\s-]*(\d+[a-z]?)$/i);
+  if (m) return m[1];
+  const uk = name.match(/^([abmnd]\d+)$/i);
+  return uk ? uk[1].toUpperCase() : null;
+}
+
+/** Overpass bbox string (south,west,north,east) around the route. */
+export function searchBbox(coords, bufferKm = SEARCH_BUFFER_KM) {
+  let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
+  for (const [lon, lat] of coords) {
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+  }
+  const dLat = bufferKm / 111;
+  const dLon = bufferKm / (111 * Math.max(0.2, Math.cos(((minLat + maxLat) / 2) * Math.PI / 180)));
+  const r = (v) => v.toFixed(5);
+  return `${r(minLat - dLat)},${r(minLon - dLon)},${r(maxLat + dLat)},${r(maxLon + dLon)}`;
+}
+
+/**
+ * Overpass QL for a named road and/or area around the route. `place`
+ * queries both and lets the caller prefer whichever exists.
+ */
+export function buildFeatureQuery(name, featureType, bbox) {
+  const lines = [];
+  const generic = GENERIC_AREA_TAGS[name.toLowerCase()];
+  if (featureType === 'road' || featureType === 'place') {
+    const re = nameRegex(name);
+    lines.push(`way[highway][name~"${re}",i];`);
+    const ref = refFromName(name);
+    if (ref) lines.push(`way[highway][ref~"(^|[ ;-])${escapeRegex(ref)}($|;)",i];`);
+  }
+  if (featureType === 'area' || featureType === 'place') {
+    if (generic) {
+      lines.push(`way${generic};`, `relation${generic};`);
+    } else {
+      const re = nameRegex(name);
+      lines.push(
+        `way[name~"${re}",i][~"^(leisure|landuse|natural|boundary|tourism|amenity|place)$"~"."];`,
+        `relation[name~"${re}",i][~"^(leisure|landuse|natural|boundary|tourism|amenity|place)$"~"."];`,
+        `node[place][name~"${re}",i];`,
+      );
+    }
+  }
+  return `
+[out:json][timeout:25][bbox:${bbox}];
+(
+  ${lines.join('\n  ')}
+);
+out geom;
+`;
+}
+
+// ── Geometry helpers ────────────────────────────────────────────────────────
+
+function haversineM(a, b) {
+  const R = 6371000;
+  const dLat = (b[1] - a[1]) * Math.PI / 180;
+  const dLon = (b[0] - a[0]) * Math.PI / 180;
+  const lat1 = a[1] * Math.PI / 180;
+  const lat2 = b[1] * Math.PI / 180;
+  const x = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(x), Math.sqrt(1 - x));
+}
+
+/** Distance (m) from p to segment a–b, on a local equirectangular plane. */
+function pointSegmentM(p, a, b) {
+  const k = Math.cos(p[1] * Math.PI / 180) * 111320;
+  const ax = (a[0] - p[0]) * k, ay = (a[1] - p[1]) * 110540;
+  const bx = (b[0] - p[0]) * k, by = (b[1] - p[1]) * 110540;
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / len2)) : 0;
+  const x = ax + t * dx, y = ay + t * dy;
+  return Math.sqrt(x * x + y * y);
+}
+
+function pointInRing(p, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > p[1]) !== (yj > p[1]) && p[0] < ((xj - xi) * (p[1] - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function circleRing(center, radiusM, steps = 16) {
+  const ring = [];
+  const dLat = radiusM / 110540;
+  const dLon = radiusM / (111320 * Math.cos(center[1] * Math.PI / 180));
+  for (let i = 0; i < steps; i++) {
+    const a = (2 * Math.PI * i) / steps;
+    ring.push([center[0] + dLon * Math.cos(a), center[1] + dLat * Math.sin(a)]);
+  }
+  ring.push(ring[0]);
+  return ring;
+}
+
+function boundsRing(b) {
+  return [
+    [b.minlon, b.minlat],
+    [b.maxlon, b.minlat],
+    [b.maxlon, b.maxlat],
+    [b.minlon, b.maxlat],
+    [b.minlon, b.minlat],
+  ];
+}
+
+/** Is route point `p` on the feature (inside an area, on a road, at a POI)? */
+function touches(p, feature) {
+  if (feature.polygons) {
+    if (feature.polygons.some((ring) => pointInRing(p, ring))) return true;
+  }
+  if (feature.lines) {
+    for (const line of feature.lines) {
+      for (let i = 1; i < line.length; i++) {
+        if (pointSegmentM(p, line[i - 1], line[i]) <= ROAD_MATCH_M) return true;
+      }
+    }
+  }
+  if (feature.point && haversineM(p, feature.point) <= POI_MATCH_M) return true;
+  return false;
+}
+
+/** Smallest distance (m) from any route point to the feature. */
+function distanceToRouteM(feature, coords) {
+  const probes = [
+    ...(feature.point ? [feature.point] : []),
+    ...(feature.lines ?? []).flat(),
+    ...(feature.polygons ?? []).flat(),
+  ];
+  const step = Math.max(1, Math.floor(coords.length / 300));
+  let best = Infinity;
+  for (const probe of probes) {
+    for (let i = 0; i < coords.length; i += step) {
+      const d = haversineM(probe, coords[i]);
+      if (d < best) best = d;
+    }
+  }
+  return best;
+}
+
+// ── Overpass → features ─────────────────────────────────────────────────────
+
+function elementCategory(tags = {}) {
+  if (tags.highway) return 'road';
+  if (tags.place) return tags.place;
+  if (tags.leisure) return tags.leisure.replace(/_/g, ' ');
+  if (tags.landuse) return tags.landuse.replace(/_/g, ' ');
+  if (tags.natural) return tags.natural.replace(/_/g, ' ');
+  if (tags.boundary) return 'boundary';
+  return 'area';
+}
+
+/**
+ * Group Overpass elements into features: road ways sharing a name become one
+ * road; each closed way / relation / place node becomes one area.
+ */
+export function featuresFromOverpass(data) {
+  const roads = new Map();
+  const areas = [];
+  for (const el of data?.elements ?? []) {
+    const tags = el.tags ?? {};
+    const name = tags.name || tags.ref || null;
+    if (el.type === 'way' && Array.isArray(el.geometry) && el.geometry.length >= 2) {
+      const line = el.geometry.map((g) => [g.lon, g.lat]);
+      if (tags.highway) {
+        const key = (tags.name || tags.ref || `way-${el.id}`).toLowerCase();
+        const road = roads.get(key) ?? { kind: 'road', name, category: 'road', lines: [] };
+        road.lines.push(line);
+        roads.set(key, road);
+        continue;
+      }
+      const first = line[0];
+      const last = line[line.length - 1];
+      const closed = line.length >= 4 && first[0] === last[0] && first[1] === last[1];
+      areas.push(
+        closed
+          ? { kind: 'area', name, category: elementCategory(tags), polygons: [line] }
+          : { kind: 'area', name, category: elementCategory(tags), lines: [line] },
+      );
+    } else if (el.type === 'relation' && el.bounds) {
+      // Multipolygon rings would need stitching from member ways; the
+      // relation's bounds are a close-enough exclusion for parks and towns.
+      areas.push({ kind: 'area', name, category: elementCategory(tags), polygons: [boundsRing(el.bounds)] });
+    } else if (el.type === 'node' && el.lat != null && el.lon != null && tags.place) {
+      const center = [el.lon, el.lat];
+      areas.push({
+        kind: 'area',
+        name,
+        category: tags.place,
+        point: center,
+        polygons: [circleRing(center, PLACE_RADIUS_M[tags.place] ?? DEFAULT_PLACE_RADIUS_M)],
+      });
+    }
+  }
+  return [...roads.values(), ...areas];
+}
+
+/**
+ * Pick the feature the rider most likely meant: the preferred kind first,
+ * then whichever sits closest to the route.
+ */
+export function pickFeature(features, coords, preferKind = null) {
+  if (features.length === 0) return null;
+  const ranked = features
+    .map((f) => ({ f, d: distanceToRouteM(f, coords), preferred: preferKind && f.kind === preferKind ? 0 : 1 }))
+    .sort((a, b) => a.preferred - b.preferred || a.d - b.d);
+  return ranked[0].f;
+}
+
+// ── Using a resolved feature ────────────────────────────────────────────────
+
+/** km of the route that is on the feature (inside / on it / at it). */
+export function routeOverlapKm(coords, feature) {
+  let m = 0;
+  for (let i = 1; i < coords.length; i++) {
+    const mid = [(coords[i - 1][0] + coords[i][0]) / 2, (coords[i - 1][1] + coords[i][1]) / 2];
+    if (touches(mid, feature)) m += haversineM(coords[i - 1], coords[i]);
+  }
+  return Math.round(m / 100) / 10;
+}
+
+/** First and last route indices on the feature, or null when it's untouched. */
+export function featureTouchRange(coords, feature) {
+  let first = -1;
+  let last = -1;
+  for (let i = 0; i < coords.length; i++) {
+    if (touches(coords[i], feature)) {
+      if (first < 0) first = i;
+      last = i;
+    }
+  }
+  return first < 0 ? null : { first, last };
+}
+
+/** Points every `spacingM` along a polyline, interpolating long segments. */
+function sampleLine(line, spacingM) {
+  const out = [line[0]];
+  let carried = 0;
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1];
+    const b = line[i];
+    const segM = haversineM(a, b);
+    let at = spacingM - carried;
+    while (at <= segM) {
+      const t = at / segM;
+      out.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+      at += spacingM;
+    }
+    carried = segM - (at - spacingM);
+  }
+  return out;
+}
+
+/**
+ * Router exclusions for a feature: polygons for areas, per-point no-gos
+ * along roads (only the stretch near the route — a 200 km highway needn't
+ * be fenced end to end).
+ *
+ * @returns {{ polygons: Array<Array<[number, number]>>, points: Array<[number, number]> }}
+ */
+export function featureExclusions(feature, coords = null) {
+  const polygons = feature.polygons ? feature.polygons.map((r) => r.map((c) => [c[0], c[1]])) : [];
+  let points = [];
+  if (feature.lines) {
+    for (const line of feature.lines) points.push(...sampleLine(line, EXCLUSION_POINT_SPACING_M));
+    if (coords && coords.length > 1) {
+      const near = points.filter((p) => distanceToRouteM({ point: p }, coords) < 3000);
+      if (near.length > 0) points = near;
+    }
+    if (points.length > MAX_EXCLUSION_POINTS) {
+      const stride = points.length / MAX_EXCLUSION_POINTS;
+      points = Array.from({ length: MAX_EXCLUSION_POINTS }, (_, i) => points[Math.floor(i * stride)]);
+    }
+  } else if (feature.kind === 'poi' && feature.point) {
+    polygons.push(circleRing(feature.point, POI_MATCH_M));
+  }
+  return { polygons, points };
+}
+
+/**
+ * Where a detour should pass: the POI itself, the road vertex nearest the
+ * route, or an area's centre (its nearest edge when the centre falls
+ * outside it, e.g. a crescent-shaped park).
+ */
+export function featureViaPoint(feature, coords) {
+  if (feature.point && feature.kind !== 'area') return feature.point;
+  const nearestTo = (candidates) => {
+    let best = null;
+    let bestD = Infinity;
+    for (const c of candidates) {
+      const d = distanceToRouteM({ point: c }, coords);
+      if (d < bestD) {
+        bestD = d;
+        best = c;
+      }
+    }
+    return best;
+  };
+  if (feature.lines && !feature.polygons) return nearestTo(feature.lines.flat());
+  if (feature.point) return feature.point;
+  const ring = feature.polygons?.[0];
+  if (!ring) return null;
+  const n = ring.length - 1;
+  const centroid = [
+    ring.slice(0, n).reduce((s, c) => s + c[0], 0) / n,
+    ring.slice(0, n).reduce((s, c) => s + c[1], 0) / n,
+  ];
+  return pointInRing(centroid, ring) ? centroid : nearestTo(ring);
+}
+
+/** How an unnamed POI reads in a sentence ("the nearest water stop"). */
+const UNNAMED_POI_NOUN = {
+  water: 'water stop',
+  food: 'café / food stop',
+  bike_shop: 'bike shop',
+  viewpoint: 'viewpoint',
+  restroom: 'restroom',
+};
+
+/** "Highway 7 (road)", "Central Park (park)", "the nearest water stop". */
+export function describeFeature(feature) {
+  if (feature.name) return `${feature.name} (${feature.category.replace(/_/g, ' ')})`;
+  if (feature.kind === 'poi') {
+    return `the nearest ${UNNAMED_POI_NOUN[feature.category] ?? feature.category.replace(/_/g, ' ')}`;
+  }
+  return `the ${feature.category}`;
+}
+
+/** Plain summary for chat/review UI — no geometry. */
+export function summarizeFeature(feature) {
+  return {
+    kind: feature.kind,
+    name: feature.name || null,
+    category: feature.category,
+    label: describeFeature(feature),
+  };
+}
+
+// ── Resolution ──────────────────────────────────────────────────────────────
+
+/**
+ * Resolve an avoid/detour target to a feature near the route.
+ *
+ * @param {Object} target
+ * @param {string} [target.location]     Free text ("Highway 7", "a café")
+ * @param {string} [target.featureType]  'road' | 'area' | 'poi' | 'place' (coach hint)
+ * @param {string} [target.poiCategory]  routePOIService category for poi targets
+ * @param {Array<[number, number]>} coords  Current route
+ * @param {'avoid'|'detour'} intent
+ * @returns {Promise<Object|null>} feature, or null when nothing matched
+ */
+export async function resolveRouteFeature(target, coords, intent = 'avoid') {
+  if (!coords || coords.length < 2) return null;
+  const inferred = inferFeatureQuery(target.location || '');
+  const featureType = target.featureType || inferred.featureType;
+  const poiCategory = target.poiCategory || inferred.poiCategory;
+
+  // POI types only make sense as somewhere to go; an avoid names a place.
+  if (poiCategory && POI_CATEGORIES[poiCategory] && (featureType === 'poi' || !inferred.name) && intent === 'detour') {
+    const pois = await queryPOIsAlongRoute(coords, [poiCategory], 1.0);
+    const named = inferred.name && !POI_WORDS.some((p) => p.pattern.test(inferred.name))
+      ? pois.filter((p) => p.name?.toLowerCase().includes(inferred.name.toLowerCase()))
+      : pois;
+    const candidates = named.length > 0 ? named : pois;
+    if (candidates.length === 0) return null;
+    const best = candidates.reduce((a, b) => (b.offRouteDistanceM < a.offRouteDistanceM ? b : a));
+    return {
+      kind: 'poi',
+      name: best.name && best.name !== POI_CATEGORIES[poiCategory].label ? best.name : null,
+      category: poiCategory,
+      point: [best.lon, best.lat],
+    };
+  }
+
+  if (!inferred.name) return null;
+  const queryType = featureType === 'poi' ? 'place' : featureType;
+  const data = await fetchFromOverpass(buildFeatureQuery(inferred.name, queryType, searchBbox(coords)));
+  const features = featuresFromOverpass(data);
+  return pickFeature(features, coords, queryType === 'road' ? 'road' : queryType === 'area' ? 'area' : null);
+}
+
+export default {
+  inferFeatureQuery,
+  resolveRouteFeature,
+  routeOverlapKm,
+  featureTouchRange,
+  featureExclusions,
+  featureViaPoint,
+  describeFeature,
+  summarizeFeature,
+};
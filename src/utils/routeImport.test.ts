@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import { generateFIT, generateGPX, generateTCX } from './routeExport';
+import type { RouteData } from './routeExport';
+import {
+  controlPointsFromImport,
+  detectRouteFormat,
+  importRouteFile,
+  parseFITCourse,
+  parseGPXRoute,
+  parseTCXCourse,
+} from './routeImport';
+import type { RouteCue } from './routeCues';
+
+const COORDS_3D: [number, number, number][] = [
+  [-105.2705, 40.015, 1655.2],
+  [-105.275, 40.0175, 1664.0],
+  [-105.28, 40.02, 1672.8],
+  [-105.285, 40.0225, 1681.4],
+  [-105.29, 40.025, 1690.1],
+];
+
+const CUES: RouteCue[] = [
+  {
+    type: 15,
+    direction: 'left',
+    instruction: 'Turn left onto Oak Ave.',
+    streetNames: ['Oak Ave'],
+    distance_km: 0.5,
+    coordinate: [-105.275, 40.0175],
+  },
+  {
+    type: 10,
+    direction: 'right',
+    instruction: 'Turn right onto Pine Rd.',
+    streetNames: ['Pine Rd'],
+    distance_km: 1.4,
+    coordinate: [-105.285, 40.0225],
+  },
+  {
+    type: 4,
+    direction: 'arrive',
+    instruction: 'You have arrived at your destination.',
+    streetNames: [],
+    distance_km: 1.9,
+    coordinate: [-105.29, 40.025],
+  },
+];
+
+const ROUTE: RouteData = {
+  name: 'Flagstaff',
+  description: 'Up the canyon',
+  coordinates: COORDS_3D,
+  cues: CUES,
+  waypoints: [
+    { lng: -105.2705, lat: 40.015, type: 'start' },
+    { lng: -105.28, lat: 40.02, type: 'waypoint' },
+    { lng: -105.29, lat: 40.025, type: 'end' },
+  ],
+};
+
+/** `eleToleranceM` covers FIT's 0.2 m altitude resolution. */
+function expectSameGeometry(actual: number[][], expected: number[][], eleToleranceM = 0.05) {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((c, i) => {
+    expect(c[0]).toBeCloseTo(expected[i][0], 6);
+    expect(c[1]).toBeCloseTo(expected[i][1], 6);
+    expect(Math.abs(c[2] - expected[i][2])).toBeLessThanOrEqual(eleToleranceM + 1e-9);
+  });
+}
+
+describe('parseGPXRoute', () => {
+  it('round-trips geometry, elevation and control points from our own export', () => {
+    const route = parseGPXRoute(generateGPX(ROUTE));
+    expect(route.format).toBe('gpx');
+    expect(route.name).toBe('Flagstaff');
+    expect(route.description).toBe('Up the canyon');
+    expect(route.hasElevation).toBe(true);
+    // <rte> and <trk> carry the same points — reading both would double it.
+    expectSameGeometry(route.coordinates, COORDS_3D);
+    expect(controlPointsFromImport(route)).toEqual([
+      [-105.2705, 40.015],
+      [-105.28, 40.02],
+      [-105.29, 40.025],
+    ]);
+    expect(route.elevationGainM).toBeGreaterThan(30);
+  });
+
+  it('falls back to <rte> points when the file has no track', () => {
+    const gpx =
+      '<?xml version="1.0"?><gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">' +
+      '<rte><name>Club Route</name>' +
+      '<rtept lat="40.0" lon="-105.0"/><rtept lat="40.01" lon="-105.01"/><rtept lat="40.02" lon="-105.02"/>' +
+      '</rte></gpx>';
+    const route = parseGPXRoute(gpx);
+    expect(route.name).toBe('Club Route');
+    expect(route.hasElevation).toBe(false);
+    expect(route.coordinates).toEqual([
+      [-105.0, 40.0],
+      [-105.01, 40.01],
+      [-105.02, 40.02],
+    ]);
+    expect(route.cues).toBeNull();
+  });
+
+  it('treats off-track waypoints as POIs, not control points', () => {
+    const gpx =
+      '<?xml version="1.0"?><gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">' +
+      '<wpt lat="40.5" lon="-105.5"><name>Cafe</name></wpt>' +
+      '<trk><trkseg><trkpt lat="40.0" lon="-105.0"/><trkpt lat="40.01" lon="-105.01"/></trkseg></trk></gpx>';
+    const route = parseGPXRoute(gpx, 'club-ride.gpx');
+    expect(route.name).toBe('club-ride');
+    expect(route.waypoints).toEqual([{ lat: 40.5, lng: -105.5, name: 'Cafe', description: undefined, type: 'poi' }]);
+    expect(controlPointsFromImport(route)).toBeNull();
+  });
+
+  it('rejects files with fewer than two points', () => {
+    const gpx = '<gpx><trk><trkseg><trkpt lat="40" lon="-105"/></trkseg></trk></gpx>';
+    expect(() => parseGPXRoute(gpx)).toThrow(/too few track points/);
+  });
+});
+
+describe('parseTCXCourse', () => {
+  it('round-trips geometry and turn cues from our own export', () => {
+    const route = parseTCXCourse(generateTCX(ROUTE));
+    expect(route.format).toBe('tcx');
+    expectSameGeometry(route.coordinates, COORDS_3D);
+    expect(route.cues).toHaveLength(3);
+    route.cues!.forEach((cue, i) => {
+      expect(cue.direction).toBe(CUES[i].direction);
+      expect(cue.type).toBe(CUES[i].type);
+      expect(cue.instruction).toBe(CUES[i].instruction);
+      expect(cue.coordinate[0]).toBeCloseTo(CUES[i].coordinate[0], 6);
+      expect(cue.coordinate[1]).toBeCloseTo(CUES[i].coordinate[1], 6);
+    });
+    // Cue distances are measured along the imported track, in order.
+    expect(route.cues![0].distance_km).toBeLessThan(route.cues![1].distance_km);
+    expect(route.cues![2].distance_km).toBeCloseTo(route.distanceKm, 6);
+  });
+
+  it('keeps non-turn course points as waypoints', () => {
+    const tcx = `<?xml version="1.0"?>
+      <TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+        <Courses><Course><Name>Gran Fondo</Name><Track>
+          <Trackpoint><Position><LatitudeDegrees>40</LatitudeDegrees><LongitudeDegrees>-105</LongitudeDegrees></Position><AltitudeMeters>1600</AltitudeMeters></Trackpoint>
+          <Trackpoint><Position><LatitudeDegrees>40.01</LatitudeDegrees><LongitudeDegrees>-105.01</LongitudeDegrees></Position><AltitudeMeters>1650</AltitudeMeters></Trackpoint>
+        </Track>
+        <CoursePoint><Name>KOM</Name><Position><LatitudeDegrees>40.01</LatitudeDegrees><LongitudeDegrees>-105.01</LongitudeDegrees></Position><PointType>Summit</PointType></CoursePoint>
+        <CoursePoint><Name>Hazard</Name><Position><LatitudeDegrees>40.005</LatitudeDegrees><LongitudeDegrees>-105.005</LongitudeDegrees></Position><PointType>Danger</PointType><Notes>Cattle grid</Notes></CoursePoint>
+        </Course></Courses>
+      </TrainingCenterDatabase>`;
+    const route = parseTCXCourse(tcx);
+    expect(route.name).toBe('Gran Fondo');
+    expect(route.cues).toBeNull();
+    expect(route.waypoints.map((w) => [w.name, w.type, w.description])).toEqual([
+      ['KOM', 'poi', undefined],
+      ['Hazard', 'poi', 'Cattle grid'],
+    ]);
+    expect(route.elevationGainM).toBe(50);
+  });
+});
+
+describe('parseFITCourse', () => {
+  it('round-trips geometry and turn cues from our own export', () => {
+    const route = parseFITCourse(generateFIT(ROUTE));
+    expect(route.format).toBe('fit');
+    expect(route.name).toBe('Flagstaff');
+    expectSameGeometry(route.coordinates, COORDS_3D, 0.2);
+    expect(route.cues!.map((c) => c.direction)).toEqual(['left', 'right', 'arrive']);
+    route.cues!.forEach((cue, i) => {
+      expect(cue.coordinate[0]).toBeCloseTo(CUES[i].coordinate[0], 6);
+      expect(cue.coordinate[1]).toBeCloseTo(CUES[i].coordinate[1], 6);
+    });
+    // FIT course points carry only a 16-char name, which becomes the instruction.
+    expect(route.cues![0].instruction).toBe('Left Oak Ave');
+  });
+
+  it('rejects bytes without a FIT header', () => {
+    expect(() => parseFITCourse(new Uint8Array(32))).toThrow(/Not a valid FIT file/);
+  });
+});
+
+describe('detectRouteFormat', () => {
+  it('uses the extension, then sniffs the content', () => {
+    expect(detectRouteFormat('ride.GPX')).toBe('gpx');
+    expect(detectRouteFormat('course.tcx')).toBe('tcx');
+    expect(detectRouteFormat('download', generateFIT(ROUTE))).toBe('fit');
+    expect(detectRouteFormat('download', new TextEncoder().encode('<?xml version="1.0"?><gpx version="1.1">'))).toBe(
+      'gpx',
+    );
+    expect(detectRouteFormat('notes.txt', new TextEncoder().encode('hello'))).toBeNull();
+  });
+});
+
+describe('importRouteFile', () => {
+  it('reads a File and dispatches on its format', async () => {
+    const file = new File([generateTCX(ROUTE)], 'flagstaff.tcx', { type: 'application/vnd.garmin.tcx+xml' });
+    const route = await importRouteFile(file);
+    expect(route.format).toBe('tcx');
+    expect(route.coordinates).toHaveLength(COORDS_3D.length);
+  });
+
+  it('rejects unsupported files', async () => {
+    const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+    await expect(importRouteFile(file)).rejects.toThrow(/Unsupported file type/);
+  });
+});
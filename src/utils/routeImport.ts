@@ -0,0 +1,501 @@
+/**
+ * Route Import Utility
+ * The inverse of routeExport: reads course files from bike computers, clubs
+ * and race organisers back into editable route data:
+ * - GPX (GPS Exchange Format) - <trk> track points, falling back to <rte>
+ * - TCX (Training Center XML) - Garmin <Course> track plus CoursePoint cues
+ * - FIT (Flexible and Interoperable Data Transfer) - course records plus
+ *   course_point cues
+ *
+ * Unlike gpxParser/fitParser (which read *activities* — time, HR, power),
+ * this reads *routes*: geometry with elevation, turn cues and named marks.
+ * Round-tripping a file written by routeExport yields the same geometry and
+ * the same turn cues (direction, position, and the TCX instruction text).
+ */
+
+import { Decoder, Stream } from '@garmin/fitsdk';
+import { haversineMeters, M_TO_KM } from './distanceUnits';
+import { calculateElevationStats } from './elevation.js';
+import { directionToValhallaType, type RouteCue } from './routeCues';
+import type { RouteData, RouteWaypoint } from './routeExport';
+
+// ============================================================
+// TYPES
+// ============================================================
+
+export type RouteImportFormat = 'gpx' | 'tcx' | 'fit';
+
+export interface ImportedRoute extends RouteData {
+  format: RouteImportFormat;
+  /** [lng, lat, ele] when the file carries elevation, [lng, lat] otherwise. */
+  coordinates: [number, number][] | [number, number, number][];
+  waypoints: RouteWaypoint[];
+  cues: RouteCue[] | null;
+  hasElevation: boolean;
+  distanceKm: number;
+  elevationGainM: number;
+  elevationLossM: number;
+}
+
+interface RawPoint {
+  lng: number;
+  lat: number;
+  ele: number | null;
+}
+
+interface RawMark {
+  lng: number;
+  lat: number;
+  name: string;
+  /** Normalised point type, lower-case ('left', 'generic', 'summit', …). */
+  pointType: string;
+  notes?: string;
+}
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+/** FIT semicircle conversion factor */
+const DEGREES_PER_SEMICIRCLE = 180 / Math.pow(2, 31);
+
+/** A file waypoint farther than this from the track is a POI, not a control point. */
+const CONTROL_POINT_MAX_OFFSET_M = 50;
+
+const LEFT_POINT_TYPES = new Set(['left', 'slightleft', 'sharpleft', 'leftfork']);
+const RIGHT_POINT_TYPES = new Set(['right', 'slightright', 'sharpright', 'rightfork']);
+const STRAIGHT_POINT_TYPES = new Set(['straight', 'middlefork']);
+const UTURN_POINT_TYPES = new Set(['uturn', 'leftuturn', 'rightuturn']);
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isValidLatLng(lat: number, lng: number): boolean {
+  return isFiniteNumber(lat) && isFiniteNumber(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/** Child elements by local name, namespace-agnostic (GPX 1.0/1.1, TCX v2). */
+function elementsByName(parent: Document | Element, localName: string): Element[] {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+function childText(parent: Element, localName: string): string | null {
+  for (const child of Array.from(parent.children)) {
+    if (child.localName === localName) return child.textContent?.trim() ?? null;
+  }
+  return null;
+}
+
+function childNumber(parent: Element, localName: string): number | null {
+  const text = childText(parent, localName);
+  if (text == null || text === '') return null;
+  const n = parseFloat(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseXml(content: string, label: string): Document {
+  const doc = new DOMParser().parseFromString(content, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`Invalid ${label} file format`);
+  }
+  return doc;
+}
+
+/** Cumulative along-track distance in METERS at each point. */
+function cumulativeDistancesM(points: RawPoint[]): number[] {
+  const out = [0];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    out.push(out[i - 1] + haversineMeters(a.lat, a.lng, b.lat, b.lng));
+  }
+  return out;
+}
+
+/**
+ * Nearest track index to a mark, searching forward from `fromIdx` so cues
+ * on a loop (or an out-and-back) snap to the pass they belong to.
+ */
+function nearestIndexFrom(points: RawPoint[], lat: number, lng: number, fromIdx: number): { idx: number; distM: number } {
+  let idx = fromIdx;
+  let distM = Infinity;
+  for (let i = fromIdx; i < points.length; i++) {
+    const d = haversineMeters(lat, lng, points[i].lat, points[i].lng);
+    if (d < distM) {
+      distM = d;
+      idx = i;
+    }
+  }
+  return { idx, distM };
+}
+
+/** Label prefix routeExport writes for a cue (see routeCues.cueShortLabel). */
+function nameStartsWith(name: string, label: string): boolean {
+  return name.trim().toLowerCase().startsWith(label.toLowerCase());
+}
+
+/**
+ * Map a course-point type to a cue direction, or null when the point is a
+ * mark (summit, food, a generic named waypoint) rather than a turn prompt.
+ */
+function markDirection(mark: RawMark): RouteCue['direction'] | null {
+  const t = mark.pointType;
+  if (LEFT_POINT_TYPES.has(t)) return 'left';
+  if (RIGHT_POINT_TYPES.has(t)) return 'right';
+  if (STRAIGHT_POINT_TYPES.has(t)) return 'straight';
+  if (UTURN_POINT_TYPES.has(t)) return 'uturn';
+  // routeExport writes U-turns as TCX "Danger" (TCX has no U-turn type) and
+  // the arrive cue as a Generic point named "Finish".
+  if (t === 'danger' && nameStartsWith(mark.name, 'U-turn')) return 'uturn';
+  if (t === 'generic' && nameStartsWith(mark.name, 'Finish')) return 'arrive';
+  return null;
+}
+
+function markWaypointType(mark: RawMark): RouteWaypoint['type'] {
+  return mark.pointType === 'generic' ? 'waypoint' : 'poi';
+}
+
+// ============================================================
+// ASSEMBLY
+// ============================================================
+
+function buildImportedRoute(
+  format: RouteImportFormat,
+  name: string,
+  description: string | undefined,
+  points: RawPoint[],
+  marks: RawMark[],
+  fileWaypoints: RouteWaypoint[] = [],
+): ImportedRoute {
+  if (points.length < 2) {
+    throw new Error(`${format.toUpperCase()} file has too few track points to build a route.`);
+  }
+
+  const hasElevation = points.some((p) => p.ele != null);
+  const coordinates = hasElevation
+    ? points.map((p) => [p.lng, p.lat, p.ele ?? 0] as [number, number, number])
+    : points.map((p) => [p.lng, p.lat] as [number, number]);
+
+  const distancesM = cumulativeDistancesM(points);
+  const elevationStats = hasElevation
+    ? calculateElevationStats(points.map((p) => ({ elevation: p.ele ?? 0 })))
+    : { gain: 0, loss: 0 };
+
+  const cues: RouteCue[] = [];
+  const waypoints: RouteWaypoint[] = [...fileWaypoints];
+  let cursor = 0;
+  for (const mark of marks) {
+    const direction = markDirection(mark);
+    if (!direction) {
+      waypoints.push({
+        lat: mark.lat,
+        lng: mark.lng,
+        name: mark.name || undefined,
+        description: mark.notes || undefined,
+        type: markWaypointType(mark),
+      });
+      continue;
+    }
+    const { idx } = nearestIndexFrom(points, mark.lat, mark.lng, cursor);
+    cursor = idx;
+    cues.push({
+      type: directionToValhallaType(direction),
+      direction,
+      instruction: mark.notes || mark.name,
+      streetNames: [],
+      distance_km: M_TO_KM(distancesM[idx]),
+      coordinate: [mark.lng, mark.lat],
+    });
+  }
+
+  return {
+    format,
+    name,
+    description,
+    coordinates,
+    waypoints,
+    cues: cues.length > 0 ? cues : null,
+    hasElevation,
+    distanceKm: M_TO_KM(distancesM[distancesM.length - 1]),
+    elevationGainM: elevationStats.gain,
+    elevationLossM: elevationStats.loss,
+  };
+}
+
+// ============================================================
+// GPX IMPORT
+// ============================================================
+
+function gpxPoint(el: Element): RawPoint | null {
+  const lat = parseFloat(el.getAttribute('lat') ?? '');
+  const lng = parseFloat(el.getAttribute('lon') ?? '');
+  if (!isValidLatLng(lat, lng)) return null;
+  return { lat, lng, ele: childNumber(el, 'ele') };
+}
+
+/**
+ * Parse a GPX route. Uses the <trk> geometry when present (dense, what
+ * devices follow) and the <rte> otherwise; routeExport writes both with the
+ * same points, so reading both would double the route. <wpt> elements come
+ * back as waypoints carrying their <type> (start / end / waypoint / poi).
+ */
+export function parseGPXRoute(content: string, fileName = 'route.gpx'): ImportedRoute {
+  const doc = parseXml(content, 'GPX');
+  if (elementsByName(doc, 'gpx').length === 0) {
+    throw new Error('Invalid GPX file format');
+  }
+
+  let points = elementsByName(doc, 'trkpt').map(gpxPoint).filter((p): p is RawPoint => p !== null);
+  if (points.length < 2) {
+    points = elementsByName(doc, 'rtept').map(gpxPoint).filter((p): p is RawPoint => p !== null);
+  }
+
+  const metadata = elementsByName(doc, 'metadata')[0];
+  const trk = elementsByName(doc, 'trk')[0];
+  const rte = elementsByName(doc, 'rte')[0];
+  const name =
+    (metadata && childText(metadata, 'name')) ||
+    (trk && childText(trk, 'name')) ||
+    (rte && childText(rte, 'name')) ||
+    routeNameFromFile(fileName);
+  const description =
+    (metadata && childText(metadata, 'desc')) ||
+    (trk && childText(trk, 'desc')) ||
+    (rte && childText(rte, 'desc')) ||
+    undefined;
+
+  const waypoints: RouteWaypoint[] = [];
+  for (const el of elementsByName(doc, 'wpt')) {
+    const p = gpxPoint(el);
+    if (!p) continue;
+    const type = childText(el, 'type')?.toLowerCase();
+    waypoints.push({
+      lat: p.lat,
+      lng: p.lng,
+      name: childText(el, 'name') || undefined,
+      description: childText(el, 'desc') || undefined,
+      type: type === 'start' || type === 'end' || type === 'waypoint' ? type : 'poi',
+    });
+  }
+
+  return buildImportedRoute('gpx', name, description, points, [], waypoints);
+}
+
+// ============================================================
+// TCX COURSE IMPORT
+// ============================================================
+
+function tcxPosition(el: Element): { lat: number; lng: number } | null {
+  const position = Array.from(el.children).find((c) => c.localName === 'Position');
+  if (!position) return null;
+  const lat = childNumber(position, 'LatitudeDegrees');
+  const lng = childNumber(position, 'LongitudeDegrees');
+  if (lat == null || lng == null || !isValidLatLng(lat, lng)) return null;
+  return { lat, lng };
+}
+
+/**
+ * Parse a TCX course. Reads the first <Course> (or, for a TCX activity, the
+ * first <Activity>) track; <CoursePoint> turn types become cues and the rest
+ * (Summit, Water, Generic…) become waypoints.
+ */
+export function parseTCXCourse(content: string, fileName = 'route.tcx'): ImportedRoute {
+  const doc = parseXml(content, 'TCX');
+  if (elementsByName(doc, 'TrainingCenterDatabase').length === 0) {
+    throw new Error('Invalid TCX file format');
+  }
+
+  const container = elementsByName(doc, 'Course')[0] ?? elementsByName(doc, 'Activity')[0];
+  if (!container) {
+    throw new Error('TCX file has no course to import.');
+  }
+
+  const points: RawPoint[] = [];
+  for (const tp of elementsByName(container, 'Trackpoint')) {
+    const pos = tcxPosition(tp);
+    if (!pos) continue;
+    points.push({ ...pos, ele: childNumber(tp, 'AltitudeMeters') });
+  }
+
+  const marks: RawMark[] = [];
+  for (const cp of elementsByName(container, 'CoursePoint')) {
+    const pos = tcxPosition(cp);
+    if (!pos) continue;
+    marks.push({
+      ...pos,
+      name: childText(cp, 'Name') ?? '',
+      pointType: (childText(cp, 'PointType') ?? 'Generic').toLowerCase(),
+      notes: childText(cp, 'Notes') ?? undefined,
+    });
+  }
+
+  const name = childText(container, 'Name') || routeNameFromFile(fileName);
+  return buildImportedRoute('tcx', name, undefined, points, marks);
+}
+
+// ============================================================
+// FIT COURSE IMPORT (BINARY FORMAT)
+// ============================================================
+
+interface FitRecordMesg {
+  positionLat?: number;
+  positionLong?: number;
+  altitude?: number;
+  enhancedAltitude?: number;
+}
+
+interface FitCoursePointMesg {
+  positionLat?: number;
+  positionLong?: number;
+  name?: string;
+  type?: string | number;
+}
+
+/**
+ * Parse a FIT course (also accepts a FIT activity — the record positions
+ * are the route). course_point messages become cues or waypoints.
+ */
+export function parseFITCourse(bytes: Uint8Array, fileName = 'route.fit'): ImportedRoute {
+  const stream = Stream.fromBuffer(bytes);
+  const decoder = new Decoder(stream);
+  if (!decoder.isFIT()) {
+    throw new Error('Not a valid FIT file (header signature missing)');
+  }
+  const { messages } = decoder.read({
+    applyScaleAndOffset: true,
+    expandComponents: true,
+    convertTypesToStrings: true,
+    convertDateTimesToDates: true,
+  }) as unknown as {
+    messages: {
+      courseMesgs?: Array<{ name?: string }>;
+      recordMesgs?: FitRecordMesg[];
+      coursePointMesgs?: FitCoursePointMesg[];
+    };
+  };
+
+  const points: RawPoint[] = [];
+  for (const r of messages.recordMesgs ?? []) {
+    if (r.positionLat == null || r.positionLong == null) continue;
+    const lat = r.positionLat * DEGREES_PER_SEMICIRCLE;
+    const lng = r.positionLong * DEGREES_PER_SEMICIRCLE;
+    if (!isValidLatLng(lat, lng)) continue;
+    const ele = r.enhancedAltitude ?? r.altitude;
+    points.push({ lat, lng, ele: isFiniteNumber(ele) ? Math.round(ele * 10) / 10 : null });
+  }
+
+  const marks: RawMark[] = [];
+  for (const cp of messages.coursePointMesgs ?? []) {
+    if (cp.positionLat == null || cp.positionLong == null) continue;
+    const lat = cp.positionLat * DEGREES_PER_SEMICIRCLE;
+    const lng = cp.positionLong * DEGREES_PER_SEMICIRCLE;
+    if (!isValidLatLng(lat, lng)) continue;
+    marks.push({
+      lat,
+      lng,
+      name: cp.name ?? '',
+      pointType: typeof cp.type === 'string' ? cp.type.toLowerCase() : 'generic',
+    });
+  }
+
+  const name = messages.courseMesgs?.[0]?.name?.trim() || routeNameFromFile(fileName);
+  return buildImportedRoute('fit', name, undefined, points, marks);
+}
+
+// ============================================================
+// MAIN IMPORT FUNCTION
+// ============================================================
+
+function routeNameFromFile(fileName: string): string {
+  return fileName.replace(/\.(gpx|tcx|fit)$/i, '').trim() || 'Imported Route';
+}
+
+/**
+ * Detect the course format from the file name, falling back to sniffing the
+ * first bytes (".FIT" signature at offset 8, or the XML root element).
+ */
+export function detectRouteFormat(fileName: string, head?: Uint8Array): RouteImportFormat | null {
+  const ext = fileName.split('.').pop()?.toLowerCase();
+  if (ext === 'gpx' || ext === 'tcx' || ext === 'fit') return ext;
+  if (!head) return null;
+  if (head.length >= 12 && String.fromCharCode(...head.subarray(8, 12)) === '.FIT') return 'fit';
+  const text = new TextDecoder().decode(head.subarray(0, 512));
+  if (/<gpx[\s>]/i.test(text)) return 'gpx';
+  if (/<TrainingCenterDatabase[\s>]/.test(text)) return 'tcx';
+  return null;
+}
+
+async function readFileBytes(file: File): Promise<Uint8Array> {
+  // Blob.arrayBuffer() is missing on older Safari (and jsdom) — fall back to
+  // FileReader.
+  const buffer =
+    typeof file.arrayBuffer === 'function'
+      ? await file.arrayBuffer()
+      : await new Promise<ArrayBuffer>((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result as ArrayBuffer);
+          reader.onerror = () => reject(reader.error ?? new Error('File read failed'));
+          reader.readAsArrayBuffer(file);
+        });
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Read a GPX / TCX / FIT course file into route data.
+ * Throws with a user-presentable message when the file can't be used.
+ */
+export async function importRouteFile(file: File): Promise<ImportedRoute> {
+  const bytes = await readFileBytes(file);
+  const format = detectRouteFormat(file.name, bytes);
+  switch (format) {
+    case 'gpx':
+      return parseGPXRoute(new TextDecoder().decode(bytes), file.name);
+    case 'tcx':
+      return parseTCXCourse(new TextDecoder().decode(bytes), file.name);
+    case 'fit':
+      return parseFITCourse(bytes, file.name);
+    default:
+      throw new Error('Unsupported file type. Import a .gpx, .tcx or .fit course.');
+  }
+}
+
+/**
+ * Control points for an imported route: the file's own start / waypoint /
+ * end marks when they sit on the track and bracket it (what routeExport
+ * writes for a route built here), or null so the caller resamples the
+ * geometry instead. Off-track marks are POIs — routing through them would
+ * drag the route off its line.
+ */
+export function controlPointsFromImport(route: ImportedRoute): [number, number][] | null {
+  const points: RawPoint[] = route.coordinates.map((c) => ({ lng: c[0], lat: c[1], ele: null }));
+  const candidates = route.waypoints.filter((wp) => wp.type !== 'poi');
+  if (candidates.length < 2) return null;
+  for (const wp of candidates) {
+    if (nearestIndexFrom(points, wp.lat, wp.lng, 0).distM > CONTROL_POINT_MAX_OFFSET_M) return null;
+  }
+  const first = candidates[0];
+  const last = candidates[candidates.length - 1];
+  const start = points[0];
+  const end = points[points.length - 1];
+  if (haversineMeters(first.lat, first.lng, start.lat, start.lng) > CONTROL_POINT_MAX_OFFSET_M) return null;
+  if (haversineMeters(last.lat, last.lng, end.lat, end.lng) > CONTROL_POINT_MAX_OFFSET_M) return null;
+  return candidates.map((wp) => [wp.lng, wp.lat]);
+}
+
+// ============================================================
+// CONVENIENCE EXPORTS
+// ============================================================
+
+export default {
+  parseGPXRoute,
+  parseTCXCourse,
+  parseFITCourse,
+  detectRouteFormat,
+  importRouteFile,
+  controlPointsFromImport,
+};
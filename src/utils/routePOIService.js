@@ -192,9 +192,10 @@ out body;
 }
 
 /**
- * Fetch POIs from Overpass with server fallback.
+ * Run an Overpass query with server fallback and the shared rate limit.
+ * Exported for other Overpass consumers (routeFeatureResolver).
  */
-async function fetchFromOverpass(query) {
+export async function fetchFromOverpass(query) {
   // Rate limiting
   const now = Date.now();
   const timeSince = now - lastRequestTime;
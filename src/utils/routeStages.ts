@@ -0,0 +1,304 @@
+/**
+ * Route Stages
+ *
+ * Multi-day planning for bikepacking trips and tours: one route split into
+ * stages at overnight stops. Stops are distances along the route (km), so
+ * they survive re-renders and persist cheaply; each stage is then sliced out
+ * of the full geometry and elevation profile and gets its own distance,
+ * climbing, personalized ETA (personalizedETA.js), fuel plan
+ * (calculateFuelPlanFromRoute) and resupply gaps.
+ *
+ * All functions are pure; state, POI fetching and export live in
+ * src/hooks/route-builder/useRouteStages.ts.
+ */
+
+import { calculateCumulativeDistances, calculateElevationStats } from './elevation';
+import { calculatePersonalizedETA } from './personalizedETA';
+import { calculateFuelPlanFromRoute, type FuelPlan } from './fueling';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/** An overnight stop, `km` along the full route. */
+export interface StageStop {
+  km: number;
+  /** Rider's label ("Camp at Lake X"); exported as the GPX waypoint name. */
+  name?: string | null;
+}
+
+export type StageCoordinate = [number, number] | [number, number, number];
+
+export interface ProfilePoint {
+  distance_km: number;
+  elevation_m: number;
+}
+
+export interface RouteStage {
+  /** 0-based; "Day index + 1" in the UI. */
+  index: number;
+  startKm: number;
+  endKm: number;
+  distanceKm: number;
+  elevationGainM: number;
+  elevationLossM: number;
+  coordinates: StageCoordinate[];
+  /** Stage-local profile (distance from the stage start). */
+  profile: ProfilePoint[];
+  /** The stop this stage ends at; null on the final stage. */
+  overnight: StageStop | null;
+}
+
+export interface StagePlan extends RouteStage {
+  etaSeconds: number;
+  fuel: FuelPlan;
+}
+
+export interface StagePlanOptions {
+  speedProfile?: object | null;
+  routeProfile?: string;
+  surfaceDistribution?: Record<string, number>;
+  userWeightKg?: number;
+}
+
+/** Minimal POI shape from routePOIService.queryPOIsAlongRoute. */
+export interface ResupplyPoi {
+  category: string;
+  routeDistanceKm: number;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** A typical loaded touring day — seeds the suggested number of days. */
+export const DEFAULT_DAILY_KM = 100;
+
+/** Climbing counts as extra distance when balancing days: 100 m ≈ 1 km. */
+const CLIMB_KM_PER_M = 1 / 100;
+
+/** Stops closer than this to each other or to either end are merged away. */
+const MIN_STAGE_KM = 1;
+
+export const MAX_STAGES = 30;
+
+// ============================================================================
+// STOPS
+// ============================================================================
+
+/** Sorted, de-duplicated stops strictly inside the route (MIN_STAGE_KM apart). */
+export function normalizeStops(stops: StageStop[], totalKm: number): StageStop[] {
+  const sorted = stops
+    .filter((s) => Number.isFinite(s.km) && s.km >= MIN_STAGE_KM && s.km <= totalKm - MIN_STAGE_KM)
+    .sort((a, b) => a.km - b.km);
+  const out: StageStop[] = [];
+  for (const stop of sorted) {
+    const prev = out[out.length - 1];
+    if (prev && stop.km - prev.km < MIN_STAGE_KM) continue;
+    out.push(stop);
+    if (out.length >= MAX_STAGES - 1) break;
+  }
+  return out;
+}
+
+export function suggestedDayCount(totalKm: number, dailyKm = DEFAULT_DAILY_KM): number {
+  return Math.min(MAX_STAGES, Math.max(1, Math.ceil(totalKm / dailyKm)));
+}
+
+/**
+ * Split points for `days` equally hard days. Effort is distance plus
+ * climbing-as-distance, so a mountain day comes out shorter than a flat one.
+ * Without a profile the split is by distance alone.
+ */
+export function suggestStageStops(
+  totalKm: number,
+  days: number,
+  profile: ProfilePoint[] | null = null,
+): StageStop[] {
+  const n = Math.min(MAX_STAGES, Math.max(1, Math.round(days)));
+  if (n <= 1 || !(totalKm > 0)) return [];
+
+  // Cumulative effort at each profile point (or just the two ends).
+  const points: ProfilePoint[] =
+    profile && profile.length >= 2
+      ? profile
+      : [
+          { distance_km: 0, elevation_m: 0 },
+          { distance_km: totalKm, elevation_m: 0 },
+        ];
+  const effort = [0];
+  for (let i = 1; i < points.length; i++) {
+    const dKm = Math.max(0, points[i].distance_km - points[i - 1].distance_km);
+    const climb = Math.max(0, points[i].elevation_m - points[i - 1].elevation_m);
+    effort.push(effort[i - 1] + dKm + climb * CLIMB_KM_PER_M);
+  }
+  const totalEffort = effort[effort.length - 1];
+  if (!(totalEffort > 0)) return [];
+
+  const stops: StageStop[] = [];
+  let j = 1;
+  for (let d = 1; d < n; d++) {
+    const target = (totalEffort * d) / n;
+    while (j < effort.length - 1 && effort[j] < target) j++;
+    const span = effort[j] - effort[j - 1];
+    const t = span > 0 ? (target - effort[j - 1]) / span : 0;
+    const km = points[j - 1].distance_km + t * (points[j].distance_km - points[j - 1].distance_km);
+    stops.push({ km: Math.round(km * 10) / 10 });
+  }
+  return normalizeStops(stops, totalKm);
+}
+
+// ============================================================================
+// SLICING
+// ============================================================================
+
+function lerpCoord(a: StageCoordinate, b: StageCoordinate, t: number): StageCoordinate {
+  const lng = a[0] + (b[0] - a[0]) * t;
+  const lat = a[1] + (b[1] - a[1]) * t;
+  if (a.length === 3 && b.length === 3) return [lng, lat, a[2] + (b[2] - a[2]) * t];
+  return [lng, lat];
+}
+
+/** Coordinates between two distances, with interpolated end points. */
+export function sliceCoordinates(
+  coordinates: StageCoordinate[],
+  cumKm: number[],
+  startKm: number,
+  endKm: number,
+): StageCoordinate[] {
+  const at = (km: number): StageCoordinate => {
+    let i = 1;
+    while (i < cumKm.length - 1 && cumKm[i] < km) i++;
+    const span = cumKm[i] - cumKm[i - 1];
+    const t = span > 0 ? Math.min(1, Math.max(0, (km - cumKm[i - 1]) / span)) : 0;
+    return lerpCoord(coordinates[i - 1], coordinates[i], t);
+  };
+  const out: StageCoordinate[] = [at(startKm)];
+  for (let i = 0; i < coordinates.length; i++) {
+    if (cumKm[i] > startKm && cumKm[i] < endKm) out.push(coordinates[i]);
+  }
+  out.push(at(endKm));
+  return out;
+}
+
+/** Profile between two distances, re-based to start at 0 km. */
+export function sliceProfile(profile: ProfilePoint[], startKm: number, endKm: number): ProfilePoint[] {
+  if (profile.length < 2) return [];
+  const elevationAt = (km: number): number => {
+    let i = 1;
+    while (i < profile.length - 1 && profile[i].distance_km < km) i++;
+    const a = profile[i - 1];
+    const b = profile[i];
+    const span = b.distance_km - a.distance_km;
+    const t = span > 0 ? Math.min(1, Math.max(0, (km - a.distance_km) / span)) : 0;
+    return a.elevation_m + t * (b.elevation_m - a.elevation_m);
+  };
+  const out: ProfilePoint[] = [{ distance_km: 0, elevation_m: elevationAt(startKm) }];
+  for (const p of profile) {
+    if (p.distance_km > startKm && p.distance_km < endKm) {
+      out.push({ distance_km: p.distance_km - startKm, elevation_m: p.elevation_m });
+    }
+  }
+  out.push({ distance_km: endKm - startKm, elevation_m: elevationAt(endKm) });
+  return out;
+}
+
+/**
+ * Cut a route into stages at the given stops. With no stops the whole route
+ * is one stage. Climbing comes from the sliced profile when there is one,
+ * otherwise it is apportioned by distance from `totalGainM`.
+ */
+export function buildStages(
+  coordinates: StageCoordinate[],
+  profile: ProfilePoint[] | null,
+  stops: StageStop[],
+  totalGainM = 0,
+): RouteStage[] {
+  if (coordinates.length < 2) return [];
+  const cumKm = calculateCumulativeDistances(coordinates as [number, number][]) as number[];
+  const totalKm = cumKm[cumKm.length - 1];
+  if (!(totalKm > 0)) return [];
+
+  const cuts = normalizeStops(stops, totalKm);
+  const bounds = [0, ...cuts.map((s) => s.km), totalKm];
+
+  return bounds.slice(0, -1).map((startKm, index) => {
+    const endKm = bounds[index + 1];
+    const stageProfile = profile && profile.length >= 2 ? sliceProfile(profile, startKm, endKm) : [];
+    let elevationGainM: number;
+    let elevationLossM: number;
+    if (stageProfile.length >= 2) {
+      const stats = calculateElevationStats(
+        stageProfile.map((p) => ({ distance: p.distance_km, elevation: p.elevation_m })),
+      ) as { gain: number; loss: number };
+      elevationGainM = stats.gain;
+      elevationLossM = stats.loss;
+    } else {
+      elevationGainM = Math.round((totalGainM * (endKm - startKm)) / totalKm);
+      elevationLossM = 0;
+    }
+    return {
+      index,
+      startKm,
+      endKm,
+      distanceKm: endKm - startKm,
+      elevationGainM,
+      elevationLossM,
+      coordinates: sliceCoordinates(coordinates, cumKm, startKm, endKm),
+      profile: stageProfile,
+      overnight: index < cuts.length ? cuts[index] : null,
+    };
+  });
+}
+
+/** Stages plus per-stage ETA and fuel plan. */
+export function planStages(
+  coordinates: StageCoordinate[],
+  profile: ProfilePoint[] | null,
+  stops: StageStop[],
+  options: StagePlanOptions & { totalGainM?: number } = {},
+): StagePlan[] {
+  return buildStages(coordinates, profile, stops, options.totalGainM).map((stage) => {
+    const eta = calculatePersonalizedETA({
+      distanceKm: stage.distanceKm,
+      // Empty without a profile → the flat-speed estimate.
+      elevationProfile: stage.profile.map((p) => ({ distance: p.distance_km, elevation: p.elevation_m })),
+      surfaceDistribution: options.surfaceDistribution,
+      speedProfile: options.speedProfile ?? undefined,
+      routeProfile: options.routeProfile ?? 'road',
+      trainingGoal: 'endurance',
+    }) as { totalSeconds: number };
+    const fuel = calculateFuelPlanFromRoute({
+      estimatedDurationMinutes: eta.totalSeconds / 60,
+      elevationGainMeters: stage.elevationGainM,
+      intensity: 'moderate',
+      userWeightKg: options.userWeightKg,
+    });
+    return { ...stage, etaSeconds: eta.totalSeconds, fuel };
+  });
+}
+
+// ============================================================================
+// RESUPPLY
+// ============================================================================
+
+/**
+ * Longest stretch of a stage without a POI of the given categories, counting
+ * from the stage start and to the overnight stop. `pois` are along the FULL
+ * route (routeDistanceKm), as queryPOIsAlongRoute returns them.
+ */
+export function longestResupplyGapKm(
+  stage: Pick<RouteStage, 'startKm' | 'endKm'>,
+  pois: ResupplyPoi[],
+  categories: string[],
+): number {
+  const marks = pois
+    .filter((p) => categories.includes(p.category))
+    .map((p) => p.routeDistanceKm)
+    .filter((km) => km >= stage.startKm && km <= stage.endKm)
+    .sort((a, b) => a - b);
+  const points = [stage.startKm, ...marks, stage.endKm];
+  let gap = 0;
+  for (let i = 1; i < points.length; i++) gap = Math.max(gap, points[i] - points[i - 1]);
+  return Math.round(gap * 10) / 10;
+}
@@ -0,0 +1,451 @@
+/**
+ * Routing providers — one interface over every cycling routing engine.
+ *
+ * Each provider wraps its engine module (stadiaMapsRouter.js, brouter.js,
+ * graphHopper.js, Mapbox Directions) and does not re-implement routing —
+ * costing layers, ferry rejection (ferryGuard.js) and the 12 s timeouts stay
+ * where they are. What this module adds:
+ *
+ *   - a uniform contract: `route(waypoints, request)` resolves to the
+ *     normalized result shape smartCyclingRouter has always returned, or
+ *     null / throws when the engine has no route
+ *   - capability flags (surface costing, avoid polygons, elevation, cues) so
+ *     the orchestrator can skip engines that can't honour a request
+ *   - health tracking: an engine that keeps failing is tried last for a
+ *     cooldown instead of stalling every request behind its timeout, and
+ *     self-hosted engines are pinged before their first use
+ *   - per-provider telemetry through routeBuilderTelemetry
+ *   - self-hosted endpoints: a local Valhalla / BRouter / GraphHopper (see
+ *     getRoutingConfig) is tried ahead of its public counterpart
+ *
+ * smartCyclingRouter.js owns the per-profile chains, caching and dedup;
+ * see docs/routing-providers.md.
+ */
+
+import { getStadiaMapsRoute, isStadiaMapsAvailable } from './stadiaMapsRouter';
+import { getBRouterDirections } from './brouter';
+import { getGraphHopperCyclingDirections, isGraphHopperAvailable, GRAPHHOPPER_PROFILES } from './graphHopper';
+import { FERRY_REJECTED_REASON } from './ferryGuard';
+import { trackRouteBuilder, trackRoutingProvider, truncateErrorMessage } from './routeBuilderTelemetry';
+
+/** Capability flags a routing request can require. */
+export const ROUTING_CAPABILITIES = {
+  SURFACE_COSTING: 'surfaceCosting',
+  AVOID_POLYGONS: 'avoidPolygons',
+  ELEVATION: 'elevation',
+  CUES: 'cues',
+};
+
+/** Engines a fallback chain is written in; each maps to one or more providers. */
+export const ROUTING_ENGINES = {
+  VALHALLA: 'valhalla',
+  BROUTER: 'brouter',
+  GRAPHHOPPER: 'graphhopper',
+  MAPBOX: 'mapbox',
+};
+
+// A result with this few points is a degenerate HTTP-200 response, not a route.
+const MIN_ROUTE_POINTS = 10;
+
+// Consecutive failures before a provider is demoted, and for how long.
+const UNHEALTHY_AFTER_FAILURES = 2;
+const UNHEALTHY_COOLDOWN_MS = 2 * 60 * 1000;
+const PING_TIMEOUT_MS = 2000;
+
+// ── Configuration ───────────────────────────────────────────────────────────
+
+let configOverrides = {};
+
+/**
+ * Self-hosted endpoints, from Vite env unless overridden at runtime:
+ *
+ *   VITE_ROUTING_VALHALLA_URL       route URL, e.g. http://localhost:8002/route
+ *   VITE_ROUTING_BROUTER_URL        e.g. http://localhost:17777/brouter
+ *   VITE_ROUTING_BROUTER_PROFILE    custom .brf profile on that server
+ *   VITE_ROUTING_GRAPHHOPPER_URL    e.g. http://localhost:8989
+ *   VITE_ROUTING_GRAPHHOPPER_PROFILE custom profile on that server
+ *
+ * @returns {{ valhallaUrl: string|null, brouterUrl: string|null, brouterProfile: string|null,
+ *             graphhopperUrl: string|null, graphhopperProfile: string|null }}
+ */
+export function getRoutingConfig() {
+  const env = import.meta.env ?? {};
+  const pick = (key) => (typeof env[key] === 'string' && env[key].trim() ? env[key].trim() : null);
+  return {
+    valhallaUrl: pick('VITE_ROUTING_VALHALLA_URL'),
+    brouterUrl: pick('VITE_ROUTING_BROUTER_URL'),
+    brouterProfile: pick('VITE_ROUTING_BROUTER_PROFILE'),
+    graphhopperUrl: pick('VITE_ROUTING_GRAPHHOPPER_URL'),
+    graphhopperProfile: pick('VITE_ROUTING_GRAPHHOPPER_PROFILE'),
+    ...configOverrides,
+  };
+}
+
+/** Override routing config at runtime (dev tools, tests). Pass {} to reset. */
+export function configureRouting(overrides = {}) {
+  configOverrides = { ...overrides };
+}
+
+// ── Result normalization ────────────────────────────────────────────────────
+
+/**
+ * The shape every provider resolves to. Canonical `distance_m` /
+ * `duration_s` plus the deprecated `distance` / `duration` aliases (T1.1).
+ */
+function normalizeResult(raw, { profile, source, confidence }) {
+  const distance_m = raw.distance_m ?? raw.distance;
+  const duration_s = raw.duration_s ?? raw.duration;
+  return {
+    coordinates: raw.coordinates,
+    distance_m,
+    duration_s,
+    distance: distance_m, // alias (deprecated)
+    duration: duration_s, // alias (deprecated)
+    elevationGain: raw.elevationGain ?? raw.elevation?.ascent ?? 0,
+    elevationLoss: raw.elevationLoss ?? raw.elevation?.descent ?? 0,
+    confidence: confidence ?? raw.confidence ?? 0.9,
+    profile,
+    source,
+  };
+}
+
+// ── Providers ───────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} RoutingRequest
+ * @property {string} profile           App profile: road | gravel | mountain | commuting
+ * @property {string} [engineProfile]   Engine-specific profile (BRouter / GraphHopper)
+ * @property {Object} [preferences]
+ * @property {string} [trainingGoal]
+ * @property {number} [userSpeed]
+ * @property {number} [useHills]
+ * @property {{ polygons: Array, points: Array }} [exclusions]
+ * @property {string} [mapboxToken]
+ *
+ * @typedef {Object} RoutingProvider
+ * @property {string} id
+ * @property {string} engine          One of ROUTING_ENGINES
+ * @property {string} label
+ * @property {boolean} selfHosted
+ * @property {{ surfaceCosting: boolean, avoidPolygons: boolean, elevation: boolean, cues: boolean }} capabilities
+ * @property {(request: RoutingRequest) => boolean} isAvailable
+ * @property {(waypoints: Array<[number, number]>, request: RoutingRequest) => Promise<Object|null>} route
+ * @property {() => Promise<boolean>} [ping]  Reachability check (self-hosted only)
+ */
+
+function valhallaProvider({ id, label, selfHosted, endpoint }) {
+  return {
+    id,
+    engine: ROUTING_ENGINES.VALHALLA,
+    label,
+    selfHosted,
+    capabilities: { surfaceCosting: true, avoidPolygons: true, elevation: false, cues: true },
+    isAvailable: () => (selfHosted ? Boolean(endpoint()) : isStadiaMapsAvailable()),
+    async route(waypoints, request) {
+      const raw = await getStadiaMapsRoute(waypoints, {
+        profile: request.profile,
+        preferences: request.preferences,
+        trainingGoal: request.trainingGoal,
+        userSpeed: request.userSpeed,
+        useHills: request.useHills,
+        exclusions: request.exclusions,
+        ...(selfHosted ? { endpoint: endpoint() } : {}),
+      });
+      if (!raw) return null;
+      return {
+        ...normalizeResult(raw, { profile: request.profile, source: selfHosted ? id : 'stadia_maps', confidence: raw.confidence || 1.0 }),
+        cues: raw.cues ?? null,
+        maneuvers: raw.maneuvers || null,
+        trafficScore: raw.trafficScore,
+        quietnessScore: raw.quietnessScore,
+        roadClassification: raw.roadClassification || null,
+        infrastructureScore: raw.infrastructureScore,
+      };
+    },
+    ...(selfHosted
+      ? {
+          // Valhalla serves /status next to /route.
+          ping: () => pingUrl(endpoint().replace(/\/route\/?$/, '/status')),
+        }
+      : {}),
+  };
+}
+
+function brouterProvider({ id, label, selfHosted, baseUrl, customProfile }) {
+  return {
+    id,
+    engine: ROUTING_ENGINES.BROUTER,
+    label,
+    selfHosted,
+    capabilities: { surfaceCosting: true, avoidPolygons: true, elevation: true, cues: false },
+    isAvailable: () => (selfHosted ? Boolean(baseUrl()) : true),
+    async route(waypoints, request) {
+      const profile = (selfHosted && customProfile()) || request.engineProfile;
+      const raw = await getBRouterDirections(waypoints, {
+        profile,
+        exclusions: request.exclusions,
+        ...(selfHosted ? { baseUrl: baseUrl() } : {}),
+      });
+      if (!raw) return null;
+      return normalizeResult(raw, { profile, source: selfHosted ? id : 'brouter', confidence: raw.confidence || 0.9 });
+    },
+    // BRouter has no status endpoint; failures demote it instead.
+  };
+}
+
+function graphhopperProvider({ id, label, selfHosted, baseUrl, customProfile }) {
+  return {
+    id,
+    engine: ROUTING_ENGINES.GRAPHHOPPER,
+    label,
+    selfHosted,
+    capabilities: { surfaceCosting: true, avoidPolygons: false, elevation: true, cues: false },
+    isAvailable: () => (selfHosted ? Boolean(baseUrl()) : isGraphHopperAvailable()),
+    async route(waypoints, request) {
+      const raw = await getGraphHopperCyclingDirections(waypoints, {
+        profile: (selfHosted && customProfile()) || request.engineProfile || GRAPHHOPPER_PROFILES.GRAVEL,
+        preferences: request.preferences,
+        ...(selfHosted ? { baseUrl: baseUrl() } : {}),
+      });
+      if (!raw) return null;
+      return normalizeResult(raw, { profile: 'gravel', source: selfHosted ? id : 'graphhopper', confidence: raw.confidence || 0.9 });
+    },
+    ...(selfHosted ? { ping: () => pingUrl(`${baseUrl()}/health`) } : {}),
+  };
+}
+
+const mapboxProvider = {
+  id: 'mapbox',
+  engine: ROUTING_ENGINES.MAPBOX,
+  label: 'Mapbox',
+  selfHosted: false,
+  capabilities: { surfaceCosting: false, avoidPolygons: false, elevation: false, cues: false },
+  isAvailable: (request) => Boolean(request?.mapboxToken),
+  async route(waypoints, request) {
+    const coordinates = waypoints.map(([lon, lat]) => `${lon},${lat}`).join(';');
+    // Ferries are forbidden, 100% — exclude them at request time (Mapbox
+    // doesn't return per-segment way tags, so this is the only ferry defense
+    // on the Mapbox path).
+    const url = `https://api.mapbox.com/directions/v5/mapbox/cycling/${coordinates}?` +
+      `geometries=geojson&overview=full&exclude=ferry&access_token=${request.mapboxToken}`;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`http_${response.status}`);
+    const data = await response.json();
+    const route = data.routes?.[0];
+    if (!route) throw new Error('empty_routes');
+    return normalizeResult(
+      { coordinates: route.geometry.coordinates, distance_m: route.distance, duration_s: route.duration },
+      { profile: 'cycling', source: 'mapbox', confidence: 0.8 },
+    );
+  },
+};
+
+const PROVIDERS = [
+  valhallaProvider({
+    id: 'valhalla_self_hosted',
+    label: 'Valhalla (self-hosted)',
+    selfHosted: true,
+    endpoint: () => getRoutingConfig().valhallaUrl,
+  }),
+  valhallaProvider({ id: 'stadia', label: 'Stadia Maps (Valhalla)', selfHosted: false }),
+  brouterProvider({
+    id: 'brouter_self_hosted',
+    label: 'BRouter (self-hosted)',
+    selfHosted: true,
+    baseUrl: () => getRoutingConfig().brouterUrl,
+    customProfile: () => getRoutingConfig().brouterProfile,
+  }),
+  brouterProvider({ id: 'brouter', label: 'BRouter', selfHosted: false }),
+  graphhopperProvider({
+    id: 'graphhopper_self_hosted',
+    label: 'GraphHopper (self-hosted)',
+    selfHosted: true,
+    baseUrl: () => getRoutingConfig().graphhopperUrl,
+    customProfile: () => getRoutingConfig().graphhopperProfile,
+  }),
+  graphhopperProvider({ id: 'graphhopper', label: 'GraphHopper', selfHosted: false }),
+  mapboxProvider,
+];
+
+/** Every registered provider, self-hosted first within each engine. */
+export function listRoutingProviders() {
+  return PROVIDERS.slice();
+}
+
+export function getRoutingProvider(id) {
+  return PROVIDERS.find((p) => p.id === id) ?? null;
+}
+
+// ── Health ──────────────────────────────────────────────────────────────────
+
+const health = new Map(); // id → { failures, unhealthyUntil, pinged }
+
+function healthOf(id) {
+  let h = health.get(id);
+  if (!h) {
+    h = { failures: 0, unhealthyUntil: 0, pinged: false };
+    health.set(id, h);
+  }
+  return h;
+}
+
+export function isProviderHealthy(id, now = Date.now()) {
+  return healthOf(id).unhealthyUntil <= now;
+}
+
+function recordSuccess(provider) {
+  const h = healthOf(provider.id);
+  const wasUnhealthy = h.unhealthyUntil > Date.now();
+  h.failures = 0;
+  h.unhealthyUntil = 0;
+  if (wasUnhealthy) {
+    trackRouteBuilder('routing_provider_health_changed', { provider: provider.id, healthy: true });
+  }
+}
+
+function recordFailure(provider, reason) {
+  const h = healthOf(provider.id);
+  h.failures += 1;
+  if (h.failures >= UNHEALTHY_AFTER_FAILURES && h.unhealthyUntil <= Date.now()) {
+    h.unhealthyUntil = Date.now() + UNHEALTHY_COOLDOWN_MS;
+    trackRouteBuilder('routing_provider_health_changed', {
+      provider: provider.id,
+      healthy: false,
+      consecutive_failures: h.failures,
+      failure_reason: reason,
+    });
+  }
+}
+
+async function pingUrl(url) {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(PING_TIMEOUT_MS) });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Ping a provider that exposes a health endpoint. An unreachable one is
+ * demoted for the cooldown, same as repeated routing failures.
+ *
+ * @returns {Promise<boolean>} reachable (true for providers without a ping)
+ */
+export async function checkProviderHealth(id) {
+  const provider = getRoutingProvider(id);
+  if (!provider?.ping) return true;
+  const h = healthOf(id);
+  h.pinged = true;
+  const ok = await provider.ping();
+  if (ok) {
+    recordSuccess(provider);
+  } else {
+    h.failures = Math.max(h.failures, UNHEALTHY_AFTER_FAILURES - 1);
+    recordFailure(provider, 'ping_failed');
+  }
+  return ok;
+}
+
+/** Forget all health state and runtime config (tests). */
+export function resetRoutingProviders() {
+  health.clear();
+  configOverrides = {};
+}
+
+// ── Orchestration ───────────────────────────────────────────────────────────
+
+/**
+ * Expand a fallback chain written in engines into concrete providers:
+ * self-hosted before public, unavailable / incapable ones dropped,
+ * currently-unhealthy ones moved to the end (still tried — a flaky engine
+ * beats no route).
+ *
+ * @param {Array<{ engine: string }>} chain
+ * @param {RoutingRequest} request
+ * @param {string[]} requires  ROUTING_CAPABILITIES values
+ * @returns {Array<{ provider: RoutingProvider, step: Object }>}
+ */
+export function planProviderAttempts(chain, request, requires = []) {
+  const healthy = [];
+  const demoted = [];
+  for (const step of chain) {
+    for (const provider of PROVIDERS) {
+      if (provider.engine !== step.engine) continue;
+      if (!provider.isAvailable(request)) continue;
+      const missing = requires.filter((cap) => !provider.capabilities[cap]);
+      if (missing.length > 0) {
+        trackRoutingProvider('skipped', provider.id, { reason: `missing_${missing[0]}` });
+        continue;
+      }
+      (isProviderHealthy(provider.id) ? healthy : demoted).push({ provider, step });
+    }
+  }
+  return [...healthy, ...demoted];
+}
+
+/**
+ * Try providers along a fallback chain until one returns a real route.
+ *
+ * Each chain step is `{ engine, engineProfile?, source?, confidence? }`;
+ * `source` / `confidence` decorate the result when the step's PUBLIC
+ * provider wins (self-hosted results keep their own id as source so
+ * analytics can tell them apart).
+ *
+ * @param {Array<Object>} chain
+ * @param {Array<[number, number]>} waypoints
+ * @param {RoutingRequest} request
+ * @param {{ requires?: string[] }} [opts]
+ * @returns {Promise<Object|null>} normalized route, or null when every provider failed
+ */
+export async function routeWithProviders(chain, waypoints, request, { requires = [] } = {}) {
+  const attempts = planProviderAttempts(chain, request, requires);
+  let previous = null;
+  for (const { provider, step } of attempts) {
+    if (provider.ping && !healthOf(provider.id).pinged) {
+      if (!(await checkProviderHealth(provider.id))) {
+        trackRoutingProvider('skipped', provider.id, { reason: 'ping_failed' });
+        continue;
+      }
+    }
+
+    if (previous) {
+      trackRouteBuilder('provider_fallback_chain_advanced', {
+        from_provider: previous.id,
+        to_provider: provider.id,
+        failure_reason: previous.reason,
+      });
+    }
+
+    const stepRequest = { ...request, engineProfile: step.engineProfile ?? request.engineProfile };
+    const startMs = Date.now();
+    trackRoutingProvider('called', provider.id, {
+      profile: stepRequest.engineProfile ?? request.profile,
+      waypoint_count: waypoints?.length ?? 0,
+      self_hosted: provider.selfHosted,
+    });
+
+    let result = null;
+    let reason = 'empty_or_no_coordinates';
+    try {
+      result = await provider.route(waypoints, stepRequest);
+    } catch (error) {
+      reason = truncateErrorMessage(error?.message ?? String(error));
+      console.warn(`${provider.label} routing failed:`, error);
+    }
+
+    if (result?.coordinates?.length > MIN_ROUTE_POINTS) {
+      trackRoutingProvider('succeeded', provider.id, { duration_ms: Date.now() - startMs });
+      recordSuccess(provider);
+      return provider.selfHosted
+        ? result
+        : { ...result, source: step.source ?? result.source, confidence: step.confidence ?? result.confidence };
+    }
+
+    trackRoutingProvider('failed', provider.id, { duration_ms: Date.now() - startMs, failure_reason: reason });
+    // A ferry-only route is about the request, not the engine's health.
+    if (reason !== FERRY_REJECTED_REASON) recordFailure(provider, reason);
+    previous = { id: provider.id, reason };
+  }
+  return null;
+}
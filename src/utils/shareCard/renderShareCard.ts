@@ -49,6 +49,11 @@ export interface RenderShareCardOptions {
   format: CardFormat;
   showMap: boolean;
   trim_m: number;
+  /**
+   * Route to draw, [lng, lat]. Pass the privacy-zone-masked track
+   * (utils/privacyZones); defaults to the ride's own polyline.
+   */
+  coords?: LngLat[];
 }
 
 export interface RenderShareCardResult {
@@ -139,7 +144,7 @@ export async function renderShareCard(
   let mapImage: HTMLImageElement | null = null;
   let mapFellBack = false;
   if (showMap) {
-    const coords = getRouteCoords(ride);
+    const coords = options.coords ?? getRouteCoords(ride);
     const trimmed = trimPolylineEnds(coords, trim_m);
     const url = buildShareMapUrl({
       coords: trimmed,
@@ -514,7 +519,7 @@ function measureLetterSpaced(ctx: CanvasRenderingContext2D, text: string, spacin
 }
 
 /** Extract the encoded polyline from the ride row's historical field variants. */
-function getRouteCoords(ride: Record<string, unknown>): LngLat[] {
+export function getRouteCoords(ride: Record<string, unknown>): LngLat[] {
   const encoded =
     (ride.map_summary_polyline as string | undefined) ||
     (ride.summary_polyline as string | undefined) ||
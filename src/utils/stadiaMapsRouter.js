@@ -11,6 +11,7 @@ import { canonicalToValhalla } from './coordConverters';
 import { valhallaTypeToDirection } from './routeCues';
 import { assertCoordinate } from '../types/geo';
 import { valhallaTripUsesFerry, FERRY_REJECTED_REASON } from './ferryGuard';
+import { applyCostProfileToValhalla } from './routeCostProfile';
 
 const STADIA_MAPS_API_URL = 'https://api.stadiamaps.com/route/v1';
 
@@ -177,6 +178,9 @@ const TRAFFIC_TOLERANCE_COSTING = {
  * @param {Object} options.preferences - User preferences (traffic avoidance, etc.)
  * @param {string} options.trainingGoal - Training goal: 'recovery', 'endurance', 'tempo', 'intervals'
  * @param {number} options.userSpeed - Optional personalized cycling speed in km/h
+ * @param {string} options.endpoint - Self-hosted Valhalla route URL (skips the Stadia key)
+ * @param {Object} options.exclusions - Hard exclusions { polygons: [[lng, lat][]], points: [lng, lat][] }
+ *   (see routeFeatureResolver.featureExclusions) → Valhalla exclude_polygons / exclude_locations
  * @returns {Promise<Object>} Route object with coordinates, distance_m, duration_s
  */
 // Snake_case Valhalla bicycle-costing keys that callers may set explicitly
@@ -197,12 +201,16 @@ export async function getStadiaMapsRoute(waypoints, options = {}) {
     userSpeed = null,
     // Explicit Valhalla use_hills override (0–1). Set when the rider gave an
     // elevation-gain target; wins over profile/goal-derived values.
-    useHills = null
+    useHills = null,
+    exclusions = null,
+    // Full route URL of a self-hosted Valhalla (e.g. http://localhost:8002/route).
+    // Same request/response contract as Stadia's hosted instance, no key.
+    endpoint = null
   } = options;
 
   const apiKey = import.meta.env.VITE_STADIA_API_KEY;
 
-  if (!apiKey) {
+  if (!apiKey && !endpoint) {
     throw new Error('Stadia Maps API key not configured. Add VITE_STADIA_API_KEY to .env');
   }
 
@@ -302,6 +310,13 @@ export async function getStadiaMapsRoute(waypoints, options = {}) {
     }
   }
 
+  // The rider's compiled road history (routeCostProfile.js) — nudges
+  // use_roads / avoid_bad_surfaces toward how they actually ride.
+  if (preferences?.costProfile) {
+    applyCostProfileToValhalla(costing_options.bicycle, preferences.costProfile);
+    console.log('🧭 Applied personal cost profile');
+  }
+
   // Explicit Valhalla costing overrides passed as snake_case keys on
   // `preferences` (the route-edit strategies in aiRouteEditService set
   // these). Applied after the profile/goal/traffic merges so explicit
@@ -341,11 +356,20 @@ export async function getStadiaMapsRoute(waypoints, options = {}) {
     id: `tribos-${Date.now()}`
   };
 
+  // Hard exclusions from an "avoid X" edit — Valhalla never routes through
+  // these, unlike the soft use_roads / use_hills preferences above.
+  if (exclusions?.polygons?.length) {
+    requestBody.exclude_polygons = exclusions.polygons;
+  }
+  if (exclusions?.points?.length) {
+    requestBody.exclude_locations = exclusions.points.map(([lon, lat]) => ({ lat, lon }));
+  }
+
   console.log('📊 Stadia Maps costing options:', JSON.stringify(costing_options.bicycle, null, 2));
 
   try {
     // Pass API key as query parameter for CORS compatibility
-    const url = `${STADIA_MAPS_API_URL}?api_key=${apiKey}`;
+    const url = endpoint || `${STADIA_MAPS_API_URL}?api_key=${apiKey}`;
 
     const response = await fetch(url, {
       method: 'POST',
@@ -6,6 +6,7 @@ import {
   exportTrainingPlan,
   workoutStructureToCycling,
   getCyclingStructure,
+  parseCadenceTarget,
 } from './trainingPlanExport';
 import type {
   ActivePlan,
@@ -365,6 +366,51 @@ describe('workoutStructureToCycling', () => {
   });
 });
 
+describe('workoutStructureToCycling — nesting and cadence', () => {
+  it('unrolls a nested repeat inside a repeat block', () => {
+    const result = workoutStructureToCycling({
+      warmup: null,
+      main: [{
+        type: 'repeat',
+        sets: 3,
+        work: [
+          { type: 'repeat', sets: 4, work: { duration: 0.5, zone: 6, powerPctFTP: 130, description: 'On' }, rest: { duration: 0.25, zone: 1, powerPctFTP: 50, description: 'Off' } },
+        ],
+        rest: { duration: 5, zone: 1, powerPctFTP: 50, description: 'Set rest' },
+      }],
+      cooldown: null,
+    });
+
+    const block = result.steps[0] as { type: string; iterations: number; steps: unknown[] };
+    expect(block.type).toBe('repeat');
+    expect(block.iterations).toBe(3);
+    // 4 × (on + off) + set rest
+    expect(block.steps.length).toBe(9);
+  });
+
+  it('carries segment cadence onto the step', () => {
+    const result = workoutStructureToCycling({
+      warmup: null,
+      main: [{ duration: 10, zone: 3, powerPctFTP: 85, cadence: '85-95', description: 'Tempo' }],
+      cooldown: null,
+    });
+    expect((result.steps[0] as { cadence?: unknown }).cadence).toEqual({ min: 85, max: 95 });
+  });
+});
+
+describe('parseCadenceTarget', () => {
+  it('parses ranges, open-ended and single values', () => {
+    expect(parseCadenceTarget('85-95')).toEqual({ min: 85, max: 95 });
+    expect(parseCadenceTarget('100+ rpm')).toEqual({ min: 100, max: 110 });
+    expect(parseCadenceTarget('90')).toEqual({ min: 90, max: 90, preferred: 90 });
+  });
+
+  it('ignores free text', () => {
+    expect(parseCadenceTarget('high')).toBeUndefined();
+    expect(parseCadenceTarget(undefined)).toBeUndefined();
+  });
+});
+
 describe('getCyclingStructure', () => {
   it('returns cyclingStructure when present', () => {
     const workoutWithCycling = {
@@ -21,6 +21,7 @@ import type {
   CyclingWorkoutStructure,
   CyclingIntervalStep,
   CyclingRepeatBlock,
+  CadenceTarget,
 } from '../types/training';
 
 // ============================================================
@@ -336,15 +337,30 @@ export function generatePlanJSON(
 // ============================================================
 
 /**
- * Convert a basic WorkoutStructure (warmup/main/cooldown with powerPctFTP)
- * to CyclingWorkoutStructure (detailed steps with PowerTarget) for FIT encoding.
- * Most workouts in the library use the basic format; only a few have cyclingStructure.
+ * Parse a segment cadence string ("85-95", "100+ rpm", "90") into a CadenceTarget.
+ * Open-ended "100+" gets a 10 rpm band so devices still show a range.
  */
+export function parseCadenceTarget(cadence: string | undefined): CadenceTarget | undefined {
+  if (!cadence) return undefined;
+  const range = cadence.match(/^\s*(\d+)\s*-\s*(\d+)\s*(?:rpm)?\s*$/i);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    return min <= max ? { min, max } : undefined;
+  }
+  const single = cadence.match(/^\s*(\d+)\s*(\+)?\s*(?:rpm)?\s*$/i);
+  if (single) {
+    const value = Number(single[1]);
+    return single[2] ? { min: value, max: value + 10 } : { min: value, max: value, preferred: value };
+  }
+  return undefined;
+}
+
 function convertSegmentToStep(
   segment: WorkoutSegment,
   stepType: CyclingIntervalStep['type'] = 'work'
 ): CyclingIntervalStep {
-  return {
+  const step: CyclingIntervalStep = {
     name: segment.description || stepType,
     type: stepType,
     duration: segment.duration * 60, // minutes to seconds
@@ -353,6 +369,9 @@ function convertSegmentToStep(
       value: segment.powerPctFTP || 50,
     },
   };
+  const cadence = parseCadenceTarget(segment.cadence);
+  if (cadence) step.cadence = cadence;
+  return step;
 }
 
 function convertIntervalToRepeat(interval: WorkoutInterval): CyclingRepeatBlock {
@@ -362,9 +381,12 @@ function convertIntervalToRepeat(interval: WorkoutInterval): CyclingRepeatBlock
   const workItems = Array.isArray(interval.work) ? interval.work : [interval.work];
   for (const item of workItems) {
     if ('type' in item && item.type === 'repeat') {
-      // Nested repeat — flatten into the steps
+      // Nested repeat — CyclingRepeatBlock can't nest, so unroll its
+      // iterations inline to keep the total work identical
       const nested = convertIntervalToRepeat(item as WorkoutInterval);
-      steps.push(...nested.steps);
+      for (let i = 0; i < nested.iterations; i++) {
+        steps.push(...nested.steps);
+      }
     } else {
       steps.push(convertSegmentToStep(item as WorkoutSegment, 'work'));
     }
@@ -387,6 +409,11 @@ function convertIntervalToRepeat(interval: WorkoutInterval): CyclingRepeatBlock
   };
 }
 
+/**
+ * Convert a basic WorkoutStructure (warmup/main/cooldown with powerPctFTP)
+ * to CyclingWorkoutStructure (detailed steps with PowerTarget) for FIT encoding.
+ * Most workouts in the library use the basic format; only a few have cyclingStructure.
+ */
 export function workoutStructureToCycling(
   structure: WorkoutStructure,
   totalDuration?: number
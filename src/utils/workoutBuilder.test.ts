@@ -0,0 +1,176 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  zoneForPowerPct,
+  computeStructureMetrics,
+  computeCyclingMetrics,
+  buildCustomWorkout,
+  customWorkoutFromRow,
+  customWorkoutToRow,
+  isCustomWorkoutId,
+  type CustomWorkoutRow,
+} from './workoutBuilder';
+import { getCustomWorkouts, getWorkoutById, setCustomWorkouts, WORKOUT_LIBRARY } from '../data/workoutLibrary';
+import type { WorkoutStructure } from '../types/training';
+
+// 10' @ 60%, 3 × (8' @ 100% / 4' @ 50%), 10' @ 50%
+const threshold3x8: WorkoutStructure = {
+  warmup: { duration: 10, zone: 2, powerPctFTP: 60, description: 'Warmup' },
+  main: [
+    {
+      type: 'repeat',
+      sets: 3,
+      work: { duration: 8, zone: 4, powerPctFTP: 100, description: 'Threshold' },
+      rest: { duration: 4, zone: 1, powerPctFTP: 50, description: 'Recovery' },
+    },
+  ],
+  cooldown: { duration: 10, zone: 1, powerPctFTP: 50, description: 'Cooldown' },
+};
+
+describe('zoneForPowerPct', () => {
+  it('maps %FTP to Coggan zones including sweet spot', () => {
+    expect(zoneForPowerPct(50)).toBe(1);
+    expect(zoneForPowerPct(70)).toBe(2);
+    expect(zoneForPowerPct(85)).toBe(3);
+    expect(zoneForPowerPct(90)).toBe(3.5);
+    expect(zoneForPowerPct(100)).toBe(4);
+    expect(zoneForPowerPct(115)).toBe(5);
+    expect(zoneForPowerPct(130)).toBe(6);
+    expect(zoneForPowerPct(200)).toBe(7);
+  });
+});
+
+describe('computeStructureMetrics', () => {
+  it('computes duration, IF and TSS from the expanded steps', () => {
+    const metrics = computeStructureMetrics(threshold3x8);
+    expect(metrics.duration).toBe(56);
+
+    // Time-weighted 4th-power mean over 56 minutes
+    const weighted = 10 * 0.6 ** 4 + 24 * 1 ** 4 + 12 * 0.5 ** 4 + 10 * 0.5 ** 4;
+    const expectedIF = (weighted / 56) ** 0.25;
+    expect(metrics.intensityFactor).toBeCloseTo(expectedIF, 2);
+    expect(metrics.targetTSS).toBe(Math.round((56 / 60) * expectedIF ** 2 * 100));
+  });
+
+  it('counts nested repeats once per outer set', () => {
+    const metrics = computeStructureMetrics({
+      warmup: null,
+      main: [{
+        type: 'repeat',
+        sets: 2,
+        work: [{ type: 'repeat', sets: 5, work: { duration: 1, zone: 6, powerPctFTP: 120, description: 'On' }, rest: { duration: 1, zone: 1, powerPctFTP: 50, description: 'Off' } }],
+        rest: { duration: 5, zone: 1, powerPctFTP: 50, description: 'Set rest' },
+      }],
+      cooldown: null,
+    });
+    expect(metrics.duration).toBe(30);
+  });
+
+  it('scores a ramp as the integral over its power range', () => {
+    const metrics = computeCyclingMetrics({
+      totalDuration: 10,
+      steps: [{ name: 'Ramp', type: 'work', duration: 600, power: { type: 'range', value: 75, min: 50, max: 100 } }],
+    });
+    // mean of p⁴ over 0.5→1.0 = (1 − 0.5⁵) / (5 × 0.5)
+    expect(metrics.intensityFactor).toBeCloseTo(((1 - 0.5 ** 5) / 2.5) ** 0.25, 2);
+  });
+
+  it('returns zeros for an empty structure', () => {
+    expect(computeStructureMetrics({ warmup: null, main: [], cooldown: null })).toEqual({
+      duration: 0,
+      targetTSS: 0,
+      intensityFactor: 0,
+    });
+  });
+});
+
+describe('custom workout rows', () => {
+  const row: CustomWorkoutRow = {
+    id: 'custom_abc',
+    user_id: 'user-1',
+    name: '3x8 Threshold',
+    description: 'Classic threshold builder',
+    category: 'threshold',
+    difficulty: 'intermediate',
+    structure: threshold3x8,
+    cycling_structure: null,
+    duration_minutes: 56,
+    target_rss: 70,
+    ride_intensity: 0.87,
+    coach_notes: null,
+  };
+
+  it('round-trips through WorkoutDefinition', () => {
+    const workout = customWorkoutFromRow(row);
+    expect(workout.id).toBe('custom_abc');
+    expect(workout.sportType).toBe('cycling');
+    expect(workout.tags).toContain('custom');
+    expect(workout.targetTSS).toBe(70);
+
+    const back = customWorkoutToRow(workout, 'user-1');
+    expect(back).toMatchObject({
+      user_id: 'user-1',
+      name: row.name,
+      category: row.category,
+      structure: row.structure,
+      duration_minutes: 56,
+      target_rss: 70,
+      ride_intensity: 0.87,
+    });
+  });
+
+  it('gives unsaved drafts a custom placeholder id', () => {
+    const draft = buildCustomWorkout({
+      name: '  ',
+      description: '',
+      category: 'vo2max',
+      difficulty: 'advanced',
+      structure: threshold3x8,
+    });
+    expect(isCustomWorkoutId(draft.id)).toBe(true);
+    expect(draft.name).toBe('Custom Workout');
+    expect(isCustomWorkoutId('traditional_sst')).toBe(false);
+  });
+});
+
+describe('custom workout registry', () => {
+  afterEach(() => setCustomWorkouts([]));
+
+  it('resolves registered custom workouts by id without adding them to the library', () => {
+    const workout = buildCustomWorkout({
+      id: 'custom_xyz',
+      name: 'Mine',
+      description: '',
+      category: 'threshold',
+      difficulty: 'intermediate',
+      structure: threshold3x8,
+    });
+    setCustomWorkouts([workout]);
+
+    expect(getWorkoutById('custom_xyz')?.name).toBe('Mine');
+    expect(WORKOUT_LIBRARY['custom_xyz']).toBeUndefined();
+
+    setCustomWorkouts([]);
+    expect(getWorkoutById('custom_xyz')).toBeNull();
+  });
+
+  it('keeps each owner\'s set so a coached athlete\'s workouts resolve alongside the rider\'s', () => {
+    const make = (id: string, name: string) => buildCustomWorkout({
+      id,
+      name,
+      description: '',
+      category: 'threshold',
+      difficulty: 'intermediate',
+      structure: threshold3x8,
+    });
+    setCustomWorkouts([make('custom_mine', 'Mine')], 'rider');
+    setCustomWorkouts([make('custom_theirs', 'Theirs')], 'athlete');
+
+    expect(getWorkoutById('custom_mine')?.name).toBe('Mine');
+    expect(getWorkoutById('custom_theirs')?.name).toBe('Theirs');
+    expect(getCustomWorkouts('athlete').map((w) => w.id)).toEqual(['custom_theirs']);
+
+    setCustomWorkouts([], 'athlete');
+    expect(getWorkoutById('custom_theirs')).toBeNull();
+    expect(getCustomWorkouts().map((w) => w.id)).toEqual(['custom_mine']);
+  });
+});
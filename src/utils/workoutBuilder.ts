@@ -0,0 +1,255 @@
+/**
+ * Workout Builder Utility
+ * Pure helpers behind the structured workout builder:
+ * - Zone inference from %FTP
+ * - Duration / TSS / IF computed from a WorkoutStructure
+ * - Mapping between WorkoutDefinition and `custom_workouts` rows
+ *
+ * Metrics are computed from the same CyclingWorkoutStructure the exporters
+ * encode (workoutStructureToCycling), so the numbers shown in the builder
+ * match what lands on the head unit.
+ */
+
+import { workoutStructureToCycling } from './trainingPlanExport';
+import type {
+  CyclingIntervalStep,
+  CyclingRepeatBlock,
+  CyclingWorkoutStructure,
+  FitnessLevel,
+  TrainingZone,
+  WorkoutCategory,
+  WorkoutDefinition,
+  WorkoutStructure,
+} from '../types/training';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+/** Every custom workout id carries this prefix (set by the DB default). */
+export const CUSTOM_WORKOUT_ID_PREFIX = 'custom_';
+
+/** Categories a user can file a custom on-bike workout under. */
+export const CUSTOM_WORKOUT_CATEGORIES: WorkoutCategory[] = [
+  'recovery',
+  'endurance',
+  'tempo',
+  'sweet_spot',
+  'threshold',
+  'vo2max',
+  'anaerobic',
+  'climbing',
+  'racing',
+];
+
+// Upper %FTP bound for each Coggan zone (sweet spot = 3.5)
+const ZONE_UPPER_BOUNDS: [number, TrainingZone][] = [
+  [55, 1],
+  [75, 2],
+  [87, 3],
+  [94, 3.5],
+  [105, 4],
+  [120, 5],
+  [150, 6],
+];
+
+// ============================================================
+// ZONES
+// ============================================================
+
+/**
+ * Training zone for a power target given as %FTP
+ */
+export function zoneForPowerPct(powerPctFTP: number): TrainingZone {
+  for (const [upper, zone] of ZONE_UPPER_BOUNDS) {
+    if (powerPctFTP <= upper) return zone;
+  }
+  return 7;
+}
+
+// ============================================================
+// METRICS
+// ============================================================
+
+export interface StructureMetrics {
+  /** Total duration in minutes */
+  duration: number;
+  targetTSS: number;
+  intensityFactor: number;
+}
+
+function expandSteps(steps: (CyclingIntervalStep | CyclingRepeatBlock)[]): CyclingIntervalStep[] {
+  const flat: CyclingIntervalStep[] = [];
+  for (const step of steps) {
+    if (step.type === 'repeat') {
+      const block = step as CyclingRepeatBlock;
+      for (let i = 0; i < block.iterations; i++) flat.push(...block.steps);
+    } else {
+      flat.push(step as CyclingIntervalStep);
+    }
+  }
+  return flat;
+}
+
+/**
+ * Mean of (P/FTP)⁴ over a step. Range targets are treated as a linear ramp
+ * from min to max, so a ramp scores the same as the climb it describes.
+ */
+function meanFourthPower(step: CyclingIntervalStep): number {
+  const { power } = step;
+  if (power.type === 'range' && power.min != null && power.max != null && power.max > power.min) {
+    const lo = power.min / 100;
+    const hi = power.max / 100;
+    return (hi ** 5 - lo ** 5) / (5 * (hi - lo));
+  }
+  return power.type === 'absolute_watts' ? 0 : (power.value / 100) ** 4;
+}
+
+/**
+ * Compute duration, TSS and IF from a cycling (export) structure.
+ *
+ * IF is the time-weighted 4th-power mean of the step targets — Normalized
+ * Power of a perfectly executed workout. TSS = hours × IF² × 100.
+ */
+export function computeCyclingMetrics(cycling: CyclingWorkoutStructure): StructureMetrics {
+  const steps = expandSteps(cycling.steps);
+
+  let totalSeconds = 0;
+  let weightedFourth = 0;
+  for (const step of steps) {
+    totalSeconds += step.duration;
+    weightedFourth += step.duration * meanFourthPower(step);
+  }
+
+  if (totalSeconds <= 0) return { duration: 0, targetTSS: 0, intensityFactor: 0 };
+
+  const intensityFactor = (weightedFourth / totalSeconds) ** 0.25;
+  return {
+    duration: Math.round(totalSeconds / 60),
+    targetTSS: Math.round((totalSeconds / 3600) * intensityFactor ** 2 * 100),
+    intensityFactor: Math.round(intensityFactor * 100) / 100,
+  };
+}
+
+/**
+ * Compute duration, TSS and IF from a workout structure
+ */
+export function computeStructureMetrics(structure: WorkoutStructure): StructureMetrics {
+  return computeCyclingMetrics(workoutStructureToCycling(structure));
+}
+
+// ============================================================
+// DEFINITIONS & ROWS
+// ============================================================
+
+export interface CustomWorkoutDraft {
+  /** Present when editing an existing custom workout */
+  id?: string;
+  name: string;
+  description: string;
+  category: WorkoutCategory;
+  difficulty: FitnessLevel;
+  structure: WorkoutStructure;
+  /**
+   * Step-level structure for imported files. Keeps ramps, free-ride blocks
+   * and cues that `structure` can only approximate; exports prefer it.
+   */
+  cyclingStructure?: CyclingWorkoutStructure | null;
+  coachNotes?: string;
+}
+
+/** Row shape of the `custom_workouts` table */
+export interface CustomWorkoutRow {
+  id: string;
+  user_id: string;
+  name: string;
+  description: string | null;
+  category: WorkoutCategory;
+  difficulty: FitnessLevel;
+  structure: WorkoutStructure;
+  cycling_structure: CyclingWorkoutStructure | null;
+  duration_minutes: number;
+  target_rss: number;
+  ride_intensity: number;
+  coach_notes: string | null;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export function isCustomWorkoutId(id: string | null | undefined): boolean {
+  return !!id && id.startsWith(CUSTOM_WORKOUT_ID_PREFIX);
+}
+
+/**
+ * Turn a builder draft into a full WorkoutDefinition with computed metrics.
+ * Unsaved drafts get a placeholder id; the DB assigns the real one.
+ */
+export function buildCustomWorkout(draft: CustomWorkoutDraft): WorkoutDefinition {
+  const metrics = draft.cyclingStructure
+    ? computeCyclingMetrics(draft.cyclingStructure)
+    : computeStructureMetrics(draft.structure);
+  return {
+    id: draft.id || `${CUSTOM_WORKOUT_ID_PREFIX}draft`,
+    name: draft.name.trim() || 'Custom Workout',
+    sportType: 'cycling',
+    category: draft.category,
+    difficulty: draft.difficulty,
+    duration: metrics.duration,
+    targetTSS: metrics.targetTSS,
+    intensityFactor: metrics.intensityFactor,
+    description: draft.description.trim(),
+    focusArea: draft.category,
+    tags: ['custom', draft.category],
+    terrainType: 'flat',
+    structure: draft.structure,
+    ...(draft.cyclingStructure ? { cyclingStructure: draft.cyclingStructure } : {}),
+    coachNotes: draft.coachNotes?.trim() || '',
+    exportable: true,
+    exportFormats: ['fit', 'zwo', 'mrc', 'tcx'],
+  };
+}
+
+/**
+ * Map a `custom_workouts` row to a WorkoutDefinition
+ */
+export function customWorkoutFromRow(row: CustomWorkoutRow): WorkoutDefinition {
+  return {
+    ...buildCustomWorkout({
+      id: row.id,
+      name: row.name,
+      description: row.description || '',
+      category: row.category,
+      difficulty: row.difficulty,
+      structure: row.structure,
+      cyclingStructure: row.cycling_structure,
+      coachNotes: row.coach_notes || '',
+    }),
+    // Stored values win so a later formula change doesn't silently
+    // re-score workouts already on the calendar.
+    duration: row.duration_minutes,
+    targetTSS: row.target_rss,
+    intensityFactor: Number(row.ride_intensity),
+  };
+}
+
+/**
+ * Map a WorkoutDefinition to the `custom_workouts` insert/update payload
+ */
+export function customWorkoutToRow(
+  workout: WorkoutDefinition,
+  userId: string
+): Omit<CustomWorkoutRow, 'id' | 'created_at' | 'updated_at'> {
+  return {
+    user_id: userId,
+    name: workout.name,
+    description: workout.description || null,
+    category: workout.category,
+    difficulty: workout.difficulty,
+    structure: workout.structure,
+    cycling_structure: workout.cyclingStructure ?? null,
+    duration_minutes: workout.duration,
+    target_rss: workout.targetTSS,
+    ride_intensity: workout.intensityFactor,
+    coach_notes: workout.coachNotes || null,
+  };
+}
@@ -36,7 +36,8 @@ function isRepeatBlock(
  * Convert power target to FTP percentage (0-1 scale for ZWO)
  */
 function getPowerPercentage(power: PowerTarget): number {
-  if (power.type === 'percent_ftp') {
+  // Range targets (ramps, imported bands) carry their mean %FTP in value
+  if (power.type === 'percent_ftp' || power.type === 'range') {
     return power.value / 100;
   }
   // For absolute watts, we'd need FTP - default to 75%
@@ -47,7 +48,7 @@ function getPowerPercentage(power: PowerTarget): number {
  * Get power percentage as integer (for MRC format)
  */
 function getPowerPercentageInt(power: PowerTarget): number {
-  if (power.type === 'percent_ftp') {
+  if (power.type === 'percent_ftp' || power.type === 'range') {
     return power.value;
   }
   return 75;
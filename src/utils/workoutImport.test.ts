@@ -0,0 +1,265 @@
+import { describe, it, expect } from 'vitest';
+import { generateMRC, generateZWO } from './workoutExport';
+import { encodeFitWorkout } from './fitWorkoutEncoder';
+import {
+  collapseRepeats,
+  cyclingToWorkoutStructure,
+  detectWorkoutFormat,
+  importWorkoutFile,
+  parseFITWorkout,
+  parseMRC,
+  parseZWO,
+} from './workoutImport';
+import { computeCyclingMetrics } from './workoutBuilder';
+import type { CyclingIntervalStep, CyclingRepeatBlock, CyclingWorkoutStructure } from '../types/training';
+
+const ZWO = `<?xml version="1.0" encoding="UTF-8"?>
+<workout_file>
+  <author>Coach Sam</author>
+  <name>Over-Unders</name>
+  <description>Threshold with surges</description>
+  <sportType>bike</sportType>
+  <workout>
+    <Warmup Duration="600" PowerLow="0.45" PowerHigh="0.75">
+      <textevent timeoffset="0" message="Easy spin"/>
+    </Warmup>
+    <IntervalsT Repeat="3" OnDuration="120" OffDuration="60" OnPower="1.05" OffPower="0.5" Cadence="95">
+      <textevent timeoffset="0" message="Over!"/>
+      <textevent timeoffset="60" message="Hold it"/>
+    </IntervalsT>
+    <SteadyState Duration="300" Power="0.88" CadenceLow="85" CadenceHigh="95"/>
+    <Ramp Duration="240" PowerLow="0.6" PowerHigh="1.0"/>
+    <FreeRide Duration="600" FlatRoad="1"/>
+    <MaxEffort Duration="20"/>
+    <Cooldown Duration="300" PowerLow="0.65" PowerHigh="0.4"/>
+  </workout>
+</workout_file>`;
+
+const step = (s: CyclingIntervalStep | CyclingRepeatBlock) => s as CyclingIntervalStep;
+const block = (s: CyclingIntervalStep | CyclingRepeatBlock) => s as CyclingRepeatBlock;
+
+describe('parseZWO', () => {
+  const workout = parseZWO(ZWO, 'over-unders.zwo');
+  const steps = workout.cyclingStructure.steps;
+
+  it('reads metadata', () => {
+    expect(workout.format).toBe('zwo');
+    expect(workout.name).toBe('Over-Unders');
+    expect(workout.author).toBe('Coach Sam');
+    expect(workout.description).toBe('Threshold with surges');
+    expect(workout.category).toBe('threshold');
+  });
+
+  it('keeps warmup and ramps as range targets with their direction in the cue', () => {
+    expect(step(steps[0])).toMatchObject({
+      type: 'warmup',
+      duration: 600,
+      power: { type: 'range', value: 60, min: 45, max: 75 },
+    });
+    expect(step(steps[0]).instructions).toContain('Easy spin');
+    expect(step(steps[3]).instructions).toContain('Ramp 60% → 100% FTP');
+    expect(step(steps[6])).toMatchObject({ type: 'cooldown', power: { min: 40, max: 65 } });
+  });
+
+  it('turns IntervalsT into a repeat block with timed text events', () => {
+    const intervals = block(steps[1]);
+    expect(intervals.type).toBe('repeat');
+    expect(intervals.iterations).toBe(3);
+    expect(intervals.steps[0]).toMatchObject({
+      name: 'Over!',
+      duration: 120,
+      power: { type: 'percent_ftp', value: 105 },
+      cadence: { min: 95, max: 95 },
+    });
+    expect(intervals.steps[0].instructions).toBe('Over! / 1:00 Hold it');
+    expect(intervals.steps[1]).toMatchObject({ type: 'recovery', duration: 60 });
+  });
+
+  it('reads cadence ranges, free ride and max effort blocks', () => {
+    expect(step(steps[2]).cadence).toEqual({ min: 85, max: 95 });
+    expect(step(steps[4])).toMatchObject({ name: 'Free ride', duration: 600 });
+    expect(step(steps[5])).toMatchObject({ name: 'Max effort', power: { value: 150 } });
+  });
+
+  it('derives a planner structure with warmup, intervals and cooldown', () => {
+    const { structure } = workout;
+    expect(structure.warmup).toMatchObject({ duration: 10, powerPctFTP: 60 });
+    expect(structure.cooldown).toMatchObject({ duration: 5 });
+    expect(structure.main[0]).toMatchObject({
+      type: 'repeat',
+      sets: 3,
+      work: { duration: 2, powerPctFTP: 105, cadence: '95' },
+      rest: { duration: 1, powerPctFTP: 50 },
+    });
+  });
+
+  it('rejects run workouts and non-Zwift XML', () => {
+    expect(() => parseZWO(ZWO.replace('<sportType>bike', '<sportType>run'))).toThrow(/bike/);
+    expect(() => parseZWO('<gpx></gpx>')).toThrow(/workout_file/);
+  });
+
+  it('round-trips our own ZWO export', () => {
+    const cycling: CyclingWorkoutStructure = {
+      totalDuration: 30,
+      steps: [
+        { type: 'repeat', name: 'Main Set', iterations: 4, steps: [
+          { name: 'On', type: 'work', duration: 240, power: { type: 'percent_ftp', value: 110 } },
+          { name: 'Off', type: 'recovery', duration: 180, power: { type: 'percent_ftp', value: 50 } },
+        ] },
+      ],
+    };
+    const imported = parseZWO(generateZWO(cycling, '4x4', 'VO2'));
+    const repeat = block(imported.cyclingStructure.steps[0]);
+    expect(repeat.iterations).toBe(4);
+    expect(repeat.steps.map((s) => [s.duration, s.power.value])).toEqual([[240, 110], [180, 50]]);
+  });
+});
+
+describe('parseMRC', () => {
+  it('reads course points into steady steps, ramps and repeats', () => {
+    const cycling: CyclingWorkoutStructure = {
+      totalDuration: 37,
+      steps: [
+        { name: 'Warmup', type: 'warmup', duration: 600, power: { type: 'percent_ftp', value: 65 } },
+        { type: 'repeat', name: 'Main Set', iterations: 3, steps: [
+          { name: 'On', type: 'work', duration: 300, power: { type: 'percent_ftp', value: 105 } },
+          { name: 'Off', type: 'recovery', duration: 120, power: { type: 'percent_ftp', value: 50 } },
+        ] },
+        { name: 'Cooldown', type: 'cooldown', duration: 360, power: { type: 'percent_ftp', value: 60 } },
+      ],
+    };
+    const imported = parseMRC(generateMRC(cycling, 'Threshold 3x5', 'Steady threshold'), 'x.mrc');
+    const steps = imported.cyclingStructure.steps;
+
+    expect(imported.format).toBe('mrc');
+    expect(imported.name).toBe('Threshold 3x5');
+    expect(step(steps[0])).toMatchObject({ type: 'warmup', power: { type: 'range', min: 25, max: 65 } });
+    expect(block(steps[1]).iterations).toBe(3);
+    expect(block(steps[1]).steps.map((s) => [s.duration, s.power.value])).toEqual([[300, 105], [120, 50]]);
+    expect(step(steps[2])).toMatchObject({ type: 'cooldown', power: { min: 25, max: 60 } });
+    expect(computeCyclingMetrics(imported.cyclingStructure).duration).toBe(37);
+  });
+
+  it('scales ERG watts by the header FTP and attaches course text', () => {
+    const erg = [
+      '[COURSE HEADER]',
+      'FTP = 250',
+      'MINUTES WATTS',
+      '[END COURSE HEADER]',
+      '[COURSE DATA]',
+      '0\t150',
+      '10\t150',
+      '10\t250',
+      '20\t250',
+      '[END COURSE DATA]',
+      '[COURSE TEXT]',
+      '630\tSettle in\t10',
+      '[END COURSE TEXT]',
+    ].join('\n');
+    const imported = parseMRC(erg, 'tempo.erg');
+    const steps = imported.cyclingStructure.steps.map(step);
+
+    expect(imported.format).toBe('erg');
+    expect(steps.map((s) => s.power.value)).toEqual([60, 100]);
+    expect(steps[1].instructions).toBe('0:30 Settle in');
+  });
+
+  it('needs an FTP to read watts', () => {
+    const erg = '[COURSE HEADER]\nMINUTES WATTS\n[END COURSE HEADER]\n[COURSE DATA]\n0\t200\n10\t200\n[END COURSE DATA]';
+    expect(() => parseMRC(erg, 'x.erg')).toThrow(/FTP/);
+    expect(parseMRC(erg, 'x.erg', { ftp: 250 }).cyclingStructure.steps).toHaveLength(1);
+  });
+
+  it('rejects a file without course data', () => {
+    expect(() => parseMRC('[COURSE HEADER]\n[END COURSE HEADER]', 'x.mrc')).toThrow(/course data/);
+  });
+});
+
+describe('collapseRepeats', () => {
+  const s = (duration: number, value: number): CyclingIntervalStep => ({
+    name: `${value}`, type: 'work', duration, power: { type: 'percent_ftp', value },
+  });
+
+  it('folds repeated patterns and leaves singles alone', () => {
+    const out = collapseRepeats([s(60, 60), s(30, 120), s(30, 50), s(30, 120), s(30, 50), s(60, 60)]);
+    expect(out).toHaveLength(3);
+    expect(block(out[1])).toMatchObject({ type: 'repeat', iterations: 2 });
+  });
+});
+
+describe('parseFITWorkout', () => {
+  it('round-trips our FIT workout encoder', () => {
+    const bytes = encodeFitWorkout({
+      totalDuration: 30,
+      steps: [
+        { name: 'Warmup', type: 'warmup', duration: 600, power: { type: 'range', value: 60, min: 50, max: 70 } },
+        { type: 'repeat', name: 'Main Set', iterations: 5, steps: [
+          { name: 'On', type: 'work', duration: 60, power: { type: 'percent_ftp', value: 120 }, cadence: { min: 95, max: 105 } },
+          { name: 'Off', type: 'recovery', duration: 60, power: { type: 'percent_ftp', value: 50 } },
+        ] },
+        { name: 'Cooldown', type: 'cooldown', duration: 600, power: { type: 'percent_ftp', value: 50 } },
+      ],
+    }, { workoutName: 'Minute Ons' });
+
+    const imported = parseFITWorkout(bytes, 'minute-ons.fit');
+    const steps = imported.cyclingStructure.steps;
+
+    expect(imported.name).toBe('Minute Ons');
+    expect(imported.category).toBe('vo2max');
+    expect(step(steps[0])).toMatchObject({ type: 'warmup', power: { type: 'range', min: 50, max: 70 } });
+    expect(block(steps[1]).iterations).toBe(5);
+    expect(block(steps[1]).steps[0]).toMatchObject({
+      name: 'On',
+      duration: 60,
+      power: { type: 'percent_ftp', value: 120 },
+      cadence: { min: 95, max: 105 },
+    });
+    expect(step(steps[2]).type).toBe('cooldown');
+  });
+
+  it('needs an FTP for watt targets', () => {
+    const bytes = encodeFitWorkout({
+      totalDuration: 10,
+      steps: [{ name: 'Steady', type: 'work', duration: 600, power: { type: 'absolute_watts', value: 200 } }],
+    }, { workoutName: 'Watts' });
+
+    expect(() => parseFITWorkout(bytes)).toThrow(/FTP/);
+    expect(step(parseFITWorkout(bytes, 'w.fit', { ftp: 250 }).cyclingStructure.steps[0]).power.value).toBe(80);
+  });
+
+  it('rejects non-FIT bytes', () => {
+    expect(() => parseFITWorkout(new Uint8Array(20))).toThrow(/FIT/);
+  });
+});
+
+describe('cyclingToWorkoutStructure', () => {
+  it('keeps a repeat without trailing recovery as work only', () => {
+    const structure = cyclingToWorkoutStructure({
+      totalDuration: 10,
+      steps: [{ type: 'repeat', name: 'x', iterations: 2, steps: [
+        { name: 'A', type: 'work', duration: 120, power: { type: 'percent_ftp', value: 90 } },
+        { name: 'B', type: 'work', duration: 180, power: { type: 'percent_ftp', value: 100 } },
+      ] }],
+    });
+    expect(structure.warmup).toBeNull();
+    expect(structure.main[0]).toMatchObject({ type: 'repeat', sets: 2, rest: { duration: 0, zone: null } });
+  });
+});
+
+describe('detectWorkoutFormat / importWorkoutFile', () => {
+  it('detects by extension, then by content', () => {
+    expect(detectWorkoutFormat('a.ZWO')).toBe('zwo');
+    expect(detectWorkoutFormat('a.erg')).toBe('erg');
+    const sniff = (text: string) => detectWorkoutFormat('download', new TextEncoder().encode(text));
+    expect(sniff('<workout_file>')).toBe('zwo');
+    expect(sniff('[COURSE HEADER]\nMINUTES WATTS')).toBe('erg');
+    expect(sniff('[COURSE HEADER]\nMINUTES PERCENT')).toBe('mrc');
+    expect(sniff('hello')).toBeNull();
+  });
+
+  it('imports a File', async () => {
+    const imported = await importWorkoutFile(new File([ZWO], 'over-unders.zwo'));
+    expect(imported.name).toBe('Over-Unders');
+    await expect(importWorkoutFile(new File(['x'], 'notes.txt'))).rejects.toThrow(/Unsupported/);
+  });
+});
@@ -0,0 +1,827 @@
+/**
+ * Workout Import Utility
+ * The inverse of workoutExport: reads structured workout files that coaches
+ * and other platforms hand out back into our workout structures:
+ * - ZWO (Zwift Workout) - XML; steady, ramp, interval, free-ride and
+ *   max-effort blocks with text events
+ * - MRC/ERG - TrainerRoad / Golden Cheetah text; %FTP (MRC) or watts (ERG)
+ *   course points plus [COURSE TEXT] cues
+ * - FIT - Garmin workout files (workout + workout_step messages), including
+ *   nested repeats
+ *
+ * Every parser produces a CyclingWorkoutStructure (what the exporters encode,
+ * so ramps and cues survive a round trip) and a WorkoutStructure derived from
+ * it (what the planner and workout modal render). Ramps become range power
+ * targets; in WorkoutStructure they collapse to their mean power.
+ */
+
+import { Decoder, Stream } from '@garmin/fitsdk';
+import { zoneForPowerPct } from './workoutBuilder';
+import type {
+  CadenceTarget,
+  CyclingIntervalStep,
+  CyclingRepeatBlock,
+  CyclingWorkoutStructure,
+  TrainingZone,
+  WorkoutCategory,
+  WorkoutInterval,
+  WorkoutSegment,
+  WorkoutStructure,
+  WorkoutWarmupCooldown,
+} from '../types/training';
+
+// ============================================================
+// TYPES
+// ============================================================
+
+export type WorkoutImportFormat = 'zwo' | 'mrc' | 'erg' | 'fit';
+
+export interface WorkoutImportOptions {
+  /** Rider FTP in watts — needed to read watt targets (ERG, absolute FIT targets) */
+  ftp?: number | null;
+}
+
+export interface ImportedWorkout {
+  format: WorkoutImportFormat;
+  name: string;
+  description: string;
+  author?: string;
+  /** Category guessed from the hardest sustained work step */
+  category: WorkoutCategory;
+  cyclingStructure: CyclingWorkoutStructure;
+  structure: WorkoutStructure;
+}
+
+type Step = CyclingIntervalStep | CyclingRepeatBlock;
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+/** FIT %FTP offset convention (see fitWorkoutEncoder) */
+const FTP_PERCENT_OFFSET = 1000;
+
+/** Bands this wide or narrower are a single target, not a range */
+const MAX_SINGLE_TARGET_BAND = 6;
+
+/** Free ride has no target; plan it as endurance so TSS stays sensible */
+const FREE_RIDE_POWER = { min: 50, max: 75 };
+
+/** Zwift MaxEffort blocks are all-out; plan them at this %FTP */
+const MAX_EFFORT_PCT = 150;
+
+/** Placeholder length for lap-button / distance-based FIT steps */
+const OPEN_STEP_SECONDS = 300;
+
+/** Mid-zone %FTP for FIT power-zone targets (Coggan zones 1–7) */
+const FIT_POWER_ZONE_PCT: Record<number, number> = { 1: 50, 2: 65, 3: 83, 4: 98, 5: 113, 6: 135, 7: 160 };
+
+/** Below this a steady step reads as recovery rather than work */
+const RECOVERY_MAX_PCT = 60;
+
+/** Work steps shorter than this don't decide the category */
+const CATEGORY_MIN_STEP_SECONDS = 30;
+
+const CATEGORY_BY_ZONE: Record<TrainingZone, WorkoutCategory> = {
+  1: 'recovery',
+  2: 'endurance',
+  3: 'tempo',
+  3.5: 'sweet_spot',
+  4: 'threshold',
+  5: 'vo2max',
+  6: 'anaerobic',
+  7: 'anaerobic',
+};
+
+// ============================================================
+// STEP BUILDERS
+// ============================================================
+
+function isRepeatBlock(step: Step): step is CyclingRepeatBlock {
+  return step.type === 'repeat';
+}
+
+function formatOffset(seconds: number): string {
+  const m = Math.floor(seconds / 60);
+  const s = Math.round(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+/** A step holding one target, or a ramp from `start` to `end` %FTP */
+function powerStep(
+  type: CyclingIntervalStep['type'],
+  durationSec: number,
+  start: number,
+  end: number = start,
+  defaultName?: string
+): CyclingIntervalStep {
+  const s = Math.round(start);
+  const e = Math.round(end);
+  if (s === e) {
+    return {
+      name: defaultName || `${s}% FTP`,
+      type,
+      duration: Math.round(durationSec),
+      power: { type: 'percent_ftp', value: s },
+    };
+  }
+  return {
+    name: defaultName || `Ramp ${s}–${e}%`,
+    type,
+    duration: Math.round(durationSec),
+    power: { type: 'range', value: Math.round((s + e) / 2), min: Math.min(s, e), max: Math.max(s, e) },
+    instructions: `Ramp ${s}% → ${e}% FTP`,
+  };
+}
+
+function freeRideStep(durationSec: number): CyclingIntervalStep {
+  return {
+    name: 'Free ride',
+    type: 'work',
+    duration: Math.round(durationSec),
+    power: {
+      type: 'range',
+      value: Math.round((FREE_RIDE_POWER.min + FREE_RIDE_POWER.max) / 2),
+      min: FREE_RIDE_POWER.min,
+      max: FREE_RIDE_POWER.max,
+    },
+    instructions: 'Free ride — no target, ride by feel',
+  };
+}
+
+function steadyType(pct: number): CyclingIntervalStep['type'] {
+  return pct < RECOVERY_MAX_PCT ? 'recovery' : 'work';
+}
+
+/** Prepend cue text to a step: the first cue names the step, all are kept as instructions */
+function addCues(step: CyclingIntervalStep, cues: string[]): CyclingIntervalStep {
+  if (cues.length === 0) return step;
+  const instructions = [...cues, step.instructions].filter(Boolean).join(' / ');
+  return { ...step, name: cues[0], instructions };
+}
+
+function totalSeconds(steps: Step[]): number {
+  return steps.reduce(
+    (sum, step) =>
+      sum + (isRepeatBlock(step) ? step.steps.reduce((s, inner) => s + inner.duration, 0) * step.iterations : step.duration),
+    0
+  );
+}
+
+function toCyclingStructure(steps: Step[]): CyclingWorkoutStructure {
+  return { totalDuration: Math.round(totalSeconds(steps) / 60), steps };
+}
+
+// ============================================================
+// CYCLING → WORKOUT STRUCTURE
+// ============================================================
+
+function stepPct(step: CyclingIntervalStep): number {
+  return step.power.value;
+}
+
+function cadenceText(cadence: CadenceTarget | undefined): string | undefined {
+  if (!cadence) return undefined;
+  return cadence.min === cadence.max ? String(cadence.min) : `${cadence.min}-${cadence.max}`;
+}
+
+function stepToSegment(step: CyclingIntervalStep): WorkoutSegment {
+  const pct = stepPct(step);
+  const cadence = cadenceText(step.cadence);
+  return {
+    duration: step.duration / 60,
+    zone: zoneForPowerPct(pct),
+    powerPctFTP: pct,
+    ...(cadence ? { cadence } : {}),
+    description: step.instructions && step.instructions !== step.name
+      ? `${step.name} — ${step.instructions}`
+      : step.name,
+  };
+}
+
+function stepToWarmCool(step: CyclingIntervalStep): WorkoutWarmupCooldown {
+  const pct = stepPct(step);
+  return {
+    duration: step.duration / 60,
+    zone: zoneForPowerPct(pct),
+    powerPctFTP: pct,
+    description: step.instructions || step.name,
+  };
+}
+
+function blockToInterval(block: CyclingRepeatBlock): WorkoutInterval {
+  const steps = block.steps;
+  const last = steps[steps.length - 1];
+  const hasRest = steps.length > 1 && (last.type === 'recovery' || last.type === 'rest');
+  const work = (hasRest ? steps.slice(0, -1) : steps).map(stepToSegment);
+  return {
+    type: 'repeat',
+    sets: block.iterations,
+    work: work.length === 1 ? work[0] : work,
+    rest: hasRest ? stepToSegment(last) : { duration: 0, zone: null },
+  };
+}
+
+/**
+ * Derive the planner's WorkoutStructure from a CyclingWorkoutStructure.
+ * A leading warmup / trailing cooldown step become the structure's
+ * warmup / cooldown; ramps collapse to their mean power.
+ */
+export function cyclingToWorkoutStructure(cycling: CyclingWorkoutStructure): WorkoutStructure {
+  const steps = [...cycling.steps];
+  const first = steps[0];
+  const warmup = first && !isRepeatBlock(first) && first.type === 'warmup' ? steps.shift() as CyclingIntervalStep : null;
+  const last = steps[steps.length - 1];
+  const cooldown = last && !isRepeatBlock(last) && last.type === 'cooldown' ? steps.pop() as CyclingIntervalStep : null;
+
+  return {
+    warmup: warmup ? stepToWarmCool(warmup) : null,
+    main: steps.map((step) => (isRepeatBlock(step) ? blockToInterval(step) : stepToSegment(step))),
+    cooldown: cooldown ? stepToWarmCool(cooldown) : null,
+  };
+}
+
+/**
+ * Guess a category from the hardest work step that lasts long enough to
+ * define the session (so a few sprints don't turn endurance into anaerobic).
+ */
+export function inferWorkoutCategory(cycling: CyclingWorkoutStructure): WorkoutCategory {
+  let hardest = 0;
+  for (const step of cycling.steps) {
+    const inner = isRepeatBlock(step) ? step.steps : [step];
+    for (const s of inner) {
+      if (s.type !== 'work' || s.duration < CATEGORY_MIN_STEP_SECONDS) continue;
+      hardest = Math.max(hardest, stepPct(s));
+    }
+  }
+  return hardest > 0 ? CATEGORY_BY_ZONE[zoneForPowerPct(hardest)] : 'endurance';
+}
+
+function buildImportedWorkout(
+  format: WorkoutImportFormat,
+  name: string,
+  description: string,
+  steps: Step[],
+  author?: string
+): ImportedWorkout {
+  if (steps.length === 0 || totalSeconds(steps) <= 0) {
+    throw new Error('Workout file has no timed steps to import.');
+  }
+  const cyclingStructure = toCyclingStructure(steps);
+  return {
+    format,
+    name,
+    description,
+    ...(author ? { author } : {}),
+    category: inferWorkoutCategory(cyclingStructure),
+    cyclingStructure,
+    structure: cyclingToWorkoutStructure(cyclingStructure),
+  };
+}
+
+function workoutNameFromFile(fileName: string): string {
+  return fileName.replace(/\.(zwo|mrc|erg|fit)$/i, '').replace(/[_-]+/g, ' ').trim() || 'Imported Workout';
+}
+
+// ============================================================
+// ZWO (ZWIFT WORKOUT) IMPORT
+// ============================================================
+
+function parseXml(content: string, label: string): Document {
+  const doc = new DOMParser().parseFromString(content, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`Invalid ${label} file format`);
+  }
+  return doc;
+}
+
+/** Attribute lookup that ignores case (Zwift files mix "Power" / "power") */
+function attr(el: Element, name: string): number | null {
+  const wanted = name.toLowerCase();
+  for (const a of Array.from(el.attributes)) {
+    if (a.name.toLowerCase() === wanted) {
+      const n = parseFloat(a.value);
+      return Number.isFinite(n) ? n : null;
+    }
+  }
+  return null;
+}
+
+/** Zwift power is a fraction of FTP */
+function zwoPct(el: Element, name: string): number | null {
+  const value = attr(el, name);
+  return value == null ? null : value * 100;
+}
+
+function zwoCadence(el: Element, name = 'Cadence'): CadenceTarget | undefined {
+  const low = attr(el, `${name}Low`);
+  const high = attr(el, `${name}High`);
+  if (low != null && high != null) return { min: Math.round(low), max: Math.round(high) };
+  const single = attr(el, name);
+  return single != null ? { min: single, max: single, preferred: single } : undefined;
+}
+
+function zwoTextEvents(el: Element): string[] {
+  return Array.from(el.children)
+    .filter((child) => child.localName.toLowerCase() === 'textevent')
+    .map((child) => ({
+      offset: attr(child, 'timeoffset') ?? 0,
+      message: child.getAttribute('message')?.trim() || '',
+    }))
+    .filter((e) => e.message)
+    .sort((a, b) => a.offset - b.offset)
+    .map((e) => (e.offset > 0 ? `${formatOffset(e.offset)} ${e.message}` : e.message));
+}
+
+function withCadence(step: CyclingIntervalStep, cadence: CadenceTarget | undefined): CyclingIntervalStep {
+  return cadence ? { ...step, cadence } : step;
+}
+
+function parseZwoElement(el: Element): Step | null {
+  const duration = attr(el, 'Duration') ?? 0;
+  const cues = zwoTextEvents(el);
+  const cadence = zwoCadence(el);
+
+  switch (el.localName.toLowerCase()) {
+    case 'warmup':
+    case 'cooldown':
+    case 'ramp': {
+      const kind = el.localName.toLowerCase();
+      const type = kind === 'ramp' ? 'work' : (kind as 'warmup' | 'cooldown');
+      const start = zwoPct(el, 'PowerLow') ?? zwoPct(el, 'Power') ?? 50;
+      const end = zwoPct(el, 'PowerHigh') ?? start;
+      const name = kind === 'ramp' ? undefined : kind === 'warmup' ? 'Warmup' : 'Cooldown';
+      return addCues(withCadence(powerStep(type, duration, start, end, name), cadence), cues);
+    }
+
+    case 'steadystate':
+    case 'solidstate': {
+      const low = zwoPct(el, 'PowerLow');
+      const high = zwoPct(el, 'PowerHigh');
+      const pct = zwoPct(el, 'Power') ?? (low != null && high != null ? (low + high) / 2 : 50);
+      return addCues(withCadence(powerStep(steadyType(pct), duration, pct), cadence), cues);
+    }
+
+    case 'intervalst': {
+      const onPct = zwoPct(el, 'OnPower') ?? zwoPct(el, 'PowerOnHigh') ?? 100;
+      const offPct = zwoPct(el, 'OffPower') ?? zwoPct(el, 'PowerOffLow') ?? 50;
+      const on = addCues(
+        withCadence(powerStep('work', attr(el, 'OnDuration') ?? 60, onPct, onPct, 'On'), cadence),
+        cues
+      );
+      const off = withCadence(
+        powerStep('recovery', attr(el, 'OffDuration') ?? 60, offPct, offPct, 'Off'),
+        zwoCadence(el, 'CadenceResting')
+      );
+      return {
+        type: 'repeat',
+        name: 'Intervals',
+        iterations: Math.max(1, Math.round(attr(el, 'Repeat') ?? 1)),
+        steps: off.duration > 0 ? [on, off] : [on],
+      };
+    }
+
+    case 'freeride':
+      return addCues(withCadence(freeRideStep(duration), cadence), cues);
+
+    case 'maxeffort':
+      return addCues(
+        { ...powerStep('work', duration, MAX_EFFORT_PCT, MAX_EFFORT_PCT, 'Max effort'), instructions: 'All out' },
+        cues
+      );
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse a Zwift .zwo workout
+ */
+export function parseZWO(content: string, fileName = 'workout.zwo'): ImportedWorkout {
+  const doc = parseXml(content, 'ZWO');
+  const root = doc.documentElement;
+  if (root.localName !== 'workout_file') {
+    throw new Error('Not a Zwift workout file (missing <workout_file>).');
+  }
+
+  const text = (tag: string) => root.getElementsByTagName(tag)[0]?.textContent?.trim() || '';
+  const sport = text('sportType').toLowerCase();
+  if (sport && sport !== 'bike') {
+    throw new Error('Only bike workouts can be imported.');
+  }
+
+  const body = root.getElementsByTagName('workout')[0];
+  if (!body) throw new Error('ZWO file has no <workout> section.');
+
+  const steps = Array.from(body.children)
+    .map(parseZwoElement)
+    .filter((step): step is Step => step !== null && totalSeconds([step]) > 0);
+
+  return buildImportedWorkout(
+    'zwo',
+    text('name') || workoutNameFromFile(fileName),
+    text('description'),
+    steps,
+    text('author') || undefined
+  );
+}
+
+// ============================================================
+// MRC / ERG IMPORT
+// ============================================================
+
+interface CoursePoint {
+  minutes: number;
+  value: number;
+}
+
+/**
+ * Collapse back-to-back copies of a 2–4 step pattern into a repeat block
+ * (MRC/ERG files spell every interval out).
+ */
+export function collapseRepeats(steps: CyclingIntervalStep[]): Step[] {
+  const same = (a: CyclingIntervalStep, b: CyclingIntervalStep) =>
+    a.duration === b.duration &&
+    a.instructions === b.instructions &&
+    a.power.value === b.power.value &&
+    a.power.min === b.power.min &&
+    a.power.max === b.power.max;
+
+  const out: Step[] = [];
+  let i = 0;
+  while (i < steps.length) {
+    let best: { len: number; count: number } | null = null;
+    for (let len = 2; len <= 4 && i + len * 2 <= steps.length; len++) {
+      let count = 1;
+      while (
+        i + (count + 1) * len <= steps.length &&
+        steps.slice(i + count * len, i + (count + 1) * len).every((s, k) => same(s, steps[i + k]))
+      ) {
+        count++;
+      }
+      if (count >= 2 && (!best || count * len > best.count * best.len)) best = { len, count };
+    }
+
+    if (best) {
+      out.push({ type: 'repeat', name: 'Intervals', iterations: best.count, steps: steps.slice(i, i + best.len) });
+      i += best.len * best.count;
+    } else {
+      out.push(steps[i]);
+      i++;
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse a TrainerRoad / Golden Cheetah .mrc (%FTP) or .erg (watts) workout
+ */
+export function parseMRC(
+  content: string,
+  fileName = 'workout.mrc',
+  options: WorkoutImportOptions = {}
+): ImportedWorkout {
+  const header: Record<string, string> = {};
+  const points: CoursePoint[] = [];
+  const cues: { seconds: number; message: string }[] = [];
+  let unitsWatts = /\.erg$/i.test(fileName);
+  let section = '';
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(';')) continue;
+    const sectionMatch = line.match(/^\[(END )?COURSE (HEADER|DATA|TEXT)\]$/i);
+    if (sectionMatch) {
+      section = sectionMatch[1] ? '' : sectionMatch[2].toUpperCase();
+      continue;
+    }
+
+    if (section === 'HEADER') {
+      const kv = line.match(/^([^=]+)=(.*)$/);
+      if (kv) {
+        header[kv[1].trim().toUpperCase()] = kv[2].trim();
+      } else if (/^MINUTES\s+(PERCENT|WATTS)/i.test(line)) {
+        unitsWatts = /WATTS/i.test(line);
+      }
+    } else if (section === 'DATA') {
+      const [t, v] = line.split(/\s+/).map(Number);
+      if (Number.isFinite(t) && Number.isFinite(v)) points.push({ minutes: t, value: v });
+    } else if (section === 'TEXT') {
+      const [t, message] = line.split('\t');
+      const seconds = Number(t);
+      if (Number.isFinite(seconds) && message?.trim()) cues.push({ seconds, message: message.trim() });
+    }
+  }
+
+  const format: WorkoutImportFormat = unitsWatts ? 'erg' : 'mrc';
+  if (points.length < 2) {
+    throw new Error(`${format.toUpperCase()} file has no course data to import.`);
+  }
+
+  const ftp = Number(header.FTP) || options.ftp || null;
+  if (unitsWatts && !ftp) {
+    throw new Error('This ERG file sets watts, not %FTP. Set your FTP first so targets can be scaled.');
+  }
+  const toPct = (value: number) => (unitsWatts ? (value / ftp!) * 100 : value);
+
+  // Consecutive course points bound a segment: flat → steady, sloped → ramp.
+  // Zero-length pairs are the step changes between segments.
+  const segments: { startSec: number; start: number; end: number; step: CyclingIntervalStep }[] = [];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const durationSec = (b.minutes - a.minutes) * 60;
+    if (durationSec <= 0) continue;
+    const start = toPct(a.value);
+    const end = toPct(b.value);
+    const prev = segments[segments.length - 1];
+    const flat = Math.round(start) === Math.round(end);
+
+    // Merge repeated points of the same steady level
+    if (flat && prev && prev.step.power.type === 'percent_ftp' && prev.step.power.value === Math.round(start)) {
+      prev.step.duration = Math.round(prev.step.duration + durationSec);
+      continue;
+    }
+    segments.push({
+      startSec: a.minutes * 60,
+      start,
+      end,
+      step: powerStep(flat ? steadyType(start) : 'work', durationSec, start, end),
+    });
+  }
+
+  // Rising first ramp is the warmup, falling last ramp the cooldown
+  const first = segments[0];
+  if (first && first.end > first.start) first.step.type = 'warmup';
+  const last = segments[segments.length - 1];
+  if (segments.length > 1 && last.end < last.start) last.step.type = 'cooldown';
+
+  // Attach [COURSE TEXT] cues to the segment they fall in
+  const steps = segments.map(({ startSec, step }) => {
+    const end = startSec + step.duration;
+    const inside = cues
+      .filter((c) => c.seconds >= startSec && c.seconds < end)
+      .map((c) => (c.seconds > startSec ? `${formatOffset(c.seconds - startSec)} ${c.message}` : c.message));
+    return addCues(step, inside);
+  });
+
+  return buildImportedWorkout(
+    format,
+    header['FILE NAME']?.replace(/\.(mrc|erg)$/i, '') || workoutNameFromFile(fileName),
+    header.DESCRIPTION || '',
+    collapseRepeats(steps)
+  );
+}
+
+// ============================================================
+// FIT WORKOUT IMPORT
+// ============================================================
+
+interface FitWorkoutStepMesg {
+  messageIndex?: number;
+  wktStepName?: string;
+  notes?: string;
+  durationType?: string;
+  durationTime?: number;
+  durationValue?: number;
+  durationStep?: number;
+  repeatSteps?: number;
+  targetType?: string;
+  targetValue?: number;
+  targetPowerZone?: number;
+  customTargetPowerLow?: number;
+  customTargetPowerHigh?: number;
+  customTargetValueLow?: number;
+  customTargetValueHigh?: number;
+  customTargetCadenceLow?: number;
+  customTargetCadenceHigh?: number;
+  secondaryTargetType?: string;
+  secondaryCustomTargetCadenceLow?: number;
+  secondaryCustomTargetCadenceHigh?: number;
+  secondaryCustomTargetValueLow?: number;
+  secondaryCustomTargetValueHigh?: number;
+  intensity?: string;
+}
+
+function fitStepType(intensity: string | undefined): CyclingIntervalStep['type'] {
+  switch (intensity) {
+    case 'warmup':
+      return 'warmup';
+    case 'cooldown':
+      return 'cooldown';
+    case 'rest':
+    case 'recovery':
+      return 'recovery';
+    default:
+      return 'work';
+  }
+}
+
+function fitPowerPct(raw: number, ftp: number | null): number {
+  if (raw > FTP_PERCENT_OFFSET) return raw - FTP_PERCENT_OFFSET;
+  if (!ftp) {
+    throw new Error('This FIT workout sets watts, not %FTP. Set your FTP first so targets can be scaled.');
+  }
+  return (raw / ftp) * 100;
+}
+
+function fitStep(mesg: FitWorkoutStepMesg, ftp: number | null): CyclingIntervalStep {
+  const type = fitStepType(mesg.intensity);
+  const timed = mesg.durationType === 'time';
+  const durationSec = timed
+    ? mesg.durationTime ?? (mesg.durationValue ?? 0) / 1000
+    : OPEN_STEP_SECONDS;
+
+  let step: CyclingIntervalStep;
+  const low = mesg.customTargetPowerLow ?? mesg.customTargetValueLow;
+  const high = mesg.customTargetPowerHigh ?? mesg.customTargetValueHigh;
+  if (mesg.targetType === 'power' && mesg.targetPowerZone && FIT_POWER_ZONE_PCT[mesg.targetPowerZone]) {
+    step = powerStep(type, durationSec, FIT_POWER_ZONE_PCT[mesg.targetPowerZone]);
+  } else if (mesg.targetType === 'power' && low != null && high != null) {
+    const lowPct = Math.round(fitPowerPct(low, ftp));
+    const highPct = Math.round(fitPowerPct(high, ftp));
+    const mid = Math.round((lowPct + highPct) / 2);
+    step = highPct - lowPct <= MAX_SINGLE_TARGET_BAND
+      ? powerStep(type, durationSec, mid)
+      : {
+          name: `${lowPct}–${highPct}% FTP`,
+          type,
+          duration: Math.round(durationSec),
+          power: { type: 'range', value: mid, min: lowPct, max: highPct },
+        };
+  } else {
+    step = { ...freeRideStep(durationSec), type };
+  }
+
+  if (mesg.wktStepName?.trim()) step.name = mesg.wktStepName.trim();
+  const notes = [
+    mesg.notes?.trim(),
+    timed ? null : 'Press lap to move on',
+  ].filter(Boolean).join(' / ');
+  if (notes) step.instructions = [step.instructions, notes].filter(Boolean).join(' / ');
+
+  const cadenceLow = mesg.targetType === 'cadence'
+    ? mesg.customTargetCadenceLow ?? mesg.customTargetValueLow
+    : mesg.secondaryTargetType === 'cadence'
+      ? mesg.secondaryCustomTargetCadenceLow ?? mesg.secondaryCustomTargetValueLow
+      : undefined;
+  const cadenceHigh = mesg.targetType === 'cadence'
+    ? mesg.customTargetCadenceHigh ?? mesg.customTargetValueHigh
+    : mesg.secondaryTargetType === 'cadence'
+      ? mesg.secondaryCustomTargetCadenceHigh ?? mesg.secondaryCustomTargetValueHigh
+      : undefined;
+  if (cadenceLow != null && cadenceHigh != null && cadenceHigh > 0) {
+    step.cadence = { min: cadenceLow, max: cadenceHigh };
+  }
+
+  return step;
+}
+
+/**
+ * Parse a Garmin FIT workout file (workout + workout_step messages).
+ * Repeat steps point back at the step that opens their block; a repeat
+ * inside a repeat is unrolled, since repeat blocks can't nest.
+ */
+export function parseFITWorkout(
+  bytes: Uint8Array,
+  fileName = 'workout.fit',
+  options: WorkoutImportOptions = {}
+): ImportedWorkout {
+  const stream = Stream.fromBuffer(bytes);
+  const decoder = new Decoder(stream);
+  if (!decoder.isFIT()) {
+    throw new Error('Not a valid FIT file (header signature missing)');
+  }
+  const { messages } = decoder.read({
+    applyScaleAndOffset: true,
+    expandSubFields: true,
+    expandComponents: true,
+    convertTypesToStrings: true,
+  }) as unknown as {
+    messages: {
+      workoutMesgs?: Array<{ wktName?: string; sport?: string; wktDescription?: string }>;
+      workoutStepMesgs?: FitWorkoutStepMesg[];
+    };
+  };
+
+  const stepMesgs = messages.workoutStepMesgs ?? [];
+  if (stepMesgs.length === 0) {
+    throw new Error('FIT file has no workout steps. Import a FIT workout, not an activity or course.');
+  }
+  const workout = messages.workoutMesgs?.[0];
+  if (workout?.sport && !['cycling', 'training', 'generic'].includes(workout.sport)) {
+    throw new Error('Only bike workouts can be imported.');
+  }
+
+  const ftp = options.ftp || null;
+  const out: Step[] = [];
+  const positionOf = new Map<number, number>();
+
+  stepMesgs.forEach((mesg, i) => {
+    const index = mesg.messageIndex ?? i;
+    positionOf.set(index, out.length);
+
+    if (mesg.durationType === 'repeatUntilStepsCmplt') {
+      const start = positionOf.get(mesg.durationStep ?? mesg.durationValue ?? 0) ?? 0;
+      const inner = out.splice(start).flatMap((step) =>
+        isRepeatBlock(step)
+          ? Array.from({ length: step.iterations }, () => step.steps).flat()
+          : [step]
+      );
+      if (inner.length > 0) {
+        out.push({
+          type: 'repeat',
+          name: 'Intervals',
+          iterations: Math.max(1, mesg.repeatSteps ?? mesg.targetValue ?? 1),
+          steps: inner,
+        });
+      }
+      return;
+    }
+
+    // Other repeat conditions (until time / HR / power) can't be planned
+    if (mesg.durationType?.startsWith('repeat')) return;
+    out.push(fitStep(mesg, ftp));
+  });
+
+  return buildImportedWorkout(
+    'fit',
+    workout?.wktName?.trim() || workoutNameFromFile(fileName),
+    workout?.wktDescription?.trim() || '',
+    out
+  );
+}
+
+// ============================================================
+// MAIN IMPORT FUNCTION
+// ============================================================
+
+/**
+ * Detect the workout format from the file name, falling back to sniffing
+ * the first bytes (".FIT" signature, <workout_file> root, MRC header).
+ */
+export function detectWorkoutFormat(fileName: string, head?: Uint8Array): WorkoutImportFormat | null {
+  const ext = fileName.split('.').pop()?.toLowerCase();
+  if (ext === 'zwo' || ext === 'mrc' || ext === 'erg' || ext === 'fit') return ext;
+  if (!head) return null;
+  if (head.length >= 12 && String.fromCharCode(...head.subarray(8, 12)) === '.FIT') return 'fit';
+  const text = new TextDecoder().decode(head.subarray(0, 512));
+  if (/<workout_file[\s>]/.test(text)) return 'zwo';
+  if (/\[COURSE HEADER\]/i.test(text)) return /MINUTES\s+WATTS/i.test(text) ? 'erg' : 'mrc';
+  return null;
+}
+
+async function readFileBytes(file: File): Promise<Uint8Array> {
+  // Blob.arrayBuffer() is missing on older Safari (and jsdom) — fall back to
+  // FileReader.
+  const buffer =
+    typeof file.arrayBuffer === 'function'
+      ? await file.arrayBuffer()
+      : await new Promise<ArrayBuffer>((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result as ArrayBuffer);
+          reader.onerror = () => reject(reader.error ?? new Error('File read failed'));
+          reader.readAsArrayBuffer(file);
+        });
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Read a ZWO / MRC / ERG / FIT workout file.
+ * Throws with a user-presentable message when the file can't be used.
+ */
+export async function importWorkoutFile(
+  file: File,
+  options: WorkoutImportOptions = {}
+): Promise<ImportedWorkout> {
+  const bytes = await readFileBytes(file);
+  const format = detectWorkoutFormat(file.name, bytes);
+  switch (format) {
+    case 'zwo':
+      return parseZWO(new TextDecoder().decode(bytes), file.name);
+    case 'mrc':
+    case 'erg':
+      return parseMRC(new TextDecoder().decode(bytes), file.name, options);
+    case 'fit':
+      return parseFITWorkout(bytes, file.name, options);
+    default:
+      throw new Error('Unsupported file type. Import a .zwo, .mrc, .erg or .fit workout.');
+  }
+}
+
+/** File extensions accepted by importWorkoutFile */
+export const WORKOUT_IMPORT_ACCEPT = '.zwo,.mrc,.erg,.fit,application/xml,text/xml,text/plain,application/octet-stream';
+
+// ============================================================
+// CONVENIENCE EXPORTS
+// ============================================================
+
+export default {
+  parseZWO,
+  parseMRC,
+  parseFITWorkout,
+  detectWorkoutFormat,
+  importWorkoutFile,
+  cyclingToWorkoutStructure,
+};
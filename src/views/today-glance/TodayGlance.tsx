@@ -83,6 +83,21 @@ function ContextLine({ today }: { today: Today }) {
   );
 }
 
+/** Shown when the glance is the offline snapshot rather than a live read. */
+function OfflineLine({ savedAt }: { savedAt: string }) {
+  const time = new Date(savedAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  return (
+    <Box
+      data-testid="today-offline"
+      style={{ border: `1px solid ${C.border}`, background: C.card, padding: '6px 10px' }}
+    >
+      <Text style={{ fontFamily: FONT.mono, fontSize: 11, letterSpacing: '0.5px', color: C.text2 }}>
+        OFFLINE · SHOWING TODAY AS OF {time} · CHECK-INS SYNC WHEN YOU RECONNECT
+      </Text>
+    </Box>
+  );
+}
+
 /** Thin forward-looking line ("where you're going") under the context chip. */
 function OutlookLine({ today }: { today: Today }) {
   if (!today.outlook.line) return null;
@@ -232,6 +247,7 @@ export default function TodayGlance({ fixture }: TodayGlanceProps) {
     [fixture, live.recentRoutesPromise],
   );
   const loading = fixture ? false : live.loading;
+  const offlineSavedAt = fixture ? null : live.offlineSavedAt;
 
   const heroHeight = isMobile ? HERO_HEIGHT_MOBILE : HERO_HEIGHT;
   const units: UnitsPreference = unitsPreference === 'metric' ? 'metric' : 'imperial';
@@ -350,6 +366,11 @@ export default function TodayGlance({ fixture }: TodayGlanceProps) {
   return (
     <AppShell>
       <Box style={{ maxWidth: 1440, margin: '0 auto', padding: isMobile ? '16px' : '20px 32px 32px' }}>
+        {offlineSavedAt && today && (
+          <Box mb={14}>
+            <OfflineLine savedAt={offlineSavedAt} />
+          </Box>
+        )}
         {content()}
       </Box>
     </AppShell>
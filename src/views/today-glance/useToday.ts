@@ -6,6 +6,10 @@
  * (persona fitness take). The hero, route summary, and coach block consume
  * these via React 19 `use()` inside <Suspense>, so the shell (context line,
  * rail scaffold, FORM, actions) paints first and the slower bits stream in.
+ *
+ * Offline: every fully-resolved load is snapshotted (shell + route + coach +
+ * recent rides) and the week ahead is cached alongside. Without network the
+ * hook serves today's snapshot instead and reports when it was saved.
  */
 
 import { useEffect, useState } from 'react';
@@ -17,6 +21,7 @@ import {
 } from './getToday';
 import type { Today, TodayRoute } from './types';
 import type { RecentRide } from '../today/shared/recentRides';
+import { cacheWeekAhead, isOffline, loadOfflineData, saveOfflineData } from '../../lib/offline';
 
 export interface UseTodayResult {
   loading: boolean;
@@ -27,6 +32,28 @@ export interface UseTodayResult {
   coachPromise: Promise<string | null>;
   /** Resolves to recent rides for the hero fallback. Stable across renders. */
   recentRoutesPromise: Promise<RecentRide[]>;
+  /** Set when showing the offline snapshot: when it was saved (ISO). */
+  offlineSavedAt: string | null;
+}
+
+interface TodaySnapshot {
+  today: Today;
+  route: TodayRoute | null;
+  coach: string | null;
+  recentRides: RecentRide[];
+}
+
+const snapshotKey = (userId: string) => `today:${userId}`;
+
+function localDateString(): string {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/** Today's snapshot, or null when there is none for today's date. */
+async function loadTodaySnapshot(userId: string) {
+  const snapshot = await loadOfflineData<TodaySnapshot>(snapshotKey(userId));
+  return snapshot && snapshot.data.today.date === localDateString() ? snapshot : null;
 }
 
 const NULL_ROUTE: Promise<TodayRoute | null> = Promise.resolve(null);
@@ -42,6 +69,7 @@ export function useToday(userId: string | null): UseTodayResult {
     useState<Promise<string | null>>(NULL_COACH);
   const [recentRoutesPromise, setRecentRoutesPromise] =
     useState<Promise<RecentRide[]>>(NO_RECENT);
+  const [offlineSavedAt, setOfflineSavedAt] = useState<string | null>(null);
 
   useEffect(() => {
     if (!userId) {
@@ -54,29 +82,70 @@ export function useToday(userId: string | null): UseTodayResult {
     }
     let cancelled = false;
     setLoading(true);
-    // Recent rides don't depend on the shell — start immediately.
-    setRecentRoutesPromise(getTodayRecentRoutes(userId));
-
-    getTodayShell(userId)
-      .then((shell) => {
-        if (cancelled) return;
-        setToday(shell);
-        setLoading(false);
-        // Kick off the deferred solves once; cache the promises in state so
-        // use() consumers read stable references.
-        setRoutePromise(getTodayRoute(shell.prescription));
-        setCoachPromise(getTodayCoach(shell.athleteState));
-      })
-      .catch((err) => {
-        if (cancelled) return;
-        console.error('useToday: shell load failed', err);
-        setLoading(false);
+    setOfflineSavedAt(null);
+
+    const showSnapshot = async (): Promise<boolean> => {
+      const snapshot = await loadTodaySnapshot(userId);
+      if (cancelled || !snapshot) return false;
+      const { today: shell, route, coach, recentRides } = snapshot.data;
+      setToday(shell);
+      setRoutePromise(Promise.resolve(route));
+      setCoachPromise(Promise.resolve(coach));
+      setRecentRoutesPromise(Promise.resolve(recentRides));
+      setOfflineSavedAt(snapshot.savedAt);
+      setLoading(false);
+      return true;
+    };
+
+    const loadLive = () => {
+      // Recent rides don't depend on the shell — start immediately.
+      const recent = getTodayRecentRoutes(userId);
+      setRecentRoutesPromise(recent);
+
+      getTodayShell(userId)
+        .then((shell) => {
+          if (cancelled) return;
+          setToday(shell);
+          setLoading(false);
+          // Kick off the deferred solves once; cache the promises in state so
+          // use() consumers read stable references.
+          const route = getTodayRoute(shell.prescription);
+          const coach = getTodayCoach(shell.athleteState);
+          setRoutePromise(route);
+          setCoachPromise(coach);
+
+          void Promise.all([route, coach, recent]).then(([r, c, rr]) => {
+            // A load that lost the network part-way resolves to blanks —
+            // don't let it overwrite a good snapshot.
+            if (isOffline()) return;
+            void saveOfflineData<TodaySnapshot>(snapshotKey(userId), {
+              today: shell,
+              route: r,
+              coach: c,
+              recentRides: rr,
+            });
+          });
+          void cacheWeekAhead(userId);
+        })
+        .catch(async (err) => {
+          if (cancelled) return;
+          console.error('useToday: shell load failed', err);
+          if (!(await showSnapshot())) setLoading(false);
+        });
+    };
+
+    if (isOffline()) {
+      void showSnapshot().then((shown) => {
+        if (!shown && !cancelled) loadLive();
       });
+    } else {
+      loadLive();
+    }
 
     return () => {
       cancelled = true;
     };
   }, [userId]);
 
-  return { loading, today, routePromise, coachPromise, recentRoutesPromise };
+  return { loading, today, routePromise, coachPromise, recentRoutesPromise, offlineSavedAt };
 }
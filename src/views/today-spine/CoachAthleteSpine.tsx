@@ -0,0 +1,125 @@
+/**
+ * CoachAthleteSpine — the Training-Arc Today for an athlete, seen by their
+ * coach. Same SpineData and zones as TodaySpine, read under the coach RLS
+ * policies; it drops the page chrome and the AI coach panel (which speaks to
+ * the signed-in rider, not about someone else).
+ */
+
+import { Suspense, lazy, useCallback, useEffect, useMemo, useState } from 'react';
+import { Box, Skeleton, Stack, Text } from '@mantine/core';
+import { useMediaQuery } from '@mantine/hooks';
+import { useTodaySpine } from './useTodaySpine';
+import { SpinePanel } from './SpinePanel';
+import { FitnessNode } from './FitnessNode';
+import { SpineEmptyState } from './SpineEmptyState';
+import { buildNodeVM } from './nodeView';
+import { C, FONT } from './tokens';
+import type { UnitsPreference } from './units';
+
+const RidesMap = lazy(() => import('./RidesMap').then((m) => ({ default: m.RidesMap })));
+
+interface CoachAthleteSpineProps {
+  athleteId: string;
+  units: UnitsPreference;
+}
+
+export function CoachAthleteSpine({ athleteId, units }: CoachAthleteSpineProps) {
+  const isMobile = useMediaQuery('(max-width: 768px)');
+  const { loading, data, error, retry } = useTodaySpine(athleteId);
+
+  const [selected, setSelected] = useState(0);
+  const [flipped, setFlipped] = useState(false);
+
+  useEffect(() => {
+    if (!data) return;
+    setSelected(data.todayIndex);
+  }, [data]);
+
+  const handleSelect = useCallback((i: number) => {
+    setSelected(i);
+    setFlipped(false);
+  }, []);
+
+  const snapToday = useCallback(
+    (e: React.MouseEvent) => {
+      e.stopPropagation();
+      if (!data) return;
+      setSelected(data.todayIndex);
+      setFlipped(false);
+    },
+    [data],
+  );
+
+  const vm = useMemo(
+    () =>
+      data
+        ? buildNodeVM(data.days, Math.min(selected, data.days.length - 1), data.todayIndex, data.recoveryWeek)
+        : null,
+    [data, selected],
+  );
+
+  if (error) {
+    return (
+      <Box style={{ border: `1px solid ${C.border}`, background: C.card, padding: 24 }}>
+        <Text style={{ fontFamily: FONT.mono, fontSize: 12, letterSpacing: '1px', color: C.coral }}>
+          COULDN’T LOAD THIS ATHLETE’S TRAINING ARC. {error.toUpperCase()}
+        </Text>
+        <Box
+          component="button"
+          onClick={retry}
+          style={{
+            marginTop: 14,
+            border: `1.5px solid ${C.navy}`,
+            background: C.navy,
+            color: '#fff',
+            fontFamily: FONT.mono,
+            fontSize: 10,
+            letterSpacing: '2px',
+            padding: '8px 16px',
+            cursor: 'pointer',
+          }}
+        >
+          RETRY
+        </Box>
+      </Box>
+    );
+  }
+
+  if (loading || !data || !vm) {
+    return (
+      <Stack gap={16}>
+        <Skeleton height={24} width="45%" radius={0} />
+        <Skeleton height={240} radius={0} />
+      </Stack>
+    );
+  }
+
+  if (!data.hasHistory) return <SpineEmptyState />;
+
+  return (
+    <Stack gap={20}>
+      {data.summaryLine && (
+        <Text style={{ fontFamily: FONT.body, fontSize: 18, fontWeight: 600, lineHeight: 1.35, color: C.text, maxWidth: 760 }}>
+          {data.summaryLine}
+        </Text>
+      )}
+      {isMobile && <FitnessNode vm={vm} flipped={false} compact onSnapToday={snapToday} />}
+      <SpinePanel
+        data={data}
+        selectedIndex={Math.min(selected, data.days.length - 1)}
+        onSelect={handleSelect}
+        vm={vm}
+        showNode={!isMobile}
+        interactive={!isMobile}
+        flipped={flipped}
+        onToggleFlip={() => setFlipped((f) => !f)}
+        onSnapToday={snapToday}
+      />
+      <Suspense fallback={<Skeleton height={260} radius={0} />}>
+        <RidesMap rides={data.recentRides} weekRollup={data.weekRollup} units={units} />
+      </Suspense>
+    </Stack>
+  );
+}
+
+export default CoachAthleteSpine;
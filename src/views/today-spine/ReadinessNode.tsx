@@ -0,0 +1,128 @@
+/**
+ * ReadinessNode — this morning's readiness (HRV against baseline, sleep,
+ * resting HR, the check-in) as one number, with the reasons behind it.
+ *
+ * When readiness is poor and today's plan is hard, it offers the easier
+ * session from suggestReadinessSwap. Accepting rewrites today's plan row in
+ * place (type, name, target load) and refetches the spine; duration is kept.
+ */
+
+import { useState } from 'react';
+import { Box, Group, Text } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { supabase } from '../../lib/supabase';
+import { TYPE_TSS_PER_HOUR } from '../../lib/training/constants';
+import { workoutTypeCopy } from '../../utils/todayVocabulary';
+import { C, FONT } from './tokens';
+import type { SpineReadiness, TodaysWorkout } from './types';
+
+interface ReadinessNodeProps {
+  data: SpineReadiness;
+  workout: TodaysWorkout | null;
+  onSwapped?: () => void;
+}
+
+const BAND_COLOR = { high: C.teal, moderate: C.gold, low: C.coral } as const;
+const BAND_LABEL = { high: 'READY', moderate: 'MODERATE', low: 'LOW' } as const;
+
+function reasonsLine(flags: string[]): string {
+  if (!flags.length) return 'Nothing in this morning’s data is holding you back.';
+  const line = flags.slice(0, 3).join(', ');
+  return `${line.charAt(0).toUpperCase()}${line.slice(1)}.`;
+}
+
+export function ReadinessNode({ data, workout, onSwapped }: ReadinessNodeProps) {
+  const { readiness, swap } = data;
+  const [swapping, setSwapping] = useState(false);
+  const color = BAND_COLOR[readiness.band];
+  const canSwap = swap !== null && workout?.workoutId != null;
+
+  const acceptSwap = async () => {
+    if (!swap || !workout?.workoutId) return;
+    setSwapping(true);
+    try {
+      const perHour = TYPE_TSS_PER_HOUR[swap.toType]?.mid ?? 0;
+      const targetRss = Math.round((perHour * workout.durationMin) / 60);
+      const { error } = await supabase
+        .from('planned_workouts')
+        .update({
+          workout_type: swap.toType,
+          name: workoutTypeCopy(swap.toType).label,
+          target_rss: targetRss,
+          target_tss: targetRss, // dual-write
+          adjustment_reason: swap.reason,
+        })
+        .eq('id', workout.workoutId);
+      if (error) throw error;
+      notifications.show({
+        title: 'Session swapped',
+        message: `Today is now ${workoutTypeCopy(swap.toType).phrase}.`,
+        color: 'teal',
+      });
+      onSwapped?.();
+    } catch (err) {
+      notifications.show({
+        title: "Couldn't swap today's session",
+        message: (err as Error)?.message ?? 'Try again.',
+        color: 'red',
+      });
+    } finally {
+      setSwapping(false);
+    }
+  };
+
+  return (
+    <Box
+      data-testid="readiness-node"
+      style={{ background: C.card, border: `1px solid ${C.border}`, borderLeft: `3px solid ${color}`, padding: '14px 18px' }}
+    >
+      <Group justify="space-between" align="flex-start" wrap="nowrap" gap={16}>
+        <Box style={{ minWidth: 0 }}>
+          <Text style={{ fontFamily: FONT.mono, fontSize: 10, fontWeight: 500, letterSpacing: '2px', color: C.text3 }}>
+            READINESS
+          </Text>
+          <Text style={{ fontFamily: FONT.body, fontSize: 14, lineHeight: 1.45, color: C.text2, marginTop: 4 }}>
+            {reasonsLine(readiness.flags)}
+          </Text>
+        </Box>
+        <Box style={{ textAlign: 'right', flexShrink: 0 }}>
+          <Text style={{ fontFamily: FONT.heading, fontWeight: 700, fontSize: 30, lineHeight: 1, color }}>
+            {readiness.score}
+          </Text>
+          <Text style={{ fontFamily: FONT.mono, fontSize: 10, letterSpacing: '2px', color }}>
+            {BAND_LABEL[readiness.band]}
+          </Text>
+        </Box>
+      </Group>
+
+      {swap && (
+        <Box style={{ marginTop: 12, paddingTop: 12, borderTop: `1px solid ${C.border}` }}>
+          <Text style={{ fontFamily: FONT.body, fontSize: 14, lineHeight: 1.45, color: C.text }}>
+            {swap.reason} Swap {workoutTypeCopy(swap.fromType).phrase} for {workoutTypeCopy(swap.toType).phrase}?
+          </Text>
+          {canSwap && (
+            <Box
+              component="button"
+              onClick={acceptSwap}
+              disabled={swapping}
+              style={{
+                marginTop: 10,
+                border: `1.5px solid ${C.navy}`,
+                background: C.navy,
+                color: '#fff',
+                fontFamily: FONT.mono,
+                fontSize: 10,
+                letterSpacing: '2px',
+                padding: '8px 16px',
+                cursor: swapping ? 'wait' : 'pointer',
+                opacity: swapping ? 0.6 : 1,
+              }}
+            >
+              {`SWAP TO ${workoutTypeCopy(swap.toType).label.toUpperCase()}`}
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
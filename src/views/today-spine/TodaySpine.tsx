@@ -21,6 +21,7 @@ import { SpinePanel } from './SpinePanel';
 import { FitnessNode } from './FitnessNode';
 import { CoachPanel } from './CoachPanel';
 import { SpineEmptyState } from './SpineEmptyState';
+import { ReadinessNode } from './ReadinessNode';
 import { BeatsColumn } from './beats/BeatsColumn';
 import { buildNodeVM } from './nodeView';
 import { C, FONT } from './tokens';
@@ -202,6 +203,12 @@ export default function TodaySpine() {
 
     const nodeCard = <FitnessNode vm={vm} flipped={false} compact onSnapToday={snapToday} />;
 
+    // A swap rewrites today's plan row; refetch so the node, spine and beats
+    // all show the new session.
+    const readinessCard = data.readiness ? (
+      <ReadinessNode data={data.readiness} workout={data.todaysWorkout} onSwapped={retry} />
+    ) : null;
+
     if (isMobile) {
       // The four-beat page (docs/today-mobile-beats-spec.md). The instrument
       // view — node, spine, map — moves behind the numbers door; the coach
@@ -211,6 +218,7 @@ export default function TodaySpine() {
         <Stack gap={16}>
           <PageHeader data={data} compact />
           <GetStartedGuide />
+          {readinessCard}
           <BeatsColumn
             data={data}
             units={units}
@@ -240,6 +248,7 @@ export default function TodaySpine() {
       <Stack gap={20}>
         <PageHeader data={data} />
         <GetStartedGuide />
+        {readinessCard}
         {spine}
         {bottomRow}
       </Stack>
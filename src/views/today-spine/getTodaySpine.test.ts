@@ -583,3 +583,35 @@ describe('assembleSpine — beat inputs', () => {
     expect(assembleSpine(baseInput()).latestActivity).toBeNull();
   });
 });
+
+describe('assembleSpine — readiness', () => {
+  /** 10 steady mornings, then today with the given HRV and sleep. */
+  const health = (hrvToday: number, sleepToday: number) => [
+    ...Array.from({ length: 10 }, (_, i) => ({
+      date: fmt(addDays(NOW, i - 10)),
+      hrv_ms: i % 2 === 0 ? 58 : 62,
+      resting_hr: 50,
+      sleep_hours: 7.5,
+    })),
+    { date: fmt(NOW), hrv_ms: hrvToday, resting_hr: 57, sleep_hours: sleepToday },
+  ];
+  const vo2 = { name: 'VO2 5x4', type: 'vo2max', durationMin: 60, targetRss: 80, workoutId: 'pw-1' };
+
+  it('offers an easier session on a low-readiness morning', () => {
+    const data = assembleSpine(baseInput({ health: health(45, 5), todaysWorkout: vo2 }));
+    expect(data.readiness?.readiness.band).toBe('low');
+    expect(data.readiness?.swap).toMatchObject({ fromType: 'vo2max', toType: 'recovery' });
+  });
+
+  it('is null without health data and never swaps a day already ridden', () => {
+    expect(assembleSpine(baseInput({ todaysWorkout: vo2 })).readiness).toBeNull();
+    const ridden = assembleSpine(
+      baseInput({
+        health: health(45, 5),
+        todaysWorkout: vo2,
+        activities: [{ start_date: NOW.toISOString(), name: 'Morning spin', rss: 60, moving_time: 3600 }],
+      }),
+    );
+    expect(ridden.readiness?.swap ?? null).toBeNull();
+  });
+});
@@ -21,6 +21,7 @@ import { getPlanTemplate } from '../../data/trainingPlanTemplates';
 import { resolveActivePlan } from '../../utils/activePlan';
 import { getISOWeek, getISOWeekYear } from '../../utils/isoWeek';
 import { formPhrase, workoutTypeCopy } from '../../utils/todayVocabulary';
+import { computeReadiness, suggestReadinessSwap, HRV_SPREAD_DAYS, type HealthDay } from '../../lib/training/readiness';
 import { fmtDate } from '../today/athleteMetrics';
 import type { AthleteActivityRow, ServerLoadRow } from '../today/athleteMetrics';
 import { mapRowToRecentRide, type RecentRide } from '../today/shared/recentRides';
@@ -31,6 +32,7 @@ import type {
   LatestActivity,
   SpineData,
   SpineEvent,
+  SpineReadiness,
   TodaysWorkout,
   WeekRollup,
   CoachSeed,
@@ -258,6 +260,8 @@ export interface AssembleInput {
   rideStats?: RideStat[];
   /** Newest known activity, for Beat 2's next-ride deferral. */
   latestActivity?: LatestActivity | null;
+  /** health_metrics history (today + the HRV baseline window) for readiness. */
+  health?: HealthDay[];
 }
 
 /** One ride, reduced to what the Beat 1 recap and the route pre-fill need. */
@@ -325,6 +329,25 @@ export function sameISOWeek(a: string, b: string): boolean {
   return getISOWeek(a) === getISOWeek(b) && getISOWeekYear(a) === getISOWeekYear(b);
 }
 
+/**
+ * Today's readiness, plus a suggested easier session when today's plan is
+ * hard and readiness is poor. A ride already recorded today gets no
+ * suggestion — the session is done.
+ */
+export function buildSpineReadiness(
+  health: HealthDay[],
+  todayKey: string,
+  todaysWorkout: TodaysWorkout | null,
+  riddenToday: boolean,
+): SpineReadiness | null {
+  const readiness = computeReadiness(health, todayKey);
+  if (!readiness) return null;
+  return {
+    readiness,
+    swap: riddenToday ? null : suggestReadinessSwap(readiness, todaysWorkout?.type),
+  };
+}
+
 const EMPTY_ROLLUP: WeekRollup = {
   distanceKm: 0,
   distanceMi: 0,
@@ -586,6 +609,10 @@ export function assembleSpine(input: AssembleInput): SpineData {
     recBody,
   };
 
+  const spineWorkout: TodaysWorkout | null = todaysWorkout
+    ? { ...todaysWorkout, workoutId: todaysWorkout.workoutId ?? null }
+    : null;
+
   return {
     days,
     todayIndex: PAST_SPAN,
@@ -596,12 +623,11 @@ export function assembleSpine(input: AssembleInput): SpineData {
     summaryLine,
     hasHistory,
     recoveryWeek,
-    todaysWorkout: todaysWorkout
-      ? { ...todaysWorkout, workoutId: todaysWorkout.workoutId ?? null }
-      : null,
+    todaysWorkout: spineWorkout,
     lastRide: buildLastRide(days, PAST_SPAN, dailySec, dailyName, rideStats),
     typicalRideMin: medianRideMinutes(rideStats, todayKey),
     latestActivity: input.latestActivity ?? null,
+    readiness: buildSpineReadiness(input.health ?? [], todayKey, spineWorkout, todayNode.rss > 0),
   };
 }
 
@@ -619,6 +645,9 @@ export async function getTodaySpine(userId: string): Promise<SpineData> {
   const sevenDaysAgo = new Date(now);
   sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
   const todayKey = todayLocalDateString();
+  const healthFrom = new Date(now);
+  healthFrom.setDate(healthFrom.getDate() - HRV_SPREAD_DAYS);
+  const healthFromKey = fmtDate(healthFrom);
 
   // Fail loudly, not with a fake all-zero page: an expired session makes every
   // RLS-guarded query return empty, which would otherwise render as CTL 0 etc.
@@ -684,6 +713,14 @@ export async function getTodaySpine(userId: string): Promise<SpineData> {
         .or('is_hidden.eq.false,is_hidden.is.null')
         .order('start_date', { ascending: false })
         .limit(50),
+      // Readiness: today's health row plus the HRV / resting-HR baseline window.
+      supabase
+        .from('health_metrics')
+        .select('metric_date, hrv_ms, resting_hr, sleep_hours, sleep_quality, energy_level, muscle_soreness, stress_level')
+        .eq('user_id', userId)
+        .gte('metric_date', healthFromKey)
+        .lte('metric_date', todayKey)
+        .order('metric_date', { ascending: true }),
     ]);
 
   // Active plan (for the recovery-phase signal). Non-load-bearing: fetched in
@@ -705,7 +742,7 @@ export async function getTodaySpine(userId: string): Promise<SpineData> {
     }
   }
 
-  const [personaRes, profileRes, activitiesRes, serverLoadRes, plannedRes, raceRes, mapRes] = batch;
+  const [personaRes, profileRes, activitiesRes, serverLoadRes, plannedRes, raceRes, mapRes, healthRes] = batch;
 
   // One structured line per load so a console screenshot tells us exactly what
   // each read returned — row counts, not inferences.
@@ -729,6 +766,7 @@ export async function getTodaySpine(userId: string): Promise<SpineData> {
     ['planned_workouts', plannedRes],
     ['race_goals', raceRes],
     ['activities (map)', mapRes],
+    ['health_metrics', healthRes],
   ];
   for (const [table, res] of results) {
     if (res.error) console.warn(`[today-spine] ${table} query failed:`, res.error.message ?? res.error);
@@ -866,5 +904,6 @@ export async function getTodaySpine(userId: string): Promise<SpineData> {
     planRecoveryPhase,
     rideStats,
     latestActivity,
+    health: (healthRes.data ?? []).map(({ metric_date, ...rest }) => ({ date: metric_date as string, ...rest })) as HealthDay[],
   });
 }
@@ -13,6 +13,7 @@
  */
 
 import type { RecentRide } from '../today/shared/recentRides';
+import type { Readiness, ReadinessSwap } from '../../lib/training/readiness';
 
 export type { RecentRide };
 
@@ -115,6 +116,15 @@ export interface LatestActivity {
   startDate: string;
 }
 
+/**
+ * This morning's readiness (src/lib/training/readiness.ts) and, when it says
+ * today's planned session is too much, the easier session it suggests.
+ */
+export interface SpineReadiness {
+  readiness: Readiness;
+  swap: ReadinessSwap | null;
+}
+
 /** Persona + the recommendation block seed for the coach zone. */
 export interface CoachSeed {
   personaId: string;
@@ -154,4 +164,6 @@ export interface SpineData {
   typicalRideMin: number | null;
   /** Newest known activity, for Beat 2's next-ride deferral. */
   latestActivity: LatestActivity | null;
+  /** Null when there's no health data for today. */
+  readiness: SpineReadiness | null;
 }